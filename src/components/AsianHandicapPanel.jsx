@@ -0,0 +1,98 @@
+import React, { useMemo, useState } from 'react';
+import { asianHandicapCalculator, formatHandicapLine } from '../utils/asianHandicap';
+import { formatPercent, formatOdds } from '../utils/resultFormatting';
+
+/**
+ * Resultatpanel för asiatiskt handikapp baserad på modellens resultatmatris
+ */
+const AsianHandicapPanel = ({ sources = [] }) => {
+  const availableSources = sources.filter(source => source.results?.scoreMatrix);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [showQuarterLines, setShowQuarterLines] = useState(true);
+
+  const selectedSource = availableSources.find(source => source.key === selectedKey) || availableSources[0];
+
+  const lines = useMemo(
+    () => (selectedSource ? asianHandicapCalculator.calculate(selectedSource.results.scoreMatrix) : []),
+    [selectedSource]
+  );
+
+  if (!selectedSource) return null;
+
+  const visibleLines = showQuarterLines
+    ? lines
+    : lines.filter(({ line }) => !asianHandicapCalculator.isQuarterLine(line));
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-4">
+        <h3 className="text-lg sm:text-xl font-bold text-gray-800">Asiatiskt handikapp</h3>
+        <div className="flex flex-wrap items-center gap-3">
+          {availableSources.length > 1 && (
+            <div className="bg-gray-100 p-1 rounded-lg">
+              {availableSources.map(source => (
+                <button
+                  key={source.key}
+                  type="button"
+                  onClick={() => setSelectedKey(source.key)}
+                  className={`px-3 py-1 rounded-md text-sm transition-colors ${
+                    source.key === selectedSource.key
+                      ? 'bg-white text-blue-600 shadow-sm'
+                      : 'text-gray-600 hover:text-gray-800'
+                  }`}
+                >
+                  {source.label}
+                </button>
+              ))}
+            </div>
+          )}
+          <label className="flex items-center space-x-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showQuarterLines}
+              onChange={(e) => setShowQuarterLines(e.target.checked)}
+            />
+            <span>Visa kvartslinjer</span>
+          </label>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto max-h-96 overflow-y-auto">
+        <table className="w-full border-collapse text-sm">
+          <thead className="sticky top-0">
+            <tr className="bg-gray-50">
+              <th className="border p-2 text-left text-xs sm:text-sm">Linje (hemma)</th>
+              <th className="border p-2 text-center text-green-600 text-xs sm:text-sm">Vinst</th>
+              <th className="border p-2 text-center text-green-500 text-xs sm:text-sm">Halv vinst</th>
+              <th className="border p-2 text-center text-gray-600 text-xs sm:text-sm">Push</th>
+              <th className="border p-2 text-center text-red-500 text-xs sm:text-sm">Halv förlust</th>
+              <th className="border p-2 text-center text-red-600 text-xs sm:text-sm">Förlust</th>
+              <th className="border p-2 text-center text-blue-600 text-xs sm:text-sm">Odds hemma</th>
+              <th className="border p-2 text-center text-purple-600 text-xs sm:text-sm">Odds borta</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleLines.map(({ line, home, away }) => (
+              <tr key={line} className={line === 0 ? 'bg-blue-50' : ''}>
+                <td className="border p-2 font-medium text-xs sm:text-sm">{formatHandicapLine(line)}</td>
+                <td className="border p-2 text-center text-xs sm:text-sm">{formatPercent(home.win)}</td>
+                <td className="border p-2 text-center text-xs sm:text-sm">{formatPercent(home.halfWin)}</td>
+                <td className="border p-2 text-center text-xs sm:text-sm">{formatPercent(home.push)}</td>
+                <td className="border p-2 text-center text-xs sm:text-sm">{formatPercent(home.halfLoss)}</td>
+                <td className="border p-2 text-center text-xs sm:text-sm">{formatPercent(home.loss)}</td>
+                <td className="border p-2 text-center font-semibold text-xs sm:text-sm">{formatOdds(home.fairOdds)}</td>
+                <td className="border p-2 text-center font-semibold text-xs sm:text-sm">{formatOdds(away.fairOdds)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="text-xs text-gray-500 mt-3">
+        Sannolikheter avser hemmalaget på angiven linje. Bortalagets odds gäller motsatt linje. Rättvisa odds saknar marginal.
+      </p>
+    </div>
+  );
+};
+
+export default AsianHandicapPanel;
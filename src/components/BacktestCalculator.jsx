@@ -0,0 +1,352 @@
+import React, { useMemo, useState } from 'react';
+import ValidatedInput from './ui/InputValidation';
+import Select from './ui/Select';
+import { Checkbox } from './ui/Checkbox';
+import LoadingSpinner from './ui/LoadingSpinner';
+import { useCalculationErrorToast } from './ui/Toast';
+import Icon from './AppIcon';
+import { SAMPLE_RESULTS } from './ui/TeamStrengthFitInput';
+import {
+  walkForwardBacktester, BACKTEST_MODELS, BACKTEST_METRICS, DEFAULT_BACKTEST_OPTIONS
+} from '../utils/walkForwardBacktest';
+import { parseEloResults } from '../utils/eloRatings';
+import { exportBacktestResults } from '../utils/exportUtils';
+import { formatNumber, formatPercent } from '../utils/resultFormatting';
+
+export const BACKTEST_MODEL_LABELS = {
+  form: 'Form (målsnitt)',
+  fitted: 'Skattade lagstyrkor',
+  dynamic: 'Dynamiska ratingar',
+  elo: 'Elo'
+};
+
+const MODEL_COLORS = {
+  form: '#16a34a',
+  fitted: '#2563eb',
+  dynamic: '#9333ea',
+  elo: '#dc2626'
+};
+
+const METRIC_LABELS = {
+  rankedProbabilityScore: 'RPS',
+  brierScore: 'Brier score',
+  logLoss: 'Log loss',
+  accuracy: 'Träffsäkerhet'
+};
+
+const METRIC_OPTIONS = Object.entries(METRIC_LABELS).map(([value, label]) => ({ value, label }));
+
+const SEASON_START_OPTIONS = [
+  { value: 0, label: 'Januari (kalenderår)' },
+  { value: 6, label: 'Juli' },
+  { value: 7, label: 'Augusti' }
+];
+
+const ALL_SEASONS = 'all';
+
+const seasonLabel = (season) => season ?? 'Utan datum';
+
+const formatMetric = (metric, value) => (metric === 'accuracy' ? formatPercent(value) : formatNumber(value, 4));
+
+/**
+ * Walk-forward-backtest: spelar upp resultathistoriken i datumordning och förutsäger
+ * varje match med modeller som bara skattats på matcherna före den
+ */
+const BacktestCalculator = () => {
+  const [resultsText, setResultsText] = useState(SAMPLE_RESULTS);
+  const [options, setOptions] = useState(DEFAULT_BACKTEST_OPTIONS);
+  const [backtest, setBacktest] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [metric, setMetric] = useState('rankedProbabilityScore');
+  const [season, setSeason] = useState(ALL_SEASONS);
+  const { showCalculationError, showSuccess } = useCalculationErrorToast();
+
+  const updateOption = (key, value) => setOptions(prev => ({ ...prev, [key]: value }));
+
+  const toggleModel = (model, checked) => {
+    updateOption('models', BACKTEST_MODELS.filter(key => (key === model ? checked : options.models.includes(key))));
+  };
+
+  const handleRun = () => {
+    setIsRunning(true);
+    // Ge gränssnittet tid att visa laddningsläget innan den synkrona backtesten
+    setTimeout(() => {
+      try {
+        const result = walkForwardBacktester.run(parseEloResults(resultsText), options);
+        setBacktest(result);
+        setSeason(ALL_SEASONS);
+        showSuccess('Backtest slutförd', `${result.scoredMatches} matcher utvärderade efter ${result.trainingMatches} träningsmatcher`);
+      } catch (error) {
+        console.error('Backtest error:', error);
+        showCalculationError(error, 'Fel vid backtest');
+      } finally {
+        setIsRunning(false);
+      }
+    }, 50);
+  };
+
+  const chart = useMemo(() => {
+    if (!backtest) return null;
+    const series = backtest.models.map(model => ({
+      model,
+      points: backtest.rolling[model].filter(point => season === ALL_SEASONS || seasonLabel(point.season) === season)
+    }));
+    const values = series.flatMap(({ points }) => points.map(point => point[metric]));
+    const length = Math.max(...series.map(({ points }) => points.length));
+    if (values.length === 0 || length === 0) return null;
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const padding = (max - min) * 0.1 || 0.01;
+    const toX = (index) => (length > 1 ? (index / (length - 1)) * 100 : 50);
+    const toY = (value) => (1 - (value - min + padding) / (max - min + 2 * padding)) * 100;
+    const dates = series.flatMap(({ points }) => points.map(point => point.date)).filter(Boolean);
+
+    return {
+      lines: series.map(({ model, points }) => ({
+        model,
+        points: points.map((point, index) => `${toX(index)},${toY(point[metric])}`).join(' ')
+      })),
+      min,
+      max,
+      length,
+      firstDate: dates.length > 0 ? new Date(Math.min(...dates.map(date => new Date(date).getTime()))) : null,
+      lastDate: dates.length > 0 ? new Date(Math.max(...dates.map(date => new Date(date).getTime()))) : null
+    };
+  }, [backtest, metric, season]);
+
+  const seasonOptions = backtest
+    ? [{ value: ALL_SEASONS, label: 'Alla säsonger' }, ...backtest.seasons.map(entry => ({ value: seasonLabel(entry.season), label: seasonLabel(entry.season) }))]
+    : [];
+  const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+  return (
+    <div className="max-w-7xl mx-auto p-4 sm:p-6">
+      <div className="mb-6 sm:mb-8">
+        <h2 className="text-2xl sm:text-3xl font-bold text-gray-800 mb-4">
+          <Icon name="LineChart" className="inline mr-2 sm:mr-3" />
+          Walk-forward-backtest - Prognoser utan framtida information
+        </h2>
+        <p className="text-sm sm:text-base text-gray-600 mb-4">
+          Spelar upp resultathistoriken i datumordning. Varje match förutsägs med modeller som bara känner till matcherna före den: formen och lagstyrkorna skattas om och ratingarna uppdateras först när matchdagen är spelad. Prognoserna poängsätts med RPS, Brier score, log loss och träffsäkerhet, per säsong och som rullande snitt.
+        </p>
+
+        <details className="mb-4 sm:mb-6 bg-blue-50 rounded-lg p-3 sm:p-4">
+          <summary className="cursor-pointer font-semibold text-blue-800 hover:text-blue-900">
+            💡 Hur fungerar backtesten? (Klicka för att expandera)
+          </summary>
+          <div className="mt-3 text-sm text-blue-700 space-y-2">
+            <ul className="list-disc list-inside ml-4 space-y-1">
+              <li><strong>Resultat:</strong> En match per rad, t.ex. "2024-08-17, Lag A 2-1 Lag B", valfritt med tävling och neutral plan som i Elo-fliken: "[cup, neutral]"</li>
+              <li><strong>Matchdagar:</strong> Matcher samma datum förutsägs innan någon av dem påverkar modellerna</li>
+              <li><strong>Uppvärmning:</strong> De första matcherna används bara för att träna modellerna och poängsätts inte</li>
+              <li><strong>Form:</strong> Lagens gjorda och insläppta mål per match hittills, krympta mot ligasnittet</li>
+              <li><strong>Skattade lagstyrkor:</strong> Maher/Dixon-Coles skattas om på alla tidigare matcher, valfritt med tidsviktning</li>
+              <li><strong>Dynamiska ratingar och Elo:</strong> Uppdateras match för match; ligasnitt och hemmafördel tas från tidigare matcher</li>
+            </ul>
+          </div>
+        </details>
+
+        <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 mb-6 space-y-4">
+          <div className="space-y-2">
+            <label htmlFor="backtest-results" className="block text-sm font-medium text-foreground">Resultathistorik (datum, hemmalag 2-1 bortalag)</label>
+            <textarea
+              id="backtest-results"
+              rows={10}
+              value={resultsText}
+              onChange={(event) => setResultsText(event.target.value)}
+              className="w-full border rounded-lg p-2 font-mono text-xs sm:text-sm"
+            />
+          </div>
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {BACKTEST_MODELS.map(model => (
+              <Checkbox
+                key={model}
+                id={`backtest-${model}`}
+                label={BACKTEST_MODEL_LABELS[model]}
+                checked={options.models.includes(model)}
+                onChange={(event) => toggleModel(model, event.target.checked)}
+              />
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <ValidatedInput
+              label="Uppvärmning (matcher)"
+              type="number"
+              min={0}
+              max={1000}
+              step={1}
+              value={options.warmupMatches}
+              onChange={(value) => value >= 0 && updateOption('warmupMatches', value)}
+              helpText="Matcher som bara tränar modellerna innan utvärderingen börjar."
+            />
+            <ValidatedInput
+              label="Rullande fönster (matcher)"
+              type="number"
+              min={1}
+              max={1000}
+              step={1}
+              value={options.rollingWindow}
+              onChange={(value) => value >= 1 && updateOption('rollingWindow', value)}
+              helpText="Antal senaste matcher i de rullande snitten."
+            />
+            <Select
+              label="Säsongen börjar"
+              options={SEASON_START_OPTIONS}
+              value={options.seasonStartMonth}
+              onChange={(value) => updateOption('seasonStartMonth', Number(value))}
+            />
+          </div>
+
+          {options.models.includes('fitted') && (
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 p-3 bg-gray-50 rounded-lg items-start">
+              <ValidatedInput
+                label="Skatta om var n:e matchdag"
+                type="number"
+                min={1}
+                max={100}
+                step={1}
+                value={options.refitInterval}
+                onChange={(value) => value >= 1 && updateOption('refitInterval', value)}
+                helpText="1 = före varje matchdag. Högre värden går snabbare på långa historiker."
+              />
+              <ValidatedInput
+                label="Halveringstid (dagar)"
+                type="number"
+                min={0}
+                max={3650}
+                step={10}
+                value={options.halfLifeDays}
+                onChange={(value) => value >= 0 && updateOption('halfLifeDays', value)}
+                helpText="0 = alla tidigare matcher väger lika. Kräver datum på varje rad."
+              />
+              <Checkbox
+                id="backtest-dixon-coles"
+                label="Skatta Dixon-Coles ρ"
+                description="Lågmålskorrigeringen skattas om tillsammans med lagstyrkorna"
+                checked={options.dixonColes}
+                onChange={(event) => updateOption('dixonColes', event.target.checked)}
+              />
+            </div>
+          )}
+
+          <button
+            onClick={handleRun}
+            disabled={isRunning || options.models.length === 0}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white px-4 py-2 rounded-lg transition-colors flex items-center justify-center text-sm sm:text-base"
+          >
+            {isRunning ? <LoadingSpinner size="sm" className="mr-2" /> : <Icon name="Play" size={16} className="mr-2" />}
+            {isRunning ? 'Kör backtest...' : 'Kör backtest'}
+          </button>
+        </div>
+      </div>
+
+      {backtest && (
+        <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 space-y-6">
+          <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+            <h3 className="text-lg sm:text-xl font-bold text-gray-800">Resultat av backtesten</h3>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => exportBacktestResults(backtest).toCSV()}
+                className="flex items-center px-3 py-2 text-sm bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors"
+              >
+                <Icon name="Download" size={16} className="mr-2" />
+                CSV
+              </button>
+              <button
+                type="button"
+                onClick={() => exportBacktestResults(backtest).toJSON()}
+                className="flex items-center px-3 py-2 text-sm bg-gray-600 hover:bg-gray-700 text-white rounded-lg transition-colors"
+              >
+                <Icon name="Download" size={16} className="mr-2" />
+                JSON
+              </button>
+            </div>
+          </div>
+
+          {/* Overall And Per Season */}
+          <div className="overflow-x-auto">
+            <table className="w-full border-collapse text-sm">
+              <thead>
+                <tr className="bg-gray-50">
+                  <th className="border p-2 text-left text-xs sm:text-sm">Säsong</th>
+                  <th className="border p-2 text-left text-xs sm:text-sm">Modell</th>
+                  <th className="border p-2 text-center text-xs sm:text-sm">Matcher</th>
+                  {Object.keys(BACKTEST_METRICS).map(key => (
+                    <th key={key} className="border p-2 text-center text-xs sm:text-sm">{METRIC_LABELS[key]}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {[...backtest.seasons.map(entry => [seasonLabel(entry.season), entry.models]), ['Totalt', backtest.overall]].map(([label, models]) => (
+                  backtest.models.filter(model => models[model]).map((model, index) => (
+                    <tr key={`${label}-${model}`} className={label === 'Totalt' ? 'bg-blue-50' : undefined}>
+                      <td className="border p-2 font-medium">{index === 0 ? label : ''}</td>
+                      <td className="border p-2">{BACKTEST_MODEL_LABELS[model]}</td>
+                      <td className="border p-2 text-center">{models[model].matches}</td>
+                      {Object.keys(BACKTEST_METRICS).map(key => (
+                        <td key={key} className="border p-2 text-center">{formatMetric(key, models[model][key])}</td>
+                      ))}
+                    </tr>
+                  ))
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500">
+            {backtest.trainingMatches} träningsmatcher och {backtest.scoredMatches} utvärderade. Bäst RPS: {backtest.ranking.map(({ model }) => BACKTEST_MODEL_LABELS[model]).join(' → ')}.
+            Lägre RPS, Brier och log loss är bättre.
+          </p>
+
+          {/* Rolling Metrics Chart */}
+          <div>
+            <h4 className="font-semibold mb-3 text-gray-700">Rullande {METRIC_LABELS[metric]} (senaste {backtest.options.rollingWindow} matcherna)</h4>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-3">
+              <Select label="Mått" options={METRIC_OPTIONS} value={metric} onChange={setMetric} />
+              <Select label="Säsong" options={seasonOptions} value={season} onChange={setSeason} />
+            </div>
+            {chart && (
+              <>
+                <div className="flex gap-2">
+                  <div className="flex flex-col justify-between text-xs text-gray-500 text-right w-14">
+                    <span>{formatMetric(metric, chart.max)}</span>
+                    <span>{formatMetric(metric, chart.min)}</span>
+                  </div>
+                  <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="flex-1 h-48 bg-gray-50 rounded" role="img" aria-label={`Rullande ${METRIC_LABELS[metric]} per modell`}>
+                    {chart.lines.map(({ model, points }) => (
+                      <polyline
+                        key={model}
+                        fill="none"
+                        stroke={MODEL_COLORS[model]}
+                        strokeWidth="1.5"
+                        vectorEffect="non-scaling-stroke"
+                        points={points}
+                      />
+                    ))}
+                  </svg>
+                </div>
+                <div className="flex justify-between text-xs text-gray-500 ml-16">
+                  <span>{formatDate(chart.firstDate) || 'Match 1'}</span>
+                  <span>{formatDate(chart.lastDate) || `Match ${chart.length}`}</span>
+                </div>
+                <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-600">
+                  {chart.lines.map(({ model }) => (
+                    <span key={model} className="flex items-center">
+                      <span className="w-3 h-3 rounded-full mr-1" style={{ backgroundColor: MODEL_COLORS[model] }}></span>
+                      {BACKTEST_MODEL_LABELS[model]}
+                    </span>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BacktestCalculator;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import ValidatedInput from './ui/InputValidation';
 import { validationSchemas } from './ui/InputValidation';
 import LoadingSpinner, { CalculationLoader } from './ui/LoadingSpinner';
@@ -7,21 +7,70 @@ import { useCalculatorShortcuts, ShortcutHelpButton } from '../hooks/useKeyboard
 import { useServiceWorker, useOfflineData } from '../hooks/useServiceWorker';
 import { OfflineBanner } from './ui/OfflineStatus';
 import ExportButton, { CompactExportButton } from './ui/ExportButton';
-import { enhancedPoissonCalculator, monteCarloSimulator } from '../utils/improvedMath';
+import GoalDistributionInput from './ui/GoalDistributionInput';
+import AdaptiveSimulationInput from './ui/AdaptiveSimulationInput';
+import TimelineSimulationInput from './ui/TimelineSimulationInput';
+import TeamStrengthFitInput from './ui/TeamStrengthFitInput';
+import DynamicRatingInput from './ui/DynamicRatingInput';
+import ShotXGModelInput from './ui/ShotXGModelInput';
+import HyperparameterTuningInput from './ui/HyperparameterTuningInput';
+import EloRatingInput, { DEFAULT_ELO_SETTINGS } from './ui/EloRatingInput';
+import BayesianModelInput, { DEFAULT_BAYESIAN_SETTINGS } from './ui/BayesianModelInput';
+import EnsembleInput, { DEFAULT_ENSEMBLE_SETTINGS, ENSEMBLE_MODEL_LABELS } from './ui/EnsembleInput';
+import CalibrationInput, { DEFAULT_CALIBRATION_SETTINGS, CALIBRATION_METHOD_LABELS, leagueLabel } from './ui/CalibrationInput';
+import ProbabilityErrorBar from './ui/ProbabilityErrorBar';
+import AsianHandicapPanel from './AsianHandicapPanel';
+import ExtendedMarketsPanel from './ExtendedMarketsPanel';
+import HalfTimePanel from './HalfTimePanel';
+import GoalTimingPanel from './GoalTimingPanel';
+import InPlayPanel from './InPlayPanel';
+import { Checkbox } from './ui/Checkbox';
+import { enhancedPoissonCalculator } from '../utils/improvedMath';
+import { monteCarloWorkerPool, isSimulationCancelled } from '../utils/monteCarloWorkerPool';
+import { bivariatePoissonCalculator } from '../utils/bivariatePoisson';
+import { eloRatingSystem, parseEloResults } from '../utils/eloRatings';
+import { bayesianWorkerRunner } from '../utils/bayesianWorkerRunner';
+import { modelEnsemble } from '../utils/modelEnsemble';
+import { probabilityCalibrator, CALIBRATION_MODELS } from '../utils/probabilityCalibration';
+import { parseMatchResults } from '../utils/teamStrengthFitting';
+import { halfTimeModel, DEFAULT_FIRST_HALF_SHARE } from '../utils/halfTimeModel';
+import { inPlayModel, MATCH_MINUTES } from '../utils/inPlayModel';
 import { calculateAdvancedXGPrediction } from '../utils/xgCalculations';
+import { TUNING_SPACES } from '../utils/hyperparameterTuning';
+import { restorePredictionResult } from '../utils/predictionResult';
+import { formatPercent, formatGoals, formatNumber, MARKET_LABELS } from '../utils/resultFormatting';
 import Icon from './AppIcon';
 
+// Comparison models that are skipped with a note when they fail
+const SKIPPED_MODEL_LABELS = {
+  elo: 'Elo-rating',
+  bayesian: 'Bayesiansk hierarkisk'
+};
+
 const CombinedCalculator = ({ 
   activeTab = 'xg', 
   xgParams = { homeXG: 1.5, awayXG: 1.2, homeXGA: 1.2, awayXGA: 1.3, homeDefense: 1.0, awayDefense: 1.0, homeForm: 1.0, awayForm: 1.0, motivation: 1.0 }, 
-  poissonParams = { homeGoals: 1.5, awayGoals: 1.2, homeDefense: 1.0, awayDefense: 1.0 }, 
-  monteCarloParams = { simulations: 10000, homeAttack: 1.5, awayAttack: 1.2, homeDefense: 1.0, awayDefense: 1.0 }, 
+  poissonParams = { homeGoals: 1.5, awayGoals: 1.2, homeDefense: 1.0, awayDefense: 1.0, rho: 0, firstHalfShare: DEFAULT_FIRST_HALF_SHARE }, 
+  monteCarloParams = { simulations: 10000, homeAttack: 1.5, awayAttack: 1.2, homeDefense: 1.0, awayDefense: 1.0, firstHalfShare: DEFAULT_FIRST_HALF_SHARE }, 
+  bivariateParams = { homeGoals: 1.5, awayGoals: 1.2, homeDefense: 1.0, awayDefense: 1.0, lambda3: 0.1 }, 
+  inPlayParams = { homeExpectedGoals: 1.5, awayExpectedGoals: 1.2, minute: 0, homeScore: 0, awayScore: 0, homeRedCards: 0, awayRedCards: 0, useLiveXG: false, homeLiveXG: 0, awayLiveXG: 0 }, 
+  eloParams = DEFAULT_ELO_SETTINGS, 
+  bayesianParams = DEFAULT_BAYESIAN_SETTINGS, 
+  ensembleParams = DEFAULT_ENSEMBLE_SETTINGS, 
+  calibrationParams = DEFAULT_CALIBRATION_SETTINGS, 
   onXgChange = () => {}, 
   onPoissonChange = () => {}, 
   onMonteCarloChange = () => {}, 
+  onBivariateChange = () => {}, 
+  onInPlayChange = () => {}, 
+  onEloChange = () => {}, 
+  onBayesianChange = () => {}, 
+  onEnsembleChange = () => {}, 
+  onCalibrationChange = () => {}, 
   xgErrors = {}, 
   poissonErrors = {}, 
   monteCarloErrors = {}, 
+  bivariateErrors = {}, 
   validateXgField = () => {}, 
   validatePoissonField = () => {}, 
   validateMonteCarloField = () => {}, 
@@ -30,6 +79,10 @@ const CombinedCalculator = ({
   const [xgResults, setXgResults] = useState(null);
   const [poissonResults, setPoissonResults] = useState(null);
   const [monteCarloResults, setMonteCarloResults] = useState(null);
+  const [bivariateResults, setBivariateResults] = useState(null);
+  const [inPlayResults, setInPlayResults] = useState(null);
+  const [eloResults, setEloResults] = useState(null);
+  const [bayesianResults, setBayesianResults] = useState(null);
   const [isCalculating, setIsCalculating] = useState(false);
   const [showComparison, setShowComparison] = useState(false);
   const [calculationProgress, setCalculationProgress] = useState(0);
@@ -38,16 +91,66 @@ const CombinedCalculator = ({
   const { isOnline } = useServiceWorker();
   const { saveOfflineData, loadOfflineData } = useOfflineData();
   const firstInputRef = useRef(null);
+  const simulationAbortRef = useRef(null);
+  const [isSimulating, setIsSimulating] = useState(false);
+  // Optional comparison models that failed in the last run, with the reason
+  const [skippedModels, setSkippedModels] = useState({});
+
+  // Stable callbacks so the rating panels only fill in the fields when the fit or team selection changes
+  const applyFittedStrengths = useCallback((inputs) => {
+    Object.entries(inputs).forEach(([field, value]) => onPoissonChange(field, value));
+  }, [onPoissonChange]);
+
+  const applyDynamicRatings = useCallback((inputs) => {
+    Object.entries(inputs).forEach(([field, value]) => onMonteCarloChange(field, value));
+  }, [onMonteCarloChange]);
+
+  // Alla beräknade modellresultat (PredictionResult) per modellnyckel, utan de som saknas
+  const modelResults = useMemo(() => Object.fromEntries(Object.entries({
+    xg: xgResults,
+    poisson: poissonResults,
+    montecarlo: monteCarloResults,
+    bivariate: bivariateResults,
+    elo: eloResults,
+    bayesian: bayesianResults
+  }).filter(([, result]) => result)), [xgResults, poissonResults, monteCarloResults, bivariateResults, eloResults, bayesianResults]);
+
+  // Ensemblen poolar de beräknade modellerna med inlärda vikter, annars lika vikter
+  const ensembleResults = useMemo(() => modelEnsemble.combine(
+    modelResults,
+    ensembleParams.fit || modelEnsemble.equalWeights(ensembleParams.models, ensembleParams.method)
+  ), [modelResults, ensembleParams.fit, ensembleParams.models, ensembleParams.method]);
+
+  // Kalibrerade versioner av de modeller som har en kalibrering för vald liga (eller alla ligor)
+  const calibratedResults = useMemo(() => {
+    if (!calibrationParams.enabled) return {};
+    return Object.fromEntries(CALIBRATION_MODELS.flatMap(model => {
+      const found = modelResults[model] && probabilityCalibrator.findCalibrator(calibrationParams.calibrators, model, calibrationParams.league);
+      return found ? [[model, probabilityCalibrator.calibrateResult(modelResults[model], found.calibrator, found.league)]] : [];
+    }));
+  }, [modelResults, calibrationParams.enabled, calibrationParams.calibrators, calibrationParams.league]);
 
   // Keyboard shortcuts för bättre navigation
   const handleClear = () => {
     setXgResults(null);
     setPoissonResults(null);
     setMonteCarloResults(null);
+    setBivariateResults(null);
+    setInPlayResults(null);
+    setEloResults(null);
+    setBayesianResults(null);
+    setSkippedModels({});
     setCalculationProgress(0);
     setCurrentCalculationStep('');
   };
 
+  const handleCancelSimulation = () => {
+    simulationAbortRef.current?.abort();
+  };
+
+  // Stop a running simulation when the calculator is unmounted
+  useEffect(() => () => simulationAbortRef.current?.abort(), []);
+
   const handleToggleComparison = () => {
     setShowComparison(prev => !prev);
   };
@@ -58,12 +161,103 @@ const CombinedCalculator = ({
     }
   };
 
+  // Add analytic half-time markets to a Poisson result
+  const withHalfTimeMarkets = (poissonData) => ({
+    ...poissonData,
+    halfTime: halfTimeModel.calculate({
+      homeLambda: poissonData.calculationStats.homeLambda,
+      awayLambda: poissonData.calculationStats.awayLambda,
+      firstHalfShare: poissonParams.firstHalfShare,
+      homeDistribution: poissonParams.homeDistribution,
+      awayDistribution: poissonParams.awayDistribution
+    })
+  });
+
+  // League average and home advantage are only set when strengths are fitted from results or a tuning profile is loaded
+  const fittedLeagueParams = {
+    ...(poissonParams.leagueAverage !== undefined && { leagueAverage: poissonParams.leagueAverage }),
+    ...(poissonParams.homeAdvantage !== undefined && { homeAdvantage: poissonParams.homeAdvantage })
+  };
+
+  // xG model constants are only set when a tuning profile is loaded
+  const tunedXGConstants = Object.fromEntries(
+    Object.keys(TUNING_SPACES.xg)
+      .filter(field => xgParams[field] !== undefined)
+      .map(field => [field, xgParams[field]])
+  );
+
+  // Rate the result history and predict the selected fixture with Elo
+  const calculateElo = () => {
+    const { resultsText, homeTeam, awayTeam, homeAdvantage, marginOfVictory, neutral } = eloParams;
+    if (!homeTeam || !awayTeam || homeTeam === awayTeam) {
+      throw new Error('Välj två olika lag för Elo-prediktionen');
+    }
+    const ratings = eloRatingSystem.rate(parseEloResults(resultsText), { homeAdvantage, marginOfVictory });
+    const unknownTeam = [homeTeam, awayTeam].find(team => !ratings.ratings.has(team));
+    if (unknownTeam) {
+      throw new Error(`${unknownTeam} saknas i resultathistoriken`);
+    }
+    return eloRatingSystem.predict(ratings, homeTeam, awayTeam, { neutral });
+  };
+
+  // Run a worker task that the cancel button can abort
+  const runCancellable = async (task) => {
+    const controller = new AbortController();
+    simulationAbortRef.current = controller;
+    setIsSimulating(true);
+
+    try {
+      return await task(controller.signal);
+    } finally {
+      simulationAbortRef.current = null;
+      setIsSimulating(false);
+    }
+  };
+
+  // Sample the hierarchical model's posterior in a worker and integrate the fixture over the draws
+  const calculateBayesian = async () => {
+    const { resultsText, homeTeam, awayTeam, chains, iterations, burnIn, neutral } = bayesianParams;
+    if (!homeTeam || !awayTeam || homeTeam === awayTeam) {
+      throw new Error('Välj två olika lag för den bayesianska prediktionen');
+    }
+    const results = parseMatchResults(resultsText);
+    return runCancellable(signal => bayesianWorkerRunner.run(
+      results,
+      { homeTeam, awayTeam, neutral },
+      { chains, iterations, burnIn },
+      { signal }
+    ));
+  };
+
+  // Run Monte Carlo in background workers; progress is mapped onto [progressStart, progressEnd]
+  const runMonteCarlo = (progressStart, progressEnd) => runCancellable(signal => (
+    monteCarloWorkerPool.run({
+      simulations: monteCarloParams.simulations,
+      homeGoalsAvg: monteCarloParams.homeAttack,
+      awayGoalsAvg: monteCarloParams.awayAttack,
+      homeDefenseStrength: monteCarloParams.homeDefense,
+      awayDefenseStrength: monteCarloParams.awayDefense,
+      ...(monteCarloParams.homeAdvantage !== undefined && { homeAdvantage: monteCarloParams.homeAdvantage }),
+      strengthUncertainty: monteCarloParams.strengthUncertainty,
+      homeDistribution: monteCarloParams.homeDistribution,
+      awayDistribution: monteCarloParams.awayDistribution,
+      firstHalfShare: monteCarloParams.firstHalfShare,
+      adaptive: monteCarloParams.adaptive?.enabled ? monteCarloParams.adaptive : null,
+      timeResolved: Boolean(monteCarloParams.timeline?.enabled),
+      addedTime: monteCarloParams.timeline?.addedTime,
+      scoreStateEffect: monteCarloParams.timeline?.scoreStateEffect
+    }, {
+      signal,
+      onProgress: (share) => setCalculationProgress(Math.round(progressStart + share * (progressEnd - progressStart)))
+    })
+  ));
+
   const calculateResults = async () => {
     setIsCalculating(true);
     setCalculationProgress(0);
     setCurrentCalculationStep('Förbereder beräkningar...');
     
-    // Simulate calculation steps for better UX
+    // Step labels for better UX; Monte Carlo reports real progress from its workers
     const updateProgress = (step, progress) => {
       setCurrentCalculationStep(step);
       setCalculationProgress(progress);
@@ -84,48 +278,70 @@ const CombinedCalculator = ({
           homeFormFactor: xgParams.homeForm,
           weatherConditions: 1.0,
           motivationFactor: xgParams.motivation,
-          headToHeadFactor: 1.0
+          headToHeadFactor: 1.0,
+          ...tunedXGConstants
         });
-        setXgResults({
-              homeWinProbability: xgData.homeWin,
-              drawProbability: xgData.draw,
-              awayWinProbability: xgData.awayWin,
-              expectedHomeGoals: parseFloat(xgData.adjustedHomeXG),
-              expectedAwayGoals: parseFloat(xgData.adjustedAwayXG)
-            });
+        setXgResults(xgData);
 
         await updateProgress('Beräknar Poisson-modell...', 40);
-        const poissonData = enhancedPoissonCalculator.calculate({
+        const poissonData = withHalfTimeMarkets(enhancedPoissonCalculator.calculate({
           homeAttackRate: poissonParams.homeGoals,
           awayAttackRate: poissonParams.awayGoals,
           homeDefenseRate: poissonParams.homeDefense,
-          awayDefenseRate: poissonParams.awayDefense
-        });
+          awayDefenseRate: poissonParams.awayDefense,
+          rho: poissonParams.rho,
+          ...fittedLeagueParams,
+          homeDistribution: poissonParams.homeDistribution,
+          awayDistribution: poissonParams.awayDistribution
+        }));
         setPoissonResults(poissonData);
 
-        await updateProgress('Beräknar Monte Carlo-simulering...', 70);
-        const monteCarloData = monteCarloSimulator.simulate({
-          simulations: monteCarloParams.simulations,
-          homeGoalsAvg: monteCarloParams.homeAttack,
-          awayGoalsAvg: monteCarloParams.awayAttack,
-          homeDefenseStrength: monteCarloParams.homeDefense,
-          awayDefenseStrength: monteCarloParams.awayDefense
+        await updateProgress('Beräknar bivariat Poisson-modell...', 55);
+        const bivariateData = bivariatePoissonCalculator.calculate({
+          homeAttackRate: bivariateParams.homeGoals,
+          awayAttackRate: bivariateParams.awayGoals,
+          homeDefenseRate: bivariateParams.homeDefense,
+          awayDefenseRate: bivariateParams.awayDefense,
+          lambda3: bivariateParams.lambda3
         });
+        setBivariateResults(bivariateData);
+
+        // Elo and the Bayesian model are only compared once two teams from the result history are
+        // selected; a failure (or a cancelled sampler) leaves that row empty instead of stopping the run
+        const skipped = {};
+        const runOptionalModel = async (model, ready, calculate) => {
+          if (!ready) return null;
+          try {
+            return await calculate();
+          } catch (error) {
+            skipped[model] = error.message;
+            return null;
+          }
+        };
+
+        await updateProgress('Beräknar Elo-rating...', 62);
+        const eloData = await runOptionalModel('elo', eloParams.homeTeam && eloParams.awayTeam, calculateElo);
+        setEloResults(eloData);
+
+        await updateProgress('Beräknar bayesiansk modell...', 66);
+        const bayesianData = await runOptionalModel('bayesian', bayesianParams.homeTeam && bayesianParams.awayTeam, calculateBayesian);
+        setBayesianResults(bayesianData);
+        setSkippedModels(skipped);
+
+        await updateProgress('Beräknar Monte Carlo-simulering...', 70);
+        const monteCarloData = await runMonteCarlo(70, 95);
         setMonteCarloResults(monteCarloData);
         
         // Spara alla resultat offline
         const allResults = {
-          xg: {
-            homeWinProbability: xgData.homeWin,
-            drawProbability: xgData.draw,
-            awayWinProbability: xgData.awayWin,
-            expectedHomeGoals: parseFloat(xgData.adjustedHomeXG),
-            expectedAwayGoals: parseFloat(xgData.adjustedAwayXG)
-          },
+          xg: xgData,
           poisson: poissonData,
           montecarlo: monteCarloData,
+          bivariate: bivariateData,
+          elo: eloData,
+          bayesian: bayesianData,
           timestamp: Date.now(),
-          params: { xgParams, poissonParams, monteCarloParams }
+          params: { xgParams, poissonParams, monteCarloParams, bivariateParams, eloParams, bayesianParams }
         };
         await saveOfflineData('last_calculation', allResults);
         
@@ -145,29 +361,27 @@ const CombinedCalculator = ({
               homeFormFactor: xgParams.homeForm,
               weatherConditions: 1.0,
               motivationFactor: xgParams.motivation,
-              headToHeadFactor: 1.0
+              headToHeadFactor: 1.0,
+              ...tunedXGConstants
             });
             await updateProgress('Slutför xG-beräkning...', 80);
-            const xgResult = {
-              homeWinProbability: xgData.homeWin,
-              drawProbability: xgData.draw,
-              awayWinProbability: xgData.awayWin,
-              expectedHomeGoals: parseFloat(xgData.adjustedHomeXG),
-              expectedAwayGoals: parseFloat(xgData.adjustedAwayXG)
-            };
-            setXgResults(xgResult);
-            await saveOfflineData('last_xg_calculation', { result: xgResult, params: xgParams, timestamp: Date.now() });
+            setXgResults(xgData);
+            await saveOfflineData('last_xg_calculation', { result: xgData, params: xgParams, timestamp: Date.now() });
             await updateProgress('Klar!', 100);
             break;
             
           case 'poisson':
             await updateProgress('Beräknar Poisson-modell...', 30);
-            const poissonData = enhancedPoissonCalculator.calculate({
+            const poissonData = withHalfTimeMarkets(enhancedPoissonCalculator.calculate({
               homeAttackRate: poissonParams.homeGoals,
               awayAttackRate: poissonParams.awayGoals,
               homeDefenseRate: poissonParams.homeDefense,
-              awayDefenseRate: poissonParams.awayDefense
-            });
+              awayDefenseRate: poissonParams.awayDefense,
+              rho: poissonParams.rho,
+              ...fittedLeagueParams,
+              homeDistribution: poissonParams.homeDistribution,
+              awayDistribution: poissonParams.awayDistribution
+            }));
             await updateProgress('Slutför Poisson-beräkning...', 80);
             setPoissonResults(poissonData);
             await saveOfflineData('last_poisson_calculation', { result: poissonData, params: poissonParams, timestamp: Date.now() });
@@ -176,32 +390,82 @@ const CombinedCalculator = ({
             
           case 'montecarlo':
             await updateProgress('Beräknar Monte Carlo-simulering...', 30);
-            const monteCarloData = monteCarloSimulator.simulate({
-              simulations: monteCarloParams.simulations,
-              homeGoalsAvg: monteCarloParams.homeAttack,
-              awayGoalsAvg: monteCarloParams.awayAttack,
-              homeDefenseStrength: monteCarloParams.homeDefense,
-              awayDefenseStrength: monteCarloParams.awayDefense
-            });
+            const monteCarloData = await runMonteCarlo(30, 80);
             await updateProgress('Slutför Monte Carlo-beräkning...', 80);
             setMonteCarloResults(monteCarloData);
             await saveOfflineData('last_montecarlo_calculation', { result: monteCarloData, params: monteCarloParams, timestamp: Date.now() });
             await updateProgress('Klar!', 100);
             break;
+
+          case 'bivariate':
+            await updateProgress('Beräknar bivariat Poisson-modell...', 30);
+            const bivariateData = bivariatePoissonCalculator.calculate({
+              homeAttackRate: bivariateParams.homeGoals,
+              awayAttackRate: bivariateParams.awayGoals,
+              homeDefenseRate: bivariateParams.homeDefense,
+              awayDefenseRate: bivariateParams.awayDefense,
+              lambda3: bivariateParams.lambda3
+            });
+            await updateProgress('Slutför bivariat Poisson-beräkning...', 80);
+            setBivariateResults(bivariateData);
+            await saveOfflineData('last_bivariate_calculation', { result: bivariateData, params: bivariateParams, timestamp: Date.now() });
+            await updateProgress('Klar!', 100);
+            break;
+
+          case 'elo':
+            await updateProgress('Beräknar Elo-rating...', 30);
+            const eloData = calculateElo();
+            await updateProgress('Slutför Elo-beräkning...', 80);
+            setEloResults(eloData);
+            await saveOfflineData('last_elo_calculation', { result: eloData, params: eloParams, timestamp: Date.now() });
+            await updateProgress('Klar!', 100);
+            break;
+
+          case 'bayesian':
+            await updateProgress('Samplar posteriorn med MCMC...', 30);
+            const bayesianData = await calculateBayesian();
+            await updateProgress('Slutför bayesiansk beräkning...', 80);
+            setBayesianResults(bayesianData);
+            await saveOfflineData('last_bayesian_calculation', { result: bayesianData, params: bayesianParams, timestamp: Date.now() });
+            await updateProgress('Klar!', 100);
+            break;
+
+          case 'inplay':
+            await updateProgress('Beräknar live-prediktion...', 30);
+            const inPlayData = inPlayModel.calculate({
+              homeExpectedGoals: inPlayParams.homeExpectedGoals,
+              awayExpectedGoals: inPlayParams.awayExpectedGoals,
+              minute: inPlayParams.minute,
+              homeScore: inPlayParams.homeScore,
+              awayScore: inPlayParams.awayScore,
+              homeRedCards: inPlayParams.homeRedCards,
+              awayRedCards: inPlayParams.awayRedCards,
+              liveXG: inPlayParams.useLiveXG ? { home: inPlayParams.homeLiveXG, away: inPlayParams.awayLiveXG } : null
+            });
+            await updateProgress('Slutför live-prediktion...', 80);
+            setInPlayResults(inPlayData);
+            await saveOfflineData('last_inplay_calculation', { result: inPlayData, params: inPlayParams, timestamp: Date.now() });
+            await updateProgress('Klar!', 100);
+            break;
         }
       }
       // Show success message
       if (showComparison) {
-        showSuccess('Alla beräkningar slutförda', 'xG, Poisson och Monte Carlo modeller har beräknats');
+        showSuccess('Alla beräkningar slutförda', 'xG, Poisson, bivariat Poisson, Elo, bayesiansk och Monte Carlo modeller har beräknats');
       } else {
         const methodNames = {
           xg: 'xG-modell',
           poisson: 'Poisson-modell',
-          montecarlo: 'Monte Carlo-simulering'
+          montecarlo: 'Monte Carlo-simulering',
+          bivariate: 'Bivariat Poisson-modell',
+          elo: 'Elo-rating',
+          bayesian: 'Bayesiansk modell',
+          inplay: 'Live-prediktion'
         };
         showSuccess(`${methodNames[activeTab]} slutförd`, 'Beräkningen har genomförts framgångsrikt');
       }
     } catch (error) {
+      if (isSimulationCancelled(error)) return;
       console.error('Calculation error:', error);
       showCalculationError(error, `Fel vid beräkning av ${activeTab} metod`);
     } finally {
@@ -225,7 +489,7 @@ const CombinedCalculator = ({
 
   // Auto-calculate on tab change or comparison mode change
   useEffect(() => {
-    if (xgResults || poissonResults || monteCarloResults) {
+    if (xgResults || poissonResults || monteCarloResults || bivariateResults || eloResults || bayesianResults) {
       calculateResults();
     }
   }, [activeTab, showComparison]);
@@ -242,8 +506,9 @@ const CombinedCalculator = ({
         <CalculationLoader 
           currentStep={currentCalculationStep}
           progress={calculationProgress}
+          onCancel={isSimulating ? handleCancelSimulation : undefined}
           steps={showComparison ? 
-            ['xG-modell', 'Poisson-modell', 'Monte Carlo-simulering'] :
+            ['xG-modell', 'Poisson-modell', 'Bivariat Poisson-modell', 'Elo-rating', 'Bayesiansk modell', 'Monte Carlo-simulering'] :
             [title]
           }
         />
@@ -269,23 +534,50 @@ const CombinedCalculator = ({
           <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 sm:gap-4">
             <div className="text-center p-3 sm:p-4 bg-green-50 rounded-lg">
               <div className="text-xl sm:text-2xl font-bold text-green-600">
-                {results.homeWinProbability}%
+                {formatPercent(results.homeWinProbability)}
               </div>
               <div className="text-xs sm:text-sm text-gray-600">Hemmavinst</div>
+              {results.confidenceIntervals && (
+                <ProbabilityErrorBar
+                  className="mt-2 text-left"
+                  probability={results.homeWinProbability}
+                  interval={results.confidenceIntervals.homeWinProbability}
+                />
+              )}
             </div>
             <div className="text-center p-3 sm:p-4 bg-yellow-50 rounded-lg">
               <div className="text-xl sm:text-2xl font-bold text-yellow-600">
-                {results.drawProbability}%
+                {formatPercent(results.drawProbability)}
               </div>
               <div className="text-xs sm:text-sm text-gray-600">Oavgjort</div>
+              {results.confidenceIntervals && (
+                <ProbabilityErrorBar
+                  className="mt-2 text-left"
+                  probability={results.drawProbability}
+                  interval={results.confidenceIntervals.drawProbability}
+                />
+              )}
             </div>
             <div className="text-center p-3 sm:p-4 bg-red-50 rounded-lg">
               <div className="text-xl sm:text-2xl font-bold text-red-600">
-                {results.awayWinProbability}%
+                {formatPercent(results.awayWinProbability)}
               </div>
               <div className="text-xs sm:text-sm text-gray-600">Bortavinst</div>
+              {results.confidenceIntervals && (
+                <ProbabilityErrorBar
+                  className="mt-2 text-left"
+                  probability={results.awayWinProbability}
+                  interval={results.confidenceIntervals.awayWinProbability}
+                />
+              )}
             </div>
           </div>
+          {calibratedResults[method] && (
+            <p className="text-xs text-gray-600 mt-2">
+              Kalibrerad ({CALIBRATION_METHOD_LABELS[calibratedResults[method].calibration.method]}, {leagueLabel(calibratedResults[method].calibration.league)}):
+              {' '}hemmavinst {formatPercent(calibratedResults[method].homeWinProbability)}, oavgjort {formatPercent(calibratedResults[method].drawProbability)}, bortavinst {formatPercent(calibratedResults[method].awayWinProbability)}
+            </p>
+          )}
         </div>
 
         {/* Expected Goals */}
@@ -294,24 +586,112 @@ const CombinedCalculator = ({
           <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
             <div className="text-center p-3 sm:p-4 bg-blue-50 rounded-lg">
               <div className="text-lg sm:text-xl font-bold text-blue-600">
-                {typeof results.expectedHomeGoals === 'number' ? results.expectedHomeGoals.toFixed(2) : results.expectedHomeGoals || 'N/A'}
+                {formatGoals(results.expectedHomeGoals)}
               </div>
               <div className="text-xs sm:text-sm text-gray-600">Hemmalag</div>
             </div>
             <div className="text-center p-3 sm:p-4 bg-purple-50 rounded-lg">
               <div className="text-lg sm:text-xl font-bold text-purple-600">
-                {typeof results.expectedAwayGoals === 'number' ? results.expectedAwayGoals.toFixed(2) : results.expectedAwayGoals || 'N/A'}
+                {formatGoals(results.expectedAwayGoals)}
               </div>
               <div className="text-xs sm:text-sm text-gray-600">Bortalag</div>
             </div>
           </div>
         </div>
 
+        {/* Market probabilities with 95% intervals (Monte Carlo: Wilson, Bayesian: credible intervals) */}
+        {results.confidenceIntervals && (
+          <div className="mb-6">
+            <h4 className="font-semibold mb-3 text-gray-700">
+              {method === 'bayesian' ? 'Marknader med 95% kredibla intervall (posterior)' : 'Marknader med 95%-intervall (Wilson)'}
+            </h4>
+            <div className="space-y-2">
+              {Object.entries(MARKET_LABELS).map(([key, label]) => (
+                <div key={key} className="grid grid-cols-3 sm:grid-cols-4 gap-2 items-center text-sm">
+                  <span className="text-gray-600">{label}</span>
+                  <span className="font-semibold text-gray-800 text-right">{formatPercent(results[key])}</span>
+                  <ProbabilityErrorBar
+                    className="sm:col-span-2"
+                    probability={results[key]}
+                    interval={results.confidenceIntervals[key]}
+                  />
+                </div>
+              ))}
+            </div>
+            {results.simulationStats?.adaptive && (
+              <p className="text-xs text-gray-500 mt-2">
+                {results.simulationStats.adaptive.converged
+                  ? `Adaptivt läge: toleransen ${formatPercent(results.simulationStats.adaptive.tolerance)} nåddes efter ${results.simulationStats.rounds} omgångar`
+                  : `Adaptivt läge: maxgränsen nåddes innan toleransen ${formatPercent(results.simulationStats.adaptive.tolerance)} (bredaste intervall ${formatPercent(results.simulationStats.adaptive.widestInterval, 2)})`}
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Dixon-Coles draw correction */}
+        {method === 'poisson' && results.dixonColes && (
+          <div className="mb-6">
+            <h4 className="font-semibold mb-3 text-gray-700">Dixon-Coles-justering (ρ = {formatNumber(results.dixonColes.rho)})</h4>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
+              <div className="text-center p-3 sm:p-4 bg-gray-50 rounded-lg">
+                <div className="text-lg sm:text-xl font-bold text-gray-600">
+                  {formatPercent(results.dixonColes.uncorrectedDrawProbability)}
+                </div>
+                <div className="text-xs sm:text-sm text-gray-600">Oavgjort utan korrigering</div>
+              </div>
+              <div className="text-center p-3 sm:p-4 bg-yellow-50 rounded-lg">
+                <div className="text-lg sm:text-xl font-bold text-yellow-600">
+                  {formatPercent(results.dixonColes.correctedDrawProbability)}
+                </div>
+                <div className="text-xs sm:text-sm text-gray-600">Oavgjort med korrigering</div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Posterior team strengths */}
+        {method === 'bayesian' && results.bayesian?.teams && (
+          <div className="mb-6">
+            <h4 className="font-semibold mb-3 text-gray-700">Lagstyrkor (posteriormedel och 95% kredibla intervall)</h4>
+            <div className="overflow-x-auto">
+              <table className="w-full border-collapse text-xs">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="border p-1 text-left">Lag</th>
+                    <th className="border p-1 text-center">Matcher</th>
+                    <th className="border p-1 text-center">Attack (mål/match)</th>
+                    <th className="border p-1 text-center">Försvar (faktor)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.bayesian.teams.map(row => (
+                    <tr key={row.team}>
+                      <td className="border p-1">{row.team}</td>
+                      <td className="border p-1 text-center">{row.matches}</td>
+                      <td className="border p-1 text-center">{formatNumber(row.attack.mean, 2)} ({formatNumber(row.attack.lower, 2)}-{formatNumber(row.attack.upper, 2)})</td>
+                      <td className="border p-1 text-center">{formatNumber(row.defence.mean, 2)} ({formatNumber(row.defence.lower, 2)}-{formatNumber(row.defence.upper, 2)})</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Försvar under 1 = släpper in mindre än snittet. Hemmafördel {formatPercent(results.bayesian.homeAdvantage.mean)} ({formatPercent(results.bayesian.homeAdvantage.lower)}-{formatPercent(results.bayesian.homeAdvantage.upper)}),
+              {' '}spridning mellan lagen σ attack {formatNumber(results.bayesian.sigmaAttack.mean, 2)}, σ försvar {formatNumber(results.bayesian.sigmaDefence.mean, 2)}.
+            </p>
+          </div>
+        )}
+
         {/* Method-specific info and Export */}
         <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mt-4">
           <div className="text-xs text-gray-500">
             {method === 'poisson' && 'Baserat på Poisson-fördelning'}
-            {method === 'montecarlo' && methodParams && `Baserat på ${methodParams.simulations.toLocaleString()} simuleringar`}
+            {method === 'montecarlo' && results.simulationStats && `Baserat på ${results.simulationStats.totalSimulations.toLocaleString()} simuleringar`}
+            {method === 'bivariate' && results.calculationStats && `Bivariat Poisson med λ3 = ${formatNumber(results.calculationStats.lambda3)} (korrelation ${formatNumber(results.calculationStats.correlation)})`}
+            {method === 'elo' && results.elo && `Elo ${Math.round(results.elo.homeRating)} mot ${Math.round(results.elo.awayRating)}, skillnad ${Math.round(results.elo.ratingDifference)} poäng${results.elo.neutral ? ' (neutral plan)' : ' inkl. hemmafördel'}. Förväntade mål härleds från 1X2 och ligans målsnitt`}
+            {method === 'bayesian' && results.bayesian && `${results.bayesian.diagnostics.draws.toLocaleString()} posteriordragningar från ${results.bayesian.diagnostics.chains} kedjor, max R-hat ${formatNumber(results.bayesian.diagnostics.maxRhat, 3)}, minsta effektiva stickprov ${Math.round(results.bayesian.diagnostics.minEffectiveSize)}${results.bayesian.diagnostics.maxRhat > 1.05 ? ' - kedjorna har inte konvergerat, öka antalet iterationer' : ''}`}
+            {method === 'ensemble' && results.ensemble && `${results.ensemble.method === 'logLinear' ? 'Log-linjär' : 'Linjär'} poolning med ${results.ensemble.learned ? 'inlärda' : 'lika'} vikter: ${Object.entries(results.ensemble.weights).map(([model, weight]) => `${ENSEMBLE_MODEL_LABELS[model]} ${formatPercent(weight)}`).join(', ')}${results.ensemble.missing.length > 0 ? ` (saknar ${results.ensemble.missing.map(model => ENSEMBLE_MODEL_LABELS[model]).join(', ')})` : ''}`}
+            {method === 'inplay' && results.inPlay && `Minut ${results.inPlay.minute}, ställning ${results.inPlay.score.home}-${results.inPlay.score.away}, ${formatPercent(results.inPlay.remainingShare)} av matchen kvar`}
           </div>
           <CompactExportButton
             results={{ [method]: results }}
@@ -328,6 +708,10 @@ const CombinedCalculator = ({
       case 'xg': return 'Expected Goals (xG) - Kvalitetsbaserad Analys';
       case 'poisson': return 'Poisson-modell - Statistisk Sannolikhetsberäkning';
       case 'montecarlo': return 'Monte Carlo - Avancerad Simuleringsanalys';
+      case 'bivariate': return 'Bivariat Poisson - Korrelerade Målprocesser';
+      case 'elo': return 'Elo - Rating från Resultathistorik';
+      case 'bayesian': return 'Bayesiansk Hierarkisk Modell - Osäkerhet med MCMC';
+      case 'inplay': return 'Live - Prediktion Under Pågående Match';
       default: return 'Professionell Matchanalys';
     }
   };
@@ -337,6 +721,10 @@ const CombinedCalculator = ({
       case 'xg': return 'Analyserar matchutfall genom Expected Goals (xG) - den mest moderna metoden inom fotbollsanalytik. Baserat på skottchansornas kvalitet och position ger denna metod djupgående insikter om lagens verkliga prestanda bortom bara mål och resultat.';
       case 'poisson': return 'Använder Poisson-fördelning, en beprövad matematisk modell som är standard inom professionell sportsbetting. Perfekt för att förutsäga exakta resultat och målantal baserat på lagens historiska attack- och försvarsstyrka.';
       case 'montecarlo': return 'Kör tusentals virtuella matcher med realistisk slumpvariation - samma teknik som används av professionella analysföretag. Ger de mest tillförlitliga sannolikheterna genom att simulera matchernas naturliga osäkerhet och variation.';
+      case 'inplay': return 'Uppdaterar sannolikheterna under matchen utifrån aktuell minut, ställning, röda kort och valfritt live-xG. Återstående mål beräknas med Poisson-modellen skalad till den tid som är kvar, och tidslinjen visar hur sannolikheterna förändras minut för minut.';
+      case 'elo': return 'Bygger en Elo-rating för varje lag genom att gå igenom tidigare resultat i datumordning, med K-faktor per tävling, hemmafördel och extra vikt för stora segrar. Ratingskillnaden omvandlas till 1X2-sannolikheter med en ordnad logit-modell som anpassas på samma matcher.';
+      case 'bayesian': return 'Skattar varje lags attack och försvar med en hierarkisk Poisson-modell där ligans spridning mellan lagen också skattas, så lag med få matcher dras mot ligasnittet. Posteriorn samplas med MCMC och prognosen väger samman alla dragningar, med kredibla intervall för varje marknad.';
+      case 'bivariate': return 'Utökar Poisson-modellen med en gemensam kovariansterm (λ3) som låter båda lagens målproduktion styras av matchens gemensamma tempo. Passar matcher där öppet spel tenderar att ge mål i båda ändar.';
       default: return 'Välj en analysmetod för att börja din professionella matchanalys.';
     }
   };
@@ -347,9 +735,13 @@ const CombinedCalculator = ({
       if (!isOnline) {
         const lastCalc = await loadOfflineData('last_calculation');
         if (lastCalc) {
-          setXgResults(lastCalc.xg);
-          setPoissonResults(lastCalc.poisson);
-          setMonteCarloResults(lastCalc.montecarlo);
+          // Results saved before the numeric result schema are skipped
+          setXgResults(restorePredictionResult(lastCalc.xg));
+          setPoissonResults(restorePredictionResult(lastCalc.poisson));
+          setMonteCarloResults(restorePredictionResult(lastCalc.montecarlo));
+          setBivariateResults(restorePredictionResult(lastCalc.bivariate));
+          setEloResults(restorePredictionResult(lastCalc.elo));
+          setBayesianResults(restorePredictionResult(lastCalc.bayesian));
           console.log('Loaded offline calculation data');
         }
       }
@@ -394,6 +786,7 @@ const CombinedCalculator = ({
                   <li><strong>Försvarsstyrka:</strong> Genomsnittliga insläppta mål per match</li>
                   <li>Använd data från senaste 10-15 matcherna för bästa precision</li>
                   <li>Justera för hemmaplan: +0.2-0.4 mål för hemmalaget</li>
+                  <li><strong>Målfördelning:</strong> Välj negativ binomial om lagets målantal varierar mer än genomsnittet, eller skatta från målhistoriken</li>
                 </ul>
               </div>
             )}
@@ -402,11 +795,56 @@ const CombinedCalculator = ({
                 <p><strong>Monte Carlo-simulering parametrar:</strong></p>
                 <ul className="list-disc list-inside ml-4 space-y-1">
                   <li><strong>Simuleringar:</strong> Fler simuleringar = högre precision (10,000-100,000)</li>
+                  <li><strong>Osäkerhet:</strong> Varje sannolikhet visas med ett 95%-intervall (Wilson). Adaptivt läge simulerar tills intervallen är smalare än vald tolerans</li>
                   <li><strong>Attack/Försvar:</strong> Liknande Poisson men justerat för slumpmässighet</li>
                   <li>Bäst för komplexa scenarier med många variabler</li>
                 </ul>
               </div>
             )}
+            {activeTab === 'bivariate' && (
+              <div>
+                <p><strong>Bivariat Poisson parametrar:</strong></p>
+                <ul className="list-disc list-inside ml-4 space-y-1">
+                  <li><strong>Attack/Försvar:</strong> Samma som i Poisson-modellen</li>
+                  <li><strong>Kovarians (λ3):</strong> Gemensam tempofaktor - 0 ger oberoende Poisson</li>
+                  <li>Typiska värden för λ3: 0.05-0.20 (Karlis & Ntzoufras, 2003)</li>
+                  <li>Förväntade mål påverkas inte av λ3, bara samvariationen mellan lagens mål</li>
+                </ul>
+              </div>
+            )}
+            {activeTab === 'elo' && (
+              <div>
+                <p><strong>Elo parametrar:</strong></p>
+                <ul className="list-disc list-inside ml-4 space-y-1">
+                  <li><strong>Resultathistorik:</strong> En match per rad med datum, t.ex. "2024-08-17, Lag A 2-1 Lag B" - matcherna räknas i datumordning</li>
+                  <li><strong>Tävling:</strong> Lägg till [cup], [continental] eller [worldCup] sist på raden för högre K-faktor, och [neutral] för neutral plan</li>
+                  <li><strong>Hemmafördel:</strong> 100 ratingpoäng motsvarar ungefär 64% förväntad poäng mellan jämna lag</li>
+                  <li>Oavgjortsmodellen anpassas när minst 30 matcher med alla tre utfall finns (Hvattum & Arntzen, 2010)</li>
+                </ul>
+              </div>
+            )}
+            {activeTab === 'bayesian' && (
+              <div>
+                <p><strong>Bayesiansk modell parametrar:</strong></p>
+                <ul className="list-disc list-inside ml-4 space-y-1">
+                  <li><strong>Resultathistorik:</strong> En match per rad, t.ex. "2024-08-17, Lag A 2-1 Lag B" - samma format som skattningen i Poisson-fliken</li>
+                  <li><strong>Kedjor och iterationer:</strong> Fler dragningar ger stabilare intervall; R-hat nära 1 (under 1.05) visar att kedjorna är överens</li>
+                  <li><strong>Kredibla intervall:</strong> Det finns 95% sannolikhet att marknadens sannolikhet ligger i intervallet givet data och modellen</li>
+                  <li>Hierarkisk modell enligt Baio & Blangiardo (2010) - lag med få matcher dras mot ligasnittet</li>
+                </ul>
+              </div>
+            )}
+            {activeTab === 'inplay' && (
+              <div>
+                <p><strong>Live-prediktion parametrar:</strong></p>
+                <ul className="list-disc list-inside ml-4 space-y-1">
+                  <li><strong>Förväntade mål före match:</strong> Lagens förväntade mål för hela matchen, t.ex. från Poisson-fliken</li>
+                  <li><strong>Minut och ställning:</strong> Aktuellt läge i matchen - återstående mål skalas till tiden som är kvar inklusive tilläggstid</li>
+                  <li><strong>Röda kort:</strong> Laget med färre spelare gör färre mål och motståndaren fler</li>
+                  <li><strong>Live-xG:</strong> Lagens xG hittills väger in tempot i matchen - ju längre matchen gått, desto mer väger det</li>
+                </ul>
+              </div>
+            )}
           </div>
         </details>
 
@@ -434,6 +872,15 @@ const CombinedCalculator = ({
                   </>
                 )}
               </button>
+              {isSimulating && (
+                <button
+                  onClick={handleCancelSimulation}
+                  className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-4 py-2 rounded-lg transition-colors flex items-center justify-center text-sm sm:text-base"
+                >
+                  <Icon name="X" size={16} className="mr-2" />
+                  Avbryt simulering
+                </button>
+              )}
               <ShortcutHelpButton />
               <button
                 onClick={() => window.dispatchEvent(new CustomEvent('openTeamDataGuide'))}
@@ -450,6 +897,12 @@ const CombinedCalculator = ({
           <div className="space-y-4">
             {activeTab === 'xg' && (
               <div className="space-y-4">
+                <ShotXGModelInput />
+                <HyperparameterTuningInput
+                  model="xg"
+                  onApply={(params) => Object.entries(params).forEach(([field, value]) => onXgChange(field, value))}
+                  onReset={() => Object.keys(TUNING_SPACES.xg).forEach(field => onXgChange(field, undefined))}
+                />
                 <ValidatedInput
                   label="Hemmalag xG"
                   type="number"
@@ -553,6 +1006,18 @@ const CombinedCalculator = ({
             )}
             {activeTab === 'poisson' && (
               <div className="space-y-4">
+                <TeamStrengthFitInput
+                  onApply={applyFittedStrengths}
+                  onReset={() => {
+                    onPoissonChange('leagueAverage', undefined);
+                    onPoissonChange('homeAdvantage', undefined);
+                  }}
+                />
+                <HyperparameterTuningInput
+                  model="poisson"
+                  onApply={(params) => Object.entries(params).forEach(([field, value]) => onPoissonChange(field, value))}
+                  onReset={() => Object.keys(TUNING_SPACES.poisson).forEach(field => onPoissonChange(field, undefined))}
+                />
                 <ValidatedInput
                   label="Hemmalag Attackstyrka"
                   type="number"
@@ -597,10 +1062,49 @@ const CombinedCalculator = ({
                   validationRules={poissonErrors.awayDefense ? [] : [() => true]}
                   helpText="Defensiv styrka baserat på insläppta mål per match. Min: 0.1, Max: 3.0. Vanliga värden: 0.6-1.8. Exempel: 1.0 = starkt försvar, 1.2 = genomsnitt, 1.6 = svagt försvar. Lägre värde = bättre försvar."
                 />
+                <ValidatedInput
+                  label="Dixon-Coles ρ (lågmålskorrigering)"
+                  type="number"
+                  min={-0.3}
+                  max={0.3}
+                  step={0.01}
+                  value={poissonParams.rho}
+                  onChange={(value) => onPoissonChange('rho', value)}
+                  validationRules={poissonErrors.rho ? [] : [() => true]}
+                  helpText="Beroendeparameter för 0-0, 1-0, 0-1 och 1-1. Min: -0.3, Max: 0.3. 0 = oberoende Poisson. Vanliga värden: -0.05 till -0.15. Negativt värde ökar sannolikheten för 0-0 och 1-1."
+                />
+                <ValidatedInput
+                  label="Andel mål i första halvlek"
+                  type="number"
+                  min={0.3}
+                  max={0.6}
+                  step={0.01}
+                  value={poissonParams.firstHalfShare}
+                  onChange={(value) => onPoissonChange('firstHalfShare', value)}
+                  validationRules={poissonErrors.firstHalfShare ? [] : [() => true]}
+                  helpText="Andel av lagens förväntade mål som görs före paus. Används för halvtid/fulltid och första halvlek. Min: 0.3, Max: 0.6. Vanliga värden: 0.43-0.47. Standard 0.45 enligt ligadata."
+                />
+                <GoalDistributionInput
+                  label="Hemmalag Målfördelning"
+                  value={poissonParams.homeDistribution}
+                  onChange={(value) => onPoissonChange('homeDistribution', value)}
+                />
+                <GoalDistributionInput
+                  label="Bortalag Målfördelning"
+                  value={poissonParams.awayDistribution}
+                  onChange={(value) => onPoissonChange('awayDistribution', value)}
+                />
               </div>
             )}
             {activeTab === 'montecarlo' && (
               <div className="space-y-4">
+                <DynamicRatingInput
+                  onApply={applyDynamicRatings}
+                  onReset={() => {
+                    onMonteCarloChange('homeAdvantage', undefined);
+                    onMonteCarloChange('strengthUncertainty', null);
+                  }}
+                />
                 <ValidatedInput
                   label="Antal simuleringar"
                   type="number"
@@ -610,7 +1114,7 @@ const CombinedCalculator = ({
                   value={monteCarloParams.simulations}
                   onChange={(value) => onMonteCarloChange('simulations', value)}
                   validationRules={monteCarloErrors.simulations ? [] : [() => true]}
-                  helpText="Antal Monte Carlo-simuleringar att köra. Min: 1,000, Max: 1,000,000. Vanliga värden: 10,000-100,000. Exempel: 10,000 = snabbt resultat, 100,000 = högre precision."
+                  helpText="Antal Monte Carlo-simuleringar att köra. Min: 1,000, Max: 1,000,000. Vanliga värden: 10,000-100,000. Exempel: 10,000 = snabbt resultat, 100,000 = högre precision. I adaptivt läge är detta antalet per omgång."
                 />
                 <ValidatedInput
                   label="Hemmalag Attackstyrka (MC)"
@@ -656,8 +1160,210 @@ const CombinedCalculator = ({
                    validationRules={monteCarloErrors.awayDefense ? [] : [() => true]}
                    helpText="Defensiv styrka för Monte Carlo-simulering. Min: 0.1, Max: 3.0. Vanliga värden: 0.6-1.8. Exempel: 1.1 = starkt försvar, 1.2 = genomsnitt, 1.5 = svagt försvar. Lägre värde = bättre försvar."
                  />
+                <ValidatedInput
+                  label="Andel mål i första halvlek (MC)"
+                  type="number"
+                  min={0.3}
+                  max={0.6}
+                  step={0.01}
+                  value={monteCarloParams.firstHalfShare}
+                  onChange={(value) => onMonteCarloChange('firstHalfShare', value)}
+                  validationRules={monteCarloErrors.firstHalfShare ? [] : [() => true]}
+                  helpText="Andel av lagens förväntade mål som görs före paus. Används för halvtid/fulltid och första halvlek. Min: 0.3, Max: 0.6. Vanliga värden: 0.43-0.47. Standard 0.45 enligt ligadata."
+                />
+                <GoalDistributionInput
+                  label="Hemmalag Målfördelning (MC)"
+                  value={monteCarloParams.homeDistribution}
+                  onChange={(value) => onMonteCarloChange('homeDistribution', value)}
+                />
+                <GoalDistributionInput
+                  label="Bortalag Målfördelning (MC)"
+                  value={monteCarloParams.awayDistribution}
+                  onChange={(value) => onMonteCarloChange('awayDistribution', value)}
+                />
+                <AdaptiveSimulationInput
+                  value={monteCarloParams.adaptive}
+                  onChange={(value) => onMonteCarloChange('adaptive', value)}
+                />
+                <TimelineSimulationInput
+                  value={monteCarloParams.timeline}
+                  onChange={(value) => onMonteCarloChange('timeline', value)}
+                />
                </div>
              )}
+            {activeTab === 'bivariate' && (
+              <div className="space-y-4">
+                <ValidatedInput
+                  label="Hemmalag Attackstyrka"
+                  type="number"
+                  min={0.1}
+                  max={4.0}
+                  step={0.1}
+                  value={bivariateParams.homeGoals}
+                  onChange={(value) => onBivariateChange('homeGoals', value)}
+                  validationRules={bivariateErrors.homeGoals ? [] : [() => true]}
+                  helpText="Offensiv styrka baserat på genomsnittliga mål per match. Min: 0.1, Max: 4.0. Vanliga värden: 0.5-2.5. Exempel: 1.8 = starkt anfall, 1.0 = genomsnitt, 0.6 = svagt anfall."
+                />
+                <ValidatedInput
+                  label="Bortalag Attackstyrka"
+                  type="number"
+                  min={0.1}
+                  max={4.0}
+                  step={0.1}
+                  value={bivariateParams.awayGoals}
+                  onChange={(value) => onBivariateChange('awayGoals', value)}
+                  validationRules={bivariateErrors.awayGoals ? [] : [() => true]}
+                  helpText="Offensiv styrka baserat på genomsnittliga mål per match. Min: 0.1, Max: 4.0. Vanliga värden: 0.5-2.5. Exempel: 1.5 = starkt anfall, 1.0 = genomsnitt, 0.7 = svagt anfall."
+                />
+                <ValidatedInput
+                  label="Hemmalag Försvarsstyrka"
+                  type="number"
+                  min={0.1}
+                  max={3.0}
+                  step={0.1}
+                  value={bivariateParams.homeDefense}
+                  onChange={(value) => onBivariateChange('homeDefense', value)}
+                  validationRules={bivariateErrors.homeDefense ? [] : [() => true]}
+                  helpText="Defensiv styrka baserat på insläppta mål per match. Min: 0.1, Max: 3.0. Vanliga värden: 0.6-1.8. Lägre värde = bättre försvar."
+                />
+                <ValidatedInput
+                  label="Bortalag Försvarsstyrka"
+                  type="number"
+                  min={0.1}
+                  max={3.0}
+                  step={0.1}
+                  value={bivariateParams.awayDefense}
+                  onChange={(value) => onBivariateChange('awayDefense', value)}
+                  validationRules={bivariateErrors.awayDefense ? [] : [() => true]}
+                  helpText="Defensiv styrka baserat på insläppta mål per match. Min: 0.1, Max: 3.0. Vanliga värden: 0.6-1.8. Lägre värde = bättre försvar."
+                />
+                <ValidatedInput
+                  label="Kovarians λ3 (gemensamt tempo)"
+                  type="number"
+                  min={0}
+                  max={1.0}
+                  step={0.01}
+                  value={bivariateParams.lambda3}
+                  onChange={(value) => onBivariateChange('lambda3', value)}
+                  validationRules={bivariateErrors.lambda3 ? [] : [() => true]}
+                  helpText="Gemensam målkomponent för båda lagen. Min: 0, Max: 1.0. Vanliga värden: 0.05-0.20. 0 = oberoende Poisson, högre värde = starkare samvariation mellan lagens mål."
+                />
+              </div>
+            )}
+            {activeTab === 'elo' && (
+              <EloRatingInput value={eloParams} onChange={onEloChange} />
+            )}
+            {activeTab === 'bayesian' && (
+              <BayesianModelInput value={bayesianParams} onChange={onBayesianChange} />
+            )}
+            {activeTab === 'inplay' && (
+              <div className="space-y-4">
+                <ValidatedInput
+                  label="Hemmalag förväntade mål före match"
+                  type="number"
+                  min={0.1}
+                  max={5.0}
+                  step={0.1}
+                  value={inPlayParams.homeExpectedGoals}
+                  onChange={(value) => onInPlayChange('homeExpectedGoals', value)}
+                  helpText="Hemmalagets förväntade mål för hela matchen före avspark. Min: 0.1, Max: 5.0. Vanliga värden: 0.8-2.5."
+                />
+                <ValidatedInput
+                  label="Bortalag förväntade mål före match"
+                  type="number"
+                  min={0.1}
+                  max={5.0}
+                  step={0.1}
+                  value={inPlayParams.awayExpectedGoals}
+                  onChange={(value) => onInPlayChange('awayExpectedGoals', value)}
+                  helpText="Bortalagets förväntade mål för hela matchen före avspark. Min: 0.1, Max: 5.0. Vanliga värden: 0.6-2.0."
+                />
+                <div className="space-y-2">
+                  <label htmlFor="inplay-minute" className="text-sm font-medium text-foreground">
+                    Aktuell minut: {inPlayParams.minute}'
+                  </label>
+                  <input
+                    id="inplay-minute"
+                    type="range"
+                    min={0}
+                    max={MATCH_MINUTES}
+                    step={1}
+                    value={inPlayParams.minute}
+                    onChange={(event) => onInPlayChange('minute', Number(event.target.value))}
+                    className="w-full"
+                  />
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <ValidatedInput
+                    label="Hemmalag mål"
+                    type="number"
+                    min={0}
+                    max={10}
+                    step={1}
+                    value={inPlayParams.homeScore}
+                    onChange={(value) => onInPlayChange('homeScore', value)}
+                  />
+                  <ValidatedInput
+                    label="Bortalag mål"
+                    type="number"
+                    min={0}
+                    max={10}
+                    step={1}
+                    value={inPlayParams.awayScore}
+                    onChange={(value) => onInPlayChange('awayScore', value)}
+                  />
+                  <ValidatedInput
+                    label="Hemmalag röda kort"
+                    type="number"
+                    min={0}
+                    max={4}
+                    step={1}
+                    value={inPlayParams.homeRedCards}
+                    onChange={(value) => onInPlayChange('homeRedCards', value)}
+                  />
+                  <ValidatedInput
+                    label="Bortalag röda kort"
+                    type="number"
+                    min={0}
+                    max={4}
+                    step={1}
+                    value={inPlayParams.awayRedCards}
+                    onChange={(value) => onInPlayChange('awayRedCards', value)}
+                  />
+                </div>
+                <div className="space-y-3 p-3 bg-gray-50 rounded-lg">
+                  <Checkbox
+                    id="inplay-live-xg"
+                    label="Använd live-xG"
+                    description="Väger samman förväntade mål före match med lagens xG hittills i matchen"
+                    checked={inPlayParams.useLiveXG}
+                    onChange={(event) => onInPlayChange('useLiveXG', event.target.checked)}
+                  />
+                  {inPlayParams.useLiveXG && (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                      <ValidatedInput
+                        label="Hemmalag xG hittills"
+                        type="number"
+                        min={0}
+                        max={8.0}
+                        step={0.1}
+                        value={inPlayParams.homeLiveXG}
+                        onChange={(value) => onInPlayChange('homeLiveXG', value)}
+                      />
+                      <ValidatedInput
+                        label="Bortalag xG hittills"
+                        type="number"
+                        min={0}
+                        max={8.0}
+                        step={0.1}
+                        value={inPlayParams.awayLiveXG}
+                        onChange={(value) => onInPlayChange('awayLiveXG', value)}
+                      />
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
            </div>
           </div>
        </div>
@@ -707,6 +1413,12 @@ const CombinedCalculator = ({
                params={poissonParams}
              />
            )}
+           {activeTab === 'poisson' && (
+             <AsianHandicapPanel sources={[{ key: 'poisson', label: 'Poisson', results: poissonResults }]} />
+           )}
+           {activeTab === 'poisson' && (
+             <HalfTimePanel sources={[{ key: 'poisson', label: 'Poisson', results: poissonResults }]} />
+           )}
            {activeTab === 'montecarlo' && (
              <ResultCard 
                title="Monte Carlo: Simuleringsbaserade Resultat" 
@@ -715,12 +1427,69 @@ const CombinedCalculator = ({
                params={monteCarloParams}
              />
            )}
+           {activeTab === 'montecarlo' && (
+             <AsianHandicapPanel sources={[{ key: 'montecarlo', label: 'Monte Carlo', results: monteCarloResults }]} />
+           )}
+           {activeTab === 'montecarlo' && (
+             <HalfTimePanel sources={[{ key: 'montecarlo', label: 'Monte Carlo', results: monteCarloResults }]} />
+           )}
+           {activeTab === 'montecarlo' && (
+             <GoalTimingPanel sources={[{ key: 'montecarlo', label: 'Monte Carlo', results: monteCarloResults }]} />
+           )}
+           {activeTab === 'bivariate' && (
+             <ResultCard 
+               title="Bivariat Poisson: Korrelerade Sannolikheter" 
+               results={bivariateResults} 
+               method="bivariate"
+               params={bivariateParams}
+             />
+           )}
+           {activeTab === 'elo' && (
+             <ResultCard 
+               title="Elo: Ratingbaserade Sannolikheter" 
+               results={eloResults} 
+               method="elo"
+               params={eloParams}
+             />
+           )}
+           {activeTab === 'bayesian' && (
+             <ResultCard 
+               title="Bayesiansk: Posterior med Kredibla Intervall" 
+               results={bayesianResults} 
+               method="bayesian"
+               params={bayesianParams}
+             />
+           )}
+           {activeTab === 'inplay' && (
+             <ResultCard 
+               title="Live: Sannolikheter för Slutresultatet" 
+               results={inPlayResults} 
+               method="inplay"
+               params={inPlayParams}
+             />
+           )}
+           {activeTab === 'inplay' && <InPlayPanel results={inPlayResults} />}
+           <ExtendedMarketsPanel
+             sources={[
+               { key: 'xg', label: 'xG', results: xgResults },
+               { key: 'poisson', label: 'Poisson', results: poissonResults },
+               { key: 'montecarlo', label: 'Monte Carlo', results: monteCarloResults },
+               { key: 'bivariate', label: 'Bivariat Poisson', results: bivariateResults },
+               { key: 'bayesian', label: 'Bayesiansk', results: bayesianResults },
+               { key: 'inplay', label: 'Live', results: inPlayResults }
+             ].filter(source => source.key === activeTab)}
+           />
          </div>
        ) : (
          <div className="space-y-8">
            {/* Comparison View */}
            <div className="bg-white rounded-lg shadow-md p-6">
              <h3 className="text-xl font-bold mb-6 text-gray-800">Komplett Analysöversikt - Alla Metoder</h3>
+
+             <div className="mb-6 space-y-3">
+               <EnsembleInput value={ensembleParams} onChange={onEnsembleChange} />
+               <CalibrationInput value={calibrationParams} onChange={onCalibrationChange} />
+             </div>
              
              {/* Win Probabilities Comparison */}
              <div className="mb-8">
@@ -739,32 +1508,127 @@ const CombinedCalculator = ({
                      {xgResults && (
                        <tr>
                          <td className="border p-2 sm:p-3 font-medium text-xs sm:text-sm">Expected Goals (xG)</td>
-                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{xgResults.homeWinProbability}%</td>
-                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{xgResults.drawProbability}%</td>
-                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{xgResults.awayWinProbability}%</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(xgResults.homeWinProbability)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(xgResults.drawProbability)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(xgResults.awayWinProbability)}</td>
                        </tr>
                      )}
                      {poissonResults && (
                        <tr>
                          <td className="border p-2 sm:p-3 font-medium text-xs sm:text-sm">Poisson-fördelning</td>
-                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{poissonResults.homeWinProbability}%</td>
-                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{poissonResults.drawProbability}%</td>
-                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{poissonResults.awayWinProbability}%</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(poissonResults.homeWinProbability)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(poissonResults.drawProbability)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(poissonResults.awayWinProbability)}</td>
+                       </tr>
+                     )}
+                     {bivariateResults && (
+                       <tr>
+                         <td className="border p-2 sm:p-3 font-medium text-xs sm:text-sm">Bivariat Poisson</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(bivariateResults.homeWinProbability)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(bivariateResults.drawProbability)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(bivariateResults.awayWinProbability)}</td>
+                       </tr>
+                     )}
+                     {eloResults && (
+                       <tr>
+                         <td className="border p-2 sm:p-3 font-medium text-xs sm:text-sm">Elo-rating</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(eloResults.homeWinProbability)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(eloResults.drawProbability)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(eloResults.awayWinProbability)}</td>
+                       </tr>
+                     )}
+                     {bayesianResults && (
+                       <tr>
+                         <td className="border p-2 sm:p-3 font-medium text-xs sm:text-sm">Bayesiansk hierarkisk</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(bayesianResults.homeWinProbability)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(bayesianResults.drawProbability)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(bayesianResults.awayWinProbability)}</td>
                        </tr>
                      )}
                      {monteCarloResults && (
                        <tr>
                          <td className="border p-2 sm:p-3 font-medium text-xs sm:text-sm">Monte Carlo</td>
-                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{monteCarloResults.homeWinProbability}%</td>
-                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{monteCarloResults.drawProbability}%</td>
-                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{monteCarloResults.awayWinProbability}%</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(monteCarloResults.homeWinProbability)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(monteCarloResults.drawProbability)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(monteCarloResults.awayWinProbability)}</td>
+                       </tr>
+                     )}
+                     {ensembleResults && (
+                       <tr className="bg-blue-50">
+                         <td className="border p-2 sm:p-3 font-medium text-xs sm:text-sm">Ensemble ({ensembleResults.ensemble.learned ? 'inlärda vikter' : 'lika vikter'})</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(ensembleResults.homeWinProbability)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(ensembleResults.drawProbability)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(ensembleResults.awayWinProbability)}</td>
                        </tr>
                      )}
                    </tbody>
                  </table>
                </div>
+               {Object.entries(skippedModels).map(([model, reason]) => (
+                 <p key={model} className="mt-2 text-xs text-gray-500">
+                   {SKIPPED_MODEL_LABELS[model]} saknas i jämförelsen: {reason}
+                 </p>
+               ))}
              </div>
 
+             {/* Raw vs Calibrated */}
+             {Object.keys(calibratedResults).length > 0 && (
+               <div className="mb-8">
+                 <h4 className="font-semibold mb-4 text-gray-700">Råa och kalibrerade sannolikheter (%)</h4>
+                 <div className="overflow-x-auto">
+                   <table className="w-full border-collapse text-sm">
+                     <thead>
+                       <tr className="bg-gray-50">
+                         <th className="border p-2 sm:p-3 text-left text-xs sm:text-sm">Metod</th>
+                         <th className="border p-2 sm:p-3 text-left text-xs sm:text-sm">Kalibrering</th>
+                         <th className="border p-2 sm:p-3 text-center text-green-600 text-xs sm:text-sm">Hemmavinst</th>
+                         <th className="border p-2 sm:p-3 text-center text-yellow-600 text-xs sm:text-sm">Oavgjort</th>
+                         <th className="border p-2 sm:p-3 text-center text-red-600 text-xs sm:text-sm">Bortavinst</th>
+                       </tr>
+                     </thead>
+                     <tbody>
+                       {Object.entries(calibratedResults).map(([model, calibrated]) => (
+                         <tr key={model}>
+                           <td className="border p-2 sm:p-3 font-medium text-xs sm:text-sm">{ENSEMBLE_MODEL_LABELS[model]}</td>
+                           <td className="border p-2 sm:p-3 text-xs sm:text-sm">{CALIBRATION_METHOD_LABELS[calibrated.calibration.method]}, {leagueLabel(calibrated.calibration.league)}</td>
+                           {['homeWinProbability', 'drawProbability', 'awayWinProbability'].map(key => (
+                             <td key={key} className="border p-2 sm:p-3 text-center text-xs sm:text-sm">
+                               {formatPercent(calibrated.calibration.raw[key])} → <strong>{formatPercent(calibrated[key])}</strong>
+                             </td>
+                           ))}
+                         </tr>
+                       ))}
+                     </tbody>
+                   </table>
+                 </div>
+               </div>
+             )}
+
+             {/* Dixon-Coles Comparison */}
+             {poissonResults?.dixonColes && (
+               <div className="mb-8">
+                 <h4 className="font-semibold mb-4 text-gray-700">Dixon-Coles-justering (Poisson)</h4>
+                 <div className="overflow-x-auto">
+                   <table className="w-full border-collapse text-sm">
+                     <thead>
+                       <tr className="bg-gray-50">
+                         <th className="border p-2 sm:p-3 text-left text-xs sm:text-sm">ρ</th>
+                         <th className="border p-2 sm:p-3 text-center text-xs sm:text-sm">Oavgjort utan korrigering</th>
+                         <th className="border p-2 sm:p-3 text-center text-yellow-600 text-xs sm:text-sm">Oavgjort med korrigering</th>
+                       </tr>
+                     </thead>
+                     <tbody>
+                       <tr>
+                         <td className="border p-2 sm:p-3 font-medium text-xs sm:text-sm">{formatNumber(poissonResults.dixonColes.rho)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(poissonResults.dixonColes.uncorrectedDrawProbability)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatPercent(poissonResults.dixonColes.correctedDrawProbability)}</td>
+                       </tr>
+                     </tbody>
+                   </table>
+                 </div>
+               </div>
+             )}
+
              {/* Expected Goals Comparison */}
              <div className="mb-6">
                <h4 className="font-semibold mb-4 text-gray-700">Förväntade Mål</h4>
@@ -781,22 +1645,43 @@ const CombinedCalculator = ({
                      {xgResults && (
                        <tr>
                          <td className="border p-2 sm:p-3 font-medium text-xs sm:text-sm">Expected Goals (xG)</td>
-                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{typeof xgResults.expectedHomeGoals === 'number' ? xgResults.expectedHomeGoals.toFixed(2) : xgResults.expectedHomeGoals || 'N/A'}</td>
-                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{typeof xgResults.expectedAwayGoals === 'number' ? xgResults.expectedAwayGoals.toFixed(2) : xgResults.expectedAwayGoals || 'N/A'}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatGoals(xgResults.expectedHomeGoals)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatGoals(xgResults.expectedAwayGoals)}</td>
                        </tr>
                      )}
                      {poissonResults && (
                        <tr>
                          <td className="border p-2 sm:p-3 font-medium text-xs sm:text-sm">Poisson-fördelning</td>
-                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{typeof poissonResults.expectedHomeGoals === 'number' ? poissonResults.expectedHomeGoals.toFixed(2) : poissonResults.expectedHomeGoals || 'N/A'}</td>
-                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{typeof poissonResults.expectedAwayGoals === 'number' ? poissonResults.expectedAwayGoals.toFixed(2) : poissonResults.expectedAwayGoals || 'N/A'}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatGoals(poissonResults.expectedHomeGoals)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatGoals(poissonResults.expectedAwayGoals)}</td>
+                       </tr>
+                     )}
+                     {bivariateResults && (
+                       <tr>
+                         <td className="border p-2 sm:p-3 font-medium text-xs sm:text-sm">Bivariat Poisson</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatGoals(bivariateResults.expectedHomeGoals)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatGoals(bivariateResults.expectedAwayGoals)}</td>
+                       </tr>
+                     )}
+                     {bayesianResults && (
+                       <tr>
+                         <td className="border p-2 sm:p-3 font-medium text-xs sm:text-sm">Bayesiansk hierarkisk</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatGoals(bayesianResults.expectedHomeGoals)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatGoals(bayesianResults.expectedAwayGoals)}</td>
                        </tr>
                      )}
                      {monteCarloResults && (
                        <tr>
                          <td className="border p-2 sm:p-3 font-medium text-xs sm:text-sm">Monte Carlo</td>
-                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{typeof monteCarloResults.expectedHomeGoals === 'number' ? monteCarloResults.expectedHomeGoals.toFixed(2) : monteCarloResults.expectedHomeGoals || 'N/A'}</td>
-                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{typeof monteCarloResults.expectedAwayGoals === 'number' ? monteCarloResults.expectedAwayGoals.toFixed(2) : monteCarloResults.expectedAwayGoals || 'N/A'}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatGoals(monteCarloResults.expectedHomeGoals)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatGoals(monteCarloResults.expectedAwayGoals)}</td>
+                       </tr>
+                     )}
+                     {ensembleResults && (
+                       <tr className="bg-blue-50">
+                         <td className="border p-2 sm:p-3 font-medium text-xs sm:text-sm">Ensemble ({ensembleResults.ensemble.learned ? 'inlärda vikter' : 'lika vikter'})</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatGoals(ensembleResults.expectedHomeGoals)}</td>
+                         <td className="border p-2 sm:p-3 text-center text-xs sm:text-sm">{formatGoals(ensembleResults.expectedAwayGoals)}</td>
                        </tr>
                      )}
                    </tbody>
@@ -810,7 +1695,11 @@ const CombinedCalculator = ({
                <div className="text-sm text-blue-700 space-y-1">
                  <p><strong>xG:</strong> Baserat på skottstatistik och kvalitet - bäst för lag med tillgänglig xG-data</p>
                  <p><strong>Poisson:</strong> Matematisk modell baserad på målgenomsnitt - pålitlig för de flesta matcher</p>
+                 <p><strong>Bivariat Poisson:</strong> Som Poisson men med gemensam tempofaktor - fångar samvariation mellan lagens mål</p>
+                 <p><strong>Elo:</strong> Rating från resultathistoriken - ger bara 1X2, förväntade mål härleds och jämförs därför inte</p>
+                 <p><strong>Bayesiansk:</strong> Hierarkisk modell från resultathistoriken - väger in osäkerheten i lagstyrkorna och ger kredibla intervall</p>
                  <p><strong>Monte Carlo:</strong> Simuleringsbaserad med variation - visar osäkerhetsintervall</p>
+                 <p><strong>Ensemble:</strong> Viktad sammanvägning av modellerna - vikterna lärs från hur väl varje modell träffat i historisk validering</p>
                </div>
              </div>
              
@@ -820,14 +1709,49 @@ const CombinedCalculator = ({
                  xgResults={xgResults}
                  poissonResults={poissonResults}
                  monteCarloResults={monteCarloResults}
-                 allParams={{ xgParams, poissonParams, monteCarloParams }}
+                 bivariateResults={bivariateResults}
+                 eloResults={eloResults}
+                 bayesianResults={bayesianResults}
+                 ensembleResults={ensembleResults}
+                 allParams={{ xgParams, poissonParams, monteCarloParams, bivariateParams, eloParams, bayesianParams, ensembleParams }}
                  isComparison={true}
                />
              </div>
            </div>
 
+           {/* Extended Markets */}
+           <ExtendedMarketsPanel
+             sources={[
+               { key: 'xg', label: 'xG', results: xgResults },
+               { key: 'poisson', label: 'Poisson', results: poissonResults },
+               { key: 'bivariate', label: 'Bivariat Poisson', results: bivariateResults },
+               { key: 'bayesian', label: 'Bayesiansk', results: bayesianResults },
+               { key: 'montecarlo', label: 'Monte Carlo', results: monteCarloResults },
+               { key: 'ensemble', label: 'Ensemble', results: ensembleResults }
+             ]}
+           />
+
+           {/* Asian Handicap */}
+           <AsianHandicapPanel
+             sources={[
+               { key: 'poisson', label: 'Poisson', results: poissonResults },
+               { key: 'montecarlo', label: 'Monte Carlo', results: monteCarloResults }
+             ]}
+           />
+
+           {/* Half-time / Full-time */}
+           <HalfTimePanel
+             sources={[
+               { key: 'poisson', label: 'Poisson', results: poissonResults },
+               { key: 'montecarlo', label: 'Monte Carlo', results: monteCarloResults }
+             ]}
+           />
+
+           {/* Goal Timing */}
+           <GoalTimingPanel sources={[{ key: 'montecarlo', label: 'Monte Carlo', results: monteCarloResults }]} />
+
            {/* Individual Results */}
-           <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
              {xgResults && (
                <ResultCard 
                  title="Expected Goals (xG)" 
@@ -852,6 +1776,38 @@ const CombinedCalculator = ({
                  params={monteCarloParams}
                />
              )}
+             {bivariateResults && (
+               <ResultCard 
+                 title="Bivariat Poisson" 
+                 results={bivariateResults} 
+                 method="bivariate"
+                 params={bivariateParams}
+               />
+             )}
+             {eloResults && (
+               <ResultCard 
+                 title="Elo-rating" 
+                 results={eloResults} 
+                 method="elo"
+                 params={eloParams}
+               />
+             )}
+             {bayesianResults && (
+               <ResultCard 
+                 title="Bayesiansk hierarkisk modell" 
+                 results={bayesianResults} 
+                 method="bayesian"
+                 params={bayesianParams}
+               />
+             )}
+             {ensembleResults && (
+               <ResultCard 
+                 title="Ensemble" 
+                 results={ensembleResults} 
+                 method="ensemble"
+                 params={ensembleParams}
+               />
+             )}
            </div>
          </div>
        )}
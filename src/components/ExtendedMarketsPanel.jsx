@@ -0,0 +1,129 @@
+import React from 'react';
+import { formatPercent, toPercentValue } from '../utils/resultFormatting';
+
+const TEAM_TOTAL_LINES = [0.5, 1.5, 2.5, 3.5];
+
+const MARGIN_ROWS = [
+  ['home3Plus', 'Hemma vinner med 3+'],
+  ['home2', 'Hemma vinner med 2'],
+  ['home1', 'Hemma vinner med 1'],
+  ['draw', 'Oavgjort'],
+  ['away1', 'Borta vinner med 1'],
+  ['away2', 'Borta vinner med 2'],
+  ['away3Plus', 'Borta vinner med 3+']
+];
+
+/**
+ * Rader per marknadsgrupp: [etikett, (extendedMarkets) => sannolikhet]
+ */
+const MARKET_GROUPS = [
+  {
+    title: 'Totalt antal mål',
+    rows: Array.from({ length: 7 }, (_, goals) => [
+      goals === 6 ? '6+ mål' : `${goals} mål`,
+      (markets) => markets.exactTotalGoals[goals]
+    ])
+  },
+  {
+    title: 'Vinstmarginal',
+    rows: MARGIN_ROWS.map(([key, label]) => [label, (markets) => markets.winningMargins[key]])
+  },
+  {
+    title: 'Lagtotal hemmalag',
+    rows: TEAM_TOTAL_LINES.flatMap((line, index) => [
+      [`Över ${line}`, (markets) => markets.teamTotals.home[index].over],
+      [`Under ${line}`, (markets) => markets.teamTotals.home[index].under]
+    ])
+  },
+  {
+    title: 'Lagtotal bortalag',
+    rows: TEAM_TOTAL_LINES.flatMap((line, index) => [
+      [`Över ${line}`, (markets) => markets.teamTotals.away[index].over],
+      [`Under ${line}`, (markets) => markets.teamTotals.away[index].under]
+    ])
+  },
+  {
+    title: 'Udda/jämnt antal mål',
+    rows: [
+      ['Udda', (markets) => markets.oddEven.odd],
+      ['Jämnt', (markets) => markets.oddEven.even]
+    ]
+  },
+  {
+    title: 'Vinst utan insläppt mål',
+    rows: [
+      ['Hemmalag', (markets) => markets.winToNil.home],
+      ['Bortalag', (markets) => markets.winToNil.away]
+    ]
+  }
+];
+
+/**
+ * Utökade målmarknader för en eller flera metoder.
+ * Med flera metoder visas även spridningen mellan modellerna per marknad.
+ */
+const ExtendedMarketsPanel = ({ sources = [] }) => {
+  const availableSources = sources.filter(source => source.results?.extendedMarkets);
+  if (availableSources.length === 0) return null;
+
+  const showSpread = availableSources.length > 1;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+      <h3 className="text-lg sm:text-xl font-bold mb-4 text-gray-800">Utökade målmarknader</h3>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {MARKET_GROUPS.map(group => (
+          <div key={group.title}>
+            <h4 className="font-semibold mb-3 text-gray-700">{group.title}</h4>
+            <div className="overflow-x-auto">
+              <table className="w-full border-collapse text-sm">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="border p-2 text-left text-xs sm:text-sm">Marknad</th>
+                    {availableSources.map(source => (
+                      <th key={source.key} className="border p-2 text-center text-xs sm:text-sm">{source.label}</th>
+                    ))}
+                    {showSpread && (
+                      <th className="border p-2 text-center text-orange-600 text-xs sm:text-sm">Spridning</th>
+                    )}
+                  </tr>
+                </thead>
+                <tbody>
+                  {group.rows.map(([label, select]) => {
+                    const values = availableSources.map(source => select(source.results.extendedMarkets));
+                    const spread = Math.max(...values) - Math.min(...values);
+
+                    return (
+                      <tr key={label}>
+                        <td className="border p-2 font-medium text-xs sm:text-sm">{label}</td>
+                        {values.map((value, index) => (
+                          <td key={availableSources[index].key} className="border p-2 text-center text-xs sm:text-sm">
+                            {formatPercent(value)}
+                          </td>
+                        ))}
+                        {showSpread && (
+                          <td className={`border p-2 text-center text-xs sm:text-sm ${spread >= 0.05 ? 'text-orange-600 font-semibold' : 'text-gray-500'}`}>
+                            {toPercentValue(spread)}
+                          </td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {showSpread && (
+        <p className="text-xs text-gray-500 mt-3">
+          Spridning anger skillnaden i procentenheter mellan högsta och lägsta modell. Markerade marknader skiljer minst 5 procentenheter.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ExtendedMarketsPanel;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { formatPercent, formatGoals, formatNumber } from '../utils/resultFormatting';
+
+/**
+ * Resultatpanel för måltider från minut-för-minut-simuleringen
+ */
+const GoalTimingPanel = ({ sources = [] }) => {
+  const availableSources = sources.filter(source => source.results?.goalTiming);
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  const selectedSource = availableSources.find(source => source.key === selectedKey) || availableSources[0];
+  if (!selectedSource) return null;
+
+  const { intervals, firstGoal, lateGoals, goalsByMinute } = selectedSource.results.goalTiming;
+  const maxMinuteGoals = Math.max(...goalsByMinute.map(({ home, away }) => home + away));
+
+  const firstGoalMarkets = [
+    ['Hemmalaget gör första målet', firstGoal.homeProbability, 'bg-green-50', 'text-green-600'],
+    ['Bortalaget gör första målet', firstGoal.awayProbability, 'bg-red-50', 'text-red-600'],
+    ['Inga mål', firstGoal.noGoalProbability, 'bg-gray-50', 'text-gray-600']
+  ];
+
+  const lateGoalMarkets = [
+    ['Mål efter 75:e minuten', lateGoals.after75Probability],
+    ['Mål efter 85:e minuten', lateGoals.after85Probability],
+    ['Mål på tilläggstid (90+)', lateGoals.addedTimeProbability]
+  ];
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-4">
+        <h3 className="text-lg sm:text-xl font-bold text-gray-800">Måltider minut för minut</h3>
+        {availableSources.length > 1 && (
+          <div className="bg-gray-100 p-1 rounded-lg">
+            {availableSources.map(source => (
+              <button
+                key={source.key}
+                type="button"
+                onClick={() => setSelectedKey(source.key)}
+                className={`px-3 py-1 rounded-md text-sm transition-colors ${
+                  source.key === selectedSource.key
+                    ? 'bg-white text-blue-600 shadow-sm'
+                    : 'text-gray-600 hover:text-gray-800'
+                }`}
+              >
+                {source.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* First Goal */}
+      <div className="mb-6">
+        <h4 className="font-semibold mb-3 text-gray-700">Första målet</h4>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          {firstGoalMarkets.map(([label, probability, background, textColor]) => (
+            <div key={label} className={`text-center p-3 rounded-lg ${background}`}>
+              <div className={`text-lg font-bold ${textColor}`}>{formatPercent(probability)}</div>
+              <div className="text-xs text-gray-600">{label}</div>
+            </div>
+          ))}
+        </div>
+        {firstGoal.expectedMinute !== null && (
+          <p className="text-xs text-gray-500 mt-2">
+            Första målet kommer i genomsnitt i minut {formatNumber(firstGoal.expectedMinute, 0)} (median: minut {firstGoal.medianMinute})
+          </p>
+        )}
+      </div>
+
+      {/* Per 15 Minutes */}
+      <div className="mb-6">
+        <h4 className="font-semibold mb-3 text-gray-700">Mål per 15 minuter</h4>
+        <div className="overflow-x-auto">
+          <table className="w-full border-collapse text-sm">
+            <thead>
+              <tr className="bg-gray-50">
+                <th className="border p-2 text-left text-xs sm:text-sm">Minuter</th>
+                <th className="border p-2 text-center text-xs sm:text-sm">Mål</th>
+                <th className="border p-2 text-center text-xs sm:text-sm">Hemmamål</th>
+                <th className="border p-2 text-center text-xs sm:text-sm">Bortamål</th>
+                <th className="border p-2 text-center text-xs sm:text-sm">Förväntade mål</th>
+                <th className="border p-2 text-center text-xs sm:text-sm">Första målet</th>
+              </tr>
+            </thead>
+            <tbody>
+              {intervals.map((interval, index) => (
+                <tr key={interval.label}>
+                  <td className="border p-2 font-medium text-xs sm:text-sm">{interval.label}</td>
+                  <td className="border p-2 text-center">{formatPercent(interval.goalProbability)}</td>
+                  <td className="border p-2 text-center">{formatPercent(interval.homeGoalProbability)}</td>
+                  <td className="border p-2 text-center">{formatPercent(interval.awayGoalProbability)}</td>
+                  <td className="border p-2 text-center">{formatGoals(interval.expectedGoals)}</td>
+                  <td className="border p-2 text-center">{formatPercent(firstGoal.byInterval[index])}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Late Goals */}
+      <div className="mb-6">
+        <h4 className="font-semibold mb-3 text-gray-700">Sena mål</h4>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          {lateGoalMarkets.map(([label, probability]) => (
+            <div key={label} className="text-center p-3 rounded-lg bg-purple-50">
+              <div className="text-lg font-bold text-purple-600">{formatPercent(probability)}</div>
+              <div className="text-xs text-gray-600">{label}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Goals per Minute */}
+      <div>
+        <h4 className="font-semibold mb-3 text-gray-700">Förväntade mål per minut</h4>
+        <div className="flex items-end h-24 gap-px" role="img" aria-label="Förväntade mål per minut, hemmalag och bortalag">
+          {goalsByMinute.map(({ minute, home, away }) => (
+            <div
+              key={minute}
+              className="flex-1 flex flex-col justify-end h-full"
+              title={`${minute}': hemma ${formatGoals(home, 3)}, borta ${formatGoals(away, 3)}`}
+            >
+              <div className="bg-red-300" style={{ height: `${(away / maxMinuteGoals) * 100}%` }} />
+              <div className="bg-green-400" style={{ height: `${(home / maxMinuteGoals) * 100}%` }} />
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-between text-xs text-gray-500 mt-1">
+          <span>1'</span>
+          <span>45'</span>
+          <span>90+'</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GoalTimingPanel;
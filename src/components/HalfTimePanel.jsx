@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { formatPercent, formatFairOdds, formatGoals, toPercentValue } from '../utils/resultFormatting';
+
+const RESULT_LABELS = { 1: 'Hemma', X: 'Oavgjort', 2: 'Borta' };
+const RESULT_CODES = ['1', 'X', '2'];
+
+/**
+ * Resultatpanel för halvtid/fulltid och marknader för första halvlek
+ */
+const HalfTimePanel = ({ sources = [] }) => {
+  const availableSources = sources.filter(source => source.results?.halfTime);
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  const selectedSource = availableSources.find(source => source.key === selectedKey) || availableSources[0];
+  if (!selectedSource) return null;
+
+  const { firstHalf, halfTimeFullTime, goalInBothHalves, firstHalfShare } = selectedSource.results.halfTime;
+
+  const firstHalfMarkets = [
+    ['Hemmavinst 1:a halvlek', firstHalf.homeWin, 'bg-green-50', 'text-green-600'],
+    ['Oavgjort 1:a halvlek', firstHalf.draw, 'bg-yellow-50', 'text-yellow-600'],
+    ['Bortavinst 1:a halvlek', firstHalf.awayWin, 'bg-red-50', 'text-red-600'],
+    ['Över 0.5 mål 1:a halvlek', firstHalf.over05, 'bg-blue-50', 'text-blue-600'],
+    ['Över 1.5 mål 1:a halvlek', firstHalf.over15, 'bg-blue-50', 'text-blue-600'],
+    ['Mål i båda halvlekarna', goalInBothHalves, 'bg-purple-50', 'text-purple-600']
+  ];
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-4">
+        <h3 className="text-lg sm:text-xl font-bold text-gray-800">Halvtid/fulltid och första halvlek</h3>
+        {availableSources.length > 1 && (
+          <div className="bg-gray-100 p-1 rounded-lg">
+            {availableSources.map(source => (
+              <button
+                key={source.key}
+                type="button"
+                onClick={() => setSelectedKey(source.key)}
+                className={`px-3 py-1 rounded-md text-sm transition-colors ${
+                  source.key === selectedSource.key
+                    ? 'bg-white text-blue-600 shadow-sm'
+                    : 'text-gray-600 hover:text-gray-800'
+                }`}
+              >
+                {source.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* First Half Markets */}
+      <div className="mb-6">
+        <h4 className="font-semibold mb-3 text-gray-700">Första halvlek</h4>
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+          {firstHalfMarkets.map(([label, probability, background, textColor]) => (
+            <div key={label} className={`text-center p-3 rounded-lg ${background}`}>
+              <div className={`text-lg font-bold ${textColor}`}>{formatPercent(probability)}</div>
+              <div className="text-xs text-gray-600">{label}</div>
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          Förväntade mål före paus: {formatGoals(firstHalf.expectedHomeGoals)} - {formatGoals(firstHalf.expectedAwayGoals)}
+        </p>
+      </div>
+
+      {/* Half-time / Full-time */}
+      <div>
+        <h4 className="font-semibold mb-3 text-gray-700">Halvtid/fulltid</h4>
+        <div className="overflow-x-auto">
+          <table className="w-full border-collapse text-sm">
+            <thead>
+              <tr className="bg-gray-50">
+                <th className="border p-2 text-left text-xs sm:text-sm">Halvtid \ Fulltid</th>
+                {RESULT_CODES.map(code => (
+                  <th key={code} className="border p-2 text-center text-xs sm:text-sm">{RESULT_LABELS[code]}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {RESULT_CODES.map(halfTimeCode => (
+                <tr key={halfTimeCode}>
+                  <td className="border p-2 font-medium text-xs sm:text-sm">{RESULT_LABELS[halfTimeCode]}</td>
+                  {RESULT_CODES.map(fullTimeCode => {
+                    const probability = halfTimeFullTime[`${halfTimeCode}/${fullTimeCode}`];
+                    return (
+                      <td key={fullTimeCode} className="border p-2 text-center text-xs sm:text-sm">
+                        <div className="font-semibold">{formatPercent(probability)}</div>
+                        <div className="text-gray-500">{formatFairOdds(probability)}</div>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-500 mt-3">
+        {toPercentValue(firstHalfShare, 0)}% av de förväntade målen fördelas till första halvlek. Odds under sannolikheten är rättvisa odds utan marginal.
+      </p>
+    </div>
+  );
+};
+
+export default HalfTimePanel;
@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import { formatPercent, formatGoals } from '../utils/resultFormatting';
+import { MATCH_MINUTES } from '../utils/inPlayModel';
+
+const OUTCOME_LINES = [
+  ['homeWin', 'Hemmavinst', '#16a34a'],
+  ['draw', 'Oavgjort', '#ca8a04'],
+  ['awayWin', 'Bortavinst', '#dc2626']
+];
+
+/**
+ * Resultatpanel för live-läget: nästa mål, slutligt antal mål, troliga slutresultat
+ * och en tidslinje som visar hur sannolikheterna utvecklas minut för minut
+ */
+const InPlayPanel = ({ results }) => {
+  const inPlay = results?.inPlay;
+  const [viewMinute, setViewMinute] = useState(inPlay?.minute ?? 0);
+
+  // Följ den inmatade minuten när en ny beräkning görs
+  useEffect(() => {
+    if (inPlay) setViewMinute(inPlay.minute);
+  }, [inPlay]);
+
+  if (!inPlay) return null;
+
+  const { evolution, nextGoal, totalGoals, score, redCards } = inPlay;
+  const point = evolution[Math.min(viewMinute, evolution.length - 1)];
+  const toX = (minute) => (minute / MATCH_MINUTES) * 100;
+  const toY = (probability) => (1 - probability) * 100;
+
+  const nextGoalMarkets = [
+    ['Hemmalaget gör nästa mål', nextGoal.homeProbability, 'bg-green-50', 'text-green-600'],
+    ['Bortalaget gör nästa mål', nextGoal.awayProbability, 'bg-red-50', 'text-red-600'],
+    ['Inga fler mål', nextGoal.noGoalProbability, 'bg-gray-50', 'text-gray-600']
+  ];
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-4">
+        <h3 className="text-lg sm:text-xl font-bold text-gray-800">Live-prediktion</h3>
+        <div className="text-sm text-gray-600">
+          Minut {inPlay.minute} · Ställning {score.home}-{score.away}
+          {(redCards.home > 0 || redCards.away > 0) && ` · Röda kort ${redCards.home}-${redCards.away}`}
+        </div>
+      </div>
+
+      {/* Next Goal */}
+      <div className="mb-6">
+        <h4 className="font-semibold mb-3 text-gray-700">Nästa mål</h4>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          {nextGoalMarkets.map(([label, probability, background, textColor]) => (
+            <div key={label} className={`text-center p-3 rounded-lg ${background}`}>
+              <div className={`text-lg font-bold ${textColor}`}>{formatPercent(probability)}</div>
+              <div className="text-xs text-gray-600">{label}</div>
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          Förväntade mål resten av matchen: hemma {formatGoals(inPlay.remainingHomeGoals)}, borta {formatGoals(inPlay.remainingAwayGoals)}
+          {inPlay.liveXGApplied && ' (uppdaterat med live-xG)'}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        {/* Final Total Goals */}
+        <div>
+          <h4 className="font-semibold mb-3 text-gray-700">Totalt antal mål i matchen</h4>
+          <table className="w-full border-collapse text-sm">
+            <thead>
+              <tr className="bg-gray-50">
+                <th className="border p-2 text-left text-xs sm:text-sm">Linje</th>
+                <th className="border p-2 text-center text-xs sm:text-sm">Över</th>
+                <th className="border p-2 text-center text-xs sm:text-sm">Under</th>
+              </tr>
+            </thead>
+            <tbody>
+              {totalGoals.map(({ line, overProbability, underProbability }) => (
+                <tr key={line}>
+                  <td className="border p-2 font-medium">{line}</td>
+                  <td className="border p-2 text-center">{formatPercent(overProbability)}</td>
+                  <td className="border p-2 text-center">{formatPercent(underProbability)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Correct Score */}
+        <div>
+          <h4 className="font-semibold mb-3 text-gray-700">Troligaste slutresultat</h4>
+          <table className="w-full border-collapse text-sm">
+            <thead>
+              <tr className="bg-gray-50">
+                <th className="border p-2 text-left text-xs sm:text-sm">Resultat</th>
+                <th className="border p-2 text-center text-xs sm:text-sm">Sannolikhet</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.mostLikelyScorelines.slice(0, 6).map(({ score: scoreline, probability }) => (
+                <tr key={scoreline}>
+                  <td className="border p-2 font-medium">{scoreline}</td>
+                  <td className="border p-2 text-center">{formatPercent(probability)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Minute Scrubber */}
+      <div>
+        <h4 className="font-semibold mb-3 text-gray-700">Utveckling minut för minut</h4>
+        <p className="text-xs text-gray-500 mb-3">
+          Visar sannolikheterna vid varje minut om ställningen och korten står sig. Live-xG skalas efter tempot hittills.
+        </p>
+        <div className="relative">
+          <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="w-full h-40 bg-gray-50 rounded" role="img" aria-label="1X2-sannolikheter per minut">
+            {OUTCOME_LINES.map(([key, , color]) => (
+              <polyline
+                key={key}
+                fill="none"
+                stroke={color}
+                strokeWidth="1.5"
+                vectorEffect="non-scaling-stroke"
+                points={evolution.map(entry => `${toX(entry.minute)},${toY(entry[key])}`).join(' ')}
+              />
+            ))}
+            <line
+              x1={toX(point.minute)}
+              x2={toX(point.minute)}
+              y1="0"
+              y2="100"
+              stroke="#2563eb"
+              strokeDasharray="2 2"
+              vectorEffect="non-scaling-stroke"
+            />
+          </svg>
+        </div>
+        <input
+          type="range"
+          min={0}
+          max={MATCH_MINUTES}
+          step={1}
+          value={viewMinute}
+          onChange={(event) => setViewMinute(Number(event.target.value))}
+          className="w-full mt-2"
+          aria-label="Minut"
+        />
+        <div className="flex justify-between text-xs text-gray-500">
+          <span>0'</span>
+          <span>45'</span>
+          <span>90'</span>
+        </div>
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-3 text-center">
+          <div className="p-2 bg-blue-50 rounded-lg">
+            <div className="text-lg font-bold text-blue-600">{point.minute}'</div>
+            <div className="text-xs text-gray-600">Minut</div>
+          </div>
+          {OUTCOME_LINES.map(([key, label, color]) => (
+            <div key={key} className="p-2 bg-gray-50 rounded-lg">
+              <div className="text-lg font-bold" style={{ color }}>{formatPercent(point[key])}</div>
+              <div className="text-xs text-gray-600">{label}</div>
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          Nästa mål vid minut {point.minute}: hemma {formatPercent(point.nextGoal.homeProbability)}, borta {formatPercent(point.nextGoal.awayProbability)}, inga fler {formatPercent(point.nextGoal.noGoalProbability)} · förväntat slutligt antal mål {formatGoals(point.expectedTotalGoals)}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default InPlayPanel;
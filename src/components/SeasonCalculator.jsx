@@ -0,0 +1,317 @@
+import React, { useState } from 'react';
+import ValidatedInput from './ui/InputValidation';
+import Select from './ui/Select';
+import LoadingSpinner from './ui/LoadingSpinner';
+import { useCalculationErrorToast } from './ui/Toast';
+import Icon from './AppIcon';
+import {
+  seasonSimulator, parseLeagueTable, parseFixtures, LEAGUE_RULES, DEFAULT_LEAGUE, TIEBREAKERS
+} from '../utils/seasonSimulator';
+import { formatPercent, formatNumber } from '../utils/resultFormatting';
+
+const SAMPLE_TABLE = `Lag, S, V, O, F, GM, IM, xG, xGA
+Lag A, 10, 7, 2, 1, 22, 9, 19.5, 10.2
+Lag B, 10, 6, 3, 1, 18, 8, 17.1, 9.8
+Lag C, 10, 5, 2, 3, 15, 12, 14.2, 12.5
+Lag D, 10, 4, 3, 3, 14, 13, 13.0, 13.1
+Lag E, 10, 3, 3, 4, 12, 14, 12.4, 14.0
+Lag F, 10, 3, 2, 5, 11, 15, 11.8, 14.6
+Lag G, 10, 2, 3, 5, 9, 16, 10.1, 15.9
+Lag H, 10, 1, 2, 7, 7, 21, 8.9, 19.1`;
+
+const SAMPLE_FIXTURES = `Lag A - Lag B
+Lag C - Lag D
+Lag E - Lag F
+Lag G - Lag H
+Lag B - Lag C
+Lag D - Lag A
+Lag F - Lag G
+Lag H - Lag E
+Lag A - Lag C
+Lag B - Lag D
+Lag E - Lag G
+Lag F - Lag H`;
+
+const SAMPLE_RESULTS = `Lag A 1-1 Lag B
+Lag C 2-0 Lag D
+Lag F 1-0 Lag E`;
+
+const MODEL_OPTIONS = [
+  { value: 'poisson', label: 'Poisson (mål per match)' },
+  { value: 'xg', label: 'xG (använder xG-kolumnerna)' }
+];
+
+const LEAGUE_OPTIONS = Object.entries(LEAGUE_RULES).map(([value, rules]) => ({ value, label: rules.name }));
+
+const TIEBREAKER_LABELS = {
+  goalDifference: 'Målskillnad',
+  goalsFor: 'Gjorda mål',
+  wins: 'Antal vinster',
+  headToHead: 'Inbördes möten'
+};
+
+/**
+ * Säsongssimulering: tabell + återstående matcher → sannolikheter för slutplaceringar
+ */
+const SeasonCalculator = () => {
+  const [tableText, setTableText] = useState(SAMPLE_TABLE);
+  const [fixturesText, setFixturesText] = useState(SAMPLE_FIXTURES);
+  const [resultsText, setResultsText] = useState(SAMPLE_RESULTS);
+  const [model, setModel] = useState('poisson');
+  const [league, setLeague] = useState(DEFAULT_LEAGUE);
+  const [rules, setRules] = useState(LEAGUE_RULES[DEFAULT_LEAGUE]);
+  const [simulations, setSimulations] = useState(10000);
+  const [season, setSeason] = useState(null);
+  const [isSimulating, setIsSimulating] = useState(false);
+  const { showCalculationError, showSuccess } = useCalculationErrorToast();
+
+  const handleLeagueChange = (value) => {
+    setLeague(value);
+    setRules(LEAGUE_RULES[value]);
+  };
+
+  const updateZone = (zone, value) => {
+    if (value >= 0) setRules(prev => ({ ...prev, zones: { ...prev.zones, [zone]: value } }));
+  };
+
+  const moveTiebreaker = (index, direction) => {
+    const tiebreakers = [...rules.tiebreakers];
+    const target = index + direction;
+    if (target < 0 || target >= tiebreakers.length) return;
+    [tiebreakers[index], tiebreakers[target]] = [tiebreakers[target], tiebreakers[index]];
+    setRules(prev => ({ ...prev, tiebreakers }));
+  };
+
+  const toggleTiebreaker = (criterion) => {
+    setRules(prev => ({
+      ...prev,
+      tiebreakers: prev.tiebreakers.includes(criterion)
+        ? prev.tiebreakers.filter(key => key !== criterion)
+        : [...prev.tiebreakers, criterion]
+    }));
+  };
+
+  const handleSimulate = () => {
+    setIsSimulating(true);
+    // Ge gränssnittet tid att visa laddningsläget innan den synkrona simuleringen
+    setTimeout(() => {
+      try {
+        const result = seasonSimulator.simulate({
+          table: parseLeagueTable(tableText),
+          fixtures: parseFixtures(fixturesText).filter(match => match.homeGoals === undefined),
+          playedMatches: parseFixtures(resultsText).filter(match => match.homeGoals !== undefined),
+          model,
+          rules,
+          simulations
+        });
+        setSeason(result);
+        showSuccess('Säsongssimulering slutförd', `${result.simulationStats.simulations.toLocaleString()} säsonger simulerade`);
+      } catch (error) {
+        console.error('Season simulation error:', error);
+        showCalculationError(error, 'Fel vid säsongssimulering');
+      } finally {
+        setIsSimulating(false);
+      }
+    }, 50);
+  };
+
+  const teamCount = season?.teams.length || 0;
+
+  return (
+    <div className="max-w-7xl mx-auto p-4 sm:p-6">
+      <div className="mb-6 sm:mb-8">
+        <h2 className="text-2xl sm:text-3xl font-bold text-gray-800 mb-4">
+          <Icon name="Trophy" className="inline mr-2 sm:mr-3" />
+          Säsongssimulering - Slutplaceringar och Tabellzoner
+        </h2>
+        <p className="text-sm sm:text-base text-gray-600 mb-4">
+          Simulerar resten av säsongen tusentals gånger. Varje återstående match prissätts med vald modell och resultatet dras slumpmässigt ur modellens resultatfördelning. Tabellen rangordnas med ligans tiebreak-regler, vilket ger sannolikheter för ligatitel, Europaplatser och nedflyttning.
+        </p>
+
+        <details className="mb-4 sm:mb-6 bg-blue-50 rounded-lg p-3 sm:p-4">
+          <summary className="cursor-pointer font-semibold text-blue-800 hover:text-blue-900">
+            💡 Hur anger jag tabell och matcher? (Klicka för att expandera)
+          </summary>
+          <div className="mt-3 text-sm text-blue-700 space-y-2">
+            <ul className="list-disc list-inside ml-4 space-y-1">
+              <li><strong>Tabell:</strong> En rad per lag: lag, spelade, vunna, oavgjorda, förlorade, gjorda mål, insläppta mål och valfritt xG och xGA för säsongen</li>
+              <li><strong>Återstående matcher:</strong> En rad per match, t.ex. "Lag A - Lag B" (hemmalaget först)</li>
+              <li><strong>Spelade matcher:</strong> Resultat som "Lag A 2-1 Lag B" används för inbördes möten - de påverkar inte tabellen</li>
+              <li><strong>xG-modellen:</strong> Kräver xG-kolumnerna för alla lag, annars används gjorda och insläppta mål</li>
+            </ul>
+          </div>
+        </details>
+
+        <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 mb-6 space-y-4">
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <label htmlFor="season-table" className="block text-sm font-medium text-foreground">Tabell</label>
+              <textarea
+                id="season-table"
+                rows={10}
+                value={tableText}
+                onChange={(event) => setTableText(event.target.value)}
+                className="w-full border rounded-lg p-2 font-mono text-xs sm:text-sm"
+              />
+            </div>
+            <div className="space-y-2">
+              <label htmlFor="season-fixtures" className="block text-sm font-medium text-foreground">Återstående matcher</label>
+              <textarea
+                id="season-fixtures"
+                rows={10}
+                value={fixturesText}
+                onChange={(event) => setFixturesText(event.target.value)}
+                className="w-full border rounded-lg p-2 font-mono text-xs sm:text-sm"
+              />
+            </div>
+          </div>
+          <div className="space-y-2">
+            <label htmlFor="season-results" className="block text-sm font-medium text-foreground">Spelade matcher (för inbördes möten)</label>
+            <textarea
+              id="season-results"
+              rows={4}
+              value={resultsText}
+              onChange={(event) => setResultsText(event.target.value)}
+              className="w-full border rounded-lg p-2 font-mono text-xs sm:text-sm"
+            />
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <Select label="Modell" options={MODEL_OPTIONS} value={model} onChange={setModel} />
+            <Select label="Liga (regler)" options={LEAGUE_OPTIONS} value={league} onChange={handleLeagueChange} />
+            <ValidatedInput
+              label="Antal simulerade säsonger"
+              type="number"
+              min={1000}
+              max={100000}
+              step={1000}
+              value={simulations}
+              onChange={(value) => value > 0 && setSimulations(value)}
+              helpText="Min: 1,000, Max: 100,000. 10,000 räcker för de flesta ligor."
+            />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 p-3 bg-gray-50 rounded-lg">
+            <div className="grid grid-cols-3 gap-3">
+              <ValidatedInput label="Titel (platser)" type="number" min={1} max={4} step={1} value={rules.zones.title} onChange={(value) => updateZone('title', value)} />
+              <ValidatedInput label="Europa (platser)" type="number" min={0} max={10} step={1} value={rules.zones.europe} onChange={(value) => updateZone('europe', value)} />
+              <ValidatedInput label="Nedflyttning (platser)" type="number" min={0} max={6} step={1} value={rules.zones.relegation} onChange={(value) => updateZone('relegation', value)} />
+            </div>
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-foreground">Tiebreak efter poäng (i ordning)</p>
+              <ol className="space-y-1">
+                {rules.tiebreakers.map((criterion, index) => (
+                  <li key={criterion} className="flex items-center justify-between text-sm bg-white rounded px-2 py-1">
+                    <span>{index + 1}. {TIEBREAKER_LABELS[criterion]}</span>
+                    <span className="flex gap-1">
+                      <button type="button" onClick={() => moveTiebreaker(index, -1)} className="px-2 text-gray-600 hover:text-gray-900" aria-label="Flytta upp">↑</button>
+                      <button type="button" onClick={() => moveTiebreaker(index, 1)} className="px-2 text-gray-600 hover:text-gray-900" aria-label="Flytta ned">↓</button>
+                      <button type="button" onClick={() => toggleTiebreaker(criterion)} className="px-2 text-red-600 hover:text-red-800" aria-label="Ta bort">×</button>
+                    </span>
+                  </li>
+                ))}
+              </ol>
+              <div className="flex flex-wrap gap-2">
+                {TIEBREAKERS.filter(criterion => !rules.tiebreakers.includes(criterion)).map(criterion => (
+                  <button
+                    key={criterion}
+                    type="button"
+                    onClick={() => toggleTiebreaker(criterion)}
+                    className="text-xs bg-white border rounded px-2 py-1 text-gray-700 hover:bg-gray-100"
+                  >
+                    + {TIEBREAKER_LABELS[criterion]}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">Lag som fortfarande står lika skiljs åt genom lottning.</p>
+            </div>
+          </div>
+
+          <button
+            onClick={handleSimulate}
+            disabled={isSimulating}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white px-4 py-2 rounded-lg transition-colors flex items-center justify-center text-sm sm:text-base"
+          >
+            {isSimulating ? <LoadingSpinner size="sm" className="mr-2" /> : <Icon name="Play" size={16} className="mr-2" />}
+            {isSimulating ? 'Simulerar...' : 'Simulera säsongen'}
+          </button>
+        </div>
+      </div>
+
+      {season && (
+        <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+          <h3 className="text-lg sm:text-xl font-bold mb-4 text-gray-800">Prognos för sluttabellen</h3>
+          <div className="overflow-x-auto">
+            <table className="w-full border-collapse text-sm">
+              <thead>
+                <tr className="bg-gray-50">
+                  <th className="border p-2 text-left text-xs sm:text-sm">Lag</th>
+                  <th className="border p-2 text-center text-xs sm:text-sm">Poäng nu</th>
+                  <th className="border p-2 text-center text-xs sm:text-sm">Förv. poäng</th>
+                  <th className="border p-2 text-center text-xs sm:text-sm">Poäng (10-90%)</th>
+                  <th className="border p-2 text-center text-xs sm:text-sm">Förv. placering</th>
+                  <th className="border p-2 text-center text-green-600 text-xs sm:text-sm">Titel</th>
+                  <th className="border p-2 text-center text-blue-600 text-xs sm:text-sm">Europa</th>
+                  <th className="border p-2 text-center text-red-600 text-xs sm:text-sm">Nedflyttning</th>
+                </tr>
+              </thead>
+              <tbody>
+                {season.teams.map(team => (
+                  <tr key={team.team}>
+                    <td className="border p-2 font-medium">{team.team}</td>
+                    <td className="border p-2 text-center">{team.currentPoints}</td>
+                    <td className="border p-2 text-center">{formatNumber(team.expectedPoints, 1)}</td>
+                    <td className="border p-2 text-center">{team.pointsRange.p10}-{team.pointsRange.p90}</td>
+                    <td className="border p-2 text-center">{formatNumber(team.expectedPosition, 1)}</td>
+                    <td className="border p-2 text-center">{formatPercent(team.titleProbability)}</td>
+                    <td className="border p-2 text-center">{formatPercent(team.europeProbability)}</td>
+                    <td className="border p-2 text-center">{formatPercent(team.relegationProbability)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Final Position Distribution */}
+          <h4 className="font-semibold mt-6 mb-3 text-gray-700">Fördelning av slutplacering</h4>
+          <div className="overflow-x-auto">
+            <table className="w-full border-collapse text-xs">
+              <thead>
+                <tr className="bg-gray-50">
+                  <th className="border p-1 text-left">Lag</th>
+                  {Array.from({ length: teamCount }, (_, position) => (
+                    <th key={position} className="border p-1 text-center">{position + 1}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {season.teams.map(team => (
+                  <tr key={team.team}>
+                    <td className="border p-1 font-medium whitespace-nowrap">{team.team}</td>
+                    {team.positionProbabilities.map((probability, position) => (
+                      <td
+                        key={position}
+                        className="border p-1 text-center"
+                        style={{ backgroundColor: `rgba(37, 99, 235, ${Math.min(0.85, probability)})`, color: probability > 0.45 ? 'white' : undefined }}
+                      >
+                        {probability >= 0.005 ? formatPercent(probability, 0) : ''}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <p className="text-xs text-gray-500 mt-4">
+            Baserat på {season.simulationStats.simulations.toLocaleString()} simulerade säsonger med {season.simulationStats.remainingFixtures} återstående matcher
+            ({season.simulationStats.model === 'xg' && season.simulationStats.usesXG ? 'xG-modell' : 'Poisson-modell'}{season.simulationStats.model === 'xg' && !season.simulationStats.usesXG ? ' - xG saknas, mål används' : ''}).
+            Tiebreak: {['Poäng', ...season.rules.tiebreakers.map(criterion => TIEBREAKER_LABELS[criterion])].join(' → ')}.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SeasonCalculator;
@@ -0,0 +1,270 @@
+import React, { useState } from 'react';
+import ValidatedInput from './ui/InputValidation';
+import Select from './ui/Select';
+import LoadingSpinner from './ui/LoadingSpinner';
+import { useCalculationErrorToast } from './ui/Toast';
+import Icon from './AppIcon';
+import {
+  tournamentSimulator, parseTournamentTeams, parseGroups, TOURNAMENT_FORMATS, DEFAULT_FORMAT,
+  DEFAULT_EXTRA_TIME_INTENSITY, DEFAULT_PENALTY_CONVERSION
+} from '../utils/tournamentSimulator';
+import { formatPercent, formatNumber } from '../utils/resultFormatting';
+
+const SAMPLE_TEAMS = `Lag, Gjorda/match, Insläppta/match, Straffar %
+Lag A, 2.1, 0.8, 80
+Lag B, 1.2, 1.4
+Lag C, 1.6, 1.0
+Lag D, 1.1, 1.5
+Lag E, 1.8, 0.9
+Lag F, 1.0, 1.6
+Lag G, 1.4, 1.2
+Lag H, 1.3, 1.3
+Lag I, 1.9, 0.9
+Lag J, 1.1, 1.4
+Lag K, 1.5, 1.1
+Lag L, 0.9, 1.7
+Lag M, 1.7, 1.0
+Lag N, 1.2, 1.3
+Lag O, 1.3, 1.2
+Lag P, 1.0, 1.5`;
+
+const SAMPLE_GROUPS = `A: Lag A, Lag B, Lag C, Lag D
+B: Lag E, Lag F, Lag G, Lag H
+C: Lag I, Lag J, Lag K, Lag L
+D: Lag M, Lag N, Lag O, Lag P`;
+
+const MODEL_OPTIONS = [
+  { value: 'poisson', label: 'Poisson (mål per match)' },
+  { value: 'xg', label: 'xG (värdena tolkas som xG/xGA)' }
+];
+
+const FORMAT_OPTIONS = Object.entries(TOURNAMENT_FORMATS).map(([value, format]) => ({ value, label: format.name }));
+
+/** Antal lag som visas per plats i slutspelsträdet */
+const BRACKET_CANDIDATES = 3;
+
+/**
+ * Turneringssimulering: utslagsturnering eller gruppspel + slutspel med förlängning och straffar
+ */
+const TournamentCalculator = () => {
+  const [teamsText, setTeamsText] = useState(SAMPLE_TEAMS);
+  const [groupsText, setGroupsText] = useState(SAMPLE_GROUPS);
+  const [format, setFormat] = useState(DEFAULT_FORMAT);
+  const [model, setModel] = useState('poisson');
+  const [simulations, setSimulations] = useState(10000);
+  const [extraTimeIntensity, setExtraTimeIntensity] = useState(DEFAULT_EXTRA_TIME_INTENSITY);
+  const [penaltyConversion, setPenaltyConversion] = useState(DEFAULT_PENALTY_CONVERSION);
+  const [tournament, setTournament] = useState(null);
+  const [isSimulating, setIsSimulating] = useState(false);
+  const { showCalculationError, showSuccess } = useCalculationErrorToast();
+
+  const usesGroups = TOURNAMENT_FORMATS[format].groupStage;
+
+  const handleSimulate = () => {
+    setIsSimulating(true);
+    // Ge gränssnittet tid att visa laddningsläget innan den synkrona simuleringen
+    setTimeout(() => {
+      try {
+        const result = tournamentSimulator.simulate({
+          teams: parseTournamentTeams(teamsText),
+          groups: usesGroups ? parseGroups(groupsText) : [],
+          format,
+          model,
+          simulations,
+          extraTimeIntensity,
+          penaltyConversion
+        });
+        setTournament(result);
+        showSuccess('Turneringssimulering slutförd', `${result.simulationStats.simulations.toLocaleString()} turneringar simulerade`);
+      } catch (error) {
+        console.error('Tournament simulation error:', error);
+        showCalculationError(error, 'Fel vid turneringssimulering');
+      } finally {
+        setIsSimulating(false);
+      }
+    }, 50);
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto p-4 sm:p-6">
+      <div className="mb-6 sm:mb-8">
+        <h2 className="text-2xl sm:text-3xl font-bold text-gray-800 mb-4">
+          <Icon name="Award" className="inline mr-2 sm:mr-3" />
+          Turneringssimulering - Cup, Gruppspel och Slutspel
+        </h2>
+        <p className="text-sm sm:text-base text-gray-600 mb-4">
+          Simulerar en hel turnering tusentals gånger. Varje match prissätts med vald modell och resultatet dras ur modellens resultatfördelning. Oavgjorda slutspelsmatcher går till 30 minuters förlängning med lägre målintensitet och därefter straffläggning, vilket ger varje lags chans att nå varje omgång och vinna turneringen.
+        </p>
+
+        <details className="mb-4 sm:mb-6 bg-blue-50 rounded-lg p-3 sm:p-4">
+          <summary className="cursor-pointer font-semibold text-blue-800 hover:text-blue-900">
+            💡 Hur anger jag lag och grupper? (Klicka för att expandera)
+          </summary>
+          <div className="mt-3 text-sm text-blue-700 space-y-2">
+            <ul className="list-disc list-inside ml-4 space-y-1">
+              <li><strong>Lag:</strong> En rad per lag: lag, gjorda mål per match, insläppta mål per match och valfritt lagets straffprocent</li>
+              <li><strong>Utslagsturnering:</strong> Radernas ordning är lottningen - lag 1 möter lag 2, lag 3 möter lag 4 osv. Antalet lag måste vara 2, 4, 8, 16 ...</li>
+              <li><strong>Grupper:</strong> En rad per grupp, t.ex. "A: Lag A, Lag B, Lag C, Lag D". De två bästa i varje grupp går till slutspel</li>
+              <li><strong>Cup med dubbelmöten:</strong> Som utslagsturneringen men alla omgångar utom finalen avgörs över två matcher</li>
+              <li><strong>VM:</strong> Enkelmöten på neutral plan, gruppettor möter grupptvåor från granngruppen (A1-B2, B1-A2 ...)</li>
+              <li><strong>Champions League:</strong> Hemma- och bortamatcher i gruppen, gruppettor lottas mot grupptvåor från andra grupper. Slutspelet avgörs i dubbelmöten där gruppettan har returen hemma, finalen spelas på neutral plan</li>
+            </ul>
+          </div>
+        </details>
+
+        <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 mb-6 space-y-4">
+          <div className={`grid grid-cols-1 ${usesGroups ? 'lg:grid-cols-2' : ''} gap-4`}>
+            <div className="space-y-2">
+              <label htmlFor="tournament-teams" className="block text-sm font-medium text-foreground">Lag</label>
+              <textarea
+                id="tournament-teams"
+                rows={10}
+                value={teamsText}
+                onChange={(event) => setTeamsText(event.target.value)}
+                className="w-full border rounded-lg p-2 font-mono text-xs sm:text-sm"
+              />
+            </div>
+            {usesGroups && (
+              <div className="space-y-2">
+                <label htmlFor="tournament-groups" className="block text-sm font-medium text-foreground">Grupper</label>
+                <textarea
+                  id="tournament-groups"
+                  rows={10}
+                  value={groupsText}
+                  onChange={(event) => setGroupsText(event.target.value)}
+                  className="w-full border rounded-lg p-2 font-mono text-xs sm:text-sm"
+                />
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+            <Select label="Format" options={FORMAT_OPTIONS} value={format} onChange={setFormat} />
+            <Select label="Modell" options={MODEL_OPTIONS} value={model} onChange={setModel} />
+            <ValidatedInput
+              label="Antal simulerade turneringar"
+              type="number"
+              min={1000}
+              max={100000}
+              step={1000}
+              value={simulations}
+              onChange={(value) => value > 0 && setSimulations(value)}
+              helpText="Min: 1,000, Max: 100,000"
+            />
+            <ValidatedInput
+              label="Förlängningens intensitet"
+              type="number"
+              min={0}
+              max={1.5}
+              step={0.05}
+              value={extraTimeIntensity}
+              onChange={(value) => value >= 0 && setExtraTimeIntensity(value)}
+              helpText="Målfrekvens i förlängningen jämfört med ordinarie tid"
+            />
+            <ValidatedInput
+              label="Straffprocent"
+              type="number"
+              min={0.5}
+              max={0.95}
+              step={0.01}
+              value={penaltyConversion}
+              onChange={(value) => value > 0 && value < 1 && setPenaltyConversion(value)}
+              helpText="Används för lag utan egen straffprocent"
+            />
+          </div>
+
+          <button
+            onClick={handleSimulate}
+            disabled={isSimulating}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white px-4 py-2 rounded-lg transition-colors flex items-center justify-center text-sm sm:text-base"
+          >
+            {isSimulating ? <LoadingSpinner size="sm" className="mr-2" /> : <Icon name="Play" size={16} className="mr-2" />}
+            {isSimulating ? 'Simulerar...' : 'Simulera turneringen'}
+          </button>
+        </div>
+      </div>
+
+      {tournament && (
+        <div className="space-y-6">
+          <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+            <h3 className="text-lg sm:text-xl font-bold mb-4 text-gray-800">Chans att nå varje omgång</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full border-collapse text-sm">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="border p-2 text-left text-xs sm:text-sm">Lag</th>
+                    {tournament.format.groupStage && <th className="border p-2 text-center text-xs sm:text-sm">Grupp</th>}
+                    {tournament.format.groupStage && <th className="border p-2 text-center text-xs sm:text-sm">Gruppvinst</th>}
+                    {tournament.stages.slice(tournament.format.groupStage ? 1 : 0).map(stage => (
+                      <th key={stage} className={`border p-2 text-center text-xs sm:text-sm ${stage === 'Mästare' ? 'text-green-600' : ''}`}>{stage}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {tournament.teams.map(team => (
+                    <tr key={team.team}>
+                      <td className="border p-2 font-medium">{team.team}</td>
+                      {tournament.format.groupStage && <td className="border p-2 text-center">{team.group}</td>}
+                      {tournament.format.groupStage && <td className="border p-2 text-center">{formatPercent(team.groupPositionProbabilities[0])}</td>}
+                      {team.stageProbabilities.slice(tournament.format.groupStage ? 1 : 0).map((probability, index) => (
+                        <td
+                          key={index}
+                          className="border p-2 text-center"
+                          style={{ backgroundColor: `rgba(22, 163, 74, ${Math.min(0.6, probability * 0.6)})` }}
+                        >
+                          {formatPercent(probability)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Bracket View */}
+          <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+            <h3 className="text-lg sm:text-xl font-bold mb-4 text-gray-800">Slutspelsträd</h3>
+            <div className="overflow-x-auto">
+              <div className="flex gap-4 min-w-max">
+                {tournament.bracket.map(round => (
+                  <div key={round.name} className="flex flex-col justify-around gap-3 w-44">
+                    <p className="text-xs font-semibold text-gray-600 text-center uppercase tracking-wide">{round.name}</p>
+                    {round.slots.map((candidates, slot) => (
+                      <div
+                        key={slot}
+                        className={`border rounded-lg p-2 text-xs bg-gray-50 ${round.slots.length > 1 && slot % 2 === 0 ? 'border-b-2 border-b-blue-300' : ''}`}
+                      >
+                        {candidates.slice(0, BRACKET_CANDIDATES).map(candidate => (
+                          <div key={candidate.team} className="flex justify-between gap-2">
+                            <span className="truncate">{candidate.team}</span>
+                            <span className="font-medium text-gray-700">{formatPercent(candidate.probability, 0)}</span>
+                          </div>
+                        ))}
+                        {candidates.length > BRACKET_CANDIDATES && (
+                          <div className="text-gray-400">+{candidates.length - BRACKET_CANDIDATES} lag</div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </div>
+            <p className="text-xs text-gray-500 mt-3">
+              Varje ruta visar de lag som oftast når den platsen i trädet. Vinnaren av två intilliggande rutor går vidare till rutan i nästa kolumn.
+            </p>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Baserat på {tournament.simulationStats.simulations.toLocaleString()} simulerade turneringar
+            ({tournament.simulationStats.model === 'xg' ? 'xG-modell' : 'Poisson-modell'}, {tournament.format.name}).
+            {' '}{formatPercent(tournament.simulationStats.extraTimeRate)} av slutspelsmötena gick till förlängning och {formatPercent(tournament.simulationStats.penaltiesRate)} till straffar
+            (förlängningens intensitet {formatNumber(tournament.simulationStats.extraTimeIntensity, 2)}).
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TournamentCalculator;
@@ -0,0 +1,305 @@
+import React, { useState } from 'react';
+import ValidatedInput from './ui/InputValidation';
+import Select from './ui/Select';
+import LoadingSpinner from './ui/LoadingSpinner';
+import { Checkbox } from './ui/Checkbox';
+import { useCalculationErrorToast } from './ui/Toast';
+import Icon from './AppIcon';
+import {
+  tournamentSimulator, DEFAULT_EXTRA_TIME_INTENSITY, DEFAULT_PENALTY_CONVERSION
+} from '../utils/tournamentSimulator';
+import { formatPercent, formatGoals } from '../utils/resultFormatting';
+
+const MODEL_OPTIONS = [
+  { value: 'poisson', label: 'Poisson (mål per match)' },
+  { value: 'xg', label: 'xG (värdena tolkas som xG/xGA)' }
+];
+
+const DECIDED_BY_LABELS = {
+  regular: 'Sammanlagt efter 180 min',
+  awayGoals: 'Bortamål',
+  extraTime: 'Förlängning',
+  penalties: 'Straffar'
+};
+
+const DEFAULT_TEAMS = {
+  first: { team: 'Lag A', attack: 1.6, defence: 1.0, penaltyConversion: DEFAULT_PENALTY_CONVERSION },
+  second: { team: 'Lag B', attack: 1.4, defence: 1.1, penaltyConversion: DEFAULT_PENALTY_CONVERSION }
+};
+
+/**
+ * Dubbelmöte: två matcher med bytt hemmaplan, valfritt redan spelat första möte,
+ * bortamålsregel, förlängning och straffar
+ */
+const TwoLeggedTieCalculator = () => {
+  const [teams, setTeams] = useState(DEFAULT_TEAMS);
+  const [model, setModel] = useState('poisson');
+  const [simulations, setSimulations] = useState(10000);
+  const [firstLegPlayed, setFirstLegPlayed] = useState(false);
+  const [firstLeg, setFirstLeg] = useState({ homeGoals: 0, awayGoals: 0 });
+  const [awayGoals, setAwayGoals] = useState(false);
+  const [extraTimeIntensity, setExtraTimeIntensity] = useState(DEFAULT_EXTRA_TIME_INTENSITY);
+  const [tie, setTie] = useState(null);
+  const [isSimulating, setIsSimulating] = useState(false);
+  const { showCalculationError, showSuccess } = useCalculationErrorToast();
+
+  const updateTeam = (side, field, value) => {
+    setTeams(prev => ({ ...prev, [side]: { ...prev[side], [field]: value } }));
+  };
+
+  const handleSimulate = () => {
+    setIsSimulating(true);
+    // Ge gränssnittet tid att visa laddningsläget innan den synkrona simuleringen
+    setTimeout(() => {
+      try {
+        const result = tournamentSimulator.simulateTie({
+          first: { ...teams.first, team: teams.first.team.trim() || 'Lag A' },
+          second: { ...teams.second, team: teams.second.team.trim() || 'Lag B' },
+          firstLeg: firstLegPlayed ? firstLeg : null,
+          awayGoals,
+          model,
+          simulations,
+          extraTimeIntensity
+        });
+        setTie(result);
+        showSuccess('Dubbelmöte simulerat', `${result.simulationStats.simulations.toLocaleString()} dubbelmöten simulerade`);
+      } catch (error) {
+        console.error('Two-legged tie error:', error);
+        showCalculationError(error, 'Fel vid simulering av dubbelmöte');
+      } finally {
+        setIsSimulating(false);
+      }
+    }, 50);
+  };
+
+  const renderTeamInputs = (side, title) => (
+    <div className="space-y-3 p-3 bg-gray-50 rounded-lg">
+      <h3 className="font-semibold text-gray-700">{title}</h3>
+      <div className="space-y-1">
+        <label htmlFor={`tie-${side}-name`} className="block text-sm font-medium text-foreground">Lag</label>
+        <input
+          id={`tie-${side}-name`}
+          type="text"
+          value={teams[side].team}
+          onChange={(event) => updateTeam(side, 'team', event.target.value)}
+          className="w-full border rounded-lg p-2 text-sm"
+        />
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <ValidatedInput
+          label="Gjorda mål/match"
+          type="number"
+          min={0.1}
+          max={5}
+          step={0.1}
+          value={teams[side].attack}
+          onChange={(value) => value > 0 && updateTeam(side, 'attack', value)}
+        />
+        <ValidatedInput
+          label="Insläppta mål/match"
+          type="number"
+          min={0.1}
+          max={5}
+          step={0.1}
+          value={teams[side].defence}
+          onChange={(value) => value > 0 && updateTeam(side, 'defence', value)}
+        />
+        <ValidatedInput
+          label="Straffprocent"
+          type="number"
+          min={0.5}
+          max={0.95}
+          step={0.01}
+          value={teams[side].penaltyConversion}
+          onChange={(value) => value > 0 && value < 1 && updateTeam(side, 'penaltyConversion', value)}
+        />
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="max-w-7xl mx-auto p-4 sm:p-6">
+      <div className="mb-6 sm:mb-8">
+        <h2 className="text-2xl sm:text-3xl font-bold text-gray-800 mb-4">
+          <Icon name="Repeat" className="inline mr-2 sm:mr-3" />
+          Dubbelmöte - Chans att gå vidare över två matcher
+        </h2>
+        <p className="text-sm sm:text-base text-gray-600 mb-4">
+          Simulerar båda matcherna i ett dubbelmöte med bytt hemmaplan. Står det lika sammanlagt efter 180 minuter avgörs mötet med bortamålsregeln (om vald), förlängning i returen och till sist straffläggning.
+        </p>
+
+        <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 mb-6 space-y-4">
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            {renderTeamInputs('first', 'Hemma i första mötet')}
+            {renderTeamInputs('second', 'Hemma i returen')}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div className="space-y-3">
+              <Checkbox
+                id="tie-first-leg-played"
+                label="Första mötet är spelat"
+                description="Simulera bara returen utifrån resultatet i första mötet"
+                checked={firstLegPlayed}
+                onChange={(event) => setFirstLegPlayed(event.target.checked)}
+              />
+              {firstLegPlayed && (
+                <div className="grid grid-cols-2 gap-3">
+                  <ValidatedInput
+                    label={`Mål ${teams.first.team}`}
+                    type="number"
+                    min={0}
+                    max={15}
+                    step={1}
+                    value={firstLeg.homeGoals}
+                    onChange={(value) => value >= 0 && setFirstLeg(prev => ({ ...prev, homeGoals: Math.round(value) }))}
+                  />
+                  <ValidatedInput
+                    label={`Mål ${teams.second.team}`}
+                    type="number"
+                    min={0}
+                    max={15}
+                    step={1}
+                    value={firstLeg.awayGoals}
+                    onChange={(value) => value >= 0 && setFirstLeg(prev => ({ ...prev, awayGoals: Math.round(value) }))}
+                  />
+                </div>
+              )}
+              <Checkbox
+                id="tie-away-goals"
+                label="Bortamålsregel"
+                description="Vid lika sammanlagt går laget med flest bortamål vidare; bortalagets mål i förlängningen räknas som bortamål"
+                checked={awayGoals}
+                onChange={(event) => setAwayGoals(event.target.checked)}
+              />
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <Select label="Modell" options={MODEL_OPTIONS} value={model} onChange={setModel} />
+              <ValidatedInput
+                label="Antal simuleringar"
+                type="number"
+                min={1000}
+                max={100000}
+                step={1000}
+                value={simulations}
+                onChange={(value) => value > 0 && setSimulations(value)}
+              />
+              <ValidatedInput
+                label="Förlängningens intensitet"
+                type="number"
+                min={0}
+                max={1.5}
+                step={0.05}
+                value={extraTimeIntensity}
+                onChange={(value) => value >= 0 && setExtraTimeIntensity(value)}
+                helpText="Målfrekvens jämfört med ordinarie tid"
+              />
+            </div>
+          </div>
+
+          <button
+            onClick={handleSimulate}
+            disabled={isSimulating}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white px-4 py-2 rounded-lg transition-colors flex items-center justify-center text-sm sm:text-base"
+          >
+            {isSimulating ? <LoadingSpinner size="sm" className="mr-2" /> : <Icon name="Play" size={16} className="mr-2" />}
+            {isSimulating ? 'Simulerar...' : 'Simulera dubbelmötet'}
+          </button>
+        </div>
+      </div>
+
+      {tie && (
+        <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 space-y-6">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {[['first', tie.teams[0]], ['second', tie.teams[1]]].map(([side, team]) => (
+              <div key={side} className="text-center p-4 rounded-lg bg-blue-50">
+                <p className="text-sm text-gray-600">{team} går vidare</p>
+                <p className="text-3xl font-bold text-blue-700">{formatPercent(tie.qualification[side])}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div>
+              <h4 className="font-semibold mb-3 text-gray-700">Matcherna</h4>
+              <table className="w-full border-collapse text-sm">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="border p-2 text-left">Match</th>
+                    <th className="border p-2 text-center">1</th>
+                    <th className="border p-2 text-center">X</th>
+                    <th className="border p-2 text-center">2</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {tie.legs.map((leg, index) => (
+                    <tr key={index}>
+                      <td className="border p-2">
+                        <div className="font-medium">{leg.home} - {leg.away}</div>
+                        <div className="text-xs text-gray-500">
+                          {leg.played ? `Spelad ${leg.played.homeGoals}-${leg.played.awayGoals}` : `Förv. mål ${formatGoals(leg.expectedHomeGoals)} - ${formatGoals(leg.expectedAwayGoals)}`}
+                        </div>
+                      </td>
+                      {leg.played ? (
+                        <td colSpan={3} className="border p-2 text-center text-gray-500">-</td>
+                      ) : (
+                        <>
+                          <td className="border p-2 text-center">{formatPercent(leg.homeWinProbability)}</td>
+                          <td className="border p-2 text-center">{formatPercent(leg.drawProbability)}</td>
+                          <td className="border p-2 text-center">{formatPercent(leg.awayWinProbability)}</td>
+                        </>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div>
+              <h4 className="font-semibold mb-3 text-gray-700">Hur mötet avgörs</h4>
+              <table className="w-full border-collapse text-sm">
+                <tbody>
+                  {Object.entries(tie.decidedBy)
+                    .filter(([key]) => key !== 'awayGoals' || tie.awayGoals)
+                    .map(([key, probability]) => (
+                      <tr key={key}>
+                        <td className="border p-2">{DECIDED_BY_LABELS[key]}</td>
+                        <td className="border p-2 text-center">{formatPercent(probability)}</td>
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div>
+              <h4 className="font-semibold mb-3 text-gray-700">Vanligaste sammanlagda resultat (180 min)</h4>
+              <table className="w-full border-collapse text-sm">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="border p-2 text-left">{tie.teams[0]} - {tie.teams[1]}</th>
+                    <th className="border p-2 text-center">Sannolikhet</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {tie.aggregateScores.map(score => (
+                    <tr key={`${score.first}-${score.second}`}>
+                      <td className="border p-2">{score.first}-{score.second}</td>
+                      <td className="border p-2 text-center">{formatPercent(score.probability)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Baserat på {tie.simulationStats.simulations.toLocaleString()} simulerade dubbelmöten ({tie.simulationStats.model === 'xg' ? 'xG-modell' : 'Poisson-modell'}).
+            {tie.firstLeg ? ' Första mötet är spelat och bara returen simuleras.' : ''}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoLeggedTieCalculator;
@@ -0,0 +1,87 @@
+import React from 'react';
+import { Checkbox } from './Checkbox';
+import ValidatedInput from './InputValidation';
+import { DEFAULT_ADAPTIVE_MARKETS } from '../../utils/improvedMath';
+import { MARKET_LABELS } from '../../utils/resultFormatting';
+
+export const DEFAULT_ADAPTIVE_SETTINGS = {
+  enabled: false,
+  tolerance: 0.01,
+  maxSimulations: 1000000,
+  markets: DEFAULT_ADAPTIVE_MARKETS
+};
+
+/**
+ * Inställningar för adaptiv Monte Carlo: simulera tills 95%-intervallen för valda marknader är smala nog
+ */
+const AdaptiveSimulationInput = ({
+  value = DEFAULT_ADAPTIVE_SETTINGS,
+  onChange = () => {}
+}) => {
+  const settings = { ...DEFAULT_ADAPTIVE_SETTINGS, ...value };
+
+  const updateSettings = (changes) => {
+    onChange({ ...settings, ...changes });
+  };
+
+  const toggleMarket = (market, selected) => {
+    const markets = selected
+      ? [...settings.markets, market]
+      : settings.markets.filter(key => key !== market);
+    // Minst en marknad måste styra stoppkriteriet
+    if (markets.length > 0) updateSettings({ markets });
+  };
+
+  return (
+    <div className="space-y-3 p-3 bg-gray-50 rounded-lg">
+      <Checkbox
+        id="adaptive-simulation"
+        label="Adaptivt läge"
+        description="Simulerar i omgångar om det angivna antalet tills 95%-intervallen är smalare än toleransen"
+        checked={settings.enabled}
+        onChange={(event) => updateSettings({ enabled: event.target.checked })}
+      />
+
+      {settings.enabled && (
+        <>
+          <ValidatedInput
+            label="Tolerans (intervallbredd i procentenheter)"
+            type="number"
+            min={0.1}
+            max={10}
+            step={0.1}
+            value={Number((settings.tolerance * 100).toFixed(2))}
+            onChange={(tolerance) => tolerance > 0 && updateSettings({ tolerance: tolerance / 100 })}
+            helpText="Största tillåtna bredd på 95%-intervallet för de valda marknaderna. Min: 0.1, Max: 10. Exempel: 1.0 = intervallet får vara högst 1 procentenhet brett."
+          />
+          <ValidatedInput
+            label="Max antal simuleringar"
+            type="number"
+            min={10000}
+            max={5000000}
+            step={10000}
+            value={settings.maxSimulations}
+            onChange={(maxSimulations) => maxSimulations > 0 && updateSettings({ maxSimulations })}
+            helpText="Simuleringen stoppar här även om toleransen inte nåtts. Min: 10,000, Max: 5,000,000."
+          />
+          <div className="space-y-2">
+            <p className="text-sm font-medium text-foreground">Marknader som styr stoppkriteriet</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {Object.entries(MARKET_LABELS).map(([market, label]) => (
+                <Checkbox
+                  key={market}
+                  id={`adaptive-market-${market}`}
+                  label={label}
+                  checked={settings.markets.includes(market)}
+                  onChange={(event) => toggleMarket(market, event.target.checked)}
+                />
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AdaptiveSimulationInput;
@@ -0,0 +1,118 @@
+import React, { useMemo } from 'react';
+import { Checkbox } from './Checkbox';
+import ValidatedInput from './InputValidation';
+import Select from './Select';
+import { SAMPLE_RESULTS } from './TeamStrengthFitInput';
+import { DEFAULT_MCMC_SETTINGS } from '../../utils/bayesianTeamModel';
+import { parseMatchResults } from '../../utils/teamStrengthFitting';
+
+export const DEFAULT_BAYESIAN_SETTINGS = {
+  resultsText: SAMPLE_RESULTS,
+  homeTeam: 'Lag A',
+  awayTeam: 'Lag B',
+  chains: DEFAULT_MCMC_SETTINGS.chains,
+  iterations: DEFAULT_MCMC_SETTINGS.iterations,
+  burnIn: DEFAULT_MCMC_SETTINGS.burnIn,
+  neutral: false
+};
+
+/**
+ * Inställningar för den bayesianska hierarkiska modellen: resultathistorik, lagval och MCMC-körning
+ */
+const BayesianModelInput = ({
+  value = DEFAULT_BAYESIAN_SETTINGS,
+  onChange = () => {}
+}) => {
+  const settings = { ...DEFAULT_BAYESIAN_SETTINGS, ...value };
+
+  // Lagen läses direkt ur historiken; själva samplingen körs först vid beräkning
+  const { teams, matches, error } = useMemo(() => {
+    try {
+      const results = parseMatchResults(settings.resultsText);
+      return {
+        teams: [...new Set(results.flatMap(match => [match.home, match.away]))].sort((a, b) => a.localeCompare(b)),
+        matches: results.length,
+        error: null
+      };
+    } catch (parseError) {
+      return { teams: [], matches: 0, error: parseError.message };
+    }
+  }, [settings.resultsText]);
+
+  const teamOptions = [
+    { value: '', label: 'Välj lag' },
+    ...teams.map(team => ({ value: team, label: team }))
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-1">
+        <label htmlFor="bayesian-results" className="block text-sm font-medium text-foreground">
+          Resultathistorik (datum, hemmalag 2-1 bortalag)
+        </label>
+        <textarea
+          id="bayesian-results"
+          rows={8}
+          value={settings.resultsText}
+          onChange={(event) => onChange('resultsText', event.target.value)}
+          className="w-full border rounded-lg p-2 font-mono text-xs"
+        />
+        {error
+          ? <p className="text-xs text-red-600">{error}</p>
+          : <p className="text-xs text-gray-500">{matches} matcher, {teams.length} lag</p>}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <Select label="Hemmalag" options={teamOptions} value={settings.homeTeam} onChange={(team) => onChange('homeTeam', team)} />
+        <Select label="Bortalag" options={teamOptions} value={settings.awayTeam} onChange={(team) => onChange('awayTeam', team)} />
+      </div>
+      {settings.homeTeam && settings.homeTeam === settings.awayTeam && (
+        <p className="text-xs text-red-600">Välj två olika lag</p>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <ValidatedInput
+          label="Kedjor"
+          type="number"
+          min={1}
+          max={8}
+          step={1}
+          value={settings.chains}
+          onChange={(chains) => chains >= 1 && onChange('chains', Math.round(chains))}
+          helpText="Antal oberoende MCMC-kedjor. Minst två behövs för att jämföra kedjorna (R-hat). Standard 2."
+        />
+        <ValidatedInput
+          label="Iterationer per kedja"
+          type="number"
+          min={100}
+          max={20000}
+          step={500}
+          value={settings.iterations}
+          onChange={(iterations) => iterations >= 100 && onChange('iterations', Math.round(iterations))}
+          helpText="Sparade dragningar per kedja efter inbränning. Fler ger stabilare intervall men tar längre tid. Standard 2000."
+        />
+        <ValidatedInput
+          label="Inbränning"
+          type="number"
+          min={0}
+          max={10000}
+          step={100}
+          value={settings.burnIn}
+          onChange={(burnIn) => burnIn >= 0 && onChange('burnIn', Math.round(burnIn))}
+          helpText="Iterationer som kastas innan kedjan har nått posteriorn. Standard 500."
+        />
+      </div>
+      <div className="p-3 bg-gray-50 rounded-lg">
+        <Checkbox
+          id="bayesian-neutral"
+          label="Neutral plan"
+          description="Ingen hemmafördel i den kommande matchen"
+          checked={settings.neutral}
+          onChange={(event) => onChange('neutral', event.target.checked)}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default BayesianModelInput;
@@ -0,0 +1,263 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Checkbox } from './Checkbox';
+import Input from './Input';
+import Select from './Select';
+import { SAMPLE_RESULTS } from './TeamStrengthFitInput';
+import { ENSEMBLE_MODEL_LABELS } from './EnsembleInput';
+import {
+  probabilityCalibrator,
+  CALIBRATION_METHODS,
+  CALIBRATION_MODELS,
+  CALIBRATION_FOLDS,
+  CALIBRATION_STORAGE_KEY,
+  ALL_LEAGUES
+} from '../../utils/probabilityCalibration';
+import { historicalMatchesFromResults } from '../../utils/historicalValidation';
+import { validationWorkerRunner } from '../../utils/validationWorkerRunner';
+import { isSimulationCancelled } from '../../utils/monteCarloWorkerPool';
+import { parseMatchResults } from '../../utils/teamStrengthFitting';
+import { formatNumber, formatPercent } from '../../utils/resultFormatting';
+
+export const CALIBRATION_METHOD_LABELS = {
+  [CALIBRATION_METHODS.platt]: 'Platt-skalning',
+  [CALIBRATION_METHODS.isotonic]: 'Isoton regression',
+  [CALIBRATION_METHODS.temperature]: 'Temperaturskalning'
+};
+
+export const leagueLabel = (league) => (league === ALL_LEAGUES ? 'Alla ligor' : league);
+
+/**
+ * Läser sparade kalibreringar från localStorage
+ * @returns {Object} Kalibreringar per modell och liga
+ */
+export const loadStoredCalibrators = () => {
+  try {
+    const saved = localStorage.getItem(CALIBRATION_STORAGE_KEY);
+    return saved ? probabilityCalibrator.fromJSON(saved) : {};
+  } catch (error) {
+    console.warn('Kunde inte läsa sparade kalibreringar:', error);
+    return {};
+  }
+};
+
+/**
+ * Sparar kalibreringarna i localStorage
+ * @param {Object} calibrators - Kalibreringar per modell och liga
+ */
+export const saveStoredCalibrators = (calibrators) => {
+  try {
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, probabilityCalibrator.toJSON(calibrators));
+  } catch (error) {
+    console.warn('Kunde inte spara kalibreringar:', error);
+  }
+};
+
+export const DEFAULT_CALIBRATION_SETTINGS = {
+  method: CALIBRATION_METHODS.platt,
+  models: CALIBRATION_MODELS,
+  fitLeague: '',
+  resultsText: SAMPLE_RESULTS,
+  calibrators: {},
+  enabled: true,
+  league: ALL_LEAGUES
+};
+
+const METHOD_OPTIONS = Object.entries(CALIBRATION_METHOD_LABELS).map(([value, label]) => ({ value, label }));
+
+// Äldre sparade kalibreringar mättes på samma matcher som de anpassades på
+const inSampleMark = (calibrator) => (calibrator.metrics && !calibrator.metrics.folds ? ' *' : '');
+
+/**
+ * Anpassar kalibreringar (Platt, isoton regression eller temperatur) på modellernas
+ * prognoser för historiska matcher och väljer vilken ligas kalibrering som används
+ */
+const CalibrationInput = ({
+  value = DEFAULT_CALIBRATION_SETTINGS,
+  onChange = () => {}
+}) => {
+  const settings = { ...DEFAULT_CALIBRATION_SETTINGS, ...value };
+  const [expanded, setExpanded] = useState(false);
+  const [isFitting, setIsFitting] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  // Stoppa en pågående anpassning när komponenten tas bort
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const { matches, parseError } = useMemo(() => {
+    try {
+      return { matches: historicalMatchesFromResults(parseMatchResults(settings.resultsText)), parseError: null };
+    } catch (resultError) {
+      return { matches: [], parseError: resultError.message };
+    }
+  }, [settings.resultsText]);
+
+  const rows = Object.entries(settings.calibrators).flatMap(([model, leagues]) => (
+    Object.entries(leagues).map(([league, calibrator]) => ({ model, league, calibrator }))
+  ));
+  const leagues = [...new Set(rows.map(row => row.league))];
+  const leagueOptions = [ALL_LEAGUES, ...leagues.filter(league => league !== ALL_LEAGUES)]
+    .map(league => ({ value: league, label: leagueLabel(league) }));
+
+  const toggleModel = (model, checked) => {
+    onChange('models', CALIBRATION_MODELS.filter(key => (key === model ? checked : settings.models.includes(key))));
+  };
+
+  // Valideringen (även Monte Carlo för varje match) körs i en worker så att sidan inte låser sig
+  const handleFit = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsFitting(true);
+    setProgress(0);
+    setError(null);
+    try {
+      const calibrators = await validationWorkerRunner.run('calibration', matches, {
+        models: settings.models,
+        method: settings.method,
+        league: settings.fitLeague.trim() || ALL_LEAGUES,
+        store: settings.calibrators
+      }, { onProgress: setProgress, signal: controller.signal });
+      onChange('calibrators', calibrators);
+    } catch (fitError) {
+      if (!isSimulationCancelled(fitError)) setError(fitError.message);
+    } finally {
+      abortRef.current = null;
+      setIsFitting(false);
+    }
+  };
+
+  const handleRemove = (model, league) => {
+    const { [league]: removed, ...rest } = settings.calibrators[model];
+    const { [model]: previous, ...others } = settings.calibrators;
+    onChange('calibrators', Object.keys(rest).length > 0 ? { ...others, [model]: rest } : others);
+  };
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-lg space-y-3">
+      <button
+        type="button"
+        onClick={() => setExpanded(prev => !prev)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-gray-700"
+        aria-expanded={expanded}
+      >
+        <span>📐 Kalibrering · {rows.length > 0 ? `${rows.length} sparade${settings.enabled ? `, ${leagueLabel(settings.league)}` : ', avstängd'}` : 'ingen anpassad'}</span>
+        <span>{expanded ? '−' : '+'}</span>
+      </button>
+
+      {expanded && (
+        <>
+          <p className="text-xs text-gray-600">
+            Modellernas prognoser på historiska matcher visar om de är för säkra eller för osäkra. Kalibreringen lär en omvandling från råa till kalibrerade 1X2-sannolikheter och justerar resultatmatrisen därefter. Kalibreringar sparas per modell och liga i webbläsaren.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <Select label="Metod" options={METHOD_OPTIONS} value={settings.method} onChange={(method) => onChange('method', method)} />
+            <Input
+              label="Liga"
+              description="Lämna tomt för en kalibrering som gäller alla ligor"
+              value={settings.fitLeague}
+              onChange={(event) => onChange('fitLeague', event.target.value)}
+              placeholder="t.ex. Allsvenskan"
+            />
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {CALIBRATION_MODELS.map(model => (
+              <Checkbox
+                key={model}
+                id={`calibration-${model}`}
+                label={ENSEMBLE_MODEL_LABELS[model]}
+                checked={settings.models.includes(model)}
+                onChange={(event) => toggleModel(model, event.target.checked)}
+              />
+            ))}
+          </div>
+          <div className="space-y-1">
+            <label htmlFor="calibration-results" className="block text-sm font-medium text-foreground">
+              Resultathistorik för ligan (datum, hemmalag 2-1 bortalag)
+            </label>
+            <textarea
+              id="calibration-results"
+              rows={6}
+              value={settings.resultsText}
+              onChange={(event) => onChange('resultsText', event.target.value)}
+              className="w-full border rounded-lg p-2 font-mono text-xs"
+            />
+            {parseError
+              ? <p className="text-xs text-red-600">{parseError}</p>
+              : <p className="text-xs text-gray-500">{matches.length} matcher</p>}
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleFit}
+              disabled={isFitting || Boolean(parseError) || settings.models.length === 0}
+              className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-3 py-2 rounded-lg text-sm transition-colors"
+            >
+              {isFitting ? `Validerar modellerna... ${formatPercent(progress, 0)}` : 'Anpassa kalibrering'}
+            </button>
+            {isFitting && (
+              <button
+                type="button"
+                onClick={() => abortRef.current?.abort()}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-3 py-2 rounded-lg text-sm transition-colors"
+              >
+                Avbryt
+              </button>
+            )}
+          </div>
+          {error && <p className="text-xs text-red-600">{error}</p>}
+
+          {rows.length > 0 && (
+            <div className="space-y-3">
+              <table className="w-full border-collapse text-xs">
+                <thead>
+                  <tr className="bg-white">
+                    <th className="border p-1 text-left">Modell</th>
+                    <th className="border p-1 text-left">Liga</th>
+                    <th className="border p-1 text-left">Metod</th>
+                    <th className="border p-1 text-center">Matcher</th>
+                    <th className="border p-1 text-center">Log loss rå → kal. (utanför urvalet)</th>
+                    <th className="border p-1 text-center">Kalibreringsfel rå → kal. (utanför urvalet)</th>
+                    <th className="border p-1" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(({ model, league, calibrator }) => (
+                    <tr key={`${model}-${league}`}>
+                      <td className="border p-1">{ENSEMBLE_MODEL_LABELS[model]}</td>
+                      <td className="border p-1">{leagueLabel(league)}</td>
+                      <td className="border p-1">{CALIBRATION_METHOD_LABELS[calibrator.method]}</td>
+                      <td className="border p-1 text-center">{calibrator.matches}</td>
+                      <td className="border p-1 text-center">{formatNumber(calibrator.metrics?.raw.logLoss, 4)} → {formatNumber(calibrator.metrics?.calibrated.logLoss, 4)}{inSampleMark(calibrator)}</td>
+                      <td className="border p-1 text-center">{formatNumber(calibrator.metrics?.raw.calibrationError, 3)} → {formatNumber(calibrator.metrics?.calibrated.calibrationError, 3)}{inSampleMark(calibrator)}</td>
+                      <td className="border p-1 text-center">
+                        <button type="button" onClick={() => handleRemove(model, league)} className="text-red-600 hover:underline">
+                          Ta bort
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-600">
+                De kalibrerade måtten är korsvaliderade: matcherna delas i {CALIBRATION_FOLDS} block i datumordning och varje block kalibreras med en avbildning anpassad på de andra blocken, så måtten gäller matcher som kalibreringen inte sett. Kalibreringar sparade med en äldre version har bara mått i urvalet (*), som är för optimistiska. Kalibreringsfelet jämför favoritens sannolikhet med hur ofta favoriten vann, som i den historiska valideringen.
+              </p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 items-end">
+                <Checkbox
+                  id="calibration-enabled"
+                  label="Kalibrera prognoserna"
+                  description="Visa kalibrerade sannolikheter bredvid de råa"
+                  checked={settings.enabled}
+                  onChange={(event) => onChange('enabled', event.target.checked)}
+                />
+                <Select label="Liga för prognosen" options={leagueOptions} value={settings.league} onChange={(league) => onChange('league', league)} />
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CalibrationInput;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { Checkbox } from './Checkbox';
+import ValidatedInput from './InputValidation';
+import Select from './Select';
+import { SAMPLE_RESULTS } from './TeamStrengthFitInput';
+import { dynamicRatingSystem, DEFAULT_PRIOR_SD, DEFAULT_DRIFT_SD } from '../../utils/dynamicRatings';
+import { parseMatchResults } from '../../utils/teamStrengthFitting';
+import { formatNumber } from '../../utils/resultFormatting';
+
+/**
+ * Följer lagens attack och försvar match för match med ett Kalmanfilter och fyller i Monte Carlo-fliken
+ * med aktuell styrka och dess osäkerhet när både hemma- och bortalag är valda. onApply ska vara stabil (useCallback)
+ */
+const DynamicRatingInput = ({
+  onApply = () => {},
+  onReset = () => {}
+}) => {
+  const [expanded, setExpanded] = useState(false);
+  const [resultsText, setResultsText] = useState(SAMPLE_RESULTS);
+  const [priorSd, setPriorSd] = useState(DEFAULT_PRIOR_SD);
+  const [driftSd, setDriftSd] = useState(DEFAULT_DRIFT_SD);
+  const [sampleStrength, setSampleStrength] = useState(true);
+  const [ratings, setRatings] = useState(null);
+  const [error, setError] = useState(null);
+  const [homeTeam, setHomeTeam] = useState('');
+  const [awayTeam, setAwayTeam] = useState('');
+
+  useEffect(() => {
+    if (ratings && homeTeam && awayTeam && homeTeam !== awayTeam) {
+      const inputs = dynamicRatingSystem.monteCarloInputs(ratings, homeTeam, awayTeam);
+      onApply({
+        homeAttack: inputs.homeGoalsAvg,
+        awayAttack: inputs.awayGoalsAvg,
+        homeDefense: inputs.homeDefenseStrength,
+        awayDefense: inputs.awayDefenseStrength,
+        homeAdvantage: inputs.homeAdvantage,
+        strengthUncertainty: sampleStrength ? inputs.strengthUncertainty : null
+      });
+    }
+  }, [ratings, homeTeam, awayTeam, sampleStrength, onApply]);
+
+  const handleRate = () => {
+    try {
+      const state = dynamicRatingSystem.rate(parseMatchResults(resultsText), { priorSd, driftSd });
+      setRatings(state);
+      setError(null);
+      if (!state.teams.has(homeTeam)) setHomeTeam('');
+      if (!state.teams.has(awayTeam)) setAwayTeam('');
+    } catch (rateError) {
+      setRatings(null);
+      setError(rateError.message);
+    }
+  };
+
+  const handleReset = () => {
+    setHomeTeam('');
+    setAwayTeam('');
+    onReset();
+  };
+
+  const table = ratings ? dynamicRatingSystem.ratingTable(ratings) : [];
+  const teamOptions = [
+    { value: '', label: 'Välj lag' },
+    ...table.map(row => ({ value: row.team, label: row.team })).sort((a, b) => a.label.localeCompare(b.label))
+  ];
+  const fixture = ratings && homeTeam && awayTeam && homeTeam !== awayTeam
+    ? dynamicRatingSystem.monteCarloInputs(ratings, homeTeam, awayTeam).strengthUncertainty
+    : null;
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-lg space-y-3">
+      <button
+        type="button"
+        onClick={() => setExpanded(prev => !prev)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-gray-700"
+        aria-expanded={expanded}
+      >
+        <span>📈 Dynamisk rating (Kalmanfilter)</span>
+        <span>{expanded ? '−' : '+'}</span>
+      </button>
+
+      {expanded && (
+        <>
+          <p className="text-xs text-gray-600">
+            Varje lags attack och försvar tillåts driva under säsongen och uppdateras efter varje match. Välj hemma- och bortalag för att fylla i fälten nedan med aktuell styrka; osäkerheten kan användas för att låta varje simulerad match dra sin egen lagstyrka.
+          </p>
+          <div className="space-y-1">
+            <label htmlFor="dynamic-results" className="block text-sm font-medium text-foreground">Resultat (datum, hemmalag 2-1 bortalag)</label>
+            <textarea
+              id="dynamic-results"
+              rows={6}
+              value={resultsText}
+              onChange={(event) => setResultsText(event.target.value)}
+              className="w-full border rounded-lg p-2 font-mono text-xs"
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <ValidatedInput
+              label="Startosäkerhet (SD)"
+              type="number"
+              min={0.05}
+              max={1}
+              step={0.05}
+              value={priorSd}
+              onChange={(value) => value > 0 && setPriorSd(value)}
+              helpText="Standardavvikelse för ett nytt lags log-attack och log-försvar. 0.3 ≈ ±35 % kring ligasnittet."
+            />
+            <ValidatedInput
+              label="Drift per 30 dagar (SD)"
+              type="number"
+              min={0}
+              max={0.5}
+              step={0.01}
+              value={driftSd}
+              onChange={(value) => value >= 0 && setDriftSd(value)}
+              helpText="Hur mycket styrkan kan förändras per månad. 0 = statisk styrka. Vanliga värden: 0.03-0.10. Utan datum räknas 7 dagar mellan matcherna."
+            />
+          </div>
+          <Checkbox
+            id="dynamic-sample-strength"
+            label="Sampla lagstyrka i simuleringen"
+            description="Varje simulerad match drar attack och försvar från ratingens osäkerhet innan målen dras"
+            checked={sampleStrength}
+            onChange={(event) => setSampleStrength(event.target.checked)}
+          />
+          <button
+            type="button"
+            onClick={handleRate}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-lg text-sm transition-colors"
+          >
+            Beräkna dynamisk rating
+          </button>
+          {error && <p className="text-xs text-red-600">{error}</p>}
+
+          {ratings && (
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 gap-3">
+                <Select label="Hemmalag" options={teamOptions} value={homeTeam} onChange={setHomeTeam} />
+                <Select label="Bortalag" options={teamOptions} value={awayTeam} onChange={setAwayTeam} />
+              </div>
+              {homeTeam && homeTeam === awayTeam && (
+                <p className="text-xs text-red-600">Välj två olika lag</p>
+              )}
+              <table className="w-full border-collapse text-xs">
+                <thead>
+                  <tr className="bg-white">
+                    <th className="border p-1 text-left">Lag</th>
+                    <th className="border p-1 text-center">Matcher</th>
+                    <th className="border p-1 text-center">Attack</th>
+                    <th className="border p-1 text-center">Försvar</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {table.map(row => (
+                    <tr key={row.team}>
+                      <td className="border p-1">{row.team}</td>
+                      <td className="border p-1 text-center">{row.matches}</td>
+                      <td className="border p-1 text-center">{formatNumber(row.attack, 2)} ± {formatNumber(row.attackSd, 2)}</td>
+                      <td className="border p-1 text-center">{formatNumber(row.defence, 2)} ± {formatNumber(row.defenceSd, 2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-600">
+                Attack = förväntade mål mot ett genomsnittligt försvar, försvar = faktor på motståndarens attack (under 1 = släpper in mindre än snittet). ± är standardavvikelsen på log-skala.
+                {' '}Ligasnitt {formatNumber(ratings.options.leagueAverage, 2)} · hemmafördel {formatNumber(ratings.options.homeAdvantage, 3)} · {ratings.matches} matcher · prediktiv log-likelihood {formatNumber(ratings.predictiveLogLikelihood, 1)}
+              </p>
+              {fixture && (
+                <p className="text-xs text-gray-600">
+                  Osäkerhet i målförväntan (log-SD): hemma {formatNumber(fixture.homeLogSd, 3)} · borta {formatNumber(fixture.awayLogSd, 3)} · korrelation {formatNumber(fixture.correlation, 2)}
+                </p>
+              )}
+              <button
+                type="button"
+                onClick={handleReset}
+                className="text-xs text-gray-600 underline hover:text-gray-900"
+              >
+                Återställ hemmafördel och sluta sampla lagstyrka
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DynamicRatingInput;
@@ -0,0 +1,179 @@
+import React, { useMemo } from 'react';
+import { Checkbox } from './Checkbox';
+import ValidatedInput from './InputValidation';
+import Select from './Select';
+import {
+  eloRatingSystem,
+  parseEloResults,
+  COMPETITION_K_FACTORS,
+  DEFAULT_ELO_HOME_ADVANTAGE
+} from '../../utils/eloRatings';
+import { formatNumber } from '../../utils/resultFormatting';
+
+export const ELO_SAMPLE_RESULTS = `2024-04-06, Lag A 2-0 Lag F
+2024-04-06, Lag B 2-1 Lag E
+2024-04-06, Lag C 0-1 Lag D
+2024-04-13, Lag E 0-3 Lag A
+2024-04-13, Lag D 2-0 Lag F
+2024-04-13, Lag C 2-1 Lag B
+2024-04-20, Lag A 1-0 Lag D
+2024-04-20, Lag E 4-2 Lag C
+2024-04-20, Lag F 0-2 Lag B
+2024-04-27, Lag C 4-2 Lag A
+2024-04-27, Lag B 1-1 Lag D
+2024-04-27, Lag F 0-1 Lag E
+2024-05-04, Lag A 0-1 Lag B
+2024-05-04, Lag C 3-0 Lag F
+2024-05-04, Lag D 0-1 Lag E
+2024-05-07, Lag E 0-2 Lag B [cup]
+2024-05-11, Lag F 0-2 Lag A
+2024-05-11, Lag E 0-0 Lag B
+2024-05-11, Lag D 2-0 Lag C
+2024-05-18, Lag A 3-1 Lag E
+2024-05-18, Lag F 2-2 Lag D
+2024-05-18, Lag B 2-3 Lag C
+2024-05-25, Lag D 1-0 Lag A
+2024-05-25, Lag C 2-1 Lag E
+2024-05-25, Lag B 5-1 Lag F
+2024-05-28, Lag C 1-1 Lag A [cup]
+2024-06-01, Lag A 0-0 Lag C
+2024-06-01, Lag D 0-0 Lag B
+2024-06-01, Lag E 3-1 Lag F
+2024-06-08, Lag B 2-0 Lag A
+2024-06-08, Lag F 1-1 Lag C
+2024-06-08, Lag E 0-2 Lag D`;
+
+export const DEFAULT_ELO_SETTINGS = {
+  resultsText: ELO_SAMPLE_RESULTS,
+  homeTeam: 'Lag A',
+  awayTeam: 'Lag B',
+  homeAdvantage: DEFAULT_ELO_HOME_ADVANTAGE,
+  marginOfVictory: true,
+  neutral: false
+};
+
+const COMPETITION_LABELS = {
+  friendly: 'Träningsmatch',
+  league: 'Liga',
+  cup: 'Cup',
+  qualifier: 'Kval',
+  continental: 'Kontinentalt mästerskap',
+  worldCup: 'VM'
+};
+
+/**
+ * Elo-inställningar: resultathistorik, lagval och ratingtabell
+ */
+const EloRatingInput = ({
+  value = DEFAULT_ELO_SETTINGS,
+  onChange = () => {}
+}) => {
+  const settings = { ...DEFAULT_ELO_SETTINGS, ...value };
+
+  // Ratingen räknas om direkt när historiken eller inställningarna ändras
+  const { ratings, error } = useMemo(() => {
+    try {
+      return {
+        ratings: eloRatingSystem.rate(parseEloResults(settings.resultsText), {
+          homeAdvantage: settings.homeAdvantage,
+          marginOfVictory: settings.marginOfVictory
+        }),
+        error: null
+      };
+    } catch (parseError) {
+      return { ratings: null, error: parseError.message };
+    }
+  }, [settings.resultsText, settings.homeAdvantage, settings.marginOfVictory]);
+
+  const table = ratings ? eloRatingSystem.ratingTable(ratings) : [];
+  const teamOptions = [
+    { value: '', label: 'Välj lag' },
+    ...table.map(row => ({ value: row.team, label: row.team }))
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-1">
+        <label htmlFor="elo-results" className="block text-sm font-medium text-foreground">
+          Resultathistorik (datum, hemmalag 2-1 bortalag [tävling, neutral])
+        </label>
+        <textarea
+          id="elo-results"
+          rows={8}
+          value={settings.resultsText}
+          onChange={(event) => onChange('resultsText', event.target.value)}
+          className="w-full border rounded-lg p-2 font-mono text-xs"
+        />
+        <p className="text-xs text-gray-500">
+          K-faktor per tävling: {Object.entries(COMPETITION_K_FACTORS).map(([key, kFactor]) => `${COMPETITION_LABELS[key]} [${key}] ${kFactor}`).join(', ')}. Rader utan tagg räknas som liga.
+        </p>
+        {error && <p className="text-xs text-red-600">{error}</p>}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <Select label="Hemmalag" options={teamOptions} value={settings.homeTeam} onChange={(team) => onChange('homeTeam', team)} />
+        <Select label="Bortalag" options={teamOptions} value={settings.awayTeam} onChange={(team) => onChange('awayTeam', team)} />
+      </div>
+      {settings.homeTeam && settings.homeTeam === settings.awayTeam && (
+        <p className="text-xs text-red-600">Välj två olika lag</p>
+      )}
+
+      <ValidatedInput
+        label="Hemmafördel (ratingpoäng)"
+        type="number"
+        min={0}
+        max={300}
+        step={10}
+        value={settings.homeAdvantage}
+        onChange={(points) => points >= 0 && onChange('homeAdvantage', points)}
+        helpText="Ratingpoäng som läggs till hemmalaget före varje match. Min: 0, Max: 300. Standard 100 enligt World Football Elo."
+      />
+      <div className="space-y-3 p-3 bg-gray-50 rounded-lg">
+        <Checkbox
+          id="elo-margin-of-victory"
+          label="Väg in målskillnaden"
+          description="Större segrar flyttar ratingen mer: ×1.5 vid två mål, (11 + N)/8 vid tre eller fler"
+          checked={settings.marginOfVictory}
+          onChange={(event) => onChange('marginOfVictory', event.target.checked)}
+        />
+        <Checkbox
+          id="elo-neutral"
+          label="Neutral plan"
+          description="Ingen hemmafördel i den kommande matchen"
+          checked={settings.neutral}
+          onChange={(event) => onChange('neutral', event.target.checked)}
+        />
+      </div>
+
+      {ratings && (
+        <div className="space-y-2">
+          <table className="w-full border-collapse text-xs">
+            <thead>
+              <tr className="bg-gray-50">
+                <th className="border p-1 text-left">Lag</th>
+                <th className="border p-1 text-center">Matcher</th>
+                <th className="border p-1 text-center">Elo</th>
+              </tr>
+            </thead>
+            <tbody>
+              {table.map(row => (
+                <tr key={row.team}>
+                  <td className="border p-1">{row.team}</td>
+                  <td className="border p-1 text-center">{row.matches}</td>
+                  <td className="border p-1 text-center">{Math.round(row.rating)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500">
+            {ratings.drawModel.fitted
+              ? `Oavgjortsmodellen är anpassad på ${ratings.drawModel.matches} matcher (lutning ${formatNumber(ratings.drawModel.slope, 2)} per 100 poäng)`
+              : 'För få matcher för att anpassa oavgjortsmodellen - standardmodellen används'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EloRatingInput;
@@ -0,0 +1,213 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Checkbox } from './Checkbox';
+import Select from './Select';
+import { SAMPLE_RESULTS } from './TeamStrengthFitInput';
+import {
+  modelEnsemble,
+  DEFAULT_ENSEMBLE_OPTIONS,
+  ENSEMBLE_MODELS,
+  LEARNABLE_ENSEMBLE_MODELS,
+  POOLING_METHODS,
+  ENSEMBLE_OBJECTIVES
+} from '../../utils/modelEnsemble';
+import { historicalMatchesFromResults } from '../../utils/historicalValidation';
+import { validationWorkerRunner } from '../../utils/validationWorkerRunner';
+import { isSimulationCancelled } from '../../utils/monteCarloWorkerPool';
+import { parseMatchResults } from '../../utils/teamStrengthFitting';
+import { formatNumber, formatPercent } from '../../utils/resultFormatting';
+
+export const DEFAULT_ENSEMBLE_SETTINGS = {
+  ...DEFAULT_ENSEMBLE_OPTIONS,
+  resultsText: SAMPLE_RESULTS,
+  fit: null
+};
+
+export const ENSEMBLE_MODEL_LABELS = {
+  xg: 'xG',
+  poisson: 'Poisson',
+  montecarlo: 'Monte Carlo',
+  bivariate: 'Bivariat Poisson',
+  elo: 'Elo',
+  bayesian: 'Bayesiansk'
+};
+
+export const OBJECTIVE_LABELS = {
+  [ENSEMBLE_OBJECTIVES.logLoss]: 'Log loss',
+  [ENSEMBLE_OBJECTIVES.brier]: 'Brier'
+};
+
+const METHOD_OPTIONS = [
+  { value: POOLING_METHODS.linear, label: 'Linjär (viktat medelvärde)' },
+  { value: POOLING_METHODS.logLinear, label: 'Log-linjär (viktat geometriskt medelvärde)' }
+];
+
+const OBJECTIVE_OPTIONS = Object.entries(OBJECTIVE_LABELS).map(([value, label]) => ({ value, label }));
+
+/**
+ * Inställningar för ensemblen: poolningsmetod, modeller och vikter som lärs
+ * genom historisk validering av varje modell på resultathistoriken
+ */
+const EnsembleInput = ({
+  value = DEFAULT_ENSEMBLE_SETTINGS,
+  onChange = () => {}
+}) => {
+  const settings = { ...DEFAULT_ENSEMBLE_SETTINGS, ...value };
+  const [expanded, setExpanded] = useState(false);
+  const [isLearning, setIsLearning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  // Stoppa en pågående inlärning när komponenten tas bort
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const { matches, parseError } = useMemo(() => {
+    try {
+      return { matches: historicalMatchesFromResults(parseMatchResults(settings.resultsText)), parseError: null };
+    } catch (resultError) {
+      return { matches: [], parseError: resultError.message };
+    }
+  }, [settings.resultsText]);
+
+  // Inlärda vikter gäller bara för de inställningar de lärdes med
+  const update = (field, fieldValue) => {
+    onChange(field, fieldValue);
+    onChange('fit', null);
+  };
+
+  const toggleModel = (model, checked) => {
+    update('models', ENSEMBLE_MODELS.filter(key => (key === model ? checked : settings.models.includes(key))));
+  };
+
+  // Valideringen (även Monte Carlo för varje match) körs i en worker så att sidan inte låser sig
+  const handleLearn = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsLearning(true);
+    setProgress(0);
+    setError(null);
+    try {
+      const fit = await validationWorkerRunner.run('ensemble', matches, {
+        models: settings.models,
+        method: settings.method,
+        objective: settings.objective
+      }, { onProgress: setProgress, signal: controller.signal });
+      onChange('fit', fit);
+    } catch (learnError) {
+      if (!isSimulationCancelled(learnError)) setError(learnError.message);
+    } finally {
+      abortRef.current = null;
+      setIsLearning(false);
+    }
+  };
+
+  const learnable = settings.models.filter(model => LEARNABLE_ENSEMBLE_MODELS.includes(model));
+  const notLearnable = settings.models.filter(model => !LEARNABLE_ENSEMBLE_MODELS.includes(model));
+
+  const { fit } = settings;
+  const weights = fit ? fit.weights : modelEnsemble.equalWeights(settings.models, settings.method).weights;
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-lg space-y-3">
+      <button
+        type="button"
+        onClick={() => setExpanded(prev => !prev)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-gray-700"
+        aria-expanded={expanded}
+      >
+        <span>🧮 Ensemble · {fit ? `inlärda vikter (${OBJECTIVE_LABELS[fit.objective]})` : 'lika vikter'}</span>
+        <span>{expanded ? '−' : '+'}</span>
+      </button>
+
+      {expanded && (
+        <>
+          <p className="text-xs text-gray-600">
+            Väger samman modellernas resultatmatriser till en prognos. Vikterna lärs genom att varje modell valideras på resultathistoriken, där varje match förutsägs med statistik från matcherna före den, och vikterna väljs så att ensemblens 1X2-prognoser får lägst poäng.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <Select label="Poolning" options={METHOD_OPTIONS} value={settings.method} onChange={(method) => update('method', method)} />
+            <Select label="Optimeringsmått" options={OBJECTIVE_OPTIONS} value={settings.objective} onChange={(objective) => update('objective', objective)} />
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+            {ENSEMBLE_MODELS.map(model => (
+              <Checkbox
+                key={model}
+                id={`ensemble-${model}`}
+                label={ENSEMBLE_MODEL_LABELS[model]}
+                checked={settings.models.includes(model)}
+                onChange={(event) => toggleModel(model, event.target.checked)}
+              />
+            ))}
+          </div>
+          <div className="space-y-1">
+            <label htmlFor="ensemble-results" className="block text-sm font-medium text-foreground">
+              Resultathistorik för validering (datum, hemmalag 2-1 bortalag)
+            </label>
+            <textarea
+              id="ensemble-results"
+              rows={6}
+              value={settings.resultsText}
+              onChange={(event) => update('resultsText', event.target.value)}
+              className="w-full border rounded-lg p-2 font-mono text-xs"
+            />
+            {parseError
+              ? <p className="text-xs text-red-600">{parseError}</p>
+              : <p className="text-xs text-gray-500">{matches.length} matcher</p>}
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleLearn}
+              disabled={isLearning || Boolean(parseError) || learnable.length < 2}
+              className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-3 py-2 rounded-lg text-sm transition-colors"
+            >
+              {isLearning ? `Validerar modellerna... ${formatPercent(progress, 0)}` : 'Lär vikter från historisk validering'}
+            </button>
+            {isLearning && (
+              <button
+                type="button"
+                onClick={() => abortRef.current?.abort()}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-3 py-2 rounded-lg text-sm transition-colors"
+              >
+                Avbryt
+              </button>
+            )}
+          </div>
+          {learnable.length < 2 && <p className="text-xs text-red-600">Välj minst två modeller som kan valideras historiskt</p>}
+          {notLearnable.length > 0 && (
+            <p className="text-xs text-gray-500">
+              {notLearnable.map(model => ENSEMBLE_MODEL_LABELS[model]).join(', ')} kan inte valideras match för match (modellen skattas om med MCMC för varje prognos) och ingår därför bara med lika vikter, inte med inlärda.
+            </p>
+          )}
+          {error && <p className="text-xs text-red-600">{error}</p>}
+
+          <table className="w-full border-collapse text-xs">
+            <thead>
+              <tr className="bg-white">
+                <th className="border p-1 text-left">Modell</th>
+                <th className="border p-1 text-center">Vikt</th>
+                {fit && <th className="border p-1 text-center">{OBJECTIVE_LABELS[fit.objective]} ensam</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(weights).map(([model, weight]) => (
+                <tr key={model}>
+                  <td className="border p-1">{ENSEMBLE_MODEL_LABELS[model]}</td>
+                  <td className="border p-1 text-center">{formatPercent(weight)}</td>
+                  {fit && <td className="border p-1 text-center">{formatNumber(fit.modelScores[model], 4)}</td>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {fit && (
+            <p className="text-xs text-gray-600">
+              {OBJECTIVE_LABELS[fit.objective]} på {fit.matches} matcher: ensemble {formatNumber(fit.score, 4)} utanför urvalet ({formatNumber(fit.inSampleScore, 4)} i urvalet), lika vikter {formatNumber(fit.equalWeightScore, 4)}. Lägre är bättre. Ensemblens poäng är korsvaliderad: matcherna delas i {fit.folds} block i datumordning och varje block poolas med vikter inlärda på de andra blocken.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EnsembleInput;
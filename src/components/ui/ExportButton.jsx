@@ -10,6 +10,10 @@ const ExportButton = ({
   xgResults, 
   poissonResults, 
   monteCarloResults,
+  bivariateResults,
+  eloResults,
+  bayesianResults,
+  ensembleResults,
   allParams,
   isComparison = false 
 }) => {
@@ -34,7 +38,11 @@ const ExportButton = ({
           xgResults, 
           poissonResults, 
           monteCarloResults, 
-          allParams
+          allParams,
+          bivariateResults,
+          eloResults,
+          bayesianResults,
+          ensembleResults
         );
         
         if (format === 'pdf') {
@@ -66,7 +74,7 @@ const ExportButton = ({
     }
   };
 
-  const hasResults = results || (isComparison && (xgResults || poissonResults || monteCarloResults));
+  const hasResults = results || (isComparison && (xgResults || poissonResults || monteCarloResults || bivariateResults || eloResults || bayesianResults || ensembleResults));
 
   if (!hasResults) {
     return null;
@@ -109,6 +117,10 @@ export const CompactExportButton = ({
   xgResults, 
   poissonResults, 
   monteCarloResults,
+  bivariateResults,
+  eloResults,
+  bayesianResults,
+  ensembleResults,
   allParams,
   isComparison = false 
 }) => {
@@ -134,7 +146,11 @@ export const CompactExportButton = ({
           xgResults, 
           poissonResults, 
           monteCarloResults, 
-          allParams
+          allParams,
+          bivariateResults,
+          eloResults,
+          bayesianResults,
+          ensembleResults
         );
         
         if (format === 'pdf') {
@@ -165,7 +181,7 @@ export const CompactExportButton = ({
     }
   };
 
-  const hasResults = results || (isComparison && (xgResults || poissonResults || monteCarloResults));
+  const hasResults = results || (isComparison && (xgResults || poissonResults || monteCarloResults || bivariateResults || eloResults || bayesianResults || ensembleResults));
 
   if (!hasResults) {
     return null;
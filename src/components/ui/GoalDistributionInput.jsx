@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import Select from './Select';
+import ValidatedInput from './InputValidation';
+import Icon from '../AppIcon';
+import { GOAL_DISTRIBUTIONS, estimateGoalDistribution } from '../../utils/improvedMath';
+
+const DISTRIBUTION_OPTIONS = [
+  { value: GOAL_DISTRIBUTIONS.poisson, label: 'Poisson (standard)' },
+  { value: GOAL_DISTRIBUTIONS.negativeBinomial, label: 'Negativ binomial (överspridning)' },
+  { value: GOAL_DISTRIBUTIONS.zeroInflated, label: 'Nollinflaterad Poisson (fler nollor)' }
+];
+
+/**
+ * Val av målfördelning per lag, med skattning av spridning från målhistorik
+ */
+const GoalDistributionInput = ({
+  label,
+  value = { type: GOAL_DISTRIBUTIONS.poisson },
+  onChange = () => {}
+}) => {
+  const [goalHistory, setGoalHistory] = useState('');
+  const [estimate, setEstimate] = useState(null);
+  const distribution = value || { type: GOAL_DISTRIBUTIONS.poisson };
+
+  const updateDistribution = (changes) => {
+    onChange({ ...distribution, ...changes });
+  };
+
+  const handleEstimate = () => {
+    const goals = goalHistory.split(/[\s,;]+/).filter(Boolean);
+    const result = estimateGoalDistribution(goals);
+    setEstimate(result);
+
+    updateDistribution({
+      type: result.recommendedType,
+      dispersion: result.dispersion ? Number(result.dispersion.toFixed(2)) : distribution.dispersion,
+      zeroInflation: Number(result.zeroInflation.toFixed(3))
+    });
+  };
+
+  return (
+    <div className="space-y-3 p-3 bg-gray-50 rounded-lg">
+      <Select
+        label={label}
+        options={DISTRIBUTION_OPTIONS}
+        value={distribution.type}
+        onChange={(type) => updateDistribution({ type })}
+      />
+
+      {distribution.type === GOAL_DISTRIBUTIONS.negativeBinomial && (
+        <ValidatedInput
+          label="Spridningsparameter (r)"
+          type="number"
+          min={0.5}
+          max={100}
+          step={0.5}
+          value={distribution.dispersion || 10}
+          onChange={(dispersion) => updateDistribution({ dispersion })}
+          helpText="Lägre värde = större spridning. Varians = medel + medel²/r. Min: 0.5, Max: 100. Vanliga värden: 3-20."
+        />
+      )}
+
+      {distribution.type === GOAL_DISTRIBUTIONS.zeroInflated && (
+        <ValidatedInput
+          label="Andel extra nollor (π)"
+          type="number"
+          min={0}
+          max={0.5}
+          step={0.01}
+          value={distribution.zeroInflation || 0.05}
+          onChange={(zeroInflation) => updateDistribution({ zeroInflation })}
+          helpText="Andel matcher där laget inte kan göra mål utöver vad Poisson förutsäger. Min: 0, Max: 0.5. Vanliga värden: 0.02-0.10."
+        />
+      )}
+
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-foreground">Målhistorik (senaste matcherna)</label>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={goalHistory}
+            onChange={(e) => setGoalHistory(e.target.value)}
+            placeholder="t.ex. 2, 0, 1, 4, 0, 3"
+            className="w-full px-3 py-2 border border-border rounded-md bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+          <button
+            type="button"
+            onClick={handleEstimate}
+            className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-2 rounded-lg transition-colors text-sm whitespace-nowrap"
+          >
+            Skatta
+          </button>
+        </div>
+        {estimate && (
+          <p className="text-xs text-muted-foreground flex items-center space-x-1">
+            <Icon name="Info" size={12} />
+            <span>
+              {estimate.sampleSize} matcher: medel {estimate.mean.toFixed(2)}, varians {estimate.variance.toFixed(2)}
+              {estimate.dispersion ? `, r ≈ ${estimate.dispersion.toFixed(2)}` : ' - ingen överspridning, Poisson räcker'}
+            </span>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GoalDistributionInput;
@@ -4,6 +4,7 @@
 import React, { useState, useEffect } from 'react';
 import Icon from '../AppIcon';
 import Button from './Button';
+import { formatPercent } from '../../utils/resultFormatting';
 
 // Tooltip Component
 export const Tooltip = ({ children, content, position = 'top', delay = 500 }) => {
@@ -347,9 +348,9 @@ export const ResultsVisualization = ({ results }) => {
   if (!results) return null;
 
   const probabilities = [
-    { label: 'Hemmavinst', value: parseFloat(results.homeWinProbability), color: 'bg-green-500' },
-    { label: 'Oavgjort', value: parseFloat(results.drawProbability), color: 'bg-gray-500' },
-    { label: 'Bortavinst', value: parseFloat(results.awayWinProbability), color: 'bg-red-500' }
+    { label: 'Hemmavinst', value: results.homeWinProbability, color: 'bg-green-500' },
+    { label: 'Oavgjort', value: results.drawProbability, color: 'bg-gray-500' },
+    { label: 'Bortavinst', value: results.awayWinProbability, color: 'bg-red-500' }
   ];
 
   return (
@@ -366,10 +367,10 @@ export const ResultsVisualization = ({ results }) => {
             <div className="flex-1 bg-gray-200 rounded-full h-6 relative">
               <div 
                 className={`${prob.color} h-6 rounded-full transition-all duration-500 flex items-center justify-end pr-2`}
-                style={{ width: `${prob.value}%` }}
+                style={{ width: formatPercent(prob.value) }}
               >
                 <span className="text-white text-xs font-medium">
-                  {prob.value.toFixed(1)}%
+                  {formatPercent(prob.value)}
                 </span>
               </div>
             </div>
@@ -0,0 +1,375 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Checkbox } from './Checkbox';
+import Input from './Input';
+import Select from './Select';
+import ValidatedInput from './InputValidation';
+import { SAMPLE_RESULTS } from './TeamStrengthFitInput';
+import {
+  hyperparameterTuner,
+  TUNING_SPACES,
+  TUNING_STORAGE_KEY,
+  SEARCH_METHODS,
+  TUNING_METRICS,
+  DEFAULT_TUNING_OPTIONS
+} from '../../utils/hyperparameterTuning';
+import { historicalMatchesFromResults } from '../../utils/historicalValidation';
+import { validationWorkerRunner } from '../../utils/validationWorkerRunner';
+import { isSimulationCancelled } from '../../utils/monteCarloWorkerPool';
+import { parseMatchResults } from '../../utils/teamStrengthFitting';
+import { formatNumber, formatPercent } from '../../utils/resultFormatting';
+
+export const TUNING_PARAMETER_LABELS = {
+  homeAdvantage: 'Hemmafördel',
+  leagueAverage: 'Ligasnitt',
+  xgaSensitivity: 'xGA-känslighet',
+  homeVenueMultiplier: 'Hemmamultiplikator',
+  awayVenueMultiplier: 'Bortamultiplikator'
+};
+
+const METHOD_OPTIONS = [
+  { value: SEARCH_METHODS.grid, label: 'Rutnätssökning' },
+  { value: SEARCH_METHODS.random, label: 'Slumpsökning' }
+];
+
+const METRIC_LABELS = {
+  rankedProbabilityScore: 'RPS',
+  brierScore: 'Brier score',
+  logLoss: 'Log loss',
+  ignoranceScore: 'Ignorans (bitar)'
+};
+
+const METRIC_OPTIONS = Object.keys(TUNING_METRICS).map(metric => ({ value: metric, label: METRIC_LABELS[metric] }));
+
+/**
+ * Läser sparade optimeringsprofiler från localStorage
+ * @returns {Object} Profiler per namn
+ */
+export const loadStoredTuningProfiles = () => {
+  try {
+    const saved = localStorage.getItem(TUNING_STORAGE_KEY);
+    return saved ? hyperparameterTuner.fromJSON(saved) : {};
+  } catch (error) {
+    console.warn('Kunde inte läsa sparade optimeringsprofiler:', error);
+    return {};
+  }
+};
+
+/**
+ * Sparar optimeringsprofilerna i localStorage
+ * @param {Object} profiles - Profiler per namn
+ */
+export const saveStoredTuningProfiles = (profiles) => {
+  try {
+    localStorage.setItem(TUNING_STORAGE_KEY, hyperparameterTuner.toJSON(profiles));
+  } catch (error) {
+    console.warn('Kunde inte spara optimeringsprofiler:', error);
+  }
+};
+
+const formatParams = (params) => Object.entries(params)
+  .map(([name, value]) => `${TUNING_PARAMETER_LABELS[name]} ${formatNumber(value, 3)}`)
+  .join(', ');
+
+/**
+ * Söker modellens konstanter (hemmafördel, ligasnitt, xGA-känslighet, arenamultiplikatorer) mot
+ * en resultathistorik med korsvalidering och sparar bästa uppsättningen som en namngiven profil
+ */
+const HyperparameterTuningInput = ({
+  model,
+  onApply = () => {},
+  onReset = () => {}
+}) => {
+  const space = TUNING_SPACES[model];
+  const [expanded, setExpanded] = useState(false);
+  const [resultsText, setResultsText] = useState(SAMPLE_RESULTS);
+  const [method, setMethod] = useState(DEFAULT_TUNING_OPTIONS.method);
+  const [metric, setMetric] = useState(DEFAULT_TUNING_OPTIONS.metric);
+  const [gridPoints, setGridPoints] = useState(DEFAULT_TUNING_OPTIONS.gridPoints);
+  const [randomCandidates, setRandomCandidates] = useState(DEFAULT_TUNING_OPTIONS.randomCandidates);
+  const [folds, setFolds] = useState(DEFAULT_TUNING_OPTIONS.folds);
+  const [parameters, setParameters] = useState(Object.keys(space));
+  const [search, setSearch] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const [profileName, setProfileName] = useState('');
+  const [profiles, setProfiles] = useState(loadStoredTuningProfiles);
+  const [activeProfile, setActiveProfile] = useState(null);
+  const abortRef = useRef(null);
+
+  // Stoppa en pågående sökning när komponenten tas bort
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const { matches, parseError } = useMemo(() => {
+    try {
+      return { matches: historicalMatchesFromResults(parseMatchResults(resultsText)), parseError: null };
+    } catch (resultError) {
+      return { matches: [], parseError: resultError.message };
+    }
+  }, [resultsText]);
+
+  const modelProfiles = Object.values(profiles).filter(profile => profile.model === model);
+
+  const toggleParameter = (name, checked) => {
+    setParameters(Object.keys(space).filter(key => (key === name ? checked : parameters.includes(key))));
+  };
+
+  const updateProfiles = (next) => {
+    setProfiles(next);
+    saveStoredTuningProfiles(next);
+  };
+
+  // Varje kandidat förutsäger alla matcher, så sökningen körs i en worker så att sidan inte låser sig
+  const handleSearch = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsSearching(true);
+    setProgress(0);
+    setError(null);
+    try {
+      setSearch(await validationWorkerRunner.run('tuning', matches, {
+        model,
+        method,
+        metric,
+        gridPoints,
+        randomCandidates,
+        folds,
+        parameters
+      }, { onProgress: setProgress, signal: controller.signal }));
+    } catch (searchError) {
+      if (!isSimulationCancelled(searchError)) {
+        setSearch(null);
+        setError(searchError.message);
+      }
+    } finally {
+      abortRef.current = null;
+      setIsSearching(false);
+    }
+  };
+
+  const handleSave = () => {
+    try {
+      const profile = hyperparameterTuner.createProfile(profileName, search);
+      updateProfiles(hyperparameterTuner.setProfile(profiles, profile));
+      setProfileName('');
+      setError(null);
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  const handleLoad = (profile) => {
+    setActiveProfile(profile.name);
+    onApply(profile.params);
+  };
+
+  const handleRemove = (name) => {
+    const { [name]: removed, ...rest } = profiles;
+    updateProfiles(rest);
+    if (activeProfile === name) {
+      setActiveProfile(null);
+      onReset();
+    }
+  };
+
+  const handleReset = () => {
+    setActiveProfile(null);
+    onReset();
+  };
+
+  const candidateCount = method === SEARCH_METHODS.grid ? gridPoints ** parameters.length : randomCandidates;
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-lg space-y-3">
+      <button
+        type="button"
+        onClick={() => setExpanded(prev => !prev)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-gray-700"
+        aria-expanded={expanded}
+      >
+        <span>🎛️ Optimera modellkonstanter · {activeProfile ? `profil ${activeProfile}` : 'standardvärden'}</span>
+        <span>{expanded ? '−' : '+'}</span>
+      </button>
+
+      {expanded && (
+        <>
+          <p className="text-xs text-gray-600">
+            Provar olika värden på modellens fasta konstanter och poängsätter varje uppsättning på prognoser för historiska matcher. Korsvalideringen väljer bästa uppsättningen på en del av säsongen och mäter den på resten, så att förbättringen inte bara är anpassning till brus. Spara resultatet som en profil och ladda den för att räkna med de optimerade värdena.
+          </p>
+          <div className="grid grid-cols-2 gap-3">
+            <Select label="Sökmetod" options={METHOD_OPTIONS} value={method} onChange={setMethod} />
+            <Select label="Mått" options={METRIC_OPTIONS} value={metric} onChange={setMetric} />
+            {method === SEARCH_METHODS.grid ? (
+              <ValidatedInput
+                label="Värden per parameter"
+                type="number"
+                min={2}
+                max={10}
+                step={1}
+                value={gridPoints}
+                onChange={(value) => value >= 2 && setGridPoints(value)}
+                helpText="Jämnt fördelade värden över varje parameters intervall. Antalet kandidater växer som värden upphöjt till antalet parametrar."
+              />
+            ) : (
+              <ValidatedInput
+                label="Antal kandidater"
+                type="number"
+                min={1}
+                max={1000}
+                step={10}
+                value={randomCandidates}
+                onChange={(value) => value >= 1 && setRandomCandidates(value)}
+                helpText="Slumpade uppsättningar inom intervallen. Ger fler olika värden per parameter än ett rutnät av samma storlek."
+              />
+            )}
+            <ValidatedInput
+              label="Korsvalideringsdelar"
+              type="number"
+              min={2}
+              max={10}
+              step={1}
+              value={folds}
+              onChange={(value) => value >= 2 && setFolds(value)}
+              helpText="Matcherna delas i sammanhängande block i datumordning. Varje block valideras med konstanterna som var bäst på de övriga."
+            />
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {Object.entries(space).map(([name, { min, max, default: defaultValue }]) => (
+              <Checkbox
+                key={name}
+                id={`tuning-${model}-${name}`}
+                label={TUNING_PARAMETER_LABELS[name]}
+                description={`${formatNumber(min, 2)} - ${formatNumber(max, 2)}, standard ${formatNumber(defaultValue, 2)}`}
+                checked={parameters.includes(name)}
+                onChange={(event) => toggleParameter(name, event.target.checked)}
+              />
+            ))}
+          </div>
+          <div className="space-y-1">
+            <label htmlFor={`tuning-${model}-results`} className="block text-sm font-medium text-foreground">
+              Resultathistorik (datum, hemmalag 2-1 bortalag)
+            </label>
+            <textarea
+              id={`tuning-${model}-results`}
+              rows={6}
+              value={resultsText}
+              onChange={(event) => setResultsText(event.target.value)}
+              className="w-full border rounded-lg p-2 font-mono text-xs"
+            />
+            {parseError
+              ? <p className="text-xs text-red-600">{parseError}</p>
+              : <p className="text-xs text-gray-500">{matches.length} matcher · {candidateCount + 1} kandidater inklusive standardvärdena</p>}
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleSearch}
+              disabled={isSearching || Boolean(parseError) || parameters.length === 0}
+              className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-3 py-2 rounded-lg text-sm transition-colors"
+            >
+              {isSearching ? `Söker... ${formatPercent(progress, 0)}` : 'Sök konstanter'}
+            </button>
+            {isSearching && (
+              <button
+                type="button"
+                onClick={() => abortRef.current?.abort()}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-3 py-2 rounded-lg text-sm transition-colors"
+              >
+                Avbryt
+              </button>
+            )}
+          </div>
+          {error && <p className="text-xs text-red-600">{error}</p>}
+
+          {search && (
+            <div className="space-y-3">
+              <table className="w-full border-collapse text-xs">
+                <thead>
+                  <tr className="bg-white">
+                    <th className="border p-1 text-left">Konstanter</th>
+                    <th className="border p-1 text-center">{METRIC_LABELS[search.metric]}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {search.candidates.slice(0, 5).map((candidate, index) => (
+                    <tr key={index} className={index === 0 ? 'bg-green-50' : ''}>
+                      <td className="border p-1">{formatParams(candidate.params)}</td>
+                      <td className="border p-1 text-center">{formatNumber(candidate.score, 4)}</td>
+                    </tr>
+                  ))}
+                  <tr>
+                    <td className="border p-1 italic">Standardvärden: {formatParams(search.baseline.params)}</td>
+                    <td className="border p-1 text-center">{formatNumber(search.baseline.score, 4)}</td>
+                  </tr>
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-600">
+                Korsvaliderat ({search.crossValidation.folds.length} delar): {formatNumber(search.crossValidation.score, 4)} mot {formatNumber(search.crossValidation.baselineScore, 4)} med standardvärdena. Lägre är bättre. Är skillnaden liten har historiken för få matcher för att skilja konstanterna åt.
+              </p>
+              <div className="grid grid-cols-3 gap-3 items-end">
+                <div className="col-span-2">
+                  <Input
+                    label="Profilnamn"
+                    value={profileName}
+                    onChange={(event) => setProfileName(event.target.value)}
+                    placeholder="t.ex. Allsvenskan 2024"
+                  />
+                </div>
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-lg text-sm transition-colors"
+                >
+                  Spara profil
+                </button>
+              </div>
+            </div>
+          )}
+
+          {modelProfiles.length > 0 && (
+            <div className="space-y-2">
+              <table className="w-full border-collapse text-xs">
+                <thead>
+                  <tr className="bg-white">
+                    <th className="border p-1 text-left">Profil</th>
+                    <th className="border p-1 text-left">Konstanter</th>
+                    <th className="border p-1 text-center">Korsvaliderat mot standard</th>
+                    <th className="border p-1" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {modelProfiles.map(profile => (
+                    <tr key={profile.name} className={profile.name === activeProfile ? 'bg-blue-50' : ''}>
+                      <td className="border p-1">{profile.name}</td>
+                      <td className="border p-1">{formatParams(profile.params)}</td>
+                      <td className="border p-1 text-center">{formatNumber(profile.crossValidatedScore, 4)} / {formatNumber(profile.baselineScore, 4)}</td>
+                      <td className="border p-1 text-center space-x-2">
+                        <button type="button" onClick={() => handleLoad(profile)} className="text-blue-600 hover:underline">
+                          Ladda
+                        </button>
+                        <button type="button" onClick={() => handleRemove(profile.name)} className="text-red-600 hover:underline">
+                          Ta bort
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {activeProfile && (
+                <button
+                  type="button"
+                  onClick={handleReset}
+                  className="text-xs text-gray-600 underline hover:text-gray-900"
+                >
+                  Återställ konstanterna till standard
+                </button>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HyperparameterTuningInput;
@@ -448,6 +448,12 @@ export const validationSchemas = {
         }
         return true;
       }
+    },
+    firstHalfShare: {
+      required: false,
+      type: 'number',
+      min: 0.3,
+      max: 0.6
     }
   },
   
@@ -493,6 +499,18 @@ export const validationSchemas = {
       type: 'number',
       min: 0.5,
       max: 2.0
+    },
+    rho: {
+      required: false,
+      type: 'number',
+      min: -0.3,
+      max: 0.3
+    },
+    firstHalfShare: {
+      required: false,
+      type: 'number',
+      min: 0.3,
+      max: 0.6
     }
   },
 
@@ -97,6 +97,7 @@ export const CalculationLoader = ({
   currentStep = '', 
   steps = [], 
   progress = 0,
+  onCancel,
   className = '' 
 }) => {
   return (
@@ -137,6 +138,16 @@ export const CalculationLoader = ({
       )}
       
       <LoadingSpinner variant="progress" progress={progress} />
+
+      {onCancel && (
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-sm text-muted-foreground hover:text-foreground underline"
+        >
+          Avbryt
+        </button>
+      )}
     </div>
   );
 };
@@ -0,0 +1,35 @@
+import React from 'react';
+import { cn } from '../../utils/cn';
+import { formatInterval } from '../../utils/resultFormatting';
+
+/**
+ * Felstapel för en sannolikhet: punktskattning och 95%-intervall på en 0-100%-skala
+ */
+const ProbabilityErrorBar = ({ probability, interval, showLabel = true, className = '' }) => {
+  if (!interval) return null;
+
+  const label = formatInterval(interval);
+
+  return (
+    <div className={cn('space-y-1', className)}>
+      <div className="relative h-2 bg-gray-200 rounded-full" role="img" aria-label={`95%-intervall ${label}`}>
+        <div
+          className="absolute h-2 bg-blue-300 rounded-full"
+          style={{
+            left: `${interval.lower * 100}%`,
+            width: `${Math.max((interval.upper - interval.lower) * 100, 0.5)}%`
+          }}
+        />
+        <div
+          className="absolute -top-0.5 h-3 w-0.5 bg-blue-700"
+          style={{ left: `${probability * 100}%` }}
+        />
+      </div>
+      {showLabel && (
+        <div className="text-xs text-gray-500">95%: {label}</div>
+      )}
+    </div>
+  );
+};
+
+export default ProbabilityErrorBar;
@@ -0,0 +1,314 @@
+import React, { useState } from 'react';
+import { Checkbox } from './Checkbox';
+import ValidatedInput from './InputValidation';
+import Select from './Select';
+import {
+  shotXGModel,
+  parseShotData,
+  DEFAULT_TRAINING_OPTIONS,
+  SHOT_FEATURES,
+  SHOT_TYPES,
+  SHOT_SITUATIONS,
+  SHOT_PRESSURES
+} from '../../utils/shotXGModel';
+import { xgCalculator } from '../../utils/xgCalculations';
+import { formatNumber, formatPercent } from '../../utils/resultFormatting';
+
+const SHOT_TYPE_LABELS = {
+  rightFoot: 'Högerfot',
+  leftFoot: 'Vänsterfot',
+  header: 'Nick',
+  volley: 'Volley',
+  halfVolley: 'Halvvolley',
+  freekick: 'Frispark',
+  penalty: 'Straff'
+};
+
+const SITUATION_LABELS = {
+  openPlay: 'Öppet spel',
+  counter: 'Kontring',
+  setpiece: 'Fast situation',
+  corner: 'Hörna',
+  throughball: 'Djupled',
+  cross: 'Inlägg',
+  rebound: 'Retur'
+};
+
+const PRESSURE_LABELS = {
+  moderate: 'Måttlig',
+  none: 'Ingen',
+  light: 'Lätt',
+  heavy: 'Hård',
+  blocked: 'Blockerad'
+};
+
+const SAMPLE_SHOT_COUNT = 2000;
+
+// Skottens sannolikhet enligt standardtabellerna, avgränsad som i calculateShotXG
+const tableProbability = (shot) => Math.min(0.95, Math.max(0.01, xgCalculator.getTableShotXG(shot)));
+
+const toCsv = (shots) => [
+  'distance,angle,shotType,situation,pressure,isOneOnOne,defendersBetween,goal',
+  ...shots.map(shot => [
+    shot.distance, shot.angle, shot.shotType, shot.situation, shot.pressure,
+    shot.isOneOnOne ? 1 : 0, shot.defendersBetween, shot.goal
+  ].join(','))
+].join('\n');
+
+const toOptions = (levels, labels) => levels.map(level => ({ value: level, label: labels[level] }));
+
+/**
+ * Tränar en logistisk skottmodell på märkta skott, jämför den med standardtabellerna
+ * och låter calculateShotXG använda de skattade koefficienterna. Modellen kan sparas och läsas in som JSON.
+ */
+const ShotXGModelInput = () => {
+  const [expanded, setExpanded] = useState(false);
+  const [shotText, setShotText] = useState('');
+  const [l2, setL2] = useState(DEFAULT_TRAINING_OPTIONS.l2);
+  const [holdoutShare, setHoldoutShare] = useState(DEFAULT_TRAINING_OPTIONS.holdoutShare);
+  const [model, setModel] = useState(xgCalculator.shotModel);
+  const [tableMetrics, setTableMetrics] = useState(null);
+  const [active, setActive] = useState(xgCalculator.shotModel !== null);
+  const [error, setError] = useState(null);
+  const [testShot, setTestShot] = useState({
+    distance: 12,
+    angle: 0,
+    shotType: 'rightFoot',
+    situation: 'openPlay',
+    pressure: 'moderate',
+    isOneOnOne: false,
+    defendersBetween: 1
+  });
+
+  const activate = (nextModel, enabled) => {
+    xgCalculator.setShotModel(enabled ? nextModel : null);
+    setActive(enabled && nextModel !== null);
+  };
+
+  const handleSample = () => {
+    setShotText(toCsv(shotXGModel.simulateShots(SAMPLE_SHOT_COUNT, tableProbability)));
+    setError(null);
+  };
+
+  const handleTrain = () => {
+    try {
+      const shots = parseShotData(shotText);
+      const trained = shotXGModel.train(shots, { l2, holdoutShare });
+      const { holdout } = shotXGModel.splitShots(shots, holdoutShare, trained.training.seed);
+      setModel(trained);
+      setTableMetrics(holdout.length > 0 ? shotXGModel.evaluate(tableProbability, holdout) : null);
+      activate(trained, true);
+      setError(null);
+    } catch (trainError) {
+      setError(trainError.message);
+    }
+  };
+
+  const handleSave = () => {
+    const blob = new Blob([shotXGModel.toJSON(model)], { type: 'application/json;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', 'soccerpredict-skottmodell.json');
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleLoad = (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const loaded = shotXGModel.fromJSON(reader.result);
+        setModel(loaded);
+        setTableMetrics(null);
+        activate(loaded, true);
+        setError(null);
+      } catch (loadError) {
+        setError(loadError.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const updateTestShot = (field, value) => setTestShot(prev => ({ ...prev, [field]: value }));
+
+  const metricsRows = model?.metrics
+    ? [
+      ['Tränad modell (träning)', model.metrics.training],
+      ['Tränad modell (testdata)', model.metrics.holdout],
+      ['Standardtabeller (testdata)', tableMetrics]
+    ].filter(([, metrics]) => metrics)
+    : [];
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-lg space-y-3">
+      <button
+        type="button"
+        onClick={() => setExpanded(prev => !prev)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-gray-700"
+        aria-expanded={expanded}
+      >
+        <span>🎯 Tränad skottmodell (logistisk regression){active ? ' · aktiv' : ''}</span>
+        <span>{expanded ? '−' : '+'}</span>
+      </button>
+
+      {expanded && (
+        <>
+          <p className="text-xs text-gray-600">
+            Skatta skott-xG från egna skott med utfall i stället för de fasta zon- och multiplikatortabellerna. En del av skotten hålls utanför träningen och används för att jämföra modellen med tabellerna.
+          </p>
+          <div className="space-y-1">
+            <label htmlFor="shot-xg-data" className="block text-sm font-medium text-foreground">
+              Skott med utfall (CSV med rubrikrad eller JSON-lista)
+            </label>
+            <textarea
+              id="shot-xg-data"
+              rows={6}
+              value={shotText}
+              onChange={(event) => setShotText(event.target.value)}
+              placeholder={'distance,angle,shotType,situation,pressure,isOneOnOne,defendersBetween,goal\n11,12,rightFoot,openPlay,moderate,0,1,0'}
+              className="w-full border rounded-lg p-2 font-mono text-xs"
+            />
+            <button
+              type="button"
+              onClick={handleSample}
+              className="text-xs text-gray-600 underline hover:text-gray-900"
+            >
+              Fyll i {SAMPLE_SHOT_COUNT} simulerade skott (utfall dragna från standardtabellerna)
+            </button>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <ValidatedInput
+              label="L2-straff"
+              type="number"
+              min={0}
+              max={100}
+              step={0.5}
+              value={l2}
+              onChange={(value) => value >= 0 && setL2(value)}
+              helpText="Drar koefficienterna mot noll så att ovanliga skottyper inte får extrema värden. 0 = ren maximum likelihood. Standard 1."
+            />
+            <ValidatedInput
+              label="Andel testdata"
+              type="number"
+              min={0}
+              max={0.5}
+              step={0.05}
+              value={holdoutShare}
+              onChange={(value) => value >= 0 && value <= 0.5 && setHoldoutShare(value)}
+              helpText="Andel skott som hålls utanför träningen för log loss och AUC. 0 = träna på allt. Standard 0.2."
+            />
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={handleTrain}
+              className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-lg text-sm transition-colors"
+            >
+              Träna modell
+            </button>
+            <label className="flex-1 text-center bg-white border hover:bg-gray-100 px-3 py-2 rounded-lg text-sm cursor-pointer transition-colors">
+              Läs in JSON
+              <input type="file" accept="application/json,.json" onChange={handleLoad} className="hidden" />
+            </label>
+            {model && (
+              <button
+                type="button"
+                onClick={handleSave}
+                className="flex-1 bg-white border hover:bg-gray-100 px-3 py-2 rounded-lg text-sm transition-colors"
+              >
+                Spara JSON
+              </button>
+            )}
+          </div>
+          {error && <p className="text-xs text-red-600">{error}</p>}
+
+          {model && (
+            <div className="space-y-3">
+              <Checkbox
+                id="shot-xg-active"
+                label="Använd tränad modell i skott-xG"
+                description="calculateShotXG använder koefficienterna i stället för standardtabellerna"
+                checked={active}
+                onChange={(event) => activate(model, event.target.checked)}
+              />
+
+              {metricsRows.length > 0 && (
+                <table className="w-full border-collapse text-xs">
+                  <thead>
+                    <tr className="bg-white">
+                      <th className="border p-1 text-left">Utvärdering</th>
+                      <th className="border p-1 text-center">Skott / mål</th>
+                      <th className="border p-1 text-center">Log loss</th>
+                      <th className="border p-1 text-center">AUC</th>
+                      <th className="border p-1 text-center">Brier</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {metricsRows.map(([name, metrics]) => (
+                      <tr key={name}>
+                        <td className="border p-1">{name}</td>
+                        <td className="border p-1 text-center">{metrics.shots} / {metrics.goals}</td>
+                        <td className="border p-1 text-center">{formatNumber(metrics.logLoss, 4)}</td>
+                        <td className="border p-1 text-center">{formatNumber(metrics.auc, 3)}</td>
+                        <td className="border p-1 text-center">{formatNumber(metrics.brier, 4)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {model.metrics?.holdout && (
+                <p className="text-xs text-gray-600">
+                  Lägre log loss och Brier är bättre; AUC 0.5 = ingen särskiljning. Att alltid gissa andelen mål ger log loss {formatNumber(model.metrics.holdout.baselineLogLoss, 4)} på testdatan.
+                </p>
+              )}
+
+              <details className="text-xs">
+                <summary className="cursor-pointer text-gray-700">Koefficienter (log-odds)</summary>
+                <table className="w-full border-collapse mt-2">
+                  <tbody>
+                    {SHOT_FEATURES.map(feature => (
+                      <tr key={feature}>
+                        <td className="border p-1 font-mono">{feature}</td>
+                        <td className="border p-1 text-right">{formatNumber(model.coefficients[feature], 3)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+
+              <div className="space-y-2">
+                <p className="text-sm font-medium text-gray-700">Testa ett skott</p>
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                  <ValidatedInput label="Avstånd (m)" type="number" min={1} max={40} step={1} value={testShot.distance} onChange={(value) => value > 0 && updateTestShot('distance', value)} />
+                  <ValidatedInput label="Vinkel (°)" type="number" min={-90} max={90} step={5} value={testShot.angle} onChange={(value) => updateTestShot('angle', value)} />
+                  <ValidatedInput label="Försvarare emellan" type="number" min={0} max={6} step={1} value={testShot.defendersBetween} onChange={(value) => value >= 0 && updateTestShot('defendersBetween', Math.round(value))} />
+                  <Select label="Kroppsdel" options={toOptions(SHOT_TYPES, SHOT_TYPE_LABELS)} value={testShot.shotType} onChange={(value) => updateTestShot('shotType', value)} />
+                  <Select label="Situation" options={toOptions(SHOT_SITUATIONS, SITUATION_LABELS)} value={testShot.situation} onChange={(value) => updateTestShot('situation', value)} />
+                  <Select label="Press" options={toOptions(SHOT_PRESSURES, PRESSURE_LABELS)} value={testShot.pressure} onChange={(value) => updateTestShot('pressure', value)} />
+                </div>
+                <Checkbox
+                  id="shot-xg-one-on-one"
+                  label="Ensam med målvakten"
+                  checked={testShot.isOneOnOne}
+                  onChange={(event) => updateTestShot('isOneOnOne', event.target.checked)}
+                />
+                <p className="text-xs text-gray-600">
+                  Tränad modell {formatPercent(shotXGModel.predict(model, testShot))} · standardtabeller {formatPercent(tableProbability(testShot))} · calculateShotXG {formatPercent(xgCalculator.calculateShotXG(testShot))}
+                </p>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ShotXGModelInput;
@@ -252,6 +252,7 @@ const TeamDataGuide = ({ onClose }) => {
                   <li>• Använd "Last 5" statistik för aktuell form</li>
                   <li>• Uppdatera data efter varje spelomgång</li>
                   <li>• Spara vanliga värden som snabbval</li>
+                  <li>• Klistra in ligans resultat under "Skatta styrkor från resultat" i Poisson-fliken för att räkna fram attack och försvar automatiskt</li>
                 </ul>
               </div>
               <div>
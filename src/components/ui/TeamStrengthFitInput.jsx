@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { Checkbox } from './Checkbox';
+import ValidatedInput from './InputValidation';
+import Select from './Select';
+import { teamStrengthFitter, parseMatchResults, timeDecayFromHalfLife } from '../../utils/teamStrengthFitting';
+import { formatNumber } from '../../utils/resultFormatting';
+
+export const SAMPLE_RESULTS = `2024-08-17, Lag B 0-0 Lag F
+2024-08-17, Lag D 3-1 Lag E
+2024-08-17, Lag F 2-2 Lag D
+2024-08-24, Lag A 4-3 Lag E
+2024-08-24, Lag C 1-1 Lag D
+2024-08-24, Lag E 0-0 Lag C
+2024-08-31, Lag B 2-1 Lag C
+2024-08-31, Lag D 2-2 Lag B
+2024-08-31, Lag F 2-2 Lag A
+2024-09-07, Lag A 4-2 Lag B
+2024-09-07, Lag C 1-2 Lag A
+2024-09-07, Lag D 4-1 Lag F
+2024-09-14, Lag F 1-1 Lag E
+2024-09-14, Lag A 1-2 Lag F
+2024-09-14, Lag C 1-2 Lag E
+2024-09-21, Lag E 4-3 Lag D
+2024-09-21, Lag B 0-2 Lag D
+2024-09-21, Lag D 2-1 Lag C
+2024-09-28, Lag F 1-1 Lag B
+2024-09-28, Lag A 4-2 Lag C
+2024-09-28, Lag C 0-2 Lag B
+2024-10-05, Lag E 3-1 Lag A
+2024-10-05, Lag B 1-3 Lag A
+2024-10-05, Lag C 3-1 Lag F
+2024-10-12, Lag B 3-1 Lag E
+2024-10-12, Lag F 1-1 Lag C
+2024-10-12, Lag A 2-1 Lag D
+2024-10-19, Lag E 2-0 Lag B
+2024-10-19, Lag D 1-2 Lag A
+2024-10-19, Lag E 2-0 Lag F`;
+
+/**
+ * Skattar lagens attack, försvar och hemmafördel från tidigare resultat och fyller i Poisson-fliken
+ * när både hemma- och bortalag är valda. onApply ska vara stabil (useCallback), annars fylls fälten i vid varje rendering
+ */
+const TeamStrengthFitInput = ({
+  onApply = () => {},
+  onReset = () => {}
+}) => {
+  const [expanded, setExpanded] = useState(false);
+  const [resultsText, setResultsText] = useState(SAMPLE_RESULTS);
+  const [halfLifeDays, setHalfLifeDays] = useState(0);
+  const [dixonColes, setDixonColes] = useState(true);
+  const [fit, setFit] = useState(null);
+  const [error, setError] = useState(null);
+  const [homeTeam, setHomeTeam] = useState('');
+  const [awayTeam, setAwayTeam] = useState('');
+
+  useEffect(() => {
+    if (fit && homeTeam && awayTeam && homeTeam !== awayTeam) {
+      onApply(teamStrengthFitter.poissonInputs(fit, homeTeam, awayTeam));
+    }
+  }, [fit, homeTeam, awayTeam, onApply]);
+
+  const handleFit = () => {
+    try {
+      const result = teamStrengthFitter.fit(parseMatchResults(resultsText), {
+        timeDecay: timeDecayFromHalfLife(halfLifeDays),
+        dixonColes
+      });
+      setFit(result);
+      setError(null);
+      const names = result.teams.map(row => row.team);
+      if (!names.includes(homeTeam)) setHomeTeam('');
+      if (!names.includes(awayTeam)) setAwayTeam('');
+    } catch (fitError) {
+      setFit(null);
+      setError(fitError.message);
+    }
+  };
+
+  const handleReset = () => {
+    setHomeTeam('');
+    setAwayTeam('');
+    onReset();
+  };
+
+  const teamOptions = [
+    { value: '', label: 'Välj lag' },
+    ...(fit?.teams.map(row => ({ value: row.team, label: row.team })) || [])
+  ];
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-lg space-y-3">
+      <button
+        type="button"
+        onClick={() => setExpanded(prev => !prev)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-gray-700"
+        aria-expanded={expanded}
+      >
+        <span>📐 Skatta styrkor från resultat</span>
+        <span>{expanded ? '−' : '+'}</span>
+      </button>
+
+      {expanded && (
+        <>
+          <p className="text-xs text-gray-600">
+            Skattar varje lags attack- och försvarsstyrka samt ligans hemmafördel med maximum likelihood (Maher / Dixon-Coles). Välj hemma- och bortalag för att fylla i fälten nedan.
+          </p>
+          <div className="space-y-1">
+            <label htmlFor="fit-results" className="block text-sm font-medium text-foreground">Resultat (datum, hemmalag 2-1 bortalag)</label>
+            <textarea
+              id="fit-results"
+              rows={6}
+              value={resultsText}
+              onChange={(event) => setResultsText(event.target.value)}
+              className="w-full border rounded-lg p-2 font-mono text-xs"
+            />
+          </div>
+          <ValidatedInput
+            label="Halveringstid (dagar)"
+            type="number"
+            min={0}
+            max={3650}
+            step={10}
+            value={halfLifeDays}
+            onChange={(value) => value >= 0 && setHalfLifeDays(value)}
+            helpText="Efter så många dagar väger en match hälften så mycket. 0 = alla matcher väger lika. Kräver datum på varje rad. Vanliga värden: 90-365."
+          />
+          <Checkbox
+            id="fit-dixon-coles"
+            label="Skatta Dixon-Coles ρ"
+            description="Skattar lågmålskorrigeringen för 0-0, 1-0, 0-1 och 1-1 med lagstyrkorna fixerade"
+            checked={dixonColes}
+            onChange={(event) => setDixonColes(event.target.checked)}
+          />
+          <button
+            type="button"
+            onClick={handleFit}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-lg text-sm transition-colors"
+          >
+            Skatta lagstyrkor
+          </button>
+          {error && <p className="text-xs text-red-600">{error}</p>}
+
+          {fit && (
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 gap-3">
+                <Select label="Hemmalag" options={teamOptions} value={homeTeam} onChange={setHomeTeam} />
+                <Select label="Bortalag" options={teamOptions} value={awayTeam} onChange={setAwayTeam} />
+              </div>
+              {homeTeam && homeTeam === awayTeam && (
+                <p className="text-xs text-red-600">Välj två olika lag</p>
+              )}
+              <table className="w-full border-collapse text-xs">
+                <thead>
+                  <tr className="bg-white">
+                    <th className="border p-1 text-left">Lag</th>
+                    <th className="border p-1 text-center">Matcher</th>
+                    <th className="border p-1 text-center">Attack</th>
+                    <th className="border p-1 text-center">Försvar</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {fit.teams.map(row => (
+                    <tr key={row.team}>
+                      <td className="border p-1">{row.team}</td>
+                      <td className="border p-1 text-center">{row.matches}</td>
+                      <td className="border p-1 text-center">{formatNumber(row.attack, 2)}</td>
+                      <td className="border p-1 text-center">{formatNumber(row.defence, 2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-600">
+                Hemmafördel {formatNumber(fit.homeAdvantage, 3)} · ρ {formatNumber(fit.rho, 3)} · ligasnitt {formatNumber(fit.leagueAverage, 2)} mål per lag och match ·
+                {' '}{fit.matches} matcher{fit.timeDecay > 0 ? ` (effektivt ${formatNumber(fit.effectiveMatches, 1)})` : ''} · log-likelihood {formatNumber(fit.logLikelihood, 1)}
+              </p>
+              <button
+                type="button"
+                onClick={handleReset}
+                className="text-xs text-gray-600 underline hover:text-gray-900"
+              >
+                Återställ ligasnitt och hemmafördel till standard
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TeamStrengthFitInput;
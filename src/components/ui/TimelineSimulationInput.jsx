@@ -0,0 +1,79 @@
+import React from 'react';
+import { Checkbox } from './Checkbox';
+import ValidatedInput from './InputValidation';
+import { DEFAULT_ADDED_TIME } from '../../utils/matchTimeline';
+
+export const DEFAULT_TIMELINE_SETTINGS = {
+  enabled: false,
+  addedTime: DEFAULT_ADDED_TIME,
+  scoreStateEffect: 1
+};
+
+/**
+ * Inställningar för minut-för-minut-simulering: tilläggstid och hur mycket ställningen påverkar målchansen
+ */
+const TimelineSimulationInput = ({
+  value = DEFAULT_TIMELINE_SETTINGS,
+  onChange = () => {}
+}) => {
+  const settings = { ...DEFAULT_TIMELINE_SETTINGS, ...value };
+
+  const updateSettings = (changes) => {
+    onChange({ ...settings, ...changes });
+  };
+
+  const updateAddedTime = (half, minutes) => {
+    if (minutes >= 0) updateSettings({ addedTime: { ...settings.addedTime, [half]: minutes } });
+  };
+
+  return (
+    <div className="space-y-3 p-3 bg-gray-50 rounded-lg">
+      <Checkbox
+        id="timeline-simulation"
+        label="Minut-för-minut-simulering"
+        description="Simulerar varje minut med tidsberoende målintensitet och ger marknader för när målen kommer"
+        checked={settings.enabled}
+        onChange={(event) => updateSettings({ enabled: event.target.checked })}
+      />
+
+      {settings.enabled && (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <ValidatedInput
+              label="Tilläggstid första halvlek (min)"
+              type="number"
+              min={0}
+              max={10}
+              step={1}
+              value={settings.addedTime.firstHalf}
+              onChange={(minutes) => updateAddedTime('firstHalf', minutes)}
+              helpText="Antal minuter tilläggstid före paus. Min: 0, Max: 10. Vanliga värden: 1-3."
+            />
+            <ValidatedInput
+              label="Tilläggstid andra halvlek (min)"
+              type="number"
+              min={0}
+              max={15}
+              step={1}
+              value={settings.addedTime.secondHalf}
+              onChange={(minutes) => updateAddedTime('secondHalf', minutes)}
+              helpText="Antal minuter tilläggstid efter 90 minuter. Min: 0, Max: 15. Vanliga värden: 4-7."
+            />
+          </div>
+          <ValidatedInput
+            label="Ställningseffekt"
+            type="number"
+            min={0}
+            max={2}
+            step={0.1}
+            value={settings.scoreStateEffect}
+            onChange={(scoreStateEffect) => scoreStateEffect >= 0 && updateSettings({ scoreStateEffect })}
+            helpText="Hur mycket ställningen påverkar målchansen: lag i underläge pressar på, lag i ledning backar hem. 0 = ingen effekt, 1 = standard, 2 = dubbel effekt."
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TimelineSimulationInput;
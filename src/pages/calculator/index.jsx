@@ -1,7 +1,40 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import CombinedCalculator from '../../components/CombinedCalculator';
+import SeasonCalculator from '../../components/SeasonCalculator';
+import TournamentCalculator from '../../components/TournamentCalculator';
+import TwoLeggedTieCalculator from '../../components/TwoLeggedTieCalculator';
+import BacktestCalculator from '../../components/BacktestCalculator';
 import TeamDataGuide from '../../components/ui/TeamDataGuide';
 import Icon from '../../components/AppIcon';
+import { DEFAULT_FIRST_HALF_SHARE } from '../../utils/halfTimeModel';
+import { DEFAULT_ADAPTIVE_SETTINGS } from '../../components/ui/AdaptiveSimulationInput';
+import { DEFAULT_TIMELINE_SETTINGS } from '../../components/ui/TimelineSimulationInput';
+import { DEFAULT_ELO_SETTINGS } from '../../components/ui/EloRatingInput';
+import { DEFAULT_BAYESIAN_SETTINGS } from '../../components/ui/BayesianModelInput';
+import { DEFAULT_ENSEMBLE_SETTINGS } from '../../components/ui/EnsembleInput';
+import { DEFAULT_CALIBRATION_SETTINGS, loadStoredCalibrators, saveStoredCalibrators } from '../../components/ui/CalibrationInput';
+
+const CALCULATOR_TABS = [
+  { id: 'xg', label: 'Expected Goals (xG)' },
+  { id: 'poisson', label: 'Poisson' },
+  { id: 'bivariate', label: 'Bivariat Poisson' },
+  { id: 'montecarlo', label: 'Monte Carlo' },
+  { id: 'elo', label: 'Elo' },
+  { id: 'bayesian', label: 'Bayesiansk' },
+  { id: 'inplay', label: 'Live' },
+  { id: 'season', label: 'Säsong' },
+  { id: 'tournament', label: 'Turnering' },
+  { id: 'twoleg', label: 'Dubbelmöte' },
+  { id: 'backtest', label: 'Backtest' }
+];
+
+// Flikar med egna kalkylatorer som inte delar parametrarna i CombinedCalculator
+const STANDALONE_CALCULATORS = {
+  season: SeasonCalculator,
+  tournament: TournamentCalculator,
+  twoleg: TwoLeggedTieCalculator,
+  backtest: BacktestCalculator
+};
 
 const Calculator = () => {
   const [activeTab, setActiveTab] = useState('xg');
@@ -19,28 +52,93 @@ const Calculator = () => {
     homeGoals: 1.5,
     awayGoals: 1.2,
     homeDefense: 1.0,
-    awayDefense: 1.0
+    awayDefense: 1.0,
+    rho: 0,
+    firstHalfShare: DEFAULT_FIRST_HALF_SHARE,
+    homeDistribution: { type: 'poisson' },
+    awayDistribution: { type: 'poisson' }
   });
   const [monteCarloParams, setMonteCarloParams] = useState({
     simulations: 10000,
     homeAttack: 1.5,
     awayAttack: 1.2,
     homeDefense: 1.0,
-    awayDefense: 1.0
+    awayDefense: 1.0,
+    firstHalfShare: DEFAULT_FIRST_HALF_SHARE,
+    homeDistribution: { type: 'poisson' },
+    awayDistribution: { type: 'poisson' },
+    adaptive: DEFAULT_ADAPTIVE_SETTINGS,
+    timeline: DEFAULT_TIMELINE_SETTINGS,
+    strengthUncertainty: null
+  });
+  const [bivariateParams, setBivariateParams] = useState({
+    homeGoals: 1.5,
+    awayGoals: 1.2,
+    homeDefense: 1.0,
+    awayDefense: 1.0,
+    lambda3: 0.1
   });
+  const [inPlayParams, setInPlayParams] = useState({
+    homeExpectedGoals: 1.5,
+    awayExpectedGoals: 1.2,
+    minute: 0,
+    homeScore: 0,
+    awayScore: 0,
+    homeRedCards: 0,
+    awayRedCards: 0,
+    useLiveXG: false,
+    homeLiveXG: 0,
+    awayLiveXG: 0
+  });
+  const [eloParams, setEloParams] = useState(DEFAULT_ELO_SETTINGS);
+  const [bayesianParams, setBayesianParams] = useState(DEFAULT_BAYESIAN_SETTINGS);
+  const [ensembleParams, setEnsembleParams] = useState(DEFAULT_ENSEMBLE_SETTINGS);
+  const [calibrationParams, setCalibrationParams] = useState(() => ({
+    ...DEFAULT_CALIBRATION_SETTINGS,
+    calibrators: loadStoredCalibrators()
+  }));
 
   const handleXgChange = (field, value) => {
     setXgParams(prev => ({ ...prev, [field]: value }));
   };
 
-  const handlePoissonChange = (field, value) => {
+  const handlePoissonChange = useCallback((field, value) => {
     setPoissonParams(prev => ({ ...prev, [field]: value }));
-  };
+  }, []);
 
-  const handleMonteCarloChange = (field, value) => {
+  const handleMonteCarloChange = useCallback((field, value) => {
     setMonteCarloParams(prev => ({ ...prev, [field]: value }));
+  }, []);
+
+  const handleBivariateChange = (field, value) => {
+    setBivariateParams(prev => ({ ...prev, [field]: value }));
   };
 
+  const handleInPlayChange = (field, value) => {
+    setInPlayParams(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleEloChange = (field, value) => {
+    setEloParams(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleBayesianChange = (field, value) => {
+    setBayesianParams(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleEnsembleChange = (field, value) => {
+    setEnsembleParams(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleCalibrationChange = (field, value) => {
+    setCalibrationParams(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Kalibreringarna sparas mellan besöken
+  useEffect(() => {
+    saveStoredCalibrators(calibrationParams.calibrators);
+  }, [calibrationParams.calibrators]);
+
   useEffect(() => {
     const handleOpenTeamDataGuide = () => {
       setShowTeamDataGuide(true);
@@ -53,6 +151,8 @@ const Calculator = () => {
     };
   }, []);
 
+  const StandaloneCalculator = STANDALONE_CALCULATORS[activeTab];
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
       <div className="container mx-auto px-4 py-8">
@@ -71,7 +171,7 @@ const Calculator = () => {
             </span>
             <span className="flex items-center">
               <span className="w-2 h-2 bg-blue-500 rounded-full mr-2"></span>
-              Tre beräkningsmetoder
+              Sex beräkningsmetoder
             </span>
             <span className="flex items-center">
               <span className="w-2 h-2 bg-purple-500 rounded-full mr-2"></span>
@@ -89,15 +189,48 @@ const Calculator = () => {
             </button>
           </div>
         </div>
-        <CombinedCalculator
-          activeTab={activeTab}
-          xgParams={xgParams}
-          poissonParams={poissonParams}
-          monteCarloParams={monteCarloParams}
-          onXgChange={handleXgChange}
-          onPoissonChange={handlePoissonChange}
-          onMonteCarloChange={handleMonteCarloChange}
-        />
+        <div className="mb-6 flex justify-center">
+          <div className="bg-gray-100 dark:bg-gray-800 p-1 rounded-lg flex flex-wrap justify-center gap-1">
+            {CALCULATOR_TABS.map(tab => (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`px-3 sm:px-4 py-2 rounded-md transition-colors text-sm sm:text-base ${
+                  activeTab === tab.id
+                    ? 'bg-white text-blue-600 shadow-sm'
+                    : 'text-gray-600 dark:text-gray-300 hover:text-gray-800'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        {StandaloneCalculator ? (
+          <StandaloneCalculator />
+        ) : (
+          <CombinedCalculator
+            activeTab={activeTab}
+            xgParams={xgParams}
+            poissonParams={poissonParams}
+            monteCarloParams={monteCarloParams}
+            bivariateParams={bivariateParams}
+            inPlayParams={inPlayParams}
+            eloParams={eloParams}
+            bayesianParams={bayesianParams}
+            ensembleParams={ensembleParams}
+            calibrationParams={calibrationParams}
+            onXgChange={handleXgChange}
+            onPoissonChange={handlePoissonChange}
+            onMonteCarloChange={handleMonteCarloChange}
+            onBivariateChange={handleBivariateChange}
+            onInPlayChange={handleInPlayChange}
+            onEloChange={handleEloChange}
+            onBayesianChange={handleBayesianChange}
+            onEnsembleChange={handleEnsembleChange}
+            onCalibrationChange={handleCalibrationChange}
+          />
+        )}
         
         {showTeamDataGuide && (
           <TeamDataGuide onClose={() => setShowTeamDataGuide(false)} />
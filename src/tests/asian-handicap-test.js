@@ -0,0 +1,116 @@
+// Test för prissättning av asiatiskt handikapp
+import {
+  AsianHandicapCalculator,
+  ASIAN_HANDICAP_LINES,
+  formatHandicapLine
+} from '../utils/asianHandicap.js';
+import { EnhancedPoissonCalculator, MonteCarloSimulator } from '../utils/improvedMath.js';
+
+const calculator = new AsianHandicapCalculator();
+
+const assert = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+const poissonResult = new EnhancedPoissonCalculator().calculate({
+  homeAttackRate: 1.8,
+  awayAttackRate: 1.1,
+  homeDefenseRate: 1.0,
+  awayDefenseRate: 1.0
+});
+
+const findLine = (lines, line) => lines.find(entry => Math.abs(entry.line - line) < 1e-9);
+
+const testLines = () => {
+  assert(ASIAN_HANDICAP_LINES.length === 29, `29 linjer förväntas (fick ${ASIAN_HANDICAP_LINES.length})`);
+  assert(ASIAN_HANDICAP_LINES[0] === -3.5 && ASIAN_HANDICAP_LINES[28] === 3.5, 'Linjer ska gå från -3.5 till +3.5');
+  assert(calculator.isQuarterLine(-0.25) && calculator.isQuarterLine(1.75), 'Kvartslinjer ska kännas igen');
+  assert(!calculator.isQuarterLine(-0.5) && !calculator.isQuarterLine(1), 'Halva och hela linjer är inte kvartslinjer');
+  assert(formatHandicapLine(0.75) === '+0.75' && formatHandicapLine(-1) === '-1', 'Linjer formateras med tecken');
+};
+
+const testSettlement = () => {
+  assert(calculator.settle(0, -0.25) === 'halfLoss', 'Oavgjort på -0.25 ger halv förlust');
+  assert(calculator.settle(1, -0.75) === 'halfWin', 'Vinst med ett mål på -0.75 ger halv vinst');
+  assert(calculator.settle(1, -1) === 'push', 'Vinst med ett mål på -1 ger push');
+  assert(calculator.settle(0, 0.25) === 'halfWin', 'Oavgjort på +0.25 ger halv vinst');
+  assert(calculator.settle(-1, 0.5) === 'loss', 'Förlust på +0.5 ger förlust');
+};
+
+const testMatchesOneXTwo = () => {
+  const lines = calculator.calculate(poissonResult.scoreMatrix);
+  const { homeWin, draw, awayWin } = poissonResult.scoreMatrix.outcomeProbabilities();
+
+  const minusHalf = findLine(lines, -0.5);
+  assert(Math.abs(minusHalf.home.win - homeWin) < 1e-12, 'Hemma -0.5 ska motsvara hemmavinst');
+  assert(Math.abs(minusHalf.home.fairOdds - 1 / homeWin) < 1e-9, 'Rättvisa odds för -0.5 ska vara 1/P(hemmavinst)');
+
+  const drawNoBet = findLine(lines, 0);
+  assert(Math.abs(drawNoBet.home.push - draw) < 1e-12, 'Linje 0 ska ge push vid oavgjort');
+  assert(Math.abs(drawNoBet.home.fairOdds - (1 - draw) / homeWin) < 1e-9, 'Linje 0 ska prissättas som draw no bet');
+  assert(Math.abs(drawNoBet.away.win - awayWin) < 1e-12, 'Bortalaget på 0 vinner vid bortavinst');
+
+  lines.forEach(({ line, home, away }) => {
+    const total = home.win + home.halfWin + home.push + home.halfLoss + home.loss;
+    assert(Math.abs(total - 1) < 1e-9, `Utfallen för ${line} summerar till ${total}`);
+    assert(Math.abs(home.win - away.loss) < 1e-12 && Math.abs(home.halfWin - away.halfLoss) < 1e-12, `Bortasidan ska spegla hemmasidan för ${line}`);
+  });
+};
+
+const testQuarterLineOdds = () => {
+  const lines = calculator.calculate(poissonResult.scoreMatrix);
+  const quarter = findLine(lines, -0.25);
+  const { win, halfWin, push, halfLoss, fairOdds } = quarter.home;
+
+  // Väntevärdet av en insats till rättvisa odds ska vara noll
+  const expectedReturn = win * fairOdds + halfWin * (1 + fairOdds) / 2 + push + halfLoss / 2;
+  assert(Math.abs(expectedReturn - 1) < 1e-9, `Förväntad återbetalning ska vara 1 (fick ${expectedReturn})`);
+
+  const zero = findLine(lines, 0).home.fairOdds;
+  const half = findLine(lines, -0.5).home.fairOdds;
+  assert(fairOdds > zero && fairOdds < half, 'Odds för -0.25 ska ligga mellan 0 och -0.5');
+};
+
+const testMonteCarloSource = () => {
+  const simulation = new MonteCarloSimulator().simulate({ simulations: 20000, homeGoalsAvg: 1.8, awayGoalsAvg: 1.1 });
+  const restored = JSON.parse(JSON.stringify(simulation.scoreMatrix));
+  const lines = calculator.calculate(restored);
+
+  assert(lines.length === ASIAN_HANDICAP_LINES.length, 'Serialiserad matris ska kunna prissättas');
+  assert(Math.abs(findLine(lines, -0.5).home.win - simulation.homeWinProbability) < 1e-12, 'Monte Carlo -0.5 ska motsvara simulerad hemmavinst');
+  assert(calculator.calculate(null).length === 0, 'Saknad matris ska ge tom lista');
+};
+
+export function runAsianHandicapTests() {
+  console.log('🎯 ASIATISKT HANDIKAPP TEST');
+  console.log('===========================');
+
+  const tests = [
+    ['Linjer från -3.5 till +3.5', testLines],
+    ['Avräkning av hela, halva och kvartslinjer', testSettlement],
+    ['Överensstämmer med 1X2', testMatchesOneXTwo],
+    ['Rättvisa odds för kvartslinjer', testQuarterLineOdds],
+    ['Monte Carlo som källa', testMonteCarloSource]
+  ];
+
+  let passed = 0;
+  tests.forEach(([name, test]) => {
+    try {
+      test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  });
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAsianHandicapTests();
+}
@@ -0,0 +1,206 @@
+// Test för den bayesianska hierarkiska lagmodellen: MCMC-diagnostik, posterior och kredibla intervall
+import {
+  BayesianTeamModel,
+  splitRhat,
+  effectiveSampleSize,
+  summariseDraws
+} from '../utils/bayesianTeamModel.js';
+import { BayesianWorkerRunner } from '../utils/bayesianWorkerRunner.js';
+import { isSimulationCancelled } from '../utils/monteCarloWorkerPool.js';
+import { MARKET_PROBABILITY_KEYS } from '../utils/predictionResult.js';
+import { PoissonGenerator, SeededRandom } from '../utils/improvedMath.js';
+import { assert, close, simulateLeague } from './test-helpers.js';
+
+const model = new BayesianTeamModel();
+
+// Små körningar så att testet går snabbt
+const SETTINGS = { chains: 2, iterations: 400, burnIn: 200, seed: 7 };
+
+// Syntetisk dubbelserie utan datum där lag 0 är starkast och lag 5 svagast
+const league = simulateLeague({ seed: 2024, strengths: [1.6, 1.3, 1.1, 1.0, 0.9, 0.7], rounds: 4, date: null });
+const fit = model.fit(league, SETTINGS);
+
+const testDiagnostics = () => {
+  const generator = new PoissonGenerator(new SeededRandom(11));
+  const independent = [0, 1].map(() => Array.from({ length: 1000 }, () => generator.standardNormal()));
+  assert(Math.abs(splitRhat(independent) - 1) < 0.02, 'Oberoende kedjor från samma fördelning ska ge R-hat nära 1');
+  assert(effectiveSampleSize(independent) > 1500, 'Oberoende dragningar ska ge nästan full effektiv storlek');
+
+  const shifted = [independent[0], independent[1].map(value => value + 3)];
+  assert(splitRhat(shifted) > 1.5, 'Kedjor med olika nivå ska ge högt R-hat');
+
+  // AR(1) med rho 0.9 har effektiv storlek ungefär n * (1 - rho) / (1 + rho)
+  const correlated = [0, 1].map(() => {
+    let value = 0;
+    return Array.from({ length: 4000 }, () => {
+      value = 0.9 * value + Math.sqrt(1 - 0.81) * generator.standardNormal();
+      return value;
+    });
+  });
+  const ess = effectiveSampleSize(correlated);
+  assert(ess > 200 && ess < 900, `Autokorrelerade dragningar ska ge cirka 420 effektiva, fick ${ess.toFixed(0)}`);
+
+  const summary = summariseDraws([1, 2, 3, 4, 5], 0.5);
+  assert(close(summary.mean, 3) && close(summary.lower, 2) && close(summary.upper, 4), 'Kvantilerna ska interpoleras linjärt');
+};
+
+const testLaplaceApproximation = () => {
+  const { mode, variance } = model.laplaceApproximation(12, 8, 0, 4);
+  const gradient = 12 - 8 * Math.exp(mode) - 4 * mode;
+  assert(close(gradient, 0, 1e-8), 'Moden ska nollställa den betingade log-posteriorns derivata');
+  assert(close(variance, 1 / (8 * Math.exp(mode) + 4)), 'Variansen ska vara den inversa negativa andraderivatan');
+  assert(mode > 0 && mode < Math.log(12 / 8), 'Priorn ska dra moden mot noll');
+
+  const noGoals = model.laplaceApproximation(0, 5, 0, 4);
+  assert(Number.isFinite(noGoals.mode) && noGoals.mode < 0, 'Utan mål ska moden bli ändlig och negativ');
+};
+
+const testPosterior = () => {
+  const strongest = fit.teams.reduce((best, team) => (team.strength > best.strength ? team : best));
+  const weakest = fit.teams.reduce((worst, team) => (team.strength < worst.strength ? team : worst));
+  assert(strongest.team === 'Lag 0', `Lag 0 ska vara starkast, fick ${strongest.team}`);
+  assert(weakest.team === 'Lag 5', `Lag 5 ska vara svagast, fick ${weakest.team}`);
+  assert(fit.homeAdvantage.mean > 0, 'Hemmafördelen ska vara positiv');
+  assert(fit.diagnostics.maxRhat < 1.05, `Kedjorna ska konvergera, R-hat ${fit.diagnostics.maxRhat.toFixed(3)}`);
+  assert(fit.diagnostics.draws === SETTINGS.chains * SETTINGS.iterations, 'Alla sparade dragningar ska räknas');
+  assert(fit.diagnostics.acceptanceRate > 0.5, 'Laplace-förslagen ska accepteras för det mesta');
+  fit.teams.forEach(team => {
+    assert(team.attack.lower <= team.attack.mean && team.attack.mean <= team.attack.upper, `${team.team}: attackens intervall ska omsluta medelvärdet`);
+  });
+
+  const sums = fit.draws.map(draw => draw.attack.reduce((sum, value) => sum + value, 0));
+  assert(sums.every(sum => close(sum, 0, 1e-9)), 'Attackdragningarna ska summera till noll');
+};
+
+const testPrediction = () => {
+  const prediction = model.predict(fit, 'Lag 0', 'Lag 5');
+  assert(prediction.metadata.model === 'bayesian', 'Resultatet ska märkas som bayesianskt');
+  assert(close(prediction.homeWinProbability + prediction.drawProbability + prediction.awayWinProbability, 1, 1e-3), '1X2 ska summera till 1');
+  assert(prediction.homeWinProbability > prediction.awayWinProbability, 'Starkaste laget hemma ska vara favorit');
+
+  Object.keys(MARKET_PROBABILITY_KEYS).forEach(key => {
+    const interval = prediction.confidenceIntervals[key];
+    assert(interval, `${key} saknar kredibelt intervall`);
+    assert(interval.lower <= prediction[key] + 1e-9 && prediction[key] <= interval.upper + 1e-9, `${key}: intervallet ska omsluta sannolikheten`);
+    assert(interval.upper - interval.lower > 0, `${key}: intervallet ska ha bredd`);
+  });
+
+  const { home, away } = prediction.bayesian.expectedGoalsIntervals;
+  assert(home.lower < prediction.expectedHomeGoals && prediction.expectedHomeGoals < home.upper, 'Förväntade hemmamål ska ligga i intervallet');
+  assert(away.lower < prediction.expectedAwayGoals && prediction.expectedAwayGoals < away.upper, 'Förväntade bortamål ska ligga i intervallet');
+
+  const neutral = model.predict(fit, 'Lag 0', 'Lag 5', { neutral: true });
+  assert(neutral.expectedHomeGoals < prediction.expectedHomeGoals, 'Neutral plan ska ta bort hemmafördelen');
+
+  const repeated = model.predict(model.fit(league, SETTINGS), 'Lag 0', 'Lag 5');
+  assert(repeated.homeWinProbability === prediction.homeWinProbability, 'Samma frö ska ge samma posterior');
+};
+
+const testErrors = () => {
+  const expectError = (fn, text) => {
+    try {
+      fn();
+    } catch (error) {
+      assert(error.message.includes(text), `Fel meddelande: ${error.message}`);
+      return;
+    }
+    throw new Error(`Förväntade fel: ${text}`);
+  };
+
+  expectError(() => model.fit([], SETTINGS), 'minst ett resultat');
+  expectError(() => model.fit(league, { ...SETTINGS, chains: 0 }), 'Ogiltiga MCMC-inställningar');
+  expectError(() => model.predict(fit, 'Lag 0', 'Lag 0'), 'två olika lag');
+  expectError(() => model.predict(fit, 'Lag 0', 'Okänt lag'), 'Okänt lag saknas');
+};
+
+/**
+ * Emulerad worker med samma meddelandeprotokoll som bayesianWorker.js.
+ * Meddelandena klonas som mellan trådar och svaret skickas asynkront.
+ */
+const createFakeWorkerFactory = (log = { started: 0, terminated: 0 }) => () => {
+  const workerModel = new BayesianTeamModel();
+  log.started++;
+
+  const worker = {
+    terminated: false,
+    postMessage: (message) => {
+      const { results, homeTeam, awayTeam, neutral, settings } = structuredClone(message);
+      setTimeout(() => {
+        let data;
+        try {
+          const result = workerModel.predict(workerModel.fit(results, settings), homeTeam, awayTeam, { neutral });
+          data = { type: 'result', result: { ...result, scoreMatrix: result.scoreMatrix.toJSON() } };
+        } catch (error) {
+          data = { type: 'error', message: error.message };
+        }
+        if (!worker.terminated) worker.onmessage({ data: structuredClone(data) });
+      }, 0);
+    },
+    terminate: () => {
+      worker.terminated = true;
+      log.terminated++;
+    }
+  };
+  return worker;
+};
+
+const testWorkerRunner = async () => {
+  const fixture = { homeTeam: 'Lag 0', awayTeam: 'Lag 5' };
+  const log = { started: 0, terminated: 0 };
+  const direct = model.predict(fit, 'Lag 0', 'Lag 5');
+
+  const local = await new BayesianWorkerRunner({ createWorker: null }).run(league, fixture, SETTINGS);
+  assert(close(local.homeWinProbability, direct.homeWinProbability), 'Utan worker ska modellen köras på samma tråd');
+
+  const runner = new BayesianWorkerRunner({ createWorker: createFakeWorkerFactory(log) });
+  const remote = await runner.run(league, fixture, SETTINGS);
+  assert(JSON.stringify(remote.scoreMatrix.toJSON()) === JSON.stringify(direct.scoreMatrix.toJSON()), 'Workern ska ge samma resultatmatris med samma frö');
+  assert(remote.scoreMatrix.get(1, 0) === direct.scoreMatrix.get(1, 0), 'Resultatmatrisen ska återställas efter kloningen');
+  assert(close(remote.confidenceIntervals.homeWinProbability.upper, direct.confidenceIntervals.homeWinProbability.upper), 'Intervallen ska följa med från workern');
+  assert(log.terminated === log.started, 'Workern ska stoppas när körningen är klar');
+
+  const failed = await runner.run(league, { homeTeam: 'Lag 0', awayTeam: 'Okänt lag' }, SETTINGS).catch(error => error);
+  assert(failed.message.includes('Okänt lag saknas'), `Fel från workern ska föras vidare: ${failed.message}`);
+
+  const controller = new AbortController();
+  const running = runner.run(league, fixture, SETTINGS, { signal: controller.signal });
+  controller.abort();
+  assert(isSimulationCancelled(await running.catch(error => error)), 'Avbruten körning ska ge ett AbortError');
+  assert(log.terminated === log.started, 'Workern ska stoppas vid avbrytning');
+
+  const alreadyAborted = await runner.run(league, fixture, SETTINGS, { signal: controller.signal }).catch(error => error);
+  assert(isSimulationCancelled(alreadyAborted) && log.started === 3, 'En redan avbruten signal ska inte starta någon worker');
+};
+
+export async function runBayesianTeamModelTests() {
+  console.log('🎲 BAYESIANSK HIERARKISK MODELL TEST');
+  console.log('====================================');
+
+  const tests = [
+    ['R-hat, effektiv storlek och intervall', testDiagnostics],
+    ['Laplace-approximation för förslagen', testLaplaceApproximation],
+    ['Posterior för lagstyrka och hemmafördel', testPosterior],
+    ['Prediktion med kredibla intervall', testPrediction],
+    ['Felhantering', testErrors],
+    ['Sampling i worker med avbrytning', testWorkerRunner]
+  ];
+
+  let passed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runBayesianTeamModelTests();
+}
@@ -0,0 +1,107 @@
+// Test för den bivariata Poisson-modellen
+import { BivariatePoissonCalculator } from '../utils/bivariatePoisson.js';
+import { EnhancedPoissonCalculator } from '../utils/improvedMath.js';
+
+const bivariate = new BivariatePoissonCalculator();
+const poisson = new EnhancedPoissonCalculator();
+
+const baseParams = {
+  homeAttackRate: 1.6,
+  awayAttackRate: 1.3,
+  homeDefenseRate: 1.0,
+  awayDefenseRate: 1.1
+};
+
+const assert = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+const testMatchesIndependentPoisson = () => {
+  const independent = bivariate.calculate({ ...baseParams, lambda3: 0 });
+  const reference = poisson.calculate(baseParams);
+
+  ['homeWinProbability', 'drawProbability', 'awayWinProbability', 'bothTeamsScoreProbability', 'over25Probability'].forEach(key => {
+    assert(Math.abs(independent[key] - reference[key]) < 1e-12, `${key}: ${independent[key]} skiljer sig från Poisson ${reference[key]}`);
+  });
+};
+
+const testJointDistribution = () => {
+  const lambda1 = 1.2;
+  const lambda2 = 0.9;
+  const lambda3 = 0.25;
+  let total = 0;
+  let meanHome = 0;
+  let meanAway = 0;
+  let meanProduct = 0;
+
+  for (let h = 0; h <= 15; h++) {
+    for (let a = 0; a <= 15; a++) {
+      const p = bivariate.jointProbability(h, a, lambda1, lambda2, lambda3);
+      total += p;
+      meanHome += h * p;
+      meanAway += a * p;
+      meanProduct += h * a * p;
+    }
+  }
+
+  const covariance = meanProduct - meanHome * meanAway;
+  assert(Math.abs(total - 1) < 1e-6, `Sannolikheterna summerar till ${total}`);
+  assert(Math.abs(meanHome - (lambda1 + lambda3)) < 1e-6, 'Hemmalagets väntevärde ska vara lambda1 + lambda3');
+  assert(Math.abs(meanAway - (lambda2 + lambda3)) < 1e-6, 'Bortalagets väntevärde ska vara lambda2 + lambda3');
+  assert(Math.abs(covariance - lambda3) < 1e-6, `Kovariansen ska vara lambda3 (fick ${covariance.toFixed(4)})`);
+};
+
+const testCovarianceEffects = () => {
+  const independent = bivariate.calculate({ ...baseParams, lambda3: 0 });
+  const correlated = bivariate.calculate({ ...baseParams, lambda3: 0.2 });
+
+  assert(independent.expectedHomeGoals === correlated.expectedHomeGoals, 'Förväntade mål ska inte påverkas av lambda3');
+  assert(correlated.drawProbability > independent.drawProbability, 'Positiv kovarians ska öka oavgjort');
+  assert(correlated.calculationStats.correlation > 0, 'Korrelationen ska vara positiv');
+
+  const total = correlated.homeWinProbability +
+                correlated.drawProbability +
+                correlated.awayWinProbability;
+  assert(Math.abs(total - 1) < 1e-9, `Sannolikheter ska summera till 1 (fick ${total})`);
+  assert(correlated.mostLikelyScorelines.length === 8, 'Åtta mest sannolika resultat ska returneras');
+};
+
+const testCovarianceIsClamped = () => {
+  const result = bivariate.calculate({ ...baseParams, lambda3: 5 });
+  const lambda3 = result.calculationStats.lambda3;
+  assert(lambda3 < result.expectedAwayGoals, 'lambda3 ska begränsas under minsta väntevärdet');
+  assert(result.calculationStats.lambda2 > 0, 'lambda2 ska vara positiv');
+};
+
+export function runBivariatePoissonTests() {
+  console.log('🔗 BIVARIAT POISSON TEST');
+  console.log('========================');
+
+  const tests = [
+    ['lambda3 = 0 motsvarar oberoende Poisson', testMatchesIndependentPoisson],
+    ['Simultan fördelning (summa, väntevärden, kovarians)', testJointDistribution],
+    ['Kovarians påverkar oavgjort men inte väntevärden', testCovarianceEffects],
+    ['För stor lambda3 begränsas', testCovarianceIsClamped]
+  ];
+
+  let passed = 0;
+  tests.forEach(([name, test]) => {
+    try {
+      test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  });
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runBivariatePoissonTests();
+}
@@ -1,6 +1,8 @@
 // Test för jämförelseläget - kontrollerar att alla tre metoder beräknas samtidigt
 import { calculateAdvancedXGPrediction } from '../utils/xgCalculations.js';
 import { enhancedPoissonCalculator, monteCarloSimulator } from '../utils/improvedMath.js';
+import { isPredictionResult } from '../utils/predictionResult.js';
+import { formatPercent, toPercentValue } from '../utils/resultFormatting.js';
 
 const testParams = {
   xgParams: {
@@ -28,39 +30,30 @@ const testParams = {
   }
 };
 
+const OUTCOME_KEYS = ['homeWinProbability', 'drawProbability', 'awayWinProbability'];
+
 function validateResult(result, methodName) {
   const errors = [];
   
-  // Normalisera egenskapsnamn (xG använder kortare namn)
-  const normalizedResult = {
-    homeWinProbability: result.homeWinProbability || result.homeWin,
-    drawProbability: result.drawProbability || result.draw,
-    awayWinProbability: result.awayWinProbability || result.awayWin
-  };
-  
-  // Kontrollera att alla nödvändiga egenskaper finns
-  const requiredProps = ['homeWinProbability', 'drawProbability', 'awayWinProbability'];
+  // Alla metoder returnerar samma resultatform med sannolikheter 0-1
+  if (!isPredictionResult(result)) {
+    errors.push(`${methodName}: Resultatet följer inte PredictionResult-formatet`);
+    return errors;
+  }
   
-  for (const prop of requiredProps) {
-    if (!normalizedResult[prop]) {
-      errors.push(`${methodName}: Saknar egenskap för ${prop}`);
-      continue;
-    }
-    
-    const value = parseFloat(normalizedResult[prop]);
-    if (isNaN(value) || value < 0 || value > 100) {
-      errors.push(`${methodName}: Ogiltig sannolikhet för '${prop}': ${normalizedResult[prop]}`);
+  for (const prop of OUTCOME_KEYS) {
+    const value = result[prop];
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+      errors.push(`${methodName}: Ogiltig sannolikhet för '${prop}': ${value}`);
     }
   }
   
-  // Kontrollera att sannolikheterna summerar till ungefär 100%
+  // Kontrollera att sannolikheterna summerar till 1
   if (errors.length === 0) {
-    const total = parseFloat(normalizedResult.homeWinProbability) + 
-                  parseFloat(normalizedResult.drawProbability) + 
-                  parseFloat(normalizedResult.awayWinProbability);
+    const total = OUTCOME_KEYS.reduce((sum, prop) => sum + result[prop], 0);
     
-    if (Math.abs(total - 100) > 1.0) {
-      errors.push(`${methodName}: Sannolikheter summerar till ${total.toFixed(1)}% istället för 100%`);
+    if (Math.abs(total - 1) > 0.001) {
+      errors.push(`${methodName}: Sannolikheter summerar till ${formatPercent(total)} istället för 100%`);
     }
   }
   
@@ -68,75 +61,32 @@ function validateResult(result, methodName) {
 }
 
 function compareResults(xgResult, poissonResult, monteCarloResult) {
-  const comparisons = [];
+  const models = [xgResult, poissonResult, monteCarloResult];
   
-  // Normalisera resultat
-  const xg = {
-    homeWin: parseFloat(xgResult.homeWin || xgResult.homeWinProbability),
-    draw: parseFloat(xgResult.draw || xgResult.drawProbability),
-    awayWin: parseFloat(xgResult.awayWin || xgResult.awayWinProbability)
+  // Största skillnad mellan två modeller för ett utfall (0-1)
+  const maxDifference = (prop) => {
+    const values = models.map(result => result[prop]);
+    return Math.max(...values) - Math.min(...values);
   };
   
-  const poisson = {
-    homeWin: parseFloat(poissonResult.homeWinProbability),
-    draw: parseFloat(poissonResult.drawProbability),
-    awayWin: parseFloat(poissonResult.awayWinProbability)
-  };
-  
-  const monteCarlo = {
-    homeWin: parseFloat(monteCarloResult.homeWinProbability),
-    draw: parseFloat(monteCarloResult.drawProbability),
-    awayWin: parseFloat(monteCarloResult.awayWinProbability)
-  };
-  
-  // Jämför hemmavinst-sannolikheter
-  const homeWinDiffs = [
-    Math.abs(xg.homeWin - poisson.homeWin),
-    Math.abs(xg.homeWin - monteCarlo.homeWin),
-    Math.abs(poisson.homeWin - monteCarlo.homeWin)
-  ];
-  
-  const maxHomeWinDiff = Math.max(...homeWinDiffs);
-  
-  // Jämför oavgjort-sannolikheter
-  const drawDiffs = [
-    Math.abs(xg.draw - poisson.draw),
-    Math.abs(xg.draw - monteCarlo.draw),
-    Math.abs(poisson.draw - monteCarlo.draw)
-  ];
-  
-  const maxDrawDiff = Math.max(...drawDiffs);
-  
-  // Jämför bortavinst-sannolikheter
-  const awayWinDiffs = [
-    Math.abs(xg.awayWin - poisson.awayWin),
-    Math.abs(xg.awayWin - monteCarlo.awayWin),
-    Math.abs(poisson.awayWin - monteCarlo.awayWin)
-  ];
-  
-  const maxAwayWinDiff = Math.max(...awayWinDiffs);
-  
-  comparisons.push({
-    metric: 'Hemmavinst',
-    maxDiff: maxHomeWinDiff.toFixed(1),
-    status: maxHomeWinDiff < 50 ? '✅ Rimlig variation' : '⚠️ Stor variation'
-  });
-  
-  comparisons.push({
-    metric: 'Oavgjort',
-    maxDiff: maxDrawDiff.toFixed(1),
-    status: maxDrawDiff < 50 ? '✅ Rimlig variation' : '⚠️ Stor variation'
+  return [
+    ['Hemmavinst', 'homeWinProbability'],
+    ['Oavgjort', 'drawProbability'],
+    ['Bortavinst', 'awayWinProbability']
+  ].map(([metric, prop]) => {
+    const maxDiff = maxDifference(prop);
+    return {
+      metric,
+      maxDiff: toPercentValue(maxDiff),
+      status: maxDiff < 0.5 ? '✅ Rimlig variation' : '⚠️ Stor variation'
+    };
   });
-  
-  comparisons.push({
-    metric: 'Bortavinst',
-    maxDiff: maxAwayWinDiff.toFixed(1),
-    status: maxAwayWinDiff < 50 ? '✅ Rimlig variation' : '⚠️ Stor variation'
-  });
-  
-  return comparisons;
 }
 
+const formatOutcomes = (result) => (
+  `H${formatPercent(result.homeWinProbability)} D${formatPercent(result.drawProbability)} A${formatPercent(result.awayWinProbability)}`
+);
+
 export async function runComparisonModeTest() {
   console.log('🔄 JÄMFÖRELSELÄGE TEST');
   console.log('======================');
@@ -156,10 +106,7 @@ export async function runComparisonModeTest() {
     errors.push(...xgErrors);
     
     if (xgErrors.length === 0) {
-      const homeWin = results.xg.homeWin || results.xg.homeWinProbability;
-      const draw = results.xg.draw || results.xg.drawProbability;
-      const awayWin = results.xg.awayWin || results.xg.awayWinProbability;
-      console.log(`✅ xG: H${homeWin}% D${draw}% A${awayWin}% (${xgTime}ms)`);
+      console.log(`✅ xG: ${formatOutcomes(results.xg)} (${xgTime}ms)`);
     } else {
       console.log(`❌ xG: ${xgErrors.join(', ')}`);
     }
@@ -181,7 +128,7 @@ export async function runComparisonModeTest() {
     errors.push(...poissonErrors);
     
     if (poissonErrors.length === 0) {
-      console.log(`✅ Poisson: H${results.poisson.homeWinProbability}% D${results.poisson.drawProbability}% A${results.poisson.awayWinProbability}% (${poissonTime}ms)`);
+      console.log(`✅ Poisson: ${formatOutcomes(results.poisson)} (${poissonTime}ms)`);
     } else {
       console.log(`❌ Poisson: ${poissonErrors.join(', ')}`);
     }
@@ -203,7 +150,7 @@ export async function runComparisonModeTest() {
     errors.push(...mcErrors);
     
     if (mcErrors.length === 0) {
-      console.log(`✅ Monte Carlo: H${results.monteCarlo.homeWinProbability}% D${results.monteCarlo.drawProbability}% A${results.monteCarlo.awayWinProbability}% (${mcTime}ms)`);
+      console.log(`✅ Monte Carlo: ${formatOutcomes(results.monteCarlo)} (${mcTime}ms)`);
     } else {
       console.log(`❌ Monte Carlo: ${mcErrors.join(', ')}`);
     }
@@ -230,13 +177,9 @@ export async function runComparisonModeTest() {
     console.log('');
     console.log('📋 DETALJERAD JÄMFÖRELSE');
     console.log('========================');
-    const xgHome = results.xg.homeWin || results.xg.homeWinProbability;
-    const xgDraw = results.xg.draw || results.xg.drawProbability;
-    const xgAway = results.xg.awayWin || results.xg.awayWinProbability;
-    
-    console.log(`xG:          H${xgHome}% D${xgDraw}% A${xgAway}%`);
-    console.log(`Poisson:     H${results.poisson.homeWinProbability}% D${results.poisson.drawProbability}% A${results.poisson.awayWinProbability}%`);
-    console.log(`Monte Carlo: H${results.monteCarlo.homeWinProbability}% D${results.monteCarlo.drawProbability}% A${results.monteCarlo.awayWinProbability}%`);
+    console.log(`xG:          ${formatOutcomes(results.xg)}`);
+    console.log(`Poisson:     ${formatOutcomes(results.poisson)}`);
+    console.log(`Monte Carlo: ${formatOutcomes(results.monteCarlo)}`);
   }
   
   // Sammanfattning
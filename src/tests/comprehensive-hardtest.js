@@ -6,6 +6,7 @@
 import { calculateAdvancedXGPrediction } from '../utils/xgCalculations.js';
 import { EnhancedPoissonCalculator } from '../utils/improvedMath.js';
 import { MonteCarloSimulator } from '../utils/improvedMath.js';
+import { isPredictionResult } from '../utils/predictionResult.js';
 
 console.log('🔥 STARTAR OMFATTANDE HÅRDTEST AV SOCCERPREDICT PRO 🔥\n');
 
@@ -121,13 +122,13 @@ const testXGCalculations = () => {
       });
 
       // Kontrollera att alla värden finns
-      if (!result.homeWin || !result.draw || !result.awayWin) {
+      if (!isPredictionResult(result)) {
         throw new Error('Saknade sannolikhetsvärden');
       }
 
-      const homeWin = parseFloat(result.homeWin);
-      const draw = parseFloat(result.draw);
-      const awayWin = parseFloat(result.awayWin);
+      const homeWin = result.homeWinProbability * 100;
+      const draw = result.drawProbability * 100;
+      const awayWin = result.awayWinProbability * 100;
 
       // Kontrollera att sannolikheter är realistiska
       assertBetween(homeWin, 0, 100, 'Hemmavinst sannolikhet');
@@ -175,9 +176,9 @@ const testPoissonCalculations = () => {
         homeAdvantage: 0.3
       });
 
-      const homeWin = parseFloat(result.homeWinProbability);
-      const draw = parseFloat(result.drawProbability);
-      const awayWin = parseFloat(result.awayWinProbability);
+      const homeWin = result.homeWinProbability * 100;
+      const draw = result.drawProbability * 100;
+      const awayWin = result.awayWinProbability * 100;
 
       // Kontrollera sannolikheter
       assertBetween(homeWin, 0, 100, 'Poisson hemmavinst');
@@ -221,9 +222,9 @@ const testMonteCarloSimulations = () => {
         awayDefenseStrength: scenario.awayDefense
       });
 
-      const homeWin = parseFloat(result.homeWinProbability);
-      const draw = parseFloat(result.drawProbability);
-      const awayWin = parseFloat(result.awayWinProbability);
+      const homeWin = result.homeWinProbability * 100;
+      const draw = result.drawProbability * 100;
+      const awayWin = result.awayWinProbability * 100;
 
       // Kontrollera sannolikheter
       assertBetween(homeWin, 0, 100, 'Monte Carlo hemmavinst');
@@ -268,9 +269,9 @@ const testExtremeScenarios = () => {
       });
 
       // Kontrollera att extrema värden hanteras korrekt
-      const homeWin = parseFloat(xgResult.homeWin);
-      const draw = parseFloat(xgResult.draw);
-      const awayWin = parseFloat(xgResult.awayWin);
+      const homeWin = xgResult.homeWinProbability * 100;
+      const draw = xgResult.drawProbability * 100;
+      const awayWin = xgResult.awayWinProbability * 100;
 
       assertBetween(homeWin, 0, 100, 'Extremfall hemmavinst');
       assertBetween(draw, 0, 100, 'Extremfall oavgjort');
@@ -336,9 +337,9 @@ const testMethodConsistency = () => {
     });
 
     // Jämför resultaten
-    const xgHome = parseFloat(xgResult.homeWin);
-    const poissonHome = parseFloat(poissonResult.homeWinProbability);
-    const mcHome = parseFloat(mcResult.homeWinProbability);
+    const xgHome = xgResult.homeWinProbability * 100;
+    const poissonHome = poissonResult.homeWinProbability * 100;
+    const mcHome = mcResult.homeWinProbability * 100;
 
     console.log(`   📊 xG Hemmavinst: ${xgHome.toFixed(1)}%`);
     console.log(`   📊 Poisson Hemmavinst: ${poissonHome.toFixed(1)}%`);
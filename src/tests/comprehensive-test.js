@@ -147,9 +147,10 @@ const issues = [];
 
 // Helper function to validate probabilities
 function validateProbabilities(result, methodName, scenarioName) {
-  const homeWin = parseFloat(result.homeWinProbability || result.homeWin || 0);
-  const draw = parseFloat(result.drawProbability || result.draw || 0);
-  const awayWin = parseFloat(result.awayWinProbability || result.awayWin || 0);
+  // Sannolikheter i procent (resultaten anges som 0-1)
+  const homeWin = result.homeWinProbability * 100;
+  const draw = result.drawProbability * 100;
+  const awayWin = result.awayWinProbability * 100;
   
   const total = homeWin + draw + awayWin;
   const tolerance = 0.1; // Allow 0.1% tolerance
@@ -0,0 +1,139 @@
+// Test för Wilson-intervall och adaptivt läge i Monte Carlo-simuleringen
+import { MonteCarloSimulator, wilsonInterval, widestInterval } from '../utils/improvedMath.js';
+import { ScoreMatrix } from '../utils/scoreMatrix.js';
+import { MARKET_PROBABILITY_KEYS } from '../utils/predictionResult.js';
+
+const simulator = new MonteCarloSimulator();
+
+const assert = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+const close = (a, b, tolerance = 1e-4) => Math.abs(a - b) < tolerance;
+
+const poissonProbability = (k, lambda) => {
+  let probability = Math.exp(-lambda);
+  for (let i = 1; i <= k; i++) probability *= lambda / i;
+  return probability;
+};
+
+const testWilsonInterval = () => {
+  const half = wilsonInterval(50, 100);
+  assert(close(half.lower, 0.4038) && close(half.upper, 0.5962), `50/100 ska ge 0.4038-0.5962 (fick ${half.lower}-${half.upper})`);
+
+  const none = wilsonInterval(0, 10);
+  assert(none.lower === 0 && close(none.upper, 0.2775), `0/10 ska ge 0-0.2775 (fick ${none.upper})`);
+
+  const all = wilsonInterval(10, 10);
+  assert(all.upper === 1 && close(all.lower, 0.7225), 'Intervallet ska vara symmetriskt kring 1');
+
+  const empty = wilsonInterval(0, 0);
+  assert(empty.lower === 0 && empty.upper === 1, 'Utan försök ska intervallet vara 0-1');
+};
+
+const testIntervalsForEveryMarket = () => {
+  const result = simulator.simulate({ simulations: 10000, homeGoalsAvg: 1.6, awayGoalsAvg: 1.1 });
+
+  Object.keys(MARKET_PROBABILITY_KEYS).forEach(key => {
+    const interval = result.confidenceIntervals[key];
+    assert(interval, `Intervall saknas för ${key}`);
+    assert(interval.lower <= result[key] && result[key] <= interval.upper, `${key} ska ligga inom sitt intervall`);
+    assert(interval.upper - interval.lower < 0.03, `${key}: intervallet är för brett för 10 000 simuleringar`);
+  });
+
+  const expectedConfidence = 1 - widestInterval(result.confidenceIntervals, ['homeWinProbability', 'drawProbability', 'awayWinProbability']);
+  assert(result.confidence === expectedConfidence, 'Konfidens ska vara 1 minus bredaste 1X2-intervallet');
+};
+
+const testCoverage = () => {
+  // Sanna sannolikheter från oberoende Poisson med samma intensiteter som simuleringen
+  const params = { simulations: 2000, homeGoalsAvg: 1.5, awayGoalsAvg: 1.2 };
+  const { homeRate, awayRate } = simulator.resolveParams(params);
+  const exact = ScoreMatrix.fromFunction((h, a) => poissonProbability(h, homeRate) * poissonProbability(a, awayRate)).summary();
+
+  let covered = 0;
+  let total = 0;
+  for (let seed = 1; seed <= 40; seed++) {
+    const result = simulator.simulate({ ...params, randomSeed: seed * 7919 });
+    Object.entries(MARKET_PROBABILITY_KEYS).forEach(([key, summaryKey]) => {
+      const { lower, upper } = result.confidenceIntervals[key];
+      if (lower <= exact[summaryKey] && exact[summaryKey] <= upper) covered++;
+      total++;
+    });
+  }
+
+  const coverage = covered / total;
+  console.log(`   Täckningsgrad för 95%-intervall: ${(coverage * 100).toFixed(1)}%`);
+  assert(coverage > 0.88, `Täckningsgraden ${coverage} är för låg för ett 95%-intervall`);
+};
+
+const testAdaptiveMode = () => {
+  const adaptive = simulator.simulate({
+    simulations: 1000,
+    homeGoalsAvg: 1.6,
+    awayGoalsAvg: 1.1,
+    adaptive: { tolerance: 0.02 }
+  });
+  const stats = adaptive.simulationStats;
+
+  assert(stats.adaptive.converged, 'Adaptiv körning ska nå toleransen');
+  assert(stats.adaptive.widestInterval < 0.02, 'Bredaste intervallet ska vara under toleransen');
+  assert(stats.rounds > 1 && stats.totalSimulations === stats.rounds * 1000, 'Körningen ska bestå av hela omgångar');
+
+  // En omgång mindre (samma seedade omgångar, stoppade av maxgränsen) ska inte ha räckt
+  const previous = simulator.simulate({
+    simulations: 1000,
+    homeGoalsAvg: 1.6,
+    awayGoalsAvg: 1.1,
+    adaptive: { tolerance: 0.02, maxSimulations: 1000 * (stats.rounds - 1) }
+  });
+  assert(widestInterval(previous.confidenceIntervals, stats.adaptive.markets) >= 0.02, 'Simuleringen ska stoppa vid första omgången under toleransen');
+
+  const selected = simulator.simulate({
+    simulations: 1000,
+    homeGoalsAvg: 1.6,
+    awayGoalsAvg: 1.1,
+    adaptive: { tolerance: 0.02, markets: ['over15Probability'] }
+  });
+  assert(selected.simulationStats.totalSimulations < stats.totalSimulations, 'En marknad med lägre varians ska kräva färre simuleringar');
+
+  const capped = simulator.simulate({
+    simulations: 1000,
+    adaptive: { tolerance: 0.001, maxSimulations: 5000 }
+  });
+  assert(capped.simulationStats.totalSimulations === 5000, 'Maxgränsen för simuleringar ska respekteras');
+  assert(!capped.simulationStats.adaptive.converged, 'Körning som stoppas av maxgränsen ska inte markeras som konvergerad');
+};
+
+export function runConfidenceIntervalTests() {
+  console.log('📏 KONFIDENSINTERVALL TEST');
+  console.log('==========================');
+
+  const tests = [
+    ['Wilson-intervall', testWilsonInterval],
+    ['Intervall för alla marknader', testIntervalsForEveryMarket],
+    ['Täckningsgrad', testCoverage],
+    ['Adaptivt läge', testAdaptiveMode]
+  ];
+
+  let passed = 0;
+  tests.forEach(([name, test]) => {
+    try {
+      test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  });
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runConfidenceIntervalTests();
+}
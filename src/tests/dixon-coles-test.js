@@ -0,0 +1,96 @@
+// Test för Dixon-Coles-korrigeringen i EnhancedPoissonCalculator
+import { EnhancedPoissonCalculator, dixonColesTau, clampDixonColesRho } from '../utils/improvedMath.js';
+
+const calculator = new EnhancedPoissonCalculator();
+
+const baseParams = {
+  homeAttackRate: 1.5,
+  awayAttackRate: 1.2,
+  homeDefenseRate: 1.0,
+  awayDefenseRate: 1.0
+};
+
+const assert = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+const testTauFactors = () => {
+  assert(dixonColesTau(0, 0, 1.5, 1.2, 0) === 1, 'rho = 0 ska ge tau = 1');
+  assert(dixonColesTau(2, 1, 1.5, 1.2, -0.1) === 1, 'Scorelines utanför 0/1 ska inte påverkas');
+  assert(dixonColesTau(0, 0, 1.5, 1.2, -0.1) > 1, 'Negativt rho ska öka 0-0');
+  assert(dixonColesTau(1, 1, 1.5, 1.2, -0.1) > 1, 'Negativt rho ska öka 1-1');
+  assert(dixonColesTau(1, 0, 1.5, 1.2, -0.1) < 1, 'Negativt rho ska minska 1-0');
+  assert(clampDixonColesRho(-5, 1.5, 1.2) === -1 / 1.5, 'rho ska begränsas till giltigt intervall');
+};
+
+const testUncorrectedMatchesBaseline = () => {
+  const baseline = calculator.calculate(baseParams);
+  const explicitZero = calculator.calculate({ ...baseParams, rho: 0 });
+
+  assert(baseline.homeWinProbability === explicitZero.homeWinProbability, 'rho = 0 ska ge samma resultat som tidigare');
+  assert(baseline.dixonColes.applied === false, 'Korrigering ska inte markeras som aktiv för rho = 0');
+  assert(
+    baseline.dixonColes.uncorrectedDrawProbability === baseline.dixonColes.correctedDrawProbability,
+    'Korrigerad och okorrigerad oavgjort ska vara lika för rho = 0'
+  );
+};
+
+const testNegativeRhoRaisesDraws = () => {
+  const corrected = calculator.calculate({ ...baseParams, rho: -0.13 });
+  const { uncorrectedDrawProbability, correctedDrawProbability } = corrected.dixonColes;
+
+  assert(corrected.dixonColes.applied, 'Korrigering ska markeras som aktiv');
+  assert(correctedDrawProbability > uncorrectedDrawProbability, 'Negativt rho ska öka oavgjort');
+  assert(corrected.drawProbability === correctedDrawProbability, '1X2 ska beräknas från korrigerad matris');
+
+  const total = corrected.homeWinProbability +
+                corrected.drawProbability +
+                corrected.awayWinProbability;
+  assert(Math.abs(total - 1) < 1e-9, `Sannolikheter ska summera till 1 (fick ${total})`);
+
+  const uncorrected = calculator.calculate(baseParams);
+  assert(
+    corrected.over15Probability > uncorrected.over15Probability,
+    'Över 1.5 ska öka när 1-1 blir vanligare och 1-0/0-1 ovanligare'
+  );
+  assert(
+    corrected.bothTeamsScoreProbability !== uncorrected.bothTeamsScoreProbability,
+    'BTTS ska räknas om från korrigerad matris'
+  );
+
+  const draw00 = corrected.mostLikelyScorelines.find(s => s.score === '0-0');
+  const draw00Uncorrected = uncorrected.mostLikelyScorelines.find(s => s.score === '0-0');
+  assert(draw00 && draw00Uncorrected && draw00.probability > draw00Uncorrected.probability, '0-0 ska bli mer sannolikt');
+};
+
+export function runDixonColesTests() {
+  console.log('📐 DIXON-COLES TEST');
+  console.log('===================');
+
+  const tests = [
+    ['Tau-faktorer', testTauFactors],
+    ['rho = 0 bevarar oberoende modell', testUncorrectedMatchesBaseline],
+    ['Negativt rho ökar oavgjort', testNegativeRhoRaisesDraws]
+  ];
+
+  let passed = 0;
+  tests.forEach(([name, test]) => {
+    try {
+      test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  });
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDixonColesTests();
+}
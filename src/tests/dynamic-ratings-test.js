@@ -0,0 +1,193 @@
+// Test för dynamisk rating: Kalmanuppdatering, drift, följning av formförändringar och osäkerhet i Monte Carlo
+import { DynamicRatingSystem, DEFAULT_MATCH_INTERVAL_DAYS } from '../utils/dynamicRatings.js';
+import { parseMatchResults } from '../utils/teamStrengthFitting.js';
+import { MonteCarloSimulator } from '../utils/improvedMath.js';
+import { assert, close, simulateLeague } from './test-helpers.js';
+
+const ratingSystem = new DynamicRatingSystem();
+
+// Syntetisk liga där lag 0 tappar från bäst till sämst efter halva perioden
+const STRENGTHS = [1.6, 1.3, 1.1, 1.0, 0.9, 0.8];
+
+const fallingLeague = (rounds, seed) => {
+  const strength = (team, round) => (team === 0 && round >= Math.floor(rounds / 2) ? 0.6 : STRENGTHS[team]);
+  return simulateLeague({
+    seed,
+    strengths: STRENGTHS,
+    rounds,
+    homeRate: (home, away, round) => 1.5 * strength(home, round) / strength(away, round),
+    awayRate: (home, away, round) => 1.15 * strength(away, round) / strength(home, round),
+    date: (index) => new Date(Date.UTC(2020, 0, 2 + index))
+  });
+};
+
+const testUpdate = () => {
+  const state = ratingSystem.createState({ leagueAverage: 1.3, homeAdvantage: 0.2, priorSd: 0.3 });
+  const { homeRate, awayRate } = ratingSystem.update(state, { home: 'Alfa', away: 'Beta', homeGoals: 4, awayGoals: 0 });
+  assert(close(homeRate, 1.3 * 1.2) && close(awayRate, 1.3), 'Första matchen ska förutsägas med ligasnitt och hemmafördel');
+
+  const alfa = state.teams.get('Alfa');
+  const beta = state.teams.get('Beta');
+  assert(alfa.mean[0] > 0 && beta.mean[1] > 0, 'Många hemmamål ska höja hemmalagets attack och bortalagets insläppta mål');
+  assert(beta.mean[0] < 0 && alfa.mean[1] < 0, 'Noll bortamål ska sänka bortalagets attack och hemmalagets insläppta mål');
+  [alfa, beta].forEach(rating => {
+    assert(rating.covariance[0][0] < 0.09 && rating.covariance[1][1] < 0.09, 'Osäkerheten ska minska efter en match');
+    assert(close(rating.covariance[0][1], rating.covariance[1][0], 1e-12), 'Kovariansen ska vara symmetrisk');
+  });
+
+  // Laplace-uppdateringen ska hitta posteriorns mod för hemmamålens linjära prediktor
+  const zMean = 0;
+  const zVariance = 0.18;
+  const mean = [0, 0, 0, 0];
+  const covariance = [[0.09, 0, 0, 0], [0, 0.09, 0, 0], [0, 0, 0.09, 0], [0, 0, 0, 0.09]];
+  ratingSystem.assimilate(mean, covariance, [0, 3], Math.log(1.3 * 1.2), 4);
+  const mode = mean[0] + mean[3];
+  const stationarity = -(mode - zMean) / zVariance + 4 - Math.exp(Math.log(1.3 * 1.2) + mode);
+  assert(Math.abs(stationarity) < 1e-8, 'Uppdateringen ska ge posteriorns mod');
+  assert(close(alfa.mean[0] + beta.mean[1], mode, 1e-12), 'Bortamålen ska inte påverka hemmamålens prediktor i samma match');
+
+  // På neutral plan ska ett jämnt resultat påverka båda lagen lika
+  const neutral = ratingSystem.createState({ leagueAverage: 1.3, homeAdvantage: 0.2, priorSd: 0.3 });
+  const neutralRates = ratingSystem.update(neutral, { home: 'Alfa', away: 'Beta', homeGoals: 2, awayGoals: 2, neutral: true });
+  assert(close(neutralRates.homeRate, 1.3) && close(neutralRates.awayRate, 1.3), 'Neutral plan ska förutsägas utan hemmafördel');
+  const [neutralHome, neutralAway] = ['Alfa', 'Beta'].map(team => neutral.teams.get(team).mean);
+  assert(close(neutralHome[0], neutralAway[0], 1e-12) && close(neutralHome[1], neutralAway[1], 1e-12), 'Neutral plan ska uppdatera lagen symmetriskt');
+};
+
+const testDrift = () => {
+  const dated = ratingSystem.createState({ priorSd: 0.2, driftSd: 0.1 });
+  ratingSystem.update(dated, { home: 'Alfa', away: 'Beta', homeGoals: 1, awayGoals: 1, date: new Date('2024-01-01T00:00:00Z') });
+  ratingSystem.update(dated, { home: 'Gamma', away: 'Delta', homeGoals: 1, awayGoals: 1, date: new Date('2024-03-01T00:00:00Z') });
+
+  const alfa = dated.teams.get('Alfa');
+  const current = ratingSystem.currentRating(dated, 'Alfa');
+  assert(close(current.covariance[0][0], alfa.covariance[0][0] + 0.01 * 60 / 30, 1e-12), 'Osäkerheten ska växa med dagarna sedan senaste matchen');
+  assert(close(current.covariance[0][1], alfa.covariance[0][1], 1e-12), 'Driften ska inte ändra kovariansen mellan attack och försvar');
+
+  assert(ratingSystem.daysSinceLastMatch(alfa, null) === DEFAULT_MATCH_INTERVAL_DAYS, 'Matcher utan datum ska räknas som en vecka isär');
+  assert(ratingSystem.daysSinceLastMatch({ matches: 0, lastDate: null }, null) === 0, 'Ett nytt lag ska inte drifta före sin första match');
+
+  const frozen = ratingSystem.createState({ driftSd: 0 });
+  ratingSystem.update(frozen, { home: 'Alfa', away: 'Beta', homeGoals: 2, awayGoals: 0 });
+  const after = frozen.teams.get('Alfa').covariance[0][0];
+  ratingSystem.update(frozen, { home: 'Beta', away: 'Alfa', homeGoals: 0, awayGoals: 0 });
+  assert(frozen.teams.get('Alfa').covariance[0][0] < after, 'Utan drift ska osäkerheten bara minska');
+};
+
+const testTracking = () => {
+  const results = fallingLeague(8, 21);
+  const dynamic = ratingSystem.rate(results, { driftSd: 0.15 });
+  const frozen = ratingSystem.rate(results, { driftSd: 0 });
+
+  assert(close(dynamic.options.leagueAverage, results.reduce((sum, match) => sum + match.homeGoals + match.awayGoals, 0) / (2 * results.length)), 'Ligasnittet ska skattas från resultaten');
+  assert(dynamic.options.homeAdvantage > 0, 'Hemmafördelen ska skattas från resultaten');
+  assert(dynamic.matches === results.length, 'Alla matcher ska räknas in');
+
+  const lastDynamic = ratingSystem.ratingTable(dynamic);
+  const lastFrozen = ratingSystem.ratingTable(frozen);
+  const rankDynamic = lastDynamic.findIndex(row => row.team === 'Lag 0');
+  const rankFrozen = lastFrozen.findIndex(row => row.team === 'Lag 0');
+  assert(rankDynamic > rankFrozen, `Driften ska fånga formraset (plats ${rankDynamic + 1} mot ${rankFrozen + 1})`);
+  assert(lastDynamic.every(row => row.attackSd > 0 && row.defenceSd > 0), 'Varje lag ska ha en osäkerhet');
+  assert(dynamic.predictiveLogLikelihood > frozen.predictiveLogLikelihood, 'Dynamisk rating ska förutsäga bättre när styrkan ändras');
+
+  // Resultaten räknas i datumordning oavsett inmatningsordning
+  const reversed = ratingSystem.rate([...results].reverse(), { driftSd: 0.15 });
+  assert(close(reversed.teams.get('Lag 3').mean[0], dynamic.teams.get('Lag 3').mean[0], 1e-12), 'Daterade resultat ska räknas i datumordning');
+
+  const parsed = ratingSystem.rate(parseMatchResults('Alfa 2-1 Beta\nBeta 1-1 Gamma\nGamma 0-2 Alfa'));
+  assert(parsed.teams.size === 3 && parsed.lastDate === null, 'Resultat utan datum ska kunna användas');
+
+  let error = null;
+  try {
+    ratingSystem.rate([{ home: 'Alfa', away: 'Beta', homeGoals: 0, awayGoals: 0 }]);
+  } catch (rateError) {
+    error = rateError;
+  }
+  assert(error, 'Resultat utan mål ska ge fel');
+};
+
+const testMonteCarloInputs = () => {
+  const results = fallingLeague(4, 22);
+  const state = ratingSystem.rate(results);
+  const inputs = ratingSystem.monteCarloInputs(state, 'Lag 1', 'Lag 5');
+  const home = ratingSystem.currentRating(state, 'Lag 1');
+  const away = ratingSystem.currentRating(state, 'Lag 5');
+
+  // MonteCarloSimulator: homeRate = homeGoalsAvg * (1 + homeAdvantage) / awayDefenseStrength
+  const simulator = new MonteCarloSimulator();
+  const { homeRate, awayRate } = simulator.resolveParams(inputs);
+  const rates = ratingSystem.logRates(state, state.teams.get('Lag 1'), state.teams.get('Lag 5'));
+  assert(close(homeRate, Math.exp(rates.home), 1e-9) && close(awayRate, Math.exp(rates.away), 1e-9), 'Monte Carlo ska få ratingens målförväntan');
+
+  const { homeLogSd, awayLogSd, correlation } = inputs.strengthUncertainty;
+  assert(close(homeLogSd * homeLogSd, home.covariance[0][0] + away.covariance[1][1], 1e-12), 'Hemmamålens osäkerhet ska vara attackens plus motståndarförsvarets varians');
+  assert(close(awayLogSd * awayLogSd, away.covariance[0][0] + home.covariance[1][1], 1e-12), 'Bortamålens osäkerhet ska vara attackens plus motståndarförsvarets varians');
+  assert(Math.abs(correlation) <= 1, 'Korrelationen ska ligga mellan -1 och 1');
+
+  const longer = ratingSystem.rate(fallingLeague(8, 22));
+  assert(ratingSystem.monteCarloInputs(longer, 'Lag 1', 'Lag 5').strengthUncertainty.homeLogSd < homeLogSd, 'Fler matcher ska ge mindre osäkerhet');
+  assert(ratingSystem.monteCarloInputs(state, 'Lag 1', 'Lag 5', { neutral: true }).homeAdvantage === 0, 'Neutral plan ska ta bort hemmafördelen');
+};
+
+const testStrengthSampling = () => {
+  const simulator = new MonteCarloSimulator();
+  const base = { simulations: 40000, homeGoalsAvg: 1.5, awayGoalsAvg: 1.1, homeDefenseStrength: 1, awayDefenseStrength: 1, homeAdvantage: 0 };
+
+  const plain = simulator.simulate(base);
+  const explicitNull = simulator.simulate({ ...base, strengthUncertainty: null });
+  const zero = simulator.simulate({ ...base, strengthUncertainty: { homeLogSd: 0, awayLogSd: 0, correlation: 0 } });
+  assert(plain.homeWinProbability === explicitNull.homeWinProbability && plain.homeWinProbability === zero.homeWinProbability, 'Utan osäkerhet ska simuleringen vara oförändrad');
+  assert(zero.simulationStats.strengthUncertainty === null, 'Noll osäkerhet ska inte sampla lagstyrka');
+
+  const uncertainty = { homeLogSd: 0.4, awayLogSd: 0.4, correlation: 0 };
+  const sampled = simulator.simulate({ ...base, strengthUncertainty: uncertainty });
+  assert(close(sampled.expectedHomeGoals, 1.5 * Math.exp(0.08), 0.04), `Medelmålen ska bli median · exp(σ²/2) (${sampled.expectedHomeGoals.toFixed(3)})`);
+  assert(sampled.simulationStats.strengthUncertainty.homeLogSd === 0.4, 'Osäkerheten ska redovisas i simuleringsstatistiken');
+  assert(sampled.metadata.inputHash !== plain.metadata.inputHash, 'Osäkerheten ska ingå i indatahashen');
+
+  // Osäker lagstyrka ger överspridning: variansen av hemmamålen överstiger medelvärdet
+  const { home } = sampled.goalDistribution;
+  const count = home.reduce((sum, value) => sum + value, 0);
+  const mean = home.reduce((sum, value, goals) => sum + value * goals, 0) / count;
+  const variance = home.reduce((sum, value, goals) => sum + value * (goals - mean) ** 2, 0) / count;
+  assert(variance > mean * 1.1, 'Samplad lagstyrka ska ge överspridda mål');
+  assert(sampled.drawProbability > plain.drawProbability - 0.02 && sampled.homeWinProbability < plain.homeWinProbability + 0.02, 'Osäkerheten ska inte flytta sannolikheterna orimligt');
+
+  // Positivt korrelerade målförväntningar ger fler oavgjorda än negativt korrelerade
+  const positive = simulator.simulate({ ...base, strengthUncertainty: { homeLogSd: 0.5, awayLogSd: 0.5, correlation: 0.9 } });
+  const negative = simulator.simulate({ ...base, strengthUncertainty: { homeLogSd: 0.5, awayLogSd: 0.5, correlation: -0.9 } });
+  assert(positive.drawProbability > negative.drawProbability, 'Korrelationen ska påverka utfallen');
+};
+
+export function runDynamicRatingTests() {
+  console.log('📈 DYNAMISK RATING TEST');
+  console.log('=======================');
+
+  const tests = [
+    ['Kalmanuppdatering efter en match', testUpdate],
+    ['Drift mellan matcher', testDrift],
+    ['Följer formförändringar', testTracking],
+    ['Monte Carlo-indata med osäkerhet', testMonteCarloInputs],
+    ['Samplad lagstyrka i Monte Carlo', testStrengthSampling]
+  ];
+
+  let passed = 0;
+  tests.forEach(([name, test]) => {
+    try {
+      test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  });
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDynamicRatingTests();
+}
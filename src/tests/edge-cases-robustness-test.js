@@ -33,13 +33,14 @@ function runTest(testName, testFunction) {
 }
 
 function validateResult(result, testName) {
-  if (!result || typeof result.homeWin !== 'string') {
+  if (!result || typeof result.homeWinProbability !== 'number') {
     return { success: false, message: "Inget giltigt resultat returnerat" };
   }
   
-  const homeWin = parseFloat(result.homeWin);
-  const draw = parseFloat(result.draw);
-  const awayWin = parseFloat(result.awayWin);
+  // Sannolikheter i procent (resultaten anges som 0-1)
+  const homeWin = result.homeWinProbability * 100;
+  const draw = result.drawProbability * 100;
+  const awayWin = result.awayWinProbability * 100;
   const total = homeWin + draw + awayWin;
   
   if (isNaN(homeWin) || isNaN(draw) || isNaN(awayWin)) {
@@ -0,0 +1,163 @@
+// Test för Elo-rating: uppdateringsregler, tävlingar, oavgjortsmodell, 1X2 och historisk validering
+import {
+  EloRatingSystem,
+  parseEloResults,
+  eloExpectedScore,
+  marginOfVictoryMultiplier,
+  orderedLogitProbabilities,
+  COMPETITION_K_FACTORS,
+  DEFAULT_DRAW_MODEL
+} from '../utils/eloRatings.js';
+import { HistoricalValidator } from '../utils/historicalValidation.js';
+import { isPredictionResult } from '../utils/predictionResult.js';
+import { assert, close, simulateLeague } from './test-helpers.js';
+
+const elo = new EloRatingSystem();
+
+// Syntetisk liga där lag 0 är bäst och lag 7 sämst
+const STRENGTHS = [1.8, 1.5, 1.3, 1.1, 1.0, 0.8, 0.7, 0.6];
+
+const LEAGUE = {
+  strengths: STRENGTHS,
+  homeGoals: 1.5 * 0.85,
+  awayGoals: 1.2 * 0.85,
+  date: (index) => new Date(Date.UTC(2020, 0, 2 + index))
+};
+
+const testUpdateRules = () => {
+  assert(close(eloExpectedScore(0), 0.5), 'Lika rating ska ge förväntad poäng 0.5');
+  assert(close(eloExpectedScore(400), 10 / 11), '400 poängs skillnad ska ge 10/11');
+  assert(marginOfVictoryMultiplier(0) === 1 && marginOfVictoryMultiplier(-1) === 1, 'Oavgjort och ett måls seger ska ha multiplikator 1');
+  assert(marginOfVictoryMultiplier(2) === 1.5 && marginOfVictoryMultiplier(-4) === 15 / 8, 'Större segrar ska följa World Football Elo');
+
+  const state = elo.createState();
+  const { change } = elo.update(state, { home: 'Alfa', away: 'Beta', homeGoals: 1, awayGoals: 0 });
+  assert(close(change, COMPETITION_K_FACTORS.league * (1 - eloExpectedScore(100))), 'Ligamatch ska använda ligans K-faktor och hemmafördel');
+  assert(close(elo.rating(state, 'Alfa') + elo.rating(state, 'Beta'), 3000), 'Ratingpoäng ska varken skapas eller försvinna');
+
+  const cup = elo.createState();
+  const cupResult = elo.update(cup, { home: 'Alfa', away: 'Beta', homeGoals: 3, awayGoals: 0, competition: 'cup', neutral: true });
+  assert(close(cupResult.change, COMPETITION_K_FACTORS.cup * 14 / 8 * 0.5), 'Cupmatch på neutral plan med tre mål ska ge K·G·(1 - 0.5)');
+
+  const flat = elo.createState({ marginOfVictory: false });
+  assert(close(elo.update(flat, { home: 'Alfa', away: 'Beta', homeGoals: 5, awayGoals: 0 }).change, change), 'Utan målskillnad ska storsegern räknas som en vanlig vinst');
+
+  let unknown = null;
+  try {
+    elo.update(state, { home: 'Alfa', away: 'Beta', homeGoals: 1, awayGoals: 0, competition: 'okänd' });
+  } catch (error) {
+    unknown = error;
+  }
+  assert(unknown, 'Okänd tävling ska ge fel');
+};
+
+const testParsing = () => {
+  const results = parseEloResults(`2024-08-17, Alfa 2-1 Beta [cup]
+# kommentar
+2024-08-24, Beta 0-0 Gamma [worldCup, neutral]
+Gamma 3-1 Alfa`);
+  assert(results.length === 3, 'Kommentarer ska hoppas över');
+  assert(results[0].competition === 'cup' && !results[0].neutral, 'Tävling ska läsas från taggen');
+  assert(results[1].competition === 'worldCup' && results[1].neutral, 'Neutral plan ska läsas från taggen');
+  assert(results[2].competition === 'league' && results[2].date === null, 'Rader utan tagg ska räknas som liga');
+
+  let unknown = null;
+  try {
+    parseEloResults('Alfa 2-1 Beta [superliga]');
+  } catch (error) {
+    unknown = error;
+  }
+  assert(unknown, 'Okänd tävlingstagg ska ge fel');
+};
+
+const testDrawModel = () => {
+  const results = simulateLeague({ ...LEAGUE, rounds: 5, seed: 7 });
+  const ratings = elo.rate(results);
+  const { drawModel } = ratings;
+
+  assert(drawModel.fitted && drawModel.matches === results.length, 'Oavgjortsmodellen ska anpassas på alla matcher');
+  assert(drawModel.thresholds[0] < drawModel.thresholds[1] && drawModel.slope > 0, 'Trösklarna ska vara ordnade och lutningen positiv');
+
+  // Likelihood-maximum: gradienten ska vara noll och standardmodellen inte bättre
+  const { gradient, logLikelihood } = elo.drawModelLikelihood(ratings.records, [...drawModel.thresholds, drawModel.slope]);
+  assert(gradient.every(value => Math.abs(value) < 1e-4), 'Gradienten ska vara noll i maximum');
+  const defaultFit = elo.drawModelLikelihood(ratings.records, [...DEFAULT_DRAW_MODEL.thresholds, DEFAULT_DRAW_MODEL.slope]);
+  assert(logLikelihood >= defaultFit.logLikelihood, 'Anpassad modell ska ha minst lika hög likelihood som standardmodellen');
+
+  [-400, -100, 0, 100, 400].forEach(difference => {
+    const probabilities = orderedLogitProbabilities(drawModel, difference);
+    assert(close(probabilities.homeWin + probabilities.draw + probabilities.awayWin, 1, 1e-12), 'Sannolikheterna ska summera till 1');
+    assert(probabilities.draw > 0, 'Oavgjort ska alltid vara möjligt');
+  });
+  assert(orderedLogitProbabilities(drawModel, 200).homeWin > orderedLogitProbabilities(drawModel, 0).homeWin, 'Högre rating ska ge högre vinstchans');
+
+  const few = elo.rate(results.slice(0, 10));
+  assert(few.drawModel === DEFAULT_DRAW_MODEL, 'För få matcher ska ge standardmodellen');
+};
+
+const testPrediction = () => {
+  const results = simulateLeague({ ...LEAGUE, rounds: 3, seed: 8 });
+  const ratings = elo.rate(results);
+  const table = elo.ratingTable(ratings);
+  const bottomTwo = table.slice(-2).map(row => row.team);
+  assert(table[0].team === 'Lag 0' && bottomTwo.includes('Lag 7'), 'Starkaste och svagaste laget ska identifieras');
+
+  // Resultaten räknas i datumordning oavsett inmatningsordning
+  const reversed = elo.rate([...results].reverse());
+  assert(close(elo.rating(reversed, 'Lag 3'), elo.rating(ratings, 'Lag 3')), 'Daterade resultat ska räknas i datumordning');
+
+  const prediction = elo.predict(ratings, 'Lag 0', 'Lag 7');
+  const expected = orderedLogitProbabilities(ratings.drawModel, prediction.elo.ratingDifference);
+  assert(isPredictionResult(prediction) && prediction.metadata.model === 'elo', 'Elo ska ge ett PredictionResult');
+  assert(close(prediction.homeWinProbability, expected.homeWin, 1e-9), 'Hemmavinst ska följa oavgjortsmodellen');
+  assert(close(prediction.drawProbability, expected.draw, 1e-9), 'Oavgjort ska följa oavgjortsmodellen');
+  assert(close(prediction.awayWinProbability, expected.awayWin, 1e-9), 'Bortavinst ska följa oavgjortsmodellen');
+  assert(prediction.expectedHomeGoals > prediction.expectedAwayGoals, 'Favoriten ska ha fler förväntade mål');
+
+  const neutral = elo.predict(ratings, 'Lag 0', 'Lag 7', { neutral: true });
+  assert(close(prediction.elo.ratingDifference - neutral.elo.ratingDifference, 100), 'Neutral plan ska ta bort hemmafördelen');
+  assert(neutral.homeWinProbability < prediction.homeWinProbability, 'Neutral plan ska sänka hemmalagets vinstchans');
+};
+
+const testHistoricalValidation = async () => {
+  const validator = new HistoricalValidator();
+  const matches = simulateLeague({ ...LEAGUE, rounds: 4, seed: 9 }).map(({ home, away, ...match }) => ({ ...match, homeTeam: home, awayTeam: away }));
+  const metrics = await validator.validateModel(matches, 'elo');
+
+  assert(metrics.modelType === 'elo' && metrics.validPredictions === matches.length, 'Alla matcher ska valideras');
+  assert(metrics.brierScore < 2 / 3, 'Elo ska slå en likafördelad prognos i Brier score');
+  assert(metrics.accuracy > 40, `Elo ska träffa utfallet oftare än slumpen (${metrics.accuracy.toFixed(1)}%)`);
+  assert(validator.eloState.records.length === matches.length, 'Varje match ska läggas till ratingen efter prognosen');
+};
+
+export async function runEloRatingTests() {
+  console.log('🏅 ELO-RATING TEST');
+  console.log('==================');
+
+  const tests = [
+    ['Uppdateringsregler och K-faktor per tävling', testUpdateRules],
+    ['Inläsning av resultat med tävlingstaggar', testParsing],
+    ['Ordnad logit-modell för oavgjort', testDrawModel],
+    ['1X2-prediktion', testPrediction],
+    ['Historisk validering', testHistoricalValidation]
+  ];
+
+  let passed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runEloRatingTests();
+}
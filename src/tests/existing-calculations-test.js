@@ -1,5 +1,6 @@
 // Test to verify existing calculations still work correctly with xGA integration
 import { calculateAdvancedXGPrediction } from '../utils/xgCalculations.js';
+import { formatPercent } from '../utils/resultFormatting.js';
 
 console.log('🔍 Testing Existing Calculations Compatibility...\n');
 
@@ -13,11 +14,11 @@ try {
     awayDefensiveRating: 0.9
   });
   
-  console.log(`🏠 Home Win: ${result1.homeWin}%`);
-  console.log(`🤝 Draw: ${result1.draw}%`);
-  console.log(`✈️ Away Win: ${result1.awayWin}%`);
+  console.log(`🏠 Home Win: ${formatPercent(result1.homeWinProbability)}`);
+  console.log(`🤝 Draw: ${formatPercent(result1.drawProbability)}`);
+  console.log(`✈️ Away Win: ${formatPercent(result1.awayWinProbability)}`);
   
-  const total = parseFloat(result1.homeWin) + parseFloat(result1.draw) + parseFloat(result1.awayWin);
+  const total = (result1.homeWinProbability + result1.drawProbability + result1.awayWinProbability) * 100;
   console.log(`✅ Probabilities sum: ${total.toFixed(1)}%`);
   
   if (Math.abs(total - 100) < 1) {
@@ -41,11 +42,11 @@ try {
     awayXGA: 1.4
   });
   
-  console.log(`🏠 Home Win: ${result2.homeWin}%`);
-  console.log(`🤝 Draw: ${result2.draw}%`);
-  console.log(`✈️ Away Win: ${result2.awayWin}%`);
+  console.log(`🏠 Home Win: ${formatPercent(result2.homeWinProbability)}`);
+  console.log(`🤝 Draw: ${formatPercent(result2.drawProbability)}`);
+  console.log(`✈️ Away Win: ${formatPercent(result2.awayWinProbability)}`);
   
-  const total = parseFloat(result2.homeWin) + parseFloat(result2.draw) + parseFloat(result2.awayWin);
+  const total = (result2.homeWinProbability + result2.drawProbability + result2.awayWinProbability) * 100;
   console.log(`✅ Probabilities sum: ${total.toFixed(1)}%`);
   
   if (Math.abs(total - 100) < 1) {
@@ -78,12 +79,12 @@ let edgeTestsPassed = 0;
 for (const testCase of edgeCases) {
   try {
     const result = calculateAdvancedXGPrediction(testCase.params);
-    const total = parseFloat(result.homeWin) + parseFloat(result.draw) + parseFloat(result.awayWin);
+    const total = (result.homeWinProbability + result.drawProbability + result.awayWinProbability) * 100;
     
     if (Math.abs(total - 100) < 1 && 
-        parseFloat(result.homeWin) >= 0 && parseFloat(result.homeWin) <= 100 &&
-        parseFloat(result.draw) >= 0 && parseFloat(result.draw) <= 100 &&
-        parseFloat(result.awayWin) >= 0 && parseFloat(result.awayWin) <= 100) {
+        result.homeWinProbability >= 0 && result.homeWinProbability <= 1 &&
+        result.drawProbability >= 0 && result.drawProbability <= 1 &&
+        result.awayWinProbability >= 0 && result.awayWinProbability <= 1) {
       console.log(`✅ ${testCase.name}: PASS`);
       edgeTestsPassed++;
     } else {
@@ -121,11 +122,11 @@ try {
     awayXGA: 1.3
   });
   
-  const oldTotal = parseFloat(oldResult.homeWin) + parseFloat(oldResult.draw) + parseFloat(oldResult.awayWin);
-  const newTotal = parseFloat(newResult.homeWin) + parseFloat(newResult.draw) + parseFloat(newResult.awayWin);
+  const oldTotal = (oldResult.homeWinProbability + oldResult.drawProbability + oldResult.awayWinProbability) * 100;
+  const newTotal = (newResult.homeWinProbability + newResult.drawProbability + newResult.awayWinProbability) * 100;
   
-  console.log(`Old style result: ${oldResult.homeWin}% / ${oldResult.draw}% / ${oldResult.awayWin}%`);
-  console.log(`New style result: ${newResult.homeWin}% / ${newResult.draw}% / ${newResult.awayWin}%`);
+  console.log(`Old style result: ${formatPercent(oldResult.homeWinProbability)} / ${formatPercent(oldResult.drawProbability)} / ${formatPercent(oldResult.awayWinProbability)}`);
+  console.log(`New style result: ${formatPercent(newResult.homeWinProbability)} / ${formatPercent(newResult.drawProbability)} / ${formatPercent(newResult.awayWinProbability)}`);
   
   if (Math.abs(oldTotal - 100) < 1 && Math.abs(newTotal - 100) < 1) {
     console.log('✅ Backward compatibility: PASS');
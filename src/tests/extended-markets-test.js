@@ -0,0 +1,101 @@
+// Test för utökade målmarknader (exakt antal mål, vinstmarginal, lagtotaler, udda/jämnt, vinst utan insläppt mål)
+import { ScoreMatrix } from '../utils/scoreMatrix.js';
+import { EnhancedPoissonCalculator, MonteCarloSimulator, PoissonGenerator } from '../utils/improvedMath.js';
+
+const generator = new PoissonGenerator();
+
+const assert = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const poissonResult = new EnhancedPoissonCalculator().calculate({
+  homeAttackRate: 1.7,
+  awayAttackRate: 1.2,
+  homeDefenseRate: 1.0,
+  awayDefenseRate: 1.0
+});
+
+const testMarketsSumToOne = () => {
+  const { exactTotalGoals, winningMargins, oddEven } = poissonResult.extendedMarkets;
+
+  assert(exactTotalGoals.length === 7, 'Exakt antal mål ska ha 0-5 och 6+');
+  assert(Math.abs(sum(exactTotalGoals) - 1) < 1e-9, 'Exakt antal mål ska summera till 1');
+  assert(Math.abs(sum(Object.values(winningMargins)) - 1) < 1e-9, 'Vinstmarginaler ska summera till 1');
+  assert(Math.abs(oddEven.odd + oddEven.even - 1) < 1e-12, 'Udda och jämnt ska summera till 1');
+};
+
+const testConsistencyWithBaseMarkets = () => {
+  const { exactTotalGoals, winningMargins, teamTotals, winToNil } = poissonResult.extendedMarkets;
+  const markets = poissonResult.scoreMatrix.summary();
+
+  const under25 = exactTotalGoals[0] + exactTotalGoals[1] + exactTotalGoals[2];
+  assert(Math.abs(under25 - markets.under25) < 1e-9, 'Exakt 0-2 mål ska motsvara under 2.5');
+
+  const homeMargins = winningMargins.home1 + winningMargins.home2 + winningMargins.home3Plus;
+  assert(Math.abs(homeMargins - markets.homeWin) < 1e-9, 'Hemmamarginaler ska motsvara hemmavinst');
+  assert(Math.abs(winningMargins.draw - markets.draw) < 1e-9, 'Marginal 0 ska motsvara oavgjort');
+
+  assert(Math.abs(teamTotals.away[0].under - markets.cleanSheetHome) < 1e-9, 'Borta under 0.5 ska motsvara hållen nolla hemma');
+  assert(winToNil.home < markets.cleanSheetHome && winToNil.home < markets.homeWin, 'Vinst utan insläppt mål är en delmängd av båda');
+};
+
+const testTeamTotals = () => {
+  const lambda = 1.4;
+  const matrix = ScoreMatrix.fromFunction((h, a) => generator.probability(lambda, h) * generator.probability(0.9, a));
+  const totals = matrix.teamTotals('home');
+
+  assert(totals.map(t => t.line).join(',') === '0.5,1.5,2.5,3.5', 'Linjer 0.5-3.5 ska finnas');
+  assert(Math.abs(totals[0].over - (1 - Math.exp(-lambda))) < 1e-6, 'Hemma över 0.5 ska vara 1 - P(0)');
+  totals.forEach(({ line, over, under }) => {
+    assert(Math.abs(over + under - 1) < 1e-12, `Över/under ${line} ska summera till 1`);
+  });
+  for (let i = 1; i < totals.length; i++) {
+    assert(totals[i].over < totals[i - 1].over, 'Över-sannolikheten ska minska med högre linje');
+  }
+};
+
+const testMonteCarloMarkets = () => {
+  const simulation = new MonteCarloSimulator().simulate({ simulations: 30000, homeGoalsAvg: 1.7, awayGoalsAvg: 1.2 });
+  const { exactTotalGoals, oddEven } = simulation.extendedMarkets;
+  const analytic = poissonResult.extendedMarkets;
+
+  assert(Math.abs(sum(exactTotalGoals) - 1) < 1e-9, 'Simulerade totaler ska summera till 1');
+  assert(Math.abs(simulation.extendedMarkets.teamTotals.home[1].over - ScoreMatrix.from(simulation.scoreMatrix).teamTotals('home')[1].over) < 1e-12, 'Marknader ska härledas från matrisen');
+  assert(oddEven.odd > 0.3 && oddEven.odd < 0.7, `Udda antal mål ska vara rimligt (fick ${oddEven.odd.toFixed(3)})`);
+  assert(analytic.oddEven.odd > 0.3 && analytic.oddEven.odd < 0.7, 'Analytiskt udda antal mål ska vara rimligt');
+};
+
+export function runExtendedMarketsTests() {
+  console.log('📈 UTÖKADE MARKNADER TEST');
+  console.log('=========================');
+
+  const tests = [
+    ['Marknader summerar till 1', testMarketsSumToOne],
+    ['Överensstämmer med grundmarknader', testConsistencyWithBaseMarkets],
+    ['Lagtotaler 0.5-3.5', testTeamTotals],
+    ['Monte Carlo-marknader', testMonteCarloMarkets]
+  ];
+
+  let passed = 0;
+  tests.forEach(([name, test]) => {
+    try {
+      test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  });
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runExtendedMarketsTests();
+}
@@ -4,6 +4,7 @@
 import { calculateAdvancedXGPrediction } from '../utils/xgCalculations.js';
 import { enhancedPoissonCalculator } from '../utils/improvedMath.js';
 import { monteCarloSimulator } from '../utils/improvedMath.js';
+import { formatPercent } from '../utils/resultFormatting.js';
 
 // Testscenarier med extrema värden
 const extremeScenarios = [
@@ -60,10 +61,10 @@ function validateMethodResult(result, methodName, scenario) {
     return issues;
   }
   
-  // Normalisera egenskapsnamn
-  const homeWin = parseFloat(result.homeWin || result.homeWinProbability || 0);
-  const draw = parseFloat(result.draw || result.drawProbability || 0);
-  const awayWin = parseFloat(result.awayWin || result.awayWinProbability || 0);
+  // Sannolikheter i procent (resultaten anges som 0-1)
+  const homeWin = result.homeWinProbability * 100;
+  const draw = result.drawProbability * 100;
+  const awayWin = result.awayWinProbability * 100;
   
   // Kontrollera för NaN-värden
   if (isNaN(homeWin) || isNaN(draw) || isNaN(awayWin)) {
@@ -182,11 +183,11 @@ export function runExtremeValuesTest() {
       
       if (test.issues.length === 0) {
         const result = test.result;
-        const homeWin = result.homeWin || result.homeWinProbability || 'N/A';
-        const draw = result.draw || result.drawProbability || 'N/A';
-        const awayWin = result.awayWin || result.awayWinProbability || 'N/A';
+        const homeWin = formatPercent(result.homeWinProbability);
+        const draw = formatPercent(result.drawProbability);
+        const awayWin = formatPercent(result.awayWinProbability);
         
-        console.log(`   ✅ ${methodName}: H${homeWin}% D${draw}% A${awayWin}% (${test.executionTime}ms)`);
+        console.log(`   ✅ ${methodName}: H${homeWin} D${draw} A${awayWin} (${test.executionTime}ms)`);
       } else {
         console.log(`   ❌ ${methodName}: ${test.issues.length} problem`);
         test.issues.forEach(issue => {
@@ -0,0 +1,126 @@
+// Test för halvtid/fulltid och marknader för första halvlek
+import {
+  HalfTimeModel,
+  DEFAULT_FIRST_HALF_SHARE,
+  estimateFirstHalfShare
+} from '../utils/halfTimeModel.js';
+import {
+  MonteCarloSimulator,
+  HALF_TIME_FULL_TIME_OUTCOMES,
+  GOAL_DISTRIBUTIONS
+} from '../utils/improvedMath.js';
+
+const model = new HalfTimeModel();
+const params = { homeLambda: 1.6, awayLambda: 1.1 };
+
+const assert = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+const poissonZero = (lambda) => Math.exp(-lambda);
+
+const testAnalyticMarkets = () => {
+  const result = model.calculate(params);
+  const htftTotal = HALF_TIME_FULL_TIME_OUTCOMES.reduce((sum, outcome) => sum + result.halfTimeFullTime[outcome], 0);
+  const { firstHalf } = result;
+
+  assert(result.firstHalfShare === DEFAULT_FIRST_HALF_SHARE, 'Standardandel ska användas');
+  assert(Object.keys(result.halfTimeFullTime).length === 9, 'Nio halvtid/fulltid-utfall');
+  assert(Math.abs(htftTotal - 1) < 1e-9, `Halvtid/fulltid ska summera till 1 (fick ${htftTotal})`);
+  assert(Math.abs(firstHalf.homeWin + firstHalf.draw + firstHalf.awayWin - 1) < 1e-9, '1X2 första halvlek ska summera till 1');
+
+  // Poisson-halvlekar är oberoende: P(inga mål i 1:a) = exp(-s * (λh + λa))
+  const firstHalfLambda = DEFAULT_FIRST_HALF_SHARE * (params.homeLambda + params.awayLambda);
+  const secondHalfLambda = (1 - DEFAULT_FIRST_HALF_SHARE) * (params.homeLambda + params.awayLambda);
+  assert(Math.abs(firstHalf.over05 - (1 - poissonZero(firstHalfLambda))) < 1e-6, 'Över 0.5 i första halvlek');
+  const bothHalves = (1 - poissonZero(firstHalfLambda)) * (1 - poissonZero(secondHalfLambda));
+  assert(Math.abs(result.goalInBothHalves - bothHalves) < 1e-6, 'Mål i båda halvlekarna ska vara produkten av halvlekarna');
+  assert(Math.abs(firstHalf.expectedHomeGoals - DEFAULT_FIRST_HALF_SHARE * params.homeLambda) < 1e-4, 'Förväntade mål före paus');
+
+  assert(firstHalf.draw > result.halfTimeFullTime['X/X'], 'Oavgjort i halvtid ska vara större än X/X');
+};
+
+const testSplitChangesMarkets = () => {
+  const early = model.calculate({ ...params, firstHalfShare: 0.55 });
+  const late = model.calculate({ ...params, firstHalfShare: 0.4 });
+
+  assert(early.firstHalf.over05 > late.firstHalf.over05, 'Större andel före paus ska ge fler mål i första halvlek');
+  assert(early.firstHalf.draw < late.firstHalf.draw, 'Större andel före paus ska ge färre oavgjorda halvtider');
+};
+
+const testMonteCarloAgrees = () => {
+  const simulator = new MonteCarloSimulator();
+  const simulation = simulator.simulate({
+    simulations: 60000,
+    homeGoalsAvg: 1.6,
+    awayGoalsAvg: 1.1,
+    homeDefenseStrength: 1,
+    awayDefenseStrength: 1,
+    homeAdvantage: 0,
+    firstHalfShare: DEFAULT_FIRST_HALF_SHARE
+  });
+  const analytic = model.calculate(params);
+
+  HALF_TIME_FULL_TIME_OUTCOMES.forEach(outcome => {
+    const difference = Math.abs(simulation.halfTime.halfTimeFullTime[outcome] - analytic.halfTimeFullTime[outcome]);
+    assert(difference < 0.01, `${outcome}: simulering och analys skiljer ${(difference * 100).toFixed(2)}%`);
+  });
+  assert(Math.abs(simulation.halfTime.goalInBothHalves - analytic.goalInBothHalves) < 0.01, 'Mål i båda halvlekarna ska stämma');
+
+  const withoutSplit = simulator.simulate({ simulations: 1000, homeGoalsAvg: 1.6, awayGoalsAvg: 1.1 });
+  assert(withoutSplit.halfTime === null, 'Utan halvleksandel ska inga halvtidsmarknader beräknas');
+};
+
+const testOverdispersedSplit = () => {
+  const negativeBinomial = { type: GOAL_DISTRIBUTIONS.negativeBinomial, dispersion: 3 };
+  const poisson = model.calculate(params);
+  const overdispersed = model.calculate({ ...params, homeDistribution: negativeBinomial, awayDistribution: negativeBinomial });
+
+  assert(Math.abs(overdispersed.firstHalf.expectedHomeGoals - poisson.firstHalf.expectedHomeGoals) < 0.01, 'Väntevärdet ska behållas');
+  assert(overdispersed.goalInBothHalves < poisson.goalInBothHalves, 'Överspridning ska ge färre matcher med mål i båda halvlekarna');
+};
+
+const testShareEstimation = () => {
+  const estimate = estimateFirstHalfShare([
+    { homeGoals: 2, awayGoals: 1, halfTimeHomeGoals: 1, halfTimeAwayGoals: 0 },
+    { homeGoals: 0, awayGoals: 2, halfTimeHomeGoals: 0, halfTimeAwayGoals: 1 },
+    { homeGoals: 1, awayGoals: 1 }
+  ]);
+  assert(estimate.sampleSize === 2 && estimate.totalGoals === 5, 'Matcher utan halvtidsresultat ska hoppas över');
+  assert(Math.abs(estimate.share - 0.4) < 1e-12, 'Andel ska vara mål före paus delat med totalt antal mål');
+  assert(estimateFirstHalfShare([]).share === DEFAULT_FIRST_HALF_SHARE, 'Utan data ska standardandelen användas');
+};
+
+export function runHalfTimeTests() {
+  console.log('⏱️ HALVTID/FULLTID TEST');
+  console.log('=======================');
+
+  const tests = [
+    ['Analytiska halvtidsmarknader', testAnalyticMarkets],
+    ['Halvleksandel påverkar marknader', testSplitChangesMarkets],
+    ['Monte Carlo stämmer med analys', testMonteCarloAgrees],
+    ['Överspridda fördelningar', testOverdispersedSplit],
+    ['Skattning av halvleksandel från ligadata', testShareEstimation]
+  ];
+
+  let passed = 0;
+  tests.forEach(([name, test]) => {
+    try {
+      test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  });
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runHalfTimeTests();
+}
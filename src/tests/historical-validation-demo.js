@@ -40,6 +40,8 @@ export async function runHistoricalValidationDemo() {
         console.log(`   📈 Accuracy: ${results.accuracy.toFixed(2)}%`);
         console.log(`   📊 Brier Score: ${results.brierScore.toFixed(4)} (lower is better)`);
         console.log(`   🎯 Log Likelihood: ${results.logLikelihood.toFixed(4)}`);
+        console.log(`   📐 RPS: ${results.rankedProbabilityScore.toFixed(4)} (lower is better)`);
+        console.log(`   🧠 Ignorance: ${results.ignoranceScore.toFixed(3)} bits`);
         console.log(`   ⚖️  Reliability: ${results.reliability.toFixed(3)}`);
         console.log(`   🔍 Sharpness: ${results.sharpness.toFixed(3)}`);
         
@@ -67,9 +69,15 @@ export async function runHistoricalValidationDemo() {
       console.log(`🏆 Best Accuracy: ${validationReport.comparison.bestAccuracy.name} (${validationReport.comparison.bestAccuracy.accuracy.toFixed(2)}%)`);
       console.log(`📊 Best Brier Score: ${validationReport.comparison.bestBrierScore.name} (${validationReport.comparison.bestBrierScore.brierScore.toFixed(4)})`);
       console.log(`⚖️  Best Calibration: ${validationReport.comparison.bestCalibration.name} (${validationReport.comparison.bestCalibration.reliability.toFixed(3)})`);
+      console.log(`📐 Best RPS: ${validationReport.comparison.bestRankedProbabilityScore.name} (${validationReport.comparison.bestRankedProbabilityScore.rankedProbabilityScore.toFixed(4)})`);
       console.log(`🎖️  Overall Recommendation: ${validationReport.comparison.overallRecommendation}`);
     }
     
+    console.log(`\n📈 RANKING (${validationReport.metric}):`);
+    validationReport.ranking.forEach(({ rank, model, value }) => {
+      console.log(`   ${rank}. ${model}: ${value.toFixed(4)}`);
+    });
+    
     console.log('\n💡 RECOMMENDATIONS:');
     validationReport.recommendations.forEach((rec, index) => {
       console.log(`   ${index + 1}. ${rec}`);
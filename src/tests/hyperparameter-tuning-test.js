@@ -0,0 +1,155 @@
+// Test för optimeringen av modellkonstanter: kandidater, korsvalidering, sökning och profiler
+import {
+  HyperparameterTuner,
+  TUNING_SPACES,
+  TUNING_METRICS
+} from '../utils/hyperparameterTuning.js';
+import { HistoricalValidator, historicalMatchesFromResults } from '../utils/historicalValidation.js';
+import { EnhancedPoissonCalculator, POISSON_MODEL_CONSTANTS } from '../utils/improvedMath.js';
+import { calculateAdvancedXGPrediction, XG_MODEL_CONSTANTS } from '../utils/xgCalculations.js';
+import { assert, close, expectError, simulateLeague } from './test-helpers.js';
+
+const tuner = new HyperparameterTuner();
+
+// Simulerad serie mellan fyra lag med stor hemmafördel, sex dubbelserier
+const matches = historicalMatchesFromResults(simulateLeague({
+  seed: 7,
+  strengths: [1.4, 1.1, 0.9, 0.8],
+  rounds: 6,
+  homeGoals: 1.9,
+  awayGoals: 0.9
+}));
+
+const testCandidates = () => {
+  const grid = tuner.gridCandidates(TUNING_SPACES.poisson, 5);
+  assert(grid.length === 25, 'Rutnätet ska ha 5 x 5 kandidater');
+  assert(new Set(grid.map(params => JSON.stringify(params))).size === 25, 'Rutnätets kandidater ska vara olika');
+  const averages = [...new Set(grid.map(params => params.leagueAverage))];
+  assert(averages.join() === '1,1.5,2,2.5,3', `Rutnätet ska gå från min till max: ${averages.join()}`);
+
+  const random = tuner.randomCandidates(TUNING_SPACES.xg, 40, 3);
+  assert(JSON.stringify(random) === JSON.stringify(tuner.randomCandidates(TUNING_SPACES.xg, 40, 3)), 'Slumpsökningen ska vara reproducerbar med samma frö');
+  Object.entries(TUNING_SPACES.xg).forEach(([name, { min, max }]) => {
+    assert(random.every(params => params[name] >= min && params[name] <= max), `${name} ska hålla sig inom intervallet`);
+    assert(new Set(random.map(params => params[name])).size === 40, `${name}: slumpsökningen ska ge ett nytt värde per kandidat`);
+  });
+};
+
+const testModelParams = async () => {
+  const validator = new HistoricalValidator();
+  const match = matches[30];
+  const params = validator.extractMatchParameters(match);
+  const standard = await validator.generatePrediction(match, 'poisson');
+  assert(close(standard.homeWinProbability, new EnhancedPoissonCalculator().calculate(params.poissonParams).homeWinProbability), 'Utan profil ska matchens värden användas');
+
+  validator.modelParams = { poisson: { leagueAverage: 1.4 }, xg: { xgaSensitivity: 0, homeVenueMultiplier: 1.2 } };
+  const tuned = await validator.generatePrediction(match, 'poisson');
+  const expected = new EnhancedPoissonCalculator().calculate({ ...params.poissonParams, leagueAverage: 1.4 });
+  assert(close(tuned.homeWinProbability, expected.homeWinProbability) && !close(tuned.homeWinProbability, standard.homeWinProbability), 'Profilens ligasnitt ska ersätta matchens');
+
+  const xg = await validator.generatePrediction(match, 'xg');
+  const expectedXG = calculateAdvancedXGPrediction({ ...params.xgParams, xgaSensitivity: 0, homeVenueMultiplier: 1.2 });
+  assert(close(xg.homeWinProbability, expectedXG.homeWinProbability), 'xG-konstanterna ska gå till beräkningen');
+  assert(xg.metadata.inputHash === expectedXG.metadata.inputHash, 'Konstanterna ska ingå i prognosens indata');
+
+  const defaults = calculateAdvancedXGPrediction({ homeXG: 1.5, awayXG: 1.2 });
+  const explicit = calculateAdvancedXGPrediction({ homeXG: 1.5, awayXG: 1.2, ...XG_MODEL_CONSTANTS });
+  assert(close(defaults.homeWinProbability, explicit.homeWinProbability), 'Standardkonstanterna ska ge samma prognos som tidigare');
+  const poissonDefaults = new EnhancedPoissonCalculator().calculate({});
+  assert(poissonDefaults.metadata.inputHash === new EnhancedPoissonCalculator().calculate(POISSON_MODEL_CONSTANTS).metadata.inputHash, 'Poisson ska använda standardkonstanterna');
+};
+
+const testSearch = async () => {
+  const validator = new HistoricalValidator();
+  const search = await tuner.search(matches, { model: 'poisson', parameters: ['homeAdvantage'], gridPoints: 7, validator });
+
+  assert(search.candidates.length === 8, 'Standardvärdena ska alltid vara en kandidat');
+  assert(search.candidates.every((candidate, index) => index === 0 || candidate.score >= search.candidates[index - 1].score), 'Kandidaterna ska sorteras från bäst');
+  assert(search.best.params.leagueAverage === POISSON_MODEL_CONSTANTS.leagueAverage, 'Parametrar som inte söks ska behålla standardvärdet');
+  assert(search.best.params.homeAdvantage > POISSON_MODEL_CONSTANTS.homeAdvantage, `Stor hemmafördel i datan ska ge högre hemmafördel: ${search.best.params.homeAdvantage}`);
+  assert(search.best.score < search.baseline.score, 'Bästa kandidaten ska slå standardvärdena');
+  assert(search.crossValidation.score < search.crossValidation.baselineScore, 'Förbättringen ska hålla i korsvalideringen');
+  assert(Object.keys(validator.modelParams).length === 0, 'Sökningen ska återställa validatorns konstanter');
+
+  // Poängen ska vara samma som när validatorn räknar med profilen direkt
+  validator.modelParams = { poisson: search.best.params };
+  let total = 0;
+  for (const match of matches) {
+    const prediction = await validator.generatePrediction(match, 'poisson');
+    total += TUNING_METRICS.rankedProbabilityScore(validator, prediction, validator.extractActualResult(match));
+  }
+  assert(close(total / matches.length, search.best.score), 'Sökningens poäng ska vara RPS-snittet över matcherna');
+
+  const random = await tuner.search(matches, { model: 'xg', method: 'random', randomCandidates: 15, metric: 'logLoss', seed: 4 });
+  assert(random.candidates.length === 16 && random.best.score <= random.baseline.score, 'Slumpsökningen ska aldrig bli sämre än standardvärdena');
+};
+
+const testCrossValidation = async () => {
+  const folds = tuner.blockedFolds(23, 5);
+  assert(folds.flat().join() === Array.from({ length: 23 }, (_, index) => index).join(), 'Delarna ska täcka alla matcher i ordning');
+  assert(folds.every(fold => fold.length === 4 || fold.length === 5), 'Delarna ska vara lika stora så långt det går');
+
+  const search = await tuner.search(matches, { model: 'poisson', gridPoints: 3, folds: 4, metric: 'brierScore' });
+  assert(search.crossValidation.folds.length === 4, 'En rad per del');
+  assert(search.crossValidation.folds.reduce((sum, fold) => sum + fold.matches, 0) === matches.length, 'Delarna ska tillsammans ge alla matcher');
+  const weighted = search.crossValidation.folds.reduce((sum, fold) => sum + fold.matches * fold.testScore, 0) / matches.length;
+  assert(close(weighted, search.crossValidation.score), 'Korsvalideringens poäng ska vara delarnas viktade snitt');
+  assert(close(search.crossValidation.baselineScore, search.baseline.score), 'Standardvärdena ska få samma snitt över delarna som över alla matcher');
+
+  await expectError(() => tuner.search(matches.slice(0, 3), { folds: 5 }), 'Korsvalideringen');
+  await expectError(() => tuner.search(matches, { model: 'elo' }), 'Okänd modell');
+  await expectError(() => tuner.search(matches, { metric: 'accuracy' }), 'Okänt mått');
+  await expectError(() => tuner.search(matches, { parameters: ['rho'] }), 'ingen parameter rho');
+  await expectError(() => tuner.search(matches, { model: 'xg', gridPoints: 6 }), 'högst 1000');
+};
+
+const testProfiles = async () => {
+  const search = await tuner.search(matches, { model: 'poisson', gridPoints: 3 });
+  const profile = tuner.createProfile('  Allsvenskan 2024 ', search);
+  assert(profile.name === 'Allsvenskan 2024' && profile.model === 'poisson', 'Profilen ska få namn och modell');
+  assert(profile.params === search.best.params && close(profile.crossValidatedScore, search.crossValidation.score), 'Profilen ska spara bästa konstanterna och den korsvaliderade poängen');
+
+  const empty = {};
+  const store = tuner.setProfile(empty, profile);
+  assert(Object.keys(empty).length === 0 && store['Allsvenskan 2024'] === profile, 'setProfile ska inte ändra den gamla samlingen');
+
+  const restored = tuner.fromJSON(tuner.toJSON(store));
+  assert(JSON.stringify(restored) === JSON.stringify(store), 'Profilerna ska överleva JSON');
+
+  await expectError(() => tuner.createProfile(' ', search), 'namn');
+  await expectError(() => tuner.fromJSON('{'), 'inte giltig JSON');
+  await expectError(() => tuner.fromJSON({ type: 'calibrators', store: {} }), 'okänt format');
+  await expectError(() => tuner.fromJSON({ type: 'tuningProfiles', store: { Test: { model: 'xg', params: { homeAdvantage: 0.2 } } } }), 'Test saknar');
+};
+
+export async function runHyperparameterTuningTests() {
+  console.log('🎛️ OPTIMERING AV MODELLKONSTANTER TEST');
+  console.log('======================================');
+
+  const tests = [
+    ['Rutnät och slumpade kandidater', testCandidates],
+    ['Konstanter i valideringen', testModelParams],
+    ['Sökning mot historiken', testSearch],
+    ['Blockvis korsvalidering', testCrossValidation],
+    ['Namngivna profiler', testProfiles]
+  ];
+
+  let passed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runHyperparameterTuningTests();
+}
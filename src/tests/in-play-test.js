@@ -0,0 +1,126 @@
+// Test för live-prediktion: återstående tid, ställning, röda kort, live-xG och tidslinjen
+import { InPlayModel, MATCH_MINUTES, RED_CARD_FACTORS } from '../utils/inPlayModel.js';
+import { ScoreMatrix } from '../utils/scoreMatrix.js';
+
+const model = new InPlayModel();
+
+const assert = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+const close = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+const poissonProbability = (k, lambda) => {
+  let probability = Math.exp(-lambda);
+  for (let i = 1; i <= k; i++) probability *= lambda / i;
+  return probability;
+};
+
+const testKickOffMatchesPoisson = () => {
+  const result = model.calculate({ homeExpectedGoals: 1.6, awayExpectedGoals: 1.1, minute: 0 });
+  const exact = ScoreMatrix.fromFunction((h, a) => poissonProbability(h, 1.6) * poissonProbability(a, 1.1)).summary();
+
+  assert(close(result.homeWinProbability, exact.homeWin, 1e-6), 'Vid avspark ska hemmavinst motsvara Poisson före match');
+  assert(close(result.drawProbability, exact.draw, 1e-6), 'Vid avspark ska oavgjort motsvara Poisson före match');
+  assert(close(result.expectedHomeGoals, 1.6) && close(result.expectedAwayGoals, 1.1), 'Förväntade mål ska vara oförändrade vid avspark');
+  assert(result.metadata.model === 'inplay', 'Resultatet ska märkas med modellen inplay');
+};
+
+const testRemainingTime = () => {
+  const noAddedTime = { firstHalf: 0, secondHalf: 0 };
+  assert(model.elapsedShare(0) === 0, 'Ingen tid har gått vid avspark');
+  assert(close(model.elapsedShare(MATCH_MINUTES, noAddedTime), 1), 'Utan tilläggstid är hela matchen spelad efter 90 minuter');
+  assert(model.elapsedShare(MATCH_MINUTES) < 1, 'Tilläggstiden återstår efter 90 minuter');
+
+  let previous = -1;
+  for (let minute = 0; minute <= MATCH_MINUTES; minute++) {
+    const share = model.elapsedShare(minute);
+    assert(share > previous, `Spelad andel ska öka varje minut (minut ${minute})`);
+    previous = share;
+  }
+
+  const early = model.calculate({ minute: 10 });
+  const late = model.calculate({ minute: 80 });
+  assert(late.inPlay.remainingHomeGoals < early.inPlay.remainingHomeGoals, 'Färre mål återstår sent i matchen');
+};
+
+const testCurrentScore = () => {
+  const result = model.calculate({ minute: 70, homeScore: 2, awayScore: 1 });
+  const { scoreMatrix } = result;
+
+  assert(scoreMatrix.get(1, 1) === 0 && scoreMatrix.get(2, 0) === 0, 'Slutresultat under aktuell ställning är omöjliga');
+  assert(result.mostLikelyScorelines[0].score === '2-1', 'Troligaste slutresultat ska vara aktuell ställning');
+  assert(close(result.expectedHomeGoals, 2 + result.inPlay.remainingHomeGoals), 'Förväntade mål ska inkludera gjorda mål');
+  assert(result.homeWinProbability > 0.7, 'Ledning sent i matchen ska ge hög vinstchans');
+  assert(result.inPlay.totalGoals[2].overProbability === 1, 'Över 2.5 mål är redan avgjort vid 2-1');
+
+  const { homeProbability, awayProbability, noGoalProbability } = result.inPlay.nextGoal;
+  assert(close(homeProbability + awayProbability + noGoalProbability, 1), 'Nästa mål ska summera till 1');
+  assert(close(noGoalProbability, scoreMatrix.get(2, 1) / (1 - scoreMatrix.tailMass), 1e-6), 'Inga fler mål ska motsvara att ställningen står sig');
+};
+
+const testRedCards = () => {
+  const base = model.calculate({ minute: 30 });
+  const homeRed = model.calculate({ minute: 30, homeRedCards: 1 });
+
+  assert(close(homeRed.inPlay.remainingHomeGoals, base.inPlay.remainingHomeGoals * RED_CARD_FACTORS.own), 'Rött kort ska sänka lagets målchans');
+  assert(close(homeRed.inPlay.remainingAwayGoals, base.inPlay.remainingAwayGoals * RED_CARD_FACTORS.opponent), 'Rött kort ska höja motståndarens målchans');
+  assert(homeRed.awayWinProbability > base.awayWinProbability, 'Motståndaren ska få högre vinstchans');
+};
+
+const testLiveXG = () => {
+  const base = model.calculate({ minute: 45, homeExpectedGoals: 1.2, awayExpectedGoals: 1.2 });
+  const dominant = model.calculate({ minute: 45, homeExpectedGoals: 1.2, awayExpectedGoals: 1.2, liveXG: { home: 1.5, away: 0.2 } });
+
+  assert(dominant.inPlay.liveXGApplied, 'Live-xG ska användas efter avspark');
+  assert(dominant.inPlay.homeRate > base.inPlay.homeRate && dominant.inPlay.awayRate < base.inPlay.awayRate, 'Live-xG ska flytta lagens målintensitet');
+  assert(dominant.homeWinProbability > base.homeWinProbability, 'Högt live-xG ska ge högre vinstchans');
+
+  const kickOff = model.calculate({ minute: 0, liveXG: { home: 2, away: 0 } });
+  assert(!kickOff.inPlay.liveXGApplied, 'Live-xG ska inte påverka vid avspark');
+};
+
+const testEvolution = () => {
+  const result = model.calculate({ minute: 55, homeScore: 1, awayScore: 0 });
+  const { evolution } = result.inPlay;
+
+  assert(evolution.length === MATCH_MINUTES + 1, 'Tidslinjen ska ha en punkt per minut');
+  assert(close(evolution[55].homeWin, result.homeWinProbability, 1e-12), 'Punkten för aktuell minut ska motsvara resultatet');
+  assert(evolution.every((point, i) => i === 0 || point.homeWin >= evolution[i - 1].homeWin), 'Ledande lags vinstchans ska öka när tiden går');
+  assert(evolution[MATCH_MINUTES].nextGoal.noGoalProbability > evolution[0].nextGoal.noGoalProbability, 'Inga fler mål blir troligare mot slutet');
+};
+
+export function runInPlayTests() {
+  console.log('📺 LIVE-PREDIKTION TEST');
+  console.log('=======================');
+
+  const tests = [
+    ['Avspark motsvarar Poisson', testKickOffMatchesPoisson],
+    ['Återstående tid', testRemainingTime],
+    ['Aktuell ställning', testCurrentScore],
+    ['Röda kort', testRedCards],
+    ['Live-xG', testLiveXG],
+    ['Utveckling minut för minut', testEvolution]
+  ];
+
+  let passed = 0;
+  tests.forEach(([name, test]) => {
+    try {
+      test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  });
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runInPlayTests();
+}
@@ -0,0 +1,127 @@
+// Test för minut-för-minut-simuleringen och marknaderna för måltider
+import { MonteCarloSimulator } from '../utils/improvedMath.js';
+import { MonteCarloWorkerPool } from '../utils/monteCarloWorkerPool.js';
+import { MatchTimeline, buildTimeline, scoreStateFor, TIMING_INTERVALS, DEFAULT_ADDED_TIME } from '../utils/matchTimeline.js';
+
+const simulator = new MonteCarloSimulator();
+
+const assert = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+const close = (a, b, tolerance) => Math.abs(a - b) < tolerance;
+
+const timelineParams = {
+  simulations: 20000,
+  homeGoalsAvg: 1.5,
+  awayGoalsAvg: 1.2,
+  homeAdvantage: 0,
+  randomSeed: 7,
+  timeResolved: true
+};
+
+const testTimeline = () => {
+  const slots = buildTimeline(DEFAULT_ADDED_TIME);
+  assert(slots.length === 90 + DEFAULT_ADDED_TIME.firstHalf + DEFAULT_ADDED_TIME.secondHalf, 'Tidslinjen ska innehålla alla minuter inklusive tilläggstid');
+  assert(slots[45].label === '45+1' && slots[45].half === 1, 'Tilläggstid i första halvlek ska märkas 45+');
+  assert(slots[slots.length - 1].label === '90+5', 'Sista minuten ska vara 90+5');
+  assert(slots.every(slot => slot.interval >= 0 && slot.interval < TIMING_INTERVALS.length), 'Varje minut ska tillhöra ett intervall');
+
+  assert(scoreStateFor(0, 10) === 'level', 'Lika ställning');
+  assert(scoreStateFor(-2, 50) === 'narrow_deficit', 'Två måls underläge före minut 60 är inte desperat');
+  assert(scoreStateFor(-2, 80) === 'desperate', 'Två måls underläge sent i matchen är desperat');
+};
+
+const testExpectedGoalsPreserved = () => {
+  const result = simulator.simulate({ ...timelineParams, scoreStateEffect: 0 });
+  const { homeRate, awayRate } = simulator.resolveParams(timelineParams);
+
+  assert(close(result.expectedHomeGoals, homeRate, 0.04), `Hemmalagets förväntade mål ${result.expectedHomeGoals} ska vara nära ${homeRate}`);
+  assert(close(result.expectedAwayGoals, awayRate, 0.04), `Bortalagets förväntade mål ${result.expectedAwayGoals} ska vara nära ${awayRate}`);
+
+  // Utan ställningseffekt ska resultatet motsvara oberoende Poisson
+  const reference = simulator.simulate({ ...timelineParams, timeResolved: false });
+  assert(close(result.homeWinProbability, reference.homeWinProbability, 0.02), 'Hemmavinst ska motsvara Poisson-simuleringen');
+  assert(close(result.drawProbability, reference.drawProbability, 0.02), 'Oavgjort ska motsvara Poisson-simuleringen');
+};
+
+const testTimingMarkets = () => {
+  const result = simulator.simulate(timelineParams);
+  const { goalTiming } = result;
+
+  assert(goalTiming, 'Måltider ska finnas i tidsupplöst läge');
+  assert(simulator.simulate({ ...timelineParams, timeResolved: false }).goalTiming === null, 'Måltider ska saknas i standardläget');
+
+  const { firstGoal, intervals, lateGoals, goalsByMinute } = goalTiming;
+  assert(close(firstGoal.homeProbability + firstGoal.awayProbability + firstGoal.noGoalProbability, 1, 1e-9), 'Första målet ska summera till 1');
+  assert(close(firstGoal.byInterval.reduce((sum, p) => sum + p, 0) + firstGoal.noGoalProbability, 1, 1e-9), 'Första målet per intervall ska summera till 1');
+  assert(firstGoal.expectedMinute > 20 && firstGoal.expectedMinute < 45, `Första målet i snitt i minut ${firstGoal.expectedMinute} är orimligt`);
+
+  const expectedGoals = intervals.reduce((sum, interval) => sum + interval.expectedGoals, 0);
+  assert(close(expectedGoals, result.expectedHomeGoals + result.expectedAwayGoals, 1e-9), 'Förväntade mål per intervall ska summera till matchens');
+  const minuteGoals = goalsByMinute.reduce((sum, minute) => sum + minute.home + minute.away, 0);
+  assert(close(minuteGoals, expectedGoals, 1e-9), 'Förväntade mål per minut ska summera till matchens');
+
+  // Mål efter 75:e minuten är samma händelse som mål i intervallet 76-90+
+  assert(lateGoals.after75Probability === intervals[intervals.length - 1].goalProbability, 'Sena mål ska stämma med sista intervallet');
+  assert(lateGoals.after75Probability > lateGoals.after85Probability, 'Mål efter 75 ska vara vanligare än efter 85');
+  assert(lateGoals.after85Probability > lateGoals.addedTimeProbability, 'Mål efter 85 ska vara vanligare än på tilläggstid');
+  assert(intervals[5].expectedGoals > intervals[0].expectedGoals, 'Fler mål ska göras i slutet än i början av matchen');
+};
+
+const testScoreStateEffect = () => {
+  const timeline = new MatchTimeline({ scoreStateEffect: 1 });
+  assert(timeline.stateMultipliers.level === 1, 'Lika ställning ska vara referensen');
+  assert(timeline.stateMultipliers.narrow_deficit > 1 && timeline.stateMultipliers.narrow_lead < 1, 'Lag i underläge ska pressa på och lag i ledning backa hem');
+
+  const none = simulator.simulate({ ...timelineParams, scoreStateEffect: 0 });
+  const strong = simulator.simulate({ ...timelineParams, scoreStateEffect: 2 });
+  assert(strong.drawProbability > none.drawProbability, 'Ställningseffekt ska ge fler oavgjorda matcher');
+
+  const shorter = simulator.simulate({ ...timelineParams, addedTime: { firstHalf: 0, secondHalf: 0 } });
+  assert(shorter.goalTiming.lateGoals.addedTimeProbability === 0, 'Utan tilläggstid kan inga mål göras på tilläggstid');
+};
+
+const testDeterministicStreams = async () => {
+  const params = { ...timelineParams, simulations: 4000, streams: 4 };
+  const reference = simulator.simulate(params);
+
+  const pool = new MonteCarloWorkerPool({ createWorker: null });
+  const result = await pool.run(params);
+  assert(JSON.stringify(result.goalTiming) === JSON.stringify(reference.goalTiming), 'Måltider ska vara deterministiska över strömmar');
+  assert(result.metadata.inputHash !== simulator.simulate({ ...params, timeResolved: false }).metadata.inputHash, 'Tidsupplöst läge ska ingå i indatahashen');
+};
+
+export async function runMatchTimelineTests() {
+  console.log('⏱️ MINUT-FÖR-MINUT TEST');
+  console.log('=======================');
+
+  const tests = [
+    ['Tidslinje och ställningslägen', testTimeline],
+    ['Förväntade mål bevaras', testExpectedGoalsPreserved],
+    ['Marknader för måltider', testTimingMarkets],
+    ['Ställningseffekt och tilläggstid', testScoreStateEffect],
+    ['Deterministiska strömmar', testDeterministicStreams]
+  ];
+
+  let passed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runMatchTimelineTests();
+}
@@ -0,0 +1,218 @@
+// Test för modellensemblen: poolning, inlärda vikter och validering utan framtida information
+import {
+  ModelEnsemble,
+  POOLING_METHODS,
+  ENSEMBLE_OBJECTIVES,
+  ENSEMBLE_FOLDS,
+  scoreOutcome
+} from '../utils/modelEnsemble.js';
+import { blockedFolds } from '../utils/hyperparameterTuning.js';
+import { HistoricalValidator, historicalMatchesFromResults, DEFAULT_TEAM_GOALS } from '../utils/historicalValidation.js';
+import { EnhancedPoissonCalculator, PoissonGenerator, SeededRandom } from '../utils/improvedMath.js';
+import { ScoreMatrix } from '../utils/scoreMatrix.js';
+import { assert, close, doubleRoundRobin, simulateLeague } from './test-helpers.js';
+
+const ensemble = new ModelEnsemble();
+const poissonCalculator = new EnhancedPoissonCalculator();
+
+const poissonMatrix = (homeLambda, awayLambda) => {
+  const generator = new PoissonGenerator();
+  return ScoreMatrix.fromFunction((h, a) => generator.probability(homeLambda, h) * generator.probability(awayLambda, a));
+};
+
+const outcomeOf = (homeGoals, awayGoals) => (homeGoals > awayGoals ? 'home' : homeGoals === awayGoals ? 'draw' : 'away');
+
+// Valideringsresultat i HistoricalValidators form: en modell känner de sanna målförväntningarna, den andra gissar lika för alla
+const simulateForecasts = (count, seed) => {
+  const random = new SeededRandom(seed);
+  const generator = new PoissonGenerator(random);
+  const sharp = [];
+  const flat = [];
+  for (let matchIndex = 0; matchIndex < count; matchIndex++) {
+    const homeLambda = 0.6 + 2 * random.next();
+    const awayLambda = 0.6 + 2 * random.next();
+    const outcome = outcomeOf(generator.generate(homeLambda), generator.generate(awayLambda));
+    sharp.push({ matchIndex, outcome, prediction: { scoreMatrix: poissonMatrix(homeLambda, awayLambda) } });
+    flat.push({ matchIndex, outcome, prediction: { scoreMatrix: poissonMatrix(1.4, 1.4) } });
+  }
+  return { sharp: { forecasts: sharp }, flat: { forecasts: flat } };
+};
+
+const forecasts = simulateForecasts(300, 5);
+
+const testPooling = () => {
+  const first = poissonMatrix(2.2, 0.8);
+  const second = poissonMatrix(0.9, 1.6);
+  const cells = [first, second].map(matrix => ScoreMatrix.fromFunction((h, a) => matrix.get(h, a) / matrix.capturedMass()));
+  const flatCells = cells.map(matrix => Float64Array.from({ length: 121 }, (_, index) => matrix.get(Math.floor(index / 11), index % 11)));
+
+  const linear = ensemble.outcomeProbabilities(ensemble.poolCells(flatCells, [0.25, 0.75], POOLING_METHODS.linear), 10);
+  const expected = cells.map(matrix => matrix.summary());
+  assert(close(linear[0], 0.25 * expected[0].homeWin + 0.75 * expected[1].homeWin, 1e-9), 'Linjär poolning ska ge viktat medelvärde av hemmavinst');
+  assert(close(linear[1], 0.25 * expected[0].draw + 0.75 * expected[1].draw, 1e-9), 'Linjär poolning ska ge viktat medelvärde av oavgjort');
+
+  const logLinear = ensemble.poolCells(flatCells, [0.5, 0.5], POOLING_METHODS.logLinear);
+  assert(close(logLinear.reduce((sum, value) => sum + value, 0), 1), 'Log-linjär poolning ska normaliseras');
+  const single = ensemble.outcomeProbabilities(ensemble.poolCells(flatCells, [1, 0], POOLING_METHODS.logLinear), 10);
+  assert(close(single[0], expected[0].homeWin, 1e-9), 'Full vikt på en modell ska ge den modellen');
+
+  // Geometriskt medelvärde av två Poisson är Poisson med geometriska medelvärdet av λ
+  const pooled = ScoreMatrix.fromFunction((h, a) => logLinear[h * 11 + a]);
+  assert(close(pooled.expectedGoals().home, Math.sqrt(2.2 * 0.9), 1e-3), 'Log-linjär poolning av Poisson ska ge geometriskt medelvärde');
+};
+
+const testScores = () => {
+  assert(close(scoreOutcome([1, 0, 0], 'home', ENSEMBLE_OBJECTIVES.brier), 0), 'Säker rätt prognos ska ge Brier 0');
+  assert(close(scoreOutcome([1 / 3, 1 / 3, 1 / 3], 'draw', ENSEMBLE_OBJECTIVES.brier), 2 / 3), 'Likafördelad prognos ska ge Brier 2/3');
+  assert(close(scoreOutcome([1 / 3, 1 / 3, 1 / 3], 'away', ENSEMBLE_OBJECTIVES.logLoss), Math.log(3)), 'Likafördelad prognos ska ge log loss ln 3');
+  assert(Number.isFinite(scoreOutcome([1, 0, 0], 'away', ENSEMBLE_OBJECTIVES.logLoss)), 'Sannolikhet 0 ska ge ändlig log loss');
+};
+
+const testFit = () => {
+  Object.values(POOLING_METHODS).forEach(method => {
+    Object.values(ENSEMBLE_OBJECTIVES).forEach(objective => {
+      const fit = ensemble.fit(forecasts, { models: ['sharp', 'flat'], method, objective });
+      assert(fit.matches === 300, 'Alla gemensamma matcher ska användas');
+      assert(fit.weights.sharp > 0.7, `${method}/${objective}: den träffsäkra modellen ska få mest vikt, fick ${fit.weights.sharp.toFixed(3)}`);
+      assert(close(fit.weights.sharp + fit.weights.flat, 1), 'Vikterna ska summera till 1');
+      assert(fit.inSampleScore <= fit.equalWeightScore, 'Inlärda vikter ska inte vara sämre än lika vikter på träningsmatcherna');
+      assert(fit.score < fit.equalWeightScore, 'Den träffsäkra modellen ska slå lika vikter även utanför träningsmatcherna');
+      assert(fit.modelScores.sharp < fit.modelScores.flat, 'Modellernas egna poäng ska rangordnas');
+    });
+  });
+
+  // Poängen ska räknas på block som vikterna inte lärts på
+  const fit = ensemble.fit(forecasts, { models: ['sharp', 'flat'] });
+  const subset = (indices) => Object.fromEntries(Object.entries(forecasts).map(([model, { forecasts: modelForecasts }]) => [
+    model,
+    { forecasts: modelForecasts.filter(forecast => indices.includes(forecast.matchIndex)) }
+  ]));
+  const folds = blockedFolds(300, ENSEMBLE_FOLDS);
+  const outOfFold = folds.reduce((total, test, fold) => {
+    const trained = ensemble.fit(subset(folds.filter((_, other) => other !== fold).flat()), { models: ['sharp', 'flat'] });
+    const heldOut = ensemble.alignForecasts(subset(test), ['sharp', 'flat']);
+    return total + ensemble.averageScore(heldOut, [trained.weights.sharp, trained.weights.flat], fit.method, fit.objective) * test.length;
+  }, 0) / 300;
+  assert(close(fit.score, outOfFold, 1e-9), `Ensemblepoängen ska vara utanför träningsblocken: ${fit.score} mot ${outOfFold}`);
+  assert(fit.folds === ENSEMBLE_FOLDS && fit.score > fit.inSampleScore, 'Poängen utanför träningsmatcherna ska vara sämre än på dem');
+
+  const partial = { sharp: forecasts.sharp, flat: { forecasts: forecasts.flat.forecasts.slice(100) } };
+  assert(ensemble.fit(partial, { models: ['sharp', 'flat'] }).matches === 200, 'Bara matcher som båda modellerna förutsagt ska användas');
+
+  const expectError = (fn, text) => {
+    try {
+      fn();
+    } catch (error) {
+      assert(error.message.includes(text), `Fel meddelande: ${error.message}`);
+      return;
+    }
+    throw new Error(`Förväntade fel: ${text}`);
+  };
+  expectError(() => ensemble.fit(forecasts, { models: ['sharp'] }), 'minst två modeller');
+  expectError(() => ensemble.fit(subset([0, 1, 2]), { models: ['sharp', 'flat'] }), `minst ${ENSEMBLE_FOLDS} gemensamma`);
+  expectError(() => ensemble.fit(forecasts, { models: ['sharp', 'flat'], method: 'median' }), 'Okänd poolningsmetod');
+  expectError(() => ensemble.fit(forecasts, { models: ['sharp', 'flat'], objective: 'rps' }), 'Okänt optimeringsmått');
+};
+
+const testCombine = () => {
+  const results = {
+    xg: poissonCalculator.calculate({ homeAttackRate: 2.0, awayAttackRate: 1.2, homeDefenseRate: 1.0, awayDefenseRate: 1.0, leagueAverage: 1.35, homeAdvantage: 0 }),
+    poisson: poissonCalculator.calculate({ homeAttackRate: 1.2, awayAttackRate: 1.5, homeDefenseRate: 1.0, awayDefenseRate: 1.0, leagueAverage: 1.35, homeAdvantage: 0 }),
+    montecarlo: null
+  };
+  const fitted = { method: POOLING_METHODS.linear, models: ['xg', 'poisson', 'montecarlo'], weights: { xg: 0.3, poisson: 0.3, montecarlo: 0.4 } };
+  const combined = ensemble.combine(results, fitted);
+
+  assert(combined.metadata.model === 'ensemble', 'Resultatet ska märkas som ensemble');
+  assert(close(combined.ensemble.weights.xg, 0.5) && close(combined.ensemble.weights.poisson, 0.5), 'Saknade modeller ska tas bort och vikterna skalas om');
+  assert(combined.ensemble.missing.includes('montecarlo') && !combined.ensemble.learned, 'Saknade modeller och lika vikter ska redovisas');
+  assert(close(combined.homeWinProbability, (results.xg.homeWinProbability + results.poisson.homeWinProbability) / 2, 1e-6), 'Linjär 1X2 ska vara medelvärdet');
+  assert(close(combined.expectedHomeGoals, (results.xg.expectedHomeGoals + results.poisson.expectedHomeGoals) / 2, 1e-9), 'Linjära förväntade mål ska vara medelvärdet');
+  assert(close(combined.homeWinProbability + combined.drawProbability + combined.awayWinProbability, 1, 1e-3), '1X2 ska summera till 1');
+
+  const geometric = ensemble.combine(results, { ...fitted, method: POOLING_METHODS.logLinear });
+  assert(geometric.expectedHomeGoals < combined.expectedHomeGoals, 'Log-linjär poolning ska ge geometriskt lägre målförväntan');
+  assert(ensemble.combine({ xg: null }, ensemble.equalWeights(['xg', 'poisson'])) === null, 'Utan resultat ska ensemblen saknas');
+
+  const everyModel = ensemble.combine({ ...results, bayesian: results.poisson }, ensemble.equalWeights());
+  assert(close(everyModel.ensemble.weights.bayesian, 1 / 3) && everyModel.ensemble.missing.includes('bivariate'), 'Standardvalet ska poola alla modeller som har ett resultat, även den bayesianska');
+};
+
+// Simulerad serie mellan fyra lag, tre dubbelserier
+const STRENGTHS = [1.5, 1.1, 0.9, 0.7];
+
+const testHistoricalLearning = async () => {
+  const results = [{ date: new Date(Date.UTC(2024, 0, 1)), home: 'A', away: 'B', homeGoals: 0, awayGoals: 0 }, ...simulateLeague({ seed: 8, strengths: STRENGTHS, rounds: 3 })];
+  const matches = historicalMatchesFromResults(results);
+  assert(close(matches[0].homeXG, DEFAULT_TEAM_GOALS) && close(matches[0].leagueAverage, DEFAULT_TEAM_GOALS), 'Första matchen ska bara ha standardvärden');
+  assert(matches.every(match => Number.isFinite(match.homeXG) && match.leagueAverage > 0), 'En mållös första match ska inte ge noll eller NaN');
+
+  const changed = historicalMatchesFromResults(results.map((result, index) => (index === 5 ? { ...result, homeGoals: 9 } : result)));
+  assert(changed[5].homeXG === matches[5].homeXG, 'En match ska inte se sitt eget resultat');
+  assert(changed[6].leagueAverage > matches[6].leagueAverage, 'Senare matcher ska se resultatet');
+
+  const validator = new HistoricalValidator();
+  const fit = await ensemble.learnFromHistory(matches, { validator, models: ['poisson', 'elo'] });
+  assert(fit.matches === matches.length, 'Alla validerade matcher ska användas');
+  assert(validator.validationResults.get('elo').forecasts.every(forecast => forecast.matchIndex >= 0), 'Prognoserna ska knytas till matchens position');
+  assert(fit.inSampleScore <= fit.equalWeightScore, 'Inlärda vikter ska inte vara sämre än lika vikter på träningsmatcherna');
+  assert(Number.isFinite(fit.score) && fit.folds === ENSEMBLE_FOLDS, 'Ensemblen ska få en poäng utanför träningsmatcherna');
+
+  // Den bayesianska modellen kan inte valideras match för match och får ingen inlärd vikt
+  const withBayesian = await ensemble.learnFromHistory(matches, { validator: new HistoricalValidator(), models: ['poisson', 'bivariate', 'bayesian'] });
+  assert(withBayesian.models.join() === 'poisson,bivariate', `Bara validerbara modeller ska läras: ${withBayesian.models.join()}`);
+  assert(close(withBayesian.weights.poisson + withBayesian.weights.bivariate, 1), 'Vikterna ska fördelas på de validerade modellerna');
+};
+
+// En liga där alla matcher slutar 1-1 har ingen hemmafördel; xG ska då inte luta mer mot hemmalaget än Poisson
+const testSymmetricHistory = async () => {
+  const results = [0, 1].flatMap(round => doubleRoundRobin(4).map(([home, away], index) => ({
+    date: new Date(Date.UTC(2024, 0, 1 + round * 12 + index)),
+    home: `Lag ${home}`,
+    away: `Lag ${away}`,
+    homeGoals: 1,
+    awayGoals: 1
+  })));
+  const matches = historicalMatchesFromResults(results);
+  assert(matches.every(match => match.homeAdvantage === 0 && match.recentForm === 0), 'Jämn historik ska ge noll hemmafördel och neutral form');
+
+  const validator = new HistoricalValidator();
+  const mean = (forecasts, outcome) => forecasts.reduce((sum, forecast) => sum + forecast.prediction[outcome], 0) / forecasts.length;
+  const [xg, poisson] = await Promise.all(['xg', 'poisson'].map(async model => (await validator.validateModel(matches, model)).forecasts));
+  const tilt = (forecasts) => mean(forecasts, 'homeWinProbability') - mean(forecasts, 'awayWinProbability');
+  assert(Math.abs(tilt(xg)) < 0.1, `xG ska vara ungefär symmetrisk: ${tilt(xg).toFixed(3)}`);
+  assert(Math.abs(tilt(xg) - tilt(poisson)) < 0.1, `xG och Poisson ska luta lika mycket: ${tilt(xg).toFixed(3)} mot ${tilt(poisson).toFixed(3)}`);
+};
+
+export async function runModelEnsembleTests() {
+  console.log('🧮 MODELLENSEMBLE TEST');
+  console.log('======================');
+
+  const tests = [
+    ['Linjär och log-linjär poolning', testPooling],
+    ['Brier och log loss', testScores],
+    ['Inlärda vikter', testFit],
+    ['Sammanvägning av modellresultat', testCombine],
+    ['Historisk validering utan framtida information', testHistoricalLearning],
+    ['Symmetrisk historik ger symmetriska xG-prognoser', testSymmetricHistory]
+  ];
+
+  let passed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runModelEnsembleTests();
+}
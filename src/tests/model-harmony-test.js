@@ -1,6 +1,8 @@
 // Test för att validera att de tre modellerna (xG, Poisson, Monte Carlo) fungerar harmoniskt tillsammans
 import { calculateAdvancedXGPrediction } from '../utils/xgCalculations.js';
 import { enhancedPoissonCalculator, monteCarloSimulator } from '../utils/improvedMath.js';
+import { isPredictionResult } from '../utils/predictionResult.js';
+import { formatPercent } from '../utils/resultFormatting.js';
 
 console.log('🔄 STARTAR MODELLHARMONITEST');
 console.log('Validerar att xG, Poisson och Monte Carlo modellerna fungerar tillsammans utan konflikter');
@@ -63,27 +65,27 @@ runHarmonyTest("Konsistenta resultat från alla tre modeller", () => {
   });
 
   console.log('📊 xG Resultat:', {
-    hemma: xgResult.homeWin + '%',
-    oavgjort: xgResult.draw + '%', 
-    borta: xgResult.awayWin + '%'
+    hemma: formatPercent(xgResult.homeWinProbability),
+    oavgjort: formatPercent(xgResult.drawProbability), 
+    borta: formatPercent(xgResult.awayWinProbability)
   });
   
   console.log('📊 Poisson Resultat:', {
-    hemma: poissonResult.homeWinProbability + '%',
-    oavgjort: poissonResult.drawProbability + '%',
-    borta: poissonResult.awayWinProbability + '%'
+    hemma: formatPercent(poissonResult.homeWinProbability),
+    oavgjort: formatPercent(poissonResult.drawProbability),
+    borta: formatPercent(poissonResult.awayWinProbability)
   });
   
   console.log('📊 Monte Carlo Resultat:', {
-    hemma: monteCarloResult.homeWinProbability + '%',
-    oavgjort: monteCarloResult.drawProbability + '%',
-    borta: monteCarloResult.awayWinProbability + '%'
+    hemma: formatPercent(monteCarloResult.homeWinProbability),
+    oavgjort: formatPercent(monteCarloResult.drawProbability),
+    borta: formatPercent(monteCarloResult.awayWinProbability)
   });
 
   // Validera att alla modeller ger rimliga resultat
-  const xgHome = parseFloat(xgResult.homeWin);
-  const poissonHome = parseFloat(poissonResult.homeWinProbability);
-  const monteCarloHome = parseFloat(monteCarloResult.homeWinProbability);
+  const xgHome = xgResult.homeWinProbability * 100;
+  const poissonHome = poissonResult.homeWinProbability * 100;
+  const monteCarloHome = monteCarloResult.homeWinProbability * 100;
 
   if (isNaN(xgHome) || isNaN(poissonHome) || isNaN(monteCarloHome)) {
     return { success: false, message: "En eller flera modeller returnerade NaN" };
@@ -139,7 +141,7 @@ runHarmonyTest("Extremfall hanteras utan konflikter", () => {
       });
 
       // Kontrollera att alla modeller returnerade giltiga resultat
-      if (!xgResult.homeWin || !poissonResult.homeWinProbability || !monteCarloResult.homeWinProbability) {
+      if (![xgResult, poissonResult, monteCarloResult].every(isPredictionResult)) {
         return { success: false, message: `Extremfall ${i+1}: En modell returnerade ogiltigt resultat` };
       }
 
@@ -176,9 +178,9 @@ runHarmonyTest("Matematisk konsistens i alla modeller", () => {
   });
 
   // Kontrollera att alla modellers sannolikheter summerar till ~100%
-  const xgTotal = parseFloat(xgResult.homeWin) + parseFloat(xgResult.draw) + parseFloat(xgResult.awayWin);
-  const poissonTotal = parseFloat(poissonResult.homeWinProbability) + parseFloat(poissonResult.drawProbability) + parseFloat(poissonResult.awayWinProbability);
-  const monteCarloTotal = parseFloat(monteCarloResult.homeWinProbability) + parseFloat(monteCarloResult.drawProbability) + parseFloat(monteCarloResult.awayWinProbability);
+  const xgTotal = (xgResult.homeWinProbability + xgResult.drawProbability + xgResult.awayWinProbability) * 100;
+  const poissonTotal = (poissonResult.homeWinProbability + poissonResult.drawProbability + poissonResult.awayWinProbability) * 100;
+  const monteCarloTotal = (monteCarloResult.homeWinProbability + monteCarloResult.drawProbability + monteCarloResult.awayWinProbability) * 100;
 
   console.log(`📊 Totaler: xG=${xgTotal.toFixed(1)}%, Poisson=${poissonTotal.toFixed(1)}%, Monte Carlo=${monteCarloTotal.toFixed(1)}%`);
 
@@ -224,9 +226,9 @@ runHarmonyTest("Parallell exekvering utan interferens", () => {
     });
 
     results.push({
-      xg: parseFloat(xgResult.homeWin),
-      poisson: parseFloat(poissonResult.homeWinProbability),
-      monteCarlo: parseFloat(monteCarloResult.homeWinProbability)
+      xg: xgResult.homeWinProbability * 100,
+      poisson: poissonResult.homeWinProbability * 100,
+      monteCarlo: monteCarloResult.homeWinProbability * 100
     });
   }
 
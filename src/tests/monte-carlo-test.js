@@ -31,9 +31,9 @@ export async function runMonteCarloTests() {
     const endTime = Date.now();
     const duration = endTime - startTime;
     
-    const homeWin = parseFloat(result.homeWinProbability);
-    const draw = parseFloat(result.drawProbability);
-    const awayWin = parseFloat(result.awayWinProbability);
+    const homeWin = result.homeWinProbability * 100;
+    const draw = result.drawProbability * 100;
+    const awayWin = result.awayWinProbability * 100;
     const total = homeWin + draw + awayWin;
     
     results.push({
@@ -0,0 +1,175 @@
+// Test för Monte Carlo i Web Workers: strömmar, determinism, adaptiva omgångar, framsteg och avbrytning
+import { MonteCarloSimulator, deriveStreamSeed } from '../utils/improvedMath.js';
+import { MonteCarloWorkerPool, isSimulationCancelled } from '../utils/monteCarloWorkerPool.js';
+
+const assert = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+const params = {
+  simulations: 20000,
+  homeGoalsAvg: 1.7,
+  awayGoalsAvg: 1.2,
+  randomSeed: 2024,
+  streams: 4,
+  firstHalfShare: 0.45
+};
+
+// Jämför allt som härleds ur simuleringen, utom metadata-objektets identitet
+const fingerprint = (result) => JSON.stringify({
+  matrix: result.scoreMatrix.toJSON(),
+  expected: [result.expectedHomeGoals, result.expectedAwayGoals],
+  goals: result.goalDistribution,
+  halfTime: result.halfTime,
+  hash: result.metadata.inputHash
+});
+
+/**
+ * Emulerad worker med samma meddelandeprotokoll som monteCarloWorker.js.
+ * Svaren skickas asynkront; delay(index) styr i vilken ordning strömmarna blir klara.
+ */
+const createFakeWorkerFactory = (delay = () => 0, log = { started: 0, terminated: 0 }) => () => {
+  const simulator = new MonteCarloSimulator();
+  log.started++;
+
+  const worker = {
+    terminated: false,
+    postMessage: ({ params: streamParams, stream }) => {
+      setTimeout(() => {
+        const messages = [];
+        const counts = simulator.runStream(streamParams, stream, completed => (
+          messages.push({ type: 'progress', index: stream.index, completed })
+        ));
+        messages.push({ type: 'result', counts });
+
+        messages.forEach((data, i) => setTimeout(() => {
+          if (!worker.terminated) worker.onmessage({ data });
+        }, i));
+      }, delay(stream.index));
+    },
+    terminate: () => {
+      worker.terminated = true;
+      log.terminated++;
+    }
+  };
+  return worker;
+};
+
+const testStreamPlan = () => {
+  const simulator = new MonteCarloSimulator();
+  const streams = simulator.planStreams(simulator.resolveParams({ ...params, simulations: 10003 }));
+
+  assert(streams.length === 4, 'Fyra strömmar ska planeras');
+  assert(streams.reduce((sum, stream) => sum + stream.simulations, 0) === 10003, 'Alla simuleringar ska fördelas');
+  assert(streams[0].seed === params.randomSeed, 'Ström 0 ska använda grundfröet');
+  assert(new Set(streams.map(stream => stream.seed)).size === 4, 'Varje ström ska ha ett eget frö');
+  assert(deriveStreamSeed(1, 1) === deriveStreamSeed(1, 1), 'Frön ska härledas deterministiskt');
+
+  const tiny = simulator.resolveParams({ simulations: 2, streams: 8 });
+  assert(tiny.streams === 2, 'Fler strömmar än simuleringar ska begränsas');
+};
+
+const testSingleStreamCompatibility = () => {
+  const simulator = new MonteCarloSimulator();
+  const { streams, ...singleStreamParams } = params;
+  const implicit = simulator.simulate(singleStreamParams);
+  const explicit = simulator.simulate({ ...singleStreamParams, streams: 1 });
+
+  assert(implicit.homeWinProbability === explicit.homeWinProbability, 'En ström ska vara standard');
+  assert(implicit.simulationStats.streams === 1, 'Antal strömmar ska redovisas');
+};
+
+const testDeterministicMerge = async () => {
+  const reference = fingerprint(new MonteCarloSimulator().simulate(params));
+
+  for (const maxWorkers of [1, 2, 4]) {
+    const pool = new MonteCarloWorkerPool({ createWorker: createFakeWorkerFactory(), maxWorkers });
+    const result = await pool.run(params);
+    assert(fingerprint(result) === reference, `${maxWorkers} workers ska ge samma resultat som simulate()`);
+  }
+
+  // Sista strömmen blir klar först
+  const reversed = new MonteCarloWorkerPool({ createWorker: createFakeWorkerFactory(index => (4 - index) * 20), maxWorkers: 4 });
+  assert(fingerprint(await reversed.run(params)) === reference, 'Ordningen strömmarna blir klara i ska inte påverka resultatet');
+
+  const fallback = new MonteCarloWorkerPool({ createWorker: null });
+  assert(fingerprint(await fallback.run(params)) === reference, 'Reservläget utan workers ska ge samma resultat');
+};
+
+const testAdaptiveRounds = async () => {
+  const adaptiveParams = { ...params, simulations: 2000, adaptive: { tolerance: 0.02 } };
+  const reference = new MonteCarloSimulator().simulate(adaptiveParams);
+  const updates = [];
+
+  const pool = new MonteCarloWorkerPool({ createWorker: createFakeWorkerFactory(), maxWorkers: 3 });
+  const result = await pool.run(adaptiveParams, { onProgress: share => updates.push(share) });
+
+  assert(reference.simulationStats.rounds > 1, 'Testet kräver flera omgångar');
+  assert(fingerprint(result) === fingerprint(reference), 'Adaptiva omgångar i workers ska ge samma resultat som simulate()');
+  assert(updates.every((share, i) => i === 0 || share >= updates[i - 1]), 'Framsteg ska vara växande även mellan omgångar');
+};
+
+const testProgress = async () => {
+  const updates = [];
+  const pool = new MonteCarloWorkerPool({ createWorker: createFakeWorkerFactory(), maxWorkers: 2 });
+  await pool.run(params, { onProgress: share => updates.push(share) });
+
+  assert(updates.length > 4, 'Framsteg ska rapporteras under körningen');
+  assert(updates.every((share, i) => i === 0 || share >= updates[i - 1]), 'Framsteg ska vara växande');
+  assert(updates[updates.length - 1] === 1, 'Framsteg ska sluta på 100%');
+};
+
+const testCancellation = async () => {
+  const log = { started: 0, terminated: 0 };
+  const controller = new AbortController();
+  const pool = new MonteCarloWorkerPool({ createWorker: createFakeWorkerFactory(() => 0, log), maxWorkers: 2 });
+
+  let error = null;
+  try {
+    await pool.run(params, { signal: controller.signal, onProgress: () => controller.abort() });
+  } catch (caught) {
+    error = caught;
+  }
+
+  assert(isSimulationCancelled(error), 'Avbruten körning ska ge ett AbortError');
+  assert(log.terminated === log.started, 'Alla workers ska stoppas vid avbrytning');
+
+  controller.abort();
+  const alreadyAborted = await pool.run(params, { signal: controller.signal }).catch(caught => caught);
+  assert(isSimulationCancelled(alreadyAborted), 'En redan avbruten signal ska inte starta någon körning');
+};
+
+export async function runMonteCarloWorkerTests() {
+  console.log('🧵 MONTE CARLO WORKER TEST');
+  console.log('==========================');
+
+  const tests = [
+    ['Uppdelning i seedade strömmar', testStreamPlan],
+    ['En ström ger samma resultat som tidigare', testSingleStreamCompatibility],
+    ['Deterministisk sammanslagning', testDeterministicMerge],
+    ['Adaptiva omgångar', testAdaptiveRounds],
+    ['Framstegsrapportering', testProgress],
+    ['Avbrytning', testCancellation]
+  ];
+
+  let passed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runMonteCarloWorkerTests();
+}
@@ -0,0 +1,136 @@
+// Test för överspridda målfördelningar (negativ binomial och nollinflaterad Poisson)
+import {
+  PoissonGenerator,
+  SeededRandom,
+  EnhancedPoissonCalculator,
+  MonteCarloSimulator,
+  GOAL_DISTRIBUTIONS,
+  estimateGoalDistribution
+} from '../utils/improvedMath.js';
+
+const negativeBinomial = { type: GOAL_DISTRIBUTIONS.negativeBinomial, dispersion: 4 };
+const zeroInflated = { type: GOAL_DISTRIBUTIONS.zeroInflated, zeroInflation: 0.1 };
+
+const assert = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+const moments = (pmf) => {
+  let total = 0;
+  let mean = 0;
+  let secondMoment = 0;
+  for (let k = 0; k <= 40; k++) {
+    const p = pmf(k);
+    total += p;
+    mean += k * p;
+    secondMoment += k * k * p;
+  }
+  return { total, mean, variance: secondMoment - mean * mean };
+};
+
+const testAnalyticMoments = () => {
+  const generator = new PoissonGenerator();
+  const lambda = 1.6;
+
+  const nb = moments(k => generator.probability(lambda, k, negativeBinomial));
+  assert(Math.abs(nb.total - 1) < 1e-6, `Negativ binomial summerar till ${nb.total}`);
+  assert(Math.abs(nb.mean - lambda) < 1e-6, 'Negativ binomial ska behålla väntevärdet');
+  assert(Math.abs(nb.variance - (lambda + lambda * lambda / 4)) < 1e-4, 'Negativ binomial varians ska vara mu + mu^2/r');
+
+  const zip = moments(k => generator.probability(lambda, k, zeroInflated));
+  assert(Math.abs(zip.total - 1) < 1e-6, `Nollinflaterad Poisson summerar till ${zip.total}`);
+  assert(Math.abs(zip.mean - lambda) < 1e-6, 'Nollinflaterad Poisson ska behålla väntevärdet');
+  assert(zip.variance > lambda, 'Nollinflaterad Poisson ska ha varians större än väntevärdet');
+  assert(generator.probability(lambda, 0, zeroInflated) > generator.probability(lambda, 0), 'Fler nollor än Poisson');
+};
+
+const testSampling = () => {
+  const generator = new PoissonGenerator(new SeededRandom(7));
+  const lambda = 1.6;
+  const n = 40000;
+  let sum = 0;
+  let sumSquares = 0;
+
+  for (let i = 0; i < n; i++) {
+    const goals = generator.generate(lambda, negativeBinomial);
+    sum += goals;
+    sumSquares += goals * goals;
+  }
+
+  const mean = sum / n;
+  const variance = sumSquares / n - mean * mean;
+  assert(Math.abs(mean - lambda) < 0.05, `Samplat medel ${mean.toFixed(3)} ska vara nära ${lambda}`);
+  assert(Math.abs(variance - 2.24) < 0.15, `Samplad varians ${variance.toFixed(3)} ska vara nära 2.24`);
+};
+
+const testCalculatorsUseDistributions = () => {
+  const poisson = new EnhancedPoissonCalculator();
+  const params = { homeAttackRate: 1.8, awayAttackRate: 1.2, homeDefenseRate: 1.0, awayDefenseRate: 1.0 };
+  const base = poisson.calculate(params);
+  const overdispersed = poisson.calculate({ ...params, homeDistribution: negativeBinomial, awayDistribution: negativeBinomial });
+  assert(
+    overdispersed.cleanSheetHomeProbability > base.cleanSheetHomeProbability,
+    'Överspridning ska öka sannolikheten för att bortalaget blir mållöst'
+  );
+
+  const simulator = new MonteCarloSimulator();
+  const mcParams = { simulations: 20000, homeGoalsAvg: 1.8, awayGoalsAvg: 1.2, randomSeed: 11 };
+  const mcBase = simulator.simulate(mcParams);
+  const mcZip = simulator.simulate({ ...mcParams, awayDistribution: { type: GOAL_DISTRIBUTIONS.zeroInflated, zeroInflation: 0.2 } });
+  assert(
+    mcZip.cleanSheetHomeProbability > mcBase.cleanSheetHomeProbability,
+    'Nollinflation för bortalaget ska ge fler hållna nollor för hemmalaget'
+  );
+
+  const repeat = simulator.simulate({ ...mcParams, awayDistribution: negativeBinomial });
+  const repeatAgain = simulator.simulate({ ...mcParams, awayDistribution: negativeBinomial });
+  assert(repeat.homeWinProbability === repeatAgain.homeWinProbability, 'Simuleringen ska vara reproducerbar med samma seed');
+};
+
+const testEstimation = () => {
+  const steady = estimateGoalDistribution([1, 2, 1, 2, 1, 2, 1, 2]);
+  assert(steady.recommendedType === GOAL_DISTRIBUTIONS.poisson, 'Låg varians ska ge Poisson');
+  assert(steady.dispersion === null, 'Ingen spridningsparameter utan överspridning');
+
+  const volatile = estimateGoalDistribution([0, 5, 1, 4, 0, 3, 6, 1, 2, 0]);
+  assert(volatile.dispersion > 0, 'Hög varians ska ge en spridningsparameter');
+  assert(volatile.recommendedType !== GOAL_DISTRIBUTIONS.poisson, 'Hög varians ska ge överspridd fördelning');
+  const expected = Math.pow(volatile.mean, 2) / (volatile.variance - volatile.mean);
+  assert(Math.abs(volatile.dispersion - expected) < 1e-9, 'Momentskattning av r');
+
+  const empty = estimateGoalDistribution([]);
+  assert(empty.sampleSize === 0 && empty.recommendedType === GOAL_DISTRIBUTIONS.poisson, 'Tom historik ska ge Poisson');
+};
+
+export function runOverdispersionTests() {
+  console.log('📊 ÖVERSPRIDNINGSTEST');
+  console.log('=====================');
+
+  const tests = [
+    ['Analytiska moment', testAnalyticMoments],
+    ['Sampling av negativ binomial', testSampling],
+    ['Kalkylatorer använder vald fördelning', testCalculatorsUseDistributions],
+    ['Skattning från målhistorik', testEstimation]
+  ];
+
+  let passed = 0;
+  tests.forEach(([name, test]) => {
+    try {
+      test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  });
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runOverdispersionTests();
+}
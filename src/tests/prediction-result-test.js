@@ -0,0 +1,123 @@
+// Test för det gemensamma resultatformatet (PredictionResult) och formateringslagret
+import { calculateAdvancedXGPrediction } from '../utils/xgCalculations.js';
+import { EnhancedPoissonCalculator, MonteCarloSimulator } from '../utils/improvedMath.js';
+import { BivariatePoissonCalculator } from '../utils/bivariatePoisson.js';
+import { ScoreMatrix } from '../utils/scoreMatrix.js';
+import {
+  PREDICTION_SCHEMA_VERSION,
+  hashInputs,
+  isPredictionResult,
+  restorePredictionResult
+} from '../utils/predictionResult.js';
+import { formatPercent, formatFairOdds, formatGoals, formatMainMarkets } from '../utils/resultFormatting.js';
+
+const assert = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+const PROBABILITY_KEYS = [
+  'homeWinProbability', 'drawProbability', 'awayWinProbability', 'bothTeamsScoreProbability',
+  'over15Probability', 'over25Probability', 'under25Probability', 'over35Probability',
+  'cleanSheetHomeProbability', 'cleanSheetAwayProbability', 'confidence'
+];
+
+const poissonParams = { homeAttackRate: 1.7, awayAttackRate: 1.2, homeDefenseRate: 1.0, awayDefenseRate: 1.0 };
+const monteCarloParams = { simulations: 5000, homeGoalsAvg: 1.7, awayGoalsAvg: 1.2, randomSeed: 7 };
+
+const allResults = () => [
+  ['xg', calculateAdvancedXGPrediction({ homeXG: 1.7, awayXG: 1.2 })],
+  ['poisson', new EnhancedPoissonCalculator().calculate(poissonParams)],
+  ['montecarlo', new MonteCarloSimulator().simulate(monteCarloParams)],
+  ['bivariate', new BivariatePoissonCalculator().calculate(poissonParams)]
+];
+
+const testSharedShape = () => {
+  allResults().forEach(([model, result]) => {
+    assert(isPredictionResult(result), `${model} ska returnera ett PredictionResult`);
+    assert(result.metadata.model === model, `${model}: fel modellnyckel i metadata`);
+    assert(result.metadata.schemaVersion === PREDICTION_SCHEMA_VERSION, `${model}: fel schemaversion`);
+    assert(typeof result.metadata.version === 'string', `${model}: modellversion saknas`);
+
+    PROBABILITY_KEYS.forEach(key => {
+      const value = result[key];
+      assert(typeof value === 'number' && value >= 0 && value <= 1, `${model}.${key} ska vara ett tal 0-1 (fick ${value})`);
+    });
+    assert(typeof result.expectedHomeGoals === 'number' && typeof result.expectedAwayGoals === 'number', `${model}: förväntade mål ska vara tal`);
+
+    const total = result.homeWinProbability + result.drawProbability + result.awayWinProbability;
+    assert(Math.abs(total - 1) < 1e-9, `${model}: 1X2 ska summera till 1 (fick ${total})`);
+    assert(result.mostLikelyScorelines.every(({ probability }) => typeof probability === 'number'), `${model}: resultatsannolikheter ska vara tal`);
+  });
+};
+
+const testMetadata = () => {
+  assert(hashInputs({ a: 1, b: { c: 2 } }) === hashInputs({ b: { c: 2 }, a: 1 }), 'Hash ska inte bero på nyckelordning');
+  assert(hashInputs({ a: 1 }) !== hashInputs({ a: 2 }), 'Olika indata ska ge olika hash');
+  assert(/^[0-9a-f]{8}$/.test(hashInputs({})), 'Hash ska vara åtta hexadecimala tecken');
+
+  const calculator = new EnhancedPoissonCalculator();
+  const first = calculator.calculate(poissonParams);
+  const again = calculator.calculate({ ...poissonParams });
+  const changed = calculator.calculate({ ...poissonParams, rho: -0.1 });
+  assert(first.metadata.inputHash === again.metadata.inputHash, 'Samma indata ska ge samma hash');
+  assert(first.metadata.inputHash !== changed.metadata.inputHash, 'Ändrat rho ska ge ny hash');
+  assert(first.metadata.seed === null, 'Analytiska modeller har inget slumpfrö');
+
+  const simulation = new MonteCarloSimulator().simulate(monteCarloParams);
+  assert(simulation.metadata.seed === monteCarloParams.randomSeed, 'Monte Carlo ska spara slumpfröet');
+};
+
+const testSerialisation = () => {
+  const result = new EnhancedPoissonCalculator().calculate(poissonParams);
+  const restored = restorePredictionResult(JSON.parse(JSON.stringify(result)));
+
+  assert(restored.scoreMatrix instanceof ScoreMatrix, 'Matrisen ska återställas efter JSON');
+  assert(restored.homeWinProbability === result.homeWinProbability, 'Sannolikheter ska bevaras exakt');
+
+  const legacy = { homeWinProbability: '45.3', drawProbability: '27.1', awayWinProbability: '27.6' };
+  assert(restorePredictionResult(legacy) === null, 'Resultat i det gamla strängformatet ska ignoreras');
+};
+
+const testFormatting = () => {
+  assert(formatPercent(0.4532) === '45.3%', 'Procent med en decimal');
+  assert(formatPercent(0.4532, 0) === '45%', 'Procent utan decimaler');
+  assert(formatPercent(undefined) === 'N/A', 'Saknat värde ska visas som N/A');
+  assert(formatFairOdds(0.5) === '2.00' && formatFairOdds(0) === '–', 'Rättvisa odds');
+  assert(formatGoals(1.456) === '1.46' && formatGoals(NaN) === 'N/A', 'Förväntade mål med två decimaler');
+
+  const formatted = formatMainMarkets(calculateAdvancedXGPrediction({ homeXG: 1.7, awayXG: 1.2 }));
+  assert(/^\d+\.\d$/.test(formatted.homeWinProbability), 'Jämförelsetabellen visar procent utan tecken');
+};
+
+export function runPredictionResultTests() {
+  console.log('🧾 RESULTATFORMAT TEST');
+  console.log('======================');
+
+  const tests = [
+    ['Gemensam resultatform för alla modeller', testSharedShape],
+    ['Metadata och indata-hash', testMetadata],
+    ['Serialisering och äldre sparade resultat', testSerialisation],
+    ['Formateringslager', testFormatting]
+  ];
+
+  let passed = 0;
+  tests.forEach(([name, test]) => {
+    try {
+      test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  });
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runPredictionResultTests();
+}
@@ -0,0 +1,188 @@
+// Test för kalibreringslagret: Platt, isoton regression, temperatur och kalibrerade resultat
+import {
+  ProbabilityCalibrator,
+  CALIBRATION_METHODS,
+  CALIBRATION_FOLDS,
+  ALL_LEAGUES,
+  poolAdjacentViolators,
+  scoreForecasts
+} from '../utils/probabilityCalibration.js';
+import { historicalMatchesFromResults } from '../utils/historicalValidation.js';
+import { EnhancedPoissonCalculator, SeededRandom } from '../utils/improvedMath.js';
+import { assert, close, simulateLeague } from './test-helpers.js';
+
+const calibrator = new ProbabilityCalibrator();
+
+// Prognoser med kända sanna sannolikheter; power > 1 gör modellen översäker
+const simulateForecasts = (count, power, seed) => {
+  const random = new SeededRandom(seed);
+  return Array.from({ length: count }, () => {
+    const home = 0.2 + 0.5 * random.next();
+    const draw = 0.2 + 0.1 * random.next();
+    const away = Math.max(0.05, 1 - home - draw);
+    const total = home + draw + away;
+    const truth = [home / total, draw / total, away / total];
+    const u = random.next();
+    const outcome = u < truth[0] ? 'home' : u < truth[0] + truth[1] ? 'draw' : 'away';
+    const raw = truth.map(probability => probability ** power);
+    const rawTotal = raw.reduce((sum, value) => sum + value, 0);
+    return { probabilities: raw.map(value => value / rawTotal), outcome };
+  });
+};
+
+const overconfident = simulateForecasts(2000, 2, 3);
+const calibrated = simulateForecasts(2000, 1, 4);
+
+const testPoolAdjacentViolators = () => {
+  const blocks = poolAdjacentViolators([0.1, 0.2, 0.3, 0.4, 0.5], [0, 1, 0, 1, 1]);
+  assert(blocks.length === 3, `Ett brott mot ordningen ska slås ihop, fick ${blocks.length} block`);
+  assert(close(blocks[1].y, 0.5) && blocks[1].weight === 2, 'Sammanslaget block ska få medelvärdet');
+  assert(blocks.every((block, index) => index === 0 || block.y >= blocks[index - 1].y), 'Blocken ska vara icke-avtagande');
+
+  const unsorted = poolAdjacentViolators([0.9, 0.1, 0.5], [1, 0, 1]);
+  assert(close(unsorted[0].x, 0.1) && unsorted[0].y === 0, 'Indata ska sorteras efter sannolikhet');
+};
+
+const testTemperature = () => {
+  const fit = calibrator.fit(overconfident, CALIBRATION_METHODS.temperature);
+  assert(Math.abs(fit.params.temperature - 2) < 0.4, `Kvadrerade sannolikheter ska ge temperatur nära 2, fick ${fit.params.temperature.toFixed(2)}`);
+  assert(fit.metrics.calibrated.logLoss < fit.metrics.raw.logLoss, 'Temperaturen ska sänka log loss');
+
+  const neutral = calibrator.fit(calibrated, CALIBRATION_METHODS.temperature);
+  assert(Math.abs(neutral.params.temperature - 1) < 0.2, `Kalibrerade prognoser ska ge temperatur nära 1, fick ${neutral.params.temperature.toFixed(2)}`);
+};
+
+const testPlattAndIsotonic = () => {
+  [CALIBRATION_METHODS.platt, CALIBRATION_METHODS.isotonic].forEach(method => {
+    const fit = calibrator.fit(overconfident, method);
+    assert(fit.matches === overconfident.length, 'Alla prognoser ska användas');
+    assert(fit.metrics.calibrated.logLoss < fit.metrics.raw.logLoss, `${method}: log loss ska sjunka`);
+    assert(fit.metrics.calibrated.calibrationError < fit.metrics.raw.calibrationError, `${method}: kalibreringsfelet ska sjunka`);
+
+    const mapped = calibrator.apply(fit, [0.7, 0.2, 0.1]);
+    assert(close(mapped.reduce((sum, value) => sum + value, 0), 1), `${method}: kalibrerade sannolikheter ska summera till 1`);
+    assert(mapped[0] < 0.7, `${method}: en översäker favorit ska dras ned`);
+  });
+
+  const platt = calibrator.fit(overconfident, CALIBRATION_METHODS.platt);
+  assert(platt.params.outcomes.every(({ a }) => a > 0.3 && a < 0.8), 'Översäkra prognoser ska ge Platt-lutning under 1');
+};
+
+const testHeldOutMetrics = () => {
+  const forecasts = overconfident.slice(0, 300);
+  const fit = calibrator.fit(forecasts, CALIBRATION_METHODS.isotonic);
+  assert(fit.metrics.folds === CALIBRATION_FOLDS, 'Måtten ska ange antalet delar');
+
+  // Sista delen ska kalibreras med en avbildning som bara sett de tidigare matcherna
+  const crossFitted = calibrator.crossFitForecasts(forecasts, CALIBRATION_METHODS.isotonic);
+  const earlier = { method: CALIBRATION_METHODS.isotonic, params: calibrator.fitParams(forecasts.slice(0, 240), CALIBRATION_METHODS.isotonic) };
+  const expected = calibrator.apply(earlier, forecasts[299].probabilities);
+  assert(crossFitted[299].probabilities.every((probability, index) => close(probability, expected[index])), 'En del ska inte ingå i sin egen kalibrering');
+  assert(crossFitted.every((forecast, index) => forecast.outcome === forecasts[index].outcome), 'Prognoserna ska behålla ordningen');
+  assert(close(fit.metrics.calibrated.logLoss, scoreForecasts(crossFitted).logLoss), 'Kalibrerade mått ska räknas på de korsanpassade prognoserna');
+
+  // Isoton regression följer bruset i urvalet; utanför urvalet blir log loss högre
+  const inSample = scoreForecasts(forecasts.map(forecast => ({ ...forecast, probabilities: calibrator.apply(fit, forecast.probabilities) })));
+  assert(inSample.logLoss < fit.metrics.calibrated.logLoss, 'Måtten i urvalet ska vara för optimistiska jämfört med de korsanpassade');
+};
+
+const testCalibratedResult = () => {
+  const raw = new EnhancedPoissonCalculator().calculate({ homeAttackRate: 2.2, awayAttackRate: 0.9, homeDefenseRate: 1.0, awayDefenseRate: 1.0, leagueAverage: 1.35 });
+  const fit = calibrator.fit(overconfident, CALIBRATION_METHODS.temperature);
+  const result = calibrator.calibrateResult(raw, fit, 'Allsvenskan');
+  const expected = calibrator.apply(fit, [raw.homeWinProbability, raw.drawProbability, raw.awayWinProbability]);
+
+  assert(close(result.homeWinProbability, expected[0], 1e-9) && close(result.drawProbability, expected[1], 1e-9), 'Resultatets 1X2 ska vara den kalibrerade');
+  assert(close(result.scoreMatrix.capturedMass(), 1, 1e-9), 'Den kalibrerade matrisen ska summera till 1');
+  assert(result.metadata.model === raw.metadata.model && result.metadata.inputHash !== raw.metadata.inputHash, 'Modellen ska behållas men indata-hashen ändras');
+  assert(result.calibration.raw.homeWinProbability === raw.homeWinProbability && result.calibration.league === 'Allsvenskan', 'Råa sannolikheter och liga ska redovisas');
+
+  // Inom varje 1X2-utfall ska resultatens inbördes fördelning vara oförändrad
+  const ratio = (matrix, h1, a1, h2, a2) => matrix.get(h1, a1) / matrix.get(h2, a2);
+  assert(close(ratio(result.scoreMatrix, 2, 0, 1, 0), ratio(raw.scoreMatrix, 2, 0, 1, 0), 1e-9), 'Hemmasegrarna ska skalas med samma faktor');
+};
+
+// Simulerad serie mellan fyra lag, tre dubbelserier
+const STRENGTHS = [1.5, 1.1, 0.9, 0.7];
+
+const testStore = async () => {
+  const platt = calibrator.fit(calibrated, CALIBRATION_METHODS.platt);
+  const isotonic = calibrator.fit(calibrated, CALIBRATION_METHODS.isotonic);
+  const empty = {};
+  const store = calibrator.setCalibrator(calibrator.setCalibrator(empty, 'poisson', ALL_LEAGUES, platt), 'poisson', 'Allsvenskan', isotonic);
+  assert(Object.keys(empty).length === 0, 'Lagret ska inte ändras på plats');
+  assert(calibrator.findCalibrator(store, 'poisson', 'Allsvenskan').calibrator.method === CALIBRATION_METHODS.isotonic, 'Ligans egen kalibrering ska väljas');
+  assert(calibrator.findCalibrator(store, 'poisson', 'Superettan').league === ALL_LEAGUES, 'Okänd liga ska falla tillbaka på alla ligor');
+  assert(calibrator.findCalibrator(store, 'xg', 'Allsvenskan') === null, 'Modeller utan kalibrering ska sakna träff');
+
+  const loaded = calibrator.fromJSON(calibrator.toJSON(store));
+  const probabilities = [0.5, 0.3, 0.2];
+  assert(calibrator.apply(loaded.poisson.Allsvenskan, probabilities)[0] === calibrator.apply(isotonic, probabilities)[0], 'Inlästa kalibreringar ska ge samma resultat');
+
+  const expectError = (fn, text) => {
+    try {
+      fn();
+    } catch (error) {
+      assert(error.message.includes(text), `Fel meddelande: ${error.message}`);
+      return;
+    }
+    throw new Error(`Förväntade fel: ${text}`);
+  };
+  expectError(() => calibrator.fit(calibrated, 'beta'), 'Okänd kalibreringsmetod');
+  expectError(() => calibrator.fit(calibrated.slice(0, 5)), 'minst 20');
+  expectError(() => calibrator.fromJSON('{inte json'), 'inte giltig JSON');
+  expectError(() => calibrator.fromJSON({ type: 'calibrators', store: { xg: { [ALL_LEAGUES]: { method: 'beta' } } } }), 'xg');
+
+  // Rätt metod men trasiga parametrar ska stoppas vid inläsning, inte först i apply()
+  const withParams = (method, params) => ({ type: 'calibrators', store: { xg: { [ALL_LEAGUES]: { method, params } } } });
+  [
+    withParams(CALIBRATION_METHODS.platt, { outcomes: [{ a: 1, b: 0 }] }),
+    withParams(CALIBRATION_METHODS.platt, { outcomes: [{ a: 1, b: 0 }, { a: 1, b: 0 }, { a: '1', b: 0 }] }),
+    withParams(CALIBRATION_METHODS.isotonic, { outcomes: [[{ x: 0.2, y: 0.1 }], [], [{ x: 0.5, y: 0.4 }]] }),
+    withParams(CALIBRATION_METHODS.isotonic, { outcomes: [[{ x: 0.6, y: 0.1 }, { x: 0.2, y: 0.3 }], [{ x: 0.3, y: 0.3 }], [{ x: 0.5, y: 0.4 }]] }),
+    withParams(CALIBRATION_METHODS.isotonic, { temperature: 1.2 }),
+    withParams(CALIBRATION_METHODS.temperature, { temperature: 0 }),
+    withParams(CALIBRATION_METHODS.temperature, { outcomes: [] })
+  ].forEach(data => expectError(() => calibrator.fromJSON(data), `felaktiga parametrar för ${data.store.xg[ALL_LEAGUES].method}`));
+  expectError(() => calibrator.fromJSON({ type: 'calibrators', store: { xg: null } }), 'xg saknar ligor');
+  const temperature = calibrator.fit(calibrated, CALIBRATION_METHODS.temperature);
+  assert(calibrator.fromJSON(calibrator.toJSON({ xg: { [ALL_LEAGUES]: temperature } })).xg[ALL_LEAGUES].params.temperature === temperature.params.temperature, 'Temperaturskalning ska kunna läsas in');
+
+  const matches = historicalMatchesFromResults(simulateLeague({ seed: 12, strengths: STRENGTHS, rounds: 3 }));
+  const fitted = await calibrator.fitFromHistory(matches, { models: ['poisson'], method: CALIBRATION_METHODS.temperature, league: 'Testligan', store });
+  assert(fitted.poisson.Testligan.matches === matches.length, 'Kalibreringen ska anpassas på alla validerade matcher');
+  assert(fitted.poisson[ALL_LEAGUES] === platt, 'Tidigare kalibreringar ska finnas kvar');
+};
+
+export async function runProbabilityCalibrationTests() {
+  console.log('📐 KALIBRERINGSTEST');
+  console.log('===================');
+
+  const tests = [
+    ['Pool-adjacent-violators', testPoolAdjacentViolators],
+    ['Temperaturskalning', testTemperature],
+    ['Platt-skalning och isoton regression', testPlattAndIsotonic],
+    ['Mått på matcher utanför anpassningen', testHeldOutMetrics],
+    ['Kalibrerat modellresultat', testCalibratedResult],
+    ['Kalibreringar per modell och liga', testStore]
+  ];
+
+  let passed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runProbabilityCalibrationTests();
+}
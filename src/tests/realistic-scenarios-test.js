@@ -4,6 +4,7 @@
  */
 
 import { calculateAdvancedXGPrediction } from '../utils/xgCalculations.js';
+import { formatGoals } from '../utils/resultFormatting.js';
 
 console.log('🏆 TESTAR REALISTISKA MATCHSCENARIER\n');
 console.log('=====================================\n');
@@ -86,9 +87,9 @@ const scenarios = [
 
 // Funktion för att bedöma om resultatet är realistiskt
 const assessRealism = (result, scenario) => {
-  const homeWin = parseFloat(result.homeWin);
-  const draw = parseFloat(result.draw);
-  const awayWin = parseFloat(result.awayWin);
+  const homeWin = result.homeWinProbability * 100;
+  const draw = result.drawProbability * 100;
+  const awayWin = result.awayWinProbability * 100;
   
   let assessment = "✅ REALISTISKT";
   let notes = [];
@@ -148,9 +149,9 @@ scenarios.forEach((scenario, index) => {
       leagueAverage: 1.35
     });
     
-    const homeWin = parseFloat(result.homeWin);
-    const draw = parseFloat(result.draw);
-    const awayWin = parseFloat(result.awayWin);
+    const homeWin = result.homeWinProbability * 100;
+    const draw = result.drawProbability * 100;
+    const awayWin = result.awayWinProbability * 100;
     
     console.log('\n📈 RESULTAT:');
     console.log(`🏠 Hemmavinst: ${homeWin.toFixed(1)}%`);
@@ -168,7 +169,7 @@ scenarios.forEach((scenario, index) => {
     
     // Visa förväntade mål om tillgängligt
     if (result.expectedHomeGoals && result.expectedAwayGoals) {
-      console.log(`⚽ Förväntade mål: ${parseFloat(result.expectedHomeGoals).toFixed(1)} - ${parseFloat(result.expectedAwayGoals).toFixed(1)}`);
+      console.log(`⚽ Förväntade mål: ${formatGoals(result.expectedHomeGoals, 1)} - ${formatGoals(result.expectedAwayGoals, 1)}`);
     }
     
   } catch (error) {
@@ -0,0 +1,101 @@
+// Test för den gemensamma resultatmatrisen (ScoreMatrix)
+import { ScoreMatrix, DEFAULT_MAX_GOALS } from '../utils/scoreMatrix.js';
+import { EnhancedPoissonCalculator, MonteCarloSimulator, PoissonGenerator } from '../utils/improvedMath.js';
+import { BivariatePoissonCalculator } from '../utils/bivariatePoisson.js';
+import { calculateAdvancedXGPrediction } from '../utils/xgCalculations.js';
+
+const generator = new PoissonGenerator();
+
+const assert = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+const independentMatrix = (homeLambda, awayLambda) => ScoreMatrix.fromFunction(
+  (h, a) => generator.probability(homeLambda, h) * generator.probability(awayLambda, a)
+);
+
+const testMarketsAreConsistent = () => {
+  const matrix = independentMatrix(1.6, 1.1);
+  const { homeWin, draw, awayWin } = matrix.outcomeProbabilities();
+
+  assert(Math.abs(homeWin + draw + awayWin - 1) < 1e-12, '1X2 ska summera till 1');
+  assert(Math.abs(matrix.totalGoalsOver(2.5) + matrix.totalGoalsUnder(2.5) - 1) < 1e-12, 'Över/under 2.5 ska summera till 1');
+  assert(matrix.tailMass > 0 && matrix.tailMass < 1e-4, `Svansmassan ska vara liten (fick ${matrix.tailMass})`);
+
+  const expected = matrix.expectedGoals();
+  assert(Math.abs(expected.home - 1.6) < 1e-3, 'Förväntade hemmamål ska följa lambda');
+  assert(Math.abs(matrix.cleanSheetHome() - Math.exp(-1.1)) < 1e-4, 'Hållen nolla hemma ska vara P(bortamål = 0)');
+
+  const top = matrix.mostLikelyScorelines(3);
+  assert(top.length === 3 && top[0].probability >= top[1].probability, 'Resultat ska sorteras efter sannolikhet');
+};
+
+const testFromCounts = () => {
+  const counts = new Map([['1-0', 50], ['2-2', 30], ['12-1', 20]]);
+  const matrix = ScoreMatrix.fromCounts(counts, 100);
+
+  assert(matrix.maxGoals === DEFAULT_MAX_GOALS, 'Standardstorlek ska användas');
+  assert(Math.abs(matrix.tailMass - 0.2) < 1e-12, 'Utfall utanför rutnätet ska räknas som svansmassa');
+  assert(Math.abs(matrix.get(1, 0) - 0.5) < 1e-12, 'Cellen 1-0 ska vara 0.5');
+  assert(Math.abs(matrix.outcomeProbabilities().homeWin - 0.625) < 1e-12, 'Marknader normaliseras mot fångad massa');
+};
+
+const testSerialisation = () => {
+  const matrix = independentMatrix(1.4, 1.2);
+  const restored = ScoreMatrix.from(JSON.parse(JSON.stringify(matrix)));
+
+  assert(restored instanceof ScoreMatrix, 'from() ska ge en ScoreMatrix');
+  assert(restored.tailMass === matrix.tailMass, 'Svansmassan ska bevaras');
+  assert(restored.get(2, 1) === matrix.get(2, 1), 'Cellvärden ska bevaras');
+  assert(ScoreMatrix.from(matrix) === matrix, 'En instans ska returneras oförändrad');
+  assert(ScoreMatrix.from(null) === null, 'Saknad matris ska ge null');
+};
+
+const testModelsShareMatrix = () => {
+  const poisson = new EnhancedPoissonCalculator().calculate({ homeAttackRate: 1.7, awayAttackRate: 1.2, homeDefenseRate: 1, awayDefenseRate: 1 });
+  const bivariate = new BivariatePoissonCalculator().calculate({ homeAttackRate: 1.7, awayAttackRate: 1.2, homeDefenseRate: 1, awayDefenseRate: 1 });
+  const monteCarlo = new MonteCarloSimulator().simulate({ simulations: 5000, homeGoalsAvg: 1.7, awayGoalsAvg: 1.2 });
+  const xg = calculateAdvancedXGPrediction({ homeXG: 1.7, awayXG: 1.2 });
+
+  [['Poisson', poisson], ['Bivariat', bivariate], ['Monte Carlo', monteCarlo], ['xG', xg]].forEach(([name, result]) => {
+    assert(result.scoreMatrix instanceof ScoreMatrix, `${name} ska returnera en ScoreMatrix`);
+  });
+
+  const markets = poisson.scoreMatrix.summary();
+  assert(poisson.over25Probability === markets.over25, 'Poisson-marknader ska härledas från matrisen');
+  assert(monteCarlo.homeWinProbability === monteCarlo.scoreMatrix.outcomeProbabilities().homeWin, 'Monte Carlo 1X2 ska härledas från matrisen');
+  assert(xg.homeWinProbability === xg.scoreMatrix.outcomeProbabilities().homeWin, 'xG 1X2 ska härledas från matrisen');
+};
+
+export function runScoreMatrixTests() {
+  console.log('🧮 RESULTATMATRIS TEST');
+  console.log('======================');
+
+  const tests = [
+    ['Marknader är konsistenta', testMarketsAreConsistent],
+    ['Matris från simulerade utfall', testFromCounts],
+    ['Serialisering och återställning', testSerialisation],
+    ['Alla modeller returnerar en matris', testModelsShareMatrix]
+  ];
+
+  let passed = 0;
+  tests.forEach(([name, test]) => {
+    try {
+      test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  });
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScoreMatrixTests();
+}
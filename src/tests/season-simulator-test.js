@@ -0,0 +1,141 @@
+// Test för säsongssimulering: inläsning, determinism, sannolikheter och tiebreak-regler
+import { SeasonSimulator, parseLeagueTable, parseFixtures, resolveLeagueRules } from '../utils/seasonSimulator.js';
+
+const simulator = new SeasonSimulator();
+
+const assert = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+const close = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+const table = parseLeagueTable(`Lag, S, V, O, F, GM, IM, xG, xGA
+Alfa, 10, 7, 2, 1, 22, 9, 19.5, 10.2
+Beta, 10, 6, 3, 1, 18, 8, 17.1, 9.8
+Gamma, 10, 4, 3, 3, 14, 13, 13.0, 13.1
+Delta, 10, 3, 2, 5, 11, 15, 11.8, 14.6
+Epsilon, 10, 1, 2, 7, 7, 21, 8.9, 19.1`);
+
+const fixtures = parseFixtures(`Alfa - Beta
+Gamma - Delta
+Epsilon - Alfa
+Beta - Gamma
+Delta - Epsilon
+Alfa - Gamma`);
+
+const testParsing = () => {
+  assert(table.length === 5 && table[0].team === 'Alfa', 'Rubrikraden ska hoppas över');
+  assert(table[0].xgFor === 19.5, 'xG-kolumner ska läsas in');
+
+  const matches = parseFixtures('A 2-1 B\nC - D\nE, F\nG, H, 0, 3');
+  assert(matches[0].homeGoals === 2 && matches[0].awayGoals === 1 && matches[0].away === 'B', 'Spelat resultat ska läsas in');
+  assert(matches[1].home === 'C' && matches[1].homeGoals === undefined, 'Återstående match ska sakna resultat');
+  assert(matches[2].away === 'F' && matches[3].awayGoals === 3, 'Kommaseparerade rader ska fungera');
+
+  let duplicateError = null;
+  try {
+    parseLeagueTable('A, 1, 1, 0, 0, 1, 0\nA, 1, 0, 0, 1, 0, 1');
+  } catch (error) {
+    duplicateError = error;
+  }
+  assert(duplicateError, 'Samma lag två gånger ska ge fel');
+
+  assert(resolveLeagueRules({ tiebreakers: ['headToHead'] }).zones.title === 1, 'Egna regler ska fyllas på med standardvärden');
+};
+
+const testProbabilities = () => {
+  const result = simulator.simulate({ table, fixtures, simulations: 4000, randomSeed: 11 });
+  const teamCount = table.length;
+
+  result.teams.forEach(team => {
+    assert(close(team.positionProbabilities.reduce((sum, p) => sum + p, 0), 1), `${team.team}: placeringarna ska summera till 1`);
+    const remaining = fixtures.filter(match => match.home === team.team || match.away === team.team).length;
+    assert(team.expectedPoints >= team.currentPoints && team.expectedPoints <= team.currentPoints + 3 * remaining, `${team.team}: förväntade poäng utanför möjligt intervall`);
+    assert(team.pointsRange.p10 <= team.pointsRange.median && team.pointsRange.median <= team.pointsRange.p90, 'Poängintervallet ska vara ordnat');
+  });
+  for (let position = 0; position < teamCount; position++) {
+    const total = result.teams.reduce((sum, team) => sum + team.positionProbabilities[position], 0);
+    assert(close(total, 1), `Placering ${position + 1} ska fördelas på exakt ett lag`);
+  }
+
+  const titleTotal = result.teams.reduce((sum, team) => sum + team.titleProbability, 0);
+  const relegationTotal = result.teams.reduce((sum, team) => sum + team.relegationProbability, 0);
+  assert(close(titleTotal, 1), 'Titelchanserna ska summera till 1');
+  assert(close(relegationTotal, result.rules.zones.relegation), 'Nedflyttningschanserna ska summera till antalet nedflyttningsplatser');
+  assert(result.teams[0].team === 'Alfa', 'Tabelledaren ska ha bäst förväntad placering');
+  assert(result.fixtures.length === fixtures.length, 'Alla matcher ska prissättas');
+};
+
+const testDeterminism = () => {
+  const params = { table, fixtures, simulations: 2000, randomSeed: 5 };
+  const first = JSON.stringify(simulator.simulate(params).teams);
+  const second = JSON.stringify(new SeasonSimulator().simulate(params).teams);
+  const otherSeed = JSON.stringify(simulator.simulate({ ...params, randomSeed: 6 }).teams);
+
+  assert(first === second, 'Samma frö ska ge samma säsongsfördelning');
+  assert(first !== otherSeed, 'Olika frön ska ge olika simuleringar');
+
+  const xg = simulator.simulate({ ...params, model: 'xg' });
+  assert(xg.simulationStats.usesXG, 'xG-modellen ska använda tabellens xG');
+};
+
+const testTiebreakers = () => {
+  // X och Y har lika många poäng bakom W; X har bättre målskillnad, Y vann det inbördes mötet
+  const levelTable = parseLeagueTable(`W, 2, 1, 1, 0, 1, 0
+X, 2, 1, 0, 1, 5, 1
+Y, 2, 1, 0, 1, 1, 1
+Z, 2, 0, 1, 1, 0, 5`);
+  const played = parseFixtures('Y 1-0 X\nX 5-0 Z\nW 1-0 Y\nW 0-0 Z');
+  const params = { table: levelTable, fixtures: [], playedMatches: played, simulations: 200 };
+
+  const goalDifferenceFirst = simulator.simulate({ ...params, rules: 'premierLeague' });
+  const headToHeadFirst = simulator.simulate({ ...params, rules: 'laLiga' });
+  assert(goalDifferenceFirst.teams[1].team === 'X' && goalDifferenceFirst.teams[1].positionProbabilities[1] === 1, 'Målskillnad först ska ge X andraplatsen');
+  assert(headToHeadFirst.teams[1].team === 'Y' && headToHeadFirst.teams[1].positionProbabilities[1] === 1, 'Inbördes möten först ska ge Y andraplatsen');
+
+  // Helt lika lag skiljs åt genom lottning
+  const identical = parseLeagueTable('P, 1, 0, 1, 0, 1, 1\nQ, 1, 0, 1, 0, 1, 1');
+  const lots = simulator.simulate({ table: identical, fixtures: [], simulations: 2000 });
+  assert(Math.abs(lots.teams[0].titleProbability - 0.5) < 0.05, 'Lottning ska ge lika chans');
+
+  let unknownTeam = null;
+  try {
+    simulator.simulate({ table, fixtures: [{ home: 'Alfa', away: 'Okänt lag' }] });
+  } catch (error) {
+    unknownTeam = error;
+  }
+  assert(unknownTeam, 'Okänt lag i spelschemat ska ge fel');
+};
+
+export function runSeasonSimulatorTests() {
+  console.log('🏆 SÄSONGSSIMULERING TEST');
+  console.log('=========================');
+
+  const tests = [
+    ['Inläsning av tabell och matcher', testParsing],
+    ['Sannolikheter för placeringar och zoner', testProbabilities],
+    ['Seedad determinism', testDeterminism],
+    ['Tiebreak-regler', testTiebreakers]
+  ];
+
+  let passed = 0;
+  tests.forEach(([name, test]) => {
+    try {
+      test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  });
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runSeasonSimulatorTests();
+}
@@ -1,6 +1,7 @@
 // Enkelt test för att visa att de tre modellerna fungerar tillsammans utan konflikter
 import { calculateAdvancedXGPrediction } from '../utils/xgCalculations.js';
 import { enhancedPoissonCalculator, monteCarloSimulator } from '../utils/improvedMath.js';
+import { formatPercent } from '../utils/resultFormatting.js';
 
 console.log('🔄 ENKEL INTEGRATIONSTEST');
 console.log('Visar att xG, Poisson och Monte Carlo modellerna fungerar tillsammans utan konflikter');
@@ -25,7 +26,7 @@ try {
   // Test 1: xG-modell
   console.log('🧮 TESTAR XG-MODELL...');
   const xgResult = calculateAdvancedXGPrediction(testInput);
-  console.log(`✅ xG Resultat: Hemma ${xgResult.homeWin}%, Oavgjort ${xgResult.draw}%, Borta ${xgResult.awayWin}%`);
+  console.log(`✅ xG Resultat: Hemma ${formatPercent(xgResult.homeWinProbability)}, Oavgjort ${formatPercent(xgResult.drawProbability)}, Borta ${formatPercent(xgResult.awayWinProbability)}`);
   
   // Test 2: Poisson-modell
   console.log('🧮 TESTAR POISSON-MODELL...');
@@ -35,7 +36,7 @@ try {
     homeDefenseRate: testInput.homeXGA,
     awayDefenseRate: testInput.awayXGA
   });
-  console.log(`✅ Poisson Resultat: Hemma ${poissonResult.homeWinProbability}%, Oavgjort ${poissonResult.drawProbability}%, Borta ${poissonResult.awayWinProbability}%`);
+  console.log(`✅ Poisson Resultat: Hemma ${formatPercent(poissonResult.homeWinProbability)}, Oavgjort ${formatPercent(poissonResult.drawProbability)}, Borta ${formatPercent(poissonResult.awayWinProbability)}`);
   
   // Test 3: Monte Carlo-modell
   console.log('🧮 TESTAR MONTE CARLO-MODELL...');
@@ -46,7 +47,7 @@ try {
     homeDefenseStrength: testInput.homeXGA,
     awayDefenseStrength: testInput.awayXGA
   });
-  console.log(`✅ Monte Carlo Resultat: Hemma ${monteCarloResult.homeWinProbability}%, Oavgjort ${monteCarloResult.drawProbability}%, Borta ${monteCarloResult.awayWinProbability}%`);
+  console.log(`✅ Monte Carlo Resultat: Hemma ${formatPercent(monteCarloResult.homeWinProbability)}, Oavgjort ${formatPercent(monteCarloResult.drawProbability)}, Borta ${formatPercent(monteCarloResult.awayWinProbability)}`);
   
   console.log('');
   console.log('📊 JÄMFÖRELSE AV RESULTAT:');
@@ -54,19 +55,19 @@ try {
   console.log('Modell        | Hemma  | Oavgjort | Borta  | Total');
   console.log('─'.repeat(60));
   
-  const xgHome = parseFloat(xgResult.homeWin);
-  const xgDraw = parseFloat(xgResult.draw);
-  const xgAway = parseFloat(xgResult.awayWin);
+  const xgHome = xgResult.homeWinProbability * 100;
+  const xgDraw = xgResult.drawProbability * 100;
+  const xgAway = xgResult.awayWinProbability * 100;
   const xgTotal = xgHome + xgDraw + xgAway;
   
-  const poissonHome = parseFloat(poissonResult.homeWinProbability);
-  const poissonDraw = parseFloat(poissonResult.drawProbability);
-  const poissonAway = parseFloat(poissonResult.awayWinProbability);
+  const poissonHome = poissonResult.homeWinProbability * 100;
+  const poissonDraw = poissonResult.drawProbability * 100;
+  const poissonAway = poissonResult.awayWinProbability * 100;
   const poissonTotal = poissonHome + poissonDraw + poissonAway;
   
-  const mcHome = parseFloat(monteCarloResult.homeWinProbability);
-  const mcDraw = parseFloat(monteCarloResult.drawProbability);
-  const mcAway = parseFloat(monteCarloResult.awayWinProbability);
+  const mcHome = monteCarloResult.homeWinProbability * 100;
+  const mcDraw = monteCarloResult.drawProbability * 100;
+  const mcAway = monteCarloResult.awayWinProbability * 100;
   const mcTotal = mcHome + mcDraw + mcAway;
   
   console.log(`xG            | ${xgHome.toFixed(1).padStart(5)}% | ${xgDraw.toFixed(1).padStart(7)}% | ${xgAway.toFixed(1).padStart(5)}% | ${xgTotal.toFixed(1)}%`);
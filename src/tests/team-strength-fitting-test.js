@@ -0,0 +1,161 @@
+// Test för skattning av lagstyrkor: inläsning, maximum likelihood, tidsviktning och förifyllning av Poisson-fliken
+import { TeamStrengthFitter, parseMatchResults, timeDecayFromHalfLife } from '../utils/teamStrengthFitting.js';
+import { enhancedPoissonCalculator } from '../utils/improvedMath.js';
+import { assert, close, simulateLeague } from './test-helpers.js';
+
+const fitter = new TeamStrengthFitter();
+
+// Syntetiska resultat med kända styrkor: mål hemma = attack * försvar * 1.3
+const TRUE_ATTACK = [1.5, 1.2, 1.0, 0.9, 0.8, 0.6];
+const TRUE_DEFENCE = [0.8, 1.0, 1.1, 1.3, 1.3, 1.6];
+const TRUE_HOME_FACTOR = 1.3;
+
+const simulateResults = (seasons, seed, attackOf = (team) => TRUE_ATTACK[team]) => simulateLeague({
+  seed,
+  strengths: TRUE_ATTACK,
+  rounds: seasons,
+  homeRate: (home, away, season) => attackOf(home, season) * TRUE_DEFENCE[away] * TRUE_HOME_FACTOR,
+  awayRate: (home, away, season) => attackOf(away, season) * TRUE_DEFENCE[home],
+  date: (index) => new Date(Date.UTC(2020, 0, 2 + index))
+});
+
+const expectedGoals = (fit, home, away) => {
+  const homeTeam = fit.teams.find(row => row.team === home);
+  const awayTeam = fit.teams.find(row => row.team === away);
+  return [
+    homeTeam.attack * awayTeam.defence / fit.leagueAverage * (1 + fit.homeAdvantage),
+    awayTeam.attack * homeTeam.defence / fit.leagueAverage
+  ];
+};
+
+const testParsing = () => {
+  const results = parseMatchResults(`2024-08-17, Alfa 2-1 Beta
+# kommentar
+2024-08-24; Beta; Gamma; 0; 0
+Gamma 3-1 Alfa`);
+  assert(results.length === 3, 'Kommentarer ska hoppas över');
+  assert(results[0].date.toISOString().startsWith('2024-08-17') && results[0].homeGoals === 2, 'Datum och resultat ska läsas in');
+  assert(results[1].away === 'Gamma' && results[1].awayGoals === 0, 'Semikolonseparerade rader ska fungera');
+  assert(results[2].date === null, 'Rader utan datum ska fungera');
+
+  let missingScore = null;
+  try {
+    parseMatchResults('Alfa - Beta');
+  } catch (error) {
+    missingScore = error;
+  }
+  assert(missingScore, 'Match utan resultat ska ge fel');
+
+  let missingDate = null;
+  try {
+    fitter.fit(results, { timeDecay: 0.01 });
+  } catch (error) {
+    missingDate = error;
+  }
+  assert(missingDate, 'Tidsviktning utan datum ska ge fel');
+};
+
+const testMaximumLikelihood = () => {
+  const results = simulateResults(20, 3);
+  const fit = fitter.fit(results);
+
+  assert(fit.converged, 'Skattningen ska konvergera');
+  assert(Math.abs(fit.homeAdvantage - (TRUE_HOME_FACTOR - 1)) < 0.1, `Hemmafördelen ska återskapas (${fit.homeAdvantage.toFixed(3)})`);
+  assert(fit.teams[0].team === 'Lag 0' && fit.teams[fit.teams.length - 1].team === 'Lag 5', 'Starkaste och svagaste laget ska identifieras');
+
+  // Likelihood-ekvationerna: förväntade mål ska summera till faktiska mål för varje lag
+  fit.teams.forEach(({ team }) => {
+    let scored = 0;
+    let predicted = 0;
+    results.forEach(match => {
+      const [homeLambda, awayLambda] = expectedGoals(fit, match.home, match.away);
+      if (match.home === team) {
+        scored += match.homeGoals;
+        predicted += homeLambda;
+      }
+      if (match.away === team) {
+        scored += match.awayGoals;
+        predicted += awayLambda;
+      }
+    });
+    assert(close(scored, predicted, 1e-4), `${team}: förväntade mål ska matcha gjorda mål`);
+  });
+
+  // Skattat rho ska ge minst lika hög likelihood som oberoende Poisson
+  const independent = fitter.fit(results, { dixonColes: false });
+  assert(independent.rho === 0, 'Utan Dixon-Coles ska rho vara 0');
+  assert(fit.logLikelihood >= independent.logLikelihood, 'Skattat rho ska inte sänka likelihooden');
+  assert(Math.abs(fit.rho) < 0.15, 'Oberoende data ska ge litet rho');
+};
+
+const testTimeDecay = () => {
+  // Lag 5 blir plötsligt bäst under den sista säsongen
+  const results = simulateResults(6, 5, (team, season) => (team === 5 && season === 5 ? 2.0 : TRUE_ATTACK[team]));
+  const unweighted = fitter.fit(results);
+  const weighted = fitter.fit(results, { timeDecay: timeDecayFromHalfLife(15) });
+  const attackOf = (fit) => fit.teams.find(row => row.team === 'Lag 5').attack / fit.leagueAverage;
+
+  assert(close(timeDecayFromHalfLife(30) * 30, Math.LN2), 'Halveringstiden ska ge rätt avklingning');
+  assert(timeDecayFromHalfLife(0) === 0, 'Halveringstid 0 ska stänga av tidsviktningen');
+  assert(weighted.effectiveMatches < unweighted.effectiveMatches, 'Tidsviktning ska minska det effektiva antalet matcher');
+  assert(attackOf(weighted) > attackOf(unweighted) + 0.2, 'Nya resultat ska väga tyngre med tidsviktning');
+};
+
+const testPoissonPrefill = () => {
+  const fit = fitter.fit(simulateResults(10, 6));
+  const inputs = fitter.poissonInputs(fit, 'Lag 0', 'Lag 5');
+  const prediction = enhancedPoissonCalculator.calculate({
+    homeAttackRate: inputs.homeGoals,
+    awayAttackRate: inputs.awayGoals,
+    homeDefenseRate: inputs.homeDefense,
+    awayDefenseRate: inputs.awayDefense,
+    rho: inputs.rho,
+    leagueAverage: inputs.leagueAverage,
+    homeAdvantage: inputs.homeAdvantage
+  });
+  const [homeLambda, awayLambda] = expectedGoals(fit, 'Lag 0', 'Lag 5');
+
+  assert(close(prediction.expectedHomeGoals, homeLambda), 'Förväntade hemmamål ska motsvara skattningen');
+  assert(close(prediction.expectedAwayGoals, awayLambda), 'Förväntade bortamål ska motsvara skattningen');
+  assert(close(prediction.dixonColes.rho, fit.rho), 'Skattat rho ska föras över');
+  assert(prediction.homeWinProbability > 0.6, 'Bästa laget hemma mot sämsta ska vara klar favorit');
+
+  let unknownTeam = null;
+  try {
+    fitter.poissonInputs(fit, 'Lag 0', 'Okänt lag');
+  } catch (error) {
+    unknownTeam = error;
+  }
+  assert(unknownTeam, 'Okänt lag ska ge fel');
+};
+
+export function runTeamStrengthFittingTests() {
+  console.log('📐 SKATTNING AV LAGSTYRKOR TEST');
+  console.log('===============================');
+
+  const tests = [
+    ['Inläsning av resultat', testParsing],
+    ['Maximum likelihood (Maher / Dixon-Coles)', testMaximumLikelihood],
+    ['Tidsviktning', testTimeDecay],
+    ['Förifyllning av Poisson-fliken', testPoissonPrefill]
+  ];
+
+  let passed = 0;
+  tests.forEach(([name, test]) => {
+    try {
+      test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  });
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTeamStrengthFittingTests();
+}
@@ -0,0 +1,69 @@
+// Delade hjälpfunktioner för testerna: påståenden och simulerade ligor med fast frö
+import { PoissonGenerator, SeededRandom } from '../utils/improvedMath.js';
+
+export const assert = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+export const close = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+// Förväntar att fn (synkron eller asynkron) kastar ett fel vars meddelande innehåller text
+export const expectError = async (fn, text) => {
+  try {
+    await fn();
+  } catch (error) {
+    assert(error.message.includes(text), `Fel meddelande: ${error.message}`);
+    return;
+  }
+  throw new Error(`Förväntade fel: ${text}`);
+};
+
+// Alla par av olika lag, hemmalag i yttre ordning: en hel dubbelserie
+export const doubleRoundRobin = (teams) => Array.from({ length: teams }, (_, home) => (
+  Array.from({ length: teams }, (_, away) => [home, away]).filter(([, away]) => away !== home)
+)).flat();
+
+/**
+ * Simulerade resultat mellan lagen "Lag 0", "Lag 1", ... i samma form som parseMatchResults.
+ * Målförväntan är som standard basnivån gånger kvoten mellan lagens styrkor.
+ * @param {Object} options
+ * @param {number} options.seed - Frö för målen
+ * @param {Array<number>} options.strengths - Styrka per lag (bestämmer antalet lag)
+ * @param {number} options.rounds - Antal omgångar
+ * @param {number} options.homeGoals - Hemmalagets basnivå
+ * @param {number} options.awayGoals - Bortalagets basnivå
+ * @param {Function} options.homeRate - (hemma, borta, omgång) => målförväntan, ersätter standardmodellen
+ * @param {Function} options.awayRate - (hemma, borta, omgång) => målförväntan, ersätter standardmodellen
+ * @param {Function} options.fixtures - omgång => [[hemma, borta], ...], standard är en hel dubbelserie
+ * @param {Function|null} options.date - (matchnummer, omgång) => Date, null ger matcher utan datum
+ * @returns {Array<Object>} { date, home, away, homeGoals, awayGoals }
+ */
+export const simulateLeague = ({
+  seed,
+  strengths,
+  rounds = 1,
+  homeGoals = 1.5,
+  awayGoals = 1.1,
+  homeRate = (home, away) => homeGoals * strengths[home] / strengths[away],
+  awayRate = (home, away) => awayGoals * strengths[away] / strengths[home],
+  fixtures = () => doubleRoundRobin(strengths.length),
+  date = (index) => new Date(Date.UTC(2024, 0, 1 + index))
+}) => {
+  const generator = new PoissonGenerator(new SeededRandom(seed));
+  const results = [];
+  for (let round = 0; round < rounds; round++) {
+    fixtures(round).forEach(([home, away]) => {
+      const matchDate = date ? { date: date(results.length, round) } : {};
+      results.push({
+        ...matchDate,
+        home: `Lag ${home}`,
+        away: `Lag ${away}`,
+        homeGoals: generator.generate(homeRate(home, away, round)),
+        awayGoals: generator.generate(awayRate(home, away, round))
+      });
+    });
+  }
+  return results;
+};
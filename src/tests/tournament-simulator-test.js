@@ -0,0 +1,198 @@
+// Test för turneringssimulering: inläsning, slutspelsträd, förlängning, straffar, gruppspel och dubbelmöten
+import {
+  TournamentSimulator,
+  parseTournamentTeams,
+  parseGroups,
+  penaltyShootoutProbability,
+  resolveTournamentFormat
+} from '../utils/tournamentSimulator.js';
+
+const simulator = new TournamentSimulator();
+
+const assert = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+const close = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+const eightTeams = parseTournamentTeams(`Lag, Gjorda, Insläppta, Straffar
+Alfa, 2.1, 0.8, 80
+Beta, 1.2, 1.4
+Gamma, 1.6, 1.0
+Delta, 1.1, 1.5
+Epsilon, 1.8, 0.9
+Zeta, 1.0, 1.6
+Eta, 1.4, 1.2
+Theta, 1.3, 1.3`);
+
+const sixteenTeams = parseTournamentTeams(Array.from({ length: 16 }, (_, index) => (
+  `Lag ${index + 1}, ${(2.0 - index * 0.06).toFixed(2)}, ${(0.8 + index * 0.05).toFixed(2)}`
+)).join('\n'));
+
+const groups = parseGroups(`A: Lag 1, Lag 8, Lag 9, Lag 16
+B: Lag 2, Lag 7, Lag 10, Lag 15
+C: Lag 3, Lag 6, Lag 11, Lag 14
+D: Lag 4, Lag 5, Lag 12, Lag 13`);
+
+const testParsing = () => {
+  assert(eightTeams.length === 8 && eightTeams[0].team === 'Alfa', 'Rubrikraden ska hoppas över');
+  assert(eightTeams[0].penaltyConversion === 0.8 && eightTeams[1].penaltyConversion === undefined, 'Straffprocent ska läsas in valfritt');
+  assert(groups.length === 4 && groups[2].name === 'C' && groups[2].teams[3] === 'Lag 14', 'Grupper ska läsas in');
+  assert(parseGroups('X, Y\nZ, W')[1].name === 'B', 'Grupper utan namn ska namnges i ordning');
+  assert(resolveTournamentFormat({ groupStage: true, groupLegs: 2 }).advancePerGroup === 2, 'Eget format ska fyllas på med standardvärden');
+
+  let oddBracket = null;
+  try {
+    simulator.simulate({ teams: eightTeams.slice(0, 6) });
+  } catch (error) {
+    oddBracket = error;
+  }
+  assert(oddBracket, 'Slutspel som inte är en tvåpotens ska ge fel');
+};
+
+const testKnockoutProbabilities = () => {
+  const result = simulator.simulate({ teams: eightTeams, simulations: 4000, randomSeed: 7 });
+
+  assert(result.stages.join(',') === 'Kvartsfinal,Semifinal,Final,Mästare', 'Omgångarna ska namnges efter antal lag');
+  result.stages.forEach((stage, index) => {
+    const total = result.teams.reduce((sum, team) => sum + team.stageProbabilities[index], 0);
+    const expected = index === result.stages.length - 1 ? 1 : 8 / 2 ** index;
+    assert(close(total, expected), `${stage}: summan ska vara ${expected}`);
+  });
+  result.teams.forEach(team => {
+    const probabilities = team.stageProbabilities;
+    assert(probabilities.every((p, index) => index === 0 || p <= probabilities[index - 1]), `${team.team}: sannolikheten ska minska för varje omgång`);
+  });
+  assert(result.teams[0].team === 'Alfa', 'Starkaste laget ska ha störst chans att vinna');
+
+  // Slutspelsträdet: Alfa och Beta möts i kvartsfinal, vinnaren spelar semifinal i plats 0
+  const semifinalSlot = result.bracket[1].slots[0];
+  assert(semifinalSlot.every(entry => ['Alfa', 'Beta'].includes(entry.team)), 'Trädet ska föra vinnaren vidare till rätt plats');
+  assert(close(result.bracket[3].slots[0].reduce((sum, entry) => sum + entry.probability, 0), 1), 'Mästarplatsen ska summera till 1');
+
+  const first = JSON.stringify(result.teams);
+  const again = JSON.stringify(new TournamentSimulator().simulate({ teams: eightTeams, simulations: 4000, randomSeed: 7 }).teams);
+  assert(first === again, 'Samma frö ska ge samma turnering');
+};
+
+const testExtraTimeAndPenalties = () => {
+  assert(close(penaltyShootoutProbability(0.75, 0.75), 0.5), 'Lika bra straffskyttar ska ha lika chans');
+  assert(penaltyShootoutProbability(0.85, 0.65) > 0.6, 'Bättre straffskyttar ska vinna oftare');
+
+  // Simulerad straffläggning ska stämma med den exakta sannolikheten
+  const shootouts = 20000;
+  simulator.rng.setSeed(3);
+  let wins = 0;
+  for (let i = 0; i < shootouts; i++) {
+    if (simulator.penaltyShootout(0.85, 0.65)) wins++;
+  }
+  assert(Math.abs(wins / shootouts - penaltyShootoutProbability(0.85, 0.65)) < 0.015, 'Simulerade straffar ska matcha den exakta modellen');
+
+  const equal = parseTournamentTeams('P, 1.3, 1.3\nQ, 1.3, 1.3');
+  const normal = simulator.simulate({ teams: equal, simulations: 6000 });
+  const noExtraGoals = simulator.simulate({ teams: equal, simulations: 6000, extraTimeIntensity: 0 });
+  assert(normal.simulationStats.extraTimeRate > 0.15 && normal.simulationStats.extraTimeRate < 0.4, 'Ungefär var fjärde jämn match ska gå till förlängning');
+  assert(normal.simulationStats.penaltiesRate < normal.simulationStats.extraTimeRate, 'Alla förlängningar ska inte gå till straffar');
+  assert(close(noExtraGoals.simulationStats.penaltiesRate, noExtraGoals.simulationStats.extraTimeRate), 'Utan mål i förlängningen ska alla oavgjorda matcher avgöras på straffar');
+  assert(Math.abs(normal.teams[0].winProbability - 0.5) < 0.03, 'Lika lag på neutral plan ska ha lika chans');
+};
+
+const testGroupStage = () => {
+  ['worldCup', 'championsLeague'].forEach(format => {
+    const result = simulator.simulate({ teams: sixteenTeams, groups, format, simulations: 2000, randomSeed: 9 });
+
+    assert(result.stages[0] === 'Gruppspel' && result.stages[1] === 'Kvartsfinal', `${format}: gruppspel följs av kvartsfinal`);
+    result.teams.forEach(team => {
+      assert(team.stageProbabilities[0] === 1, `${format}: alla lag spelar gruppspel`);
+      assert(close(team.groupPositionProbabilities.reduce((sum, p) => sum + p, 0), 1), `${format}: ${team.team} gruppplaceringar ska summera till 1`);
+      assert(close(team.advanceProbability, team.groupPositionProbabilities[0] + team.groupPositionProbabilities[1]), `${format}: topp två går vidare`);
+    });
+    const advancing = result.teams.reduce((sum, team) => sum + team.advanceProbability, 0);
+    assert(close(advancing, 8), `${format}: åtta lag ska gå till slutspel`);
+    assert(close(result.teams.reduce((sum, team) => sum + team.winProbability, 0), 1), `${format}: exakt en mästare`);
+    assert(result.teams[0].team === 'Lag 1', `${format}: bästa laget ska vara favorit`);
+  });
+
+  // VM-lottning: gruppettor och grupptvåor från granngruppen möts (A1-B2, C1-D2, B1-A2, D1-C2)
+  const worldCup = simulator.simulate({ teams: sixteenTeams, groups, format: 'worldCup', simulations: 500 });
+  const groupOfTeam = new Map(worldCup.teams.map(team => [team.team, team.group]));
+  const firstMatchGroups = new Set([...worldCup.bracket[0].slots[0], ...worldCup.bracket[0].slots[1]].map(entry => groupOfTeam.get(entry.team)));
+  assert([...firstMatchGroups].sort().join('') === 'AB', 'Första matchen ska stå mellan grupp A och B');
+};
+
+const testTwoLeggedTie = () => {
+  const [home, away] = parseTournamentTeams('Hemma, 1.4, 1.2\nBorta, 1.4, 1.2');
+  const open = simulator.simulateTie({ first: home, second: away, simulations: 8000, randomSeed: 4 });
+
+  assert(close(open.qualification.first + open.qualification.second, 1), 'Chansen att gå vidare ska summera till 1');
+  assert(close(Object.values(open.decidedBy).reduce((sum, p) => sum + p, 0), 1), 'Varje dubbelmöte ska avgöras på exakt ett sätt');
+  assert(Math.abs(open.qualification.first - 0.5) < 0.03, 'Lika lag ska ha lika chans när hemmafördelen byts');
+  assert(open.decidedBy.awayGoals === 0, 'Utan bortamålsregel ska inget avgöras på bortamål');
+  assert(open.aggregateScores.length === 10 && open.aggregateScores[0].probability >= open.aggregateScores[9].probability, 'Vanligaste sammanlagda resultaten ska sorteras');
+  assert(open.legs[0].home === 'Hemma' && open.legs[1].home === 'Borta', 'Andra mötet ska spelas hos motståndaren');
+  assert(open.legs[0].homeWinProbability > open.legs[0].awayWinProbability, 'Hemmalaget ska ha hemmafördel i varje möte');
+
+  const leading = simulator.simulateTie({ first: home, second: away, firstLeg: { homeGoals: 3, awayGoals: 0 }, simulations: 4000 });
+  const trailing = simulator.simulateTie({ first: home, second: away, firstLeg: { homeGoals: 0, awayGoals: 3 }, simulations: 4000 });
+  assert(leading.qualification.first > 0.9 && trailing.qualification.first < 0.1, 'Spelat första möte ska styra chansen att gå vidare');
+  assert(leading.aggregateScores.every(score => score.first >= 3), 'Spelat första möte ska ingå i det sammanlagda resultatet');
+
+  // 2-1 i första mötet: med bortamålsregeln räcker 1-0 i returen för bortalaget
+  const params = { first: home, second: away, firstLeg: { homeGoals: 2, awayGoals: 1 }, simulations: 6000, randomSeed: 8 };
+  const withoutRule = simulator.simulateTie(params);
+  const withRule = simulator.simulateTie({ ...params, awayGoals: true });
+  assert(withRule.decidedBy.awayGoals > 0.05, 'Bortamålsregeln ska avgöra en del dubbelmöten');
+  assert(withRule.qualification.second > withoutRule.qualification.second, 'Bortamål i första mötet ska hjälpa bortalaget');
+  assert(withRule.decidedBy.penalties < withoutRule.decidedBy.penalties, 'Bortamålsregeln ska ge färre straffläggningar');
+
+  const again = simulator.simulateTie(params);
+  assert(JSON.stringify(again) === JSON.stringify(withoutRule), 'Samma frö ska ge samma dubbelmöte');
+
+  let invalidScore = null;
+  try {
+    simulator.simulateTie({ first: home, second: away, firstLeg: { homeGoals: -1, awayGoals: 0 } });
+  } catch (error) {
+    invalidScore = error;
+  }
+  assert(invalidScore, 'Negativt resultat i första mötet ska ge fel');
+
+  // Slutspel med dubbelmöten: alla omgångar utom finalen spelas i två matcher
+  const cup = simulator.simulate({ teams: eightTeams, format: 'twoLeggedCup', simulations: 2000 });
+  assert(cup.format.knockoutLegs === 2 && cup.simulationStats.awayGoalsRate === 0, 'Cupformatet ska spelas i dubbelmöten utan bortamål');
+  assert(close(cup.teams.reduce((sum, team) => sum + team.winProbability, 0), 1), 'Cupen ska ha exakt en mästare');
+  assert(cup.teams[0].team === 'Alfa', 'Starkaste laget ska vara favorit även i dubbelmöten');
+};
+
+export function runTournamentSimulatorTests() {
+  console.log('🏆 TURNERINGSSIMULERING TEST');
+  console.log('============================');
+
+  const tests = [
+    ['Inläsning av lag och grupper', testParsing],
+    ['Utslagsträd och omgångssannolikheter', testKnockoutProbabilities],
+    ['Förlängning och straffläggning', testExtraTimeAndPenalties],
+    ['Gruppspel + slutspel', testGroupStage],
+    ['Dubbelmöten', testTwoLeggedTie]
+  ];
+
+  let passed = 0;
+  tests.forEach(([name, test]) => {
+    try {
+      test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  });
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTournamentSimulatorTests();
+}
@@ -4,6 +4,7 @@
 import { calculateAdvancedXGPrediction } from '../utils/xgCalculations.js';
 import { enhancedPoissonCalculator } from '../utils/improvedMath.js';
 import { monteCarloSimulator } from '../utils/improvedMath.js';
+import { formatPercent } from '../utils/resultFormatting.js';
 
 // Simulera UI-interaktion
 function simulateUIInteraction() {
@@ -74,7 +75,7 @@ async function testCalculationButton() {
     
     if (results.xg && typeof results.xg === 'object') {
       console.log(`✅ xG-beräkning slutförd (${xgTime}ms)`);
-      console.log(`   Resultat: H${results.xg.homeWin}% D${results.xg.draw}% A${results.xg.awayWin}%`);
+      console.log(`   Resultat: H${formatPercent(results.xg.homeWinProbability)} D${formatPercent(results.xg.drawProbability)} A${formatPercent(results.xg.awayWinProbability)}`);
     } else {
       errors.push('xG-beräkning returnerade ogiltigt resultat');
     }
@@ -98,7 +99,7 @@ async function testCalculationButton() {
     
     if (results.poisson && typeof results.poisson === 'object') {
       console.log(`✅ Poisson-beräkning slutförd (${poissonTime}ms)`);
-      console.log(`   Resultat: H${results.poisson.homeWinProbability}% D${results.poisson.drawProbability}% A${results.poisson.awayWinProbability}%`);
+      console.log(`   Resultat: H${formatPercent(results.poisson.homeWinProbability)} D${formatPercent(results.poisson.drawProbability)} A${formatPercent(results.poisson.awayWinProbability)}`);
     } else {
       errors.push('Poisson-beräkning returnerade ogiltigt resultat');
     }
@@ -123,7 +124,7 @@ async function testCalculationButton() {
     
     if (results.monteCarlo && typeof results.monteCarlo === 'object') {
       console.log(`✅ Monte Carlo-simulering slutförd (${monteCarloTime}ms)`);
-      console.log(`   Resultat: H${results.monteCarlo.homeWinProbability}% D${results.monteCarlo.drawProbability}% A${results.monteCarlo.awayWinProbability}%`);
+      console.log(`   Resultat: H${formatPercent(results.monteCarlo.homeWinProbability)} D${formatPercent(results.monteCarlo.drawProbability)} A${formatPercent(results.monteCarlo.awayWinProbability)}`);
     } else {
       errors.push('Monte Carlo-simulering returnerade ogiltigt resultat');
     }
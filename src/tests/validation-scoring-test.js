@@ -0,0 +1,140 @@
+// Test för poängreglerna i den historiska valideringen: RPS, ignorans, Brier-uppdelning, målmarknader och rangordning
+import {
+  HistoricalValidator,
+  historicalMatchesFromResults,
+  RANKING_METRICS,
+  VALIDATION_MARKETS
+} from '../utils/historicalValidation.js';
+import { SeededRandom } from '../utils/improvedMath.js';
+import { assert, close, simulateLeague } from './test-helpers.js';
+
+const validator = new HistoricalValidator();
+
+const forecast = (home, draw, away) => ({ homeWinProbability: home, drawProbability: draw, awayWinProbability: away });
+const result = (outcome) => ({ result: outcome });
+
+const testRankedProbabilityScore = () => {
+  assert(close(validator.calculateRankedProbabilityScore(forecast(1, 0, 0), result('home')), 0), 'Säker rätt prognos ska ge RPS 0');
+  assert(close(validator.calculateRankedProbabilityScore(forecast(1, 0, 0), result('away')), 1), 'Säker prognos på fel ytterlighet ska ge RPS 1');
+  assert(close(validator.calculateRankedProbabilityScore(forecast(1 / 3, 1 / 3, 1 / 3), result('home')), 5 / 18), 'Likafördelad prognos ska ge RPS 5/18 vid hemmavinst');
+
+  // Lika Brier men olika RPS: sannolikhet nära det faktiska utfallet belönas (Constantinou & Fenton 2012)
+  const near = forecast(0.5, 0.4, 0.1);
+  const far = forecast(0.5, 0.1, 0.4);
+  assert(close(validator.calculateBrierScore(near, result('home')), validator.calculateBrierScore(far, result('home'))), 'Exemplet ska ha samma Brier score');
+  assert(validator.calculateRankedProbabilityScore(near, result('home')) < validator.calculateRankedProbabilityScore(far, result('home')), 'RPS ska ta hänsyn till utfallens ordning');
+
+  assert(close(validator.calculateIgnoranceScore(forecast(1 / 3, 1 / 3, 1 / 3), result('draw')), Math.log2(3)), 'Likafördelad prognos ska ge ignorans log2(3) bitar');
+  assert(close(validator.calculateIgnoranceScore(forecast(0.5, 0.25, 0.25), result('away')), 2), 'Sannolikhet 1/4 ska ge 2 bitar');
+};
+
+const testBrierDecomposition = () => {
+  // Två prognostyper som ligger i var sitt intervall gör uppdelningen exakt
+  const random = new SeededRandom(5);
+  const types = [forecast(0.55, 0.25, 0.2), forecast(0.25, 0.3, 0.45)];
+  const predictions = [];
+  const actuals = [];
+  for (let i = 0; i < 400; i++) {
+    const prediction = types[i % 2];
+    const u = random.next();
+    predictions.push(prediction);
+    actuals.push(result(u < prediction.homeWinProbability ? 'home' : u < prediction.homeWinProbability + prediction.drawProbability ? 'draw' : 'away'));
+  }
+
+  const decomposition = validator.calculateBrierDecomposition(predictions, actuals);
+  const brier = predictions.reduce((sum, prediction, index) => sum + validator.calculateBrierScore(prediction, actuals[index]), 0) / predictions.length;
+  assert(close(decomposition.total.brierScore, brier), 'Summan över utfallen ska vara 1X2-Brier');
+
+  ['home', 'draw', 'away', 'total'].forEach(part => {
+    const { brierScore, reliability, resolution, uncertainty } = decomposition[part];
+    assert(close(brierScore, reliability - resolution + uncertainty), `${part}: Brier ska vara reliabilitet - upplösning + osäkerhet`);
+  });
+
+  const homeRate = actuals.filter(actual => actual.result === 'home').length / actuals.length;
+  assert(close(decomposition.home.uncertainty, homeRate * (1 - homeRate)), 'Osäkerheten ska bero på basfrekvensen');
+  assert(decomposition.home.resolution > 0, 'Olika prognoser med olika utfall ska ge upplösning');
+};
+
+const testMarketScores = () => {
+  const predictions = [
+    { ...forecast(0.5, 0.3, 0.2), over25Probability: 0.8, bothTeamsScoreProbability: 0.6 },
+    { ...forecast(0.5, 0.3, 0.2), over25Probability: 0.4, bothTeamsScoreProbability: 0.5 }
+  ];
+  const actuals = [
+    { homeGoals: 2, awayGoals: 1, result: 'home' },
+    { homeGoals: 0, awayGoals: 0, result: 'draw' }
+  ];
+  const scores = validator.calculateMarketScores(predictions, actuals);
+
+  assert(scores.over25.matches === 2 && close(scores.over25.baseRate, 0.5), 'Över 2.5 ska avräknas från målen');
+  assert(close(scores.over25.brierScore, (0.04 + 0.16) / 2), 'Brier för över 2.5 ska vara medelkvadratfelet');
+  assert(close(scores.over25.logLoss, -(Math.log(0.8) + Math.log(0.6)) / 2), 'Log loss för över 2.5 ska använda 1 - p vid under');
+  assert(close(scores.btts.brierScore, (0.16 + 0.25) / 2), 'BTTS ska avräknas på att båda lagen gjort mål');
+  assert(!scores.over15 && !scores.over35, 'Marknader som saknas i prognoserna ska utelämnas');
+};
+
+// Simulerad serie mellan fyra lag, tre dubbelserier
+const STRENGTHS = [1.5, 1.1, 0.9, 0.7];
+
+const testRanking = async () => {
+  const rankingValidator = new HistoricalValidator();
+  const matches = historicalMatchesFromResults(simulateLeague({ seed: 21, strengths: STRENGTHS, rounds: 3 }));
+  const poisson = await rankingValidator.validateModel(matches, 'poisson');
+  await rankingValidator.validateModel(matches, 'elo');
+
+  assert(poisson.rankedProbabilityScore > 0 && poisson.rankedProbabilityScore < 1, 'Valideringen ska redovisa RPS');
+  assert(close(poisson.ignoranceScore, -poisson.logLikelihood / Math.LN2), 'Ignoransen ska vara log-likelihood i bitar');
+  assert(close(poisson.brierDecomposition.total.brierScore, poisson.brierScore), 'Brier-uppdelningen ska summera till Brier score');
+  Object.keys(VALIDATION_MARKETS).forEach(market => {
+    assert(poisson.marketScores[market]?.matches === matches.length, `${market} ska poängsättas för alla matcher`);
+  });
+
+  Object.entries(RANKING_METRICS).forEach(([metric, { higherIsBetter }]) => {
+    const ranking = rankingValidator.rankModels(metric);
+    assert(ranking.length === 2 && ranking[0].rank === 1, `${metric}: båda modellerna ska rangordnas`);
+    assert(higherIsBetter ? ranking[0].value >= ranking[1].value : ranking[0].value <= ranking[1].value, `${metric}: bästa modellen ska stå först`);
+  });
+
+  const report = rankingValidator.generateValidationReport({ metric: 'bttsBrierScore' });
+  assert(report.metric === 'bttsBrierScore' && report.ranking[0].model === report.comparison.bestOnMetric, 'Rapporten ska rangordna på valt mått');
+  assert(rankingValidator.generateValidationReport().metric === 'rankedProbabilityScore', 'RPS ska vara standardmåttet');
+  assert(report.comparison.bestRankedProbabilityScore.name === rankingValidator.rankModels('rankedProbabilityScore')[0].model, 'Jämförelsen ska ange bästa RPS');
+
+  try {
+    rankingValidator.rankModels('auc');
+    throw new Error('Okänt mått ska ge fel');
+  } catch (error) {
+    assert(error.message.includes('Unknown ranking metric'), `Fel meddelande: ${error.message}`);
+  }
+};
+
+export async function runValidationScoringTests() {
+  console.log('📏 POÄNGREGLER I VALIDERINGEN TEST');
+  console.log('==================================');
+
+  const tests = [
+    ['RPS och ignorans', testRankedProbabilityScore],
+    ['Brier-uppdelning per utfall', testBrierDecomposition],
+    ['Över/under och BTTS', testMarketScores],
+    ['Rangordning på valfritt mått', testRanking]
+  ];
+
+  let passed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runValidationScoringTests();
+}
@@ -0,0 +1,153 @@
+// Test för historisk validering i Web Worker (ensemble, kalibrering och optimering): samma resultat som på samma tråd, framsteg, fel och avbrytning
+import { ValidationWorkerRunner } from '../utils/validationWorkerRunner.js';
+import { runValidationTask } from '../utils/validationTasks.js';
+import { isSimulationCancelled } from '../utils/monteCarloWorkerPool.js';
+import { ModelEnsemble } from '../utils/modelEnsemble.js';
+import { ProbabilityCalibrator, CALIBRATION_METHODS, ALL_LEAGUES } from '../utils/probabilityCalibration.js';
+import { HyperparameterTuner } from '../utils/hyperparameterTuning.js';
+import { historicalMatchesFromResults } from '../utils/historicalValidation.js';
+import { assert, close, expectError, simulateLeague } from './test-helpers.js';
+
+const matches = historicalMatchesFromResults(simulateLeague({ seed: 31, strengths: [1.5, 1.1, 0.9, 0.7], rounds: 3 }));
+const ENSEMBLE_OPTIONS = { models: ['poisson', 'elo'], method: 'linear', objective: 'logLoss' };
+
+/**
+ * Emulerad worker med samma meddelandeprotokoll som validationWorker.js.
+ * Meddelandena klonas som mellan trådar och svaren skickas asynkront.
+ */
+const createFakeWorkerFactory = (log = { started: 0, terminated: 0 }) => () => {
+  log.started++;
+
+  const worker = {
+    terminated: false,
+    postMessage: (message) => {
+      const { task, matches: clonedMatches, options } = structuredClone(message);
+      const send = (data) => setTimeout(() => {
+        if (!worker.terminated) worker.onmessage({ data: structuredClone(data) });
+      }, 0);
+      setTimeout(async () => {
+        try {
+          const result = await runValidationTask(task, clonedMatches, options, share => send({ type: 'progress', share }));
+          send({ type: 'result', result });
+        } catch (error) {
+          send({ type: 'error', message: error.message });
+        }
+      }, 0);
+    },
+    terminate: () => {
+      worker.terminated = true;
+      log.terminated++;
+    }
+  };
+  return worker;
+};
+
+const testEnsembleTask = async () => {
+  const direct = await new ModelEnsemble().learnFromHistory(matches, ENSEMBLE_OPTIONS);
+
+  const localProgress = [];
+  const local = await new ValidationWorkerRunner({ createWorker: null }).run('ensemble', matches, ENSEMBLE_OPTIONS, {
+    onProgress: share => localProgress.push(share)
+  });
+  assert(close(local.weights.poisson, direct.weights.poisson) && close(local.score, direct.score), 'Utan worker ska inlärningen köras på samma tråd');
+  assert(localProgress.join() === '0.5,1', `Framsteg ska rapporteras per validerad modell: ${localProgress.join()}`);
+
+  const log = { started: 0, terminated: 0 };
+  const progress = [];
+  const remote = await new ValidationWorkerRunner({ createWorker: createFakeWorkerFactory(log) }).run('ensemble', matches, ENSEMBLE_OPTIONS, {
+    onProgress: share => progress.push(share)
+  });
+  assert(close(remote.weights.poisson, direct.weights.poisson) && close(remote.score, direct.score), 'Workern ska ge samma vikter och poäng');
+  assert(remote.models.join() === direct.models.join() && remote.matches === direct.matches, 'Workern ska ge samma modeller och matcher');
+  assert(progress.join() === '0.5,1', `Framsteg ska föras vidare från workern: ${progress.join()}`);
+  assert(log.terminated === log.started, 'Workern ska stoppas när körningen är klar');
+};
+
+const testCalibrationTask = async () => {
+  const options = { models: ['poisson', 'elo'], method: CALIBRATION_METHODS.temperature, league: 'Testligan', store: { xg: { [ALL_LEAGUES]: { method: CALIBRATION_METHODS.temperature, params: { temperature: 1.1 } } } } };
+  const direct = await new ProbabilityCalibrator().fitFromHistory(matches, options);
+
+  const log = { started: 0, terminated: 0 };
+  const progress = [];
+  const remote = await new ValidationWorkerRunner({ createWorker: createFakeWorkerFactory(log) }).run('calibration', matches, options, {
+    onProgress: share => progress.push(share)
+  });
+  ['poisson', 'elo'].forEach(model => {
+    assert(close(remote[model].Testligan.params.temperature, direct[model].Testligan.params.temperature), `Workern ska ge samma kalibrering för ${model}`);
+    assert(close(remote[model].Testligan.metrics.calibrated.logLoss, direct[model].Testligan.metrics.calibrated.logLoss), 'Workern ska ge samma mått');
+  });
+  assert(remote.xg[ALL_LEAGUES].params.temperature === 1.1, 'Tidigare kalibreringar ska följa med från workern');
+  assert(progress.join() === '0.5,1', `Framsteg ska rapporteras per kalibrerad modell: ${progress.join()}`);
+  assert(log.terminated === log.started, 'Workern ska stoppas när körningen är klar');
+};
+
+const testTuningTask = async () => {
+  const options = { model: 'poisson', parameters: ['homeAdvantage'], gridPoints: 4, folds: 4 };
+  const direct = await new HyperparameterTuner().search(matches, options);
+
+  const log = { started: 0, terminated: 0 };
+  const progress = [];
+  const remote = await new ValidationWorkerRunner({ createWorker: createFakeWorkerFactory(log) }).run('tuning', matches, options, {
+    onProgress: share => progress.push(share)
+  });
+  assert(remote.best.params.homeAdvantage === direct.best.params.homeAdvantage && close(remote.best.score, direct.best.score), 'Workern ska hitta samma konstanter');
+  assert(close(remote.crossValidation.score, direct.crossValidation.score), 'Workern ska ge samma korsvaliderade poäng');
+  // Standardvärdena plus fyra rutnätsvärden: framsteg efter varje kandidat
+  assert(progress.length === 5 && progress.every((share, index) => index === 0 || share > progress[index - 1]) && progress[4] === 1,
+    `Framsteg ska rapporteras efter varje kandidat: ${progress.join()}`);
+  assert(log.terminated === log.started, 'Workern ska stoppas när körningen är klar');
+};
+
+const testErrors = async () => {
+  const log = { started: 0, terminated: 0 };
+  const runner = new ValidationWorkerRunner({ createWorker: createFakeWorkerFactory(log) });
+  await expectError(() => runner.run('okänd', matches), 'Okänd valideringsuppgift');
+  await expectError(() => runner.run('ensemble', matches, { ...ENSEMBLE_OPTIONS, models: ['poisson'] }), 'minst två modeller');
+  await expectError(() => new ValidationWorkerRunner({ createWorker: null }).run('okänd', matches), 'Okänd valideringsuppgift');
+  assert(log.terminated === log.started, 'Workern ska stoppas efter fel');
+};
+
+const testCancellation = async () => {
+  const log = { started: 0, terminated: 0 };
+  const runner = new ValidationWorkerRunner({ createWorker: createFakeWorkerFactory(log) });
+  const controller = new AbortController();
+  const running = runner.run('ensemble', matches, ENSEMBLE_OPTIONS, { signal: controller.signal });
+  controller.abort();
+  assert(isSimulationCancelled(await running.catch(error => error)), 'Avbruten körning ska ge ett AbortError');
+  assert(log.terminated === log.started, 'Workern ska stoppas vid avbrytning');
+
+  const alreadyAborted = await runner.run('ensemble', matches, ENSEMBLE_OPTIONS, { signal: controller.signal }).catch(error => error);
+  assert(isSimulationCancelled(alreadyAborted) && log.started === 1, 'En redan avbruten signal ska inte starta någon worker');
+};
+
+export async function runValidationWorkerTests() {
+  console.log('🧵 VALIDERINGSWORKER TEST');
+  console.log('=========================');
+
+  const tests = [
+    ['Ensembleinlärning i worker', testEnsembleTask],
+    ['Kalibrering i worker', testCalibrationTask],
+    ['Optimering av konstanter i worker', testTuningTask],
+    ['Fel från workern', testErrors],
+    ['Avbrytning', testCancellation]
+  ];
+
+  let passed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runValidationWorkerTests();
+}
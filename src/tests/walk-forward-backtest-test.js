@@ -0,0 +1,147 @@
+// Test för walk-forward-backtesten: ingen framtida information, matchdagar, säsonger och rullande mått
+import {
+  WalkForwardBacktester,
+  BACKTEST_MODELS,
+  seasonOf,
+  matchdays
+} from '../utils/walkForwardBacktest.js';
+import { assert, close, expectError, simulateLeague } from './test-helpers.js';
+
+const backtester = new WalkForwardBacktester();
+
+// Simulerade serier mellan sex lag under två säsonger, tolv omgångar per säsong med tre matcher per matchdag
+const PAIRINGS = [[[0, 5], [1, 4], [2, 3]], [[5, 1], [4, 2], [3, 0]], [[0, 2], [1, 3], [4, 5]], [[2, 1], [3, 4], [5, 0]]];
+
+const results = simulateLeague({
+  seed: 7,
+  strengths: [1.6, 1.3, 1.1, 0.9, 0.8, 0.6],
+  rounds: 24,
+  fixtures: (round) => PAIRINGS[round % PAIRINGS.length],
+  date: (index, round) => new Date(Date.UTC(2022 + Math.floor(round / 12), 3, 1 + (round % 12) * 7))
+});
+const backtest = backtester.run(results, { warmupMatches: 12, rollingWindow: 15 });
+
+const testNoLookAhead = () => {
+  // Ändra ett resultat mitt i serien: prognoserna fram till och med dess matchdag ska vara oförändrade
+  const changedIndex = 40;
+  const changed = results.map((result, index) => (index === changedIndex ? { ...result, homeGoals: result.homeGoals + 5 } : result));
+  const rerun = backtester.run(changed, { warmupMatches: 12, rollingWindow: 15 });
+  const changedDate = results[changedIndex].date.getTime();
+
+  BACKTEST_MODELS.forEach(model => {
+    backtest.matches.forEach((match, index) => {
+      if (!match.scored) return;
+      const before = match.forecasts[model].homeWinProbability;
+      const after = rerun.matches[index].forecasts[model].homeWinProbability;
+      if (match.date.getTime() <= changedDate) {
+        assert(before === after, `${model}: matchen ${index} får inte se ett resultat från samma eller senare matchdag`);
+      }
+    });
+    const nextDay = backtest.matches.filter(match => match.date.getTime() === changedDate + 7 * 24 * 60 * 60 * 1000);
+    assert(nextDay.some(match => match.forecasts[model].homeWinProbability !== rerun.matches[match.index].forecasts[model].homeWinProbability),
+      `${model}: nästa matchdag ska se det ändrade resultatet`);
+  });
+};
+
+const testMatchdays = () => {
+  const days = matchdays(results);
+  assert(days.length === 24 && days.every(day => day.length === 3), 'Matcher samma datum ska bilda en matchdag');
+  const undated = matchdays(results.slice(0, 4).map(({ date, ...result }) => result));
+  assert(undated.length === 4, 'Matcher utan datum ska vara en matchdag var');
+
+  assert(seasonOf(new Date(Date.UTC(2024, 7, 17))) === '2024', 'Standard är kalenderårssäsonger');
+  assert(seasonOf(new Date(Date.UTC(2024, 7, 17)), 7) === '2024/25', 'Säsong som startar i augusti');
+  assert(seasonOf(new Date(Date.UTC(2025, 4, 20)), 7) === '2024/25', 'Våren hör till säsongen som startade hösten före');
+  assert(seasonOf(null) === null, 'Matcher utan datum saknar säsong');
+};
+
+const testSummaries = () => {
+  assert(backtest.trainingMatches === 12 && backtest.scoredMatches === results.length - 12, 'Uppvärmningen ska bara användas för träning');
+  assert(backtest.matches.slice(0, 12).every(match => Object.keys(match.forecasts).length === 0), 'Uppvärmningsmatcher ska inte poängsättas');
+
+  assert(backtest.seasons.map(season => season.season).join() === '2022,2023', 'Resultaten ska delas upp per säsong');
+  BACKTEST_MODELS.forEach(model => {
+    const overall = backtest.overall[model];
+    const seasonMatches = backtest.seasons.reduce((sum, season) => sum + season.models[model].matches, 0);
+    assert(seasonMatches === overall.matches, `${model}: säsongerna ska tillsammans ge alla poängsatta matcher`);
+    const weighted = backtest.seasons.reduce((sum, season) => sum + season.models[model].matches * season.models[model].rankedProbabilityScore, 0) / seasonMatches;
+    assert(close(weighted, overall.rankedProbabilityScore), `${model}: säsongernas RPS ska väga ihop till totalen`);
+    assert(overall.rankedProbabilityScore > 0 && overall.rankedProbabilityScore < 0.3, `${model}: orimlig RPS ${overall.rankedProbabilityScore}`);
+  });
+
+  const ranks = backtest.ranking.map(entry => entry.rankedProbabilityScore);
+  assert(ranks.every((value, index) => index === 0 || value >= ranks[index - 1]), 'Rangordningen ska gå från lägst RPS');
+};
+
+const testRolling = () => {
+  BACKTEST_MODELS.forEach(model => {
+    const series = backtest.rolling[model];
+    assert(series.length === backtest.scoredMatches, `${model}: en punkt per poängsatt match`);
+    const last = series[series.length - 1];
+    const window = backtest.matches.filter(match => match.scored).slice(-15).map(match => match.forecasts[model]);
+    const expected = window.reduce((sum, forecast) => sum + forecast.brierScore, 0) / window.length;
+    assert(last.matches === 15 && close(last.brierScore, expected), `${model}: sista punkten ska vara snittet av de 15 senaste matcherna`);
+    assert(series[0].matches === 1 && series[0].season === '2022', `${model}: fönstret ska växa från första matchen`);
+  });
+
+  const wide = backtester.run(results, { models: ['form'], warmupMatches: 12, rollingWindow: 1000 });
+  const end = wide.rolling.form[wide.rolling.form.length - 1];
+  assert(close(end.logLoss, wide.overall.form.logLoss), 'Ett fönster över alla matcher ska ge totalen');
+};
+
+const testNeutralVenue = () => {
+  // Hemmastarka matcher ger ligan hemmafördel; två oavgjorda på neutral plan ska då inte flytta styrkan mellan lagen
+  const day = (date) => new Date(Date.UTC(2024, 3, date));
+  const neutralResults = (neutral) => [
+    { date: day(1), home: 'C', away: 'D', homeGoals: 3, awayGoals: 0 },
+    { date: day(1), home: 'E', away: 'F', homeGoals: 3, awayGoals: 1 },
+    { date: day(8), home: 'A', away: 'B', homeGoals: 2, awayGoals: 2, neutral },
+    { date: day(15), home: 'A', away: 'B', homeGoals: 0, awayGoals: 0, neutral: true }
+  ];
+  const forecast = (neutral) => backtester.run(neutralResults(neutral), { models: ['dynamic'], warmupMatches: 3 }).matches[3].forecasts.dynamic;
+
+  const neutral = forecast(true);
+  assert(close(neutral.homeWinProbability, neutral.awayWinProbability, 1e-9), 'Neutral plan ska uppdatera den dynamiska ratingen utan hemmafördel');
+  const home = forecast(false);
+  assert(home.awayWinProbability > home.homeWinProbability + 0.01, 'Oavgjort på hemmaplan ska tala emot hemmalaget');
+};
+
+const testErrors = async () => {
+  await expectError(() => backtester.run(results, { models: ['xg'] }), 'Okänd modell');
+  await expectError(() => backtester.run(results, { models: [] }), 'minst en modell');
+  await expectError(() => backtester.run(results.slice(0, 5), { warmupMatches: 10 }), 'fler än 10');
+  await expectError(() => backtester.run(results, { rollingWindow: 0 }), 'positiva');
+};
+
+export async function runWalkForwardBacktestTests() {
+  console.log('⏩ WALK-FORWARD-BACKTEST TEST');
+  console.log('=============================');
+
+  const tests = [
+    ['Ingen framtida information', testNoLookAhead],
+    ['Matchdagar och säsonger', testMatchdays],
+    ['Sammanfattning per säsong och modell', testSummaries],
+    ['Rullande mått', testRolling],
+    ['Neutral plan', testNeutralVenue],
+    ['Felhantering', testErrors]
+  ];
+
+  let passed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${passed}/${tests.length} tester godkända`);
+  return passed === tests.length;
+}
+
+// Kör testet om filen körs direkt
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runWalkForwardBacktestTests();
+}
@@ -103,13 +103,14 @@ function validateCalculations() {
         homeFormFactor: 1.0
       });
       
-      const homeWin = parseFloat(result.homeWin);
-      const draw = parseFloat(result.draw);
-      const awayWin = parseFloat(result.awayWin);
+      // Results are 0-1; the scenario ranges are in percent
+      const homeWin = result.homeWinProbability * 100;
+      const draw = result.drawProbability * 100;
+      const awayWin = result.awayWinProbability * 100;
       
-      console.log(`🏠 Home Win: ${homeWin}%`);
-      console.log(`🤝 Draw: ${draw}%`);
-      console.log(`✈️ Away Win: ${awayWin}%`);
+      console.log(`🏠 Home Win: ${homeWin.toFixed(1)}%`);
+      console.log(`🤝 Draw: ${draw.toFixed(1)}%`);
+      console.log(`✈️ Away Win: ${awayWin.toFixed(1)}%`);
       
       // Validate probabilities sum to ~100%
       const total = homeWin + draw + awayWin;
@@ -201,11 +202,11 @@ function validateXGAImpact() {
     awayXGA: 1.8   // Weak away defense
   });
   
-  const strongDefenseHomeWin = parseFloat(strongDefenseResult.homeWin);
-  const weakDefenseHomeWin = parseFloat(weakDefenseResult.homeWin);
+  const strongDefenseHomeWin = strongDefenseResult.homeWinProbability * 100;
+  const weakDefenseHomeWin = weakDefenseResult.homeWinProbability * 100;
   
-  console.log(`🛡️ Strong defenses - Home Win: ${strongDefenseHomeWin}%`);
-  console.log(`🕳️ Weak defenses - Home Win: ${weakDefenseHomeWin}%`);
+  console.log(`🛡️ Strong defenses - Home Win: ${strongDefenseHomeWin.toFixed(1)}%`);
+  console.log(`🕳️ Weak defenses - Home Win: ${weakDefenseHomeWin.toFixed(1)}%`);
   
   // With weaker defenses, there should be more goals and potentially different probabilities
   const xgaHasImpact = Math.abs(strongDefenseHomeWin - weakDefenseHomeWin) > 2;
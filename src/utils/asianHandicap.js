@@ -0,0 +1,133 @@
+/**
+ * Asian Handicap Pricing
+ * Prices whole, half and quarter Asian handicap lines directly from a
+ * scoreline probability matrix instead of approximating them from 1X2 odds
+ *
+ * Quarter lines (e.g. -0.25, -0.75) split the stake equally over the two
+ * neighbouring lines, which produces half-win and half-loss outcomes.
+ *
+ * ACADEMIC REFERENCES:
+ * - Vlastakis, N., Dotsis, G. & Markellos, R.N. (2009). "How efficient is the European football betting market?"
+ *   DOI: 10.1002/for.1085
+ * - Constantinou, A.C. & Fenton, N.E. (2013). "Profiting from arbitrage and odds biases of the European football gambling market"
+ *   DOI: 10.3905/jod.2013.20.3.041
+ */
+
+import { ScoreMatrix } from './scoreMatrix.js';
+
+export const ASIAN_HANDICAP_MIN_LINE = -3.5;
+export const ASIAN_HANDICAP_MAX_LINE = 3.5;
+export const ASIAN_HANDICAP_STEP = 0.25;
+
+/**
+ * All lines from -3.5 to +3.5 in quarter-goal steps
+ */
+export const ASIAN_HANDICAP_LINES = Array.from(
+  { length: Math.round((ASIAN_HANDICAP_MAX_LINE - ASIAN_HANDICAP_MIN_LINE) / ASIAN_HANDICAP_STEP) + 1 },
+  (_, index) => ASIAN_HANDICAP_MIN_LINE + index * ASIAN_HANDICAP_STEP
+);
+
+export class AsianHandicapCalculator {
+  /**
+   * Check whether a line is a quarter line (x.25 or x.75)
+   * @param {number} line - Handicap line
+   * @returns {boolean} True for quarter lines
+   */
+  isQuarterLine(line) {
+    return Math.abs((Math.abs(line) * 4) % 2 - 1) < 1e-9;
+  }
+
+  /**
+   * Settle a whole or half line for a given goal difference
+   * @param {number} goalDifference - Goals for minus goals against the backed side
+   * @param {number} line - Handicap applied to the backed side
+   * @returns {number} 1 for win, 0 for push, -1 for loss
+   */
+  settleSingleLine(goalDifference, line) {
+    const adjusted = goalDifference + line;
+    if (Math.abs(adjusted) < 1e-9) return 0;
+    return adjusted > 0 ? 1 : -1;
+  }
+
+  /**
+   * Settle any line, splitting quarter lines into two half stakes
+   * @param {number} goalDifference - Goals for minus goals against the backed side
+   * @param {number} line - Handicap applied to the backed side
+   * @returns {string} 'win', 'halfWin', 'push', 'halfLoss' or 'loss'
+   */
+  settle(goalDifference, line) {
+    const outcome = this.isQuarterLine(line)
+      ? this.settleSingleLine(goalDifference, line - 0.25) + this.settleSingleLine(goalDifference, line + 0.25)
+      : 2 * this.settleSingleLine(goalDifference, line);
+
+    switch (outcome) {
+      case 2: return 'win';
+      case 1: return 'halfWin';
+      case 0: return 'push';
+      case -1: return 'halfLoss';
+      default: return 'loss';
+    }
+  }
+
+  /**
+   * Fair decimal odds for a settlement distribution
+   * Solves win*O + halfWin*(1 + O)/2 + push + halfLoss/2 = 1 for O
+   * @param {Object} outcomes - Settlement probabilities
+   * @returns {number|null} Fair decimal odds, null if the side cannot win
+   */
+  fairOdds({ win, halfWin, push, halfLoss }) {
+    const winningWeight = win + halfWin / 2;
+    if (winningWeight <= 1e-12) return null;
+    return (1 - push - halfWin / 2 - halfLoss / 2) / winningWeight;
+  }
+
+  /**
+   * Settlement probabilities for one side of a line
+   * @param {Map<number, number>} differences - Goal difference distribution for the backed side
+   * @param {number} line - Handicap applied to the backed side
+   * @returns {Object} { win, halfWin, push, halfLoss, loss, fairOdds }
+   */
+  priceSide(differences, line) {
+    const outcomes = { win: 0, halfWin: 0, push: 0, halfLoss: 0, loss: 0 };
+    differences.forEach((probability, goalDifference) => {
+      outcomes[this.settle(goalDifference, line)] += probability;
+    });
+    return { ...outcomes, fairOdds: this.fairOdds(outcomes) };
+  }
+
+  /**
+   * Price Asian handicap lines for both teams
+   * @param {ScoreMatrix|Object} scoreMatrix - Scoreline matrix or its serialised form
+   * @param {Array<number>} lines - Home handicap lines to price
+   * @returns {Array} [{ line, home, away }] where away is priced on the opposite line
+   */
+  calculate(scoreMatrix, lines = ASIAN_HANDICAP_LINES) {
+    const matrix = ScoreMatrix.from(scoreMatrix);
+    if (!matrix) return [];
+
+    const homeDifferences = matrix.goalDifferenceDistribution();
+    const awayDifferences = new Map();
+    homeDifferences.forEach((probability, goalDifference) => awayDifferences.set(-goalDifference, probability));
+
+    return lines.map(line => ({
+      line,
+      home: this.priceSide(homeDifferences, line),
+      away: this.priceSide(awayDifferences, -line)
+    }));
+  }
+}
+
+/**
+ * Format a handicap line with explicit sign
+ * @param {number} line - Handicap line
+ * @returns {string} Formatted line, e.g. "-0.75" or "+1"
+ */
+export const formatHandicapLine = (line) => {
+  if (line === 0) return '0';
+  return `${line > 0 ? '+' : ''}${line}`;
+};
+
+// Export singleton instance
+export const asianHandicapCalculator = new AsianHandicapCalculator();
+
+export default AsianHandicapCalculator;
@@ -0,0 +1,20 @@
+/**
+ * Bayesian Model Web Worker
+ * Entry point started by BayesianWorkerRunner. Each message fits the
+ * hierarchical model to a result history and posts the fixture prediction.
+ */
+
+import { BayesianTeamModel } from './bayesianTeamModel.js';
+
+const model = new BayesianTeamModel();
+
+self.onmessage = ({ data: { results, homeTeam, awayTeam, neutral, settings } }) => {
+  try {
+    const fit = model.fit(results, settings);
+    const result = model.predict(fit, homeTeam, awayTeam, { neutral });
+    // Post the matrix in its serialised form, which restorePredictionResult reads back
+    self.postMessage({ type: 'result', result: { ...result, scoreMatrix: result.scoreMatrix.toJSON() } });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
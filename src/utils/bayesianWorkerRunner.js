@@ -0,0 +1,76 @@
+/**
+ * Bayesian Worker Runner
+ * Fits the hierarchical team model in a Web Worker so the MCMC chains do not
+ * block the UI. A run can be cancelled with an AbortSignal, which terminates
+ * the worker. Outside the browser the model runs on the calling thread, with
+ * the same result for the same seed.
+ */
+
+import { BayesianTeamModel } from './bayesianTeamModel.js';
+import { createCancelledError } from './monteCarloWorkerPool.js';
+import { restorePredictionResult } from './predictionResult.js';
+
+/**
+ * Create a module worker for the sampler, or null outside the browser
+ * @returns {Function|null} Worker factory
+ */
+const defaultWorkerFactory = () => {
+  if (typeof Worker === 'undefined') return null;
+  return () => new Worker(new URL('./bayesianWorker.js', import.meta.url), { type: 'module' });
+};
+
+export class BayesianWorkerRunner {
+  /**
+   * @param {Object} options - Runner options
+   * @param {Function|null} options.createWorker - Worker factory; null runs on the calling thread
+   */
+  constructor({ createWorker = defaultWorkerFactory() } = {}) {
+    this.createWorker = createWorker;
+    this.model = new BayesianTeamModel();
+  }
+
+  /**
+   * Fit the model and predict one fixture
+   * @param {Array<Object>} results - Result history (see parseMatchResults)
+   * @param {Object} fixture - { homeTeam, awayTeam, neutral }
+   * @param {Object} settings - BayesianTeamModel.fit options (chains, iterations, burnIn, seed, ...)
+   * @param {Object} options - Run options
+   * @param {AbortSignal} options.signal - Cancels the run; the promise rejects with an AbortError
+   * @returns {Promise<Object>} PredictionResult
+   */
+  async run(results, { homeTeam, awayTeam, neutral = false }, settings = {}, { signal } = {}) {
+    if (signal?.aborted) throw createCancelledError();
+
+    if (!this.createWorker) {
+      const fit = this.model.fit(results, settings);
+      return this.model.predict(fit, homeTeam, awayTeam, { neutral });
+    }
+
+    const worker = this.createWorker();
+    let cancel = null;
+    try {
+      const result = await new Promise((resolve, reject) => {
+        cancel = () => reject(createCancelledError());
+        signal?.addEventListener('abort', cancel);
+        worker.onmessage = ({ data }) => {
+          if (data.type === 'result') {
+            resolve(data.result);
+          } else if (data.type === 'error') {
+            reject(new Error(data.message));
+          }
+        };
+        worker.onerror = (event) => reject(new Error(event.message || 'Bayes-workern kraschade'));
+        worker.postMessage({ results, homeTeam, awayTeam, neutral, settings });
+      });
+      return restorePredictionResult(result);
+    } finally {
+      signal?.removeEventListener('abort', cancel);
+      worker.terminate();
+    }
+  }
+}
+
+// Export singleton instance
+export const bayesianWorkerRunner = new BayesianWorkerRunner();
+
+export default BayesianWorkerRunner;
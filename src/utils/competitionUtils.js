@@ -0,0 +1,251 @@
+/**
+ * Competition Utilities
+ * Shared building blocks for the season and tournament simulators: pricing a
+ * fixture with one of the match models, sampling scorelines from its score
+ * matrix with a seeded generator, and ranking teams by points and tiebreakers.
+ */
+
+import { enhancedPoissonCalculator } from './improvedMath.js';
+import { calculateAdvancedXGPrediction } from './xgCalculations.js';
+
+/** Match models that can price fixtures */
+export const FIXTURE_MODELS = ['poisson', 'xg'];
+
+/** Points per result */
+export const DEFAULT_POINTS = { win: 3, draw: 1, loss: 0 };
+
+/** Tiebreak criteria that can follow points, in the order a competition lists them */
+export const TIEBREAKERS = ['goalDifference', 'goalsFor', 'wins', 'headToHead'];
+
+/**
+ * Split a text line into trimmed fields (comma, semicolon or tab separated)
+ * @param {string} line - Text line
+ * @returns {Array<string>} Fields
+ */
+export const splitFields = (line) => line.split(/[,;\t]/).map(field => field.trim());
+
+/**
+ * Non-empty, non-comment lines of a text block
+ * @param {string} text - Text block
+ * @returns {Array<string>} Lines
+ */
+export const dataLines = (text = '') => text
+  .split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(line => line && !line.startsWith('#'));
+
+/**
+ * Parse fixtures or results
+ * One match per line, "Home - Away" for fixtures or "Home 2-1 Away" for
+ * played matches; "Home, Away" and "Home, Away, 2, 1" also work.
+ * @param {string} text - Fixture text
+ * @returns {Array<Object>} Matches ({ home, away } plus homeGoals/awayGoals when played)
+ */
+export const parseFixtures = (text) => dataLines(text).map((line, index) => {
+  const played = line.match(/^(.+?)\s+(\d+)\s*[-–]\s*(\d+)\s+(.+)$/);
+  if (played) {
+    return { home: played[1].trim(), away: played[4].trim(), homeGoals: Number(played[2]), awayGoals: Number(played[3]) };
+  }
+
+  const fields = line.includes(',') || line.includes(';') || line.includes('\t')
+    ? splitFields(line)
+    : line.split(/\s+[-–]\s+/).map(field => field.trim());
+  const [home, away, homeGoals, awayGoals] = fields;
+  if (!home || !away) {
+    throw new Error(`Ogiltig matchrad ${index + 1}: "${line}"`);
+  }
+  if (homeGoals !== undefined && awayGoals !== undefined && homeGoals !== '' && awayGoals !== '') {
+    return { home, away, homeGoals: Number(homeGoals), awayGoals: Number(awayGoals) };
+  }
+  return { home, away };
+});
+
+/**
+ * Price one fixture with a match model
+ * @param {Object} home - Home team rating { attack, defence } in goals (or xG) per game
+ * @param {Object} away - Away team rating { attack, defence }
+ * @param {Object} options - { model, leagueAverage, homeAdvantage }
+ * @returns {Object} PredictionResult
+ */
+export const predictFixture = (home, away, { model = 'poisson', leagueAverage, homeAdvantage }) => {
+  if (!FIXTURE_MODELS.includes(model)) {
+    throw new Error(`Okänd matchmodell: ${model}`);
+  }
+
+  if (model === 'xg') {
+    return calculateAdvancedXGPrediction({
+      homeXG: home.attack,
+      awayXG: away.attack,
+      homeXGA: home.defence,
+      awayXGA: away.defence,
+      ...(homeAdvantage !== undefined && { homeAdvantage })
+    });
+  }
+
+  return enhancedPoissonCalculator.calculate({
+    homeAttackRate: home.attack,
+    awayAttackRate: away.attack,
+    homeDefenseRate: home.defence,
+    awayDefenseRate: away.defence,
+    leagueAverage,
+    ...(homeAdvantage !== undefined && { homeAdvantage })
+  });
+};
+
+/**
+ * Cumulative scoreline distribution for sampling, normalised to the captured mass
+ * @param {ScoreMatrix} scoreMatrix - Fixture score matrix
+ * @returns {Object} { homeGoals, awayGoals, cumulative } typed arrays
+ */
+export const createSamplingTable = (scoreMatrix) => {
+  const homeGoals = [];
+  const awayGoals = [];
+  const cumulative = [];
+  let total = 0;
+  scoreMatrix.forEach((home, away, probability) => {
+    if (probability <= 0) return;
+    total += probability;
+    homeGoals.push(home);
+    awayGoals.push(away);
+    cumulative.push(total);
+  });
+
+  return {
+    homeGoals: Int32Array.from(homeGoals),
+    awayGoals: Int32Array.from(awayGoals),
+    cumulative: Float64Array.from(cumulative, value => value / total)
+  };
+};
+
+/**
+ * Draw a scoreline from a sampling table
+ * @param {Object} table - Result of createSamplingTable
+ * @param {Function} random - Uniform random generator (0-1)
+ * @returns {Array<number>} [homeGoals, awayGoals]
+ */
+export const sampleScore = (table, random) => {
+  const u = random();
+  const { cumulative } = table;
+  let low = 0;
+  let high = cumulative.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (cumulative[mid] < u) low = mid + 1;
+    else high = mid;
+  }
+  return [table.homeGoals[low], table.awayGoals[low]];
+};
+
+/**
+ * Head-to-head record of each team against the others in a group
+ * @param {Array<number>} group - Team indices
+ * @param {Array<Object>} matches - Matches ({ home, away, homeGoals, awayGoals } with team indices)
+ * @param {Object} points - Points per result
+ * @returns {Map<number, Array<number>>} [points, goal difference, goals for] per team
+ */
+export const headToHeadRecords = (group, matches, points) => {
+  const members = new Set(group);
+  const records = new Map(group.map(team => [team, [0, 0, 0]]));
+
+  matches.forEach(({ home, away, homeGoals, awayGoals }) => {
+    if (!members.has(home) || !members.has(away)) return;
+    const homeRecord = records.get(home);
+    const awayRecord = records.get(away);
+    homeRecord[0] += homeGoals > awayGoals ? points.win : homeGoals === awayGoals ? points.draw : points.loss;
+    awayRecord[0] += awayGoals > homeGoals ? points.win : homeGoals === awayGoals ? points.draw : points.loss;
+    homeRecord[1] += homeGoals - awayGoals;
+    awayRecord[1] += awayGoals - homeGoals;
+    homeRecord[2] += homeGoals;
+    awayRecord[2] += awayGoals;
+  });
+
+  return records;
+};
+
+/**
+ * Rank teams by points and tiebreakers
+ * Teams still level after every criterion are ordered by drawing lots.
+ * @param {Array<number>} group - Team indices to rank
+ * @param {Array<string>} criteria - 'points' followed by the tiebreakers
+ * @param {Object} standings - { points, goalsFor, goalsAgainst, wins } arrays by team index
+ * @param {Array<Object>} matches - Matches used for head-to-head
+ * @param {Object} points - Points per result
+ * @param {Function} random - Uniform random generator (0-1) for drawing lots
+ * @returns {Array<number>} Team indices, best first
+ */
+export const rankTeams = (group, criteria, standings, matches, points, random) => {
+  if (group.length <= 1) return group;
+
+  if (criteria.length === 0) {
+    // Drawing of lots (Fisher-Yates)
+    const lots = [...group];
+    for (let i = lots.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [lots[i], lots[j]] = [lots[j], lots[i]];
+    }
+    return lots;
+  }
+
+  const [criterion, ...remaining] = criteria;
+  let keyOf;
+  if (criterion === 'headToHead') {
+    const records = headToHeadRecords(group, matches, points);
+    keyOf = team => records.get(team);
+  } else {
+    keyOf = {
+      points: team => [standings.points[team]],
+      goalDifference: team => [standings.goalsFor[team] - standings.goalsAgainst[team]],
+      goalsFor: team => [standings.goalsFor[team]],
+      wins: team => [standings.wins[team]]
+    }[criterion];
+  }
+
+  const keyed = group.map(team => ({ team, key: keyOf(team) }));
+  const compare = (a, b) => {
+    for (let i = 0; i < a.key.length; i++) {
+      if (a.key[i] !== b.key[i]) return b.key[i] - a.key[i];
+    }
+    return 0;
+  };
+  keyed.sort((a, b) => compare(a, b) || a.team - b.team);
+
+  // Rank each run of teams that are still level with the remaining criteria
+  const ranked = [];
+  let start = 0;
+  for (let i = 1; i <= keyed.length; i++) {
+    if (i === keyed.length || compare(keyed[start], keyed[i]) !== 0) {
+      const level = keyed.slice(start, i).map(entry => entry.team);
+      ranked.push(...rankTeams(level, remaining, standings, matches, points, random));
+      start = i;
+    }
+  }
+  return ranked;
+};
+
+/**
+ * Add one match to standings arrays
+ * @param {Object} standings - { points, goalsFor, goalsAgainst, wins } arrays by team index
+ * @param {number} home - Home team index
+ * @param {number} away - Away team index
+ * @param {number} homeGoals - Home goals
+ * @param {number} awayGoals - Away goals
+ * @param {Object} points - Points per result
+ */
+export const recordResult = (standings, home, away, homeGoals, awayGoals, points) => {
+  standings.goalsFor[home] += homeGoals;
+  standings.goalsAgainst[home] += awayGoals;
+  standings.goalsFor[away] += awayGoals;
+  standings.goalsAgainst[away] += homeGoals;
+  if (homeGoals > awayGoals) {
+    standings.points[home] += points.win;
+    standings.points[away] += points.loss;
+    standings.wins[home]++;
+  } else if (homeGoals < awayGoals) {
+    standings.points[away] += points.win;
+    standings.points[home] += points.loss;
+    standings.wins[away]++;
+  } else {
+    standings.points[home] += points.draw;
+    standings.points[away] += points.draw;
+  }
+};
@@ -0,0 +1,355 @@
+/**
+ * Dynamic Team Ratings
+ * State-space model in which every team's attack and defence drift as random
+ * walks and are updated after each match with a Kalman filter. Goals follow
+ *
+ *   homeGoals ~ Poisson(exp(mu + eta + attack[home] + defence[away]))
+ *   awayGoals ~ Poisson(exp(mu + attack[away] + defence[home]))
+ *
+ * where mu is the log league average, eta the log home advantage and
+ * defence > 0 means a team concedes more than average. Each team carries a
+ * Gaussian belief (mean and 2x2 covariance) over its log attack and log
+ * defence. Between matches the covariance grows with the days since the
+ * team last played; after a match the two Poisson observations are
+ * assimilated one at a time with a Laplace (assumed-density) update of the
+ * linear predictor, the standard extension of the Kalman filter to Poisson
+ * counts. Cross-team covariance created by a match is dropped afterwards, so
+ * the state stays one small block per team.
+ *
+ * The posterior standard deviation of each rating is what the Monte Carlo
+ * simulator uses to sample team strength before sampling goals.
+ *
+ * ACADEMIC REFERENCES:
+ * - Kalman, R.E. (1960). "A new approach to linear filtering and prediction problems"
+ *   Journal of Basic Engineering 82(1): 35-45
+ * - Rue, H. & Salvesen, Ø. (2000). "Prediction and retrospective analysis of soccer matches in a league"
+ *   Journal of the Royal Statistical Society: Series D 49(3): 399-418
+ * - Koopman, S.J. & Lit, R. (2015). "A dynamic bivariate Poisson model for analysing and forecasting match results in the English Premier League"
+ *   Journal of the Royal Statistical Society: Series A 178(1): 167-186
+ */
+
+import { chronologicalOrder } from './eloRatings.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Prior standard deviation of a new team's log attack and log defence */
+export const DEFAULT_PRIOR_SD = 0.3;
+
+/** Random-walk standard deviation of log attack and log defence per 30 days */
+export const DEFAULT_DRIFT_SD = 0.05;
+
+/** Days assumed between a team's matches when results have no dates */
+export const DEFAULT_MATCH_INTERVAL_DAYS = 7;
+
+/**
+ * Log of the Poisson probability of k goals at rate lambda
+ * @param {number} k - Goals
+ * @param {number} lambda - Rate
+ * @returns {number} log P(k)
+ */
+const poissonLogProbability = (k, lambda) => {
+  let logFactorial = 0;
+  for (let i = 2; i <= k; i++) logFactorial += Math.log(i);
+  return k * Math.log(lambda) - lambda - logFactorial;
+};
+
+export class DynamicRatingSystem {
+  constructor() {
+    this.maxNewtonIterations = 50;
+    this.tolerance = 1e-10;
+  }
+
+  /**
+   * Create an empty rating state
+   * @param {Object} options - Model options
+   * @param {number} options.leagueAverage - Goals per team and match (mu = log leagueAverage)
+   * @param {number} options.homeAdvantage - Relative home advantage (eta = log(1 + homeAdvantage))
+   * @param {number} options.priorSd - Prior standard deviation of a new team's ratings
+   * @param {number} options.driftSd - Random-walk standard deviation per 30 days
+   * @returns {Object} Rating state
+   */
+  createState({
+    leagueAverage = 1.35,
+    homeAdvantage = 0.25,
+    priorSd = DEFAULT_PRIOR_SD,
+    driftSd = DEFAULT_DRIFT_SD
+  } = {}) {
+    if (!(leagueAverage > 0) || !(homeAdvantage > -1)) {
+      throw new Error('Ligasnittet måste vara positivt och hemmafördelen större än -1');
+    }
+    if (!(priorSd > 0) || !(driftSd >= 0)) {
+      throw new Error('Startosäkerheten måste vara positiv och driften icke-negativ');
+    }
+
+    return {
+      options: { leagueAverage, homeAdvantage, priorSd, driftSd },
+      logLeagueAverage: Math.log(leagueAverage),
+      logHomeAdvantage: Math.log(1 + homeAdvantage),
+      teams: new Map(),
+      matches: 0,
+      lastDate: null,
+      predictiveLogLikelihood: 0
+    };
+  }
+
+  /**
+   * Belief about one team, created from the prior on first use
+   * @param {Object} state - Rating state
+   * @param {string} team - Team name
+   * @returns {Object} { mean: [attack, defence], covariance: 2x2, matches, lastDate }
+   */
+  team(state, team) {
+    if (!state.teams.has(team)) {
+      const variance = state.options.priorSd * state.options.priorSd;
+      state.teams.set(team, {
+        mean: [0, 0],
+        covariance: [[variance, 0], [0, variance]],
+        matches: 0,
+        lastDate: null
+      });
+    }
+    return state.teams.get(team);
+  }
+
+  /**
+   * Random-walk variance added per day
+   * @param {Object} state - Rating state
+   * @returns {number} Variance per day
+   */
+  driftPerDay(state) {
+    return state.options.driftSd * state.options.driftSd / 30;
+  }
+
+  /**
+   * Days a team's ratings have drifted since its last match
+   * @param {Object} rating - Team belief
+   * @param {Date|null} date - Date of the next match
+   * @returns {number} Days (0 before a team's first match)
+   */
+  daysSinceLastMatch(rating, date) {
+    if (rating.matches === 0) return 0;
+    if (!date || !rating.lastDate) return DEFAULT_MATCH_INTERVAL_DAYS;
+    return Math.max(0, (new Date(date) - new Date(rating.lastDate)) / DAY_MS);
+  }
+
+  /**
+   * Covariance of a team's ratings after drifting the given number of days
+   * @param {Object} state - Rating state
+   * @param {Object} rating - Team belief
+   * @param {number} days - Days of drift
+   * @returns {Array<Array<number>>} 2x2 covariance
+   */
+  driftedCovariance(state, rating, days) {
+    const drift = this.driftPerDay(state) * days;
+    const [[aa, ab], [ba, bb]] = rating.covariance;
+    return [[aa + drift, ab], [ba, bb + drift]];
+  }
+
+  /**
+   * Laplace update of a Gaussian belief with one Poisson count
+   * The linear predictor z = h'x has prior N(zMean, zVariance); its posterior
+   * mode under the Poisson likelihood is found with Newton's method and the
+   * curvature there gives the posterior variance, which is mapped back onto x
+   * exactly as in a Kalman measurement update.
+   * @param {Array<number>} mean - State mean (modified in place)
+   * @param {Array<Array<number>>} covariance - State covariance (modified in place)
+   * @param {Array<number>} h - Indices of the state entries summed in the predictor
+   * @param {number} offset - Fixed part of the log rate
+   * @param {number} goals - Observed goals
+   */
+  assimilate(mean, covariance, h, offset, goals) {
+    const n = mean.length;
+    const ph = Array.from({ length: n }, (_, i) => h.reduce((sum, j) => sum + covariance[i][j], 0));
+    const zMean = h.reduce((sum, j) => sum + mean[j], 0);
+    const zVariance = h.reduce((sum, j) => sum + ph[j], 0);
+
+    let z = zMean;
+    for (let iteration = 0; iteration < this.maxNewtonIterations; iteration++) {
+      const rate = Math.exp(offset + z);
+      const step = ((z - zMean) / zVariance - goals + rate) / (1 / zVariance + rate);
+      z -= step;
+      if (Math.abs(step) < this.tolerance) break;
+    }
+    const posteriorVariance = 1 / (1 / zVariance + Math.exp(offset + z));
+
+    const gain = (z - zMean) / zVariance;
+    const shrink = (1 - posteriorVariance / zVariance) / zVariance;
+    for (let i = 0; i < n; i++) {
+      mean[i] += ph[i] * gain;
+      for (let j = 0; j < n; j++) {
+        covariance[i][j] -= ph[i] * ph[j] * shrink;
+      }
+    }
+  }
+
+  /**
+   * Log rates of a fixture from the current means
+   * @param {Object} state - Rating state
+   * @param {Object} home - Home team belief
+   * @param {Object} away - Away team belief
+   * @param {boolean} neutral - Neutral venue (no home advantage)
+   * @returns {Object} { home, away } log goal rates
+   */
+  logRates(state, home, away, neutral = false) {
+    return {
+      home: state.logLeagueAverage + (neutral ? 0 : state.logHomeAdvantage) + home.mean[0] + away.mean[1],
+      away: state.logLeagueAverage + away.mean[0] + home.mean[1]
+    };
+  }
+
+  /**
+   * Drift both teams to the match date and assimilate the result
+   * @param {Object} state - Rating state (modified in place)
+   * @param {Object} match - { home, away, homeGoals, awayGoals, date, neutral }
+   * @returns {Object} { homeRate, awayRate } one-step-ahead expected goals before the update
+   */
+  update(state, { home, away, homeGoals, awayGoals, date = null, neutral = false }) {
+    const homeRating = this.team(state, home);
+    const awayRating = this.team(state, away);
+    const homeCovariance = this.driftedCovariance(state, homeRating, this.daysSinceLastMatch(homeRating, date));
+    const awayCovariance = this.driftedCovariance(state, awayRating, this.daysSinceLastMatch(awayRating, date));
+
+    const prior = this.logRates(state, homeRating, awayRating, neutral);
+    const homeRate = Math.exp(prior.home);
+    const awayRate = Math.exp(prior.away);
+    state.predictiveLogLikelihood += poissonLogProbability(homeGoals, homeRate) + poissonLogProbability(awayGoals, awayRate);
+
+    // Joint state [home attack, home defence, away attack, away defence]
+    const mean = [...homeRating.mean, ...awayRating.mean];
+    const covariance = [
+      [homeCovariance[0][0], homeCovariance[0][1], 0, 0],
+      [homeCovariance[1][0], homeCovariance[1][1], 0, 0],
+      [0, 0, awayCovariance[0][0], awayCovariance[0][1]],
+      [0, 0, awayCovariance[1][0], awayCovariance[1][1]]
+    ];
+    this.assimilate(mean, covariance, [0, 3], state.logLeagueAverage + (neutral ? 0 : state.logHomeAdvantage), homeGoals);
+    this.assimilate(mean, covariance, [2, 1], state.logLeagueAverage, awayGoals);
+
+    homeRating.mean = mean.slice(0, 2);
+    homeRating.covariance = [covariance[0].slice(0, 2), covariance[1].slice(0, 2)];
+    awayRating.mean = mean.slice(2, 4);
+    awayRating.covariance = [covariance[2].slice(2, 4), covariance[3].slice(2, 4)];
+    [homeRating, awayRating].forEach(rating => {
+      rating.matches++;
+      rating.lastDate = date;
+    });
+    state.matches++;
+    if (date) state.lastDate = date;
+
+    return { homeRate, awayRate };
+  }
+
+  /**
+   * Filter a list of results in date order
+   * League average and home advantage default to the goal rates in the results.
+   * @param {Array<Object>} results - Results from parseMatchResults
+   * @param {Object} options - Options for createState
+   * @returns {Object} Rating state
+   */
+  rate(results, options = {}) {
+    if (results.length === 0) {
+      throw new Error('Ange minst ett resultat att skatta från');
+    }
+
+    const homeGoals = results.reduce((sum, match) => sum + match.homeGoals, 0);
+    const awayGoals = results.reduce((sum, match) => sum + match.awayGoals, 0);
+    if (homeGoals === 0 || awayGoals === 0) {
+      throw new Error('Resultaten måste innehålla både hemma- och bortamål');
+    }
+
+    const state = this.createState({
+      leagueAverage: (homeGoals + awayGoals) / (2 * results.length),
+      homeAdvantage: homeGoals / awayGoals - 1,
+      ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+    });
+    chronologicalOrder(results).forEach(result => this.update(state, result));
+    return state;
+  }
+
+  /**
+   * Current belief about a team, drifted to the latest date in the state
+   * @param {Object} state - Rating state
+   * @param {string} team - Team name
+   * @returns {Object} { mean, covariance, matches }
+   */
+  currentRating(state, team) {
+    const rating = state.teams.get(team);
+    if (!rating) {
+      throw new Error(`${team} saknas i resultathistoriken`);
+    }
+    const days = state.lastDate && rating.lastDate
+      ? Math.max(0, (new Date(state.lastDate) - new Date(rating.lastDate)) / DAY_MS)
+      : 0;
+    return { mean: rating.mean, covariance: this.driftedCovariance(state, rating, days), matches: rating.matches };
+  }
+
+  /**
+   * Ratings on the goal scale, strongest first
+   * Attack is expected goals against an average defence, defence the factor
+   * applied to the opponent's attack (below 1 = concedes less than average).
+   * @param {Object} state - Rating state
+   * @returns {Array<Object>} [{ team, matches, attack, attackSd, defence, defenceSd, strength }] (sd on the log scale)
+   */
+  ratingTable(state) {
+    const leagueAverage = Math.exp(state.logLeagueAverage);
+    return [...state.teams.keys()]
+      .map(team => {
+        const { mean, covariance, matches } = this.currentRating(state, team);
+        return {
+          team,
+          matches,
+          attack: leagueAverage * Math.exp(mean[0]),
+          attackSd: Math.sqrt(covariance[0][0]),
+          defence: Math.exp(mean[1]),
+          defenceSd: Math.sqrt(covariance[1][1]),
+          strength: mean[0] - mean[1]
+        };
+      })
+      .sort((a, b) => b.strength - a.strength);
+  }
+
+  /**
+   * Monte Carlo inputs for a fixture between two rated teams
+   * Goal averages are posterior medians of the rates; the log-scale standard
+   * deviations and their correlation let the simulator sample team strength.
+   * MonteCarloSimulator divides by defence strength, so it receives exp(-defence).
+   * @param {Object} state - Rating state
+   * @param {string} home - Home team
+   * @param {string} away - Away team
+   * @param {Object} options - { neutral }
+   * @returns {Object} { homeGoalsAvg, awayGoalsAvg, homeDefenseStrength, awayDefenseStrength, homeAdvantage, strengthUncertainty }
+   */
+  monteCarloInputs(state, home, away, { neutral = false } = {}) {
+    if (home === away) {
+      throw new Error('Välj två olika lag');
+    }
+    const homeRating = this.currentRating(state, home);
+    const awayRating = this.currentRating(state, away);
+    const leagueAverage = Math.exp(state.logLeagueAverage);
+
+    // log homeRate = attack[home] + defence[away], log awayRate = attack[away] + defence[home]
+    const homeVariance = homeRating.covariance[0][0] + awayRating.covariance[1][1];
+    const awayVariance = awayRating.covariance[0][0] + homeRating.covariance[1][1];
+    const covariance = homeRating.covariance[0][1] + awayRating.covariance[0][1];
+    const homeLogSd = Math.sqrt(homeVariance);
+    const awayLogSd = Math.sqrt(awayVariance);
+
+    return {
+      homeGoalsAvg: leagueAverage * Math.exp(homeRating.mean[0]),
+      awayGoalsAvg: leagueAverage * Math.exp(awayRating.mean[0]),
+      homeDefenseStrength: Math.exp(-homeRating.mean[1]),
+      awayDefenseStrength: Math.exp(-awayRating.mean[1]),
+      homeAdvantage: neutral ? 0 : Math.exp(state.logHomeAdvantage) - 1,
+      strengthUncertainty: {
+        homeLogSd,
+        awayLogSd,
+        correlation: homeLogSd > 0 && awayLogSd > 0 ? covariance / (homeLogSd * awayLogSd) : 0
+      }
+    };
+  }
+}
+
+// Export singleton instance
+export const dynamicRatingSystem = new DynamicRatingSystem();
+
+export default DynamicRatingSystem;
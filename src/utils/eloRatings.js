@@ -0,0 +1,489 @@
+/**
+ * Elo Rating Engine
+ * World Football Elo style ratings built by processing results in date order.
+ * After every match both teams move by
+ *
+ *   K * G * (W - We),   We = 1 / (1 + 10^(-dr / 400))
+ *
+ * where dr is the rating difference including home advantage, W is 1, 0.5 or
+ * 0 and G grows with the goal difference. K depends on the competition.
+ *
+ * Elo only predicts an expected score, so match results are converted to
+ * 1X2 probabilities with an ordered logit on the pre-match rating difference
+ * (away win < draw < home win), fitted by maximum likelihood on the processed
+ * matches (Hvattum & Arntzen, 2010). A scoreline grid with exactly these 1X2
+ * probabilities is derived from a Poisson model with the league's goal
+ * average, so Elo results have the same shape as every other model.
+ *
+ * ACADEMIC REFERENCES:
+ * - Elo, A.E. (1978). "The Rating of Chessplayers, Past and Present"
+ *   Arco Publishing, New York
+ * - Hvattum, L.M. & Arntzen, H. (2010). "Using ELO ratings for match result prediction in association football"
+ *   International Journal of Forecasting 26(3): 460-470
+ * - McCullagh, P. (1980). "Regression models for ordinal data"
+ *   Journal of the Royal Statistical Society: Series B 42(2): 109-142
+ */
+
+import { PoissonGenerator } from './improvedMath.js';
+import { ScoreMatrix, DEFAULT_MAX_GOALS } from './scoreMatrix.js';
+import { createPredictionResult, MODEL_VERSIONS } from './predictionResult.js';
+import { dataLines } from './competitionUtils.js';
+import { parseMatchResults } from './teamStrengthFitting.js';
+
+export const DEFAULT_ELO_RATING = 1500;
+
+/** Home advantage in rating points (eloratings.net uses 100) */
+export const DEFAULT_ELO_HOME_ADVANTAGE = 100;
+
+/** K-factor by competition, following the World Football Elo weights */
+export const COMPETITION_K_FACTORS = {
+  friendly: 20,
+  league: 20,
+  cup: 30,
+  qualifier: 40,
+  continental: 50,
+  worldCup: 60
+};
+
+export const DEFAULT_COMPETITION = 'league';
+
+/** Goals per match used to spread the 1X2 probabilities over scorelines */
+export const DEFAULT_GOALS_PER_MATCH = 2.7;
+
+/** Fewest matches (with every outcome seen) before the draw model is fitted */
+export const MIN_DRAW_MODEL_MATCHES = 30;
+
+// The ordered logit works on the rating difference in hundreds of points
+const RATING_SCALE = 100;
+const OUTCOMES = { awayWin: 0, draw: 1, homeWin: 2 };
+const DEFAULT_DRAW_SHARE = 0.26;
+
+/**
+ * Draw model used until enough matches have been processed: symmetric
+ * thresholds giving 26% draws between equal teams and the slope of the Elo
+ * expectancy curve
+ */
+export const DEFAULT_DRAW_MODEL = Object.freeze({
+  thresholds: [
+    -Math.log((1 + DEFAULT_DRAW_SHARE) / (1 - DEFAULT_DRAW_SHARE)),
+    Math.log((1 + DEFAULT_DRAW_SHARE) / (1 - DEFAULT_DRAW_SHARE))
+  ],
+  slope: Math.LN10 * RATING_SCALE / 400,
+  fitted: false
+});
+
+const logistic = (value) => 1 / (1 + Math.exp(-value));
+
+/**
+ * Expected score of the first team (win = 1, draw = 0.5)
+ * @param {number} ratingDifference - Rating difference including home advantage
+ * @returns {number} Expected score (0-1)
+ */
+export const eloExpectedScore = (ratingDifference) => 1 / (1 + 10 ** (-ratingDifference / 400));
+
+/**
+ * Goal-difference multiplier G from World Football Elo
+ * @param {number} goalDifference - Goal difference (either sign)
+ * @returns {number} 1 for draws and one-goal wins, 1.5 for two goals, (11 + N) / 8 above
+ */
+export const marginOfVictoryMultiplier = (goalDifference) => {
+  const margin = Math.abs(goalDifference);
+  if (margin <= 1) return 1;
+  if (margin === 2) return 1.5;
+  return (11 + margin) / 8;
+};
+
+/**
+ * 1X2 probabilities from the ordered logit draw model
+ * P(away win) = F(t1 - s x), P(away win or draw) = F(t2 - s x), x = rating difference / 100
+ * @param {Object} drawModel - { thresholds: [t1, t2], slope }
+ * @param {number} ratingDifference - Rating difference including home advantage
+ * @returns {Object} { homeWin, draw, awayWin }
+ */
+export const orderedLogitProbabilities = ({ thresholds, slope }, ratingDifference) => {
+  const strength = slope * ratingDifference / RATING_SCALE;
+  const awayWin = logistic(thresholds[0] - strength);
+  const notHomeWin = logistic(thresholds[1] - strength);
+  return { homeWin: 1 - notHomeWin, draw: notHomeWin - awayWin, awayWin };
+};
+
+/**
+ * Order matches by date; undated input keeps its own order
+ * @param {Array<Object>} matches - Matches with optional date
+ * @returns {Array<Object>} Matches in the order they are rated
+ */
+export const chronologicalOrder = (matches) => (
+  matches.every(match => match.date)
+    ? [...matches].sort((a, b) => new Date(a.date) - new Date(b.date))
+    : [...matches]
+);
+
+/**
+ * Parse results for the Elo engine
+ * Same format as parseMatchResults, with an optional trailing tag naming the
+ * competition and/or a neutral venue: "2024-08-17, Home 2-1 Away [cup, neutral]".
+ * @param {string} text - Results text
+ * @returns {Array<Object>} Results ({ date, home, away, homeGoals, awayGoals, competition, neutral })
+ */
+export const parseEloResults = (text = '') => {
+  const lines = dataLines(text).map((line, index) => {
+    const tagged = line.match(/^(.*?)\s*\[([^\]]*)\]$/);
+    if (!tagged) return { line, competition: DEFAULT_COMPETITION, neutral: false };
+    if (!tagged[1]) {
+      throw new Error(`Resultatrad ${index + 1} saknar match: "${line}"`);
+    }
+
+    const tags = tagged[2].split(/[,;]/).map(tag => tag.trim()).filter(Boolean);
+    const neutral = tags.includes('neutral');
+    const competitions = tags.filter(tag => tag !== 'neutral');
+    const unknown = competitions.find(tag => COMPETITION_K_FACTORS[tag] === undefined);
+    if (unknown) {
+      throw new Error(`Okänd tävling på resultatrad ${index + 1}: ${unknown}`);
+    }
+    return { line: tagged[1], competition: competitions[0] || DEFAULT_COMPETITION, neutral };
+  });
+
+  return parseMatchResults(lines.map(({ line }) => line).join('\n')).map((result, index) => ({
+    ...result,
+    competition: lines[index].competition,
+    neutral: lines[index].neutral
+  }));
+};
+
+/**
+ * Solve a small linear system by Gaussian elimination with partial pivoting
+ * @param {Array<Array<number>>} matrix - Square matrix
+ * @param {Array<number>} vector - Right-hand side
+ * @returns {Array<number>|null} Solution, or null when the matrix is singular
+ */
+const solveLinearSystem = (matrix, vector) => {
+  const size = vector.length;
+  const rows = matrix.map((row, index) => [...row, vector[index]]);
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-12) return null;
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+    for (let row = column + 1; row < size; row++) {
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k <= size; k++) rows[row][k] -= factor * rows[column][k];
+    }
+  }
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = rows[row][size];
+    for (let k = row + 1; k < size; k++) sum -= rows[row][k] * solution[k];
+    solution[row] = sum / rows[row][row];
+  }
+  return solution;
+};
+
+export class EloRatingSystem {
+  constructor() {
+    this.poissonGen = new PoissonGenerator();
+    this.maxGoals = DEFAULT_MAX_GOALS;
+    this.maxIterations = 50;
+    this.tolerance = 1e-10;
+  }
+
+  /**
+   * Empty rating state
+   * @param {Object} options - Engine options
+   * @param {number} options.initialRating - Rating of a team's first match
+   * @param {number} options.homeAdvantage - Home advantage in rating points
+   * @param {boolean} options.marginOfVictory - Scale K by the goal difference
+   * @param {Object} options.kFactors - K-factor per competition
+   * @returns {Object} State ({ options, ratings, matchCounts, records, drawModel })
+   */
+  createState({
+    initialRating = DEFAULT_ELO_RATING,
+    homeAdvantage = DEFAULT_ELO_HOME_ADVANTAGE,
+    marginOfVictory = true,
+    kFactors = COMPETITION_K_FACTORS
+  } = {}) {
+    return {
+      options: { initialRating, homeAdvantage, marginOfVictory, kFactors },
+      ratings: new Map(),
+      matchCounts: new Map(),
+      records: [],
+      drawModel: DEFAULT_DRAW_MODEL
+    };
+  }
+
+  /**
+   * Current rating of a team (teams without matches have the initial rating)
+   * @param {Object} state - Rating state
+   * @param {string} team - Team name
+   * @returns {number} Rating
+   */
+  rating(state, team) {
+    return state.ratings.get(team) ?? state.options.initialRating;
+  }
+
+  /**
+   * Pre-match rating difference from the home side's point of view
+   * @param {Object} state - Rating state
+   * @param {string} home - Home team
+   * @param {string} away - Away team
+   * @param {boolean} neutral - Neutral venue (no home advantage)
+   * @returns {number} Rating difference in points
+   */
+  ratingDifference(state, home, away, neutral = false) {
+    return this.rating(state, home) - this.rating(state, away) + (neutral ? 0 : state.options.homeAdvantage);
+  }
+
+  /**
+   * Rate one played match and record it for the draw model
+   * @param {Object} state - Rating state (updated in place)
+   * @param {Object} match - { home, away, homeGoals, awayGoals, competition, neutral }
+   * @returns {Object} { ratingDifference, expectedScore, change } (change = home team's rating change)
+   */
+  update(state, { home, away, homeGoals, awayGoals, competition = DEFAULT_COMPETITION, neutral = false }) {
+    const kFactor = state.options.kFactors[competition];
+    if (kFactor === undefined) {
+      throw new Error(`Okänd tävling: ${competition}`);
+    }
+
+    const ratingDifference = this.ratingDifference(state, home, away, neutral);
+    const expectedScore = eloExpectedScore(ratingDifference);
+    const score = homeGoals > awayGoals ? 1 : homeGoals === awayGoals ? 0.5 : 0;
+    const multiplier = state.options.marginOfVictory ? marginOfVictoryMultiplier(homeGoals - awayGoals) : 1;
+    const change = kFactor * multiplier * (score - expectedScore);
+
+    state.ratings.set(home, this.rating(state, home) + change);
+    state.ratings.set(away, this.rating(state, away) - change);
+    [home, away].forEach(team => state.matchCounts.set(team, (state.matchCounts.get(team) || 0) + 1));
+    state.records.push({
+      ratingDifference,
+      outcome: score === 1 ? OUTCOMES.homeWin : score === 0.5 ? OUTCOMES.draw : OUTCOMES.awayWin
+    });
+
+    return { ratingDifference, expectedScore, change };
+  }
+
+  /**
+   * Log-likelihood of the recorded outcomes and its gradient for [t1, t2, slope]
+   * @param {Array<Object>} records - { ratingDifference, outcome }
+   * @param {Array<number>} params - [t1, t2, slope]
+   * @returns {Object} { logLikelihood, gradient }
+   */
+  drawModelLikelihood(records, [lower, upper, slope]) {
+    let logLikelihood = 0;
+    const gradient = [0, 0, 0];
+    const density = (value) => logistic(value) * (1 - logistic(value));
+
+    records.forEach(({ ratingDifference, outcome }) => {
+      const x = ratingDifference / RATING_SCALE;
+      const a = lower - slope * x;
+      const b = upper - slope * x;
+
+      if (outcome === OUTCOMES.awayWin) {
+        logLikelihood += Math.log(logistic(a));
+        gradient[0] += 1 - logistic(a);
+        gradient[2] -= x * (1 - logistic(a));
+      } else if (outcome === OUTCOMES.homeWin) {
+        logLikelihood += Math.log(1 - logistic(b));
+        gradient[1] -= logistic(b);
+        gradient[2] += x * logistic(b);
+      } else {
+        const draw = Math.max(logistic(b) - logistic(a), 1e-300);
+        logLikelihood += Math.log(draw);
+        gradient[0] -= density(a) / draw;
+        gradient[1] += density(b) / draw;
+        gradient[2] += x * (density(a) - density(b)) / draw;
+      }
+    });
+
+    return { logLikelihood, gradient };
+  }
+
+  /**
+   * Fit the ordered logit draw model to the recorded matches by Newton-Raphson
+   * Keeps the current model until MIN_DRAW_MODEL_MATCHES matches with every
+   * outcome have been recorded.
+   * @param {Object} state - Rating state (drawModel is replaced)
+   * @returns {Object} Draw model ({ thresholds, slope, fitted, matches, logLikelihood })
+   */
+  fitDrawModel(state) {
+    const { records } = state;
+    const seen = new Set(records.map(record => record.outcome));
+    if (records.length < MIN_DRAW_MODEL_MATCHES || seen.size < 3) {
+      return state.drawModel;
+    }
+
+    let params = [...state.drawModel.thresholds, state.drawModel.slope];
+    let current = this.drawModelLikelihood(records, params);
+    const step = 1e-5;
+
+    for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+      // Hessian by central differences of the analytic gradient
+      const hessian = params.map((_, column) => {
+        const forward = [...params];
+        const backward = [...params];
+        forward[column] += step;
+        backward[column] -= step;
+        const gradientForward = this.drawModelLikelihood(records, forward).gradient;
+        const gradientBackward = this.drawModelLikelihood(records, backward).gradient;
+        return gradientForward.map((value, row) => (value - gradientBackward[row]) / (2 * step));
+      });
+      const direction = solveLinearSystem(hessian, current.gradient.map(value => -value));
+      if (!direction) break;
+
+      // Step halving keeps the thresholds ordered and the likelihood rising
+      let scale = 1;
+      let candidate = null;
+      while (scale > 1e-6) {
+        const trial = params.map((value, index) => value + scale * direction[index]);
+        if (trial[1] > trial[0]) {
+          const evaluated = this.drawModelLikelihood(records, trial);
+          if (evaluated.logLikelihood >= current.logLikelihood) {
+            candidate = { params: trial, evaluated };
+            break;
+          }
+        }
+        scale /= 2;
+      }
+      if (!candidate) break;
+
+      const improvement = candidate.evaluated.logLikelihood - current.logLikelihood;
+      params = candidate.params;
+      current = candidate.evaluated;
+      if (improvement < this.tolerance) break;
+    }
+
+    state.drawModel = {
+      thresholds: [params[0], params[1]],
+      slope: params[2],
+      fitted: true,
+      matches: records.length,
+      logLikelihood: current.logLikelihood
+    };
+    return state.drawModel;
+  }
+
+  /**
+   * Rate a list of results in date order and fit the draw model
+   * @param {Array<Object>} results - Results (see parseEloResults)
+   * @param {Object} options - See createState
+   * @returns {Object} Rating state
+   */
+  rate(results, options = {}) {
+    const state = this.createState(options);
+    chronologicalOrder(results).forEach(result => this.update(state, result));
+    this.fitDrawModel(state);
+    return state;
+  }
+
+  /**
+   * Ratings sorted from strongest to weakest
+   * @param {Object} state - Rating state
+   * @returns {Array<Object>} [{ team, rating, matches }]
+   */
+  ratingTable(state) {
+    return [...state.ratings.entries()]
+      .map(([team, rating]) => ({ team, rating, matches: state.matchCounts.get(team) || 0 }))
+      .sort((a, b) => b.rating - a.rating);
+  }
+
+  /**
+   * Scoreline grid with the given 1X2 probabilities
+   * Poisson goals with the league total are split so that the home-away
+   * balance matches, then each outcome region is rescaled to its probability.
+   * @param {Object} outcomes - { homeWin, draw, awayWin }
+   * @param {number} goalsPerMatch - Expected total goals
+   * @returns {ScoreMatrix} Scoreline distribution
+   */
+  impliedScoreMatrix(outcomes, goalsPerMatch) {
+    const build = (supremacy) => ScoreMatrix.fromFunction(
+      (homeGoals, awayGoals) => this.poissonGen.probability((goalsPerMatch + supremacy) / 2, homeGoals) *
+        this.poissonGen.probability((goalsPerMatch - supremacy) / 2, awayGoals),
+      this.maxGoals
+    );
+    const target = outcomes.homeWin - outcomes.awayWin;
+
+    // Bisection on the expected goal supremacy
+    let low = -goalsPerMatch * 0.99;
+    let high = goalsPerMatch * 0.99;
+    for (let iteration = 0; iteration < 40; iteration++) {
+      const middle = (low + high) / 2;
+      const { homeWin, awayWin } = build(middle).outcomeProbabilities();
+      if (homeWin - awayWin < target) low = middle;
+      else high = middle;
+    }
+
+    const matrix = build((low + high) / 2);
+    const regions = matrix.outcomeProbabilities();
+    const captured = matrix.capturedMass();
+    const scaled = new ScoreMatrix(this.maxGoals);
+    matrix.forEach((homeGoals, awayGoals, probability) => {
+      const outcome = homeGoals > awayGoals ? 'homeWin' : homeGoals === awayGoals ? 'draw' : 'awayWin';
+      scaled.set(homeGoals, awayGoals, regions[outcome] > 0 ? probability / captured * outcomes[outcome] / regions[outcome] : 0);
+    });
+    return scaled;
+  }
+
+  /**
+   * Predict a match from the current ratings
+   * @param {Object} state - Rating state
+   * @param {string} home - Home team
+   * @param {string} away - Away team
+   * @param {Object} options - { neutral, goalsPerMatch }
+   * @returns {Object} PredictionResult with Elo diagnostics in `elo`
+   */
+  predict(state, home, away, { neutral = false, goalsPerMatch = DEFAULT_GOALS_PER_MATCH } = {}) {
+    const ratingDifference = this.ratingDifference(state, home, away, neutral);
+    const outcomes = orderedLogitProbabilities(state.drawModel, ratingDifference);
+    const scoreMatrix = this.impliedScoreMatrix(outcomes, goalsPerMatch);
+    const expected = scoreMatrix.expectedGoals();
+    const homeMatches = state.matchCounts.get(home) || 0;
+    const awayMatches = state.matchCounts.get(away) || 0;
+
+    // Ratings settle after roughly 20 matches per team
+    const confidence = Math.min(0.95, 0.5 + 0.45 * Math.min(1, Math.min(homeMatches, awayMatches) / 20));
+
+    return createPredictionResult({
+      model: 'elo',
+      modelName: 'Elo Ratings',
+      version: MODEL_VERSIONS.elo,
+      inputs: {
+        home, away, neutral, goalsPerMatch,
+        homeRating: this.rating(state, home),
+        awayRating: this.rating(state, away),
+        homeAdvantage: state.options.homeAdvantage,
+        drawModel: { thresholds: state.drawModel.thresholds, slope: state.drawModel.slope }
+      },
+      scoreMatrix,
+      expectedHomeGoals: expected.home,
+      expectedAwayGoals: expected.away,
+      confidence,
+      extras: {
+        elo: {
+          homeTeam: home,
+          awayTeam: away,
+          homeRating: this.rating(state, home),
+          awayRating: this.rating(state, away),
+          homeMatches,
+          awayMatches,
+          ratingDifference,
+          expectedScore: eloExpectedScore(ratingDifference),
+          neutral,
+          drawModel: state.drawModel
+        }
+      }
+    });
+  }
+
+  /**
+   * Clear caches
+   */
+  reset() {
+    this.poissonGen.clearCaches();
+  }
+}
+
+// Export singleton instance
+export const eloRatingSystem = new EloRatingSystem();
+
+export default EloRatingSystem;
@@ -1,5 +1,30 @@
 import jsPDF from 'jspdf';
 import 'jspdf-autotable';
+import { asianHandicapCalculator, formatHandicapLine } from './asianHandicap';
+import { HALF_TIME_FULL_TIME_OUTCOMES } from './improvedMath';
+import { formatMainMarkets, formatPercent, toPercentValue, MARKET_LABELS } from './resultFormatting';
+
+const ASIAN_HANDICAP_HEADERS = ['Linje (hemma)', 'Vinst (%)', 'Halv vinst (%)', 'Push (%)', 'Halv förlust (%)', 'Förlust (%)', 'Odds hemma', 'Odds borta'];
+const MARKET_HEADERS = ['Marknad', 'Sannolikhet (%)', 'Rättvist odds'];
+
+const COMPARISON_HEADERS = ['Metod', 'Hemmavinst (%)', 'Oavgjort (%)', 'Bortavinst (%)', 'Hemma xG', 'Borta xG'];
+
+// Metoder i jämförelsetabellen, i visningsordning
+const COMPARISON_METHODS = [
+  ['xg', 'Expected Goals (xG)'],
+  ['poisson', 'Poisson-fördelning'],
+  ['montecarlo', 'Monte Carlo'],
+  ['bivariate', 'Bivariat Poisson'],
+  ['elo', 'Elo-rating'],
+  ['bayesian', 'Bayesiansk hierarkisk'],
+  ['ensemble', 'Ensemble']
+];
+
+// Metoder som har marknader för asiatiskt handikapp och halvtid/fulltid
+const MARKET_METHODS = ['poisson', 'montecarlo'];
+
+// Metoder som redovisar kredibla intervall för marknaderna
+const CREDIBLE_INTERVAL_METHODS = ['bayesian'];
 
 /**
  * Exporterar beräkningsresultat till PDF
@@ -43,38 +68,10 @@ export const exportToPDF = (results, params, activeTab) => {
 
   if (results.comparison) {
     // Jämförelseresultat
-    const comparisonData = [
-      ['Metod', 'Hemmavinst (%)', 'Oavgjort (%)', 'Bortavinst (%)', 'Hemma xG', 'Borta xG'],
-      [
-        'Expected Goals (xG)',
-        results.xg?.homeWinProbability || 'N/A',
-        results.xg?.drawProbability || 'N/A',
-        results.xg?.awayWinProbability || 'N/A',
-        results.xg?.expectedHomeGoals?.toFixed(2) || 'N/A',
-        results.xg?.expectedAwayGoals?.toFixed(2) || 'N/A'
-      ],
-      [
-        'Poisson-fördelning',
-        results.poisson?.homeWinProbability || 'N/A',
-        results.poisson?.drawProbability || 'N/A',
-        results.poisson?.awayWinProbability || 'N/A',
-        results.poisson?.expectedHomeGoals?.toFixed(2) || 'N/A',
-        results.poisson?.expectedAwayGoals?.toFixed(2) || 'N/A'
-      ],
-      [
-        'Monte Carlo',
-        results.montecarlo?.homeWinProbability || 'N/A',
-        results.montecarlo?.drawProbability || 'N/A',
-        results.montecarlo?.awayWinProbability || 'N/A',
-        results.montecarlo?.expectedHomeGoals?.toFixed(2) || 'N/A',
-        results.montecarlo?.expectedAwayGoals?.toFixed(2) || 'N/A'
-      ]
-    ];
-
     doc.autoTable({
       startY: yPosition,
-      head: [comparisonData[0]],
-      body: comparisonData.slice(1),
+      head: [COMPARISON_HEADERS],
+      body: getComparisonRows(results),
       theme: 'grid',
       headStyles: { fillColor: [66, 139, 202] },
       margin: { left: 20, right: 20 },
@@ -84,13 +81,7 @@ export const exportToPDF = (results, params, activeTab) => {
     // Enskilt resultat
     const singleResult = results[activeTab];
     if (singleResult) {
-      const resultData = [
-        ['Hemmavinst', `${singleResult.homeWinProbability}%`],
-        ['Oavgjort', `${singleResult.drawProbability}%`],
-        ['Bortavinst', `${singleResult.awayWinProbability}%`],
-        ['Förväntade mål hemmalag', singleResult.expectedHomeGoals?.toFixed(2) || 'N/A'],
-        ['Förväntade mål bortalag', singleResult.expectedAwayGoals?.toFixed(2) || 'N/A']
-      ];
+      const resultData = getSingleResultRows(singleResult);
 
       doc.autoTable({
         startY: yPosition,
@@ -103,6 +94,28 @@ export const exportToPDF = (results, params, activeTab) => {
     }
   }
 
+  // Asiatiskt handikapp och halvtid/fulltid
+  getMarketSections(results, activeTab).forEach(({ title, head, rows }) => {
+    yPosition = doc.lastAutoTable.finalY + 20;
+    if (yPosition > 260) {
+      doc.addPage();
+      yPosition = 20;
+    }
+
+    doc.setFontSize(14);
+    doc.text(title, 20, yPosition);
+
+    doc.autoTable({
+      startY: yPosition + 10,
+      head: [head],
+      body: rows,
+      theme: 'grid',
+      headStyles: { fillColor: [66, 139, 202] },
+      margin: { left: 20, right: 20 },
+      styles: { fontSize: 8 }
+    });
+  });
+
   // Spara PDF
   const fileName = `soccerpredict-resultat-${currentDate.replace(/\//g, '-')}.pdf`;
   doc.save(fileName);
@@ -136,31 +149,29 @@ export const exportToCSV = (results, params, activeTab) => {
   
   if (results.comparison) {
     // Jämförelseresultat
-    csvContent += `Metod,Hemmavinst (%),Oavgjort (%),Bortavinst (%),Hemma xG,Borta xG\n`;
-    
-    if (results.xg) {
-      csvContent += `"Expected Goals (xG)",${results.xg.homeWinProbability},${results.xg.drawProbability},${results.xg.awayWinProbability},${results.xg.expectedHomeGoals?.toFixed(2) || 'N/A'},${results.xg.expectedAwayGoals?.toFixed(2) || 'N/A'}\n`;
-    }
-    
-    if (results.poisson) {
-      csvContent += `"Poisson-fördelning",${results.poisson.homeWinProbability},${results.poisson.drawProbability},${results.poisson.awayWinProbability},${results.poisson.expectedHomeGoals?.toFixed(2) || 'N/A'},${results.poisson.expectedAwayGoals?.toFixed(2) || 'N/A'}\n`;
-    }
-    
-    if (results.montecarlo) {
-      csvContent += `"Monte Carlo",${results.montecarlo.homeWinProbability},${results.montecarlo.drawProbability},${results.montecarlo.awayWinProbability},${results.montecarlo.expectedHomeGoals?.toFixed(2) || 'N/A'},${results.montecarlo.expectedAwayGoals?.toFixed(2) || 'N/A'}\n`;
-    }
+    csvContent += `${COMPARISON_HEADERS.join(',')}\n`;
+    getComparisonRows(results).forEach(([method, ...values]) => {
+      csvContent += `"${method}",${values.join(',')}\n`;
+    });
   } else {
     // Enskilt resultat
     const singleResult = results[activeTab];
     if (singleResult) {
       csvContent += `Resultat,Värde\n`;
-      csvContent += `"Hemmavinst","${singleResult.homeWinProbability}%"\n`;
-      csvContent += `"Oavgjort","${singleResult.drawProbability}%"\n`;
-      csvContent += `"Bortavinst","${singleResult.awayWinProbability}%"\n`;
-      csvContent += `"Förväntade mål hemmalag","${singleResult.expectedHomeGoals?.toFixed(2) || 'N/A'}"\n`;
-      csvContent += `"Förväntade mål bortalag","${singleResult.expectedAwayGoals?.toFixed(2) || 'N/A'}"\n`;
+      getSingleResultRows(singleResult).forEach(([label, value]) => {
+        csvContent += `"${label}","${value}"\n`;
+      });
     }
   }
+
+  // Asiatiskt handikapp och halvtid/fulltid
+  getMarketSections(results, activeTab).forEach(({ title, head, rows }) => {
+    csvContent += `\n${title}\n`;
+    csvContent += `${head.join(',')}\n`;
+    rows.forEach(row => {
+      csvContent += `${row.join(',')}\n`;
+    });
+  });
   
   // Skapa och ladda ner fil
   const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -174,6 +185,47 @@ export const exportToCSV = (results, params, activeTab) => {
   document.body.removeChild(link);
 };
 
+/**
+ * Rader för jämförelsetabellen, en per beräknad metod
+ */
+const getComparisonRows = (results) => COMPARISON_METHODS
+  .filter(([method]) => results[method])
+  .map(([method, label]) => {
+    const formatted = formatMainMarkets(results[method]);
+    return [
+      label,
+      formatted.homeWinProbability,
+      formatted.drawProbability,
+      formatted.awayWinProbability,
+      formatted.expectedHomeGoals,
+      formatted.expectedAwayGoals
+    ];
+  });
+
+/**
+ * Rader för ett enskilt resultat, inklusive modellens metadata
+ */
+const getSingleResultRows = (result) => {
+  const formatted = formatMainMarkets(result);
+  const rows = [
+    ['Hemmavinst', formatPercent(result.homeWinProbability)],
+    ['Oavgjort', formatPercent(result.drawProbability)],
+    ['Bortavinst', formatPercent(result.awayWinProbability)],
+    ['Förväntade mål hemmalag', formatted.expectedHomeGoals],
+    ['Förväntade mål bortalag', formatted.expectedAwayGoals]
+  ];
+
+  if (result.metadata) {
+    rows.push(['Modellversion', `${result.metadata.modelName} ${result.metadata.version}`]);
+    if (result.metadata.seed !== null) {
+      rows.push(['Slumpfrö', result.metadata.seed]);
+    }
+    rows.push(['Indata-hash', result.metadata.inputHash]);
+  }
+
+  return rows;
+};
+
 /**
  * Hjälpfunktion för att få metodnamn
  */
@@ -182,10 +234,117 @@ const getMethodName = (activeTab) => {
     case 'xg': return 'Expected Goals (xG)';
     case 'poisson': return 'Poisson-fördelning';
     case 'montecarlo': return 'Monte Carlo-simulering';
+    case 'bivariate': return 'Bivariat Poisson';
+    case 'elo': return 'Elo-rating';
+    case 'bayesian': return 'Bayesiansk hierarkisk modell';
+    case 'ensemble': return 'Ensemble';
+    case 'inplay': return 'Live-prediktion';
+    case 'form': return 'Form (målsnitt)';
+    case 'fitted': return 'Skattade lagstyrkor';
+    case 'dynamic': return 'Dynamiska ratingar';
     default: return 'Okänd metod';
   }
 };
 
+/**
+ * Hjälpfunktion för att ta fram marknadstabeller för Poisson, Monte Carlo och kredibla intervall
+ */
+const getMarketSections = (results, activeTab) => {
+  const methods = (results.comparison ? MARKET_METHODS : [activeTab])
+    .filter(method => MARKET_METHODS.includes(method) && results[method]);
+
+  const intervalMethods = (results.comparison ? CREDIBLE_INTERVAL_METHODS : [activeTab])
+    .filter(method => CREDIBLE_INTERVAL_METHODS.includes(method) && results[method]?.confidenceIntervals);
+
+  const ensemble = (results.comparison || activeTab === 'ensemble') ? results.ensemble?.ensemble : null;
+
+  return [
+    ...(ensemble ? [getEnsembleWeightSection(ensemble)] : []),
+    ...intervalMethods.map(method => getCredibleIntervalSection(results[method], method)),
+    ...methods.filter(method => results[method].scoreMatrix).map(method => getAsianHandicapSection(results[method], method)),
+    ...methods.filter(method => results[method].halfTime).map(method => getHalfTimeSection(results[method].halfTime, method))
+  ];
+};
+
+/**
+ * Hjälpfunktion för ensemblens vikter, inlärda från historisk validering eller lika
+ */
+const getEnsembleWeightSection = (ensemble) => ({
+  title: ensemble.learned
+    ? `Ensemblevikter (${ensemble.method === 'logLinear' ? 'log-linjär' : 'linjär'} poolning; inlärda på ${ensemble.matches} matcher; ${ensemble.objective === 'brier' ? 'Brier' : 'log loss'} ${ensemble.score.toFixed(4)} mot ${ensemble.equalWeightScore.toFixed(4)} med lika vikter)`
+    : `Ensemblevikter (${ensemble.method === 'logLinear' ? 'log-linjär' : 'linjär'} poolning; lika vikter)`,
+  head: ['Modell', 'Vikt (%)'],
+  rows: Object.entries(ensemble.weights).map(([model, weight]) => [getMethodName(model), toPercentValue(weight)])
+});
+
+/**
+ * Hjälpfunktion för marknader med kredibla intervall från posteriordragningarna
+ */
+const getCredibleIntervalSection = (result, method) => ({
+  title: `Marknader med 95% kredibla intervall - ${getMethodName(method)}`,
+  head: ['Marknad', 'Sannolikhet (%)', 'Nedre (%)', 'Övre (%)'],
+  rows: Object.entries(MARKET_LABELS).map(([key, label]) => [
+    label,
+    toPercentValue(result[key]),
+    toPercentValue(result.confidenceIntervals[key].lower),
+    toPercentValue(result.confidenceIntervals[key].upper)
+  ])
+});
+
+/**
+ * Hjälpfunktion för asiatiskt handikapp, prissatt från resultatmatrisen
+ */
+const getAsianHandicapSection = (result, method) => ({
+  title: `Asiatiskt handikapp - ${getMethodName(method)}`,
+  head: ASIAN_HANDICAP_HEADERS,
+  rows: asianHandicapCalculator.calculate(result.scoreMatrix).map(({ line, home, away }) => [
+    formatHandicapLine(line),
+    toPercentValue(home.win),
+    toPercentValue(home.halfWin),
+    toPercentValue(home.push),
+    toPercentValue(home.halfLoss),
+    toPercentValue(home.loss),
+    home.fairOdds ? home.fairOdds.toFixed(2) : 'N/A',
+    away.fairOdds ? away.fairOdds.toFixed(2) : 'N/A'
+  ])
+});
+
+/**
+ * Hjälpfunktion för halvtid/fulltid och första halvlek
+ */
+const getHalfTimeSection = (halfTime, method) => {
+  const markets = [
+    ['Hemmavinst 1:a halvlek', halfTime.firstHalf.homeWin],
+    ['Oavgjort 1:a halvlek', halfTime.firstHalf.draw],
+    ['Bortavinst 1:a halvlek', halfTime.firstHalf.awayWin],
+    ['Över 0.5 mål 1:a halvlek', halfTime.firstHalf.over05],
+    ['Över 1.5 mål 1:a halvlek', halfTime.firstHalf.over15],
+    ['Mål i båda halvlekarna', halfTime.goalInBothHalves],
+    ...HALF_TIME_FULL_TIME_OUTCOMES.map(outcome => [`Halvtid/fulltid ${outcome}`, halfTime.halfTimeFullTime[outcome]])
+  ];
+
+  return {
+    title: `Halvtid/fulltid (${toPercentValue(halfTime.firstHalfShare, 0)}% av målen i 1:a halvlek) - ${getMethodName(method)}`,
+    head: MARKET_HEADERS,
+    rows: markets.map(([label, probability]) => [
+      label,
+      toPercentValue(probability),
+      probability > 0 ? (1 / probability).toFixed(2) : 'N/A'
+    ])
+  };
+};
+
+/**
+ * Hjälpfunktion för att beskriva vald målfördelning
+ */
+const formatDistribution = (distribution) => {
+  switch (distribution?.type) {
+    case 'negativeBinomial': return `Negativ binomial (r = ${distribution.dispersion || 10})`;
+    case 'zeroInflated': return `Nollinflaterad Poisson (π = ${distribution.zeroInflation || 0})`;
+    default: return 'Poisson';
+  }
+};
+
 /**
  * Hjälpfunktion för att få parameterdata
  */
@@ -210,6 +369,14 @@ const getParameterData = (params, activeTab) => {
         data.push(['Bortalag mål/match', params.poissonParams.awayGoals || 'N/A']);
         data.push(['Hemmalag försvar', params.poissonParams.homeDefense || 'N/A']);
         data.push(['Bortalag försvar', params.poissonParams.awayDefense || 'N/A']);
+        data.push(['Dixon-Coles rho', params.poissonParams.rho || 0]);
+        if (params.poissonParams.leagueAverage !== undefined) {
+          data.push(['Ligasnitt (skattat)', params.poissonParams.leagueAverage]);
+          data.push(['Hemmafördel (skattad)', params.poissonParams.homeAdvantage]);
+        }
+        data.push(['Andel mål i 1:a halvlek', params.poissonParams.firstHalfShare || 'N/A']);
+        data.push(['Hemmalag målfördelning', formatDistribution(params.poissonParams.homeDistribution)]);
+        data.push(['Bortalag målfördelning', formatDistribution(params.poissonParams.awayDistribution)]);
       }
       break;
       
@@ -220,6 +387,69 @@ const getParameterData = (params, activeTab) => {
         data.push(['Bortalag attack', params.monteCarloParams.awayAttack || 'N/A']);
         data.push(['Hemmalag försvar', params.monteCarloParams.homeDefense || 'N/A']);
         data.push(['Bortalag försvar', params.monteCarloParams.awayDefense || 'N/A']);
+        if (params.monteCarloParams.homeAdvantage !== undefined) {
+          data.push(['Hemmafördel (dynamisk rating)', params.monteCarloParams.homeAdvantage]);
+        }
+        if (params.monteCarloParams.strengthUncertainty) {
+          const { homeLogSd, awayLogSd, correlation } = params.monteCarloParams.strengthUncertainty;
+          data.push(['Styrkeosäkerhet (log-SD hemma/borta, korrelation)', `${homeLogSd.toFixed(3)} / ${awayLogSd.toFixed(3)}, ${correlation.toFixed(2)}`]);
+        }
+        data.push(['Andel mål i 1:a halvlek', params.monteCarloParams.firstHalfShare || 'N/A']);
+        data.push(['Hemmalag målfördelning', formatDistribution(params.monteCarloParams.homeDistribution)]);
+        data.push(['Bortalag målfördelning', formatDistribution(params.monteCarloParams.awayDistribution)]);
+      }
+      break;
+      
+    case 'bivariate':
+      if (params.bivariateParams) {
+        data.push(['Hemmalag mål/match', params.bivariateParams.homeGoals || 'N/A']);
+        data.push(['Bortalag mål/match', params.bivariateParams.awayGoals || 'N/A']);
+        data.push(['Hemmalag försvar', params.bivariateParams.homeDefense || 'N/A']);
+        data.push(['Bortalag försvar', params.bivariateParams.awayDefense || 'N/A']);
+        data.push(['Kovarians (lambda3)', params.bivariateParams.lambda3 || 0]);
+      }
+      break;
+
+    case 'elo':
+      if (params.eloParams) {
+        data.push(['Hemmalag', params.eloParams.homeTeam || 'N/A']);
+        data.push(['Bortalag', params.eloParams.awayTeam || 'N/A']);
+        data.push(['Hemmafördel (ratingpoäng)', params.eloParams.homeAdvantage ?? 'N/A']);
+        data.push(['Målskillnad väger in', params.eloParams.marginOfVictory ? 'Ja' : 'Nej']);
+        data.push(['Neutral plan', params.eloParams.neutral ? 'Ja' : 'Nej']);
+      }
+      break;
+
+    case 'bayesian':
+      if (params.bayesianParams) {
+        data.push(['Hemmalag', params.bayesianParams.homeTeam || 'N/A']);
+        data.push(['Bortalag', params.bayesianParams.awayTeam || 'N/A']);
+        data.push(['MCMC-kedjor', params.bayesianParams.chains ?? 'N/A']);
+        data.push(['Iterationer per kedja', params.bayesianParams.iterations ?? 'N/A']);
+        data.push(['Inbränning', params.bayesianParams.burnIn ?? 'N/A']);
+        data.push(['Neutral plan', params.bayesianParams.neutral ? 'Ja' : 'Nej']);
+      }
+      break;
+
+    case 'ensemble':
+      if (params.ensembleParams) {
+        const { fit } = params.ensembleParams;
+        data.push(['Poolning', params.ensembleParams.method === 'logLinear' ? 'Log-linjär' : 'Linjär']);
+        data.push(['Modeller', (fit?.models || params.ensembleParams.models).map(getMethodName).join(', ')]);
+        data.push(['Vikter', fit ? `Inlärda (${fit.objective === 'brier' ? 'Brier' : 'log loss'}, ${fit.matches} matcher)` : 'Lika']);
+      }
+      break;
+
+    case 'inplay':
+      if (params.inPlayParams) {
+        data.push(['Hemmalag förväntade mål', params.inPlayParams.homeExpectedGoals || 'N/A']);
+        data.push(['Bortalag förväntade mål', params.inPlayParams.awayExpectedGoals || 'N/A']);
+        data.push(['Minut', params.inPlayParams.minute || 0]);
+        data.push(['Ställning', `${params.inPlayParams.homeScore || 0}-${params.inPlayParams.awayScore || 0}`]);
+        data.push(['Röda kort', `${params.inPlayParams.homeRedCards || 0}-${params.inPlayParams.awayRedCards || 0}`]);
+        data.push(['Live-xG', params.inPlayParams.useLiveXG
+          ? `${params.inPlayParams.homeLiveXG || 0}-${params.inPlayParams.awayLiveXG || 0}`
+          : 'Används ej']);
       }
       break;
   }
@@ -230,12 +460,16 @@ const getParameterData = (params, activeTab) => {
 /**
  * Exporterar jämförelseresultat
  */
-export const exportComparisonResults = (xgResults, poissonResults, monteCarloResults, allParams) => {
+export const exportComparisonResults = (xgResults, poissonResults, monteCarloResults, allParams, bivariateResults = null, eloResults = null, bayesianResults = null, ensembleResults = null) => {
   const results = {
     comparison: true,
     xg: xgResults,
     poisson: poissonResults,
-    montecarlo: monteCarloResults
+    montecarlo: monteCarloResults,
+    bivariate: bivariateResults,
+    elo: eloResults,
+    bayesian: bayesianResults,
+    ensemble: ensembleResults
   };
   
   return {
@@ -244,8 +478,106 @@ export const exportComparisonResults = (xgResults, poissonResults, monteCarloRes
   };
 };
 
+/**
+ * Laddar ner en fil som skapats i webbläsaren
+ */
+const downloadFile = (content, type, fileName) => {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', fileName);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+const formatBacktestDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+/**
+ * CSV för en walk-forward-backtest: mått per säsong och modell, sedan varje matchs prognoser och rullande RPS
+ */
+const getBacktestCSV = (backtest) => {
+  const currentDate = new Date().toLocaleDateString('sv-SE');
+  const currentTime = new Date().toLocaleTimeString('sv-SE');
+  const summaryRow = (season, model, summary) => [
+    `"${season}"`,
+    `"${getMethodName(model)}"`,
+    summary.matches,
+    summary.rankedProbabilityScore.toFixed(4),
+    summary.brierScore.toFixed(4),
+    summary.logLoss.toFixed(4),
+    toPercentValue(summary.accuracy)
+  ].join(',');
+
+  let csvContent = '';
+  csvContent += `SoccerPredict Pro - Walk-forward-backtest\n`;
+  csvContent += `Genererat,${currentDate} ${currentTime}\n`;
+  csvContent += `Träningsmatcher,${backtest.trainingMatches}\n`;
+  csvContent += `Utvärderade matcher,${backtest.scoredMatches}\n`;
+  csvContent += `Rullande fönster (matcher),${backtest.options.rollingWindow}\n\n`;
+
+  csvContent += `Mått per säsong\n`;
+  csvContent += `Säsong,Modell,Matcher,RPS,Brier,Log loss,Träffsäkerhet (%)\n`;
+  backtest.seasons.forEach(season => {
+    backtest.models.filter(model => season.models[model]).forEach(model => {
+      csvContent += `${summaryRow(season.season ?? 'Utan datum', model, season.models[model])}\n`;
+    });
+  });
+  backtest.models.filter(model => backtest.overall[model]).forEach(model => {
+    csvContent += `${summaryRow('Totalt', model, backtest.overall[model])}\n`;
+  });
+
+  const rolling = Object.fromEntries(backtest.models.map(model => [
+    model,
+    new Map(backtest.rolling[model].map(point => [point.index, point.rankedProbabilityScore]))
+  ]));
+  csvContent += `\nPrognoser per match\n`;
+  csvContent += [
+    'Datum', 'Säsong', 'Hemmalag', 'Bortalag', 'Resultat',
+    ...backtest.models.flatMap(model => ['1 (%)', 'X (%)', '2 (%)', 'RPS', 'Rullande RPS'].map(column => `${getMethodName(model)} ${column}`))
+  ].join(',') + '\n';
+  backtest.matches.filter(match => match.scored).forEach(match => {
+    csvContent += [
+      formatBacktestDate(match.date),
+      `"${match.season ?? ''}"`,
+      `"${match.homeTeam}"`,
+      `"${match.awayTeam}"`,
+      `${match.homeGoals}-${match.awayGoals}`,
+      ...backtest.models.flatMap(model => {
+        const forecast = match.forecasts[model];
+        return forecast
+          ? [
+            toPercentValue(forecast.homeWinProbability),
+            toPercentValue(forecast.drawProbability),
+            toPercentValue(forecast.awayWinProbability),
+            forecast.rankedProbabilityScore.toFixed(4),
+            rolling[model].get(match.index).toFixed(4)
+          ]
+          : ['', '', '', '', ''];
+      })
+    ].join(',') + '\n';
+  });
+
+  return csvContent;
+};
+
+/**
+ * Exporterar en walk-forward-backtest som CSV eller JSON
+ */
+export const exportBacktestResults = (backtest) => {
+  const fileName = `soccerpredict-backtest-${new Date().toLocaleDateString('sv-SE').replace(/\//g, '-')}`;
+
+  return {
+    toCSV: () => downloadFile(getBacktestCSV(backtest), 'text/csv;charset=utf-8;', `${fileName}.csv`),
+    toJSON: () => downloadFile(JSON.stringify(backtest, null, 2), 'application/json;charset=utf-8;', `${fileName}.json`)
+  };
+};
+
 export default {
   exportToPDF,
   exportToCSV,
-  exportComparisonResults
+  exportComparisonResults,
+  exportBacktestResults
 };
\ No newline at end of file
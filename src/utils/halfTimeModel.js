@@ -0,0 +1,168 @@
+/**
+ * Half-Split Goal Model
+ * Divides each team's goal expectation into first- and second-half intensities
+ * to price half-time/full-time, first-half 1X2/totals and "goal in both halves"
+ *
+ * Goals are split by binomial thinning: every goal independently falls in the
+ * first half with probability firstHalfShare. For Poisson goals this gives two
+ * independent Poisson halves; for overdispersed distributions it keeps the
+ * full-match distribution unchanged. This matches MonteCarloSimulator when it
+ * is given the same firstHalfShare.
+ *
+ * ACADEMIC REFERENCES:
+ * - Dixon, M.J. & Robinson, M.E. (1998). "A birth process model for association football matches"
+ *   DOI: 10.1111/1467-9884.00145
+ * - Armatas, V., Yiannakos, A. & Sileloglou, P. (2007). "Relationship between time and goal scoring in soccer games: Analysis of three World Cups"
+ *   International Journal of Performance Analysis in Sport, 7(2)
+ */
+
+import {
+  PoissonGenerator,
+  HALF_TIME_FULL_TIME_OUTCOMES,
+  RESULT_CODE_KEYS,
+  matchResultCode
+} from './improvedMath.js';
+import { DEFAULT_MAX_GOALS } from './scoreMatrix.js';
+
+/**
+ * Share of goals scored before half-time. Top European leagues consistently
+ * see roughly 44-46% of goals in the first half.
+ */
+export const DEFAULT_FIRST_HALF_SHARE = 0.45;
+
+/**
+ * Estimate the first-half goal share from league match data
+ * @param {Array} matches - Matches with homeGoals, awayGoals, halfTimeHomeGoals, halfTimeAwayGoals
+ * @returns {Object} { share, sampleSize, totalGoals }
+ */
+export const estimateFirstHalfShare = (matches = []) => {
+  let firstHalfGoals = 0;
+  let totalGoals = 0;
+  let sampleSize = 0;
+
+  matches.forEach(match => {
+    const halfTimeGoals = Number(match.halfTimeHomeGoals) + Number(match.halfTimeAwayGoals);
+    const fullTimeGoals = Number(match.homeGoals) + Number(match.awayGoals);
+    if (!Number.isFinite(halfTimeGoals) || !Number.isFinite(fullTimeGoals) || halfTimeGoals > fullTimeGoals) return;
+
+    firstHalfGoals += halfTimeGoals;
+    totalGoals += fullTimeGoals;
+    sampleSize++;
+  });
+
+  return {
+    share: totalGoals > 0 ? firstHalfGoals / totalGoals : DEFAULT_FIRST_HALF_SHARE,
+    sampleSize,
+    totalGoals
+  };
+};
+
+export class HalfTimeModel {
+  constructor() {
+    this.poissonGen = new PoissonGenerator();
+    this.maxGoals = DEFAULT_MAX_GOALS;
+  }
+
+  /**
+   * Joint distribution of one team's first- and second-half goals
+   * @param {number} lambda - Full-match expected goals
+   * @param {number} firstHalfShare - Share of goals scored before half-time
+   * @param {Object} distribution - Goal distribution (see GOAL_DISTRIBUTIONS)
+   * @returns {Array<Array<number>>} probabilities[firstHalf][secondHalf]
+   */
+  teamHalfDistribution(lambda, firstHalfShare, distribution) {
+    const joint = Array.from({ length: this.maxGoals + 1 }, () => new Array(this.maxGoals + 1).fill(0));
+
+    for (let total = 0; total <= this.maxGoals; total++) {
+      const totalProb = this.poissonGen.probability(lambda, total, distribution);
+      // Binomial split of the total, built up with the multiplicative recurrence
+      let splitProb = Math.pow(1 - firstHalfShare, total);
+      for (let firstHalf = 0; firstHalf <= total; firstHalf++) {
+        if (firstHalf > 0) {
+          splitProb *= ((total - firstHalf + 1) / firstHalf) * (firstHalfShare / (1 - firstHalfShare));
+        }
+        joint[firstHalf][total - firstHalf] = totalProb * splitProb;
+      }
+    }
+
+    return joint;
+  }
+
+  /**
+   * Calculate half-time markets
+   * @param {Object} params - Model parameters
+   * @returns {Object} Half-time markets (probabilities 0-1)
+   */
+  calculate(params) {
+    const {
+      homeLambda,
+      awayLambda,
+      firstHalfShare = DEFAULT_FIRST_HALF_SHARE,
+      homeDistribution,
+      awayDistribution
+    } = params;
+
+    if (!(homeLambda > 0) || !(awayLambda > 0)) {
+      throw new Error('homeLambda and awayLambda must be positive numbers');
+    }
+
+    const share = Math.max(0.05, Math.min(0.95, Number(firstHalfShare) || DEFAULT_FIRST_HALF_SHARE));
+    if (share !== firstHalfShare) {
+      console.warn(`firstHalfShare ${firstHalfShare} outside supported range, using ${share}`);
+    }
+
+    const home = this.teamHalfDistribution(homeLambda, share, homeDistribution);
+    const away = this.teamHalfDistribution(awayLambda, share, awayDistribution);
+
+    const halfTimeFullTime = Object.fromEntries(HALF_TIME_FULL_TIME_OUTCOMES.map(outcome => [outcome, 0]));
+    const firstHalf = { homeWin: 0, draw: 0, awayWin: 0, over05: 0, over15: 0, expectedHomeGoals: 0, expectedAwayGoals: 0 };
+    let goalInBothHalves = 0;
+    let captured = 0;
+
+    for (let homeFirst = 0; homeFirst <= this.maxGoals; homeFirst++) {
+      for (let homeSecond = 0; homeFirst + homeSecond <= this.maxGoals; homeSecond++) {
+        const homeProb = home[homeFirst][homeSecond];
+        for (let awayFirst = 0; awayFirst <= this.maxGoals; awayFirst++) {
+          for (let awaySecond = 0; awayFirst + awaySecond <= this.maxGoals; awaySecond++) {
+            const probability = homeProb * away[awayFirst][awaySecond];
+            const firstHalfGoals = homeFirst + awayFirst;
+            const halfTimeCode = matchResultCode(homeFirst - awayFirst);
+            const fullTimeCode = matchResultCode(homeFirst + homeSecond - awayFirst - awaySecond);
+
+            captured += probability;
+            halfTimeFullTime[`${halfTimeCode}/${fullTimeCode}`] += probability;
+            firstHalf[RESULT_CODE_KEYS[halfTimeCode]] += probability;
+            if (firstHalfGoals > 0.5) firstHalf.over05 += probability;
+            if (firstHalfGoals > 1.5) firstHalf.over15 += probability;
+            if (firstHalfGoals > 0 && homeSecond + awaySecond > 0) goalInBothHalves += probability;
+            firstHalf.expectedHomeGoals += homeFirst * probability;
+            firstHalf.expectedAwayGoals += awayFirst * probability;
+          }
+        }
+      }
+    }
+
+    // Normalise to the captured mass so every market sums to 1
+    Object.keys(halfTimeFullTime).forEach(outcome => { halfTimeFullTime[outcome] /= captured; });
+    Object.keys(firstHalf).forEach(market => { firstHalf[market] /= captured; });
+
+    return {
+      firstHalfShare: share,
+      firstHalf,
+      halfTimeFullTime,
+      goalInBothHalves: goalInBothHalves / captured
+    };
+  }
+
+  /**
+   * Clear caches
+   */
+  reset() {
+    this.poissonGen.clearCaches();
+  }
+}
+
+// Export singleton instance
+export const halfTimeModel = new HalfTimeModel();
+
+export default HalfTimeModel;
@@ -9,37 +9,201 @@
  *   DOI: 10.1515/ijsm.2010.28.6.563
  * - Koopman, S.J. & Lit, R. (2015). "A dynamic bivariate Poisson model for analysing and forecasting match results in the English Premier League"
  *   DOI: 10.1111/rssa.12042
+ * - Epstein, E.S. (1969). "A scoring system for probability forecasts of ranked categories"
+ *   Journal of Applied Meteorology 8(6): 985-987
+ * - Murphy, A.H. (1973). "A new vector partition of the probability score"
+ *   Journal of Applied Meteorology 12(4): 595-600
+ * - Roulston, M.S. & Smith, L.A. (2002). "Evaluating probabilistic forecasts using information theory"
+ *   Monthly Weather Review 130(6): 1653-1660
  */
 
 import { calculateAdvancedXGPrediction } from './xgCalculations.js';
 import { EnhancedPoissonCalculator } from './improvedMath.js';
 import { MonteCarloSimulator } from './improvedMath.js';
+import { BivariatePoissonCalculator } from './bivariatePoisson.js';
+import { EloRatingSystem, chronologicalOrder } from './eloRatings.js';
+
+/** Models generatePrediction can validate */
+export const VALIDATION_MODELS = ['xg', 'poisson', 'montecarlo', 'bivariate', 'elo'];
+
+/** 1X2 outcomes in their natural order (used by the ranked probability score) */
+const ORDERED_OUTCOMES = [
+  ['home', 'homeWinProbability'],
+  ['draw', 'drawProbability'],
+  ['away', 'awayWinProbability']
+];
+
+/** Binary goal markets scored by validateModel, with the prediction key and how each is settled */
+export const VALIDATION_MARKETS = {
+  over15: { key: 'over15Probability', settle: ({ homeGoals, awayGoals }) => homeGoals + awayGoals > 1.5 },
+  over25: { key: 'over25Probability', settle: ({ homeGoals, awayGoals }) => homeGoals + awayGoals > 2.5 },
+  over35: { key: 'over35Probability', settle: ({ homeGoals, awayGoals }) => homeGoals + awayGoals > 3.5 },
+  btts: { key: 'bothTeamsScoreProbability', settle: ({ homeGoals, awayGoals }) => homeGoals > 0 && awayGoals > 0 }
+};
+
+/** Metrics models can be ranked on: where the value sits in the validation metrics and which direction is better */
+export const RANKING_METRICS = {
+  accuracy: { path: 'accuracy', higherIsBetter: true },
+  brierScore: { path: 'brierScore', higherIsBetter: false },
+  logLikelihood: { path: 'logLikelihood', higherIsBetter: true },
+  rankedProbabilityScore: { path: 'rankedProbabilityScore', higherIsBetter: false },
+  ignoranceScore: { path: 'ignoranceScore', higherIsBetter: false },
+  reliability: { path: 'reliability', higherIsBetter: true },
+  sharpness: { path: 'sharpness', higherIsBetter: true },
+  calibrationError: { path: 'calibration.overallCalibrationError', higherIsBetter: false },
+  brierReliability: { path: 'brierDecomposition.total.reliability', higherIsBetter: false },
+  brierResolution: { path: 'brierDecomposition.total.resolution', higherIsBetter: true },
+  ...Object.fromEntries(Object.keys(VALIDATION_MARKETS).flatMap(market => [
+    [`${market}BrierScore`, { path: `marketScores.${market}.brierScore`, higherIsBetter: false }],
+    [`${market}LogLoss`, { path: `marketScores.${market}.logLoss`, higherIsBetter: false }]
+  ]))
+};
+
+/** RPS is the standard scoring rule for ordered 1X2 forecasts (Constantinou & Fenton 2012) */
+export const DEFAULT_RANKING_METRIC = 'rankedProbabilityScore';
+
+/** Goals per team and match assumed before any result has been seen */
+export const DEFAULT_TEAM_GOALS = 1.35;
+
+/**
+ * Running goal rates for pre-match inputs
+ * inputs() gives the goals scored and conceded per match by both teams in
+ * the results added so far, shrunk towards the league average by
+ * priorMatches pseudo-matches (the league average itself is shrunk towards
+ * DEFAULT_TEAM_GOALS the same way); add() records a result afterwards.
+ * @param {Object} options - { priorMatches }
+ * @returns {Object} { inputs(result), add(result) }
+ */
+export const createFormTracker = ({ priorMatches = 3 } = {}) => {
+  const teams = new Map();
+  const totals = { home: 0, away: 0, matches: 0 };
+  const teamRecord = (name) => {
+    if (!teams.has(name)) teams.set(name, { scored: 0, conceded: 0, matches: 0 });
+    return teams.get(name);
+  };
+
+  const inputs = ({ home: homeTeam, away: awayTeam }) => {
+    const leagueAverage = (totals.home + totals.away + 2 * priorMatches * DEFAULT_TEAM_GOALS) / (2 * (totals.matches + priorMatches));
+    const pseudoGoals = priorMatches * leagueAverage;
+    const homeAdvantage = Math.max(0, (totals.home + pseudoGoals) / (totals.away + pseudoGoals) - 1);
+    const home = teamRecord(homeTeam);
+    const away = teamRecord(awayTeam);
+    const rate = (goals, matches) => (goals + pseudoGoals) / (matches + priorMatches);
+    const homeAttack = rate(home.scored, home.matches);
+    const homeDefence = rate(home.conceded, home.matches);
+    const awayAttack = rate(away.scored, away.matches);
+    const awayDefence = rate(away.conceded, away.matches);
+    const homeExpected = homeAttack * awayDefence / leagueAverage;
+    const awayExpected = awayAttack * homeDefence / leagueAverage;
+
+    return {
+      homeXG: homeExpected,
+      awayXG: awayExpected,
+      homeXGA: homeDefence,
+      awayXGA: awayDefence,
+      homeAdvantage,
+      // Form is already in the goal rates; no extra home/away tilt
+      recentForm: 0,
+      homeAttackRate: homeAttack,
+      awayAttackRate: awayAttack,
+      homeDefenseRate: homeDefence,
+      awayDefenseRate: awayDefence,
+      leagueAverage,
+      homeGoalsAvg: homeExpected,
+      awayGoalsAvg: awayExpected
+    };
+  };
+
+  const add = (result) => {
+    const home = teamRecord(result.home);
+    const away = teamRecord(result.away);
+    home.scored += result.homeGoals;
+    home.conceded += result.awayGoals;
+    home.matches++;
+    away.scored += result.awayGoals;
+    away.conceded += result.homeGoals;
+    away.matches++;
+    totals.home += result.homeGoals;
+    totals.away += result.awayGoals;
+    totals.matches++;
+  };
+
+  return { inputs, add };
+};
+
+/**
+ * Turn a result history into validation matches with pre-match inputs
+ * Every match gets the form rates (see createFormTracker) of both teams'
+ * earlier matches, so no model sees the result it is asked to predict.
+ * @param {Array<Object>} results - Results (see parseMatchResults)
+ * @param {Object} options - { priorMatches }
+ * @returns {Array<Object>} Matches in date order for validateModel
+ */
+export const historicalMatchesFromResults = (results, { priorMatches = 3 } = {}) => {
+  const form = createFormTracker({ priorMatches });
+
+  return chronologicalOrder(results).map(result => {
+    const inputs = form.inputs(result);
+    form.add(result);
+
+    return {
+      homeTeam: result.home,
+      awayTeam: result.away,
+      homeGoals: result.homeGoals,
+      awayGoals: result.awayGoals,
+      date: result.date,
+      competition: result.competition,
+      neutral: result.neutral,
+      ...inputs
+    };
+  });
+};
 
 export class HistoricalValidator {
   constructor() {
     this.poissonCalculator = new EnhancedPoissonCalculator();
     this.monteCarloSimulator = new MonteCarloSimulator();
+    this.bivariateCalculator = new BivariatePoissonCalculator();
+    this.eloRatingSystem = new EloRatingSystem();
+    this.eloOptions = {};
+    this.eloState = null;
+    // Per-model constants that replace the match inputs, e.g. { poisson: { leagueAverage: 1.4 } } (see HyperparameterTuner)
+    this.modelParams = {};
     this.validationResults = new Map();
   }
 
   /**
    * Validate model predictions against historical match results
+   * Every match is predicted from the inputs attached to it, so they must be
+   * pre-match values (see historicalMatchesFromResults); WalkForwardBacktester
+   * refits the models themselves on earlier matches only.
    * @param {Array} historicalMatches - Array of historical match data
-   * @param {string} modelType - Type of model to validate ('xg', 'poisson', 'montecarlo')
+   * @param {string} modelType - Type of model to validate ('xg', 'poisson', 'montecarlo', 'bivariate', 'elo')
    * @returns {Object} Validation metrics and accuracy scores
    */
   async validateModel(historicalMatches, modelType = 'xg') {
     console.log(`🔍 Validating ${modelType} model against ${historicalMatches.length} historical matches...`);
     
+    // Elo predicts each match from the ratings built on the matches before it
+    const matches = modelType === 'elo' ? chronologicalOrder(historicalMatches) : historicalMatches;
+    if (modelType === 'elo') {
+      this.eloState = this.eloRatingSystem.createState(this.eloOptions);
+    }
+    
     const predictions = [];
     const actualResults = [];
+    // Per-match forecasts keyed by position in historicalMatches, so models can be lined up (e.g. for ensembles)
+    const matchIndex = new Map(historicalMatches.map((match, index) => [match, index]));
+    const forecasts = [];
     const calibrationData = { bins: 10, predicted: [], actual: [] };
     
     let correctPredictions = 0;
     let totalLogLikelihood = 0;
     let brierScore = 0;
+    let rankedProbabilityScore = 0;
+    let ignoranceScore = 0;
     
-    for (const match of historicalMatches) {
+    for (const match of matches) {
       try {
         // Generate prediction based on model type
         const prediction = await this.generatePrediction(match, modelType);
@@ -47,6 +211,7 @@ export class HistoricalValidator {
         
         predictions.push(prediction);
         actualResults.push(actual);
+        forecasts.push({ matchIndex: matchIndex.get(match), outcome: actual.result, prediction });
         
         // Calculate accuracy metrics
         const isCorrect = this.isPredictionCorrect(prediction, actual);
@@ -60,9 +225,17 @@ export class HistoricalValidator {
         const logLikelihood = this.calculateLogLikelihood(prediction, actual);
         totalLogLikelihood += logLikelihood;
         
+        // Calculate Ranked Probability Score and ignorance (lower is better)
+        rankedProbabilityScore += this.calculateRankedProbabilityScore(prediction, actual);
+        ignoranceScore += this.calculateIgnoranceScore(prediction, actual);
+        
         // Collect calibration data
         this.collectCalibrationData(prediction, actual, calibrationData);
         
+        if (modelType === 'elo') {
+          this.updateEloRatings(match);
+        }
+        
       } catch (error) {
         console.warn(`⚠️ Skipping match due to error: ${error.message}`);
       }
@@ -75,9 +248,14 @@ export class HistoricalValidator {
       accuracy: (correctPredictions / predictions.length) * 100,
       brierScore: brierScore / predictions.length,
       logLikelihood: totalLogLikelihood / predictions.length,
+      rankedProbabilityScore: rankedProbabilityScore / predictions.length,
+      ignoranceScore: ignoranceScore / predictions.length,
+      brierDecomposition: this.calculateBrierDecomposition(predictions, actualResults),
+      marketScores: this.calculateMarketScores(predictions, actualResults),
       calibration: this.calculateCalibration(calibrationData),
       sharpness: this.calculateSharpness(predictions),
-      reliability: this.calculateReliability(calibrationData)
+      reliability: this.calculateReliability(calibrationData),
+      forecasts
     };
     
     // Store results for comparison
@@ -87,6 +265,7 @@ export class HistoricalValidator {
     console.log(`   Accuracy: ${validationMetrics.accuracy.toFixed(2)}%`);
     console.log(`   Brier Score: ${validationMetrics.brierScore.toFixed(4)}`);
     console.log(`   Log Likelihood: ${validationMetrics.logLikelihood.toFixed(4)}`);
+    console.log(`   RPS: ${validationMetrics.rankedProbabilityScore.toFixed(4)}`);
     
     return validationMetrics;
   }
@@ -102,19 +281,43 @@ export class HistoricalValidator {
     
     switch (modelType) {
       case 'xg':
-        return calculateAdvancedXGPrediction(params.xgParams);
+        return calculateAdvancedXGPrediction({ ...params.xgParams, ...this.modelParams.xg });
       
       case 'poisson':
-        return this.poissonCalculator.calculate(params.poissonParams);
+        return this.poissonCalculator.calculate({ ...params.poissonParams, ...this.modelParams.poisson });
       
       case 'montecarlo':
         return this.monteCarloSimulator.simulate(params.monteCarloParams);
       
+      case 'bivariate':
+        return this.bivariateCalculator.calculate({ ...params.bivariateParams, ...this.modelParams.bivariate });
+      
+      case 'elo':
+        return this.eloRatingSystem.predict(this.eloState || this.eloRatingSystem.createState(this.eloOptions), match.homeTeam, match.awayTeam, {
+          neutral: Boolean(match.neutral)
+        });
+      
       default:
         throw new Error(`Unknown model type: ${modelType}`);
     }
   }
   
+  /**
+   * Add a validated match to the Elo ratings and refit the draw model
+   * @param {Object} match - Historical match data
+   */
+  updateEloRatings(match) {
+    this.eloRatingSystem.update(this.eloState, {
+      home: match.homeTeam,
+      away: match.awayTeam,
+      homeGoals: match.homeGoals,
+      awayGoals: match.awayGoals,
+      competition: match.competition,
+      neutral: Boolean(match.neutral)
+    });
+    this.eloRatingSystem.fitDrawModel(this.eloState);
+  }
+  
   /**
    * Extract match parameters from historical data
    * @param {Object} match - Historical match data
@@ -127,8 +330,10 @@ export class HistoricalValidator {
       xgParams: {
         homeXG: match.homeXG || this.estimateXG(match.homeTeam, match.season),
         awayXG: match.awayXG || this.estimateXG(match.awayTeam, match.season),
-        homeAdvantage: match.homeAdvantage || 0.3,
-        recentForm: match.recentForm || 0.5,
+        homeXGA: match.homeXGA || 1.2,
+        awayXGA: match.awayXGA || 1.3,
+        homeAdvantage: match.homeAdvantage ?? 0.3,
+        recentForm: match.recentForm ?? 0.5,
         homeDefense: match.homeDefense || 1.0,
         awayDefense: match.awayDefense || 1.0,
         motivation: match.motivation || 0.5
@@ -137,12 +342,22 @@ export class HistoricalValidator {
         homeAttackRate: match.homeAttackRate || 1.5,
         awayAttackRate: match.awayAttackRate || 1.3,
         homeDefenseRate: match.homeDefenseRate || 1.0,
-        awayDefenseRate: match.awayDefenseRate || 1.1
+        awayDefenseRate: match.awayDefenseRate || 1.1,
+        leagueAverage: match.leagueAverage
+      },
+      // Same marginal rates as Poisson, plus the shared component that correlates the scores
+      bivariateParams: {
+        homeAttackRate: match.homeAttackRate || 1.5,
+        awayAttackRate: match.awayAttackRate || 1.3,
+        homeDefenseRate: match.homeDefenseRate || 1.0,
+        awayDefenseRate: match.awayDefenseRate || 1.1,
+        leagueAverage: match.leagueAverage,
+        lambda3: match.lambda3 ?? 0.1
       },
       monteCarloParams: {
         homeGoalsAvg: match.homeGoalsAvg || 1.5,
         awayGoalsAvg: match.awayGoalsAvg || 1.2,
-        homeAdvantage: match.homeAdvantage || 0.3,
+        homeAdvantage: match.homeAdvantage ?? 0.3,
         simulations: 5000
       }
     };
@@ -182,9 +397,7 @@ export class HistoricalValidator {
    * @returns {boolean} True if prediction was correct
    */
   isPredictionCorrect(prediction, actual) {
-    const homeWin = parseFloat(prediction.homeWinProbability);
-    const draw = parseFloat(prediction.drawProbability);
-    const awayWin = parseFloat(prediction.awayWinProbability);
+    const { homeWinProbability: homeWin, drawProbability: draw, awayWinProbability: awayWin } = prediction;
     
     const predictedResult = homeWin > draw && homeWin > awayWin ? 'home' :
                            awayWin > draw && awayWin > homeWin ? 'away' : 'draw';
@@ -199,9 +412,7 @@ export class HistoricalValidator {
    * @returns {number} Brier score contribution
    */
   calculateBrierScore(prediction, actual) {
-    const homeProb = parseFloat(prediction.homeWinProbability) / 100;
-    const drawProb = parseFloat(prediction.drawProbability) / 100;
-    const awayProb = parseFloat(prediction.awayWinProbability) / 100;
+    const { homeWinProbability: homeProb, drawProbability: drawProb, awayWinProbability: awayProb } = prediction;
     
     const homeActual = actual.result === 'home' ? 1 : 0;
     const drawActual = actual.result === 'draw' ? 1 : 0;
@@ -219,9 +430,7 @@ export class HistoricalValidator {
    * @returns {number} Log likelihood contribution
    */
   calculateLogLikelihood(prediction, actual) {
-    const homeProb = parseFloat(prediction.homeWinProbability) / 100;
-    const drawProb = parseFloat(prediction.drawProbability) / 100;
-    const awayProb = parseFloat(prediction.awayWinProbability) / 100;
+    const { homeWinProbability: homeProb, drawProbability: drawProb, awayWinProbability: awayProb } = prediction;
     
     let actualProb;
     switch (actual.result) {
@@ -234,6 +443,128 @@ export class HistoricalValidator {
     return Math.log(Math.max(actualProb, 0.001)); // Avoid log(0)
   }
   
+  /**
+   * Calculate the Ranked Probability Score for an ordered 1X2 prediction
+   * Compares cumulative probabilities in the order home, draw, away, so a
+   * draw is penalised less than an away win when the home side was favoured.
+   * @param {Object} prediction - Model prediction
+   * @param {Object} actual - Actual result
+   * @returns {number} RPS contribution (0 = perfect, 1 = worst)
+   */
+  calculateRankedProbabilityScore(prediction, actual) {
+    let cumulativeForecast = 0;
+    let cumulativeOutcome = 0;
+    let score = 0;
+    
+    for (const [outcome, key] of ORDERED_OUTCOMES.slice(0, -1)) {
+      cumulativeForecast += prediction[key];
+      cumulativeOutcome += actual.result === outcome ? 1 : 0;
+      score += Math.pow(cumulativeForecast - cumulativeOutcome, 2);
+    }
+    
+    return score / (ORDERED_OUTCOMES.length - 1);
+  }
+  
+  /**
+   * Calculate the ignorance score (logarithmic score in bits)
+   * Uses the same probability floor as calculateLogLikelihood.
+   * @param {Object} prediction - Model prediction
+   * @param {Object} actual - Actual result
+   * @returns {number} Ignorance contribution in bits
+   */
+  calculateIgnoranceScore(prediction, actual) {
+    return -this.calculateLogLikelihood(prediction, actual) / Math.LN2;
+  }
+  
+  /**
+   * Decompose the Brier score of each outcome into reliability, resolution and uncertainty
+   * Forecasts are grouped into equal-width probability bins, so the parts add up
+   * to the Brier score up to the spread of forecasts within each bin.
+   * @param {Array} predictions - Array of predictions
+   * @param {Array} actualResults - Actual results in the same order
+   * @param {number} bins - Number of probability bins
+   * @returns {Object} { home, draw, away, total }, each { brierScore, reliability, resolution, uncertainty }
+   */
+  calculateBrierDecomposition(predictions, actualResults, bins = 10) {
+    const count = predictions.length;
+    const decomposition = {};
+    
+    for (const [outcome, key] of ORDERED_OUTCOMES) {
+      const binData = Array.from({ length: bins }, () => ({ count: 0, forecast: 0, observed: 0 }));
+      let observedTotal = 0;
+      let brierScore = 0;
+      
+      predictions.forEach((prediction, index) => {
+        const probability = prediction[key];
+        const observed = actualResults[index].result === outcome ? 1 : 0;
+        const bin = binData[Math.min(Math.floor(probability * bins), bins - 1)];
+        bin.count++;
+        bin.forecast += probability;
+        bin.observed += observed;
+        observedTotal += observed;
+        brierScore += Math.pow(probability - observed, 2);
+      });
+      
+      const baseRate = observedTotal / count;
+      const filled = binData.filter(bin => bin.count > 0);
+      decomposition[outcome] = {
+        brierScore: brierScore / count,
+        reliability: filled.reduce((sum, bin) => sum + bin.count * Math.pow(bin.forecast / bin.count - bin.observed / bin.count, 2), 0) / count,
+        resolution: filled.reduce((sum, bin) => sum + bin.count * Math.pow(bin.observed / bin.count - baseRate, 2), 0) / count,
+        uncertainty: baseRate * (1 - baseRate)
+      };
+    }
+    
+    // The 1X2 Brier score is the sum over the three outcomes, and so are its parts
+    decomposition.total = ['brierScore', 'reliability', 'resolution', 'uncertainty'].reduce((total, part) => ({
+      ...total,
+      [part]: ORDERED_OUTCOMES.reduce((sum, [outcome]) => sum + decomposition[outcome][part], 0)
+    }), {});
+    
+    return decomposition;
+  }
+  
+  /**
+   * Score the binary goal markets (over/under and both teams to score)
+   * @param {Array} predictions - Array of predictions
+   * @param {Array} actualResults - Actual results in the same order
+   * @returns {Object} Per market { matches, brierScore, logLoss, baseRate, averageForecast }
+   */
+  calculateMarketScores(predictions, actualResults) {
+    const scores = {};
+    
+    for (const [market, { key, settle }] of Object.entries(VALIDATION_MARKETS)) {
+      let matches = 0;
+      let brierScore = 0;
+      let logLoss = 0;
+      let hits = 0;
+      let forecastTotal = 0;
+      
+      predictions.forEach((prediction, index) => {
+        const probability = prediction[key];
+        if (typeof probability !== 'number') return;
+        const observed = settle(actualResults[index]) ? 1 : 0;
+        matches++;
+        hits += observed;
+        forecastTotal += probability;
+        brierScore += Math.pow(probability - observed, 2);
+        logLoss -= Math.log(Math.max(observed ? probability : 1 - probability, 0.001)); // Avoid log(0)
+      });
+      
+      if (matches > 0) {
+        scores[market] = {
+          matches,
+          brierScore: brierScore / matches,
+          logLoss: logLoss / matches,
+          baseRate: hits / matches,
+          averageForecast: forecastTotal / matches
+        };
+      }
+    }
+    
+    return scores;
+  }
+  
   /**
    * Collect data for calibration analysis
    * @param {Object} prediction - Model prediction
@@ -241,9 +572,7 @@ export class HistoricalValidator {
    * @param {Object} calibrationData - Data collection object
    */
   collectCalibrationData(prediction, actual, calibrationData) {
-    const homeProb = parseFloat(prediction.homeWinProbability) / 100;
-    const drawProb = parseFloat(prediction.drawProbability) / 100;
-    const awayProb = parseFloat(prediction.awayWinProbability) / 100;
+    const { homeWinProbability: homeProb, drawProbability: drawProb, awayWinProbability: awayProb } = prediction;
     
     // Collect the highest probability prediction
     const maxProb = Math.max(homeProb, drawProb, awayProb);
@@ -308,9 +637,7 @@ export class HistoricalValidator {
     let totalEntropy = 0;
     
     for (const prediction of predictions) {
-      const homeProb = parseFloat(prediction.homeWinProbability) / 100;
-      const drawProb = parseFloat(prediction.drawProbability) / 100;
-      const awayProb = parseFloat(prediction.awayWinProbability) / 100;
+      const { homeWinProbability: homeProb, drawProbability: drawProb, awayWinProbability: awayProb } = prediction;
       
       // Calculate entropy (lower entropy = higher sharpness)
       const entropy = -(
@@ -342,12 +669,15 @@ export class HistoricalValidator {
   
   /**
    * Generate comprehensive validation report
+   * @param {Object} options - { metric } metric to rank the models on (see RANKING_METRICS)
    * @returns {Object} Complete validation report
    */
-  generateValidationReport() {
+  generateValidationReport({ metric = DEFAULT_RANKING_METRIC } = {}) {
     const report = {
       timestamp: new Date().toISOString(),
       models: {},
+      metric,
+      ranking: this.rankModels(metric),
       comparison: {},
       recommendations: []
     };
@@ -359,7 +689,7 @@ export class HistoricalValidator {
     
     // Compare models if multiple exist
     if (this.validationResults.size > 1) {
-      report.comparison = this.compareModels();
+      report.comparison = this.compareModels(metric);
     }
     
     // Generate recommendations
@@ -368,12 +698,35 @@ export class HistoricalValidator {
     return report;
   }
   
+  /**
+   * Rank the validated models on one metric, best first
+   * @param {string} metric - Key of RANKING_METRICS
+   * @returns {Array<Object>} [{ rank, model, value }]
+   */
+  rankModels(metric = DEFAULT_RANKING_METRIC) {
+    const definition = RANKING_METRICS[metric];
+    if (!definition) {
+      throw new Error(`Unknown ranking metric: ${metric}`);
+    }
+    
+    return Array.from(this.validationResults.entries())
+      .map(([model, metrics]) => ({
+        model,
+        value: definition.path.split('.').reduce((value, part) => value?.[part], metrics)
+      }))
+      .filter(entry => Number.isFinite(entry.value))
+      .sort((a, b) => (definition.higherIsBetter ? b.value - a.value : a.value - b.value))
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+  }
+  
   /**
    * Compare different models
+   * @param {string} metric - Metric for the full ranking (see RANKING_METRICS)
    * @returns {Object} Model comparison results
    */
-  compareModels() {
+  compareModels(metric = DEFAULT_RANKING_METRIC) {
     const models = Array.from(this.validationResults.entries());
+    const ranking = this.rankModels(metric);
     
     const bestAccuracy = models.reduce((best, [name, metrics]) => 
       metrics.accuracy > best.accuracy ? { name, accuracy: metrics.accuracy } : best,
@@ -390,10 +743,16 @@ export class HistoricalValidator {
       { name: '', reliability: 0 }
     );
     
+    const [bestRps] = this.rankModels('rankedProbabilityScore');
+    
     return {
       bestAccuracy,
       bestBrierScore,
       bestCalibration,
+      bestRankedProbabilityScore: bestRps ? { name: bestRps.model, rankedProbabilityScore: bestRps.value } : { name: '', rankedProbabilityScore: Infinity },
+      metric,
+      ranking,
+      bestOnMetric: ranking[0]?.model || '',
       overallRecommendation: this.determineOverallBest(models)
     };
   }
@@ -0,0 +1,323 @@
+/**
+ * Hyperparameter Tuning
+ * Searches the hardcoded constants of the xG and Poisson calculators against
+ * a result history. Every candidate configuration is scored match by match
+ * with a HistoricalValidator metric (RPS by default), using the validator's
+ * modelParams so the constants replace whatever the matches carry.
+ *
+ * - Grid search: evenly spaced values over each parameter's range
+ * - Random search: uniform draws from the ranges with a seeded generator,
+ *   which covers more distinct values per parameter for the same budget
+ *
+ * The score of the search itself is estimated with blocked cross-validation:
+ * the matches are split into contiguous folds in date order, the best
+ * candidate is chosen on the other folds and scored on the held-out one.
+ * The best configuration on all matches can be saved as a named profile that
+ * the calculators load.
+ *
+ * ACADEMIC REFERENCES:
+ * - Bergstra, J. & Bengio, Y. (2012). "Random search for hyper-parameter optimization"
+ *   Journal of Machine Learning Research 13: 281-305
+ * - Bergmeir, C. & Benítez, J.M. (2012). "On the use of cross-validation for time series predictor evaluation"
+ *   Information Sciences 191: 192-213
+ */
+
+import { SeededRandom, POISSON_MODEL_CONSTANTS } from './improvedMath.js';
+import { XG_MODEL_CONSTANTS } from './xgCalculations.js';
+import { HistoricalValidator, DEFAULT_RANKING_METRIC } from './historicalValidation.js';
+
+export const SEARCH_METHODS = {
+  grid: 'grid',
+  random: 'random'
+};
+
+/** Searchable constants per model: range, and the value the calculator uses today */
+export const TUNING_SPACES = {
+  xg: {
+    homeAdvantage: { min: 0, max: 0.6, default: XG_MODEL_CONSTANTS.homeAdvantage },
+    xgaSensitivity: { min: -0.5, max: 0.5, default: XG_MODEL_CONSTANTS.xgaSensitivity },
+    homeVenueMultiplier: { min: 0.9, max: 1.3, default: XG_MODEL_CONSTANTS.homeVenueMultiplier },
+    awayVenueMultiplier: { min: 0.8, max: 1.1, default: XG_MODEL_CONSTANTS.awayVenueMultiplier }
+  },
+  poisson: {
+    homeAdvantage: { min: 0, max: 0.6, default: POISSON_MODEL_CONSTANTS.homeAdvantage },
+    leagueAverage: { min: 1, max: 3, default: POISSON_MODEL_CONSTANTS.leagueAverage }
+  }
+};
+
+export const TUNING_MODELS = Object.keys(TUNING_SPACES);
+
+/** Per-match scores the search can minimise (all lower is better) */
+export const TUNING_METRICS = {
+  rankedProbabilityScore: (validator, prediction, actual) => validator.calculateRankedProbabilityScore(prediction, actual),
+  brierScore: (validator, prediction, actual) => validator.calculateBrierScore(prediction, actual),
+  logLoss: (validator, prediction, actual) => -validator.calculateLogLikelihood(prediction, actual),
+  ignoranceScore: (validator, prediction, actual) => validator.calculateIgnoranceScore(prediction, actual)
+};
+
+export const DEFAULT_TUNING_OPTIONS = {
+  model: 'poisson',
+  method: SEARCH_METHODS.grid,
+  metric: DEFAULT_RANKING_METRIC,
+  gridPoints: 5,
+  randomCandidates: 50,
+  folds: 5,
+  seed: 1
+};
+
+/** Candidates a single search may score */
+export const MAX_TUNING_CANDIDATES = 1000;
+
+export const TUNING_STORAGE_KEY = 'soccerpredict-tuning-profiles';
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Contiguous folds of match indices, in the order the matches are given
+ * @param {number} matchCount - Number of matches
+ * @param {number} folds - Number of folds
+ * @returns {Array<Array<number>>} Match indices per fold
+ */
+export const blockedFolds = (matchCount, folds) => Array.from({ length: folds }, (_, fold) => {
+  const start = Math.floor(fold * matchCount / folds);
+  const end = Math.floor((fold + 1) * matchCount / folds);
+  return Array.from({ length: end - start }, (_, index) => start + index);
+});
+
+export class HyperparameterTuner {
+  /**
+   * Candidate configurations on an even grid
+   * @param {Object} space - Parameters to search ({ name: { min, max } })
+   * @param {number} points - Values per parameter
+   * @returns {Array<Object>} Parameter sets
+   */
+  gridCandidates(space, points) {
+    const axes = Object.entries(space).map(([name, { min, max }]) => [
+      name,
+      points > 1 ? Array.from({ length: points }, (_, index) => round(min + (max - min) * index / (points - 1))) : [round((min + max) / 2)]
+    ]);
+    return axes.reduce(
+      (candidates, [name, values]) => candidates.flatMap(candidate => values.map(value => ({ ...candidate, [name]: value }))),
+      [{}]
+    );
+  }
+
+  /**
+   * Candidate configurations drawn uniformly from the ranges
+   * @param {Object} space - Parameters to search
+   * @param {number} count - Number of candidates
+   * @param {number} seed - Random seed
+   * @returns {Array<Object>} Parameter sets
+   */
+  randomCandidates(space, count, seed) {
+    const random = new SeededRandom(seed);
+    return Array.from({ length: count }, () => Object.fromEntries(
+      Object.entries(space).map(([name, { min, max }]) => [name, round(min + (max - min) * random.next())])
+    ));
+  }
+
+  /**
+   * Contiguous folds of match indices (see blockedFolds)
+   * @param {number} matchCount - Number of matches
+   * @param {number} folds - Number of folds
+   * @returns {Array<Array<number>>} Match indices per fold
+   */
+  blockedFolds(matchCount, folds) {
+    return blockedFolds(matchCount, folds);
+  }
+
+  /**
+   * Per-match scores of one configuration
+   * @param {Array<Object>} matches - Validation matches
+   * @param {string} model - Model key
+   * @param {Object} params - Constants for the model
+   * @param {string} metric - TUNING_METRICS key
+   * @param {HistoricalValidator} validator - Validator that predicts the matches
+   * @returns {Promise<Array<number>>} Score per match
+   */
+  async scoreMatches(matches, model, params, metric, validator) {
+    validator.modelParams = { ...validator.modelParams, [model]: params };
+    const scores = [];
+    for (const match of matches) {
+      const prediction = await validator.generatePrediction(match, model);
+      scores.push(TUNING_METRICS[metric](validator, prediction, validator.extractActualResult(match)));
+    }
+    return scores;
+  }
+
+  /**
+   * Search the constants of one model
+   * @param {Array<Object>} matches - Validation matches in date order (see historicalMatchesFromResults)
+   * @param {Object} options - Search options (see DEFAULT_TUNING_OPTIONS)
+   * @param {Array<string>} options.parameters - Constants to search (the rest keep their defaults)
+   * @param {HistoricalValidator} options.validator - Validator to predict with
+   * @param {Function} options.onProgress - Called with the share of candidates scored (0-1)
+   * @returns {Promise<Object>} { model, method, metric, parameters, matches, best, baseline, candidates, crossValidation }
+   */
+  async search(matches, options = {}) {
+    const settings = { ...DEFAULT_TUNING_OPTIONS, ...options };
+    const { model, method, metric, folds } = settings;
+    const space = TUNING_SPACES[model];
+    if (!space) {
+      throw new Error(`Okänd modell för optimering: ${model}`);
+    }
+    if (!TUNING_METRICS[metric]) {
+      throw new Error(`Okänt mått: ${metric}`);
+    }
+    if (!Object.values(SEARCH_METHODS).includes(method)) {
+      throw new Error(`Okänd sökmetod: ${method}`);
+    }
+    const parameters = settings.parameters || Object.keys(space);
+    const unknown = parameters.find(name => !space[name]);
+    if (unknown) {
+      throw new Error(`${model} har ingen parameter ${unknown}`);
+    }
+    if (parameters.length === 0) {
+      throw new Error('Välj minst en parameter att optimera');
+    }
+    if (!(folds >= 2) || matches.length < folds) {
+      throw new Error(`Korsvalideringen kräver minst 2 delar och minst en match per del (${matches.length} matcher, ${folds} delar)`);
+    }
+
+    const searched = Object.fromEntries(parameters.map(name => [name, space[name]]));
+    const defaults = Object.fromEntries(Object.entries(space).map(([name, { default: value }]) => [name, value]));
+    const drawn = method === SEARCH_METHODS.grid
+      ? this.gridCandidates(searched, settings.gridPoints)
+      : this.randomCandidates(searched, settings.randomCandidates, settings.seed);
+    if (drawn.length > MAX_TUNING_CANDIDATES) {
+      throw new Error(`Sökningen ger ${drawn.length} kandidater, högst ${MAX_TUNING_CANDIDATES} tillåts`);
+    }
+
+    // The current constants are always a candidate, so tuning can never look worse than not tuning
+    const candidates = [defaults, ...drawn.map(candidate => ({ ...defaults, ...candidate }))];
+    const validator = settings.validator || new HistoricalValidator();
+    const onProgress = settings.onProgress || (() => {});
+    const previousParams = validator.modelParams;
+    const scored = [];
+    try {
+      for (const params of candidates) {
+        scored.push({ params, matchScores: await this.scoreMatches(matches, model, params, metric, validator) });
+        onProgress(scored.length / candidates.length);
+      }
+    } finally {
+      validator.modelParams = previousParams;
+    }
+
+    const scoreOn = (candidate, indices) => mean(indices.map(index => candidate.matchScores[index]));
+    const bestOn = (indices) => scored.reduce((best, candidate) => (scoreOn(candidate, indices) < scoreOn(best, indices) ? candidate : best));
+    const allIndices = matches.map((_, index) => index);
+
+    const foldIndices = this.blockedFolds(matches.length, folds);
+    const foldResults = foldIndices.map((test, fold) => {
+      const train = foldIndices.filter((_, other) => other !== fold).flat();
+      const chosen = bestOn(train);
+      return {
+        fold: fold + 1,
+        matches: test.length,
+        params: chosen.params,
+        trainScore: scoreOn(chosen, train),
+        testScore: scoreOn(chosen, test),
+        baselineTestScore: scoreOn(scored[0], test)
+      };
+    });
+    const weighted = (key) => foldResults.reduce((sum, fold) => sum + fold.matches * fold[key], 0) / matches.length;
+
+    const ranked = scored
+      .map(candidate => ({ params: candidate.params, score: scoreOn(candidate, allIndices) }))
+      .sort((a, b) => a.score - b.score);
+    const best = ranked[0];
+
+    return {
+      model,
+      method,
+      metric,
+      parameters,
+      matches: matches.length,
+      best,
+      baseline: { params: defaults, score: scoreOn(scored[0], allIndices) },
+      candidates: ranked,
+      crossValidation: {
+        folds: foldResults,
+        score: weighted('testScore'),
+        baselineScore: weighted('baselineTestScore')
+      }
+    };
+  }
+
+  /**
+   * Named profile from a search result
+   * @param {string} name - Profile name
+   * @param {Object} search - Result of search()
+   * @returns {Object} { name, model, params, metric, score, baselineScore, crossValidatedScore, matches, createdAt }
+   */
+  createProfile(name, search) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Ange ett namn på profilen');
+    }
+    return {
+      name: trimmed,
+      model: search.model,
+      params: search.best.params,
+      metric: search.metric,
+      score: search.best.score,
+      baselineScore: search.baseline.score,
+      crossValidatedScore: search.crossValidation.score,
+      matches: search.matches,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Add or replace a profile without changing the store in place
+   * @param {Object} store - Profiles by name
+   * @param {Object} profile - Profile from createProfile()
+   * @returns {Object} New store
+   */
+  setProfile(store, profile) {
+    return { ...store, [profile.name]: profile };
+  }
+
+  /**
+   * Serialise a profile store
+   * @param {Object} store - Profiles by name
+   * @returns {string} JSON
+   */
+  toJSON(store) {
+    return JSON.stringify({ type: 'tuningProfiles', version: 1, store });
+  }
+
+  /**
+   * Read a profile store saved by toJSON()
+   * @param {string|Object} json - JSON text or parsed object
+   * @returns {Object} Profiles by name
+   */
+  fromJSON(json) {
+    let data = json;
+    if (typeof json === 'string') {
+      try {
+        data = JSON.parse(json);
+      } catch (error) {
+        throw new Error('Ogiltiga profiler: inte giltig JSON');
+      }
+    }
+    if (data?.type !== 'tuningProfiles' || typeof data.store !== 'object' || data.store === null) {
+      throw new Error('Ogiltiga profiler: okänt format');
+    }
+    Object.entries(data.store).forEach(([name, profile]) => {
+      const space = TUNING_SPACES[profile?.model];
+      const valid = space && profile.params && Object.keys(space).every(key => Number.isFinite(profile.params[key]));
+      if (!valid) {
+        throw new Error(`Ogiltiga profiler: ${name} saknar modell eller parametrar`);
+      }
+    });
+    return data.store;
+  }
+}
+
+// Export singleton instance
+export const hyperparameterTuner = new HyperparameterTuner();
+
+export default HyperparameterTuner;
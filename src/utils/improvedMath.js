@@ -3,6 +3,10 @@
  * Fixes issues with Monte Carlo simulation and Poisson distribution
  */
 
+import { ScoreMatrix } from './scoreMatrix.js';
+import { createPredictionResult, MODEL_VERSIONS, MARKET_PROBABILITY_KEYS } from './predictionResult.js';
+import { MatchTimeline, DEFAULT_ADDED_TIME } from './matchTimeline.js';
+
 /**
  * Seeded Random Number Generator for reproducible results
  */
@@ -28,6 +32,19 @@ export class SeededRandom {
   }
 }
 
+/**
+ * Supported goal count distributions. All of them keep the supplied lambda as
+ * the expected number of goals and differ only in spread:
+ * - poisson: variance equals the mean
+ * - negativeBinomial: variance = mean + mean^2 / dispersion (gamma-Poisson mixture)
+ * - zeroInflated: extra probability mass on zero goals (zeroInflation share of matches)
+ */
+export const GOAL_DISTRIBUTIONS = {
+  poisson: 'poisson',
+  negativeBinomial: 'negativeBinomial',
+  zeroInflated: 'zeroInflated'
+};
+
 /**
  * Improved Poisson Distribution Generator
  */
@@ -41,10 +58,15 @@ export class PoissonGenerator {
   /**
    * Generate Poisson-distributed random number using Knuth's algorithm
    * @param {number} lambda - Expected value (rate parameter)
+   * @param {Object} [distribution] - Optional overdispersed distribution ({ type, dispersion, zeroInflation })
    * @returns {number} Poisson-distributed integer
    */
-  generate(lambda) {
+  generate(lambda, distribution) {
     if (lambda <= 0) return 0;
+    if (distribution && distribution.type && distribution.type !== GOAL_DISTRIBUTIONS.poisson) {
+      return this.generateOverdispersed(lambda, distribution);
+    }
+
     if (lambda > 30) {
       // Use normal approximation for large lambda
       return Math.max(0, Math.round(this.normalApproximation(lambda)));
@@ -63,6 +85,88 @@ export class PoissonGenerator {
     return k - 1;
   }
 
+  /**
+   * Sample from a negative binomial or zero-inflated Poisson distribution
+   * @param {number} lambda - Expected value
+   * @param {Object} distribution - Distribution settings
+   * @returns {number} Goal count
+   */
+  generateOverdispersed(lambda, distribution) {
+    if (distribution.type === GOAL_DISTRIBUTIONS.negativeBinomial) {
+      // Gamma-Poisson mixture: draw a match-specific rate, then Poisson goals
+      const dispersion = Math.max(0.01, distribution.dispersion || 10);
+      const matchRate = this.gamma(dispersion) * lambda / dispersion;
+      return this.generate(matchRate);
+    }
+
+    if (distribution.type === GOAL_DISTRIBUTIONS.zeroInflated) {
+      const zeroInflation = Math.max(0, Math.min(0.95, distribution.zeroInflation || 0));
+      if (this.rng.next() < zeroInflation) return 0;
+      return this.generate(lambda / (1 - zeroInflation));
+    }
+
+    return this.generate(lambda);
+  }
+
+  /**
+   * Match-level rate multiplier with the same mean and spread as generateOverdispersed
+   * Used when goals are drawn minute by minute instead of as one count.
+   * @param {Object} [distribution] - Optional overdispersed distribution
+   * @returns {number} Multiplier with expectation 1
+   */
+  rateMultiplier(distribution) {
+    if (distribution?.type === GOAL_DISTRIBUTIONS.negativeBinomial) {
+      const dispersion = Math.max(0.01, distribution.dispersion || 10);
+      return this.gamma(dispersion) / dispersion;
+    }
+
+    if (distribution?.type === GOAL_DISTRIBUTIONS.zeroInflated) {
+      const zeroInflation = Math.max(0, Math.min(0.95, distribution.zeroInflation || 0));
+      return this.rng.next() < zeroInflation ? 0 : 1 / (1 - zeroInflation);
+    }
+
+    return 1;
+  }
+
+  /**
+   * Gamma(shape, 1) random variate using Marsaglia-Tsang
+   * @param {number} shape - Shape parameter
+   * @returns {number} Gamma-distributed value
+   */
+  gamma(shape) {
+    if (shape < 1) {
+      // Boost shape and correct with a uniform power
+      return this.gamma(shape + 1) * Math.pow(Math.max(this.rng.next(), Number.EPSILON), 1 / shape);
+    }
+
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+
+    while (true) {
+      let x;
+      let v;
+      do {
+        x = this.standardNormal();
+        v = 1 + c * x;
+      } while (v <= 0);
+
+      v = v * v * v;
+      const u = Math.max(this.rng.next(), Number.EPSILON);
+      if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+      if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+    }
+  }
+
+  /**
+   * Standard normal random variate (Box-Muller)
+   * @returns {number} Normally distributed value with mean 0 and variance 1
+   */
+  standardNormal() {
+    const u1 = Math.max(this.rng.next(), Number.EPSILON);
+    const u2 = this.rng.next();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+
   /**
    * Normal approximation for large lambda values
    * @param {number} lambda - Expected value
@@ -80,9 +184,13 @@ export class PoissonGenerator {
    * Calculate Poisson probability with caching
    * @param {number} lambda - Expected value
    * @param {number} k - Actual value
+   * @param {Object} [distribution] - Optional overdispersed distribution ({ type, dispersion, zeroInflation })
    * @returns {number} Probability
    */
-  probability(lambda, k) {
+  probability(lambda, k, distribution) {
+    if (distribution && distribution.type && distribution.type !== GOAL_DISTRIBUTIONS.poisson) {
+      return this.overdispersedProbability(lambda, k, distribution);
+    }
     if (k < 0 || lambda <= 0) return 0;
     if (k === 0) return Math.exp(-lambda);
 
@@ -105,6 +213,47 @@ export class PoissonGenerator {
     return result;
   }
 
+  /**
+   * Probability mass for negative binomial or zero-inflated Poisson goal counts
+   * @param {number} lambda - Expected value
+   * @param {number} k - Actual value
+   * @param {Object} distribution - Distribution settings
+   * @returns {number} Probability
+   */
+  overdispersedProbability(lambda, k, distribution) {
+    if (k < 0) return 0;
+    if (lambda <= 0) return k === 0 ? 1 : 0;
+
+    if (distribution.type === GOAL_DISTRIBUTIONS.negativeBinomial) {
+      const dispersion = Math.max(0.01, distribution.dispersion || 10);
+      const cacheKey = `nb_${lambda.toFixed(3)}_${dispersion.toFixed(3)}_${k}`;
+      if (this.expCache.has(cacheKey)) {
+        return this.expCache.get(cacheKey);
+      }
+
+      // Recurrence P(k) = P(k-1) * (k - 1 + r) / k * mean / (r + mean)
+      const successRatio = lambda / (dispersion + lambda);
+      let result = Math.pow(dispersion / (dispersion + lambda), dispersion);
+      for (let i = 1; i <= k; i++) {
+        result *= ((i - 1 + dispersion) / i) * successRatio;
+      }
+
+      this.expCache.set(cacheKey, result);
+      return result;
+    }
+
+    if (distribution.type === GOAL_DISTRIBUTIONS.zeroInflated) {
+      const zeroInflation = Math.max(0, Math.min(0.95, distribution.zeroInflation || 0));
+      const innerLambda = lambda / (1 - zeroInflation);
+      const poissonProb = this.probability(innerLambda, k);
+      return k === 0
+        ? zeroInflation + (1 - zeroInflation) * poissonProb
+        : (1 - zeroInflation) * poissonProb;
+    }
+
+    return this.probability(lambda, k);
+  }
+
   /**
    * Stirling's approximation for large factorials
    * @param {number} lambda - Expected value
@@ -147,8 +296,113 @@ export class PoissonGenerator {
   }
 }
 
+/**
+ * Half-time/full-time outcome codes ("half-time result/full-time result")
+ */
+export const HALF_TIME_FULL_TIME_OUTCOMES = ['1/1', '1/X', '1/2', 'X/1', 'X/X', 'X/2', '2/1', '2/X', '2/2'];
+
+/**
+ * Result keys used in probability objects, by result code
+ */
+export const RESULT_CODE_KEYS = { 1: 'homeWin', X: 'draw', 2: 'awayWin' };
+
+/**
+ * Match result code for a goal difference (home minus away)
+ * @param {number} goalDifference - Home goals minus away goals
+ * @returns {string} '1', 'X' or '2'
+ */
+export const matchResultCode = (goalDifference) => {
+  if (goalDifference > 0) return '1';
+  if (goalDifference < 0) return '2';
+  return 'X';
+};
+
+/**
+ * Derive the seed of an independent random stream from the base seed
+ * Stream 0 keeps the base seed, so single-stream runs match earlier versions.
+ * @param {number} seed - Base random seed
+ * @param {number} index - Stream index
+ * @returns {number} Stream seed (32-bit unsigned integer)
+ */
+export const deriveStreamSeed = (seed, index) => {
+  if (index === 0) return seed;
+
+  // splitmix32-style mixing keeps neighbouring streams uncorrelated
+  let z = (seed + Math.imul(index, 0x9e3779b9)) >>> 0;
+  z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+  z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+  return (z ^ (z >>> 16)) >>> 0;
+};
+
+/**
+ * Wilson score interval for a binomial proportion
+ * Wilson, E.B. (1927). "Probable inference, the law of succession, and statistical inference"
+ * Stays inside [0, 1] and keeps its coverage for probabilities near 0 or 1,
+ * unlike the normal (Wald) interval.
+ * @param {number} successes - Number of successes
+ * @param {number} trials - Number of trials
+ * @param {number} z - Normal quantile (1.96 for a 95% interval)
+ * @returns {{lower: number, upper: number}} Interval bounds (0-1)
+ */
+export const wilsonInterval = (successes, trials, z = 1.96) => {
+  if (trials <= 0) return { lower: 0, upper: 1 };
+
+  const p = successes / trials;
+  const z2 = z * z;
+  const denominator = 1 + z2 / trials;
+  const centre = (p + z2 / (2 * trials)) / denominator;
+  const halfWidth = z * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials)) / denominator;
+
+  return { lower: Math.max(0, centre - halfWidth), upper: Math.min(1, centre + halfWidth) };
+};
+
+/**
+ * Width of the widest interval among the given markets
+ * @param {Object} intervals - { [probability key]: { lower, upper } }
+ * @param {Array<string>} markets - Probability keys to compare
+ * @returns {number} Largest upper - lower
+ */
+export const widestInterval = (intervals, markets) => Math.max(
+  ...markets.map(key => (intervals[key] ? intervals[key].upper - intervals[key].lower : 0))
+);
+
+/** Markets whose intervals decide when an adaptive run stops, unless others are selected */
+export const DEFAULT_ADAPTIVE_MARKETS = ['homeWinProbability', 'drawProbability', 'awayWinProbability'];
+
+/**
+ * Add numeric counters (plain numbers, arrays or nested objects) into a target
+ * @param {Object|Array} target - Accumulated counters, modified in place
+ * @param {Object|Array} source - Counters to add
+ * @returns {Object|Array} Target
+ */
+const addCounts = (target, source) => {
+  Object.keys(source).forEach(key => {
+    if (typeof source[key] === 'number') {
+      target[key] = (target[key] || 0) + source[key];
+    } else if (source[key]) {
+      target[key] = addCounts(target[key] || (Array.isArray(source[key]) ? [] : {}), source[key]);
+    }
+  });
+  return target;
+};
+
 /**
  * Improved Monte Carlo Simulation
+ * A run is split into one or more streams with independent seeds. Streams can
+ * be simulated in any order or in parallel (see monteCarloWorkerPool.js); the
+ * merged result only depends on the parameters, the seed and the stream count.
+ *
+ * In adaptive mode the run repeats rounds of `simulations` matches until the
+ * widest 95% Wilson interval of the selected markets is narrower than the
+ * tolerance, or until maxSimulations is reached.
+ *
+ * In time-resolved mode each match is played minute by minute (see
+ * matchTimeline.js) instead of drawing two final goal counts, which adds goal
+ * timing markets and replaces the first-half share with simulated halves.
+ *
+ * With strengthUncertainty (see dynamicRatings.js) every match first draws
+ * its own goal rates around the given ones, so the result also reflects
+ * how uncertain the team strengths are.
  */
 export class MonteCarloSimulator {
   constructor(seed = 42) {
@@ -162,6 +416,22 @@ export class MonteCarloSimulator {
    * @returns {Object} Simulation results
    */
   simulate(params) {
+    const resolved = this.resolveParams(params);
+    const streamCounts = [];
+
+    for (let round = 0; round === 0 || !this.isComplete(resolved, streamCounts); round++) {
+      streamCounts.push(...this.planStreams(resolved, round).map(stream => this.runStream(resolved, stream)));
+    }
+
+    return this.mergeStreams(resolved, streamCounts);
+  }
+
+  /**
+   * Apply defaults and derive the goal rates used by every stream
+   * @param {Object} params - Simulation parameters
+   * @returns {Object} Complete parameters including homeRate and awayRate
+   */
+  resolveParams(params) {
     const {
       simulations = 10000,
       homeGoalsAvg = 1.8,
@@ -169,43 +439,202 @@ export class MonteCarloSimulator {
       homeDefenseStrength = 0.9,
       awayDefenseStrength = 1.1,
       homeAdvantage = 0.3,
-      randomSeed = 42
+      randomSeed = 42,
+      streams = 1,
+      adaptive = null,
+      timeResolved = false,
+      addedTime = DEFAULT_ADDED_TIME,
+      scoreStateEffect = 1,
+      homeDistribution,
+      awayDistribution,
+      firstHalfShare = null,
+      strengthUncertainty = null
     } = params;
 
-    // Reset random seed for reproducibility
-    this.rng.setSeed(randomSeed);
+    return {
+      simulations,
+      homeGoalsAvg,
+      awayGoalsAvg,
+      homeDefenseStrength,
+      awayDefenseStrength,
+      homeAdvantage,
+      randomSeed,
+      streams: Math.max(1, Math.min(Math.floor(streams) || 1, simulations)),
+      adaptive: adaptive && {
+        tolerance: adaptive.tolerance ?? 0.01,
+        markets: adaptive.markets?.length ? adaptive.markets : DEFAULT_ADAPTIVE_MARKETS,
+        maxSimulations: Math.max(simulations, adaptive.maxSimulations ?? 1000000)
+      },
+      timeResolved,
+      addedTime: timeResolved ? addedTime : null,
+      scoreStateEffect: timeResolved ? scoreStateEffect : null,
+      homeDistribution,
+      awayDistribution,
+      firstHalfShare,
+      strengthUncertainty: strengthUncertainty && (strengthUncertainty.homeLogSd > 0 || strengthUncertainty.awayLogSd > 0)
+        ? {
+          homeLogSd: Math.max(0, strengthUncertainty.homeLogSd || 0),
+          awayLogSd: Math.max(0, strengthUncertainty.awayLogSd || 0),
+          correlation: Math.max(-1, Math.min(1, strengthUncertainty.correlation || 0))
+        }
+        : null,
+      // Calculate adjusted rates
+      homeRate: homeGoalsAvg * (1 + homeAdvantage) / awayDefenseStrength,
+      awayRate: awayGoalsAvg / homeDefenseStrength
+    };
+  }
+
+  /**
+   * Split one round of a run into seeded streams of (nearly) equal size
+   * Stream indices continue across rounds, so every stream has its own seed.
+   * @param {Object} params - Resolved simulation parameters
+   * @param {number} round - Round number (always 0 unless adaptive)
+   * @returns {Array<{index: number, seed: number, simulations: number}>} Streams
+   */
+  planStreams({ simulations, streams, randomSeed }, round = 0) {
+    const baseSize = Math.floor(simulations / streams);
+    const remainder = simulations % streams;
+
+    return Array.from({ length: streams }, (_, i) => {
+      const index = round * streams + i;
+      return {
+        index,
+        seed: deriveStreamSeed(randomSeed, index),
+        simulations: baseSize + (i < remainder ? 1 : 0)
+      };
+    });
+  }
 
-    // Calculate adjusted rates
-    const homeRate = homeGoalsAvg * (1 + homeAdvantage) / awayDefenseStrength;
-    const awayRate = awayGoalsAvg / homeDefenseStrength;
+  /**
+   * Check whether a run has simulated enough
+   * @param {Object} params - Resolved simulation parameters
+   * @param {Array<Object>} streamCounts - Counters of all finished streams
+   * @returns {boolean} True when no further round is needed
+   */
+  isComplete(params, streamCounts) {
+    if (!params.adaptive) return true;
+
+    const { simulations, scoreMatrix } = this.mergeCounts(streamCounts);
+    const intervals = this.marketIntervals(scoreMatrix.summary(), simulations);
+    return simulations >= params.adaptive.maxSimulations ||
+      widestInterval(intervals, params.adaptive.markets) < params.adaptive.tolerance;
+  }
+
+  /**
+   * Estimate the total number of simulations a run will need, for progress reporting
+   * Interval widths shrink with 1/sqrt(n), so the remaining factor is (width / tolerance)^2.
+   * @param {Object} params - Resolved simulation parameters
+   * @param {Array<Object>} streamCounts - Counters of all finished streams
+   * @returns {number} Estimated total simulations
+   */
+  estimateTotalSimulations(params, streamCounts) {
+    if (!params.adaptive) return params.simulations;
+    if (streamCounts.length === 0) return params.adaptive.maxSimulations;
+
+    const { simulations, scoreMatrix } = this.mergeCounts(streamCounts);
+    const width = widestInterval(this.marketIntervals(scoreMatrix.summary(), simulations), params.adaptive.markets);
+    const estimate = simulations * Math.pow(width / params.adaptive.tolerance, 2);
+    return Math.min(params.adaptive.maxSimulations, Math.max(simulations, estimate));
+  }
+
+  /**
+   * 95% Wilson intervals for every market probability
+   * @param {Object} markets - ScoreMatrix.summary() of the simulated matches
+   * @param {number} simulations - Number of simulated matches
+   * @returns {Object} { [probability key]: { lower, upper } }
+   */
+  marketIntervals(markets, simulations) {
+    return Object.fromEntries(
+      Object.entries(MARKET_PROBABILITY_KEYS).map(([key, summaryKey]) => [
+        key,
+        wilsonInterval(Math.round(markets[summaryKey] * simulations), simulations)
+      ])
+    );
+  }
+
+  /**
+   * Simulate one stream and return its raw counters
+   * Counters are plain data so they can be posted from a Web Worker.
+   * @param {Object} params - Resolved simulation parameters
+   * @param {Object} stream - Stream from planStreams
+   * @param {Function} [onProgress] - Called with the number of completed simulations
+   * @returns {Object} Stream counters
+   */
+  runStream(params, stream, onProgress) {
+    const {
+      homeRate, awayRate, homeDistribution, awayDistribution, firstHalfShare,
+      timeResolved, addedTime, scoreStateEffect, strengthUncertainty
+    } = params;
+    const { simulations } = stream;
+    const progressInterval = Math.max(1000, Math.ceil(simulations / 50));
+
+    // Reset random seed for reproducibility
+    this.rng.setSeed(stream.seed);
 
     // Simulation counters
-    let homeWins = 0;
-    let draws = 0;
-    let awayWins = 0;
     let totalHomeGoals = 0;
     let totalAwayGoals = 0;
-    let bothTeamsScore = 0;
-    let over25Goals = 0;
-    let under25Goals = 0;
-    let over15Goals = 0;
-    let over35Goals = 0;
-    let cleanSheetHome = 0;
-    let cleanSheetAway = 0;
 
     // Score distribution tracking
     const scoreDistribution = new Map();
     const goalDistribution = { home: new Array(10).fill(0), away: new Array(10).fill(0) };
 
+    // Minute-by-minute matches record goal timing and play real halves
+    const timeline = timeResolved ? new MatchTimeline({ addedTime, scoreStateEffect }) : null;
+    const timingCounts = timeline ? timeline.createTimingCounts() : null;
+    const random = () => this.rng.next();
+
+    // Half-time tracking (when a first-half share is given or halves are simulated)
+    const splitHalves = Boolean(timeline) || typeof firstHalfShare === 'number';
+    const halfTimeCounts = {
+      halfTimeFullTime: Object.fromEntries(HALF_TIME_FULL_TIME_OUTCOMES.map(outcome => [outcome, 0])),
+      firstHalf: { homeWin: 0, draw: 0, awayWin: 0, over05: 0, over15: 0 },
+      firstHalfHomeGoals: 0,
+      firstHalfAwayGoals: 0,
+      goalInBothHalves: 0
+    };
+
     for (let i = 0; i < simulations; i++) {
-      // Generate goals using proper Poisson distribution
-      const homeGoals = this.poissonGen.generate(homeRate);
-      const awayGoals = this.poissonGen.generate(awayRate);
+      let homeGoals;
+      let awayGoals;
+      let match = null;
+      // Uncertain team strength: every match is played at its own sampled rates
+      const rates = strengthUncertainty
+        ? this.sampleRates(homeRate, awayRate, strengthUncertainty)
+        : { homeRate, awayRate };
+
+      if (timeline) {
+        match = timeline.simulate(
+          random,
+          rates.homeRate * this.poissonGen.rateMultiplier(homeDistribution),
+          rates.awayRate * this.poissonGen.rateMultiplier(awayDistribution)
+        );
+        ({ homeGoals, awayGoals } = match);
+        timeline.recordTiming(timingCounts, match);
+      } else {
+        // Generate goals using proper Poisson distribution
+        homeGoals = this.poissonGen.generate(rates.homeRate, homeDistribution);
+        awayGoals = this.poissonGen.generate(rates.awayRate, awayDistribution);
+      }
+
+      if (splitHalves) {
+        const firstHalfHome = match ? match.firstHalfHome : this.splitGoals(homeGoals, firstHalfShare);
+        const firstHalfAway = match ? match.firstHalfAway : this.splitGoals(awayGoals, firstHalfShare);
+        const firstHalfTotal = firstHalfHome + firstHalfAway;
+        const halfTimeCode = matchResultCode(firstHalfHome - firstHalfAway);
+
+        halfTimeCounts.halfTimeFullTime[`${halfTimeCode}/${matchResultCode(homeGoals - awayGoals)}`]++;
+        halfTimeCounts.firstHalf[RESULT_CODE_KEYS[halfTimeCode]]++;
+        if (firstHalfTotal > 0.5) halfTimeCounts.firstHalf.over05++;
+        if (firstHalfTotal > 1.5) halfTimeCounts.firstHalf.over15++;
+        if (firstHalfTotal > 0 && homeGoals + awayGoals > firstHalfTotal) halfTimeCounts.goalInBothHalves++;
+        halfTimeCounts.firstHalfHomeGoals += firstHalfHome;
+        halfTimeCounts.firstHalfAwayGoals += firstHalfAway;
+      }
       
       totalHomeGoals += homeGoals;
       totalAwayGoals += awayGoals;
       
-      const totalGoals = homeGoals + awayGoals;
       const scoreKey = `${homeGoals}-${awayGoals}`;
       
       // Update score distribution
@@ -214,60 +643,177 @@ export class MonteCarloSimulator {
       // Update goal distribution (cap at 9+ for display)
       goalDistribution.home[Math.min(homeGoals, 9)]++;
       goalDistribution.away[Math.min(awayGoals, 9)]++;
-      
-      // Match result
-      if (homeGoals > awayGoals) homeWins++;
-      else if (homeGoals === awayGoals) draws++;
-      else awayWins++;
-      
-      // Various betting markets
-      if (homeGoals > 0 && awayGoals > 0) bothTeamsScore++;
-      if (totalGoals > 2.5) over25Goals++;
-      else under25Goals++;
-      if (totalGoals > 1.5) over15Goals++;
-      if (totalGoals > 3.5) over35Goals++;
-      if (awayGoals === 0) cleanSheetHome++;
-      if (homeGoals === 0) cleanSheetAway++;
+
+      if (onProgress && (i + 1) % progressInterval === 0) onProgress(i + 1);
     }
 
-    // Calculate confidence based on simulation size and variance
-    const homeWinRate = homeWins / simulations;
-    const variance = homeWinRate * (1 - homeWinRate);
-    const standardError = Math.sqrt(variance / simulations);
-    const confidence = Math.min(99, 90 + Math.log10(simulations) * 5 - standardError * 1000);
-
-    // Get most likely scorelines
-    const mostLikelyScores = Array.from(scoreDistribution.entries())
-      .map(([score, count]) => ({
-        score,
-        probability: ((count / simulations) * 100).toFixed(1),
-        count
-      }))
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 8);
+    if (onProgress) onProgress(simulations);
 
     return {
-      homeWinProbability: ((homeWins / simulations) * 100).toFixed(1),
-      drawProbability: ((draws / simulations) * 100).toFixed(1),
-      awayWinProbability: ((awayWins / simulations) * 100).toFixed(1),
-      expectedHomeGoals: (totalHomeGoals / simulations).toFixed(2),
-      expectedAwayGoals: (totalAwayGoals / simulations).toFixed(2),
-      bothTeamsScoreProbability: ((bothTeamsScore / simulations) * 100).toFixed(1),
-      over25Probability: ((over25Goals / simulations) * 100).toFixed(1),
-      under25Probability: ((under25Goals / simulations) * 100).toFixed(1),
-      over15Probability: ((over15Goals / simulations) * 100).toFixed(1),
-      over35Probability: ((over35Goals / simulations) * 100).toFixed(1),
-      cleanSheetHomeProbability: ((cleanSheetHome / simulations) * 100).toFixed(1),
-      cleanSheetAwayProbability: ((cleanSheetAway / simulations) * 100).toFixed(1),
-      confidence: confidence.toFixed(1),
-      mostLikelyScorelines: mostLikelyScores,
+      index: stream.index,
+      simulations,
+      totalHomeGoals,
+      totalAwayGoals,
+      scoreCounts: Object.fromEntries(scoreDistribution),
       goalDistribution,
-      simulationStats: {
-        totalSimulations: simulations,
-        homeRate: homeRate.toFixed(3),
-        awayRate: awayRate.toFixed(3),
-        standardError: (standardError * 100).toFixed(2)
+      halfTimeCounts: splitHalves ? halfTimeCounts : null,
+      timingCounts
+    };
+  }
+
+  /**
+   * Draw one match's goal rates from the strength uncertainty
+   * The given rates are the medians; log rates are bivariate normal with the
+   * given standard deviations and correlation (see dynamicRatings.js).
+   * @param {number} homeRate - Median home goal rate
+   * @param {number} awayRate - Median away goal rate
+   * @param {Object} uncertainty - { homeLogSd, awayLogSd, correlation }
+   * @returns {Object} { homeRate, awayRate }
+   */
+  sampleRates(homeRate, awayRate, { homeLogSd, awayLogSd, correlation }) {
+    const z1 = this.poissonGen.standardNormal();
+    const z2 = correlation * z1 + Math.sqrt(1 - correlation * correlation) * this.poissonGen.standardNormal();
+    return {
+      homeRate: homeRate * Math.exp(homeLogSd * z1),
+      awayRate: awayRate * Math.exp(awayLogSd * z2)
+    };
+  }
+
+  /**
+   * Sum stream counters
+   * Streams are combined in index order, so the totals do not depend on
+   * which stream finished first.
+   * @param {Array<Object>} streamCounts - Counters from runStream
+   * @returns {Object} Summed counters with the empirical scoreline matrix
+   */
+  mergeCounts(streamCounts) {
+    const totals = [...streamCounts]
+      .sort((a, b) => a.index - b.index)
+      .reduce((sum, counts) => addCounts(sum, {
+        simulations: counts.simulations,
+        totalHomeGoals: counts.totalHomeGoals,
+        totalAwayGoals: counts.totalAwayGoals,
+        scoreCounts: counts.scoreCounts,
+        goalDistribution: counts.goalDistribution,
+        ...(counts.halfTimeCounts && { halfTimeCounts: counts.halfTimeCounts }),
+        ...(counts.timingCounts && { timingCounts: counts.timingCounts })
+      }), {});
+
+    return {
+      ...totals,
+      scoreMatrix: ScoreMatrix.fromCounts(Object.entries(totals.scoreCounts), totals.simulations)
+    };
+  }
+
+  /**
+   * Merge stream counters into one prediction result
+   * @param {Object} params - Resolved simulation parameters
+   * @param {Array<Object>} streamCounts - Counters from runStream
+   * @returns {Object} Simulation results
+   */
+  mergeStreams(params, streamCounts) {
+    const {
+      homeGoalsAvg, awayGoalsAvg, homeDefenseStrength, awayDefenseStrength, homeAdvantage,
+      randomSeed, streams, adaptive, timeResolved, addedTime, scoreStateEffect,
+      homeDistribution, awayDistribution, firstHalfShare, strengthUncertainty, homeRate, awayRate
+    } = params;
+
+    // All markets are derived from the empirical scoreline matrix
+    const totals = this.mergeCounts(streamCounts);
+    const { simulations, scoreMatrix } = totals;
+    const markets = scoreMatrix.summary();
+    const confidenceIntervals = this.marketIntervals(markets, simulations);
+
+    // Confidence is the precision of the 1X2 estimate: one minus the widest 95% interval
+    const homeWinRate = markets.homeWin;
+    const standardError = Math.sqrt(homeWinRate * (1 - homeWinRate) / simulations);
+    const confidence = 1 - widestInterval(confidenceIntervals, DEFAULT_ADAPTIVE_MARKETS);
+
+    return createPredictionResult({
+      model: 'montecarlo',
+      modelName: 'Monte Carlo',
+      version: MODEL_VERSIONS.montecarlo,
+      seed: randomSeed,
+      inputs: {
+        simulations: params.simulations, homeGoalsAvg, awayGoalsAvg, homeDefenseStrength, awayDefenseStrength,
+        homeAdvantage, streams, adaptive, timeResolved, addedTime, scoreStateEffect,
+        homeDistribution, awayDistribution, firstHalfShare, strengthUncertainty
+      },
+      scoreMatrix,
+      expectedHomeGoals: totals.totalHomeGoals / simulations,
+      expectedAwayGoals: totals.totalAwayGoals / simulations,
+      confidence,
+      extras: {
+        goalDistribution: totals.goalDistribution,
+        halfTime: totals.halfTimeCounts
+          ? this.summariseHalfTime(
+            totals.halfTimeCounts,
+            simulations,
+            // Simulated halves report the share of goals that actually fell before the break
+            timeResolved
+              ? (totals.halfTimeCounts.firstHalfHomeGoals + totals.halfTimeCounts.firstHalfAwayGoals) /
+                Math.max(1, totals.totalHomeGoals + totals.totalAwayGoals)
+              : firstHalfShare
+          )
+          : null,
+        goalTiming: totals.timingCounts
+          ? new MatchTimeline({ addedTime, scoreStateEffect }).summariseTiming(totals.timingCounts, simulations)
+          : null,
+        confidenceIntervals,
+        simulationStats: {
+          totalSimulations: simulations,
+          streams,
+          rounds: streamCounts.length / streams,
+          homeRate,
+          awayRate,
+          strengthUncertainty,
+          standardError,
+          adaptive: adaptive && {
+            ...adaptive,
+            widestInterval: widestInterval(confidenceIntervals, adaptive.markets),
+            converged: widestInterval(confidenceIntervals, adaptive.markets) < adaptive.tolerance
+          }
+        }
       }
+    });
+  }
+
+  /**
+   * Assign each goal to the first half with the given probability
+   * Binomial thinning keeps the full-match goal distribution unchanged
+   * @param {number} goals - Full-match goals
+   * @param {number} firstHalfShare - Share of goals scored before half-time
+   * @returns {number} First-half goals
+   */
+  splitGoals(goals, firstHalfShare) {
+    let firstHalfGoals = 0;
+    for (let i = 0; i < goals; i++) {
+      if (this.rng.next() < firstHalfShare) firstHalfGoals++;
+    }
+    return firstHalfGoals;
+  }
+
+  /**
+   * Convert half-time counters to probabilities
+   * @param {Object} counts - Half-time counters from the simulation loop
+   * @param {number} simulations - Number of simulated matches
+   * @param {number} firstHalfShare - Share of goals scored before half-time
+   * @returns {Object} Half-time markets (probabilities 0-1)
+   */
+  summariseHalfTime(counts, simulations, firstHalfShare) {
+    const toProbabilities = (values) => Object.fromEntries(
+      Object.entries(values).map(([key, count]) => [key, count / simulations])
+    );
+
+    return {
+      firstHalfShare,
+      firstHalf: {
+        ...toProbabilities(counts.firstHalf),
+        expectedHomeGoals: counts.firstHalfHomeGoals / simulations,
+        expectedAwayGoals: counts.firstHalfAwayGoals / simulations
+      },
+      halfTimeFullTime: toProbabilities(counts.halfTimeFullTime),
+      goalInBothHalves: counts.goalInBothHalves / simulations
     };
   }
 
@@ -279,6 +825,43 @@ export class MonteCarloSimulator {
   }
 }
 
+/**
+ * Dixon-Coles tau adjustment for low-scoring outcomes
+ * Dixon, M.J. & Coles, S.G. (1997). "Modelling association football scores and inefficiencies in the football betting market"
+ * @param {number} homeGoals - Home goals in scoreline
+ * @param {number} awayGoals - Away goals in scoreline
+ * @param {number} homeLambda - Home expected goals
+ * @param {number} awayLambda - Away expected goals
+ * @param {number} rho - Dependence parameter (negative values inflate 0-0 and 1-1)
+ * @returns {number} Multiplicative correction for the scoreline probability
+ */
+export const dixonColesTau = (homeGoals, awayGoals, homeLambda, awayLambda, rho) => {
+  if (homeGoals === 0 && awayGoals === 0) return 1 - homeLambda * awayLambda * rho;
+  if (homeGoals === 0 && awayGoals === 1) return 1 + homeLambda * rho;
+  if (homeGoals === 1 && awayGoals === 0) return 1 + awayLambda * rho;
+  if (homeGoals === 1 && awayGoals === 1) return 1 - rho;
+  return 1;
+};
+
+/**
+ * Clamp rho to the range where every tau factor stays non-negative
+ * @param {number} rho - Requested dependence parameter
+ * @param {number} homeLambda - Home expected goals
+ * @param {number} awayLambda - Away expected goals
+ * @returns {number} Valid rho value
+ */
+export const clampDixonColesRho = (rho, homeLambda, awayLambda) => {
+  const lowerBound = Math.max(-1 / homeLambda, -1 / awayLambda);
+  const upperBound = Math.min(1 / (homeLambda * awayLambda), 1);
+  return Math.max(lowerBound, Math.min(upperBound, rho));
+};
+
+/** Defaults of EnhancedPoissonCalculator for inputs the caller (or a tuning profile) leaves out */
+export const POISSON_MODEL_CONSTANTS = {
+  leagueAverage: 2.7,
+  homeAdvantage: 0.1
+};
+
 /**
  * Enhanced Poisson Distribution Calculator
  */
@@ -298,9 +881,12 @@ export class EnhancedPoissonCalculator {
       awayAttackRate = 1.5,
       homeDefenseRate = 0.8,
       awayDefenseRate = 1.0,
-      leagueAverage = 2.7,
+      leagueAverage = POISSON_MODEL_CONSTANTS.leagueAverage,
       adjustmentFactor = 1.0,
-      homeAdvantage = 0.1
+      homeAdvantage = POISSON_MODEL_CONSTANTS.homeAdvantage,
+      rho = 0,
+      homeDistribution,
+      awayDistribution
     } = params;
 
     // Calculate lambda values with home advantage
@@ -312,95 +898,60 @@ export class EnhancedPoissonCalculator {
                       (homeDefenseRate / leagueAverage) * 
                       leagueAverage * adjustmentFactor;
 
-    // Calculate probabilities for extended range (0-10 goals)
-    let homeWinProb = 0;
-    let drawProb = 0;
-    let awayWinProb = 0;
-    let bothTeamsScoreProb = 0;
-    let over25Prob = 0;
-    let under25Prob = 0;
-    let over15Prob = 0;
-    let over35Prob = 0;
-    let cleanSheetHomeProb = 0;
-    let cleanSheetAwayProb = 0;
-
-    const scorelineProbabilities = [];
-
-    // Extended calculation range for better accuracy
-    for (let homeGoals = 0; homeGoals <= 10; homeGoals++) {
-      for (let awayGoals = 0; awayGoals <= 10; awayGoals++) {
-        const homeProb = this.poissonGen.probability(homeLambda, homeGoals);
-        const awayProb = this.poissonGen.probability(awayLambda, awayGoals);
-        const combinedProb = homeProb * awayProb;
-        const totalGoals = homeGoals + awayGoals;
-        
-        // Store scoreline probability
-        if (homeGoals <= 6 && awayGoals <= 6) {
-          scorelineProbabilities.push({
-            score: `${homeGoals}-${awayGoals}`,
-            probability: (combinedProb * 100).toFixed(2)
-          });
-        }
-        
-        // Match result
-        if (homeGoals > awayGoals) homeWinProb += combinedProb;
-        else if (homeGoals === awayGoals) drawProb += combinedProb;
-        else awayWinProb += combinedProb;
-        
-        // Various markets
-        if (homeGoals > 0 && awayGoals > 0) bothTeamsScoreProb += combinedProb;
-        if (totalGoals > 2.5) over25Prob += combinedProb;
-        else under25Prob += combinedProb;
-        if (totalGoals > 1.5) over15Prob += combinedProb;
-        if (totalGoals > 3.5) over35Prob += combinedProb;
-        if (awayGoals === 0) cleanSheetHomeProb += combinedProb;
-        if (homeGoals === 0) cleanSheetAwayProb += combinedProb;
-      }
+    // Dixon-Coles correction (rho = 0 keeps the independent Poisson model)
+    const requestedRho = Number(rho) || 0;
+    const appliedRho = clampDixonColesRho(requestedRho, homeLambda, awayLambda);
+    if (appliedRho !== requestedRho) {
+      console.warn(`Dixon-Coles rho ${requestedRho} outside valid range, clamped to ${appliedRho.toFixed(3)}`);
     }
 
-    // Sort scorelines by probability
-    const mostLikelyScorelines = scorelineProbabilities
-      .sort((a, b) => parseFloat(b.probability) - parseFloat(a.probability))
-      .slice(0, 8)
-      .map(item => ({
-        score: item.score,
-        probability: parseFloat(item.probability).toFixed(1)
-      }));
-
-    // Normalize probabilities to ensure they sum to 100%
-    const totalProb = homeWinProb + drawProb + awayWinProb;
-    if (totalProb > 0) {
-      homeWinProb = homeWinProb / totalProb;
-      drawProb = drawProb / totalProb;
-      awayWinProb = awayWinProb / totalProb;
-    }
+    // Build the full scoreline matrix (0-10 goals) and derive every market from it
+    const scoreProbability = (homeGoals, awayGoals) =>
+      this.poissonGen.probability(homeLambda, homeGoals, homeDistribution) *
+      this.poissonGen.probability(awayLambda, awayGoals, awayDistribution);
+
+    const scoreMatrix = ScoreMatrix.fromFunction((homeGoals, awayGoals) =>
+      scoreProbability(homeGoals, awayGoals) * dixonColesTau(homeGoals, awayGoals, homeLambda, awayLambda, appliedRho)
+    );
+    const markets = scoreMatrix.summary();
+
+    // Track the uncorrected draw probability for comparison
+    const uncorrectedDrawProb = appliedRho !== 0
+      ? ScoreMatrix.fromFunction(scoreProbability).outcomeProbabilities().draw
+      : markets.draw;
 
     // Calculate confidence based on lambda values
     const avgLambda = (homeLambda + awayLambda) / 2;
     const lambdaDiff = Math.abs(homeLambda - awayLambda);
-    const confidence = Math.min(95, 75 + lambdaDiff * 10 + Math.min(avgLambda, 3) * 5);
+    const confidence = Math.min(0.95, 0.75 + lambdaDiff * 0.1 + Math.min(avgLambda, 3) * 0.05);
 
-    return {
-      homeWinProbability: (homeWinProb * 100).toFixed(1),
-      drawProbability: (drawProb * 100).toFixed(1),
-      awayWinProbability: (awayWinProb * 100).toFixed(1),
-      expectedHomeGoals: homeLambda.toFixed(2),
-      expectedAwayGoals: awayLambda.toFixed(2),
-      bothTeamsScoreProbability: (bothTeamsScoreProb * 100).toFixed(1),
-      over25Probability: (over25Prob * 100).toFixed(1),
-      under25Probability: (under25Prob * 100).toFixed(1),
-      over15Probability: (over15Prob * 100).toFixed(1),
-      over35Probability: (over35Prob * 100).toFixed(1),
-      cleanSheetHomeProbability: (cleanSheetHomeProb * 100).toFixed(1),
-      cleanSheetAwayProbability: (cleanSheetAwayProb * 100).toFixed(1),
-      confidence: confidence.toFixed(1),
-      mostLikelyScorelines,
-      calculationStats: {
-        homeLambda: homeLambda.toFixed(3),
-        awayLambda: awayLambda.toFixed(3),
-        homeAdvantageApplied: (homeAdvantage * 100).toFixed(1) + '%'
+    return createPredictionResult({
+      model: 'poisson',
+      modelName: 'Poisson',
+      version: MODEL_VERSIONS.poisson,
+      inputs: {
+        homeAttackRate, awayAttackRate, homeDefenseRate, awayDefenseRate, leagueAverage,
+        adjustmentFactor, homeAdvantage, rho: requestedRho, homeDistribution, awayDistribution
+      },
+      scoreMatrix,
+      expectedHomeGoals: homeLambda,
+      expectedAwayGoals: awayLambda,
+      confidence,
+      extras: {
+        dixonColes: {
+          applied: appliedRho !== 0,
+          rho: appliedRho,
+          uncorrectedDrawProbability: uncorrectedDrawProb,
+          correctedDrawProbability: markets.draw
+        },
+        calculationStats: {
+          homeLambda,
+          awayLambda,
+          homeAdvantageApplied: homeAdvantage,
+          tailMass: scoreMatrix.tailMass
+        }
       }
-    };
+    });
   }
 
   /**
@@ -440,15 +991,68 @@ export const validateInputs = (params) => {
   return errors;
 };
 
+/**
+ * Estimate goal distribution parameters from a team's recent goal history
+ * using the method of moments
+ * @param {Array<number>} goalHistory - Goals scored in recent matches
+ * @returns {Object} Mean, variance, dispersion, zero-inflation and suggested distribution type
+ */
+export const estimateGoalDistribution = (goalHistory = []) => {
+  const goals = goalHistory
+    .map(value => Number(value))
+    .filter(value => Number.isFinite(value) && value >= 0);
+
+  if (goals.length < 2) {
+    return {
+      sampleSize: goals.length,
+      mean: goals[0] || 0,
+      variance: 0,
+      dispersion: null,
+      zeroInflation: 0,
+      recommendedType: GOAL_DISTRIBUTIONS.poisson
+    };
+  }
+
+  const mean = goals.reduce((sum, value) => sum + value, 0) / goals.length;
+  const variance = goals.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (goals.length - 1);
+  const isOverdispersed = mean > 0 && variance > mean;
+
+  // Negative binomial: variance = mean + mean^2 / r
+  const dispersion = isOverdispersed ? Math.pow(mean, 2) / (variance - mean) : null;
+
+  // Zero-inflated Poisson: variance / mean = 1 + pi * lambda_inner, lambda_inner = mean / (1 - pi)
+  const excess = mean > 0 ? variance / mean - 1 : 0;
+  const zeroInflation = isOverdispersed ? Math.min(0.9, Math.max(0, excess / (mean + excess))) : 0;
+
+  // Prefer zero inflation when blanks are much more common than a Poisson with the same mean predicts
+  const observedZeroShare = goals.filter(value => value === 0).length / goals.length;
+  const poissonZeroShare = Math.exp(-mean);
+  let recommendedType = GOAL_DISTRIBUTIONS.poisson;
+  if (isOverdispersed) {
+    recommendedType = observedZeroShare > poissonZeroShare * 1.5
+      ? GOAL_DISTRIBUTIONS.zeroInflated
+      : GOAL_DISTRIBUTIONS.negativeBinomial;
+  }
+
+  return {
+    sampleSize: goals.length,
+    mean,
+    variance,
+    dispersion,
+    zeroInflation,
+    recommendedType
+  };
+};
+
 export const formatResults = (results) => {
-  // Ensure all probabilities add up to 100% (with rounding)
-  const total = parseFloat(results.homeWinProbability) + 
-                parseFloat(results.drawProbability) + 
-                parseFloat(results.awayWinProbability);
-  
-  if (Math.abs(total - 100) > 0.5) {
-    console.warn('Probabilities do not sum to 100%:', total);
+  // Ensure the 1X2 probabilities add up to 1 (scoreline truncation aside)
+  const total = results.homeWinProbability +
+                results.drawProbability +
+                results.awayWinProbability;
+
+  if (Math.abs(total - 1) > 0.005) {
+    console.warn('Probabilities do not sum to 1:', total);
   }
-  
+
   return results;
-};
\ No newline at end of file
+};
@@ -0,0 +1,285 @@
+/**
+ * In-Play Prediction Model
+ * Updates a pre-match prediction from the current minute, score, red cards
+ * and (optionally) live xG. Each team's remaining goals are Poisson with its
+ * goal rate scaled to the share of the match's goal intensity still to come,
+ * using the match-clock profile of MatchTimeline, and the final-score matrix
+ * is the current score shifted by the remaining-goal matrix.
+ *
+ * Live xG updates each team's rate with a gamma-Poisson (conjugate) step: the
+ * pre-match rate counts as `liveXGPriorWeight` matches of evidence and the
+ * live xG as the elapsed share of a match.
+ *
+ * ACADEMIC REFERENCES:
+ * - Dixon, M.J. & Robinson, M.E. (1998). "A birth process model for association football matches"
+ *   The Statistician 47(3): 523-538
+ * - Vecer, J., Kopriva, F. & Ichiba, T. (2009). "Estimating the effect of the red card in soccer: when to commit an offense in exchange for preventing a goal opportunity"
+ *   Journal of Quantitative Analysis in Sports 5(1)
+ */
+
+import { PoissonGenerator } from './improvedMath.js';
+import { ScoreMatrix, DEFAULT_MAX_GOALS } from './scoreMatrix.js';
+import { createPredictionResult, MODEL_VERSIONS } from './predictionResult.js';
+import { MatchTimeline, DEFAULT_ADDED_TIME } from './matchTimeline.js';
+
+/** Regular match length in minutes; the in-play minute runs from 0 to this value */
+export const MATCH_MINUTES = 90;
+
+/**
+ * Goal-rate multipliers per red card: the team down a player scores less,
+ * its opponent more
+ */
+export const RED_CARD_FACTORS = { own: 0.67, opponent: 1.25 };
+
+/** Matches of evidence the pre-match rate is worth when combined with live xG */
+export const DEFAULT_LIVE_XG_PRIOR_WEIGHT = 1;
+
+/** Total-goal lines reported for the final score */
+export const TOTAL_GOAL_LINES = [0.5, 1.5, 2.5, 3.5, 4.5, 5.5];
+
+export class InPlayModel {
+  constructor() {
+    this.poissonGen = new PoissonGenerator();
+    this.timelines = new Map();
+  }
+
+  /**
+   * Minute slots and goal-intensity shares for the given added time (cached)
+   * @param {Object} addedTime - { firstHalf, secondHalf } in minutes
+   * @returns {MatchTimeline} Timeline
+   */
+  getTimeline(addedTime) {
+    const key = `${addedTime.firstHalf}_${addedTime.secondHalf}`;
+    if (!this.timelines.has(key)) {
+      this.timelines.set(key, new MatchTimeline({ addedTime, scoreStateEffect: 0 }));
+    }
+    return this.timelines.get(key);
+  }
+
+  /**
+   * Share of the match's goal intensity already played
+   * A minute counts as played once the clock has reached it, so at minute 45
+   * first-half added time is still to come and at minute 90 only added time remains.
+   * @param {number} minute - Current minute (0-90)
+   * @param {Object} addedTime - { firstHalf, secondHalf } in minutes
+   * @returns {number} Elapsed share (0-1)
+   */
+  elapsedShare(minute, addedTime = DEFAULT_ADDED_TIME) {
+    const timeline = this.getTimeline(addedTime);
+    return timeline.slots.reduce((sum, slot, i) => (
+      slot.minute <= minute && !(slot.minute === minute && slot.addedMinute > 0)
+        ? sum + timeline.slotShares[i]
+        : sum
+    ), 0);
+  }
+
+  /**
+   * Remaining expected goals per team at a given minute
+   * @param {Object} params - Resolved in-play parameters
+   * @param {number} minute - Current minute
+   * @param {Object|null} liveXG - { home, away } xG so far, or null
+   * @returns {Object} { homeRate, awayRate, remainingShare, remainingHome, remainingAway }
+   */
+  remainingGoals(params, minute, liveXG) {
+    const {
+      homeExpectedGoals, awayExpectedGoals, homeRedCards, awayRedCards, addedTime, liveXGPriorWeight
+    } = params;
+    const elapsed = this.elapsedShare(minute, addedTime);
+    const remainingShare = Math.max(0, 1 - elapsed);
+
+    // Gamma-Poisson update of the full-match rate with the xG produced so far
+    const updateRate = (preMatchRate, xgSoFar) => (
+      liveXG && elapsed > 0
+        ? (preMatchRate * liveXGPriorWeight + xgSoFar) / (liveXGPriorWeight + elapsed)
+        : preMatchRate
+    );
+    const homeRate = updateRate(homeExpectedGoals, liveXG?.home);
+    const awayRate = updateRate(awayExpectedGoals, liveXG?.away);
+
+    const homeCardFactor = Math.pow(RED_CARD_FACTORS.own, homeRedCards) * Math.pow(RED_CARD_FACTORS.opponent, awayRedCards);
+    const awayCardFactor = Math.pow(RED_CARD_FACTORS.own, awayRedCards) * Math.pow(RED_CARD_FACTORS.opponent, homeRedCards);
+
+    return {
+      homeRate,
+      awayRate,
+      remainingShare,
+      remainingHome: homeRate * remainingShare * homeCardFactor,
+      remainingAway: awayRate * remainingShare * awayCardFactor
+    };
+  }
+
+  /**
+   * Poisson probability that also covers a zero rate (no time left)
+   * @param {number} lambda - Expected remaining goals
+   * @param {number} k - Remaining goals
+   * @returns {number} Probability
+   */
+  remainingProbability(lambda, k) {
+    if (lambda <= 0) return k === 0 ? 1 : 0;
+    return this.poissonGen.probability(lambda, k);
+  }
+
+  /**
+   * Final-score matrix: current score plus independent Poisson remaining goals
+   * @param {Object} score - { home, away } current score
+   * @param {number} remainingHome - Expected remaining home goals
+   * @param {number} remainingAway - Expected remaining away goals
+   * @returns {ScoreMatrix} Final-score distribution
+   */
+  finalScoreMatrix(score, remainingHome, remainingAway) {
+    return ScoreMatrix.fromFunction(
+      (homeGoals, awayGoals) => (
+        this.remainingProbability(remainingHome, homeGoals - score.home) *
+        this.remainingProbability(remainingAway, awayGoals - score.away)
+      ),
+      DEFAULT_MAX_GOALS + Math.max(score.home, score.away)
+    );
+  }
+
+  /**
+   * Next-goal probabilities from the remaining rates
+   * @param {number} remainingHome - Expected remaining home goals
+   * @param {number} remainingAway - Expected remaining away goals
+   * @returns {Object} { homeProbability, awayProbability, noGoalProbability }
+   */
+  nextGoal(remainingHome, remainingAway) {
+    const total = remainingHome + remainingAway;
+    const noGoalProbability = Math.exp(-total);
+    if (total <= 0) return { homeProbability: 0, awayProbability: 0, noGoalProbability: 1 };
+
+    return {
+      homeProbability: (remainingHome / total) * (1 - noGoalProbability),
+      awayProbability: (remainingAway / total) * (1 - noGoalProbability),
+      noGoalProbability
+    };
+  }
+
+  /**
+   * Resolve in-play parameters and apply defaults
+   * @param {Object} params - In-play parameters
+   * @returns {Object} Resolved parameters
+   */
+  resolveParams(params) {
+    const {
+      homeExpectedGoals = 1.5,
+      awayExpectedGoals = 1.2,
+      minute = 0,
+      homeScore = 0,
+      awayScore = 0,
+      homeRedCards = 0,
+      awayRedCards = 0,
+      liveXG = null,
+      addedTime = DEFAULT_ADDED_TIME,
+      liveXGPriorWeight = DEFAULT_LIVE_XG_PRIOR_WEIGHT
+    } = params;
+
+    return {
+      homeExpectedGoals,
+      awayExpectedGoals,
+      minute: Math.min(MATCH_MINUTES, Math.max(0, Math.round(minute))),
+      score: { home: Math.max(0, Math.round(homeScore)), away: Math.max(0, Math.round(awayScore)) },
+      homeRedCards: Math.max(0, Math.round(homeRedCards)),
+      awayRedCards: Math.max(0, Math.round(awayRedCards)),
+      liveXG: liveXG ? { home: Math.max(0, liveXG.home || 0), away: Math.max(0, liveXG.away || 0) } : null,
+      addedTime,
+      liveXGPriorWeight
+    };
+  }
+
+  /**
+   * Probabilities at every minute of the match for the same score and red
+   * cards; live xG is scaled to each minute assuming the pace so far
+   * @param {Object} params - Resolved in-play parameters
+   * @returns {Array<Object>} One point per minute (0-90)
+   */
+  evolution(params) {
+    const currentElapsed = this.elapsedShare(params.minute, params.addedTime);
+
+    return Array.from({ length: MATCH_MINUTES + 1 }, (_, minute) => {
+      const pace = currentElapsed > 0 ? this.elapsedShare(minute, params.addedTime) / currentElapsed : 0;
+      const liveXG = params.liveXG && pace > 0
+        ? { home: params.liveXG.home * pace, away: params.liveXG.away * pace }
+        : null;
+      const { remainingHome, remainingAway } = this.remainingGoals(params, minute, liveXG);
+      const outcomes = this.finalScoreMatrix(params.score, remainingHome, remainingAway).outcomeProbabilities();
+
+      return {
+        minute,
+        homeWin: outcomes.homeWin,
+        draw: outcomes.draw,
+        awayWin: outcomes.awayWin,
+        nextGoal: this.nextGoal(remainingHome, remainingAway),
+        expectedTotalGoals: params.score.home + params.score.away + remainingHome + remainingAway
+      };
+    });
+  }
+
+  /**
+   * Calculate in-play probabilities for the rest of the match
+   * @param {Object} params - In-play parameters
+   * @param {number} params.homeExpectedGoals - Pre-match expected home goals (full match)
+   * @param {number} params.awayExpectedGoals - Pre-match expected away goals (full match)
+   * @param {number} params.minute - Current minute (0-90)
+   * @param {number} params.homeScore - Current home goals
+   * @param {number} params.awayScore - Current away goals
+   * @param {number} params.homeRedCards - Home red cards so far
+   * @param {number} params.awayRedCards - Away red cards so far
+   * @param {Object|null} params.liveXG - { home, away } xG so far, or null to ignore
+   * @returns {Object} PredictionResult for the final score with in-play diagnostics
+   */
+  calculate(params) {
+    const resolved = this.resolveParams(params);
+    const { minute, score, homeRedCards, awayRedCards, liveXG } = resolved;
+
+    const { homeRate, awayRate, remainingShare, remainingHome, remainingAway } =
+      this.remainingGoals(resolved, minute, liveXG);
+    const scoreMatrix = this.finalScoreMatrix(score, remainingHome, remainingAway);
+
+    // Less of the match is left to model as it goes on
+    const confidence = Math.min(0.95, 0.75 + 0.2 * (1 - remainingShare));
+
+    return createPredictionResult({
+      model: 'inplay',
+      modelName: 'In-Play Poisson',
+      version: MODEL_VERSIONS.inplay,
+      inputs: resolved,
+      scoreMatrix,
+      expectedHomeGoals: score.home + remainingHome,
+      expectedAwayGoals: score.away + remainingAway,
+      confidence,
+      extras: {
+        inPlay: {
+          minute,
+          score,
+          redCards: { home: homeRedCards, away: awayRedCards },
+          liveXGApplied: Boolean(liveXG) && remainingShare < 1,
+          homeRate,
+          awayRate,
+          remainingShare,
+          remainingHomeGoals: remainingHome,
+          remainingAwayGoals: remainingAway,
+          nextGoal: this.nextGoal(remainingHome, remainingAway),
+          totalGoals: TOTAL_GOAL_LINES.map(line => ({
+            line,
+            overProbability: scoreMatrix.totalGoalsOver(line),
+            underProbability: scoreMatrix.totalGoalsUnder(line)
+          })),
+          evolution: this.evolution(resolved)
+        }
+      }
+    });
+  }
+
+  /**
+   * Clear caches
+   */
+  reset() {
+    this.poissonGen.clearCaches();
+    this.timelines.clear();
+  }
+}
+
+// Export singleton instance
+export const inPlayModel = new InPlayModel();
+
+export default InPlayModel;
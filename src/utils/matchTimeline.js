@@ -0,0 +1,276 @@
+/**
+ * Match Timeline Simulation
+ * Minute-by-minute goal process used by MonteCarloSimulator in time-resolved
+ * mode. Each team's scoring intensity varies with the match clock and with the
+ * score (trailing teams push, leading teams sit back); both effects reuse the
+ * pressure multipliers of PsychologicalXGAnalyzer. Intensities are scaled so
+ * that, at a level score, a team's expected goals over the full match
+ * (including added time) equal its goal rate.
+ *
+ * ACADEMIC REFERENCES:
+ * - Dixon, M.J. & Robinson, M.E. (1998). "A birth process model for association football matches"
+ *   The Statistician 47(3): 523-538
+ */
+
+import PsychologicalXGAnalyzer from './psychologicalXG.js';
+
+const pressureAnalyzer = new PsychologicalXGAnalyzer();
+const { scoreFactors } = pressureAnalyzer.pressureSituations;
+
+/** Added time in minutes per half */
+export const DEFAULT_ADDED_TIME = { firstHalf: 2, secondHalf: 5 };
+
+/** 15-minute reporting intervals; added time belongs to the last interval of each half */
+export const TIMING_INTERVALS = [
+  { label: '1-15', from: 1, to: 15 },
+  { label: '16-30', from: 16, to: 30 },
+  { label: '31-45+', from: 31, to: 45 },
+  { label: '46-60', from: 46, to: 60 },
+  { label: '61-75', from: 61, to: 75 },
+  { label: '76-90+', from: 76, to: 90 }
+];
+
+/** Minutes after which a goal counts as late */
+export const LATE_GOAL_MINUTES = [75, 85];
+
+/**
+ * Score state from a team's point of view, named as in pressureSituations.scoreFactors
+ * @param {number} goalDifference - Team goals minus opponent goals
+ * @param {number} minute - Match minute
+ * @returns {string} Score state key
+ */
+export const scoreStateFor = (goalDifference, minute) => {
+  if (goalDifference >= 2) return 'comfortable_lead';
+  if (goalDifference === 1) return 'narrow_lead';
+  if (goalDifference === 0) return 'level';
+  if (goalDifference === -1 || minute <= 60) return 'narrow_deficit';
+  return 'desperate';
+};
+
+/**
+ * Build the minute slots of a match
+ * Added-time minutes are labelled with the minute they follow (45 or 90).
+ * @param {Object} addedTime - { firstHalf, secondHalf } in minutes
+ * @returns {Array<Object>} Slots with minute, added minute, half, interval and time factor
+ */
+export const buildTimeline = ({ firstHalf = 0, secondHalf = 0 } = DEFAULT_ADDED_TIME) => {
+  const slots = [];
+
+  const addHalf = (half, start, end, added) => {
+    for (let minute = start; minute <= end; minute++) {
+      slots.push({ minute, addedMinute: 0, half });
+    }
+    for (let extra = 1; extra <= Math.max(0, Math.round(added)); extra++) {
+      slots.push({ minute: end, addedMinute: extra, half });
+    }
+  };
+
+  addHalf(1, 1, 45, firstHalf);
+  addHalf(2, 46, 90, secondHalf);
+
+  return slots.map(slot => {
+    // Added time at the end of the match uses the injury-time factor (minute > 90)
+    const clockMinute = slot.half === 2 && slot.addedMinute > 0 ? 90 + slot.addedMinute : slot.minute;
+    return {
+      ...slot,
+      label: slot.addedMinute > 0 ? `${slot.minute}+${slot.addedMinute}` : `${slot.minute}`,
+      interval: TIMING_INTERVALS.findIndex(interval => slot.minute >= interval.from && slot.minute <= interval.to),
+      timeFactor: pressureAnalyzer.calculatePressureFactors(clockMinute, 'level') / scoreFactors.level
+    };
+  });
+};
+
+/**
+ * Draw a Poisson count by inversion; cheap for the small per-minute rates used here
+ * @param {Function} random - Uniform random generator (0-1)
+ * @param {number} rate - Expected count
+ * @returns {number} Count
+ */
+const poissonCount = (random, rate) => {
+  if (rate <= 0) return 0;
+
+  let probability = Math.exp(-rate);
+  let cumulative = probability;
+  const u = random();
+  let count = 0;
+  while (u > cumulative && count < 10) {
+    count++;
+    probability *= rate / count;
+    cumulative += probability;
+  }
+  return count;
+};
+
+export class MatchTimeline {
+  /**
+   * @param {Object} options - Timeline options
+   * @param {Object} options.addedTime - { firstHalf, secondHalf } in minutes
+   * @param {number} options.scoreStateEffect - Strength of score effects (0 = none, 1 = full pressure factors)
+   */
+  constructor({ addedTime = DEFAULT_ADDED_TIME, scoreStateEffect = 1 } = {}) {
+    this.slots = buildTimeline(addedTime);
+    this.scoreStateEffect = scoreStateEffect;
+
+    // Share of a team's goal rate that falls in each minute at a level score
+    const totalTimeFactor = this.slots.reduce((sum, slot) => sum + slot.timeFactor, 0);
+    this.slotShares = this.slots.map(slot => slot.timeFactor / totalTimeFactor);
+
+    // Score multipliers relative to a level score, per state
+    this.stateMultipliers = Object.fromEntries(
+      Object.entries(scoreFactors).map(([state, factor]) => [
+        state,
+        Math.pow(factor / scoreFactors.level, scoreStateEffect)
+      ])
+    );
+  }
+
+  /**
+   * Simulate one match minute by minute
+   * @param {Function} random - Uniform random generator (0-1)
+   * @param {number} homeRate - Home expected goals at a level score
+   * @param {number} awayRate - Away expected goals at a level score
+   * @returns {Object} { homeGoals, awayGoals, firstHalfHome, firstHalfAway, goals: [{ slot, team }] }
+   */
+  simulate(random, homeRate, awayRate) {
+    const goals = [];
+    let homeGoals = 0;
+    let awayGoals = 0;
+    let firstHalfHome = 0;
+    let firstHalfAway = 0;
+
+    for (let i = 0; i < this.slots.length; i++) {
+      const slot = this.slots[i];
+
+      // Intensities use the score at the start of the minute
+      const homeMultiplier = this.stateMultipliers[scoreStateFor(homeGoals - awayGoals, slot.minute)];
+      const awayMultiplier = this.stateMultipliers[scoreStateFor(awayGoals - homeGoals, slot.minute)];
+      const homeScored = poissonCount(random, homeRate * this.slotShares[i] * homeMultiplier);
+      const awayScored = poissonCount(random, awayRate * this.slotShares[i] * awayMultiplier);
+
+      for (let g = 0; g < homeScored; g++) goals.push({ slot: i, team: 'home' });
+      for (let g = 0; g < awayScored; g++) goals.push({ slot: i, team: 'away' });
+      homeGoals += homeScored;
+      awayGoals += awayScored;
+
+      if (slot.half === 1) {
+        firstHalfHome += homeScored;
+        firstHalfAway += awayScored;
+      }
+    }
+
+    return { homeGoals, awayGoals, firstHalfHome, firstHalfAway, goals };
+  }
+
+  /**
+   * Empty timing counters (plain data, so they can be posted from a Web Worker)
+   * @returns {Object} Counters
+   */
+  createTimingCounts() {
+    const slotCount = this.slots.length;
+    const intervalCount = TIMING_INTERVALS.length;
+
+    return {
+      goalsBySlot: { home: new Array(slotCount).fill(0), away: new Array(slotCount).fill(0) },
+      matchesWithGoal: {
+        any: new Array(intervalCount).fill(0),
+        home: new Array(intervalCount).fill(0),
+        away: new Array(intervalCount).fill(0)
+      },
+      firstGoal: { home: 0, away: 0, none: 0, bySlot: new Array(slotCount).fill(0) },
+      lateGoals: { ...Object.fromEntries(LATE_GOAL_MINUTES.map(minute => [`after${minute}`, 0])), addedTime: 0 }
+    };
+  }
+
+  /**
+   * Add one simulated match to the timing counters
+   * @param {Object} counts - Counters from createTimingCounts, modified in place
+   * @param {Object} match - Result of simulate()
+   */
+  recordTiming(counts, match) {
+    const { goals } = match;
+
+    if (goals.length === 0) {
+      counts.firstGoal.none++;
+      return;
+    }
+
+    counts.firstGoal[goals[0].team]++;
+    counts.firstGoal.bySlot[goals[0].slot]++;
+
+    const intervalsWithGoal = { any: new Set(), home: new Set(), away: new Set() };
+    goals.forEach(({ slot, team }) => {
+      const { interval } = this.slots[slot];
+      counts.goalsBySlot[team][slot]++;
+      intervalsWithGoal.any.add(interval);
+      intervalsWithGoal[team].add(interval);
+    });
+    Object.entries(intervalsWithGoal).forEach(([key, intervals]) => {
+      intervals.forEach(interval => counts.matchesWithGoal[key][interval]++);
+    });
+
+    // Goals are in minute order, so the last goal decides the late-goal markets
+    const lastSlot = this.slots[goals[goals.length - 1].slot];
+    LATE_GOAL_MINUTES.forEach(minute => {
+      if (lastSlot.minute > minute) counts.lateGoals[`after${minute}`]++;
+    });
+    if (lastSlot.half === 2 && lastSlot.addedMinute > 0) counts.lateGoals.addedTime++;
+  }
+
+  /**
+   * Convert timing counters to probabilities
+   * @param {Object} counts - Summed timing counters
+   * @param {number} simulations - Number of simulated matches
+   * @returns {Object} Goal timing markets (probabilities 0-1)
+   */
+  summariseTiming(counts, simulations) {
+    const firstGoalMatches = simulations - counts.firstGoal.none;
+
+    // Median first-goal slot among matches with a goal
+    let cumulative = 0;
+    const medianSlot = this.slots.findIndex((_, i) => {
+      cumulative += counts.firstGoal.bySlot[i];
+      return cumulative >= firstGoalMatches / 2;
+    });
+
+    return {
+      intervals: TIMING_INTERVALS.map((interval, index) => {
+        const expectedGoals = this.slots.reduce((sum, slot, i) => (
+          slot.interval === index ? sum + (counts.goalsBySlot.home[i] + counts.goalsBySlot.away[i]) / simulations : sum
+        ), 0);
+        return {
+          label: interval.label,
+          goalProbability: counts.matchesWithGoal.any[index] / simulations,
+          homeGoalProbability: counts.matchesWithGoal.home[index] / simulations,
+          awayGoalProbability: counts.matchesWithGoal.away[index] / simulations,
+          expectedGoals
+        };
+      }),
+      firstGoal: {
+        homeProbability: counts.firstGoal.home / simulations,
+        awayProbability: counts.firstGoal.away / simulations,
+        noGoalProbability: counts.firstGoal.none / simulations,
+        expectedMinute: firstGoalMatches > 0
+          ? this.slots.reduce((sum, slot, i) => sum + slot.minute * counts.firstGoal.bySlot[i], 0) / firstGoalMatches
+          : null,
+        medianMinute: firstGoalMatches > 0 ? this.slots[medianSlot].label : null,
+        byInterval: TIMING_INTERVALS.map((_, index) => (
+          this.slots.reduce((sum, slot, i) => (slot.interval === index ? sum + counts.firstGoal.bySlot[i] : sum), 0) / simulations
+        ))
+      },
+      lateGoals: {
+        ...Object.fromEntries(LATE_GOAL_MINUTES.map(minute => [
+          `after${minute}Probability`,
+          counts.lateGoals[`after${minute}`] / simulations
+        ])),
+        addedTimeProbability: counts.lateGoals.addedTime / simulations
+      },
+      goalsByMinute: this.slots.map((slot, i) => ({
+        minute: slot.label,
+        home: counts.goalsBySlot.home[i] / simulations,
+        away: counts.goalsBySlot.away[i] / simulations
+      }))
+    };
+  }
+}
+
+export default MatchTimeline;
@@ -0,0 +1,394 @@
+/**
+ * Model Ensemble
+ * Combines the scoreline distributions of several models into one forecast.
+ *
+ * - Linear pooling: p(h, a) = Σ wᵢ pᵢ(h, a). A mixture of the models; every
+ *   market is the weighted average of the models' markets.
+ * - Log-linear pooling: p(h, a) ∝ Π pᵢ(h, a)^wᵢ. A weighted geometric mean,
+ *   which is sharper than the mixture where the models agree.
+ *
+ * Weights lie on the simplex and are chosen to minimise the Brier score or
+ * the log loss of the pooled 1X2 forecasts on HistoricalValidator results.
+ * They are optimised over softmax parameters by gradient descent with a
+ * backtracking line search.
+ *
+ * ACADEMIC REFERENCES:
+ * - Genest, C. & Zidek, J.V. (1986). "Combining probability distributions: a critique and an annotated bibliography"
+ *   Statistical Science 1(1): 114-135
+ * - Ranjan, R. & Gneiting, T. (2010). "Combining probability forecasts"
+ *   DOI: 10.1111/j.1467-9868.2009.00726.x
+ * - Hall, S.G. & Mitchell, J. (2007). "Combining density forecasts"
+ *   International Journal of Forecasting 23(1): 1-13
+ */
+
+import { ScoreMatrix } from './scoreMatrix.js';
+import { createPredictionResult, MODEL_VERSIONS } from './predictionResult.js';
+import { HistoricalValidator, VALIDATION_MODELS } from './historicalValidation.js';
+import { blockedFolds } from './hyperparameterTuning.js';
+
+export const POOLING_METHODS = {
+  linear: 'linear',
+  logLinear: 'logLinear'
+};
+
+export const ENSEMBLE_OBJECTIVES = {
+  brier: 'brier',
+  logLoss: 'logLoss'
+};
+
+/** Models HistoricalValidator can validate, and so learn ensemble weights for */
+export const LEARNABLE_ENSEMBLE_MODELS = VALIDATION_MODELS;
+
+/**
+ * Models the ensemble can pool: every model with a scoreline matrix. The
+ * Bayesian model would need a fresh MCMC fit before every historical match,
+ * so it has no validation forecasts and only takes part with equal weights.
+ */
+export const ENSEMBLE_MODELS = [...LEARNABLE_ENSEMBLE_MODELS, 'bayesian'];
+
+/** Blocks for the out-of-fold ensemble score (see fit) */
+export const ENSEMBLE_FOLDS = 5;
+
+export const DEFAULT_ENSEMBLE_OPTIONS = {
+  method: POOLING_METHODS.linear,
+  objective: ENSEMBLE_OBJECTIVES.logLoss,
+  models: ENSEMBLE_MODELS
+};
+
+const OUTCOMES = ['home', 'draw', 'away'];
+const PROBABILITY_FLOOR = 1e-12;
+
+/**
+ * Softmax of unconstrained parameters
+ * @param {Array<number>} params - Parameters
+ * @returns {Array<number>} Weights summing to 1
+ */
+const softmax = (params) => {
+  const largest = Math.max(...params);
+  const exps = params.map(value => Math.exp(value - largest));
+  const total = exps.reduce((sum, value) => sum + value, 0);
+  return exps.map(value => value / total);
+};
+
+/**
+ * Score of a 1X2 forecast for the observed outcome
+ * @param {Array<number>} probabilities - [home, draw, away]
+ * @param {string} outcome - 'home', 'draw' or 'away'
+ * @param {string} objective - ENSEMBLE_OBJECTIVES value
+ * @returns {number} Brier score or log loss (lower is better)
+ */
+export const scoreOutcome = (probabilities, outcome, objective) => {
+  const observed = OUTCOMES.indexOf(outcome);
+  if (objective === ENSEMBLE_OBJECTIVES.brier) {
+    return probabilities.reduce((sum, probability, index) => sum + (probability - (index === observed ? 1 : 0)) ** 2, 0);
+  }
+  return -Math.log(Math.max(probabilities[observed], PROBABILITY_FLOOR));
+};
+
+/**
+ * Scoreline probabilities of a matrix on a common grid, normalised to the captured mass
+ * @param {ScoreMatrix} matrix - Model matrix
+ * @param {number} maxGoals - Grid size
+ * @returns {Float64Array} Cells in row-major order
+ */
+const normalisedCells = (matrix, maxGoals) => {
+  const size = maxGoals + 1;
+  const cells = new Float64Array(size * size);
+  const captured = matrix.capturedMass() || 1;
+  for (let h = 0; h <= maxGoals; h++) {
+    for (let a = 0; a <= maxGoals; a++) {
+      cells[h * size + a] = matrix.get(h, a) / captured;
+    }
+  }
+  return cells;
+};
+
+export class ModelEnsemble {
+  constructor() {
+    this.maxIterations = 200;
+    this.tolerance = 1e-10;
+    this.initialStepSize = 10;
+  }
+
+  /**
+   * Pool scoreline cells
+   * @param {Array<Float64Array>} cellSets - Normalised cells per model (same grid)
+   * @param {Array<number>} weights - Weight per model
+   * @param {string} method - POOLING_METHODS value
+   * @returns {Float64Array} Pooled cells summing to 1
+   */
+  poolCells(cellSets, weights, method) {
+    const pooled = new Float64Array(cellSets[0].length);
+    for (let cell = 0; cell < pooled.length; cell++) {
+      if (method === POOLING_METHODS.logLinear) {
+        let logSum = 0;
+        for (let model = 0; model < cellSets.length; model++) {
+          logSum += weights[model] * Math.log(Math.max(cellSets[model][cell], PROBABILITY_FLOOR));
+        }
+        pooled[cell] = Math.exp(logSum);
+      } else {
+        for (let model = 0; model < cellSets.length; model++) {
+          pooled[cell] += weights[model] * cellSets[model][cell];
+        }
+      }
+    }
+    const total = pooled.reduce((sum, value) => sum + value, 0) || 1;
+    return pooled.map(value => value / total);
+  }
+
+  /**
+   * 1X2 probabilities of pooled cells
+   * @param {Float64Array} cells - Pooled cells
+   * @param {number} maxGoals - Grid size
+   * @returns {Array<number>} [home, draw, away]
+   */
+  outcomeProbabilities(cells, maxGoals) {
+    const size = maxGoals + 1;
+    const outcome = [0, 0, 0];
+    for (let h = 0; h <= maxGoals; h++) {
+      for (let a = 0; a <= maxGoals; a++) {
+        outcome[h > a ? 0 : (h === a ? 1 : 2)] += cells[h * size + a];
+      }
+    }
+    return outcome;
+  }
+
+  /**
+   * Line up validation forecasts of several models on the matches all of them predicted
+   * @param {Map|Object} validationResults - HistoricalValidator.validationResults (or a plain object)
+   * @param {Array<string>} models - Model keys
+   * @returns {Object} { models, matches: [{ outcome, cells: [per model] }] in match order, maxGoals }
+   */
+  alignForecasts(validationResults, models) {
+    const results = validationResults instanceof Map ? Object.fromEntries(validationResults) : validationResults;
+    const available = models.filter(model => results[model]?.forecasts?.length > 0);
+    if (available.length < 2) {
+      throw new Error('Ensemblen behöver valideringsresultat för minst två modeller');
+    }
+
+    const byMatch = available.map(model => new Map(results[model].forecasts.map(forecast => [forecast.matchIndex, forecast])));
+    const shared = [...byMatch[0].keys()].filter(index => byMatch.every(forecasts => forecasts.has(index))).sort((a, b) => a - b);
+    if (shared.length === 0) {
+      throw new Error('Modellerna har inga gemensamma validerade matcher');
+    }
+
+    const maxGoals = Math.max(...available.flatMap((_, model) => shared.map(index => byMatch[model].get(index).prediction.scoreMatrix.maxGoals)));
+    return {
+      models: available,
+      maxGoals,
+      matches: shared.map(index => ({
+        outcome: byMatch[0].get(index).outcome,
+        cells: byMatch.map(forecasts => normalisedCells(ScoreMatrix.from(forecasts.get(index).prediction.scoreMatrix), maxGoals))
+      }))
+    };
+  }
+
+  /**
+   * Average score of pooled forecasts
+   * @param {Object} aligned - Result of alignForecasts()
+   * @param {Array<number>} weights - Weight per model
+   * @param {string} method - POOLING_METHODS value
+   * @param {string} objective - ENSEMBLE_OBJECTIVES value
+   * @returns {number} Mean Brier score or log loss
+   */
+  averageScore(aligned, weights, method, objective) {
+    return aligned.matches.reduce((sum, match) => {
+      const outcome = this.outcomeProbabilities(this.poolCells(match.cells, weights, method), aligned.maxGoals);
+      return sum + scoreOutcome(outcome, match.outcome, objective);
+    }, 0) / aligned.matches.length;
+  }
+
+  /**
+   * Weights that minimise the average score of the pooled forecasts
+   * @param {Object} aligned - Result of alignForecasts()
+   * @param {string} method - POOLING_METHODS value
+   * @param {string} objective - ENSEMBLE_OBJECTIVES value
+   * @returns {Object} { weights: [per model], score, iterations }
+   */
+  optimiseWeights(aligned, method, objective) {
+    const objectiveAt = (params) => this.averageScore(aligned, softmax(params), method, objective);
+
+    let params = new Array(aligned.models.length).fill(0);
+    let current = objectiveAt(params);
+    const step = 1e-5;
+    let iterations = 0;
+
+    for (; iterations < this.maxIterations; iterations++) {
+      // Central-difference gradient; the objective is cheap for a handful of models
+      const gradient = params.map((_, index) => {
+        const forward = [...params];
+        const backward = [...params];
+        forward[index] += step;
+        backward[index] -= step;
+        return (objectiveAt(forward) - objectiveAt(backward)) / (2 * step);
+      });
+      const slope = gradient.reduce((sum, value) => sum + value * value, 0);
+      if (slope < 1e-16) break;
+
+      // Backtracking (Armijo) line search along the negative gradient
+      let stepSize = this.initialStepSize;
+      let candidate = null;
+      while (stepSize > 1e-8) {
+        const trial = params.map((value, index) => value - stepSize * gradient[index]);
+        const score = objectiveAt(trial);
+        if (score <= current - 1e-4 * stepSize * slope) {
+          candidate = { params: trial, score };
+          break;
+        }
+        stepSize /= 2;
+      }
+      if (!candidate) break;
+
+      const improvement = current - candidate.score;
+      params = candidate.params;
+      current = candidate.score;
+      if (improvement < this.tolerance) break;
+    }
+
+    return { weights: softmax(params), score: current, iterations };
+  }
+
+  /**
+   * Learn pooling weights from validation results
+   * The reported score is out-of-fold: the matches are split into contiguous
+   * blocks in date order and each block is pooled with weights learned on the
+   * other blocks, so it can be compared fairly with equal weights and the
+   * single models, which have nothing to fit.
+   * @param {Map|Object} validationResults - HistoricalValidator.validationResults
+   * @param {Object} options - { models, method, objective }
+   * @returns {Object} { method, objective, models, weights, score, inSampleScore, equalWeightScore, modelScores, matches, folds, iterations }
+   */
+  fit(validationResults, options = {}) {
+    const { models, method, objective } = { ...DEFAULT_ENSEMBLE_OPTIONS, ...options };
+    if (!Object.values(POOLING_METHODS).includes(method)) {
+      throw new Error(`Okänd poolningsmetod: ${method}`);
+    }
+    if (!Object.values(ENSEMBLE_OBJECTIVES).includes(objective)) {
+      throw new Error(`Okänt optimeringsmått: ${objective}`);
+    }
+
+    const aligned = this.alignForecasts(validationResults, models);
+    if (aligned.matches.length < ENSEMBLE_FOLDS) {
+      throw new Error(`Ensemblen behöver minst ${ENSEMBLE_FOLDS} gemensamma validerade matcher, fick ${aligned.matches.length}`);
+    }
+    const { weights, score: inSampleScore, iterations } = this.optimiseWeights(aligned, method, objective);
+
+    const foldIndices = blockedFolds(aligned.matches.length, ENSEMBLE_FOLDS);
+    const outOfFoldTotal = foldIndices.reduce((total, test, fold) => {
+      const train = { ...aligned, matches: foldIndices.filter((_, other) => other !== fold).flat().map(index => aligned.matches[index]) };
+      const heldOut = { ...aligned, matches: test.map(index => aligned.matches[index]) };
+      const foldWeights = this.optimiseWeights(train, method, objective).weights;
+      return total + this.averageScore(heldOut, foldWeights, method, objective) * test.length;
+    }, 0);
+
+    return {
+      method,
+      objective,
+      models: aligned.models,
+      weights: Object.fromEntries(aligned.models.map((model, index) => [model, weights[index]])),
+      score: outOfFoldTotal / aligned.matches.length,
+      inSampleScore,
+      equalWeightScore: this.averageScore(aligned, new Array(aligned.models.length).fill(1 / aligned.models.length), method, objective),
+      // Each model on its own, scored on the same matches
+      modelScores: Object.fromEntries(aligned.models.map((model, index) => [
+        model,
+        this.averageScore(aligned, aligned.models.map((_, other) => (other === index ? 1 : 0)), method, objective)
+      ])),
+      matches: aligned.matches.length,
+      folds: ENSEMBLE_FOLDS,
+      iterations
+    };
+  }
+
+  /**
+   * Validate every model on historical matches and learn the weights
+   * Models outside LEARNABLE_ENSEMBLE_MODELS are skipped and get no weight.
+   * @param {Array<Object>} matches - Historical matches (see historicalMatchesFromResults)
+   * @param {Object} options - { models, method, objective, validator, onProgress (share of models validated, 0-1) }
+   * @returns {Promise<Object>} Fitted weights (see fit)
+   */
+  async learnFromHistory(matches, options = {}) {
+    const { validator = new HistoricalValidator(), onProgress = () => {}, ...fitOptions } = options;
+    const { models } = { ...DEFAULT_ENSEMBLE_OPTIONS, ...fitOptions };
+    const learnable = models.filter(model => LEARNABLE_ENSEMBLE_MODELS.includes(model));
+    for (const [index, model] of learnable.entries()) {
+      await validator.validateModel(matches, model);
+      onProgress((index + 1) / learnable.length);
+    }
+    return this.fit(validator.validationResults, { ...fitOptions, models: learnable });
+  }
+
+  /**
+   * Equal weights over a set of models
+   * @param {Array<string>} models - Model keys
+   * @param {string} method - POOLING_METHODS value
+   * @returns {Object} Weights in the same shape as fit()
+   */
+  equalWeights(models = DEFAULT_ENSEMBLE_OPTIONS.models, method = DEFAULT_ENSEMBLE_OPTIONS.method) {
+    return {
+      method,
+      models,
+      weights: Object.fromEntries(models.map(model => [model, 1 / models.length]))
+    };
+  }
+
+  /**
+   * Combine current model results into an ensemble PredictionResult
+   * Models without a result are dropped and the remaining weights rescaled.
+   * @param {Object} results - PredictionResult per model key (null when not calculated)
+   * @param {Object} fitted - Result of fit() or equalWeights()
+   * @returns {Object|null} PredictionResult, or null when no weighted model has a result
+   */
+  combine(results, fitted) {
+    const members = fitted.models.filter(model => results[model]?.scoreMatrix && fitted.weights[model] > 0);
+    if (members.length === 0) return null;
+
+    const total = members.reduce((sum, model) => sum + fitted.weights[model], 0);
+    const weights = members.map(model => fitted.weights[model] / total);
+    const matrices = members.map(model => ScoreMatrix.from(results[model].scoreMatrix));
+    const maxGoals = Math.max(...matrices.map(matrix => matrix.maxGoals));
+    const size = maxGoals + 1;
+    const pooled = this.poolCells(matrices.map(matrix => normalisedCells(matrix, maxGoals)), weights, fitted.method);
+    const scoreMatrix = ScoreMatrix.fromFunction((h, a) => pooled[h * size + a], maxGoals);
+
+    // A mixture keeps each model's own expected goals; the geometric pool is read from its matrix
+    const expectedGoals = fitted.method === POOLING_METHODS.linear
+      ? {
+        home: members.reduce((sum, model, index) => sum + weights[index] * results[model].expectedHomeGoals, 0),
+        away: members.reduce((sum, model, index) => sum + weights[index] * results[model].expectedAwayGoals, 0)
+      }
+      : scoreMatrix.expectedGoals();
+
+    return createPredictionResult({
+      model: 'ensemble',
+      modelName: 'Ensemble',
+      version: MODEL_VERSIONS.ensemble,
+      inputs: {
+        method: fitted.method,
+        weights: Object.fromEntries(members.map((model, index) => [model, weights[index]])),
+        members: Object.fromEntries(members.map(model => [model, results[model].metadata?.inputHash ?? null]))
+      },
+      scoreMatrix,
+      expectedHomeGoals: expectedGoals.home,
+      expectedAwayGoals: expectedGoals.away,
+      confidence: members.reduce((sum, model, index) => sum + weights[index] * (results[model].confidence ?? 0), 0),
+      extras: {
+        ensemble: {
+          method: fitted.method,
+          objective: fitted.objective ?? null,
+          learned: fitted.score !== undefined,
+          weights: Object.fromEntries(members.map((model, index) => [model, weights[index]])),
+          missing: fitted.models.filter(model => !members.includes(model)),
+          score: fitted.score ?? null,
+          equalWeightScore: fitted.equalWeightScore ?? null,
+          matches: fitted.matches ?? 0
+        }
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const modelEnsemble = new ModelEnsemble();
+
+export default ModelEnsemble;
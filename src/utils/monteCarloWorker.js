@@ -0,0 +1,20 @@
+/**
+ * Monte Carlo Web Worker
+ * Entry point started by MonteCarloWorkerPool. Each message simulates one
+ * seeded stream and posts progress messages followed by the stream counters.
+ */
+
+import { MonteCarloSimulator } from './improvedMath.js';
+
+const simulator = new MonteCarloSimulator();
+
+self.onmessage = ({ data: { params, stream } }) => {
+  try {
+    const counts = simulator.runStream(params, stream, completed => (
+      self.postMessage({ type: 'progress', index: stream.index, completed })
+    ));
+    self.postMessage({ type: 'result', counts });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
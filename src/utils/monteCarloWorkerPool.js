@@ -0,0 +1,221 @@
+/**
+ * Monte Carlo Worker Pool
+ * Runs MonteCarloSimulator streams in Web Workers so large simulations do not
+ * block the UI. Workers report real progress, a run can be cancelled with an
+ * AbortSignal, and streams are merged in index order so the result for a given
+ * seed and stream count is identical to MonteCarloSimulator.simulate, however
+ * many workers were used.
+ */
+
+import { MonteCarloSimulator } from './improvedMath.js';
+
+/** Streams per run; fixed so results do not depend on the number of CPU cores */
+export const DEFAULT_SIMULATION_STREAMS = 4;
+
+const MAX_WORKERS = 4;
+
+/**
+ * Error used when a run is cancelled
+ * @returns {Error} Error named 'AbortError'
+ */
+export const createCancelledError = () => {
+  const error = new Error('Simuleringen avbröts');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Check whether an error comes from a cancelled simulation
+ * @param {Error} error - Caught error
+ * @returns {boolean} True for cancellations
+ */
+export const isSimulationCancelled = (error) => error?.name === 'AbortError';
+
+/**
+ * Create a module worker for the simulation, or null outside the browser
+ * @returns {Function|null} Worker factory
+ */
+const defaultWorkerFactory = () => {
+  if (typeof Worker === 'undefined') return null;
+  return () => new Worker(new URL('./monteCarloWorker.js', import.meta.url), { type: 'module' });
+};
+
+/**
+ * Number of workers to start, leaving one core for the UI thread
+ * @returns {number} Worker count
+ */
+const defaultWorkerCount = () => {
+  const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+  return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+};
+
+/**
+ * Run streams on a set of Web Workers that are reused for every round of a run
+ * @param {Function} createWorker - Worker factory
+ * @param {number} maxWorkers - Maximum number of parallel workers
+ * @param {Object} params - Resolved simulation parameters
+ * @param {AbortSignal} signal - Cancels the running round
+ * @returns {{runStreams: Function, close: Function}} Session
+ */
+const createWorkerSession = (createWorker, maxWorkers, params, signal) => {
+  const workers = [];
+  let round = null;
+
+  const fail = (error) => {
+    if (!round) return;
+    const { reject } = round;
+    round = null;
+    reject(error);
+  };
+
+  const cancel = () => fail(createCancelledError());
+
+  const startNextStream = (worker) => {
+    if (round && round.nextStream < round.streams.length) {
+      worker.postMessage({ params, stream: round.streams[round.nextStream++] });
+    }
+  };
+
+  const handleMessage = (worker, data) => {
+    if (!round) return;
+
+    if (data.type === 'progress') {
+      round.completed.set(data.index, data.completed);
+      round.reportProgress();
+    } else if (data.type === 'result') {
+      round.completed.set(data.counts.index, data.counts.simulations);
+      round.streamCounts.push(data.counts);
+      round.reportProgress();
+      if (!round) return;
+
+      if (round.streamCounts.length === round.streams.length) {
+        const { resolve, streamCounts } = round;
+        round = null;
+        resolve(streamCounts);
+      } else {
+        startNextStream(worker);
+      }
+    } else if (data.type === 'error') {
+      fail(new Error(data.message));
+    }
+  };
+
+  const getWorkers = (count) => {
+    while (workers.length < count) {
+      const worker = createWorker();
+      worker.onmessage = ({ data }) => handleMessage(worker, data);
+      worker.onerror = (event) => fail(new Error(event.message || 'Monte Carlo-workern kraschade'));
+      workers.push(worker);
+    }
+    return workers.slice(0, count);
+  };
+
+  signal?.addEventListener('abort', cancel);
+
+  return {
+    runStreams: (streams, onProgress) => new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createCancelledError());
+        return;
+      }
+
+      const completed = new Map();
+      round = {
+        streams,
+        nextStream: 0,
+        streamCounts: [],
+        completed,
+        resolve,
+        reject,
+        reportProgress: () => onProgress([...completed.values()].reduce((sum, value) => sum + value, 0))
+      };
+      getWorkers(Math.min(maxWorkers, streams.length)).forEach(startNextStream);
+    }),
+    close: () => {
+      signal?.removeEventListener('abort', cancel);
+      workers.forEach(worker => worker.terminate());
+    }
+  };
+};
+
+/**
+ * Run streams on the calling thread when Web Workers are unavailable (e.g. Node tests)
+ * @param {MonteCarloSimulator} simulator - Simulator instance
+ * @param {Object} params - Resolved simulation parameters
+ * @param {AbortSignal} signal - Checked before each round
+ * @returns {{runStreams: Function, close: Function}} Session
+ */
+const createLocalSession = (simulator, params, signal) => ({
+  runStreams: async (streams, onProgress) => {
+    if (signal?.aborted) throw createCancelledError();
+
+    let done = 0;
+    return streams.map(stream => {
+      const counts = simulator.runStream(params, stream, completed => onProgress(done + completed));
+      done += stream.simulations;
+      return counts;
+    });
+  },
+  close: () => {}
+});
+
+export class MonteCarloWorkerPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {Function|null} options.createWorker - Worker factory; null runs on the calling thread
+   * @param {number} options.maxWorkers - Maximum number of parallel workers
+   */
+  constructor({ createWorker = defaultWorkerFactory(), maxWorkers = defaultWorkerCount() } = {}) {
+    this.createWorker = createWorker;
+    this.maxWorkers = maxWorkers;
+    this.simulator = new MonteCarloSimulator();
+  }
+
+  /**
+   * Run a Monte Carlo simulation
+   * Adaptive runs (params.adaptive) repeat rounds exactly like MonteCarloSimulator.simulate.
+   * @param {Object} params - MonteCarloSimulator.simulate parameters (streams defaults to DEFAULT_SIMULATION_STREAMS)
+   * @param {Object} options - Run options
+   * @param {Function} options.onProgress - Called with the completed share (0-1)
+   * @param {AbortSignal} options.signal - Cancels the run; the promise rejects with an AbortError
+   * @returns {Promise<Object>} PredictionResult
+   */
+  async run(params, { onProgress = () => {}, signal } = {}) {
+    const resolved = this.simulator.resolveParams({ streams: DEFAULT_SIMULATION_STREAMS, ...params });
+    if (signal?.aborted) throw createCancelledError();
+
+    const session = this.createWorker
+      ? createWorkerSession(this.createWorker, this.maxWorkers, resolved, signal)
+      : createLocalSession(this.simulator, resolved, signal);
+    const streamCounts = [];
+
+    // Adaptive estimates change between rounds; never let the reported share go backwards
+    let reportedShare = 0;
+    const reportProgress = (share) => {
+      reportedShare = Math.max(reportedShare, Math.min(1, share));
+      onProgress(reportedShare);
+    };
+
+    try {
+      for (let round = 0; round === 0 || !this.simulator.isComplete(resolved, streamCounts); round++) {
+        const done = streamCounts.reduce((sum, counts) => sum + counts.simulations, 0);
+        const expectedTotal = this.simulator.estimateTotalSimulations(resolved, streamCounts);
+
+        const roundCounts = await session.runStreams(
+          this.simulator.planStreams(resolved, round),
+          completed => reportProgress((done + completed) / expectedTotal)
+        );
+        streamCounts.push(...roundCounts);
+      }
+    } finally {
+      session.close();
+    }
+
+    reportProgress(1);
+    return this.simulator.mergeStreams(resolved, streamCounts);
+  }
+}
+
+export const monteCarloWorkerPool = new MonteCarloWorkerPool();
+
+export default MonteCarloWorkerPool;
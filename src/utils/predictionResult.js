@@ -0,0 +1,189 @@
+/**
+ * Prediction Result Schema
+ * Single result shape returned by every match model. All probabilities are
+ * raw numbers between 0 and 1 and all goal expectations are plain numbers;
+ * rounding and percentage signs belong in the formatting layer
+ * (resultFormatting.js), never in the models.
+ *
+ * @typedef {Object} PredictionMetadata
+ * @property {string} model - Model key ('xg', 'poisson', 'montecarlo', 'bivariate', 'inplay', 'elo', 'bayesian', 'ensemble')
+ * @property {string} modelName - Human readable model name
+ * @property {string} version - Model implementation version
+ * @property {number} schemaVersion - Version of this result shape
+ * @property {number|null} seed - Random seed for simulation models, null for analytic models
+ * @property {string} inputHash - Stable hash of the model inputs
+ *
+ * @typedef {Object} Scoreline
+ * @property {string} score - Scoreline, e.g. "1-0"
+ * @property {number} homeGoals - Home goals
+ * @property {number} awayGoals - Away goals
+ * @property {number} probability - Probability (0-1)
+ *
+ * @typedef {Object} PredictionResult
+ * @property {PredictionMetadata} metadata - Model and input identification
+ * @property {number} homeWinProbability - P(home win), 0-1
+ * @property {number} drawProbability - P(draw), 0-1
+ * @property {number} awayWinProbability - P(away win), 0-1
+ * @property {number} expectedHomeGoals - Expected home goals
+ * @property {number} expectedAwayGoals - Expected away goals
+ * @property {number} bothTeamsScoreProbability - P(both teams score), 0-1
+ * @property {number} over15Probability - P(over 1.5 goals), 0-1
+ * @property {number} over25Probability - P(over 2.5 goals), 0-1
+ * @property {number} under25Probability - P(under 2.5 goals), 0-1
+ * @property {number} over35Probability - P(over 3.5 goals), 0-1
+ * @property {number} cleanSheetHomeProbability - P(away team fails to score), 0-1
+ * @property {number} cleanSheetAwayProbability - P(home team fails to score), 0-1
+ * @property {number} confidence - Model confidence score, 0-1
+ * @property {Array<Scoreline>} mostLikelyScorelines - Eight most likely scorelines
+ * @property {ScoreMatrix} scoreMatrix - Full scoreline distribution
+ * @property {Object} extendedMarkets - See ScoreMatrix.extendedMarkets()
+ *
+ * Models may add their own diagnostics (calculationStats, simulationStats,
+ * dixonColes, halfTime, goalDistribution, confidenceIntervals, goalTiming, inPlay, elo, bayesian, ensemble); these use the
+ * same numeric rules.
+ */
+
+import { ScoreMatrix } from './scoreMatrix.js';
+
+export const PREDICTION_SCHEMA_VERSION = 1;
+
+/**
+ * Implementation version per model, stored in result metadata so saved and
+ * exported predictions can be traced to the code that produced them
+ */
+export const MODEL_VERSIONS = {
+  xg: '1.1.0',
+  poisson: '1.2.0',
+  montecarlo: '1.6.0',
+  bivariate: '1.0.0',
+  inplay: '1.0.0',
+  elo: '1.0.0',
+  bayesian: '1.0.0',
+  ensemble: '1.0.0'
+};
+
+/**
+ * Market probability fields of a PredictionResult and the ScoreMatrix.summary()
+ * key each one is read from
+ */
+export const MARKET_PROBABILITY_KEYS = {
+  homeWinProbability: 'homeWin',
+  drawProbability: 'draw',
+  awayWinProbability: 'awayWin',
+  bothTeamsScoreProbability: 'bothTeamsScore',
+  over15Probability: 'over15',
+  over25Probability: 'over25',
+  under25Probability: 'under25',
+  over35Probability: 'over35',
+  cleanSheetHomeProbability: 'cleanSheetHome',
+  cleanSheetAwayProbability: 'cleanSheetAway'
+};
+
+/**
+ * Serialise a value with sorted object keys so equal inputs hash equally
+ * @param {*} value - Any JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+const canonicalJSON = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Stable hash of model inputs (32-bit FNV-1a, hex)
+ * @param {Object} inputs - Model inputs
+ * @returns {string} 8 character hex hash
+ */
+export const hashInputs = (inputs) => {
+  const text = canonicalJSON(inputs);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Build a PredictionResult from a model's scoreline matrix
+ * @param {Object} options - Result options
+ * @param {string} options.model - Model key
+ * @param {string} options.modelName - Human readable model name
+ * @param {string} options.version - Model implementation version
+ * @param {Object} options.inputs - Inputs used for the calculation (hashed)
+ * @param {number|null} options.seed - Random seed, if any
+ * @param {ScoreMatrix} options.scoreMatrix - Scoreline distribution
+ * @param {number} options.expectedHomeGoals - Expected home goals
+ * @param {number} options.expectedAwayGoals - Expected away goals
+ * @param {number} options.confidence - Confidence score (0-1)
+ * @param {Object} options.extras - Model-specific diagnostics
+ * @returns {PredictionResult} Prediction result
+ */
+export const createPredictionResult = ({
+  model,
+  modelName,
+  version,
+  inputs = {},
+  seed = null,
+  scoreMatrix,
+  expectedHomeGoals,
+  expectedAwayGoals,
+  confidence,
+  extras = {}
+}) => {
+  const markets = scoreMatrix.summary();
+
+  return {
+    metadata: {
+      model,
+      modelName,
+      version,
+      schemaVersion: PREDICTION_SCHEMA_VERSION,
+      seed,
+      inputHash: hashInputs(inputs)
+    },
+    ...Object.fromEntries(
+      Object.entries(MARKET_PROBABILITY_KEYS).map(([key, summaryKey]) => [key, markets[summaryKey]])
+    ),
+    expectedHomeGoals,
+    expectedAwayGoals,
+    confidence,
+    mostLikelyScorelines: scoreMatrix.mostLikelyScorelines(8),
+    scoreMatrix,
+    extendedMarkets: scoreMatrix.extendedMarkets(),
+    ...extras
+  };
+};
+
+/**
+ * Check whether a value has the current PredictionResult shape
+ * Results saved by older versions (percent strings) fail this check.
+ * @param {Object} result - Candidate result
+ * @returns {boolean} True for current-schema results
+ */
+export const isPredictionResult = (result) => (
+  Boolean(result) &&
+  result.metadata?.schemaVersion === PREDICTION_SCHEMA_VERSION &&
+  typeof result.homeWinProbability === 'number'
+);
+
+/**
+ * Restore a PredictionResult after JSON serialisation (e.g. offline storage)
+ * @param {Object} result - Serialised result
+ * @returns {PredictionResult|null} Result with a ScoreMatrix instance, or null for legacy data
+ */
+export const restorePredictionResult = (result) => {
+  if (!isPredictionResult(result)) return null;
+  return { ...result, scoreMatrix: ScoreMatrix.from(result.scoreMatrix) };
+};
+
+export default createPredictionResult;
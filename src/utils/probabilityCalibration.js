@@ -0,0 +1,535 @@
+/**
+ * Probability Calibration
+ * Learns a mapping from a model's raw 1X2 probabilities to calibrated ones,
+ * using the model's own predictions on historical matches.
+ *
+ * - Platt scaling: one-vs-rest logistic regression on the logit of each
+ *   outcome probability, q = σ(a·logit(p) + b), then renormalised.
+ * - Isotonic regression: one-vs-rest monotone step function fitted with the
+ *   pool-adjacent-violators algorithm, interpolated between blocks and
+ *   renormalised.
+ * - Temperature scaling: one parameter for all three outcomes,
+ *   q ∝ p^(1/T). T > 1 softens overconfident models, T < 1 sharpens.
+ *
+ * Calibrators are kept in a plain store keyed by model and league, so they
+ * can be saved as JSON. A calibrated PredictionResult rescales the scoreline
+ * matrix within the home win, draw and away win regions, so every market
+ * stays consistent with the calibrated 1X2.
+ *
+ * The calibrated scores reported with a calibrator are cross-fitted: each
+ * block of matches (in date order) is calibrated by a mapping fitted on the
+ * other blocks, so the scores are not flattered by the fit itself.
+ *
+ * ACADEMIC REFERENCES:
+ * - Platt, J. (1999). "Probabilistic outputs for support vector machines and comparisons to regularized likelihood methods"
+ *   Advances in Large Margin Classifiers: 61-74
+ * - Zadrozny, B. & Elkan, C. (2002). "Transforming classifier scores into accurate multiclass probability estimates"
+ *   Proceedings of KDD 2002: 694-699
+ * - Guo, C., Pleiss, G., Sun, Y. & Weinberger, K.Q. (2017). "On calibration of modern neural networks"
+ *   Proceedings of ICML 2017, PMLR 70: 1321-1330
+ */
+
+import { ScoreMatrix } from './scoreMatrix.js';
+import { createPredictionResult } from './predictionResult.js';
+import { HistoricalValidator, VALIDATION_MODELS } from './historicalValidation.js';
+import { scoreOutcome, ENSEMBLE_OBJECTIVES } from './modelEnsemble.js';
+import { blockedFolds } from './hyperparameterTuning.js';
+
+export const CALIBRATION_METHODS = {
+  platt: 'platt',
+  isotonic: 'isotonic',
+  temperature: 'temperature'
+};
+
+/** Models that can be calibrated (they need historical predictions) */
+export const CALIBRATION_MODELS = VALIDATION_MODELS;
+
+/** League key for calibrators fitted on all leagues, used when no league-specific one exists */
+export const ALL_LEAGUES = '*';
+
+export const MIN_CALIBRATION_MATCHES = 20;
+
+/** Blocked folds for the held-out scores of a fitted calibrator */
+export const CALIBRATION_FOLDS = 5;
+
+export const CALIBRATION_STORAGE_KEY = 'soccerpredict-calibrators';
+
+const OUTCOMES = ['home', 'draw', 'away'];
+const PROBABILITY_FLOOR = 1e-6;
+
+const clampProbability = (probability) => Math.min(1 - PROBABILITY_FLOOR, Math.max(PROBABILITY_FLOOR, probability));
+
+const logit = (probability) => {
+  const clamped = clampProbability(probability);
+  return Math.log(clamped / (1 - clamped));
+};
+
+const sigmoid = (value) => 1 / (1 + Math.exp(-value));
+
+const normalise = (values) => {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return total > 0 ? values.map(value => value / total) : values.map(() => 1 / values.length);
+};
+
+/**
+ * 1X2 probabilities of a prediction
+ * @param {Object} prediction - PredictionResult (or any object with the 1X2 keys)
+ * @returns {Array<number>} [home, draw, away]
+ */
+export const outcomeProbabilities = (prediction) => [
+  prediction.homeWinProbability,
+  prediction.drawProbability,
+  prediction.awayWinProbability
+];
+
+/**
+ * Score a set of forecasts
+ * @param {Array<Object>} forecasts - [{ probabilities, outcome }]
+ * @returns {Object} { logLoss, brier, calibrationError }
+ */
+export const scoreForecasts = (forecasts) => {
+  const validator = new HistoricalValidator();
+  const calibrationData = { bins: 10, predicted: [], actual: [] };
+  let logLoss = 0;
+  let brier = 0;
+  forecasts.forEach(({ probabilities, outcome }) => {
+    logLoss += scoreOutcome(probabilities, outcome, ENSEMBLE_OBJECTIVES.logLoss);
+    brier += scoreOutcome(probabilities, outcome, ENSEMBLE_OBJECTIVES.brier);
+    const [homeWinProbability, drawProbability, awayWinProbability] = probabilities;
+    validator.collectCalibrationData({ homeWinProbability, drawProbability, awayWinProbability }, { result: outcome }, calibrationData);
+  });
+  return {
+    logLoss: logLoss / forecasts.length,
+    brier: brier / forecasts.length,
+    // Same reliability measure as HistoricalValidator: favourite's probability against its hit rate
+    calibrationError: validator.calculateCalibration(calibrationData).overallCalibrationError
+  };
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check that a calibrator has the parameters apply() reads for its method
+ * @param {Object} calibrator - { method, params }
+ * @returns {boolean} True when apply() can use the calibrator
+ */
+const hasValidParams = ({ method, params }) => {
+  switch (method) {
+    case CALIBRATION_METHODS.platt:
+      return Array.isArray(params?.outcomes) && params.outcomes.length === OUTCOMES.length &&
+        params.outcomes.every(outcome => isFiniteNumber(outcome?.a) && isFiniteNumber(outcome?.b));
+    case CALIBRATION_METHODS.isotonic:
+      // interpolateBlocks needs at least one block per outcome, in increasing score order
+      return Array.isArray(params?.outcomes) && params.outcomes.length === OUTCOMES.length &&
+        params.outcomes.every(blocks => Array.isArray(blocks) && blocks.length > 0 &&
+          blocks.every((block, index) => isFiniteNumber(block?.x) && isFiniteNumber(block?.y) && (index === 0 || block.x >= blocks[index - 1].x)));
+    case CALIBRATION_METHODS.temperature:
+      return isFiniteNumber(params?.temperature) && params.temperature > 0;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Pool-adjacent-violators fit of a non-decreasing step function
+ * @param {Array<number>} x - Scores
+ * @param {Array<number>} y - Outcomes (0 or 1)
+ * @returns {Array<Object>} Blocks [{ x, y, weight }] with x the mean score and y the fitted value
+ */
+export const poolAdjacentViolators = (x, y) => {
+  const order = x.map((_, index) => index).sort((a, b) => x[a] - x[b]);
+  const blocks = [];
+  order.forEach(index => {
+    blocks.push({ sumX: x[index], sumY: y[index], weight: 1 });
+    while (blocks.length > 1 && blocks[blocks.length - 2].sumY / blocks[blocks.length - 2].weight >= blocks[blocks.length - 1].sumY / blocks[blocks.length - 1].weight) {
+      const last = blocks.pop();
+      const previous = blocks[blocks.length - 1];
+      previous.sumX += last.sumX;
+      previous.sumY += last.sumY;
+      previous.weight += last.weight;
+    }
+  });
+  return blocks.map(block => ({ x: block.sumX / block.weight, y: block.sumY / block.weight, weight: block.weight }));
+};
+
+/**
+ * Evaluate a fitted isotonic step function, linearly interpolated between block centres
+ * @param {Array<Object>} blocks - Result of poolAdjacentViolators()
+ * @param {number} value - Score
+ * @returns {number} Fitted value
+ */
+const interpolateBlocks = (blocks, value) => {
+  if (value <= blocks[0].x) return blocks[0].y;
+  const last = blocks[blocks.length - 1];
+  if (value >= last.x) return last.y;
+  const upper = blocks.findIndex(block => block.x >= value);
+  const left = blocks[upper - 1];
+  const right = blocks[upper];
+  return left.y + (right.y - left.y) * (value - left.x) / (right.x - left.x);
+};
+
+export class ProbabilityCalibrator {
+  constructor() {
+    this.maxIterations = 100;
+    this.tolerance = 1e-10;
+  }
+
+  /**
+   * Fit Platt scaling for one outcome against the rest
+   * Targets are smoothed to (N+ + 1)/(N+ + 2) and 1/(N- + 2) as in Platt (1999),
+   * which keeps the fit finite when the outcome is perfectly separated.
+   * @param {Array<number>} probabilities - Raw probabilities of the outcome
+   * @param {Array<number>} outcomes - 1 when the outcome happened, else 0
+   * @returns {Object} { a, b }
+   */
+  fitPlatt(probabilities, outcomes) {
+    const positives = outcomes.filter(Boolean).length;
+    const negatives = outcomes.length - positives;
+    const high = (positives + 1) / (positives + 2);
+    const low = 1 / (negatives + 2);
+    const targets = outcomes.map(outcome => (outcome ? high : low));
+    const scores = probabilities.map(logit);
+
+    const loss = (a, b) => scores.reduce((sum, score, index) => {
+      const q = clampProbability(sigmoid(a * score + b));
+      return sum - targets[index] * Math.log(q) - (1 - targets[index]) * Math.log(1 - q);
+    }, 0);
+
+    let a = 1;
+    let b = 0;
+    let current = loss(a, b);
+    for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+      let ga = 0;
+      let gb = 0;
+      let haa = 1e-9;
+      let hab = 0;
+      let hbb = 1e-9;
+      scores.forEach((score, index) => {
+        const q = sigmoid(a * score + b);
+        const residual = q - targets[index];
+        const curvature = q * (1 - q);
+        ga += residual * score;
+        gb += residual;
+        haa += curvature * score * score;
+        hab += curvature * score;
+        hbb += curvature;
+      });
+      const determinant = haa * hbb - hab * hab;
+      if (determinant <= 0) break;
+      const stepA = (hbb * ga - hab * gb) / determinant;
+      const stepB = (haa * gb - hab * ga) / determinant;
+
+      // Halve the Newton step until the loss does not increase
+      let scale = 1;
+      let next = loss(a - stepA, b - stepB);
+      while (next > current && scale > 1e-6) {
+        scale /= 2;
+        next = loss(a - scale * stepA, b - scale * stepB);
+      }
+      a -= scale * stepA;
+      b -= scale * stepB;
+      const improvement = current - next;
+      current = next;
+      if (improvement < this.tolerance) break;
+    }
+    return { a, b };
+  }
+
+  /**
+   * Fit the temperature that minimises the multinomial log loss
+   * Golden-section search on log T, which is unimodal for this objective.
+   * @param {Array<Array<number>>} probabilities - Raw [home, draw, away] per match
+   * @param {Array<number>} outcomes - Index of the observed outcome per match
+   * @returns {Object} { temperature }
+   */
+  fitTemperature(probabilities, outcomes) {
+    const logProbabilities = probabilities.map(row => row.map(probability => Math.log(clampProbability(probability))));
+    const loss = (logTemperature) => {
+      const inverse = Math.exp(-logTemperature);
+      return logProbabilities.reduce((sum, row, index) => {
+        const scaled = row.map(value => value * inverse);
+        const largest = Math.max(...scaled);
+        const logTotal = largest + Math.log(scaled.reduce((total, value) => total + Math.exp(value - largest), 0));
+        return sum - (scaled[outcomes[index]] - logTotal);
+      }, 0);
+    };
+
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let lower = Math.log(0.1);
+    let upper = Math.log(10);
+    let left = upper - ratio * (upper - lower);
+    let right = lower + ratio * (upper - lower);
+    let leftLoss = loss(left);
+    let rightLoss = loss(right);
+    for (let iteration = 0; iteration < this.maxIterations && upper - lower > 1e-8; iteration++) {
+      if (leftLoss < rightLoss) {
+        upper = right;
+        right = left;
+        rightLoss = leftLoss;
+        left = upper - ratio * (upper - lower);
+        leftLoss = loss(left);
+      } else {
+        lower = left;
+        left = right;
+        leftLoss = rightLoss;
+        right = lower + ratio * (upper - lower);
+        rightLoss = loss(right);
+      }
+    }
+    return { temperature: Math.exp((lower + upper) / 2) };
+  }
+
+  /**
+   * Fit the mapping parameters of one method
+   * @param {Array<Object>} forecasts - [{ probabilities, outcome }]
+   * @param {string} method - CALIBRATION_METHODS value
+   * @returns {Object} Method parameters
+   */
+  fitParams(forecasts, method) {
+    const probabilities = forecasts.map(forecast => forecast.probabilities);
+    const outcomes = forecasts.map(forecast => OUTCOMES.indexOf(forecast.outcome));
+
+    switch (method) {
+      case CALIBRATION_METHODS.platt:
+        return {
+          outcomes: OUTCOMES.map((_, outcome) => this.fitPlatt(probabilities.map(row => row[outcome]), outcomes.map(observed => (observed === outcome ? 1 : 0))))
+        };
+      case CALIBRATION_METHODS.isotonic:
+        return {
+          outcomes: OUTCOMES.map((_, outcome) => poolAdjacentViolators(probabilities.map(row => row[outcome]), outcomes.map(observed => (observed === outcome ? 1 : 0))))
+        };
+      default:
+        return this.fitTemperature(probabilities, outcomes);
+    }
+  }
+
+  /**
+   * Calibrated forecasts that were never part of their own mapping's fit
+   * The forecasts are split into contiguous blocks in the order given (date
+   * order for HistoricalValidator results); each block is calibrated by a
+   * mapping fitted on the other blocks.
+   * @param {Array<Object>} forecasts - [{ probabilities, outcome }]
+   * @param {string} method - CALIBRATION_METHODS value
+   * @param {number} folds - Number of blocks
+   * @returns {Array<Object>} Forecasts with calibrated probabilities, in the same order
+   */
+  crossFitForecasts(forecasts, method, folds = CALIBRATION_FOLDS) {
+    const foldIndices = blockedFolds(forecasts.length, folds);
+    const calibrated = new Array(forecasts.length);
+    foldIndices.forEach((test, fold) => {
+      const train = foldIndices.filter((_, other) => other !== fold).flat().map(index => forecasts[index]);
+      const calibrator = { method, params: this.fitParams(train, method) };
+      test.forEach(index => {
+        calibrated[index] = { ...forecasts[index], probabilities: this.apply(calibrator, forecasts[index].probabilities) };
+      });
+    });
+    return calibrated;
+  }
+
+  /**
+   * Fit a calibrator on historical forecasts
+   * The calibrated metrics are cross-fitted (see crossFitForecasts), so they
+   * estimate how the calibrator does on matches it has not seen.
+   * @param {Array<Object>} forecasts - [{ probabilities: [home, draw, away], outcome: 'home'|'draw'|'away' }] in date order
+   * @param {string} method - CALIBRATION_METHODS value
+   * @returns {Object} Calibrator { method, params, matches, metrics: { raw, calibrated, folds } }
+   */
+  fit(forecasts, method = CALIBRATION_METHODS.platt) {
+    if (!Object.values(CALIBRATION_METHODS).includes(method)) {
+      throw new Error(`Okänd kalibreringsmetod: ${method}`);
+    }
+    if (forecasts.length < MIN_CALIBRATION_MATCHES) {
+      throw new Error(`Kalibreringen behöver minst ${MIN_CALIBRATION_MATCHES} validerade matcher, fick ${forecasts.length}`);
+    }
+    if (forecasts.some(forecast => !OUTCOMES.includes(forecast.outcome))) {
+      throw new Error('Varje prognos behöver utfallet home, draw eller away');
+    }
+
+    return {
+      method,
+      params: this.fitParams(forecasts, method),
+      matches: forecasts.length,
+      metrics: {
+        raw: scoreForecasts(forecasts),
+        calibrated: scoreForecasts(this.crossFitForecasts(forecasts, method)),
+        folds: CALIBRATION_FOLDS
+      }
+    };
+  }
+
+  /**
+   * Map raw 1X2 probabilities through a calibrator
+   * @param {Object} calibrator - Result of fit()
+   * @param {Array<number>} probabilities - Raw [home, draw, away]
+   * @returns {Array<number>} Calibrated [home, draw, away], summing to 1
+   */
+  apply(calibrator, probabilities) {
+    switch (calibrator.method) {
+      case CALIBRATION_METHODS.platt:
+        return normalise(probabilities.map((probability, outcome) => {
+          const { a, b } = calibrator.params.outcomes[outcome];
+          return sigmoid(a * logit(probability) + b);
+        }));
+      case CALIBRATION_METHODS.isotonic:
+        return normalise(probabilities.map((probability, outcome) => (
+          clampProbability(interpolateBlocks(calibrator.params.outcomes[outcome], probability))
+        )));
+      case CALIBRATION_METHODS.temperature:
+        return normalise(probabilities.map(probability => clampProbability(probability) ** (1 / calibrator.params.temperature)));
+      default:
+        throw new Error(`Okänd kalibreringsmetod: ${calibrator.method}`);
+    }
+  }
+
+  /**
+   * Calibrate a PredictionResult
+   * The scoreline matrix is rescaled within each 1X2 region, so correct
+   * scores, totals and BTTS follow the calibrated outcome probabilities.
+   * Model-specific extras (intervals, simulation statistics) are not carried over.
+   * @param {Object} result - Raw PredictionResult
+   * @param {Object} calibrator - Result of fit()
+   * @param {string} league - League the calibrator belongs to
+   * @returns {Object} Calibrated PredictionResult with extras.calibration
+   */
+  calibrateResult(result, calibrator, league = ALL_LEAGUES) {
+    const raw = outcomeProbabilities(result);
+    const calibrated = this.apply(calibrator, raw);
+    const matrix = ScoreMatrix.from(result.scoreMatrix);
+    const captured = matrix.capturedMass() || 1;
+    const factors = calibrated.map((probability, outcome) => (raw[outcome] > 0 ? probability / raw[outcome] : 0));
+    const scoreMatrix = ScoreMatrix.fromFunction(
+      (h, a) => matrix.get(h, a) / captured * factors[h > a ? 0 : (h === a ? 1 : 2)],
+      matrix.maxGoals
+    );
+    const expected = scoreMatrix.expectedGoals();
+    const { metadata } = result;
+
+    return createPredictionResult({
+      model: metadata.model,
+      modelName: metadata.modelName,
+      version: metadata.version,
+      inputs: { raw: metadata.inputHash, method: calibrator.method, league, params: calibrator.params },
+      seed: metadata.seed,
+      scoreMatrix,
+      expectedHomeGoals: expected.home,
+      expectedAwayGoals: expected.away,
+      confidence: result.confidence,
+      extras: {
+        calibration: {
+          method: calibrator.method,
+          league,
+          matches: calibrator.matches,
+          raw: {
+            homeWinProbability: raw[0],
+            drawProbability: raw[1],
+            awayWinProbability: raw[2]
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Add a calibrator to a store without mutating it
+   * @param {Object} store - { [model]: { [league]: calibrator } }
+   * @param {string} model - Model key
+   * @param {string} league - League name, or ALL_LEAGUES
+   * @param {Object} calibrator - Result of fit()
+   * @returns {Object} New store
+   */
+  setCalibrator(store, model, league, calibrator) {
+    return { ...store, [model]: { ...(store[model] || {}), [league || ALL_LEAGUES]: calibrator } };
+  }
+
+  /**
+   * Find the calibrator for a model and league
+   * Falls back to the model's all-league calibrator.
+   * @param {Object} store - Calibrator store
+   * @param {string} model - Model key
+   * @param {string} league - League name
+   * @returns {Object|null} { calibrator, league } or null
+   */
+  findCalibrator(store, model, league = ALL_LEAGUES) {
+    const calibrators = store?.[model];
+    if (!calibrators) return null;
+    if (league && calibrators[league]) return { calibrator: calibrators[league], league };
+    if (calibrators[ALL_LEAGUES]) return { calibrator: calibrators[ALL_LEAGUES], league: ALL_LEAGUES };
+    return null;
+  }
+
+  /**
+   * Validate models on historical matches and fit a calibrator for each
+   * @param {Array<Object>} matches - Historical matches (see historicalMatchesFromResults)
+   * @param {Object} options - { models, method, league, store, validator, onProgress (share of models fitted, 0-1) }
+   * @returns {Promise<Object>} Store with the new calibrators added
+   */
+  async fitFromHistory(matches, options = {}) {
+    const {
+      models = CALIBRATION_MODELS,
+      method = CALIBRATION_METHODS.platt,
+      league = ALL_LEAGUES,
+      store = {},
+      validator = new HistoricalValidator(),
+      onProgress = () => {}
+    } = options;
+
+    let next = store;
+    for (const [index, model] of models.entries()) {
+      const { forecasts } = await validator.validateModel(matches, model);
+      const calibrator = this.fit(forecasts.map(forecast => ({
+        probabilities: outcomeProbabilities(forecast.prediction),
+        outcome: forecast.outcome
+      })), method);
+      next = this.setCalibrator(next, model, league, calibrator);
+      onProgress((index + 1) / models.length);
+    }
+    return next;
+  }
+
+  /**
+   * Serialise a calibrator store
+   * @param {Object} store - Calibrator store
+   * @returns {string} JSON
+   */
+  toJSON(store) {
+    return JSON.stringify({ type: 'calibrators', version: 1, store });
+  }
+
+  /**
+   * Read a calibrator store saved by toJSON()
+   * @param {string|Object} json - JSON text or parsed object
+   * @returns {Object} Calibrator store
+   */
+  fromJSON(json) {
+    let data = json;
+    if (typeof json === 'string') {
+      try {
+        data = JSON.parse(json);
+      } catch (error) {
+        throw new Error('Ogiltiga kalibreringar: inte giltig JSON');
+      }
+    }
+    if (data?.type !== 'calibrators' || typeof data.store !== 'object' || data.store === null) {
+      throw new Error('Ogiltiga kalibreringar: okänt format');
+    }
+    Object.entries(data.store).forEach(([model, leagues]) => {
+      if (typeof leagues !== 'object' || leagues === null) {
+        throw new Error(`Ogiltiga kalibreringar: ${model} saknar ligor`);
+      }
+      Object.entries(leagues).forEach(([league, calibrator]) => {
+        if (!Object.values(CALIBRATION_METHODS).includes(calibrator?.method) || !calibrator.params) {
+          throw new Error(`Ogiltiga kalibreringar: ${model} (${league}) saknar metod eller parametrar`);
+        }
+        if (!hasValidParams(calibrator)) {
+          throw new Error(`Ogiltiga kalibreringar: ${model} (${league}) har felaktiga parametrar för ${calibrator.method}`);
+        }
+      });
+    });
+    return data.store;
+  }
+}
+
+// Export singleton instance
+export const probabilityCalibrator = new ProbabilityCalibrator();
+
+export default ProbabilityCalibrator;
@@ -0,0 +1,107 @@
+/**
+ * Result Formatting
+ * Display helpers for PredictionResult values. Models return raw numbers
+ * (probabilities 0-1); everything that rounds or adds units lives here.
+ */
+
+const NOT_AVAILABLE = 'N/A';
+
+/** Display labels for the market probability fields of a PredictionResult */
+export const MARKET_LABELS = {
+  homeWinProbability: 'Hemmavinst',
+  drawProbability: 'Oavgjort',
+  awayWinProbability: 'Bortavinst',
+  bothTeamsScoreProbability: 'Båda lagen gör mål',
+  over15Probability: 'Över 1.5 mål',
+  over25Probability: 'Över 2.5 mål',
+  under25Probability: 'Under 2.5 mål',
+  over35Probability: 'Över 3.5 mål',
+  cleanSheetHomeProbability: 'Hemmalaget håller nollan',
+  cleanSheetAwayProbability: 'Bortalaget håller nollan'
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Probability as a percentage number (no unit), e.g. 0.4532 -> "45.3"
+ * @param {number} probability - Probability (0-1)
+ * @param {number} decimals - Decimal places
+ * @returns {string} Percentage without sign
+ */
+export const toPercentValue = (probability, decimals = 1) => (
+  isNumber(probability) ? (probability * 100).toFixed(decimals) : NOT_AVAILABLE
+);
+
+/**
+ * Probability as a percentage, e.g. 0.4532 -> "45.3%"
+ * @param {number} probability - Probability (0-1)
+ * @param {number} decimals - Decimal places
+ * @returns {string} Formatted percentage
+ */
+export const formatPercent = (probability, decimals = 1) => (
+  isNumber(probability) ? `${toPercentValue(probability, decimals)}%` : NOT_AVAILABLE
+);
+
+/**
+ * Fair decimal odds for a probability, e.g. 0.5 -> "2.00"
+ * @param {number} probability - Probability (0-1)
+ * @returns {string} Decimal odds, or a dash when the outcome is impossible
+ */
+export const formatFairOdds = (probability) => (
+  isNumber(probability) && probability > 0 ? (1 / probability).toFixed(2) : '–'
+);
+
+/**
+ * Decimal odds value, e.g. 1.9523 -> "1.95"
+ * @param {number|null} odds - Decimal odds
+ * @returns {string} Formatted odds, or a dash when missing
+ */
+export const formatOdds = (odds) => (isNumber(odds) && odds > 0 ? odds.toFixed(2) : '–');
+
+/**
+ * Expected goals, e.g. 1.4567 -> "1.46"
+ * @param {number} goals - Expected goals
+ * @param {number} decimals - Decimal places
+ * @returns {string} Formatted goals
+ */
+export const formatGoals = (goals, decimals = 2) => (
+  isNumber(goals) ? goals.toFixed(decimals) : NOT_AVAILABLE
+);
+
+/**
+ * Plain number with fixed decimals
+ * @param {number} value - Value to format
+ * @param {number} decimals - Decimal places
+ * @returns {string} Formatted number
+ */
+export const formatNumber = (value, decimals = 3) => (
+  isNumber(value) ? value.toFixed(decimals) : NOT_AVAILABLE
+);
+
+/**
+ * Percentage values for the main markets of a PredictionResult, used by
+ * tables and exports that show one column per market
+ * @param {Object} result - PredictionResult
+ * @param {number} decimals - Decimal places
+ * @returns {Object} Percentage strings keyed like the result
+ */
+export const formatMainMarkets = (result, decimals = 1) => ({
+  homeWinProbability: toPercentValue(result.homeWinProbability, decimals),
+  drawProbability: toPercentValue(result.drawProbability, decimals),
+  awayWinProbability: toPercentValue(result.awayWinProbability, decimals),
+  expectedHomeGoals: formatGoals(result.expectedHomeGoals),
+  expectedAwayGoals: formatGoals(result.expectedAwayGoals),
+  confidence: toPercentValue(result.confidence, 0)
+});
+
+/**
+ * Probability interval as a percentage range, e.g. { lower: 0.442, upper: 0.461 } -> "44.2–46.1%"
+ * @param {{lower: number, upper: number}} interval - Interval bounds (0-1)
+ * @param {number} decimals - Decimal places
+ * @returns {string} Formatted range
+ */
+export const formatInterval = (interval, decimals = 1) => (
+  interval && isNumber(interval.lower) && isNumber(interval.upper)
+    ? `${toPercentValue(interval.lower, decimals)}–${formatPercent(interval.upper, decimals)}`
+    : NOT_AVAILABLE
+);
@@ -0,0 +1,348 @@
+/**
+ * Scoreline Probability Matrix
+ * Shared representation of a match's full scoreline distribution. Every goal
+ * model fills one of these and derives its betting markets from it, so a new
+ * market only has to be implemented once.
+ *
+ * Cells cover 0..maxGoals for both teams. Probability mass that falls outside
+ * the grid (or, for simulations, samples above the cap) is reported as
+ * tailMass. Market helpers are normalised to the captured mass so that
+ * complementary markets (e.g. over/under 2.5) always sum to 1.
+ */
+
+export const DEFAULT_MAX_GOALS = 10;
+
+export class ScoreMatrix {
+  /**
+   * @param {number} maxGoals - Highest goal count stored per team
+   */
+  constructor(maxGoals = DEFAULT_MAX_GOALS) {
+    this.maxGoals = maxGoals;
+    this.size = maxGoals + 1;
+    this.cells = new Float64Array(this.size * this.size);
+    this.tailMass = 0;
+  }
+
+  /**
+   * Build a matrix from a scoreline probability function
+   * @param {Function} probabilityFn - (homeGoals, awayGoals) => probability
+   * @param {number} maxGoals - Highest goal count stored per team
+   * @returns {ScoreMatrix} Filled matrix
+   */
+  static fromFunction(probabilityFn, maxGoals = DEFAULT_MAX_GOALS) {
+    const matrix = new ScoreMatrix(maxGoals);
+    for (let homeGoals = 0; homeGoals <= maxGoals; homeGoals++) {
+      for (let awayGoals = 0; awayGoals <= maxGoals; awayGoals++) {
+        matrix.set(homeGoals, awayGoals, probabilityFn(homeGoals, awayGoals));
+      }
+    }
+    matrix.tailMass = Math.max(0, 1 - matrix.capturedMass());
+    return matrix;
+  }
+
+  /**
+   * Build a matrix from sampled scoreline counts
+   * @param {Map<string, number>} scoreCounts - Counts keyed "home-away"
+   * @param {number} totalSamples - Number of samples drawn
+   * @param {number} maxGoals - Highest goal count stored per team
+   * @returns {ScoreMatrix} Empirical matrix
+   */
+  static fromCounts(scoreCounts, totalSamples, maxGoals = DEFAULT_MAX_GOALS) {
+    const matrix = new ScoreMatrix(maxGoals);
+    if (totalSamples <= 0) return matrix;
+
+    let overflow = 0;
+    for (const [score, count] of scoreCounts) {
+      const [homeGoals, awayGoals] = score.split('-').map(Number);
+      if (homeGoals > maxGoals || awayGoals > maxGoals) {
+        overflow += count;
+      } else {
+        matrix.set(homeGoals, awayGoals, matrix.get(homeGoals, awayGoals) + count / totalSamples);
+      }
+    }
+    matrix.tailMass = overflow / totalSamples;
+    return matrix;
+  }
+
+  /**
+   * Restore a matrix from toJSON output (e.g. offline storage)
+   * @param {Object|ScoreMatrix} data - Serialised matrix or existing instance
+   * @returns {ScoreMatrix|null} Matrix instance
+   */
+  static from(data) {
+    if (!data) return null;
+    if (data instanceof ScoreMatrix) return data;
+
+    const matrix = new ScoreMatrix(data.maxGoals);
+    data.probabilities.forEach((row, homeGoals) => {
+      row.forEach((probability, awayGoals) => matrix.set(homeGoals, awayGoals, probability));
+    });
+    matrix.tailMass = data.tailMass || 0;
+    return matrix;
+  }
+
+  get(homeGoals, awayGoals) {
+    if (homeGoals < 0 || awayGoals < 0 || homeGoals > this.maxGoals || awayGoals > this.maxGoals) return 0;
+    return this.cells[homeGoals * this.size + awayGoals];
+  }
+
+  set(homeGoals, awayGoals, probability) {
+    this.cells[homeGoals * this.size + awayGoals] = probability;
+  }
+
+  /**
+   * Iterate over every cell
+   * @param {Function} callback - (homeGoals, awayGoals, probability) => void
+   */
+  forEach(callback) {
+    for (let homeGoals = 0; homeGoals <= this.maxGoals; homeGoals++) {
+      for (let awayGoals = 0; awayGoals <= this.maxGoals; awayGoals++) {
+        callback(homeGoals, awayGoals, this.cells[homeGoals * this.size + awayGoals]);
+      }
+    }
+  }
+
+  /**
+   * Total probability stored inside the grid
+   * @returns {number} Captured probability mass
+   */
+  capturedMass() {
+    let total = 0;
+    for (let i = 0; i < this.cells.length; i++) total += this.cells[i];
+    return total;
+  }
+
+  /**
+   * Probability of any scoreline condition, normalised to the captured mass
+   * @param {Function} predicate - (homeGoals, awayGoals) => boolean
+   * @returns {number} Probability (0-1)
+   */
+  probabilityWhere(predicate) {
+    const captured = this.capturedMass();
+    if (captured <= 0) return 0;
+
+    let total = 0;
+    this.forEach((homeGoals, awayGoals, probability) => {
+      if (predicate(homeGoals, awayGoals)) total += probability;
+    });
+    return total / captured;
+  }
+
+  /**
+   * Match result probabilities
+   * @returns {Object} { homeWin, draw, awayWin }
+   */
+  outcomeProbabilities() {
+    return {
+      homeWin: this.probabilityWhere((h, a) => h > a),
+      draw: this.probabilityWhere((h, a) => h === a),
+      awayWin: this.probabilityWhere((h, a) => h < a)
+    };
+  }
+
+  bothTeamsScore() {
+    return this.probabilityWhere((h, a) => h > 0 && a > 0);
+  }
+
+  totalGoalsOver(line) {
+    return this.probabilityWhere((h, a) => h + a > line);
+  }
+
+  totalGoalsUnder(line) {
+    return this.probabilityWhere((h, a) => h + a < line);
+  }
+
+  cleanSheetHome() {
+    return this.probabilityWhere((h, a) => a === 0);
+  }
+
+  cleanSheetAway() {
+    return this.probabilityWhere((h) => h === 0);
+  }
+
+  /**
+   * Marginal goal distribution for one team
+   * @param {string} team - 'home' or 'away'
+   * @returns {Array<number>} Probability per goal count
+   */
+  marginal(team = 'home') {
+    const captured = this.capturedMass();
+    const distribution = new Array(this.size).fill(0);
+    this.forEach((homeGoals, awayGoals, probability) => {
+      distribution[team === 'home' ? homeGoals : awayGoals] += probability;
+    });
+    return captured > 0 ? distribution.map(p => p / captured) : distribution;
+  }
+
+  /**
+   * Distribution of the goal difference (home minus away)
+   * @returns {Map<number, number>} Probability per goal difference
+   */
+  goalDifferenceDistribution() {
+    const captured = this.capturedMass();
+    const distribution = new Map();
+    if (captured <= 0) return distribution;
+
+    this.forEach((homeGoals, awayGoals, probability) => {
+      const difference = homeGoals - awayGoals;
+      distribution.set(difference, (distribution.get(difference) || 0) + probability / captured);
+    });
+    return distribution;
+  }
+
+  /**
+   * Expected goals implied by the grid
+   * @returns {Object} { home, away }
+   */
+  expectedGoals() {
+    const home = this.marginal('home').reduce((sum, p, goals) => sum + p * goals, 0);
+    const away = this.marginal('away').reduce((sum, p, goals) => sum + p * goals, 0);
+    return { home, away };
+  }
+
+  /**
+   * Most likely exact scorelines
+   * @param {number} limit - Number of scorelines to return
+   * @returns {Array} [{ score, homeGoals, awayGoals, probability }] with probability 0-1
+   */
+  mostLikelyScorelines(limit = 8) {
+    const captured = this.capturedMass() || 1;
+    const scorelines = [];
+    this.forEach((homeGoals, awayGoals, probability) => {
+      scorelines.push({ score: `${homeGoals}-${awayGoals}`, homeGoals, awayGoals, probability: probability / captured });
+    });
+    return scorelines
+      .sort((a, b) => b.probability - a.probability)
+      .slice(0, limit);
+  }
+
+  /**
+   * Standard market set shared by all calculators
+   * @returns {Object} Probabilities (0-1) for 1X2, BTTS, totals and clean sheets
+   */
+  summary() {
+    return {
+      ...this.outcomeProbabilities(),
+      bothTeamsScore: this.bothTeamsScore(),
+      over15: this.totalGoalsOver(1.5),
+      over25: this.totalGoalsOver(2.5),
+      under25: this.totalGoalsUnder(2.5),
+      over35: this.totalGoalsOver(3.5),
+      cleanSheetHome: this.cleanSheetHome(),
+      cleanSheetAway: this.cleanSheetAway(),
+      tailMass: this.tailMass
+    };
+  }
+
+  /**
+   * Exact total goals, with the last bucket collecting everything above
+   * @param {number} maxTotal - Total at which goals are grouped ("6+")
+   * @returns {Array<number>} Probability per total, index = goals
+   */
+  exactTotalGoals(maxTotal = 6) {
+    return Array.from({ length: maxTotal + 1 }, (_, goals) => (
+      goals === maxTotal
+        ? this.probabilityWhere((h, a) => h + a >= maxTotal)
+        : this.probabilityWhere((h, a) => h + a === goals)
+    ));
+  }
+
+  /**
+   * Winning margin bands from the home side's perspective
+   * @returns {Object} { home3Plus, home2, home1, draw, away1, away2, away3Plus }
+   */
+  winningMargins() {
+    const differences = this.goalDifferenceDistribution();
+    const margin = (predicate) => {
+      let total = 0;
+      differences.forEach((probability, difference) => {
+        if (predicate(difference)) total += probability;
+      });
+      return total;
+    };
+
+    return {
+      home3Plus: margin(d => d >= 3),
+      home2: margin(d => d === 2),
+      home1: margin(d => d === 1),
+      draw: margin(d => d === 0),
+      away1: margin(d => d === -1),
+      away2: margin(d => d === -2),
+      away3Plus: margin(d => d <= -3)
+    };
+  }
+
+  /**
+   * Over/under lines for one team's goals
+   * @param {string} team - 'home' or 'away'
+   * @param {Array<number>} lines - Goal lines
+   * @returns {Array} [{ line, over, under }]
+   */
+  teamTotals(team = 'home', lines = [0.5, 1.5, 2.5, 3.5]) {
+    const goals = team === 'home' ? (h) => h : (h, a) => a;
+    return lines.map(line => ({
+      line,
+      over: this.probabilityWhere((h, a) => goals(h, a) > line),
+      under: this.probabilityWhere((h, a) => goals(h, a) < line)
+    }));
+  }
+
+  /**
+   * Odd/even total goals
+   * @returns {Object} { odd, even }
+   */
+  oddEvenTotals() {
+    const odd = this.probabilityWhere((h, a) => (h + a) % 2 === 1);
+    return { odd, even: 1 - odd };
+  }
+
+  /**
+   * Win without conceding
+   * @returns {Object} { home, away }
+   */
+  winToNil() {
+    return {
+      home: this.probabilityWhere((h, a) => h > 0 && a === 0),
+      away: this.probabilityWhere((h, a) => a > 0 && h === 0)
+    };
+  }
+
+  /**
+   * Extended market set: exact totals, margins, team totals, odd/even and win to nil
+   * @returns {Object} Probabilities (0-1)
+   */
+  extendedMarkets() {
+    return {
+      exactTotalGoals: this.exactTotalGoals(),
+      winningMargins: this.winningMargins(),
+      teamTotals: {
+        home: this.teamTotals('home'),
+        away: this.teamTotals('away')
+      },
+      oddEven: this.oddEvenTotals(),
+      winToNil: this.winToNil()
+    };
+  }
+
+  /**
+   * Nested array representation
+   * @returns {Array<Array<number>>} probabilities[homeGoals][awayGoals]
+   */
+  toArray() {
+    const rows = [];
+    for (let homeGoals = 0; homeGoals <= this.maxGoals; homeGoals++) {
+      rows.push(Array.from(this.cells.subarray(homeGoals * this.size, (homeGoals + 1) * this.size)));
+    }
+    return rows;
+  }
+
+  toJSON() {
+    return {
+      maxGoals: this.maxGoals,
+      tailMass: this.tailMass,
+      probabilities: this.toArray()
+    };
+  }
+}
+
+export default ScoreMatrix;
@@ -0,0 +1,335 @@
+/**
+ * League Season Simulator
+ * Completes a league season from the current table and the remaining
+ * fixtures. Every fixture is priced once with a match model (Poisson or xG)
+ * and its scoreline is then sampled from that model's score matrix with the
+ * same seeded generator as MonteCarloSimulator, so a given seed always
+ * reproduces the same season distribution. Each simulated season is ranked
+ * with the league's tiebreak rules.
+ *
+ * ACADEMIC REFERENCES:
+ * - Maher, M.J. (1982). "Modelling association football scores"
+ *   Statistica Neerlandica 36(3): 109-118
+ * - Dixon, M.J. & Coles, S.G. (1997). "Modelling association football scores and inefficiencies in the football betting market"
+ *   Journal of the Royal Statistical Society: Series C 46(2): 265-280
+ */
+
+import { SeededRandom } from './improvedMath.js';
+import {
+  FIXTURE_MODELS,
+  TIEBREAKERS,
+  predictFixture,
+  createSamplingTable,
+  sampleScore,
+  rankTeams,
+  recordResult,
+  splitFields,
+  dataLines,
+  parseFixtures
+} from './competitionUtils.js';
+
+export { TIEBREAKERS, parseFixtures };
+
+/** Match models that can price fixtures */
+export const SEASON_MODELS = FIXTURE_MODELS;
+
+/**
+ * League presets: points per result, tiebreakers after points and the size of
+ * the title, European and relegation zones
+ */
+export const LEAGUE_RULES = {
+  premierLeague: {
+    name: 'Premier League',
+    points: { win: 3, draw: 1, loss: 0 },
+    tiebreakers: ['goalDifference', 'goalsFor', 'headToHead'],
+    zones: { title: 1, europe: 4, relegation: 3 }
+  },
+  laLiga: {
+    name: 'La Liga',
+    points: { win: 3, draw: 1, loss: 0 },
+    tiebreakers: ['headToHead', 'goalDifference', 'goalsFor'],
+    zones: { title: 1, europe: 4, relegation: 3 }
+  },
+  serieA: {
+    name: 'Serie A',
+    points: { win: 3, draw: 1, loss: 0 },
+    tiebreakers: ['headToHead', 'goalDifference', 'goalsFor'],
+    zones: { title: 1, europe: 4, relegation: 3 }
+  },
+  bundesliga: {
+    name: 'Bundesliga',
+    points: { win: 3, draw: 1, loss: 0 },
+    tiebreakers: ['goalDifference', 'goalsFor', 'headToHead'],
+    zones: { title: 1, europe: 4, relegation: 2 }
+  },
+  allsvenskan: {
+    name: 'Allsvenskan',
+    points: { win: 3, draw: 1, loss: 0 },
+    tiebreakers: ['goalDifference', 'goalsFor', 'headToHead'],
+    zones: { title: 1, europe: 3, relegation: 2 }
+  }
+};
+
+export const DEFAULT_LEAGUE = 'premierLeague';
+
+/**
+ * Parse a league table
+ * One team per line: team, played, won, drawn, lost, goals for, goals against
+ * and optionally xG for and xG against (season totals). A header line whose
+ * second field is not a number is skipped.
+ * @param {string} text - Table text
+ * @returns {Array<Object>} Table rows
+ */
+export const parseLeagueTable = (text) => {
+  const rows = dataLines(text)
+    .map(splitFields)
+    .filter(fields => !Number.isNaN(Number(fields[1])))
+    .map((fields, index) => {
+      const [team, played, won, drawn, lost, goalsFor, goalsAgainst, xgFor, xgAgainst] = fields;
+      const numbers = [played, won, drawn, lost, goalsFor, goalsAgainst].map(Number);
+      if (!team || numbers.some(value => !Number.isFinite(value) || value < 0)) {
+        throw new Error(`Ogiltig tabellrad ${index + 1}: ange lag, S, V, O, F, GM, IM`);
+      }
+      const row = {
+        team,
+        played: numbers[0],
+        won: numbers[1],
+        drawn: numbers[2],
+        lost: numbers[3],
+        goalsFor: numbers[4],
+        goalsAgainst: numbers[5]
+      };
+      if (xgFor !== undefined && xgAgainst !== undefined && xgFor !== '' && xgAgainst !== '') {
+        row.xgFor = Number(xgFor);
+        row.xgAgainst = Number(xgAgainst);
+      }
+      return row;
+    });
+
+  const names = new Set(rows.map(row => row.team));
+  if (names.size !== rows.length) {
+    throw new Error('Tabellen innehåller samma lag flera gånger');
+  }
+  return rows;
+};
+
+/**
+ * Resolve league rules from a preset key or a rules object
+ * @param {string|Object} rules - Preset key or custom rules (missing fields use the default league)
+ * @returns {Object} Rules
+ */
+export const resolveLeagueRules = (rules = DEFAULT_LEAGUE) => {
+  const base = LEAGUE_RULES[DEFAULT_LEAGUE];
+  const custom = typeof rules === 'string' ? LEAGUE_RULES[rules] : rules;
+  if (!custom) {
+    throw new Error(`Okänd liga: ${rules}`);
+  }
+
+  const tiebreakers = custom.tiebreakers || base.tiebreakers;
+  const unknown = tiebreakers.filter(criterion => !TIEBREAKERS.includes(criterion));
+  if (unknown.length > 0) {
+    throw new Error(`Okända tiebreak-regler: ${unknown.join(', ')}`);
+  }
+
+  return {
+    name: custom.name || 'Egen liga',
+    points: { ...base.points, ...custom.points },
+    tiebreakers,
+    zones: { ...base.zones, ...custom.zones }
+  };
+};
+
+export class SeasonSimulator {
+  constructor(seed = 42) {
+    this.rng = new SeededRandom(seed);
+  }
+
+  /**
+   * Per-game attack and defence rates of every team
+   * Goals are used for the Poisson model; the xG model uses xG when the table has it.
+   * @param {Array<Object>} table - Table rows
+   * @param {string} model - 'poisson' or 'xg'
+   * @returns {Object} { ratings: Map<team, { attack, defence }>, leagueAverage }
+   */
+  teamRatings(table, model) {
+    const useXG = model === 'xg' && table.every(row => Number.isFinite(row.xgFor) && Number.isFinite(row.xgAgainst));
+    const totalPlayed = table.reduce((sum, row) => sum + row.played, 0);
+    const totalFor = table.reduce((sum, row) => sum + (useXG ? row.xgFor : row.goalsFor), 0);
+    const leagueAverage = totalPlayed > 0 && totalFor > 0 ? totalFor / totalPlayed : 1.35;
+
+    const ratings = new Map(table.map(row => {
+      if (row.played === 0) return [row.team, { attack: leagueAverage, defence: leagueAverage }];
+      return [row.team, {
+        attack: (useXG ? row.xgFor : row.goalsFor) / row.played,
+        defence: (useXG ? row.xgAgainst : row.goalsAgainst) / row.played
+      }];
+    }));
+
+    return { ratings, leagueAverage, usesXG: useXG };
+  }
+
+  /**
+   * Simulate the rest of a league season
+   * @param {Object} params - Simulation parameters
+   * @param {Array<Object>} params.table - Current table (see parseLeagueTable)
+   * @param {Array<Object>} params.fixtures - Remaining fixtures [{ home, away }]
+   * @param {Array<Object>} params.playedMatches - Played results used for head-to-head
+   * @param {string} params.model - 'poisson' or 'xg'
+   * @param {string|Object} params.rules - League preset key or custom rules
+   * @param {number} params.simulations - Number of simulated seasons
+   * @param {number} params.randomSeed - Seed for reproducible results
+   * @param {number} params.homeAdvantage - Optional home advantage passed to the match model
+   * @returns {Object} Season outcome probabilities per team
+   */
+  simulate(params) {
+    const {
+      table = [],
+      fixtures = [],
+      playedMatches = [],
+      model = 'poisson',
+      rules: requestedRules = DEFAULT_LEAGUE,
+      simulations = 10000,
+      randomSeed = 42,
+      homeAdvantage
+    } = params;
+
+    if (!SEASON_MODELS.includes(model)) {
+      throw new Error(`Okänd modell för säsongssimulering: ${model}`);
+    }
+    if (table.length < 2) {
+      throw new Error('Tabellen måste innehålla minst två lag');
+    }
+
+    const rules = resolveLeagueRules(requestedRules);
+    const teamCount = table.length;
+    const teamIndex = new Map(table.map((row, index) => [row.team, index]));
+    const indexOf = (team) => {
+      if (!teamIndex.has(team)) throw new Error(`Laget "${team}" finns inte i tabellen`);
+      return teamIndex.get(team);
+    };
+
+    this.rng.setSeed(randomSeed);
+
+    // Price every remaining fixture once
+    const { ratings, leagueAverage, usesXG } = this.teamRatings(table, model);
+    const pricedFixtures = fixtures.map(({ home, away }) => {
+      if (home === away) throw new Error(`${home} kan inte möta sig självt`);
+      const homeIndex = indexOf(home);
+      const awayIndex = indexOf(away);
+      const prediction = predictFixture(ratings.get(home), ratings.get(away), { model, leagueAverage, homeAdvantage });
+      return {
+        home: homeIndex,
+        away: awayIndex,
+        prediction,
+        sampling: createSamplingTable(prediction.scoreMatrix)
+      };
+    });
+
+    const played = playedMatches.map(match => ({
+      home: indexOf(match.home),
+      away: indexOf(match.away),
+      homeGoals: match.homeGoals,
+      awayGoals: match.awayGoals
+    }));
+    const needsHeadToHead = rules.tiebreakers.includes('headToHead');
+
+    const basePoints = table.map(row => row.won * rules.points.win + row.drawn * rules.points.draw + row.lost * rules.points.loss);
+    const standings = {
+      points: new Array(teamCount),
+      goalsFor: new Array(teamCount),
+      goalsAgainst: new Array(teamCount),
+      wins: new Array(teamCount)
+    };
+    const positionCounts = table.map(() => new Array(teamCount).fill(0));
+    const pointsCounts = table.map(() => new Map());
+    const pointsTotals = new Array(teamCount).fill(0);
+    const criteria = ['points', ...rules.tiebreakers];
+    const allTeams = table.map((_, index) => index);
+    const random = () => this.rng.next();
+
+    for (let sim = 0; sim < simulations; sim++) {
+      table.forEach((row, team) => {
+        standings.points[team] = basePoints[team];
+        standings.goalsFor[team] = row.goalsFor;
+        standings.goalsAgainst[team] = row.goalsAgainst;
+        standings.wins[team] = row.won;
+      });
+      const matches = needsHeadToHead ? [...played] : null;
+
+      pricedFixtures.forEach(({ home, away, sampling }) => {
+        const [homeGoals, awayGoals] = sampleScore(sampling, random);
+        recordResult(standings, home, away, homeGoals, awayGoals, rules.points);
+        if (matches) matches.push({ home, away, homeGoals, awayGoals });
+      });
+
+      rankTeams(allTeams, criteria, standings, matches, rules.points, random).forEach((team, position) => {
+        positionCounts[team][position]++;
+      });
+      standings.points.forEach((points, team) => {
+        pointsTotals[team] += points;
+        pointsCounts[team].set(points, (pointsCounts[team].get(points) || 0) + 1);
+      });
+    }
+
+    const { title, europe, relegation } = rules.zones;
+    const sumPositions = (counts, from, to) => counts.slice(from, to).reduce((sum, count) => sum + count, 0) / simulations;
+
+    // Points value at a given share of the simulated seasons
+    const pointsPercentile = (counts, share) => {
+      const sorted = [...counts.entries()].sort((a, b) => a[0] - b[0]);
+      let cumulative = 0;
+      for (const [points, count] of sorted) {
+        cumulative += count;
+        if (cumulative >= share * simulations) return points;
+      }
+      return sorted[sorted.length - 1][0];
+    };
+
+    const teams = table.map((row, team) => {
+      const positionProbabilities = positionCounts[team].map(count => count / simulations);
+      return {
+        team: row.team,
+        played: row.played + pricedFixtures.filter(fixture => fixture.home === team || fixture.away === team).length,
+        currentPoints: basePoints[team],
+        expectedPoints: pointsTotals[team] / simulations,
+        pointsRange: {
+          p10: pointsPercentile(pointsCounts[team], 0.1),
+          median: pointsPercentile(pointsCounts[team], 0.5),
+          p90: pointsPercentile(pointsCounts[team], 0.9)
+        },
+        positionProbabilities,
+        expectedPosition: positionProbabilities.reduce((sum, probability, position) => sum + probability * (position + 1), 0),
+        titleProbability: sumPositions(positionCounts[team], 0, title),
+        europeProbability: sumPositions(positionCounts[team], 0, europe),
+        relegationProbability: sumPositions(positionCounts[team], teamCount - relegation, teamCount)
+      };
+    }).sort((a, b) => a.expectedPosition - b.expectedPosition);
+
+    return {
+      teams,
+      fixtures: pricedFixtures.map(({ home, away, prediction }) => ({
+        home: table[home].team,
+        away: table[away].team,
+        homeWinProbability: prediction.homeWinProbability,
+        drawProbability: prediction.drawProbability,
+        awayWinProbability: prediction.awayWinProbability,
+        expectedHomeGoals: prediction.expectedHomeGoals,
+        expectedAwayGoals: prediction.expectedAwayGoals
+      })),
+      rules,
+      simulationStats: {
+        simulations,
+        randomSeed,
+        model,
+        usesXG,
+        leagueAverage,
+        remainingFixtures: pricedFixtures.length
+      }
+    };
+  }
+}
+
+// Export singleton instance
+export const seasonSimulator = new SeasonSimulator();
+
+export default SeasonSimulator;
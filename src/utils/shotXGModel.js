@@ -0,0 +1,501 @@
+/**
+ * Trainable Shot xG Model
+ * Logistic regression on labelled shots, replacing the hand-typed zone and
+ * multiplier tables of XGCalculator once a model has been trained:
+ *
+ *   P(goal) = 1 / (1 + exp(-(b0 + b·x)))
+ *
+ * x holds distance, absolute angle, defenders between shot and goal, a
+ * one-on-one flag and one dummy per body part, situation and pressure level
+ * (right foot, open play and moderate pressure are the reference levels).
+ * Coefficients are fitted by Newton-Raphson (iteratively reweighted least
+ * squares) with a ridge penalty on standardised features, so rare categories
+ * and perfectly separated data still give finite estimates. The stored
+ * coefficients are transformed back to the raw feature scale, which keeps
+ * the saved JSON self-contained.
+ *
+ * ACADEMIC REFERENCES:
+ * - Caley, M. (2015). "Premier League Projections and New Expected Goals"
+ * - Pollard, R. & Reep, C. (1997). "Measuring the effectiveness of playing strategies at soccer"
+ *   DOI: 10.1111/1467-9884.00091
+ * - Hastie, T., Tibshirani, R. & Friedman, J. (2009). "The Elements of Statistical Learning, Second Edition". Springer
+ * - Hanley, J.A. & McNeil, B.J. (1982). "The meaning and use of the area under a receiver operating characteristic (ROC) curve"
+ *   DOI: 10.1148/radiology.143.1.7063747
+ */
+
+import { SeededRandom } from './improvedMath.js';
+
+/** Identifies saved models */
+export const SHOT_MODEL_TYPE = 'logistic-shot-xg';
+export const SHOT_MODEL_FORMAT_VERSION = 1;
+
+/** Category levels with their own coefficient; the first level of each list is the reference */
+export const SHOT_TYPES = ['rightFoot', 'leftFoot', 'header', 'volley', 'halfVolley', 'freekick', 'penalty'];
+export const SHOT_SITUATIONS = ['openPlay', 'counter', 'setpiece', 'corner', 'throughball', 'cross', 'rebound'];
+export const SHOT_PRESSURES = ['moderate', 'none', 'light', 'heavy', 'blocked'];
+
+/** Feature names in coefficient order (the intercept comes first) */
+export const SHOT_FEATURES = [
+  'intercept',
+  'distance',
+  'angle',
+  'defendersBetween',
+  'isOneOnOne',
+  ...SHOT_TYPES.slice(1).map(type => `shotType.${type}`),
+  ...SHOT_SITUATIONS.slice(1).map(situation => `situation.${situation}`),
+  ...SHOT_PRESSURES.slice(1).map(pressure => `pressure.${pressure}`)
+];
+
+export const DEFAULT_TRAINING_OPTIONS = {
+  l2: 1,
+  holdoutShare: 0.2,
+  seed: 42,
+  maxIterations: 50,
+  tolerance: 1e-8
+};
+
+/** Fewest labelled shots (and goals) needed to train */
+export const MIN_TRAINING_SHOTS = 50;
+export const MIN_TRAINING_GOALS = 5;
+
+const TRUE_LABELS = ['1', 'true', 'ja', 'yes', 'mål', 'goal'];
+const FALSE_LABELS = ['0', 'false', 'nej', 'no', 'miss'];
+
+const PROBABILITY_FLOOR = 1e-12;
+const MIN_RIDGE = 1e-6;
+
+const logistic = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Feature vector of a shot (same defaults as XGCalculator.calculateShotXG)
+ * @param {Object} shot - Shot data
+ * @returns {Array<number>} Values in SHOT_FEATURES order
+ */
+export const shotFeatures = (shot) => {
+  const {
+    distance = 12,
+    angle = 0,
+    shotType = 'rightFoot',
+    situation = 'openPlay',
+    pressure = 'moderate',
+    isOneOnOne = false,
+    defendersBetween = 1
+  } = shot;
+
+  return [
+    1,
+    distance,
+    Math.abs(angle),
+    defendersBetween,
+    isOneOnOne ? 1 : 0,
+    ...SHOT_TYPES.slice(1).map(type => (shotType === type ? 1 : 0)),
+    ...SHOT_SITUATIONS.slice(1).map(level => (situation === level ? 1 : 0)),
+    ...SHOT_PRESSURES.slice(1).map(level => (pressure === level ? 1 : 0))
+  ];
+};
+
+/**
+ * Average negative log-likelihood of binary outcomes
+ * @param {Array<number>} probabilities - Predicted goal probabilities
+ * @param {Array<number>} labels - Outcomes (1 = goal)
+ * @returns {number} Log loss (lower is better)
+ */
+export const logLoss = (probabilities, labels) => probabilities.reduce((sum, probability, index) => {
+  const clipped = Math.min(1 - PROBABILITY_FLOOR, Math.max(PROBABILITY_FLOOR, probability));
+  return sum - (labels[index] ? Math.log(clipped) : Math.log(1 - clipped));
+}, 0) / probabilities.length;
+
+/**
+ * Area under the ROC curve via the Mann-Whitney statistic (ties count half)
+ * @param {Array<number>} probabilities - Predicted goal probabilities
+ * @param {Array<number>} labels - Outcomes (1 = goal)
+ * @returns {number} AUC (0.5 = no discrimination), NaN without both outcomes
+ */
+export const areaUnderCurve = (probabilities, labels) => {
+  const order = probabilities.map((probability, index) => ({ probability, label: labels[index] }))
+    .sort((a, b) => a.probability - b.probability);
+  const positives = order.filter(item => item.label).length;
+  const negatives = order.length - positives;
+  if (positives === 0 || negatives === 0) return NaN;
+
+  // Mid-ranks for tied probabilities
+  let rankSum = 0;
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].probability === order[start].probability) end++;
+    const midRank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) {
+      if (order[i].label) rankSum += midRank;
+    }
+    start = end + 1;
+  }
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+};
+
+/**
+ * Log loss, AUC and Brier score of a set of predictions
+ * @param {Array<number>} probabilities - Predicted goal probabilities
+ * @param {Array<number>} labels - Outcomes (1 = goal)
+ * @returns {Object} { shots, goals, logLoss, auc, brier, baselineLogLoss, expectedGoals }
+ */
+export const evaluatePredictions = (probabilities, labels) => {
+  const goals = labels.reduce((sum, label) => sum + label, 0);
+  const rate = goals / labels.length;
+  return {
+    shots: labels.length,
+    goals,
+    expectedGoals: probabilities.reduce((sum, probability) => sum + probability, 0),
+    logLoss: logLoss(probabilities, labels),
+    auc: areaUnderCurve(probabilities, labels),
+    brier: probabilities.reduce((sum, probability, index) => sum + (probability - labels[index]) ** 2, 0) / labels.length,
+    // Log loss of always predicting the observed conversion rate
+    baselineLogLoss: logLoss(labels.map(() => rate), labels)
+  };
+};
+
+/**
+ * Read a goal label
+ * @param {*} value - Label from the data
+ * @returns {number|null} 1, 0 or null when the label is not recognised
+ */
+const readLabel = (value) => {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value === 1 || value === 0) return value;
+  const text = String(value ?? '').trim().toLowerCase();
+  if (TRUE_LABELS.includes(text)) return 1;
+  if (FALSE_LABELS.includes(text)) return 0;
+  return null;
+};
+
+/**
+ * Parse labelled shots
+ * Accepts a JSON array of shot objects with a goal field, or CSV with a
+ * header row naming the columns (distance, angle, shotType, situation,
+ * pressure, isOneOnOne, defendersBetween, goal). Missing columns fall back
+ * to the calculateShotXG defaults.
+ * @param {string} text - Shot data
+ * @returns {Array<Object>} Shots with goal = 0 or 1
+ */
+export const parseShotData = (text = '') => {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    throw new Error('Ange skottdata att träna på');
+  }
+
+  let rows;
+  if (trimmed.startsWith('[')) {
+    try {
+      rows = JSON.parse(trimmed);
+    } catch {
+      throw new Error('Skottdatan är inte giltig JSON');
+    }
+  } else {
+    const lines = trimmed.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    const separator = lines[0].includes(';') ? ';' : ',';
+    const header = lines[0].split(separator).map(column => column.trim());
+    if (!header.includes('goal')) {
+      throw new Error('Rubrikraden måste innehålla kolumnen goal');
+    }
+    rows = lines.slice(1).map(line => Object.fromEntries(
+      line.split(separator).map((value, index) => [header[index], value.trim()])
+    ));
+  }
+
+  return rows.map((row, index) => {
+    const goal = readLabel(row.goal);
+    if (goal === null) {
+      throw new Error(`Skott ${index + 1} saknar giltigt utfall i kolumnen goal`);
+    }
+    const shot = { goal };
+    ['distance', 'angle', 'defendersBetween'].forEach(field => {
+      if (row[field] === undefined || row[field] === '') return;
+      const value = Number(row[field]);
+      if (!Number.isFinite(value)) {
+        throw new Error(`Skott ${index + 1}: ogiltigt värde för ${field}`);
+      }
+      shot[field] = value;
+    });
+    [['shotType', SHOT_TYPES], ['situation', SHOT_SITUATIONS], ['pressure', SHOT_PRESSURES]].forEach(([field, levels]) => {
+      if (row[field] === undefined || row[field] === '') return;
+      if (!levels.includes(row[field])) {
+        throw new Error(`Skott ${index + 1}: okänt värde "${row[field]}" för ${field}`);
+      }
+      shot[field] = row[field];
+    });
+    if (row.isOneOnOne !== undefined && row.isOneOnOne !== '') {
+      shot.isOneOnOne = readLabel(row.isOneOnOne) === 1;
+    }
+    return shot;
+  });
+};
+
+/**
+ * Solve H x = b for a symmetric positive definite H by Cholesky decomposition
+ * @param {Array<Array<number>>} matrix - Symmetric positive definite matrix
+ * @param {Array<number>} vector - Right-hand side
+ * @returns {Array<number>|null} Solution, or null when the matrix is not positive definite
+ */
+const choleskySolve = (matrix, vector) => {
+  const size = vector.length;
+  const lower = Array.from({ length: size }, () => new Array(size).fill(0));
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column <= row; column++) {
+      let sum = matrix[row][column];
+      for (let k = 0; k < column; k++) sum -= lower[row][k] * lower[column][k];
+      if (row === column) {
+        if (sum <= 0) return null;
+        lower[row][row] = Math.sqrt(sum);
+      } else {
+        lower[row][column] = sum / lower[column][column];
+      }
+    }
+  }
+
+  const forward = new Array(size).fill(0);
+  for (let row = 0; row < size; row++) {
+    let sum = vector[row];
+    for (let k = 0; k < row; k++) sum -= lower[row][k] * forward[k];
+    forward[row] = sum / lower[row][row];
+  }
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = forward[row];
+    for (let k = row + 1; k < size; k++) sum -= lower[k][row] * solution[k];
+    solution[row] = sum / lower[row][row];
+  }
+  return solution;
+};
+
+export class ShotXGModel {
+  /**
+   * Split shots into a training and a holdout set with a seeded shuffle
+   * @param {Array<Object>} shots - Labelled shots
+   * @param {number} holdoutShare - Share of shots held out (0 keeps all for training)
+   * @param {number} seed - Shuffle seed
+   * @returns {Object} { training, holdout }
+   */
+  splitShots(shots, holdoutShare, seed) {
+    const rng = new SeededRandom(seed);
+    const shuffled = [...shots];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(rng.next() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    const holdoutSize = Math.round(shuffled.length * Math.min(0.5, Math.max(0, holdoutShare)));
+    return { training: shuffled.slice(holdoutSize), holdout: shuffled.slice(0, holdoutSize) };
+  }
+
+  /**
+   * Fit ridge-penalised logistic regression by Newton-Raphson
+   * Non-binary columns are standardised before fitting; the penalty applies
+   * to every coefficient except the intercept.
+   * @param {Array<Array<number>>} rows - Feature vectors (intercept first)
+   * @param {Array<number>} labels - Outcomes
+   * @param {Object} settings - { l2, maxIterations, tolerance }
+   * @returns {Object} { coefficients (raw scale), iterations, converged }
+   */
+  fitLogistic(rows, labels, { l2, maxIterations, tolerance }) {
+    const size = rows[0].length;
+    // A tiny ridge keeps the Hessian invertible when a category never occurs in the data
+    const penalty = Math.max(l2, MIN_RIDGE);
+    const means = new Array(size).fill(0);
+    const scales = new Array(size).fill(1);
+    for (let column = 1; column < size; column++) {
+      const values = rows.map(row => row[column]);
+      const binary = values.every(value => value === 0 || value === 1);
+      if (binary) continue;
+      means[column] = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const variance = values.reduce((sum, value) => sum + (value - means[column]) ** 2, 0) / values.length;
+      scales[column] = variance > 0 ? Math.sqrt(variance) : 1;
+    }
+    const standardised = rows.map(row => row.map((value, column) => (column === 0 ? 1 : (value - means[column]) / scales[column])));
+
+    // Start from the overall conversion rate
+    const rate = Math.min(0.99, Math.max(0.01, labels.reduce((sum, label) => sum + label, 0) / labels.length));
+    const beta = new Array(size).fill(0);
+    beta[0] = Math.log(rate / (1 - rate));
+
+    let iterations = 0;
+    let converged = false;
+    while (iterations < maxIterations && !converged) {
+      iterations++;
+      const gradient = beta.map((value, column) => (column === 0 ? 0 : -penalty * value));
+      const hessian = Array.from({ length: size }, (_, row) => (
+        Array.from({ length: size }, (__, column) => (row === column && row > 0 ? penalty : 0))
+      ));
+      standardised.forEach((row, index) => {
+        const probability = logistic(row.reduce((sum, value, column) => sum + value * beta[column], 0));
+        const weight = Math.max(probability * (1 - probability), 1e-10);
+        const residual = labels[index] - probability;
+        for (let i = 0; i < size; i++) {
+          if (row[i] === 0) continue;
+          gradient[i] += row[i] * residual;
+          for (let j = 0; j <= i; j++) {
+            hessian[i][j] += weight * row[i] * row[j];
+          }
+        }
+      });
+      for (let i = 0; i < size; i++) {
+        for (let j = i + 1; j < size; j++) hessian[i][j] = hessian[j][i];
+      }
+
+      const step = choleskySolve(hessian, gradient);
+      if (!step) break;
+      step.forEach((value, column) => { beta[column] += value; });
+      converged = Math.max(...step.map(Math.abs)) < tolerance;
+    }
+
+    // Back to the raw feature scale
+    const coefficients = beta.map((value, column) => (column === 0 ? value : value / scales[column]));
+    coefficients[0] = beta[0] - beta.reduce((sum, value, column) => (column === 0 ? sum : sum + value * means[column] / scales[column]), 0);
+    return { coefficients, iterations, converged };
+  }
+
+  /**
+   * Train a shot model on labelled shots
+   * @param {Array<Object>} shots - Shots with goal = 0 or 1 (see parseShotData)
+   * @param {Object} options - l2 penalty, holdoutShare, seed, maxIterations, tolerance
+   * @returns {Object} Serialisable model with coefficients per feature and training/holdout metrics
+   */
+  train(shots, options = {}) {
+    const settings = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+    if (!(settings.l2 >= 0)) {
+      throw new Error('L2-straffet kan inte vara negativt');
+    }
+    const labelled = shots.filter(shot => shot.goal === 0 || shot.goal === 1);
+    if (labelled.length < MIN_TRAINING_SHOTS) {
+      throw new Error(`Minst ${MIN_TRAINING_SHOTS} skott med utfall krävs för att träna modellen`);
+    }
+
+    const { training, holdout } = this.splitShots(labelled, settings.holdoutShare, settings.seed);
+    const goals = training.reduce((sum, shot) => sum + shot.goal, 0);
+    if (goals < MIN_TRAINING_GOALS || training.length - goals < MIN_TRAINING_GOALS) {
+      throw new Error(`Träningsdatan måste innehålla minst ${MIN_TRAINING_GOALS} mål och ${MIN_TRAINING_GOALS} missar`);
+    }
+
+    const { coefficients, iterations, converged } = this.fitLogistic(
+      training.map(shotFeatures),
+      training.map(shot => shot.goal),
+      settings
+    );
+
+    const model = {
+      type: SHOT_MODEL_TYPE,
+      version: SHOT_MODEL_FORMAT_VERSION,
+      coefficients: Object.fromEntries(SHOT_FEATURES.map((feature, index) => [feature, coefficients[index]])),
+      training: {
+        l2: settings.l2,
+        holdoutShare: settings.holdoutShare,
+        seed: settings.seed,
+        iterations,
+        converged
+      }
+    };
+    model.metrics = {
+      training: this.evaluate(model, training),
+      holdout: holdout.length > 0 ? this.evaluate(model, holdout) : null
+    };
+    return model;
+  }
+
+  /**
+   * Goal probability of a shot
+   * @param {Object} model - Trained model
+   * @param {Object} shot - Shot data
+   * @returns {number} Probability between 0 and 1
+   */
+  predict(model, shot) {
+    const features = shotFeatures(shot);
+    return logistic(SHOT_FEATURES.reduce((sum, feature, index) => sum + model.coefficients[feature] * features[index], 0));
+  }
+
+  /**
+   * Evaluate a model, or any probability function, on labelled shots
+   * @param {Object|Function} model - Trained model or shot => probability
+   * @param {Array<Object>} shots - Labelled shots
+   * @returns {Object} See evaluatePredictions
+   */
+  evaluate(model, shots) {
+    const probability = typeof model === 'function' ? model : (shot) => this.predict(model, shot);
+    return evaluatePredictions(shots.map(probability), shots.map(shot => shot.goal));
+  }
+
+  /**
+   * Serialise a model
+   * @param {Object} model - Trained model
+   * @returns {string} JSON text
+   */
+  toJSON(model) {
+    return JSON.stringify(model, null, 2);
+  }
+
+  /**
+   * Load and validate a saved model
+   * @param {string|Object} json - JSON text or parsed object
+   * @returns {Object} Model
+   */
+  fromJSON(json) {
+    let model = json;
+    if (typeof json === 'string') {
+      try {
+        model = JSON.parse(json);
+      } catch {
+        throw new Error('Ogiltig skottmodell: filen är inte giltig JSON');
+      }
+    }
+    if (!model || model.type !== SHOT_MODEL_TYPE) {
+      throw new Error('Ogiltig skottmodell: okänd modelltyp');
+    }
+    if (model.version !== SHOT_MODEL_FORMAT_VERSION) {
+      throw new Error(`Ogiltig skottmodell: version ${model.version} stöds inte`);
+    }
+    const missing = SHOT_FEATURES.filter(feature => !Number.isFinite(model.coefficients?.[feature]));
+    if (missing.length > 0) {
+      throw new Error(`Ogiltig skottmodell: koefficient saknas för ${missing.join(', ')}`);
+    }
+    return model;
+  }
+
+  /**
+   * Simulate labelled shots, e.g. to try the training pipeline without data
+   * Shot features follow the same mix as XGCalculator.generateShotsFromStats;
+   * every shot is scored with the supplied probability.
+   * @param {number} count - Number of shots
+   * @param {Function} probability - shot => goal probability
+   * @param {number} seed - Random seed
+   * @returns {Array<Object>} Labelled shots
+   */
+  simulateShots(count, probability, seed = DEFAULT_TRAINING_OPTIONS.seed) {
+    const rng = new SeededRandom(seed);
+    const pick = (levels, weights) => {
+      const draw = rng.next();
+      let cumulative = 0;
+      for (let i = 0; i < levels.length; i++) {
+        cumulative += weights[i];
+        if (draw < cumulative) return levels[i];
+      }
+      return levels[0];
+    };
+
+    return Array.from({ length: count }, () => {
+      const isBigChance = rng.next() < 0.15;
+      const [nearest, furthest] = isBigChance ? [2, 10] : pick([[6, 12], [12, 18], [18, 33]], [0.3, 0.3, 0.4]);
+      const shot = {
+        distance: Math.round(rng.range(nearest, furthest) * 10) / 10,
+        angle: Math.round(rng.range(-30, 30)),
+        shotType: pick(['rightFoot', 'leftFoot', 'header', 'volley'], [0.5, 0.3, 0.15, 0.05]),
+        situation: pick(['openPlay', 'cross', 'setpiece', 'corner', 'throughball', 'counter'], [0.35, 0.25, 0.12, 0.1, 0.08, 0.1]),
+        pressure: isBigChance ? pick(['light', 'none'], [0.6, 0.4]) : pick(['none', 'light', 'moderate', 'heavy'], [0.1, 0.25, 0.45, 0.2]),
+        isOneOnOne: isBigChance && rng.next() < 0.3,
+        defendersBetween: Math.floor(rng.next() * 3)
+      };
+      shot.goal = rng.next() < probability(shot) ? 1 : 0;
+      return shot;
+    });
+  }
+}
+
+// Export singleton instance
+export const shotXGModel = new ShotXGModel();
+
+export default ShotXGModel;
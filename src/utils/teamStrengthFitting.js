@@ -0,0 +1,313 @@
+/**
+ * Team Strength Fitting
+ * Maximum-likelihood estimates of every team's attack and defence and a
+ * common home advantage from past results. Goals follow independent Poisson
+ * distributions with
+ *
+ *   homeGoals ~ Poisson(attack[home] * defence[away] * homeFactor)
+ *   awayGoals ~ Poisson(attack[away] * defence[home])
+ *
+ * (Maher, 1982). The strengths are found by cyclic coordinate ascent, where
+ * each update is the closed-form maximum of the likelihood in that parameter.
+ * Older matches can be down-weighted with exp(-timeDecay * days) and the
+ * Dixon-Coles low-score dependence rho is estimated in a second stage with
+ * the strengths held fixed (Dixon & Coles, 1997).
+ *
+ * ACADEMIC REFERENCES:
+ * - Maher, M.J. (1982). "Modelling association football scores"
+ *   Statistica Neerlandica 36(3): 109-118
+ * - Dixon, M.J. & Coles, S.G. (1997). "Modelling association football scores and inefficiencies in the football betting market"
+ *   Journal of the Royal Statistical Society: Series C 46(2): 265-280
+ */
+
+import { dixonColesTau } from './improvedMath.js';
+import { parseFixtures } from './competitionUtils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Range searched for the Dixon-Coles rho (same limits as the Poisson tab) */
+export const RHO_SEARCH_RANGE = [-0.3, 0.3];
+
+/**
+ * Time-decay rate that halves a match's weight after the given number of days
+ * @param {number} halfLifeDays - Half-life in days (0 or less switches weighting off)
+ * @returns {number} Decay rate per day
+ */
+export const timeDecayFromHalfLife = (halfLifeDays) => (halfLifeDays > 0 ? Math.LN2 / halfLifeDays : 0);
+
+/**
+ * Parse past results
+ * One match per line in any format parseFixtures accepts ("Home 2-1 Away" or
+ * "Home, Away, 2, 1"), optionally preceded by an ISO date: "2024-08-17, Home 2-1 Away".
+ * @param {string} text - Results text
+ * @returns {Array<Object>} Results ({ date, home, away, homeGoals, awayGoals }, date null when missing)
+ */
+export const parseMatchResults = (text = '') => text
+  .split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(line => line && !line.startsWith('#'))
+  .map((line, index) => {
+    const dated = line.match(/^(\d{4}-\d{2}-\d{2})[\s,;\t]+(.+)$/);
+    const [match] = parseFixtures(dated ? dated[2] : line);
+    if (match.homeGoals === undefined || !Number.isInteger(match.homeGoals) || !Number.isInteger(match.awayGoals)) {
+      throw new Error(`Resultatrad ${index + 1} saknar resultat: "${line}"`);
+    }
+    if (match.home === match.away) {
+      throw new Error(`Resultatrad ${index + 1}: ${match.home} kan inte möta sig självt`);
+    }
+    const date = dated ? new Date(`${dated[1]}T00:00:00Z`) : null;
+    if (date && Number.isNaN(date.getTime())) {
+      throw new Error(`Ogiltigt datum på resultatrad ${index + 1}: ${dated[1]}`);
+    }
+    return { date, ...match };
+  });
+
+export class TeamStrengthFitter {
+  constructor() {
+    this.maxIterations = 1000;
+    this.tolerance = 1e-9;
+  }
+
+  /**
+   * Weight of every match: exp(-timeDecay * days before the reference date)
+   * @param {Array<Object>} matches - Results
+   * @param {number} timeDecay - Decay rate per day
+   * @param {Date} referenceDate - Date with full weight (defaults to the latest match)
+   * @returns {Object} { weights, referenceDate }
+   */
+  matchWeights(matches, timeDecay, referenceDate) {
+    if (!(timeDecay > 0)) {
+      return { weights: matches.map(() => 1), referenceDate: null };
+    }
+    if (matches.some(match => !match.date)) {
+      throw new Error('Tidsviktning kräver ett datum på varje resultatrad');
+    }
+
+    const reference = referenceDate || new Date(Math.max(...matches.map(match => match.date.getTime())));
+    return {
+      weights: matches.map(match => Math.exp(-timeDecay * Math.max(0, (reference - match.date) / DAY_MS))),
+      referenceDate: reference
+    };
+  }
+
+  /**
+   * Weighted log-likelihood of the results
+   * @param {Array<Object>} matches - Results with team indices
+   * @param {Array<number>} weights - Match weights
+   * @param {Object} params - { attack, defence, homeFactor, rho }
+   * @returns {number} Log-likelihood
+   */
+  logLikelihood(matches, weights, { attack, defence, homeFactor, rho }) {
+    const logPoisson = (lambda, goals) => {
+      let value = goals * Math.log(lambda) - lambda;
+      for (let k = 2; k <= goals; k++) value -= Math.log(k);
+      return value;
+    };
+
+    return matches.reduce((sum, { home, away, homeGoals, awayGoals }, index) => {
+      const homeLambda = attack[home] * defence[away] * homeFactor;
+      const awayLambda = attack[away] * defence[home];
+      const tau = rho === 0 ? 1 : dixonColesTau(homeGoals, awayGoals, homeLambda, awayLambda, rho);
+      return sum + weights[index] * (logPoisson(homeLambda, homeGoals) + logPoisson(awayLambda, awayGoals) + Math.log(tau));
+    }, 0);
+  }
+
+  /**
+   * Estimate rho with the strengths held fixed (golden-section search)
+   * The search stays inside the range where every match keeps a positive tau.
+   * @param {Array<Object>} matches - Results with team indices
+   * @param {Array<number>} weights - Match weights
+   * @param {Object} strengths - { attack, defence, homeFactor }
+   * @returns {number} Estimated rho
+   */
+  fitRho(matches, weights, strengths) {
+    let [low, high] = RHO_SEARCH_RANGE;
+    matches.forEach(({ home, away }) => {
+      const homeLambda = strengths.attack[home] * strengths.defence[away] * strengths.homeFactor;
+      const awayLambda = strengths.attack[away] * strengths.defence[home];
+      low = Math.max(low, -1 / homeLambda, -1 / awayLambda);
+      high = Math.min(high, 1 / (homeLambda * awayLambda));
+    });
+    // Keep clear of the boundary where tau reaches zero
+    const margin = (high - low) * 1e-6;
+    low += margin;
+    high -= margin;
+
+    const objective = (rho) => this.logLikelihood(matches, weights, { ...strengths, rho });
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = low;
+    let b = high;
+    let c = b - ratio * (b - a);
+    let d = a + ratio * (b - a);
+    let fc = objective(c);
+    let fd = objective(d);
+    while (b - a > 1e-6) {
+      if (fc > fd) {
+        b = d;
+        d = c;
+        fd = fc;
+        c = b - ratio * (b - a);
+        fc = objective(c);
+      } else {
+        a = c;
+        c = d;
+        fc = fd;
+        d = a + ratio * (b - a);
+        fd = objective(d);
+      }
+    }
+    return (a + b) / 2;
+  }
+
+  /**
+   * Fit team strengths to past results
+   * @param {Array<Object>} results - Results (see parseMatchResults)
+   * @param {Object} options - Fitting options
+   * @param {number} options.timeDecay - Decay rate per day (0 = all matches weigh the same)
+   * @param {Date} options.referenceDate - Date with full weight (defaults to the latest match)
+   * @param {boolean} options.dixonColes - Estimate the Dixon-Coles rho
+   * @returns {Object} Ratings per team, home advantage, rho and fit diagnostics
+   */
+  fit(results, { timeDecay = 0, referenceDate = null, dixonColes = true } = {}) {
+    if (results.length === 0) {
+      throw new Error('Ange minst ett resultat att skatta från');
+    }
+
+    const names = [...new Set(results.flatMap(match => [match.home, match.away]))].sort((a, b) => a.localeCompare(b));
+    if (names.length < 2) {
+      throw new Error('Resultaten måste innehålla minst två lag');
+    }
+    const teamIndex = new Map(names.map((team, index) => [team, index]));
+    const matches = results.map(match => ({
+      home: teamIndex.get(match.home),
+      away: teamIndex.get(match.away),
+      homeGoals: match.homeGoals,
+      awayGoals: match.awayGoals
+    }));
+    const { weights, referenceDate: reference } = this.matchWeights(results, timeDecay, referenceDate);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    // Weighted goals scored and conceded per team, and weighted home goals
+    const scored = new Array(names.length).fill(0);
+    const conceded = new Array(names.length).fill(0);
+    let homeGoalsTotal = 0;
+    let goalsTotal = 0;
+    matches.forEach(({ home, away, homeGoals, awayGoals }, index) => {
+      const weight = weights[index];
+      scored[home] += weight * homeGoals;
+      scored[away] += weight * awayGoals;
+      conceded[home] += weight * awayGoals;
+      conceded[away] += weight * homeGoals;
+      homeGoalsTotal += weight * homeGoals;
+      goalsTotal += weight * (homeGoals + awayGoals);
+    });
+    if (goalsTotal === 0) {
+      throw new Error('Resultaten innehåller inga mål');
+    }
+    // Goals per team and match
+    const leagueAverage = goalsTotal / (2 * totalWeight);
+
+    // A team that never scored (or never conceded) has its maximum-likelihood strength at zero;
+    // a small floor keeps every rate positive
+    const floor = 1e-3;
+    const attack = new Array(names.length).fill(1);
+    const defence = new Array(names.length).fill(leagueAverage);
+    let homeFactor = 1;
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < this.maxIterations && !converged) {
+      iterations++;
+      let maxChange = 0;
+      const update = (values, index, value) => {
+        const next = Math.max(floor, value);
+        maxChange = Math.max(maxChange, Math.abs(next - values[index]) / values[index]);
+        values[index] = next;
+      };
+
+      const attackExposure = new Array(names.length).fill(0);
+      matches.forEach(({ home, away }, index) => {
+        attackExposure[home] += weights[index] * defence[away] * homeFactor;
+        attackExposure[away] += weights[index] * defence[home];
+      });
+      scored.forEach((goals, team) => update(attack, team, goals / attackExposure[team]));
+
+      const defenceExposure = new Array(names.length).fill(0);
+      matches.forEach(({ home, away }, index) => {
+        defenceExposure[away] += weights[index] * attack[home] * homeFactor;
+        defenceExposure[home] += weights[index] * attack[away];
+      });
+      conceded.forEach((goals, team) => update(defence, team, goals / defenceExposure[team]));
+
+      const homeExposure = matches.reduce((sum, { home, away }, index) => sum + weights[index] * attack[home] * defence[away], 0);
+      const previousHomeFactor = homeFactor;
+      homeFactor = homeGoalsTotal / homeExposure;
+      maxChange = Math.max(maxChange, Math.abs(homeFactor - previousHomeFactor) / previousHomeFactor);
+
+      // Identify the model: mean attack strength 1
+      const meanAttack = attack.reduce((sum, value) => sum + value, 0) / names.length;
+      attack.forEach((value, team) => { attack[team] = value / meanAttack; });
+      defence.forEach((value, team) => { defence[team] = value * meanAttack; });
+
+      converged = maxChange < this.tolerance;
+    }
+
+    const strengths = { attack, defence, homeFactor };
+    const rho = dixonColes ? this.fitRho(matches, weights, strengths) : 0;
+    const matchCounts = new Array(names.length).fill(0);
+    matches.forEach(({ home, away }) => {
+      matchCounts[home]++;
+      matchCounts[away]++;
+    });
+
+    return {
+      // attack * defence / leagueAverage gives a team's expected goals, the form EnhancedPoissonCalculator uses
+      teams: names.map((team, index) => ({
+        team,
+        matches: matchCounts[index],
+        attack: attack[index] * leagueAverage,
+        defence: defence[index]
+      })).sort((a, b) => (b.attack - b.defence) - (a.attack - a.defence)),
+      homeAdvantage: homeFactor - 1,
+      rho,
+      leagueAverage,
+      logLikelihood: this.logLikelihood(matches, weights, { ...strengths, rho }),
+      iterations,
+      converged,
+      matches: matches.length,
+      effectiveMatches: totalWeight,
+      timeDecay,
+      referenceDate: reference
+    };
+  }
+
+  /**
+   * Poisson tab inputs for a fixture between two fitted teams
+   * @param {Object} fit - Result of fit()
+   * @param {string} home - Home team
+   * @param {string} away - Away team
+   * @returns {Object} { homeGoals, awayGoals, homeDefense, awayDefense, rho, leagueAverage, homeAdvantage }
+   */
+  poissonInputs(fit, home, away) {
+    const homeTeam = fit.teams.find(row => row.team === home);
+    const awayTeam = fit.teams.find(row => row.team === away);
+    if (!homeTeam || !awayTeam) {
+      throw new Error(`Laget "${homeTeam ? away : home}" finns inte bland de skattade lagen`);
+    }
+
+    return {
+      homeGoals: homeTeam.attack,
+      awayGoals: awayTeam.attack,
+      homeDefense: homeTeam.defence,
+      awayDefense: awayTeam.defence,
+      rho: fit.rho,
+      leagueAverage: fit.leagueAverage,
+      homeAdvantage: fit.homeAdvantage
+    };
+  }
+}
+
+// Export singleton instance
+export const teamStrengthFitter = new TeamStrengthFitter();
+
+export default TeamStrengthFitter;
@@ -0,0 +1,763 @@
+/**
+ * Knockout Tournament Simulator
+ * Simulates cup formats: a knockout bracket, or a group stage followed by a
+ * knockout bracket (World Cup and Champions League style), as well as single
+ * two-legged ties. Every pairing is priced with a match model (Poisson or xG)
+ * and scorelines are sampled from its score matrix with a seeded generator.
+ * Knockout matches and two-legged ties that are level after regular time go
+ * to 30 minutes of extra time at reduced intensity and then to a penalty
+ * shootout (best of five kicks, then sudden death).
+ *
+ * ACADEMIC REFERENCES:
+ * - Maher, M.J. (1982). "Modelling association football scores"
+ *   Statistica Neerlandica 36(3): 109-118
+ * - Dixon, M.J. & Coles, S.G. (1997). "Modelling association football scores and inefficiencies in the football betting market"
+ *   Journal of the Royal Statistical Society: Series C 46(2): 265-280
+ */
+
+import { SeededRandom, PoissonGenerator } from './improvedMath.js';
+import { MATCH_MINUTES } from './inPlayModel.js';
+import {
+  FIXTURE_MODELS,
+  DEFAULT_POINTS,
+  TIEBREAKERS,
+  predictFixture,
+  createSamplingTable,
+  sampleScore,
+  rankTeams,
+  recordResult,
+  splitFields,
+  dataLines
+} from './competitionUtils.js';
+
+export const EXTRA_TIME_MINUTES = 30;
+
+/** Goal rate in extra time relative to regular time (tired legs, cautious play) */
+export const DEFAULT_EXTRA_TIME_INTENSITY = 0.8;
+
+/** Share of penalties scored in a shootout */
+export const DEFAULT_PENALTY_CONVERSION = 0.75;
+
+/** Kicks per team before a shootout goes to sudden death */
+export const SHOOTOUT_KICKS = 5;
+
+/**
+ * Tournament formats
+ * groupLegs is 1 for a single round robin and 2 for home and away matches.
+ * knockoutDraw 'bracket' pairs group winners with runners-up of the
+ * neighbouring group (A1-B2, B1-A2, ...); 'seeded' draws winners against
+ * runners-up from another group in every simulation. knockoutLegs 2 plays
+ * every knockout round except the final as a two-legged tie.
+ */
+export const TOURNAMENT_FORMATS = {
+  knockout: {
+    name: 'Utslagsturnering',
+    groupStage: false,
+    knockoutLegs: 1
+  },
+  twoLeggedCup: {
+    name: 'Cup med dubbelmöten',
+    groupStage: false,
+    knockoutLegs: 2,
+    awayGoals: false
+  },
+  worldCup: {
+    name: 'VM (gruppspel + slutspel)',
+    groupStage: true,
+    groupLegs: 1,
+    advancePerGroup: 2,
+    tiebreakers: ['goalDifference', 'goalsFor', 'headToHead'],
+    knockoutDraw: 'bracket',
+    neutralVenue: true,
+    knockoutLegs: 1
+  },
+  championsLeague: {
+    name: 'Champions League (gruppspel + slutspel)',
+    groupStage: true,
+    groupLegs: 2,
+    advancePerGroup: 2,
+    tiebreakers: ['headToHead', 'goalDifference', 'goalsFor'],
+    knockoutDraw: 'seeded',
+    neutralVenue: false,
+    knockoutLegs: 2,
+    awayGoals: false
+  }
+};
+
+export const DEFAULT_FORMAT = 'knockout';
+
+/** Round names by the number of teams left */
+const ROUND_NAMES = {
+  2: 'Final',
+  4: 'Semifinal',
+  8: 'Kvartsfinal',
+  16: 'Åttondelsfinal',
+  32: 'Sextondelsfinal'
+};
+
+export const roundName = (teamsLeft) => ROUND_NAMES[teamsLeft] || `Omgång med ${teamsLeft} lag`;
+
+const isPowerOfTwo = (value) => value >= 2 && (value & (value - 1)) === 0;
+
+/**
+ * Parse tournament teams
+ * One team per line: team, goals scored per match, goals conceded per match
+ * and optionally the team's penalty conversion (0-1 or percent). A header line
+ * whose second field is not a number is skipped. For knockout formats the
+ * order of the lines is the bracket order (1 v 2, 3 v 4, ...).
+ * @param {string} text - Team text
+ * @returns {Array<Object>} Teams ({ team, attack, defence, penaltyConversion? })
+ */
+export const parseTournamentTeams = (text) => {
+  const teams = dataLines(text)
+    .map(splitFields)
+    .filter(fields => !Number.isNaN(Number(fields[1])))
+    .map((fields, index) => {
+      const [team, attack, defence, penalties] = fields;
+      const rates = [attack, defence].map(Number);
+      if (!team || rates.some(value => !Number.isFinite(value) || value <= 0)) {
+        throw new Error(`Ogiltig lagrad ${index + 1}: ange lag, gjorda mål per match, insläppta mål per match`);
+      }
+      const row = { team, attack: rates[0], defence: rates[1] };
+      if (penalties !== undefined && penalties !== '') {
+        const conversion = Number(penalties) > 1 ? Number(penalties) / 100 : Number(penalties);
+        if (!(conversion > 0 && conversion < 1)) {
+          throw new Error(`Ogiltig straffprocent för ${team}`);
+        }
+        row.penaltyConversion = conversion;
+      }
+      return row;
+    });
+
+  const names = new Set(teams.map(row => row.team));
+  if (names.size !== teams.length) {
+    throw new Error('Laglistan innehåller samma lag flera gånger');
+  }
+  return teams;
+};
+
+/**
+ * Parse groups
+ * One group per line: "A: Team 1, Team 2, Team 3, Team 4". Lines without a
+ * group name are named A, B, C, ... in order.
+ * @param {string} text - Group text
+ * @returns {Array<Object>} Groups ({ name, teams })
+ */
+export const parseGroups = (text) => dataLines(text).map((line, index) => {
+  const separator = line.indexOf(':');
+  const name = separator >= 0 ? line.slice(0, separator).trim() : String.fromCharCode(65 + index);
+  const teams = splitFields(separator >= 0 ? line.slice(separator + 1) : line).filter(Boolean);
+  if (teams.length < 2) {
+    throw new Error(`Grupp ${name} måste innehålla minst två lag`);
+  }
+  return { name, teams };
+});
+
+/**
+ * Resolve a tournament format from a preset key or a format object
+ * @param {string|Object} format - Preset key or custom format (missing fields use the World Cup preset)
+ * @returns {Object} Format
+ */
+export const resolveTournamentFormat = (format = DEFAULT_FORMAT) => {
+  const custom = typeof format === 'string' ? TOURNAMENT_FORMATS[format] : format;
+  if (!custom) {
+    throw new Error(`Okänt turneringsformat: ${format}`);
+  }
+  const knockoutLegs = custom.knockoutLegs ?? 1;
+  if (![1, 2].includes(knockoutLegs)) {
+    throw new Error('Slutspelsomgångarna måste spelas i en eller två matcher');
+  }
+  if (!custom.groupStage) {
+    return { name: custom.name || 'Egen utslagsturnering', groupStage: false, knockoutLegs, awayGoals: Boolean(custom.awayGoals) };
+  }
+
+  const base = TOURNAMENT_FORMATS.worldCup;
+  const resolved = { ...base, name: 'Egen turnering', ...custom, knockoutLegs, awayGoals: Boolean(custom.awayGoals) };
+  const unknown = resolved.tiebreakers.filter(criterion => !TIEBREAKERS.includes(criterion));
+  if (unknown.length > 0) {
+    throw new Error(`Okända tiebreak-regler: ${unknown.join(', ')}`);
+  }
+  if (![1, 2].includes(resolved.groupLegs)) {
+    throw new Error('Gruppspelet måste spelas i en eller två omgångar');
+  }
+  if (!['bracket', 'seeded'].includes(resolved.knockoutDraw)) {
+    throw new Error(`Okänd lottning: ${resolved.knockoutDraw}`);
+  }
+  return resolved;
+};
+
+/**
+ * Probability that the first team wins a penalty shootout
+ * Five kicks each, then sudden death rounds until one team scores and the
+ * other misses. Stopping early once a shootout is decided does not change
+ * who wins, so the five rounds are treated as two binomial totals.
+ * @param {number} firstConversion - Conversion rate of the first team
+ * @param {number} secondConversion - Conversion rate of the second team
+ * @param {number} kicks - Kicks per team before sudden death
+ * @returns {number} Win probability of the first team
+ */
+export const penaltyShootoutProbability = (firstConversion, secondConversion, kicks = SHOOTOUT_KICKS) => {
+  const binomial = (p) => {
+    const probabilities = new Array(kicks + 1).fill(0);
+    probabilities[0] = 1;
+    for (let kick = 0; kick < kicks; kick++) {
+      for (let scored = kick + 1; scored >= 0; scored--) {
+        probabilities[scored] = probabilities[scored] * (1 - p) + (scored > 0 ? probabilities[scored - 1] * p : 0);
+      }
+    }
+    return probabilities;
+  };
+
+  const first = binomial(firstConversion);
+  const second = binomial(secondConversion);
+  let win = 0;
+  let level = 0;
+  first.forEach((pFirst, scoredFirst) => {
+    second.forEach((pSecond, scoredSecond) => {
+      if (scoredFirst > scoredSecond) win += pFirst * pSecond;
+      else if (scoredFirst === scoredSecond) level += pFirst * pSecond;
+    });
+  });
+
+  const suddenWin = firstConversion * (1 - secondConversion);
+  const suddenLoss = secondConversion * (1 - firstConversion);
+  const suddenDeath = suddenWin + suddenLoss > 0 ? suddenWin / (suddenWin + suddenLoss) : 0.5;
+  return win + level * suddenDeath;
+};
+
+export class TournamentSimulator {
+  constructor(seed = 42) {
+    this.rng = new SeededRandom(seed);
+    this.poisson = new PoissonGenerator(this.rng);
+    this.random = () => this.rng.next();
+  }
+
+  /**
+   * Price a pairing and prepare it for sampling
+   * On neutral ground the match is priced both ways round and the two score
+   * matrices are averaged, so neither team gets the model's home advantage.
+   * @param {Object} home - Home (or first) team
+   * @param {Object} away - Away (or second) team
+   * @param {boolean} neutral - Neutral venue
+   * @param {Object} options - { model, leagueAverage, homeAdvantage }
+   * @returns {Object} { sampling, homeWinProbability, drawProbability, awayWinProbability, expectedHomeGoals, expectedAwayGoals }
+   */
+  priceMatch(home, away, neutral, { model, leagueAverage, homeAdvantage }) {
+    const forward = predictFixture(home, away, { model, leagueAverage, homeAdvantage: neutral ? 0 : homeAdvantage });
+    if (!neutral) {
+      return {
+        sampling: createSamplingTable(forward.scoreMatrix),
+        homeWinProbability: forward.homeWinProbability,
+        drawProbability: forward.drawProbability,
+        awayWinProbability: forward.awayWinProbability,
+        expectedHomeGoals: forward.expectedHomeGoals,
+        expectedAwayGoals: forward.expectedAwayGoals
+      };
+    }
+
+    const reverse = predictFixture(away, home, { model, leagueAverage, homeAdvantage: 0 });
+    const averaged = {
+      forEach: (callback) => {
+        forward.scoreMatrix.forEach((homeGoals, awayGoals, probability) => callback(homeGoals, awayGoals, probability / 2));
+        reverse.scoreMatrix.forEach((homeGoals, awayGoals, probability) => callback(awayGoals, homeGoals, probability / 2));
+      }
+    };
+    return {
+      sampling: createSamplingTable(averaged),
+      homeWinProbability: (forward.homeWinProbability + reverse.awayWinProbability) / 2,
+      drawProbability: (forward.drawProbability + reverse.drawProbability) / 2,
+      awayWinProbability: (forward.awayWinProbability + reverse.homeWinProbability) / 2,
+      expectedHomeGoals: (forward.expectedHomeGoals + reverse.expectedAwayGoals) / 2,
+      expectedAwayGoals: (forward.expectedAwayGoals + reverse.expectedHomeGoals) / 2
+    };
+  }
+
+  /**
+   * Simulate a penalty shootout
+   * @param {number} firstConversion - Conversion rate of the first team
+   * @param {number} secondConversion - Conversion rate of the second team
+   * @returns {boolean} True when the first team wins
+   */
+  penaltyShootout(firstConversion, secondConversion) {
+    let first = 0;
+    let second = 0;
+    for (let kick = 0; kick < SHOOTOUT_KICKS; kick++) {
+      if (this.rng.next() < firstConversion) first++;
+      if (this.rng.next() < secondConversion) second++;
+    }
+    while (first === second) {
+      if (this.rng.next() < firstConversion) first++;
+      if (this.rng.next() < secondConversion) second++;
+    }
+    return first > second;
+  }
+
+  /**
+   * Sample extra-time goals: 30 minutes at the match's scoring rates times the intensity
+   * @param {Object} match - Priced match (see priceMatch)
+   * @param {number} extraTimeIntensity - Extra-time goal rate relative to regular time
+   * @returns {Array<number>} [homeGoals, awayGoals] in extra time
+   */
+  extraTime(match, extraTimeIntensity) {
+    const extraTimeShare = EXTRA_TIME_MINUTES / MATCH_MINUTES * extraTimeIntensity;
+    return [
+      this.poisson.generate(match.expectedHomeGoals * extraTimeShare),
+      this.poisson.generate(match.expectedAwayGoals * extraTimeShare)
+    ];
+  }
+
+  /**
+   * Play a knockout match to a winner: 90 minutes, extra time, then penalties
+   * @param {Object} match - Priced match (see priceMatch)
+   * @param {Array<number>} penaltyConversion - [home, away] conversion rates
+   * @param {number} extraTimeIntensity - Extra-time goal rate relative to regular time
+   * @returns {Object} { homeWins, decidedBy: 'regular' | 'extraTime' | 'penalties' }
+   */
+  playKnockoutMatch(match, penaltyConversion, extraTimeIntensity) {
+    let [homeGoals, awayGoals] = sampleScore(match.sampling, this.random);
+    if (homeGoals !== awayGoals) {
+      return { homeWins: homeGoals > awayGoals, decidedBy: 'regular' };
+    }
+
+    const [homeExtra, awayExtra] = this.extraTime(match, extraTimeIntensity);
+    homeGoals += homeExtra;
+    awayGoals += awayExtra;
+    if (homeGoals !== awayGoals) {
+      return { homeWins: homeGoals > awayGoals, decidedBy: 'extraTime' };
+    }
+
+    return { homeWins: this.penaltyShootout(penaltyConversion[0], penaltyConversion[1]), decidedBy: 'penalties' };
+  }
+
+  /**
+   * Play a two-legged tie to a winner
+   * The second team hosts the second leg, where extra time is played if the
+   * aggregate is level after 180 minutes. Under the away-goals rule a level
+   * aggregate goes to the team with more away goals, and goals the visitors
+   * score in extra time count as away goals.
+   * @param {Object} firstLeg - Priced first leg (first team at home)
+   * @param {Object} secondLeg - Priced second leg (second team at home)
+   * @param {Array<number>} penaltyConversion - [first, second] conversion rates
+   * @param {Object} options - { extraTimeIntensity, awayGoals, firstLegScore: [home, away] when already played }
+   * @returns {Object} { firstWins, decidedBy: 'regular' | 'awayGoals' | 'extraTime' | 'penalties', aggregate: [first, second] after 180 minutes }
+   */
+  playTwoLeggedTie(firstLeg, secondLeg, penaltyConversion, { extraTimeIntensity, awayGoals = false, firstLegScore = null }) {
+    const [firstHomeGoals, secondAwayGoals] = firstLegScore || sampleScore(firstLeg.sampling, this.random);
+    const [secondHomeGoals, firstAwayGoals] = sampleScore(secondLeg.sampling, this.random);
+    const aggregate = [firstHomeGoals + firstAwayGoals, secondHomeGoals + secondAwayGoals];
+    const result = (firstWins, decidedBy) => ({ firstWins, decidedBy, aggregate });
+
+    if (aggregate[0] !== aggregate[1]) {
+      return result(aggregate[0] > aggregate[1], 'regular');
+    }
+    if (awayGoals && firstAwayGoals !== secondAwayGoals) {
+      return result(firstAwayGoals > secondAwayGoals, 'awayGoals');
+    }
+
+    const [secondExtra, firstExtra] = this.extraTime(secondLeg, extraTimeIntensity);
+    if (firstExtra !== secondExtra) {
+      return result(firstExtra > secondExtra, 'extraTime');
+    }
+    if (awayGoals && firstExtra > 0) {
+      return result(true, 'awayGoals');
+    }
+
+    return result(this.penaltyShootout(penaltyConversion[0], penaltyConversion[1]), 'penalties');
+  }
+
+  /**
+   * Bracket order of the group qualifiers
+   * @param {Array<Array<Object>>} qualifiers - Qualified teams per group ({ team, group }), best first
+   * @param {Object} format - Tournament format
+   * @returns {Array<number>} Team indices in bracket order
+   */
+  drawKnockout(qualifiers, format) {
+    const groupCount = qualifiers.length;
+    const pairsOfGroups = format.advancePerGroup === 2 && groupCount % 2 === 0;
+
+    if (format.knockoutDraw === 'seeded' && format.advancePerGroup === 2 && groupCount >= 2) {
+      // Winners meet runners-up from another group; redraw until no group meets itself
+      const winners = this.shuffle(qualifiers.map(group => group[0]));
+      let runnersUp = this.shuffle(qualifiers.map(group => group[1]));
+      for (let attempt = 0; attempt < 100 && runnersUp.some((team, index) => team.group === winners[index].group); attempt++) {
+        runnersUp = this.shuffle(runnersUp);
+      }
+      return winners.flatMap((winner, index) => [winner.team, runnersUp[index].team]);
+    }
+
+    if (pairsOfGroups) {
+      // A1-B2, C1-D2, ... in one half of the bracket and B1-A2, D1-C2, ... in the other
+      const firstHalf = [];
+      const secondHalf = [];
+      for (let group = 0; group < groupCount; group += 2) {
+        firstHalf.push(qualifiers[group][0].team, qualifiers[group + 1][1].team);
+        secondHalf.push(qualifiers[group + 1][0].team, qualifiers[group][1].team);
+      }
+      return [...firstHalf, ...secondHalf];
+    }
+
+    // Best-placed qualifiers meet the worst-placed: 1 v n, 2 v n-1, ...
+    const seeded = [];
+    for (let position = 0; position < format.advancePerGroup; position++) {
+      qualifiers.forEach(group => seeded.push(group[position].team));
+    }
+    const bracket = [];
+    for (let index = 0; index < seeded.length / 2; index++) {
+      bracket.push(seeded[index], seeded[seeded.length - 1 - index]);
+    }
+    return bracket;
+  }
+
+  /**
+   * Shuffle a copy of a list with the seeded generator (Fisher-Yates)
+   * @param {Array} items - Items
+   * @returns {Array} Shuffled copy
+   */
+  shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(this.rng.next() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  /**
+   * Simulate a tournament
+   * @param {Object} params - Simulation parameters
+   * @param {Array<Object>} params.teams - Teams (see parseTournamentTeams); bracket order for knockouts
+   * @param {Array<Object>} params.groups - Groups (see parseGroups) for group-stage formats
+   * @param {string|Object} params.format - Format preset key or custom format
+   * @param {string} params.model - 'poisson' or 'xg'
+   * @param {number} params.simulations - Number of simulated tournaments
+   * @param {number} params.randomSeed - Seed for reproducible results
+   * @param {number} params.homeAdvantage - Optional home advantage for matches that are not on neutral ground
+   * @param {number} params.leagueAverage - Goals per team and match (defaults to the average of the teams)
+   * @param {number} params.extraTimeIntensity - Extra-time goal rate relative to regular time
+   * @param {number} params.penaltyConversion - Default shootout conversion rate
+   * @returns {Object} Round-by-round probabilities per team and bracket slot occupancy
+   */
+  simulate(params) {
+    const {
+      teams = [],
+      groups = [],
+      format: requestedFormat = DEFAULT_FORMAT,
+      model = 'poisson',
+      simulations = 10000,
+      randomSeed = 42,
+      homeAdvantage,
+      leagueAverage = teams.reduce((sum, row) => sum + row.attack + row.defence, 0) / (2 * teams.length),
+      extraTimeIntensity = DEFAULT_EXTRA_TIME_INTENSITY,
+      penaltyConversion = DEFAULT_PENALTY_CONVERSION
+    } = params;
+
+    if (!FIXTURE_MODELS.includes(model)) {
+      throw new Error(`Okänd modell för turneringssimulering: ${model}`);
+    }
+    if (!(extraTimeIntensity >= 0)) {
+      throw new Error('Förlängningens intensitet måste vara minst 0');
+    }
+    if (!(penaltyConversion > 0 && penaltyConversion < 1)) {
+      throw new Error('Straffprocenten måste ligga mellan 0 och 1');
+    }
+
+    const format = resolveTournamentFormat(requestedFormat);
+    const teamIndex = new Map(teams.map((row, index) => [row.team, index]));
+    const indexOf = (team) => {
+      if (!teamIndex.has(team)) throw new Error(`Laget "${team}" finns inte i laglistan`);
+      return teamIndex.get(team);
+    };
+
+    // Groups as team indices, and the number of teams entering the knockout rounds
+    let groupIndices = [];
+    let bracketSize;
+    if (format.groupStage) {
+      if (groups.length === 0) throw new Error('Formatet kräver grupper');
+      groupIndices = groups.map(group => group.teams.map(indexOf));
+      const drawn = groupIndices.flat();
+      if (new Set(drawn).size !== drawn.length) throw new Error('Ett lag finns i flera grupper');
+      if (groupIndices.some(group => group.length <= format.advancePerGroup)) {
+        throw new Error(`Varje grupp måste ha fler än ${format.advancePerGroup} lag`);
+      }
+      bracketSize = groups.length * format.advancePerGroup;
+    } else {
+      bracketSize = teams.length;
+    }
+    if (!isPowerOfTwo(bracketSize)) {
+      throw new Error(`Slutspelet måste ha 2, 4, 8, 16 ... lag (nu ${bracketSize})`);
+    }
+
+    this.rng.setSeed(randomSeed);
+
+    const pricing = { model, leagueAverage, homeAdvantage };
+    const conversion = teams.map(row => row.penaltyConversion ?? penaltyConversion);
+
+    // Group fixtures are known up front; knockout pairings are priced the first time they occur
+    const groupFixtures = groupIndices.map(group => {
+      const fixtures = [];
+      group.forEach((home, i) => group.forEach((away, j) => {
+        if (format.groupLegs === 1 ? i < j : i !== j) {
+          const match = this.priceMatch(teams[home], teams[away], format.neutralVenue, pricing);
+          fixtures.push({ home, away, sampling: match.sampling });
+        }
+      }));
+      return fixtures;
+    });
+    const knockoutPrices = new Map();
+    const knockoutMatch = (home, away, neutral) => {
+      const key = `${home}:${away}:${neutral}`;
+      if (!knockoutPrices.has(key)) {
+        knockoutPrices.set(key, this.priceMatch(teams[home], teams[away], neutral, pricing));
+      }
+      return knockoutPrices.get(key);
+    };
+
+    const roundSizes = [];
+    for (let size = bracketSize; size >= 2; size /= 2) roundSizes.push(size);
+    const stages = [
+      ...(format.groupStage ? ['Gruppspel'] : []),
+      ...roundSizes.map(roundName),
+      'Mästare'
+    ];
+    const stageOffset = format.groupStage ? 1 : 0;
+
+    const stageCounts = teams.map(() => new Array(stages.length).fill(0));
+    const groupPositionCounts = teams.map(() => new Array(Math.max(0, ...groupIndices.map(group => group.length))).fill(0));
+    // Slot occupancy per knockout round, plus the champion as a final one-slot round
+    const slotCounts = [...roundSizes, 1].map(size => Array.from({ length: size }, () => new Map()));
+    const decidedBy = { regular: 0, awayGoals: 0, extraTime: 0, penalties: 0 };
+
+    const criteria = ['points', ...(format.tiebreakers || [])];
+    const standings = {
+      points: new Array(teams.length),
+      goalsFor: new Array(teams.length),
+      goalsAgainst: new Array(teams.length),
+      wins: new Array(teams.length)
+    };
+
+    for (let sim = 0; sim < simulations; sim++) {
+      let bracket;
+
+      if (format.groupStage) {
+        standings.points.fill(0);
+        standings.goalsFor.fill(0);
+        standings.goalsAgainst.fill(0);
+        standings.wins.fill(0);
+
+        const qualifiers = groupIndices.map((group, groupNumber) => {
+          const matches = [];
+          groupFixtures[groupNumber].forEach(({ home, away, sampling }) => {
+            const [homeGoals, awayGoals] = sampleScore(sampling, this.random);
+            recordResult(standings, home, away, homeGoals, awayGoals, DEFAULT_POINTS);
+            matches.push({ home, away, homeGoals, awayGoals });
+          });
+
+          const ranked = rankTeams(group, criteria, standings, matches, DEFAULT_POINTS, this.random);
+          ranked.forEach((team, position) => {
+            groupPositionCounts[team][position]++;
+            stageCounts[team][0]++;
+          });
+          return ranked.slice(0, format.advancePerGroup).map(team => ({ team, group: groupNumber }));
+        });
+        bracket = this.drawKnockout(qualifiers, format);
+      } else {
+        bracket = teams.map((_, index) => index);
+      }
+
+      roundSizes.forEach((size, round) => {
+        const winners = [];
+        bracket.forEach((team, slot) => {
+          stageCounts[team][stageOffset + round]++;
+          slotCounts[round][slot].set(team, (slotCounts[round][slot].get(team) || 0) + 1);
+        });
+        const twoLegged = format.knockoutLegs === 2 && size > 2;
+        for (let slot = 0; slot < size; slot += 2) {
+          const upper = bracket[slot];
+          const lower = bracket[slot + 1];
+          let upperWins;
+          if (twoLegged) {
+            // The upper team in the bracket (the group winner after a seeded draw) hosts the second leg
+            const result = this.playTwoLeggedTie(
+              knockoutMatch(lower, upper, false),
+              knockoutMatch(upper, lower, false),
+              [conversion[lower], conversion[upper]],
+              { extraTimeIntensity, awayGoals: format.awayGoals }
+            );
+            decidedBy[result.decidedBy]++;
+            upperWins = !result.firstWins;
+          } else {
+            const result = this.playKnockoutMatch(knockoutMatch(upper, lower, true), [conversion[upper], conversion[lower]], extraTimeIntensity);
+            decidedBy[result.decidedBy]++;
+            upperWins = result.homeWins;
+          }
+          winners.push(upperWins ? upper : lower);
+        }
+        bracket = winners;
+      });
+
+      const [champion] = bracket;
+      stageCounts[champion][stages.length - 1]++;
+      slotCounts[roundSizes.length][0].set(champion, (slotCounts[roundSizes.length][0].get(champion) || 0) + 1);
+    }
+
+    const groupOf = new Map();
+    groupIndices.forEach((group, groupNumber) => group.forEach(team => groupOf.set(team, groups[groupNumber].name)));
+    const knockoutTies = simulations * (bracketSize - 1);
+
+    return {
+      format,
+      stages,
+      teams: teams.map((row, team) => {
+        const stageProbabilities = stageCounts[team].map(count => count / simulations);
+        const groupSize = format.groupStage ? groupIndices.find(group => group.includes(team))?.length : 0;
+        return {
+          team: row.team,
+          group: groupOf.get(team) ?? null,
+          stageProbabilities,
+          groupPositionProbabilities: format.groupStage && groupSize
+            ? groupPositionCounts[team].slice(0, groupSize).map(count => count / simulations)
+            : null,
+          advanceProbability: stageProbabilities[stageOffset],
+          finalProbability: stageProbabilities[stages.length - 2],
+          winProbability: stageProbabilities[stages.length - 1]
+        };
+      }).filter(team => !format.groupStage || team.group !== null)
+        .sort((a, b) => b.winProbability - a.winProbability || b.finalProbability - a.finalProbability),
+      bracket: slotCounts.map((slots, round) => ({
+        name: round < roundSizes.length ? roundName(roundSizes[round]) : 'Mästare',
+        slots: slots.map(counts => [...counts.entries()]
+          .map(([team, count]) => ({ team: teams[team].team, probability: count / simulations }))
+          .sort((a, b) => b.probability - a.probability))
+      })),
+      simulationStats: {
+        simulations,
+        randomSeed,
+        model,
+        leagueAverage,
+        extraTimeIntensity,
+        knockoutMatches: bracketSize - 1,
+        awayGoalsRate: decidedBy.awayGoals / knockoutTies,
+        extraTimeRate: (decidedBy.extraTime + decidedBy.penalties) / knockoutTies,
+        penaltiesRate: decidedBy.penalties / knockoutTies
+      }
+    };
+  }
+
+  /**
+   * Simulate a single two-legged tie
+   * @param {Object} params - Simulation parameters
+   * @param {Object} params.first - Team at home in the first leg ({ team, attack, defence, penaltyConversion? })
+   * @param {Object} params.second - Team at home in the second leg
+   * @param {Object} params.firstLeg - First-leg result { homeGoals, awayGoals } when already played
+   * @param {boolean} params.awayGoals - Apply the away-goals rule
+   * @param {string} params.model - 'poisson' or 'xg'
+   * @param {number} params.simulations - Number of simulated ties
+   * @param {number} params.randomSeed - Seed for reproducible results
+   * @param {number} params.homeAdvantage - Optional home advantage passed to the match model
+   * @param {number} params.leagueAverage - Goals per team and match (defaults to the average of the two teams)
+   * @param {number} params.extraTimeIntensity - Extra-time goal rate relative to regular time
+   * @param {number} params.penaltyConversion - Default shootout conversion rate
+   * @returns {Object} Qualification probabilities, how ties are decided and the most likely aggregate scores
+   */
+  simulateTie(params) {
+    const {
+      first,
+      second,
+      firstLeg = null,
+      awayGoals = false,
+      model = 'poisson',
+      simulations = 10000,
+      randomSeed = 42,
+      homeAdvantage,
+      leagueAverage = first && second ? (first.attack + first.defence + second.attack + second.defence) / 4 : undefined,
+      extraTimeIntensity = DEFAULT_EXTRA_TIME_INTENSITY,
+      penaltyConversion = DEFAULT_PENALTY_CONVERSION
+    } = params;
+
+    if (!first || !second) {
+      throw new Error('Dubbelmötet kräver två lag');
+    }
+    if (first.team === second.team) {
+      throw new Error(`${first.team} kan inte möta sig självt`);
+    }
+    if (!FIXTURE_MODELS.includes(model)) {
+      throw new Error(`Okänd modell för dubbelmöte: ${model}`);
+    }
+    if (!(extraTimeIntensity >= 0)) {
+      throw new Error('Förlängningens intensitet måste vara minst 0');
+    }
+    if (!(penaltyConversion > 0 && penaltyConversion < 1)) {
+      throw new Error('Straffprocenten måste ligga mellan 0 och 1');
+    }
+    if (firstLeg && [firstLeg.homeGoals, firstLeg.awayGoals].some(goals => !Number.isInteger(goals) || goals < 0)) {
+      throw new Error('Resultatet i första mötet måste vara hela mål (0 eller fler)');
+    }
+
+    this.rng.setSeed(randomSeed);
+
+    const pricing = { model, leagueAverage, homeAdvantage };
+    const legs = [
+      this.priceMatch(first, second, false, pricing),
+      this.priceMatch(second, first, false, pricing)
+    ];
+    const conversion = [first.penaltyConversion ?? penaltyConversion, second.penaltyConversion ?? penaltyConversion];
+    const firstLegScore = firstLeg ? [firstLeg.homeGoals, firstLeg.awayGoals] : null;
+
+    let firstWins = 0;
+    const decidedBy = { regular: 0, awayGoals: 0, extraTime: 0, penalties: 0 };
+    const aggregateCounts = new Map();
+
+    for (let sim = 0; sim < simulations; sim++) {
+      const result = this.playTwoLeggedTie(legs[0], legs[1], conversion, { extraTimeIntensity, awayGoals, firstLegScore });
+      if (result.firstWins) firstWins++;
+      decidedBy[result.decidedBy]++;
+      const key = result.aggregate.join('-');
+      aggregateCounts.set(key, (aggregateCounts.get(key) || 0) + 1);
+    }
+
+    const legSummary = ([home, away], match, played) => ({
+      home: home.team,
+      away: away.team,
+      played,
+      homeWinProbability: match.homeWinProbability,
+      drawProbability: match.drawProbability,
+      awayWinProbability: match.awayWinProbability,
+      expectedHomeGoals: match.expectedHomeGoals,
+      expectedAwayGoals: match.expectedAwayGoals
+    });
+
+    return {
+      teams: [first.team, second.team],
+      firstLeg,
+      awayGoals,
+      qualification: {
+        first: firstWins / simulations,
+        second: 1 - firstWins / simulations
+      },
+      decidedBy: Object.fromEntries(Object.entries(decidedBy).map(([key, count]) => [key, count / simulations])),
+      aggregateScores: [...aggregateCounts.entries()]
+        .map(([key, count]) => {
+          const [firstGoals, secondGoals] = key.split('-').map(Number);
+          return { first: firstGoals, second: secondGoals, probability: count / simulations };
+        })
+        .sort((a, b) => b.probability - a.probability)
+        .slice(0, 10),
+      legs: [
+        legSummary([first, second], legs[0], firstLeg),
+        legSummary([second, first], legs[1], null)
+      ],
+      simulationStats: {
+        simulations,
+        randomSeed,
+        model,
+        leagueAverage,
+        extraTimeIntensity
+      }
+    };
+  }
+}
+
+// Export singleton instance
+export const tournamentSimulator = new TournamentSimulator();
+
+export default TournamentSimulator;
@@ -0,0 +1,34 @@
+/**
+ * Validation Tasks
+ * Work built on historical validation that ValidationWorkerRunner can move
+ * off the UI thread. Each task takes the matches, cloneable options and a
+ * progress callback, and resolves to a cloneable result.
+ */
+
+import { ModelEnsemble } from './modelEnsemble.js';
+import { ProbabilityCalibrator } from './probabilityCalibration.js';
+import { HyperparameterTuner } from './hyperparameterTuning.js';
+
+/**
+ * Tasks by name: (matches, options, onProgress) => Promise of a cloneable result
+ */
+export const VALIDATION_TASKS = {
+  ensemble: (matches, options, onProgress) => new ModelEnsemble().learnFromHistory(matches, { ...options, onProgress }),
+  calibration: (matches, options, onProgress) => new ProbabilityCalibrator().fitFromHistory(matches, { ...options, onProgress }),
+  tuning: (matches, options, onProgress) => new HyperparameterTuner().search(matches, { ...options, onProgress })
+};
+
+/**
+ * Run a task on the calling thread
+ * @param {string} task - VALIDATION_TASKS key
+ * @param {Array<Object>} matches - Historical matches (see historicalMatchesFromResults)
+ * @param {Object} options - Task options
+ * @param {Function} onProgress - Called with the completed share (0-1)
+ * @returns {Promise<Object>} Task result
+ */
+export const runValidationTask = async (task, matches, options = {}, onProgress = () => {}) => {
+  if (!VALIDATION_TASKS[task]) {
+    throw new Error(`Okänd valideringsuppgift: ${task}`);
+  }
+  return VALIDATION_TASKS[task](matches, options, onProgress);
+};
@@ -0,0 +1,16 @@
+/**
+ * Validation Web Worker
+ * Entry point started by ValidationWorkerRunner. Each message runs one
+ * validation task, posting progress messages followed by the result.
+ */
+
+import { runValidationTask } from './validationTasks.js';
+
+self.onmessage = async ({ data: { task, matches, options } }) => {
+  try {
+    const result = await runValidationTask(task, matches, options, share => self.postMessage({ type: 'progress', share }));
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,76 @@
+/**
+ * Validation Worker Runner
+ * Runs tasks built on historical validation (every model predicts every
+ * match, Monte Carlo included) in a Web Worker so they do not block the UI.
+ * Workers report progress, and a run can be cancelled with an AbortSignal,
+ * which terminates the worker. Outside the browser the task runs on the
+ * calling thread with the same result.
+ */
+
+import { createCancelledError } from './monteCarloWorkerPool.js';
+import { runValidationTask } from './validationTasks.js';
+
+/**
+ * Create a module worker for the tasks, or null outside the browser
+ * @returns {Function|null} Worker factory
+ */
+const defaultWorkerFactory = () => {
+  if (typeof Worker === 'undefined') return null;
+  return () => new Worker(new URL('./validationWorker.js', import.meta.url), { type: 'module' });
+};
+
+export class ValidationWorkerRunner {
+  /**
+   * @param {Object} options - Runner options
+   * @param {Function|null} options.createWorker - Worker factory; null runs on the calling thread
+   */
+  constructor({ createWorker = defaultWorkerFactory() } = {}) {
+    this.createWorker = createWorker;
+  }
+
+  /**
+   * Run a validation task
+   * @param {string} task - VALIDATION_TASKS key (see validationTasks.js)
+   * @param {Array<Object>} matches - Historical matches (see historicalMatchesFromResults)
+   * @param {Object} options - Task options (must survive structured cloning)
+   * @param {Object} runOptions - Run options
+   * @param {Function} runOptions.onProgress - Called with the completed share (0-1)
+   * @param {AbortSignal} runOptions.signal - Cancels the run; the promise rejects with an AbortError
+   * @returns {Promise<Object>} Task result
+   */
+  async run(task, matches, options = {}, { onProgress = () => {}, signal } = {}) {
+    if (signal?.aborted) throw createCancelledError();
+
+    if (!this.createWorker) {
+      return runValidationTask(task, matches, options, onProgress);
+    }
+
+    const worker = this.createWorker();
+    let cancel = null;
+    try {
+      return await new Promise((resolve, reject) => {
+        cancel = () => reject(createCancelledError());
+        signal?.addEventListener('abort', cancel);
+        worker.onmessage = ({ data }) => {
+          if (data.type === 'progress') {
+            onProgress(data.share);
+          } else if (data.type === 'result') {
+            resolve(data.result);
+          } else if (data.type === 'error') {
+            reject(new Error(data.message));
+          }
+        };
+        worker.onerror = (event) => reject(new Error(event.message || 'Valideringsworkern kraschade'));
+        worker.postMessage({ task, matches, options });
+      });
+    } finally {
+      signal?.removeEventListener('abort', cancel);
+      worker.terminate();
+    }
+  }
+}
+
+// Export singleton instance
+export const validationWorkerRunner = new ValidationWorkerRunner();
+
+export default ValidationWorkerRunner;
@@ -0,0 +1,368 @@
+/**
+ * Walk-Forward Backtesting
+ * Replays a result history in date order and forecasts every match from a
+ * model fitted on the matches before it only (a rolling forecast origin).
+ * Matches on the same date form one matchday: all of them are forecast
+ * before any of their results reaches the models.
+ *
+ * Models:
+ * - form: Poisson from both teams' running goal rates (createFormTracker)
+ * - fitted: Maher/Dixon-Coles strengths refitted on all earlier matches
+ * - dynamic: Kalman-filter ratings, with league average and home advantage
+ *   taken from the earlier matches
+ * - elo: Elo ratings with the draw model refitted after every matchday
+ *
+ * The first warmupMatches matches only train the models. The rest are scored
+ * with the ranked probability score, Brier score, log loss and accuracy,
+ * overall, per season and as rolling averages over the latest matches.
+ *
+ * ACADEMIC REFERENCES:
+ * - Tashman, L.J. (2000). "Out-of-sample tests of forecasting accuracy: an analysis and review"
+ *   International Journal of Forecasting 16(4): 437-450
+ * - Dixon, M.J. & Coles, S.G. (1997). "Modelling association football scores and inefficiencies in the football betting market"
+ *   Journal of the Royal Statistical Society: Series C 46(2): 265-280
+ */
+
+import { EnhancedPoissonCalculator } from './improvedMath.js';
+import { EloRatingSystem, chronologicalOrder } from './eloRatings.js';
+import { DynamicRatingSystem } from './dynamicRatings.js';
+import { TeamStrengthFitter, timeDecayFromHalfLife } from './teamStrengthFitting.js';
+import { HistoricalValidator, createFormTracker, DEFAULT_TEAM_GOALS } from './historicalValidation.js';
+
+export const BACKTEST_MODELS = ['form', 'fitted', 'dynamic', 'elo'];
+
+/** Metrics reported per model, and which direction is better */
+export const BACKTEST_METRICS = {
+  rankedProbabilityScore: { higherIsBetter: false },
+  brierScore: { higherIsBetter: false },
+  logLoss: { higherIsBetter: false },
+  accuracy: { higherIsBetter: true }
+};
+
+export const DEFAULT_BACKTEST_OPTIONS = {
+  models: BACKTEST_MODELS,
+  warmupMatches: 10,
+  rollingWindow: 20,
+  refitInterval: 1,
+  halfLifeDays: 0,
+  dixonColes: true,
+  seasonStartMonth: 0,
+  priorMatches: 3
+};
+
+const OUTCOMES = ['home', 'draw', 'away'];
+
+/**
+ * Season a match belongs to
+ * Seasons start on the first day of seasonStartMonth (0 = January, giving
+ * calendar-year seasons such as "2024"; otherwise "2024/25").
+ * @param {Date|null} date - Match date
+ * @param {number} seasonStartMonth - First month of a season (0-11)
+ * @returns {string|null} Season label, null for undated matches
+ */
+export const seasonOf = (date, seasonStartMonth = DEFAULT_BACKTEST_OPTIONS.seasonStartMonth) => {
+  if (!date) return null;
+  const matchDate = new Date(date);
+  const year = matchDate.getUTCFullYear() - (matchDate.getUTCMonth() < seasonStartMonth ? 1 : 0);
+  return seasonStartMonth === 0 ? `${year}` : `${year}/${String(year + 1).slice(-2)}`;
+};
+
+/**
+ * Group results into matchdays in date order (undated results are one match per matchday)
+ * @param {Array<Object>} results - Results
+ * @returns {Array<Array<Object>>} Matchdays
+ */
+export const matchdays = (results) => chronologicalOrder(results).reduce((days, result) => {
+  const previous = days[days.length - 1];
+  if (previous && result.date && previous[0].date && new Date(previous[0].date).getTime() === new Date(result.date).getTime()) {
+    previous.push(result);
+  } else {
+    days.push([result]);
+  }
+  return days;
+}, []);
+
+export class WalkForwardBacktester {
+  constructor() {
+    this.poissonCalculator = new EnhancedPoissonCalculator();
+    this.teamStrengthFitter = new TeamStrengthFitter();
+    this.dynamicRatingSystem = new DynamicRatingSystem();
+    this.eloRatingSystem = new EloRatingSystem();
+    this.validator = new HistoricalValidator();
+  }
+
+  /**
+   * Forecasters for one backtest, each with predict(result) and update(matchday)
+   * Every forecaster only knows the matchdays passed to update() so far.
+   * @param {Object} options - Backtest options
+   * @returns {Object} Forecasters per model
+   */
+  createModels(options) {
+    const form = createFormTracker({ priorMatches: options.priorMatches });
+    const history = [];
+
+    const formModel = {
+      predict: (result) => {
+        const inputs = form.inputs(result);
+        return this.poissonCalculator.calculate({
+          homeAttackRate: inputs.homeAttackRate,
+          awayAttackRate: inputs.awayAttackRate,
+          homeDefenseRate: inputs.homeDefenseRate,
+          awayDefenseRate: inputs.awayDefenseRate,
+          leagueAverage: inputs.leagueAverage,
+          homeAdvantage: result.neutral ? 0 : inputs.homeAdvantage
+        });
+      },
+      update: () => {}
+    };
+
+    let fit = null;
+    let matchdaysSinceFit = 0;
+    const fittedModel = {
+      predict: (result) => {
+        const leagueAverage = fit ? fit.leagueAverage : DEFAULT_TEAM_GOALS;
+        // Teams without earlier matches play as league-average teams
+        const strength = (team) => fit?.teams.find(row => row.team === team) || { attack: leagueAverage, defence: leagueAverage };
+        const home = strength(result.home);
+        const away = strength(result.away);
+        return this.poissonCalculator.calculate({
+          homeAttackRate: home.attack,
+          awayAttackRate: away.attack,
+          homeDefenseRate: home.defence,
+          awayDefenseRate: away.defence,
+          leagueAverage,
+          homeAdvantage: result.neutral || !fit ? 0 : fit.homeAdvantage,
+          rho: fit ? fit.rho : 0
+        });
+      },
+      update: (matchday) => {
+        matchdaysSinceFit++;
+        if (matchdaysSinceFit < options.refitInterval) return;
+        const dated = history.every(match => match.date);
+        try {
+          fit = this.teamStrengthFitter.fit(history, {
+            timeDecay: dated ? timeDecayFromHalfLife(options.halfLifeDays) : 0,
+            referenceDate: dated ? matchday[0].date : null,
+            dixonColes: options.dixonColes
+          });
+          matchdaysSinceFit = 0;
+        } catch (error) {
+          // Too little data so far (e.g. no goals yet): keep the previous fit
+        }
+      }
+    };
+
+    const dynamicState = this.dynamicRatingSystem.createState({ leagueAverage: DEFAULT_TEAM_GOALS });
+    // League level and home advantage come from the earlier matches, like the form model
+    const leagueLevel = (result) => {
+      const { leagueAverage, homeAdvantage } = form.inputs(result);
+      dynamicState.logLeagueAverage = Math.log(leagueAverage);
+      dynamicState.logHomeAdvantage = Math.log(1 + homeAdvantage);
+      return { leagueAverage, homeAdvantage };
+    };
+    const dynamicModel = {
+      predict: (result) => {
+        const { leagueAverage, homeAdvantage } = leagueLevel(result);
+        const home = this.dynamicRatingSystem.team(dynamicState, result.home);
+        const away = this.dynamicRatingSystem.team(dynamicState, result.away);
+        return this.poissonCalculator.calculate({
+          homeAttackRate: leagueAverage * Math.exp(home.mean[0]),
+          awayAttackRate: leagueAverage * Math.exp(away.mean[0]),
+          homeDefenseRate: leagueAverage * Math.exp(home.mean[1]),
+          awayDefenseRate: leagueAverage * Math.exp(away.mean[1]),
+          leagueAverage,
+          homeAdvantage: result.neutral ? 0 : homeAdvantage
+        });
+      },
+      update: (matchday) => {
+        leagueLevel(matchday[0]);
+        matchday.forEach(result => this.dynamicRatingSystem.update(dynamicState, {
+          home: result.home,
+          away: result.away,
+          homeGoals: result.homeGoals,
+          awayGoals: result.awayGoals,
+          date: result.date,
+          neutral: Boolean(result.neutral)
+        }));
+      }
+    };
+
+    const eloState = this.eloRatingSystem.createState();
+    const eloModel = {
+      predict: (result) => this.eloRatingSystem.predict(eloState, result.home, result.away, { neutral: Boolean(result.neutral) }),
+      update: (matchday) => {
+        matchday.forEach(result => this.eloRatingSystem.update(eloState, {
+          home: result.home,
+          away: result.away,
+          homeGoals: result.homeGoals,
+          awayGoals: result.awayGoals,
+          competition: result.competition,
+          neutral: Boolean(result.neutral)
+        }));
+        this.eloRatingSystem.fitDrawModel(eloState);
+      }
+    };
+
+    const models = { form: formModel, fitted: fittedModel, dynamic: dynamicModel, elo: eloModel };
+    return {
+      ...Object.fromEntries(options.models.map(model => [model, models[model]])),
+      // Shared history and form rates learn last, after every model has seen the matchday
+      addMatchday: (matchday) => {
+        history.push(...matchday);
+        options.models.forEach(model => models[model].update(matchday));
+        matchday.forEach(result => form.add(result));
+      }
+    };
+  }
+
+  /**
+   * Score one forecast against the result
+   * @param {Object} prediction - PredictionResult
+   * @param {Object} result - Match result
+   * @returns {Object} 1X2 probabilities, expected goals and per-match scores
+   */
+  scoreForecast(prediction, result) {
+    const actual = this.validator.extractActualResult(result);
+    return {
+      homeWinProbability: prediction.homeWinProbability,
+      drawProbability: prediction.drawProbability,
+      awayWinProbability: prediction.awayWinProbability,
+      expectedHomeGoals: prediction.expectedHomeGoals,
+      expectedAwayGoals: prediction.expectedAwayGoals,
+      rankedProbabilityScore: this.validator.calculateRankedProbabilityScore(prediction, actual),
+      brierScore: this.validator.calculateBrierScore(prediction, actual),
+      logLoss: -this.validator.calculateLogLikelihood(prediction, actual),
+      correct: this.validator.isPredictionCorrect(prediction, actual)
+    };
+  }
+
+  /**
+   * Average scores of a set of forecasts
+   * @param {Array<Object>} forecasts - Scored forecasts
+   * @returns {Object} { matches, rankedProbabilityScore, brierScore, logLoss, accuracy } (accuracy 0-1)
+   */
+  summarise(forecasts) {
+    const mean = (key) => forecasts.reduce((sum, forecast) => sum + Number(forecast[key]), 0) / forecasts.length;
+    return {
+      matches: forecasts.length,
+      rankedProbabilityScore: mean('rankedProbabilityScore'),
+      brierScore: mean('brierScore'),
+      logLoss: mean('logLoss'),
+      accuracy: mean('correct')
+    };
+  }
+
+  /**
+   * Rolling averages over the latest `window` scored matches
+   * @param {Array<Object>} matches - Scored backtest matches
+   * @param {string} model - Model key
+   * @param {number} window - Matches per average
+   * @returns {Array<Object>} One point per scored match: { match, index, date, season, ...summary } (index into the backtest matches)
+   */
+  rollingMetrics(matches, model, window) {
+    const forecasts = matches.filter(match => match.forecasts[model]);
+    return forecasts.map((match, index) => ({
+      match: index + 1,
+      index: match.index,
+      date: match.date,
+      season: match.season,
+      ...this.summarise(forecasts.slice(Math.max(0, index + 1 - window), index + 1).map(entry => entry.forecasts[model]))
+    }));
+  }
+
+  /**
+   * Run a walk-forward backtest
+   * @param {Array<Object>} results - Results (see parseMatchResults or parseEloResults)
+   * @param {Object} options - Backtest options (see DEFAULT_BACKTEST_OPTIONS)
+   * @returns {Object} { options, models, matches, overall, seasons, rolling, ranking }
+   */
+  run(results, options = {}) {
+    const settings = { ...DEFAULT_BACKTEST_OPTIONS, ...options };
+    const unknown = settings.models.find(model => !BACKTEST_MODELS.includes(model));
+    if (unknown) {
+      throw new Error(`Okänd modell: ${unknown}`);
+    }
+    if (settings.models.length === 0) {
+      throw new Error('Välj minst en modell att backtesta');
+    }
+    if (!(settings.warmupMatches >= 0) || !(settings.rollingWindow >= 1) || !(settings.refitInterval >= 1)) {
+      throw new Error('Uppvärmning, fönster och omskattningsintervall måste vara positiva');
+    }
+    if (results.length <= settings.warmupMatches) {
+      throw new Error(`Backtesten kräver fler än ${settings.warmupMatches} resultat (uppvärmningen)`);
+    }
+
+    const forecasters = this.createModels(settings);
+    const matches = [];
+
+    matchdays(results).forEach(matchday => {
+      matchday.forEach(result => {
+        const scored = matches.length >= settings.warmupMatches;
+        const forecasts = {};
+        if (scored) {
+          settings.models.forEach(model => {
+            try {
+              forecasts[model] = this.scoreForecast(forecasters[model].predict(result), result);
+            } catch (error) {
+              console.warn(`⚠️ ${model} could not forecast ${result.home} - ${result.away}: ${error.message}`);
+            }
+          });
+        }
+        matches.push({
+          index: matches.length,
+          date: result.date,
+          season: result.season ?? seasonOf(result.date, settings.seasonStartMonth),
+          homeTeam: result.home,
+          awayTeam: result.away,
+          homeGoals: result.homeGoals,
+          awayGoals: result.awayGoals,
+          outcome: OUTCOMES[result.homeGoals > result.awayGoals ? 0 : result.homeGoals === result.awayGoals ? 1 : 2],
+          scored,
+          forecasts
+        });
+      });
+      forecasters.addMatchday(matchday);
+    });
+
+    const scoredMatches = matches.filter(match => match.scored);
+    const summariseModels = (entries) => Object.fromEntries(settings.models.map(model => {
+      const forecasts = entries.map(match => match.forecasts[model]).filter(Boolean);
+      return [model, forecasts.length > 0 ? this.summarise(forecasts) : null];
+    }));
+
+    const seasonNames = [...new Set(scoredMatches.map(match => match.season))];
+    const seasons = seasonNames.map(season => {
+      const entries = scoredMatches.filter(match => match.season === season);
+      return {
+        season,
+        matches: entries.length,
+        firstDate: entries[0].date,
+        lastDate: entries[entries.length - 1].date,
+        models: summariseModels(entries)
+      };
+    });
+
+    const overall = summariseModels(scoredMatches);
+    const ranking = settings.models
+      .filter(model => overall[model])
+      .sort((a, b) => overall[a].rankedProbabilityScore - overall[b].rankedProbabilityScore)
+      .map((model, index) => ({ rank: index + 1, model, rankedProbabilityScore: overall[model].rankedProbabilityScore }));
+
+    return {
+      options: settings,
+      models: settings.models,
+      trainingMatches: matches.length - scoredMatches.length,
+      scoredMatches: scoredMatches.length,
+      matches,
+      overall,
+      seasons,
+      rolling: Object.fromEntries(settings.models.map(model => [model, this.rollingMetrics(scoredMatches, model, settings.rollingWindow)])),
+      ranking
+    };
+  }
+}
+
+// Export singleton instance
+export const walkForwardBacktester = new WalkForwardBacktester();
+
+export default WalkForwardBacktester;
@@ -20,6 +20,9 @@ import BayesianXGCalculator from './bayesianXG.js';
 import EventSequenceAnalyzer from './eventSequenceXG.js';
 import SpatialXGAnalyzer from './spatialXG.js';
 import PsychologicalXGAnalyzer from './psychologicalXG.js';
+import { ScoreMatrix } from './scoreMatrix.js';
+import { createPredictionResult, MODEL_VERSIONS } from './predictionResult.js';
+import { shotXGModel } from './shotXGModel.js';
 
 // xG model based on shot location, type, and situation
 export class XGCalculator {
@@ -71,6 +74,19 @@ export class XGCalculator {
       heavy: 0.7,
       blocked: 0.3
     };
+
+    // Trained logistic shot model (see shotXGModel.js); replaces the tables above when set
+    this.shotModel = null;
+  }
+
+  /**
+   * Use a trained shot model instead of the constant tables
+   * @param {Object|string|null} model - Trained model, its JSON, or null to return to the tables
+   * @returns {Object|null} The validated model
+   */
+  setShotModel(model) {
+    this.shotModel = model ? shotXGModel.fromJSON(model) : null;
+    return this.shotModel;
   }
 
   /**
@@ -83,44 +99,14 @@ export class XGCalculator {
    * @returns {number|Object} xG value between 0 and 1, or detailed object if advanced
    */
   calculateShotXG(shot, useBayesian = false, useEventSequence = false, useSpatial = false, usePsychological = false) {
-    const {
-      distance = 12,
-      angle = 0,
-      shotType = 'rightFoot',
-      situation = 'openPlay',
-      pressure = 'moderate',
-      isOneOnOne = false,
-      defendersBetween = 1
-    } = shot;
-
-    // Base xG from distance
-    let baseXG = this.getBaseXGFromDistance(distance);
+    const { distance = 12, angle = 0 } = shot;
 
-    // Angle adjustment (shots from center are better)
-    const angleMultiplier = Math.cos(Math.abs(angle) * Math.PI / 180) * 0.3 + 0.7;
-    baseXG *= angleMultiplier;
-
-    // Shot type adjustment
-    baseXG *= this.shotTypeMultipliers[shotType] || 1.0;
-
-    // Situation adjustment
-    baseXG *= this.situationMultipliers[situation] || 1.0;
-
-    // Pressure adjustment
-    baseXG *= this.pressureMultipliers[pressure] || 1.0;
-
-    // One-on-one bonus
-    if (isOneOnOne) {
-      baseXG *= 1.8;
-    }
-
-    // Defenders between shot and goal
-    const defenderPenalty = Math.max(0.3, 1 - (defendersBetween * 0.15));
-    baseXG *= defenderPenalty;
+    // Fitted probability when a trained model is loaded, otherwise the constant tables
+    const baseXG = this.shotModel ? shotXGModel.predict(this.shotModel, shot) : this.getTableShotXG(shot);
 
     // Ensure xG is between 0 and 1
     let finalXG = Math.min(0.95, Math.max(0.01, baseXG));
-    
+
     // Apply spatial analysis if requested
     let spatialAnalysis = null;
     if (useSpatial && shot.spatialData) {
@@ -209,6 +195,50 @@ export class XGCalculator {
     return finalXG;
   }
 
+  /**
+   * Shot xG from the constant zone and multiplier tables
+   * @param {Object} shot - Shot data
+   * @returns {number} Unclamped xG value
+   */
+  getTableShotXG(shot) {
+    const {
+      distance = 12,
+      angle = 0,
+      shotType = 'rightFoot',
+      situation = 'openPlay',
+      pressure = 'moderate',
+      isOneOnOne = false,
+      defendersBetween = 1
+    } = shot;
+
+    // Base xG from distance
+    let baseXG = this.getBaseXGFromDistance(distance);
+
+    // Angle adjustment (shots from center are better)
+    const angleMultiplier = Math.cos(Math.abs(angle) * Math.PI / 180) * 0.3 + 0.7;
+    baseXG *= angleMultiplier;
+
+    // Shot type adjustment
+    baseXG *= this.shotTypeMultipliers[shotType] || 1.0;
+
+    // Situation adjustment
+    baseXG *= this.situationMultipliers[situation] || 1.0;
+
+    // Pressure adjustment
+    baseXG *= this.pressureMultipliers[pressure] || 1.0;
+
+    // One-on-one bonus
+    if (isOneOnOne) {
+      baseXG *= 1.8;
+    }
+
+    // Defenders between shot and goal
+    const defenderPenalty = Math.max(0.3, 1 - (defendersBetween * 0.15));
+    baseXG *= defenderPenalty;
+
+    return baseXG;
+  }
+
   /**
    * Get base xG value from shot distance
    * @param {number} distance - Distance from goal in meters
@@ -391,17 +421,17 @@ export class XGCalculator {
     const homeXG = this.calculateTeamXG(homeShots);
     const awayXG = this.calculateTeamXG(awayShots);
 
-    // Calculate probabilities based on xG
-    const homeWinProb = this.xgToWinProbability(homeXG, awayXG, 'home');
-    const awayWinProb = this.xgToWinProbability(awayXG, homeXG, 'away');
-    const drawProb = Math.max(0, 100 - homeWinProb - awayWinProb);
+    // Calculate probabilities based on xG (0-1, like every PredictionResult)
+    const homeWinProb = this.xgToWinProbability(homeXG, awayXG, 'home') / 100;
+    const awayWinProb = this.xgToWinProbability(awayXG, homeXG, 'away') / 100;
+    const drawProb = Math.max(0, 1 - homeWinProb - awayWinProb);
 
     return {
-      homeXG: homeXG.toFixed(2),
-      awayXG: awayXG.toFixed(2),
-      homeWinProbability: homeWinProb.toFixed(1),
-      drawProbability: drawProb.toFixed(1),
-      awayWinProbability: awayWinProb.toFixed(1),
+      homeXG,
+      awayXG,
+      homeWinProbability: homeWinProb,
+      drawProbability: drawProb,
+      awayWinProbability: awayWinProb,
       homeShots: homeShots.length,
       awayShots: awayShots.length,
       bigChancesHome: homeShots.filter(s => this.calculateShotXG(s) > 0.3).length,
@@ -491,6 +521,14 @@ export const calculateMatchXGPrediction = (homeTeam, awayTeam) => {
   }
 };
 
+/** Constants of calculateAdvancedXGPrediction; every one can be overridden per call (e.g. by a tuning profile) */
+export const XG_MODEL_CONSTANTS = {
+  homeAdvantage: 0.3,
+  xgaSensitivity: 0.25,
+  homeVenueMultiplier: 1.08,
+  awayVenueMultiplier: 0.95
+};
+
 // Enhanced xG calculation with advanced factors
 export const calculateAdvancedXGPrediction = (xgParams) => {
   // Input validation
@@ -503,7 +541,10 @@ export const calculateAdvancedXGPrediction = (xgParams) => {
     awayXG,
     homeXGA = 1.2,
     awayXGA = 1.3,
-    homeAdvantage = 0.3,
+    homeAdvantage = XG_MODEL_CONSTANTS.homeAdvantage,
+    xgaSensitivity = XG_MODEL_CONSTANTS.xgaSensitivity,
+    homeVenueMultiplier = XG_MODEL_CONSTANTS.homeVenueMultiplier,
+    awayVenueMultiplier = XG_MODEL_CONSTANTS.awayVenueMultiplier,
     recentForm = 0,
     homeDefensiveRating = 1.0,
     awayDefensiveRating = 1.0,
@@ -550,8 +591,8 @@ export const calculateAdvancedXGPrediction = (xgParams) => {
   const awayDefensiveBase = Math.max(0.5, Math.min(1.5, homeDefensiveRating));
   
   // xGA adjustment: normalize around 1.2 (average), with noticeable impact
-  const homeXGAAdjustment = 1 + (awayXGA - 1.2) * 0.25; // Increased for more noticeable impact
-  const awayXGAAdjustment = 1 + (homeXGA - 1.2) * 0.25;
+  const homeXGAAdjustment = 1 + (awayXGA - 1.2) * xgaSensitivity;
+  const awayXGAAdjustment = 1 + (homeXGA - 1.2) * xgaSensitivity;
   
   const homeDefensiveStrength = homeDefensiveBase * homeXGAAdjustment;
   const awayDefensiveStrength = awayDefensiveBase * awayXGAAdjustment;
@@ -585,43 +626,28 @@ export const calculateAdvancedXGPrediction = (xgParams) => {
   adjustedHomeXG = Math.max(0.1, Math.min(8.0, adjustedHomeXG));
   adjustedAwayXG = Math.max(0.1, Math.min(8.0, adjustedAwayXG));
 
-  // Calculate all match outcome probabilities using Poisson distribution
-  let homeWinProb = 0;
-  let drawProb = 0;
-  let awayWinProb = 0;
-
   // Home advantage adjustment - more moderate for balanced results
-  const homeAdvantageMultiplier = 1.08; // Reduced from 1.15
-  const awayAdvantageMultiplier = 0.95;  // Increased from 0.9
-  const adjustedHomeXGWithAdvantage = adjustedHomeXG * homeAdvantageMultiplier;
-  const adjustedAwayXGWithAdvantage = adjustedAwayXG * awayAdvantageMultiplier;
-
-  // Calculate probabilities for all possible scorelines (0-0 to 8-8)
-  for (let homeGoals = 0; homeGoals <= 8; homeGoals++) {
-    for (let awayGoals = 0; awayGoals <= 8; awayGoals++) {
-      const homeProb = xgCalculator.poissonProbability(adjustedHomeXGWithAdvantage, homeGoals);
-      const awayProb = xgCalculator.poissonProbability(adjustedAwayXGWithAdvantage, awayGoals);
-      const combinedProb = homeProb * awayProb;
-      
-      if (homeGoals > awayGoals) {
-        homeWinProb += combinedProb;
-      } else if (homeGoals === awayGoals) {
-        drawProb += combinedProb;
-      } else {
-        awayWinProb += combinedProb;
-      }
-    }
-  }
-
-  // Convert to percentages and ensure they sum to 100%
-  const total = homeWinProb + drawProb + awayWinProb;
-  
-  return {
-    homeWin: ((homeWinProb / total) * 100).toFixed(1),
-    draw: ((drawProb / total) * 100).toFixed(1),
-    awayWin: ((awayWinProb / total) * 100).toFixed(1),
-    adjustedHomeXG: adjustedHomeXG.toFixed(2),
-    adjustedAwayXG: adjustedAwayXG.toFixed(2),
-    confidence: Math.min(95, Math.max(60, 85 - Math.abs(adjustedHomeXG - adjustedAwayXG) * 10))
-  };
+  const adjustedHomeXGWithAdvantage = adjustedHomeXG * homeVenueMultiplier;
+  const adjustedAwayXGWithAdvantage = adjustedAwayXG * awayVenueMultiplier;
+
+  // Calculate all match outcome probabilities from the shared scoreline matrix
+  const scoreMatrix = ScoreMatrix.fromFunction((homeGoals, awayGoals) =>
+    xgCalculator.poissonProbability(adjustedHomeXGWithAdvantage, homeGoals) *
+    xgCalculator.poissonProbability(adjustedAwayXGWithAdvantage, awayGoals)
+  );
+
+  return createPredictionResult({
+    model: 'xg',
+    modelName: 'xG',
+    version: MODEL_VERSIONS.xg,
+    inputs: {
+      homeXG, awayXG, homeXGA, awayXGA, homeAdvantage, recentForm, homeDefensiveRating,
+      awayDefensiveRating, homeFormFactor, weatherConditions, motivationFactor, headToHeadFactor,
+      xgaSensitivity, homeVenueMultiplier, awayVenueMultiplier
+    },
+    scoreMatrix,
+    expectedHomeGoals: adjustedHomeXG,
+    expectedAwayGoals: adjustedAwayXG,
+    confidence: Math.min(0.95, Math.max(0.6, 0.85 - Math.abs(adjustedHomeXG - adjustedAwayXG) * 0.1))
+  });
 };
\ No newline at end of file